@@ -4,8 +4,9 @@ import { createNativeStackNavigator } from '@react-navigation/native-stack';
 import { View, ActivityIndicator, StyleSheet, Platform, Image } from 'react-native';
 import { AuthProvider, useAuth } from './contexts/AuthContext';
 import { LanguageProvider } from './contexts/LanguageContext';
-import { AcademyProvider } from './contexts/AcademyContext';
+import { AcademyProvider, useAcademy } from './contexts/AcademyContext';
 import GlobalErrorBoundary from './components/GlobalErrorBoundary';
+import NativeCheckoutModal from './components/NativeCheckoutModal';
 import AuthSelectionScreen from './screens/AuthSelectionScreen';
 import SignInScreen from './screens/SignInScreen';
 import SignUpScreen from './screens/SignUpScreen';
@@ -35,6 +36,7 @@ function AuthStack() {
 
 function AppNavigator() {
   const { session, loading, isPasswordRecovery, userRole, user, roleLoading } = useAuth();
+  const { loading: academyLoading } = useAcademy();
   const navigationRef = useRef(null);
 
   // CRITICAL: Check for payment redirect on mount. Store session_id and clear URL
@@ -48,12 +50,25 @@ function AppNavigator() {
       if (sessionId) {
         sessionStorage.setItem('stripe_session_id', sessionId);
         sessionStorage.setItem('stripe_redirect_time', Date.now().toString());
+        const paymentToken = urlParams.get('payment_token');
+        if (paymentToken) sessionStorage.setItem('stripe_payment_token', paymentToken);
       }
       if (credited === '1') {
         sessionStorage.setItem('stripe_credited', '1');
         if (balance) sessionStorage.setItem('stripe_credited_balance', balance);
+        const booked = urlParams.get('booked');
+        if (booked) {
+          sessionStorage.setItem('stripe_credited_booked', booked);
+          sessionStorage.setItem('stripe_credited_booking_error', urlParams.get('booking_error') || '');
+        }
+        const pack = urlParams.get('pack');
+        if (pack) sessionStorage.setItem('stripe_credited_pack', pack);
+        const term = urlParams.get('term');
+        if (term) sessionStorage.setItem('stripe_credited_term', term);
       }
-      if (sessionId || credited === '1') {
+      const cardSetup = urlParams.get('card_saved') === '1' ? 'saved' : urlParams.get('card_error') === '1' ? 'error' : null;
+      if (cardSetup) sessionStorage.setItem('stripe_card_setup', cardSetup);
+      if (sessionId || credited === '1' || cardSetup) {
         window.history.replaceState(null, '', '/home');
       }
     }
@@ -231,7 +246,8 @@ function AppNavigator() {
 
   // Add fallback timeout - if loading takes more than 5 seconds, show app anyway
   const [loadingTimeout, setLoadingTimeout] = useState(false);
-  const waitingForRole = session && roleLoading;
+  // Lesson times are shown in the academy's timezone, so wait for it too
+  const waitingForRole = session && (roleLoading || academyLoading);
 
   useEffect(() => {
     if (loading || waitingForRole) {
@@ -362,6 +378,7 @@ export default function App() {
         <AcademyProvider fallbackSubdomain={null}>
           <LanguageProvider>
             <AppNavigator />
+            <NativeCheckoutModal />
           </LanguageProvider>
         </AcademyProvider>
       </AuthProvider>
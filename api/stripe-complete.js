@@ -1,5 +1,6 @@
 // Stripe success_url fallback. Credits the wallet server-side, then sends the
-// browser home. Vercel deploys this automatically on push.
+// browser home. Vercel deploys this automatically on push. Needs the signed
+// token dynamic-task put in the success URL (?session_id=...&token=...).
 const SUPABASE_URL = process.env.EXPO_PUBLIC_SUPABASE_URL || "https://rozxeqqwxpnfqbyvtvch.supabase.co";
 const ANON_KEY =
   process.env.EXPO_PUBLIC_SUPABASE_ANON_KEY ||
@@ -8,6 +9,7 @@ const APP_URL = process.env.APP_URL || "https://app.airdroptennis.com";
 
 module.exports = async function handler(req, res) {
   const sessionId = typeof req.query?.session_id === "string" ? req.query.session_id : "";
+  const token = typeof req.query?.token === "string" ? req.query.token : "";
   const home = `${APP_URL.replace(/\/$/, "")}/home`;
 
   if (!sessionId) {
@@ -22,26 +24,37 @@ module.exports = async function handler(req, res) {
         "Content-Type": "application/json",
         Authorization: `Bearer ${ANON_KEY}`,
         apikey: ANON_KEY,
+        // So dynamic-task rate-limits the student, not this function
+        "X-Forwarded-For": String(req.headers?.["x-forwarded-for"] || ""),
       },
-      body: JSON.stringify({ action: "verify-payment", sessionId }),
+      body: JSON.stringify({ action: "verify-payment", sessionId, token }),
     });
     const data = await r.json().catch(() => ({}));
+    if (data.code === "invalid_token" || data.code === "token_expired" || data.code === "rate_limited") {
+      res.redirect(302, `${home}?topup_error=${data.code}`);
+      return;
+    }
     if (!r.ok || !data.success) {
       res.redirect(
         302,
-        `${home}?session_id=${encodeURIComponent(sessionId)}&topup_error=1`
+        `${home}?session_id=${encodeURIComponent(sessionId)}&payment_token=${encodeURIComponent(token)}&topup_error=1`
       );
       return;
     }
     const balance = data.newBalance != null ? String(data.newBalance) : "";
+    const booking = data.booking
+      ? `&booked=${data.booking.success ? "1" : "0"}&booking_error=${encodeURIComponent(data.booking.code || "")}`
+      : "";
+    const pack = data.pack ? `&pack=${data.pack.success ? "1" : "0"}` : "";
+    const term = data.term ? `&term=${data.term.success ? "1" : "0"}` : "";
     res.redirect(
       302,
-      `${home}?credited=1&type=${encodeURIComponent(data.type || "topup")}&balance=${encodeURIComponent(balance)}`
+      `${home}?credited=1&type=${encodeURIComponent(data.type || "topup")}&balance=${encodeURIComponent(balance)}${booking}${pack}${term}`
     );
   } catch {
     res.redirect(
       302,
-      `${home}?session_id=${encodeURIComponent(sessionId)}&topup_error=1`
+      `${home}?session_id=${encodeURIComponent(sessionId)}&payment_token=${encodeURIComponent(token)}&topup_error=1`
     );
   }
 };
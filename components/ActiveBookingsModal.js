@@ -13,7 +13,7 @@ import {
 import { Ionicons } from '@expo/vector-icons';
 import { supabase } from '../lib/supabase';
 import { useAuth } from '../contexts/AuthContext';
-import { utcToSydneyDate, utcToSydneyTime } from '../utils/timezone';
+import { utcToZonedDate, utcToZonedTime } from '../utils/timezone';
 
 export default function ActiveBookingsModal({
   visible,
@@ -294,11 +294,11 @@ export default function ActiveBookingsModal({
 
   const formatTime = (dateString) => {
     const date = new Date(dateString);
-    return utcToSydneyTime(dateString);
+    return utcToZonedTime(dateString);
   };
 
   const formatDate = (dateString) => {
-    return utcToSydneyDate(dateString);
+    return utcToZonedDate(dateString);
   };
 
   return (
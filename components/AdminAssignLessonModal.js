@@ -15,9 +15,9 @@ import { Ionicons } from '@expo/vector-icons';
 import { useLanguage } from '../contexts/LanguageContext';
 import { getTranslation } from '../utils/translations';
 import { supabase } from '../lib/supabase';
-import { getWalletBalance, deductFromWallet } from '../lib/stripe';
-import { SERVICE_PRICES } from '../utils/pricing';
-import { addDaysToDateString, getDayOfWeekFromDateString, sydneyDateTimeToUTC } from '../utils/timezone';
+import { getWalletBalance } from '../lib/stripe';
+import { bookLessons, quoteLessons, BOOKING_ERROR_CODES } from '../lib/bookings';
+import { addDaysToDateString, getDayOfWeekFromDateString, zonedDateTimeToUTC } from '../utils/timezone';
 
 // Four services: name (stored in DB), duration in hours. Duration drives end_time to satisfy bookings_minimum_duration.
 const ASSIGN_SERVICES = [
@@ -37,6 +37,15 @@ const DAY_KEYS = [
   { key: 'saturday', label: 'Sat', jsDow: 6 },
 ];
 
+// Typed date (YYYY-MM-DD) and time (HH:mm) in academy local time → Date, or null if either is malformed
+const parseLessonStart = (dateStr, timeStr) => {
+  const date = dateStr.trim();
+  const time = timeStr.trim().match(/^(\d{1,2}):(\d{2})$/);
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || !time) return null;
+  const start = new Date(zonedDateTimeToUTC(date, Number(time[1]), Number(time[2])));
+  return isNaN(start.getTime()) ? null : start;
+};
+
 // Calendar button - opens modal (avoids inline calendar formatting issues)
 const CalendarDatePicker = ({ value, onChange, placeholder, onOpen }) => {
   const formatDate = (dateStr) => {
@@ -267,12 +276,27 @@ export default function AdminAssignLessonModal({ visible, onClose, onAssigned })
   const selectedStudent = students.find((s) => s.id === selectedStudentId);
   const selectedLocation = locations.find((l) => l.id === locationId);
 
-  const handleSelectService = (id) => {
+  // Pre-fill the cost with the student's pricing_rules quote once the lesson is known
+  const handleSelectService = async (id) => {
     setSelectedServiceId(id);
     const svc = ASSIGN_SERVICES.find((s) => s.id === id);
-    if (svc && (cost === '' || cost === undefined)) {
-      const price = SERVICE_PRICES[svc.name];
-      if (typeof price === 'number') setCost(String(price));
+    if (!svc || (cost !== '' && cost !== undefined)) return;
+    if (!selectedStudentId || !locationId || !dateStr.trim() || !timeStr.trim()) return;
+    const start = parseLessonStart(dateStr, timeStr);
+    if (!start) return;
+    try {
+      const quote = await quoteLessons({
+        userId: selectedStudentId,
+        segments: [{
+          locationId,
+          startTime: start.toISOString(),
+          endTime: new Date(start.getTime() + svc.durationHours * 60 * 60 * 1000).toISOString(),
+          serviceName: svc.name,
+        }],
+      });
+      if (quote.success) setCost(String(quote.total));
+    } catch (e) {
+      console.warn('Could not load lesson price:', e);
     }
   };
 
@@ -304,8 +328,8 @@ export default function AdminAssignLessonModal({ visible, onClose, onAssigned })
       setSubmitting(true);
       const svc = ASSIGN_SERVICES.find((s) => s.id === selectedServiceId);
       const durationMs = (svc?.durationHours || 1) * 60 * 60 * 1000;
-      const start = new Date(`${dateStr}T${timeStr}:00`);
-      if (isNaN(start.getTime())) {
+      const start = parseLessonStart(dateStr, timeStr);
+      if (!start) {
         setError(t('assignLessonInvalidDateTime') || 'Invalid date or time');
         return;
       }
@@ -313,40 +337,27 @@ export default function AdminAssignLessonModal({ visible, onClose, onAssigned })
       const startTime = start.toISOString();
       const endTime = end.toISOString();
 
-      if (costNum > 0) {
-        const balance = await getWalletBalance(selectedStudentId);
-        if (balance < costNum) {
+      const booking = await bookLessons({
+        userId: selectedStudentId,
+        segments: [{
+          locationId,
+          startTime,
+          endTime,
+          serviceName: svc?.name || null,
+          cost: costNum,
+        }],
+      });
+
+      if (!booking.success) {
+        if (booking.code === BOOKING_ERROR_CODES.INSUFFICIENT_BALANCE) {
           setError(
             (t('assignLessonInsufficientBalance') || 'Insufficient balance')
-              .replace('{{balance}}', balance.toFixed(2))
+              .replace('{{balance}}', (booking.balance || 0).toFixed(2))
               .replace('{{cost}}', costNum.toFixed(2))
           );
           return;
         }
-        await deductFromWallet(selectedStudentId, costNum);
-      }
-
-      const { error: insertErr } = await supabase.from('bookings').insert({
-        user_id: selectedStudentId,
-        location_id: locationId,
-        start_time: startTime,
-        end_time: endTime,
-        credit_cost: costNum,
-        service_name: svc?.name || null,
-      });
-
-      if (insertErr) {
-        if (costNum > 0) {
-          try {
-            await supabase.rpc('add_wallet_balance', {
-              user_id: selectedStudentId,
-              amount: costNum,
-            });
-          } catch (refundErr) {
-            console.error('Refund failed after insert error:', refundErr);
-          }
-        }
-        throw insertErr;
+        throw new Error(booking.message);
       }
 
       setResult({
@@ -425,7 +436,7 @@ export default function AdminAssignLessonModal({ visible, onClose, onAssigned })
           for (let m = startMinutes; m + durationHours * 60 <= endMinutes; m += durationHours * 60) {
             const h = Math.floor(m / 60);
             const min = m % 60;
-            const startISO = sydneyDateTimeToUTC(current, h, min);
+            const startISO = zonedDateTimeToUTC(current, h, min);
             const startDate = new Date(startISO);
             const endDate = new Date(startDate.getTime() + durationHours * 60 * 60 * 1000);
             slots.push({ startTime: startISO, endTime: endDate.toISOString() });
@@ -454,26 +465,20 @@ export default function AdminAssignLessonModal({ visible, onClose, onAssigned })
       let created = 0;
       let failed = 0;
       for (const slot of slots) {
-        if (costNum > 0) {
-          await deductFromWallet(selectedStudentId, costNum);
-        }
-        const { error: insertErr } = await supabase.from('bookings').insert({
-          user_id: selectedStudentId,
-          location_id: locationId,
-          start_time: slot.startTime,
-          end_time: slot.endTime,
-          credit_cost: costNum,
-          service_name: svc?.name || null,
+        const booking = await bookLessons({
+          userId: selectedStudentId,
+          segments: [{
+            locationId,
+            startTime: slot.startTime,
+            endTime: slot.endTime,
+            serviceName: svc?.name || null,
+            cost: costNum,
+          }],
         });
-        if (insertErr) {
-          failed++;
-          if (costNum > 0) {
-            try {
-              await supabase.rpc('add_wallet_balance', { user_id: selectedStudentId, amount: costNum });
-            } catch {}
-          }
-        } else {
+        if (booking.success) {
           created++;
+        } else {
+          failed++;
         }
       }
       setResult({
@@ -1,7 +1,7 @@
 import React, { useEffect } from 'react';
 import { View, Text, TouchableOpacity, StyleSheet, Platform, ScrollView } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
-import { utcToSydneyDate, utcToSydneyTime, sydneyDateTimeToUTC, getSydneyToday, getDayOfWeekFromDateString, addDaysToDateString } from '../utils/timezone';
+import { utcToZonedDate, utcToZonedTime, zonedDateTimeToUTC, getZonedToday, getDayOfWeekFromDateString, addDaysToDateString } from '../utils/timezone';
 
 // Custom calendar grid component
 export default function AvailabilityCalendar({
@@ -39,9 +39,9 @@ export default function AvailabilityCalendar({
     timeSlots.push(`${hour.toString().padStart(2, '0')}:30`);
   }
 
-  // Calculate week dates based on selectedDate (selectedDate is in Sydney local time)
+  // Calculate week dates based on selectedDate (selectedDate is in academy local time)
   const getWeekDates = () => {
-    // Get day of week using utility function (treats date as Sydney local)
+    // Get day of week using utility function (treats date as academy local)
     const dayOfWeek = getDayOfWeekFromDateString(selectedDate);
     
     // Calculate start of week (Sunday = 0) by subtracting days
@@ -60,13 +60,13 @@ export default function AvailabilityCalendar({
   const weekDates = getWeekDates();
 
   const getSlotStatus = (date, time) => {
-    // date and time are in Sydney local time format
-    // Convert slot to UTC for past check, and convert availabilities from UTC to Sydney for matching
+    // date and time are in academy local time format
+    // Convert slot to UTC for past check, and convert availabilities from UTC to academy local time for matching
     const [year, month, day] = date.split('-').map(Number);
     const [hours, minutes] = time.split(':').map(Number);
     
-    // Convert Sydney local slot time to UTC for "past" check
-    const slotUTC = sydneyDateTimeToUTC(date, hours, minutes);
+    // Convert academy local slot time to UTC for "past" check
+    const slotUTC = zonedDateTimeToUTC(date, hours, minutes);
     const slotDateTime = new Date(slotUTC);
     const now = new Date();
     
@@ -76,15 +76,15 @@ export default function AvailabilityCalendar({
     }
     
     // Check if slot has availability - find ALL matching availabilities
-    // Convert UTC availabilities to Sydney local time for matching
+    // Convert UTC availabilities to academy local time for matching
     const matchingAvailabilities = availabilities.filter((av) => {
       const avStart = new Date(av.start_time);
       
-      // Convert UTC to Sydney local date and time
-      const avDateStr = utcToSydneyDate(av.start_time);
-      const avTimeStr = utcToSydneyTime(av.start_time);
+      // Convert UTC to academy local date and time
+      const avDateStr = utcToZonedDate(av.start_time);
+      const avTimeStr = utcToZonedTime(av.start_time);
       
-      // Match date and time exactly (both in Sydney local time)
+      // Match date and time exactly (both in academy local time)
       const matchesDate = avDateStr === date;
       const matchesTime = avTimeStr === time;
       
@@ -122,9 +122,9 @@ export default function AvailabilityCalendar({
   // Get booking count for a slot
   const getBookingCount = (date, time) => {
     const matchingAvailabilities = availabilities.filter((av) => {
-      // Convert UTC to Sydney local time for matching
-      const avDateStr = utcToSydneyDate(av.start_time);
-      const avTimeStr = utcToSydneyTime(av.start_time);
+      // Convert UTC to academy local time for matching
+      const avDateStr = utcToZonedDate(av.start_time);
+      const avTimeStr = utcToZonedTime(av.start_time);
       
       const matchesDate = avDateStr === date;
       const matchesTime = avTimeStr === time;
@@ -142,9 +142,9 @@ export default function AvailabilityCalendar({
   // Get max capacity for a slot
   const getMaxCapacity = (date, time) => {
     const matchingAvailabilities = availabilities.filter((av) => {
-      // Convert UTC to Sydney local time for matching
-      const avDateStr = utcToSydneyDate(av.start_time);
-      const avTimeStr = utcToSydneyTime(av.start_time);
+      // Convert UTC to academy local time for matching
+      const avDateStr = utcToZonedDate(av.start_time);
+      const avTimeStr = utcToZonedTime(av.start_time);
       
       const matchesDate = avDateStr === date;
       const matchesTime = avTimeStr === time;
@@ -178,9 +178,9 @@ export default function AvailabilityCalendar({
   // Returns the first matching availability (prioritizes booked if multiple exist)
   const getAvailabilityForSlot = (date, time) => {
     const matching = availabilities.filter((av) => {
-      // Convert UTC to Sydney local time for matching
-      const avDateStr = utcToSydneyDate(av.start_time);
-      const avTimeStr = utcToSydneyTime(av.start_time);
+      // Convert UTC to academy local time for matching
+      const avDateStr = utcToZonedDate(av.start_time);
+      const avTimeStr = utcToZonedTime(av.start_time);
       
       return (
         avDateStr === date &&
@@ -197,9 +197,9 @@ export default function AvailabilityCalendar({
   // Get count of availabilities for a slot (to show multiple locations)
   const getAvailabilityCount = (date, time) => {
     const matching = availabilities.filter((av) => {
-      // Convert UTC to Sydney local time for matching
-      const avDateStr = utcToSydneyDate(av.start_time);
-      const avTimeStr = utcToSydneyTime(av.start_time);
+      // Convert UTC to academy local time for matching
+      const avDateStr = utcToZonedDate(av.start_time);
+      const avTimeStr = utcToZonedTime(av.start_time);
       
       return (
         avDateStr === date &&
@@ -212,10 +212,10 @@ export default function AvailabilityCalendar({
   };
 
   const handleSlotClick = (date, time) => {
-    // date and time are in Sydney local time
+    // date and time are in academy local time
     // Convert to UTC for database storage
     const [hours, minutes] = time.split(':').map(Number);
-    const slotUTC = sydneyDateTimeToUTC(date, hours, minutes);
+    const slotUTC = zonedDateTimeToUTC(date, hours, minutes);
     const status = getSlotStatus(date, time);
     
     if (status === 'past') return; // Can't click past slots
@@ -227,7 +227,7 @@ export default function AvailabilityCalendar({
       date,
       time,
       status,
-      datetime: slotUTC, // Already in ISO format from sydneyDateTimeToUTC
+      datetime: slotUTC, // Already in ISO format from zonedDateTimeToUTC
       availability: availability || null,
     });
   };
@@ -247,10 +247,10 @@ export default function AvailabilityCalendar({
         <View style={styles.calendarGrid}>
           {days.map((day, dayIndex) => {
             const dateStr = weekDates[dayIndex];
-            // Parse as Sydney local date string (YYYY-MM-DD)
+            // Parse as academy local date string (YYYY-MM-DD)
             const [year, month, dayNum] = dateStr.split('-').map(Number);
-            // Compare today in Sydney local time
-            const todayStr = getSydneyToday();
+            // Compare today in academy local time
+            const todayStr = getZonedToday();
             const isToday = dateStr === todayStr;
             const isSelected = dateStr === selectedDate;
 
@@ -10,6 +10,7 @@ import {
   Alert,
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
+import { getActiveTimeZone } from '../utils/timezone';
 
 export default function AvailabilityEditModal({
   visible,
@@ -143,12 +144,14 @@ export default function AvailabilityEditModal({
     const date = new Date(dateString);
     return {
       date: date.toLocaleDateString('en-US', {
+        timeZone: getActiveTimeZone(),
         weekday: 'short',
         month: 'short',
         day: 'numeric',
         year: 'numeric',
       }),
       time: date.toLocaleTimeString('en-US', {
+        timeZone: getActiveTimeZone(),
         hour: 'numeric',
         minute: '2-digit',
       }),
@@ -157,6 +160,7 @@ export default function AvailabilityEditModal({
 
   const dateTime = formatDateTime(availability.start_time);
   const endTime = new Date(availability.end_time).toLocaleTimeString('en-US', {
+    timeZone: getActiveTimeZone(),
     hour: 'numeric',
     minute: '2-digit',
   });
@@ -2,6 +2,7 @@ import React from 'react';
 import { View, Text, TouchableOpacity, StyleSheet } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import DashboardCard from './DashboardCard';
+import { getActiveTimeZone } from '../utils/timezone';
 
 export default function BookingCard({ booking, onBookLesson }) {
   if (!booking) {
@@ -27,6 +28,7 @@ export default function BookingCard({ booking, onBookLesson }) {
   const formatDate = (dateString) => {
     const date = new Date(dateString);
     return date.toLocaleDateString('en-US', {
+      timeZone: getActiveTimeZone(),
       weekday: 'long',
       month: 'long',
       day: 'numeric',
@@ -36,6 +38,7 @@ export default function BookingCard({ booking, onBookLesson }) {
   const formatTime = (dateString) => {
     const date = new Date(dateString);
     return date.toLocaleTimeString('en-US', {
+      timeZone: getActiveTimeZone(),
       hour: 'numeric',
       minute: '2-digit',
     });
@@ -0,0 +1,387 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  Modal,
+  TouchableOpacity,
+  StyleSheet,
+  TextInput,
+  ScrollView,
+  Platform,
+  ActivityIndicator,
+  Dimensions,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useLanguage } from '../contexts/LanguageContext';
+import { useAcademy } from '../contexts/AcademyContext';
+import { getTranslation } from '../utils/translations';
+import { utcToZonedDate, utcToZonedTime } from '../utils/timezone';
+import { checkPromoCode } from '../lib/promoCodes';
+
+const { width: SCREEN_WIDTH } = Dimensions.get('window');
+const isMobile = Platform.OS !== 'web' || SCREEN_WIDTH <= 480;
+
+/**
+ * Last step before a one-off booking is paid: the priced lessons, an optional
+ * promo code and the total. onConfirm receives the applied promo
+ * ({ code, discount, total, segments }) or null.
+ *
+ * segments: quoteLessons segments ({ startTime, endTime, serviceName, cost, items })
+ */
+export default function BookingConfirmModal({ visible, segments = [], total = 0, confirming = false, onConfirm, onClose }) {
+  const { language } = useLanguage();
+  const { formatMoney } = useAcademy();
+  const t = (key) => getTranslation(language, key);
+  const [promoInput, setPromoInput] = useState('');
+  const [appliedPromo, setAppliedPromo] = useState(null);
+  const [promoError, setPromoError] = useState('');
+  const [promoChecking, setPromoChecking] = useState(false);
+
+  // Each confirmation starts without a code
+  useEffect(() => {
+    if (visible) {
+      setPromoInput('');
+      setAppliedPromo(null);
+      setPromoError('');
+    }
+  }, [visible]);
+
+  const handleApplyPromo = async () => {
+    if (!promoInput.trim()) return;
+    try {
+      setPromoChecking(true);
+      setPromoError('');
+      const result = await checkPromoCode({ code: promoInput.trim(), segments });
+      if (!result.success) {
+        setPromoError(result.message);
+        return;
+      }
+      setAppliedPromo(result);
+    } catch (error) {
+      setPromoError(t('promoCheckFailed'));
+    } finally {
+      setPromoChecking(false);
+    }
+  };
+
+  const handleRemovePromo = () => {
+    setAppliedPromo(null);
+    setPromoInput('');
+    setPromoError('');
+  };
+
+  const payable = appliedPromo ? appliedPromo.total : total;
+
+  return (
+    <Modal visible={visible} transparent={true} animationType="fade" onRequestClose={onClose}>
+      <View style={styles.overlay}>
+        <View style={styles.container}>
+          <View style={styles.header}>
+            <Text style={styles.title}>{t('confirmBooking')}</Text>
+            <TouchableOpacity onPress={onClose} style={styles.closeButton} disabled={confirming}>
+              <Ionicons name="close" size={24} color="#64748B" />
+            </TouchableOpacity>
+          </View>
+
+          <ScrollView style={styles.lessonList}>
+            {segments.map((seg, index) => {
+              const discount = appliedPromo?.segments?.[index]?.discount || 0;
+              return (
+                <View key={`${seg.locationId}-${seg.startTime}`} style={styles.lesson}>
+                  <View style={styles.lessonHeader}>
+                    <Text style={styles.lessonTitle}>{seg.serviceName || t('lesson')}</Text>
+                    <Text style={styles.lessonCost}>{formatMoney(seg.cost)}</Text>
+                  </View>
+                  <Text style={styles.lessonTime}>
+                    {utcToZonedDate(seg.startTime)} · {utcToZonedTime(seg.startTime)} – {utcToZonedTime(seg.endTime)}
+                  </Text>
+                  {(seg.items || []).length > 1 && seg.items.map((item, itemIndex) => (
+                    <View key={itemIndex} style={styles.itemRow}>
+                      <Text style={styles.itemLabel}>{item.label}</Text>
+                      <Text style={styles.itemLabel}>{formatMoney(item.amount)}</Text>
+                    </View>
+                  ))}
+                  {discount > 0 && (
+                    <View style={styles.itemRow}>
+                      <Text style={styles.discountText}>{appliedPromo.code}</Text>
+                      <Text style={styles.discountText}>{formatMoney(-discount)}</Text>
+                    </View>
+                  )}
+                </View>
+              );
+            })}
+          </ScrollView>
+
+          <Text style={styles.sectionTitle}>{t('promoCode')}</Text>
+          {appliedPromo ? (
+            <View style={styles.promoApplied}>
+              <Ionicons name="pricetag" size={16} color="#0D9488" />
+              <Text style={styles.promoAppliedText}>
+                {appliedPromo.code}{appliedPromo.description ? ` · ${appliedPromo.description}` : ''}
+              </Text>
+              <TouchableOpacity onPress={handleRemovePromo} disabled={confirming}>
+                <Text style={styles.promoRemoveText}>{t('removePromo')}</Text>
+              </TouchableOpacity>
+            </View>
+          ) : (
+            <View style={styles.promoRow}>
+              <TextInput
+                style={styles.promoInput}
+                placeholder={t('enterPromoCode')}
+                placeholderTextColor="#9CA3AF"
+                value={promoInput}
+                onChangeText={(text) => {
+                  setPromoInput(text.toUpperCase());
+                  setPromoError('');
+                }}
+                autoCapitalize="characters"
+                autoCorrect={false}
+                editable={!confirming && !promoChecking}
+              />
+              <TouchableOpacity
+                style={[styles.promoApplyButton, (!promoInput.trim() || promoChecking) && styles.buttonDisabled]}
+                onPress={handleApplyPromo}
+                disabled={!promoInput.trim() || promoChecking || confirming}
+              >
+                {promoChecking ? (
+                  <ActivityIndicator color="#0D9488" size="small" />
+                ) : (
+                  <Text style={styles.promoApplyText}>{t('applyPromo')}</Text>
+                )}
+              </TouchableOpacity>
+            </View>
+          )}
+          {!!promoError && <Text style={styles.promoErrorText}>{promoError}</Text>}
+
+          <View style={styles.totals}>
+            {appliedPromo && (
+              <View style={styles.totalRow}>
+                <Text style={styles.totalLabel}>{t('promoDiscount')}</Text>
+                <Text style={styles.discountText}>{formatMoney(-appliedPromo.discount)}</Text>
+              </View>
+            )}
+            <View style={styles.totalRow}>
+              <Text style={styles.totalLabel}>{t('total')}</Text>
+              <Text style={styles.totalValue}>{formatMoney(payable)}</Text>
+            </View>
+          </View>
+
+          <View style={styles.buttonRow}>
+            <TouchableOpacity
+              style={[styles.cancelButton, confirming && styles.buttonDisabled]}
+              onPress={onClose}
+              disabled={confirming}
+            >
+              <Text style={styles.cancelButtonText}>{t('cancel')}</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={[styles.confirmButton, confirming && styles.buttonDisabled]}
+              onPress={() => onConfirm(appliedPromo)}
+              disabled={confirming || promoChecking}
+            >
+              {confirming ? (
+                <ActivityIndicator color="#FFFFFF" />
+              ) : (
+                <Text style={styles.confirmButtonText}>{t('confirmAndPay')}</Text>
+              )}
+            </TouchableOpacity>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 20,
+  },
+  container: {
+    backgroundColor: '#FFFFFF',
+    borderRadius: isMobile ? 20 : 24,
+    padding: isMobile ? 20 : 24,
+    width: '100%',
+    maxWidth: 480,
+    maxHeight: '90%',
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: isMobile ? 16 : 20,
+  },
+  title: {
+    fontSize: isMobile ? 20 : 22,
+    fontWeight: '700',
+    color: '#111827',
+  },
+  closeButton: {
+    padding: 4,
+  },
+  lessonList: {
+    maxHeight: 260,
+    marginBottom: isMobile ? 16 : 20,
+  },
+  lesson: {
+    backgroundColor: '#F9FAFB',
+    borderRadius: 12,
+    padding: isMobile ? 12 : 14,
+    marginBottom: 8,
+  },
+  lessonHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  lessonTitle: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#111827',
+  },
+  lessonCost: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#111827',
+  },
+  lessonTime: {
+    fontSize: 13,
+    color: '#6B7280',
+    marginTop: 2,
+  },
+  itemRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginTop: 4,
+  },
+  itemLabel: {
+    fontSize: 12,
+    color: '#6B7280',
+  },
+  discountText: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#0D9488',
+  },
+  sectionTitle: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#374151',
+    marginBottom: 8,
+  },
+  promoRow: {
+    flexDirection: 'row',
+    gap: 8,
+  },
+  promoInput: {
+    flex: 1,
+    borderWidth: 2,
+    borderColor: '#E5E7EB',
+    borderRadius: 10,
+    paddingHorizontal: 14,
+    paddingVertical: 10,
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#111827',
+    backgroundColor: '#F9FAFB',
+    ...(Platform.OS === 'web' && {
+      outlineStyle: 'none',
+    }),
+  },
+  promoApplyButton: {
+    paddingHorizontal: 16,
+    borderRadius: 10,
+    borderWidth: 2,
+    borderColor: '#0D9488',
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  promoApplyText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#0D9488',
+  },
+  promoApplied: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+    padding: 12,
+    borderRadius: 10,
+    backgroundColor: 'rgba(13, 148, 136, 0.1)',
+  },
+  promoAppliedText: {
+    flex: 1,
+    fontSize: 14,
+    fontWeight: '700',
+    color: '#0D9488',
+  },
+  promoRemoveText: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#64748B',
+  },
+  promoErrorText: {
+    fontSize: 12,
+    color: '#DC2626',
+    marginTop: 6,
+  },
+  totals: {
+    borderTopWidth: 1,
+    borderTopColor: '#E5E7EB',
+    marginTop: isMobile ? 16 : 20,
+    paddingTop: 12,
+    gap: 6,
+  },
+  totalRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  totalLabel: {
+    fontSize: 14,
+    color: '#6B7280',
+  },
+  totalValue: {
+    fontSize: 20,
+    fontWeight: '700',
+    color: '#111827',
+  },
+  buttonRow: {
+    flexDirection: 'row',
+    gap: 10,
+    marginTop: isMobile ? 16 : 20,
+  },
+  cancelButton: {
+    flex: 1,
+    paddingVertical: 14,
+    borderRadius: 12,
+    borderWidth: 2,
+    borderColor: '#E5E7EB',
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  cancelButtonText: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#374151',
+  },
+  confirmButton: {
+    flex: 2,
+    paddingVertical: 14,
+    borderRadius: 12,
+    backgroundColor: '#0D9488',
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  confirmButtonText: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#FFFFFF',
+  },
+  buttonDisabled: {
+    opacity: 0.5,
+  },
+});
@@ -10,6 +10,7 @@ import {
   ActivityIndicator,
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
+import { getActiveTimeZone } from '../utils/timezone';
 
 export default function BookingDetailsModal({
   visible,
@@ -21,6 +22,7 @@ export default function BookingDetailsModal({
   const formatDate = (dateString) => {
     const date = new Date(dateString);
     return date.toLocaleDateString('en-US', {
+      timeZone: getActiveTimeZone(),
       weekday: 'short',
       month: 'short',
       day: 'numeric',
@@ -31,6 +33,7 @@ export default function BookingDetailsModal({
   const formatTime = (dateString) => {
     const date = new Date(dateString);
     return date.toLocaleTimeString('en-US', {
+      timeZone: getActiveTimeZone(),
       hour: 'numeric',
       minute: '2-digit',
     });
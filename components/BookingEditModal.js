@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import {
   View,
   Text,
@@ -12,27 +12,10 @@ import {
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import { useLanguage } from '../contexts/LanguageContext';
-import { getTranslation } from '../utils/translations';
-import { supabase, SUPABASE_URL, SUPABASE_ANON_KEY } from '../lib/supabase';
-
-/**
- * Check if cancellation is within the free cancellation window
- * Free cancellation is allowed before 12pm (noon) the day before the booking
- * @param {string} bookingStartTime - ISO string of booking start time
- * @returns {boolean} - true if free cancellation is allowed
- */
-const isFreeCancellationAllowed = (bookingStartTime) => {
-  const bookingDate = new Date(bookingStartTime);
-  const now = new Date();
-  
-  // Get the day before the booking at 12pm (noon)
-  const cancellationDeadline = new Date(bookingDate);
-  cancellationDeadline.setDate(cancellationDeadline.getDate() - 1);
-  cancellationDeadline.setHours(12, 0, 0, 0);
-  
-  // Free cancellation is allowed if current time is before the deadline
-  return now < cancellationDeadline;
-};
+import { useAcademy } from '../contexts/AcademyContext';
+import { t as tWithParams } from '../utils/translations';
+import { supabase } from '../lib/supabase';
+import { getCancellationQuote, cancelBookingWithRefund } from '../lib/bookings';
 
 export default function BookingEditModal({
   visible,
@@ -41,10 +24,14 @@ export default function BookingEditModal({
   onBookingCancelled, // Optional callback when booking is cancelled
 }) {
   const { language } = useLanguage();
-  const t = (key) => getTranslation(language, key);
-  const [requestType, setRequestType] = useState(null); // 'cancel' or 'raincheck'
+  const { formatMoney } = useAcademy();
+  const t = (key, params) => tWithParams(language, key, params || {});
+  const [requestType, setRequestType] = useState(null); // 'cancel', 'review' or 'raincheck'
   const [reason, setReason] = useState('');
   const [loading, setLoading] = useState(false);
+  // Refund the student would get right now under the cancellation refund tiers
+  const [quote, setQuote] = useState(null);
+  const [quoteLoading, setQuoteLoading] = useState(false);
   const [resultModal, setResultModal] = useState({
     visible: false,
     success: false,
@@ -53,12 +40,40 @@ export default function BookingEditModal({
     isCancellation: false,
   });
 
-  // Check if free cancellation is available for this booking
-  const freeCancellationAvailable = booking ? isFreeCancellationAllowed(booking.start_time) : false;
+  useEffect(() => {
+    if (!visible || !booking?.id) return;
+    let active = true;
+    setQuote(null);
+    setQuoteLoading(true);
+    getCancellationQuote(booking.id)
+      .then((result) => {
+        if (active) setQuote(result);
+      })
+      .catch(() => {})
+      .finally(() => {
+        if (active) setQuoteLoading(false);
+      });
+    return () => {
+      active = false;
+    };
+  }, [visible, booking?.id]);
+
+  const refundPercent = quote?.refundPercent ?? 0;
+  const fullRefund = !!quote && refundPercent >= 100;
+
+  const formatRefundTier = (tier, index, tiers) => {
+    if (tier.hoursBefore > 0) {
+      return t('refundTierAtLeast', { hours: tier.hoursBefore, percent: tier.refundPercent });
+    }
+    const previous = tiers[index - 1];
+    return previous
+      ? t('refundTierUnder', { hours: previous.hoursBefore, percent: tier.refundPercent })
+      : t('refundTierAnyTime', { percent: tier.refundPercent });
+  };
 
   const handleResultModalClose = () => {
     const wasSuccess = resultModal.success;
-    const wasCancellation = resultModal.title === t('cancelled') || resultModal.title.includes('Cancelled');
+    const wasCancellation = resultModal.isCancellation;
     
     // First just hide the modal, keep other state to prevent icon flash
     setResultModal(prev => ({ ...prev, visible: false }));
@@ -78,169 +93,87 @@ export default function BookingEditModal({
 
   const handleCancelRequest = async () => {
     if (!reason.trim()) {
-      Alert.alert('Reason Required', 'Please provide a reason for cancellation.');
+      Alert.alert(t('reasonRequired'), t('provideReasonCancellation'));
       return;
     }
 
     try {
       setLoading(true);
 
-      if (freeCancellationAvailable) {
-        // Fetch full booking from DB to ensure we have coach_id (parent may pass incomplete data)
-        const { data: fullBooking, error: fetchErr } = await supabase
-          .from('bookings')
-          .select(`
-            id,
-            user_id,
-            coach_id,
-            location_id,
-            start_time,
-            end_time,
-            service_name,
-            credit_cost,
-            academy_id,
-            locations:location_id (name)
-          `)
-          .eq('id', booking.id)
-          .single();
-
-        if (fetchErr || !fullBooking) {
-          throw new Error('Could not load booking details. Please try again.');
-        }
-
-        const creditCost = parseFloat(fullBooking.credit_cost) || 0;
-        const userId = fullBooking.user_id;
-        const locationName = fullBooking.locations?.name || null;
-
-        // 1. Insert into user_cancellation_history before deleting (for history + notifications)
-        const { error: histErr } = await supabase.from('user_cancellation_history').insert({
-          original_booking_id: fullBooking.id,
-          user_id: userId,
-          coach_id: fullBooking.coach_id ?? null,
-          location_id: fullBooking.location_id ?? null,
-          location_name: locationName,
-          start_time: fullBooking.start_time,
-          end_time: fullBooking.end_time,
-          service_name: fullBooking.service_name ?? null,
-          credit_cost: creditCost,
-          reason: reason.trim(),
-          academy_id: fullBooking.academy_id ?? null,
-        });
-        if (histErr) console.warn('user_cancellation_history insert failed (continuing):', histErr);
-
-        // 2. Free cancellation - directly delete the booking
-        const { error: deleteError } = await supabase
-          .from('bookings')
-          .delete()
-          .eq('id', fullBooking.id);
-
-        if (deleteError) throw deleteError;
-
-        // 3. Notify admin and coach (fire-and-forget)
-        try {
-          const smsRes = await fetch(`${SUPABASE_URL}/functions/v1/send-user-cancellation-sms`, {
-            method: 'POST',
-            headers: {
-              'Content-Type': 'application/json',
-              Authorization: `Bearer ${SUPABASE_ANON_KEY}`,
-            },
-            body: JSON.stringify({
-              item: {
-                user_id: userId,
-                location_name: locationName || 'Unknown location',
-                start_time: fullBooking.start_time,
-                coach_id: fullBooking.coach_id ?? null,
-              },
-            }),
-          });
-          const smsText = await smsRes.text();
-          if (!smsRes.ok) {
-            console.warn('User cancellation SMS failed:', smsRes.status, smsText);
-          } else {
-            try {
-              const smsData = JSON.parse(smsText);
-              if (smsData?.sent === 0) {
-                console.warn('User cancellation SMS: no messages sent. Check ADMIN_PHONE and coach profiles.phone (E.164).', smsData);
-              }
-            } catch (_) {}
-          }
-        } catch (smsErr) {
-          console.warn('User cancellation SMS request error:', smsErr);
-        }
-
-        // Refund credits to user's wallet if booking had a cost
-        if (creditCost > 0 && userId) {
-          try {
-            const { data: refundData, error: refundError } = await supabase.rpc('add_wallet_balance', {
-              user_id: userId,
-              amount: creditCost,
-            });
-
-            if (refundError) {
-              console.error('Error refunding credits:', refundError);
-              setResultModal({
-                visible: true,
-                success: false,
-                title: t('partialSuccess'),
-                message: t('bookingCancelledRefundFailed'),
-              });
-              return;
-            }
-
-            console.log('Credits refunded successfully:', refundData);
-            setResultModal({
-              visible: true,
-              success: true,
-              title: t('cancelled'),
-              message: t('bookingCancelledRefundSuccess'),
-              isCancellation: true,
-            });
-          } catch (refundError) {
-            console.error('Error refunding credits:', refundError);
-            setResultModal({
-              visible: true,
-              success: false,
-              title: t('partialSuccess'),
-              message: t('bookingCancelledRefundFailed'),
-            });
-          }
-        } else {
-          // No cost to refund
-          setResultModal({
-            visible: true,
-            success: true,
-            title: t('cancelled'),
-            message: t('bookingCancelledSuccess'),
-            isCancellation: true,
-          });
-        }
-      } else {
-        // Late cancellation - requires admin approval
-        // Get current authenticated user
-        const { data: { user } } = await supabase.auth.getUser();
-        if (!user) {
-          throw new Error('You must be signed in to submit a cancellation request.');
-        }
-
-        const { error } = await supabase
-          .from('booking_requests')
-          .insert({
-            booking_id: booking.id,
-            requested_by: user.id, // Required field - user who made the request
-            request_type: 'cancel',
-            reason: reason.trim(),
-            status: 'pending',
-          });
-
-        if (error) throw error;
+      // The RPC works out the refund from the tiers, refunds the wallet,
+      // records the cancellation and offers the place to the waitlist
+      const result = await cancelBookingWithRefund({
+        bookingId: booking.id,
+        reason: reason.trim(),
+      });
 
+      if (!result.success) {
         setResultModal({
           visible: true,
-          success: true,
-          title: t('requestSubmitted'),
-          message: t('cancelRequestSubmittedMessage'),
+          success: false,
+          title: t('error'),
+          message: result.message,
         });
+        return;
       }
+
+      setResultModal({
+        visible: true,
+        success: true,
+        title: t('cancelled'),
+        message: result.packLessonReturned
+          ? t('bookingCancelledPackLesson')
+          : result.refundAmount > 0
+            ? t('bookingCancelledRefundAmount', { amount: formatMoney(result.refundAmount) })
+            : t('bookingCancelledSuccess'),
+        isCancellation: true,
+      });
+    } catch (error) {
+      console.error('Error cancelling booking:', error);
+      setResultModal({
+        visible: true,
+        success: false,
+        title: t('error'),
+        message: t('failedToProcessCancellation'),
+      });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Ask an admin to cancel instead; they can refund more than the policy in BookingRequestsModal
+  const handleReviewRequest = async () => {
+    if (!reason.trim()) {
+      Alert.alert(t('reasonRequired'), t('provideReasonCancellation'));
+      return;
+    }
+
+    try {
+      setLoading(true);
+
+      const { data: { user } } = await supabase.auth.getUser();
+      if (!user) {
+        throw new Error('You must be signed in to submit a cancellation request.');
+      }
+
+      const { error } = await supabase
+        .from('booking_requests')
+        .insert({
+          booking_id: booking.id,
+          requested_by: user.id, // Required field - user who made the request
+          request_type: 'cancel',
+          reason: reason.trim(),
+          status: 'pending',
+        });
+
+      if (error) throw error;
+
+      setResultModal({
+        visible: true,
+        success: true,
+        title: t('requestSubmitted'),
+        message: t('cancelRequestSubmittedMessage'),
+      });
     } catch (error) {
       console.error('Error submitting cancel request:', error);
       setResultModal({
@@ -369,38 +302,69 @@ export default function BookingEditModal({
           <ScrollView style={styles.content} showsVerticalScrollIndicator={false}>
             {!requestType ? (
               <>
-                <Text style={styles.subtitle}>Select an option:</Text>
+                <Text style={styles.subtitle}>{t('selectAnOption')}</Text>
                 
                 <TouchableOpacity
-                  style={styles.optionButton}
+                  style={[styles.optionButton, quoteLoading && styles.submitButtonDisabled]}
                   onPress={() => setRequestType('cancel')}
+                  disabled={quoteLoading || !quote}
                 >
-                  <View style={[styles.optionIconContainer, freeCancellationAvailable && styles.optionIconContainerGreen]}>
+                  <View style={[styles.optionIconContainer, fullRefund && styles.optionIconContainerGreen]}>
                     <Ionicons 
-                      name={freeCancellationAvailable ? "checkmark-circle-outline" : "close-circle-outline"} 
+                      name={fullRefund ? "checkmark-circle-outline" : "close-circle-outline"} 
                       size={24} 
-                      color={freeCancellationAvailable ? "#34C759" : "#FF3B30"} 
+                      color={fullRefund ? "#34C759" : "#FF3B30"} 
                     />
                   </View>
                   <View style={styles.optionContent}>
-                    <Text style={styles.optionTitle}>
-                      {freeCancellationAvailable ? 'Cancel Booking' : 'Cancel Request'}
-                    </Text>
+                    <Text style={styles.optionTitle}>{t('cancelBooking')}</Text>
                     <Text style={styles.optionDescription}>
-                      {freeCancellationAvailable 
-                        ? 'Free cancellation available - cancel instantly without approval.'
-                        : 'Request to cancel this booking. Requires admin approval.'}
+                      {quoteLoading || !quote
+                        ? t('checkingRefund')
+                        : quote.packLesson
+                          ? t(fullRefund ? 'packLessonReturnDesc' : 'packLessonNoReturnDesc')
+                          : fullRefund
+                            ? t('freeCancelAvailableDesc')
+                            : refundPercent > 0
+                              ? t('partialRefundDesc', { amount: formatMoney(quote.refundAmount), percent: refundPercent })
+                              : t('noRefundDesc')}
                     </Text>
-                    {freeCancellationAvailable && (
+                    {fullRefund && (
                       <View style={styles.freeCancelBadge}>
                         <Ionicons name="time-outline" size={12} color="#34C759" />
-                        <Text style={styles.freeCancelBadgeText}>Free cancellation</Text>
+                        <Text style={styles.freeCancelBadgeText}>{t('freeCancellation')}</Text>
                       </View>
                     )}
                   </View>
                   <Ionicons name="chevron-forward" size={20} color="#8E8E93" />
                 </TouchableOpacity>
 
+                {!!quote && !fullRefund && (
+                  <TouchableOpacity
+                    style={styles.optionButton}
+                    onPress={() => setRequestType('review')}
+                  >
+                    <View style={styles.optionIconContainer}>
+                      <Ionicons name="chatbubble-ellipses-outline" size={24} color="#FF9500" />
+                    </View>
+                    <View style={styles.optionContent}>
+                      <Text style={styles.optionTitle}>{t('cancelRequest')}</Text>
+                      <Text style={styles.optionDescription}>{t('cancelRequestDesc')}</Text>
+                    </View>
+                    <Ionicons name="chevron-forward" size={20} color="#8E8E93" />
+                  </TouchableOpacity>
+                )}
+
+                {quote?.tiers.length > 0 && (
+                  <View style={styles.tierList}>
+                    <Text style={styles.tierListTitle}>{t('cancellationPolicy')}</Text>
+                    {quote.tiers.map((tier, index) => (
+                      <Text key={`${tier.hoursBefore}-${index}`} style={styles.tierListItem}>
+                        {formatRefundTier(tier, index, quote.tiers)}
+                      </Text>
+                    ))}
+                  </View>
+                )}
               </>
             ) : (
               <>
@@ -413,35 +377,44 @@ export default function BookingEditModal({
                 </TouchableOpacity>
 
                 <Text style={styles.subtitle}>
-                  {requestType === 'cancel' 
-                    ? (freeCancellationAvailable ? 'Cancel Booking' : 'Cancel Request') 
-                    : 'Rain Check Request'}
+                  {requestType === 'cancel'
+                    ? t('cancelBooking')
+                    : requestType === 'review'
+                      ? t('cancelRequest')
+                      : t('rainCheckRequest')}
                 </Text>
 
-                {requestType === 'cancel' && freeCancellationAvailable && (
+                {requestType === 'cancel' && refundPercent > 0 && (
                   <View style={styles.freeCancelNotice}>
                     <Ionicons name="checkmark-circle" size={20} color="#34C759" />
                     <Text style={styles.freeCancelNoticeText}>
-                      You're within the free cancellation window. Your booking will be cancelled immediately.
+                      {quote.packLesson
+                        ? t('packLessonReturnNotice')
+                        : t('refundNotice', { amount: formatMoney(quote.refundAmount), percent: refundPercent })}
                     </Text>
                   </View>
                 )}
 
-                {requestType === 'cancel' && !freeCancellationAvailable && (
+                {requestType === 'cancel' && refundPercent <= 0 && (
                   <View style={styles.lateCancelNotice}>
                     <Ionicons name="information-circle" size={20} color="#FF9500" />
-                    <Text style={styles.lateCancelNoticeText}>
-                      Free cancellation ends at 12pm the day before your booking. This request requires admin approval.
-                    </Text>
+                    <Text style={styles.lateCancelNoticeText}>{t('noRefundNotice')}</Text>
+                  </View>
+                )}
+
+                {requestType === 'review' && (
+                  <View style={styles.lateCancelNotice}>
+                    <Ionicons name="information-circle" size={20} color="#FF9500" />
+                    <Text style={styles.lateCancelNoticeText}>{t('reviewRequestNotice')}</Text>
                   </View>
                 )}
 
                 <Text style={styles.label}>
-                  Reason {requestType === 'cancel' ? 'for Cancellation' : 'for Rain Check'} *
+                  {requestType === 'raincheck' ? t('reasonForRainCheck') : t('reasonForCancellation')}
                 </Text>
                 <TextInput
                   style={styles.textInput}
-                  placeholder={`Please provide a reason ${requestType === 'cancel' ? 'for cancelling' : 'for the rain check'}...`}
+                  placeholder={requestType === 'raincheck' ? t('reasonPlaceholderRainCheck') : t('reasonPlaceholderCancel')}
                   value={reason}
                   onChangeText={setReason}
                   multiline
@@ -451,11 +424,19 @@ export default function BookingEditModal({
 
                 <TouchableOpacity
                   style={[styles.submitButton, loading && styles.submitButtonDisabled]}
-                  onPress={requestType === 'cancel' ? handleCancelRequest : handleRainCheckRequest}
+                  onPress={
+                    requestType === 'cancel'
+                      ? handleCancelRequest
+                      : requestType === 'review'
+                        ? handleReviewRequest
+                        : handleRainCheckRequest
+                  }
                   disabled={loading}
                 >
                   <Text style={styles.submitButtonText}>
-                    {loading ? 'Submitting...' : 'Submit Request'}
+                    {loading
+                      ? t('submitting')
+                      : requestType === 'cancel' ? t('cancelBooking') : t('submitRequest')}
                   </Text>
                 </TouchableOpacity>
               </>
@@ -615,6 +596,23 @@ const styles = StyleSheet.create({
     color: '#996300',
     lineHeight: 20,
   },
+  tierList: {
+    backgroundColor: '#F5F5F5',
+    borderRadius: 8,
+    padding: 12,
+    marginTop: 8,
+  },
+  tierListTitle: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#000',
+    marginBottom: 6,
+  },
+  tierListItem: {
+    fontSize: 13,
+    color: '#6B7280',
+    lineHeight: 20,
+  },
   optionContent: {
     flex: 1,
   },
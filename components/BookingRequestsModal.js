@@ -12,17 +12,31 @@ import {
   TextInput,
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
-import { supabase, SUPABASE_URL, SUPABASE_ANON_KEY } from '../lib/supabase';
+import { supabase } from '../lib/supabase';
+import { useAcademy } from '../contexts/AcademyContext';
+import {
+  approveRainCheck,
+  getCancellationQuote,
+  cancelBookingWithRefund,
+} from '../lib/bookings';
+import { getActiveTimeZone } from '../utils/timezone';
+
+// Refund overrides offered when approving a cancellation; null = the policy tier
+const REFUND_OPTIONS = [null, 100, 50, 0];
 
 export default function BookingRequestsModal({
   visible,
   onClose,
   onRequestProcessed,
 }) {
+  const { formatMoney } = useAcademy();
   const [requests, setRequests] = useState([]);
   const [loading, setLoading] = useState(true);
   const [processingId, setProcessingId] = useState(null);
   const [adminNotes, setAdminNotes] = useState({});
+  // Cancel requests: policy refund as of when the request was made, and the admin's override
+  const [refundQuotes, setRefundQuotes] = useState({});
+  const [refundChoices, setRefundChoices] = useState({});
 
   useEffect(() => {
     if (visible) {
@@ -73,6 +87,7 @@ export default function BookingRequestsModal({
           };
         });
         setRequests(requestsWithProfiles);
+        loadRefundQuotes(requestsWithProfiles);
         return;
       }
 
@@ -89,9 +104,59 @@ export default function BookingRequestsModal({
     }
   };
 
+  const loadRefundQuotes = async (pendingRequests) => {
+    const quotes = {};
+    await Promise.all(
+      pendingRequests
+        .filter((r) => r.request_type === 'cancel' && r.booking_id)
+        .map(async (r) => {
+          try {
+            quotes[r.id] = await getCancellationQuote(r.booking_id, r.created_at);
+          } catch (_) {
+            quotes[r.id] = null;
+          }
+        })
+    );
+    setRefundQuotes(quotes);
+  };
+
   const handleApprove = async (request) => {
     try {
       setProcessingId(request.id);
+
+      if (request.request_type === 'raincheck') {
+        // The RPC marks the request approved, cancels the booking, refunds it
+        // and offers the place to the waitlist
+        const result = await approveRainCheck({
+          requestId: request.id,
+          notes: adminNotes[request.id],
+        });
+
+        if (!result.success) {
+          console.error('Error approving rain check:', result.message);
+          Alert.alert('Error', `Failed to approve rain check: ${result.message}`);
+          return;
+        }
+
+        if (result.refundAmount > 0) {
+          Alert.alert(
+            'Rain Check Approved',
+            `The rain check has been approved. The booking has been cancelled and ${formatMoney(result.refundAmount)} has been refunded to the student's wallet.`,
+            [{ text: 'OK' }]
+          );
+        } else {
+          Alert.alert(
+            'Rain Check Approved',
+            'The rain check has been approved and the booking has been cancelled.',
+            [{ text: 'OK' }]
+          );
+        }
+
+        setAdminNotes({ ...adminNotes, [request.id]: '' });
+        loadRequests();
+        if (onRequestProcessed) onRequestProcessed();
+        return;
+      }
       
       // Get current user for reviewed_by
       const { data: { user } } = await supabase.auth.getUser();
@@ -109,212 +174,29 @@ export default function BookingRequestsModal({
       if (updateError) throw updateError;
 
       // If approved, handle the actual booking modification
-      const booking = request.booking;
-      const creditCost = booking ? parseFloat(booking.credit_cost) || 0 : 0;
-      const userId = booking?.user_id;
-
       if (request.request_type === 'cancel') {
-        // Fetch full booking from bookings table to ensure we have coach_id (nested select can miss it)
-        const { data: fullBooking, error: fetchErr } = await supabase
-          .from('bookings')
-          .select(`
-            id,
-            user_id,
-            coach_id,
-            location_id,
-            start_time,
-            end_time,
-            service_name,
-            credit_cost,
-            academy_id,
-            locations:location_id (name)
-          `)
-          .eq('id', request.booking_id)
-          .single();
-
-        if (fetchErr || !fullBooking) {
-          console.error('Error fetching booking for cancellation:', fetchErr);
-          Alert.alert('Error', 'Could not load booking details. Please try again.');
-          setProcessingId(null);
-          return;
-        }
-
-        const locationName = fullBooking.locations?.name || booking?.locations?.name || null;
-
-        // 1. Insert into user_cancellation_history before deleting
-        const { error: histErr } = await supabase.from('user_cancellation_history').insert({
-          original_booking_id: request.booking_id,
-          user_id: fullBooking.user_id ?? null,
-          coach_id: fullBooking.coach_id ?? null,
-          location_id: fullBooking.location_id ?? null,
-          location_name: locationName,
-          start_time: fullBooking.start_time,
-          end_time: fullBooking.end_time,
-          service_name: fullBooking.service_name ?? null,
-          credit_cost: creditCost,
-          reason: request.reason || null,
-          academy_id: fullBooking.academy_id ?? null,
+        // Refund what the policy gave when the student asked, unless the admin picked another amount
+        const choice = refundChoices[request.id];
+        const refundPercent = choice ?? refundQuotes[request.id]?.refundPercent ?? null;
+
+        const result = await cancelBookingWithRefund({
+          bookingId: request.booking_id,
+          reason: request.reason,
+          refundPercent,
         });
-        if (histErr) console.warn('user_cancellation_history insert failed (continuing):', histErr);
-
-        // 2. Delete the booking
-        const { error: deleteError } = await supabase
-          .from('bookings')
-          .delete()
-          .eq('id', request.booking_id);
 
-        if (deleteError) {
-          console.error('Error deleting booking:', deleteError);
-          Alert.alert('Warning', 'Request approved but failed to cancel booking. Please cancel manually.');
+        if (!result.success) {
+          console.error('Error cancelling booking:', result.message);
+          Alert.alert('Warning', `Request approved but failed to cancel booking: ${result.message} Please cancel manually.`);
         } else {
-          // 3. Notify admin and coach (fire-and-forget)
-          const student = booking?.profiles;
-          const studentName = student
-            ? `${student.first_name || ''} ${student.last_name || ''}`.trim() || student.email
-            : null;
-          try {
-            const smsRes = await fetch(`${SUPABASE_URL}/functions/v1/send-user-cancellation-sms`, {
-              method: 'POST',
-              headers: {
-                'Content-Type': 'application/json',
-                Authorization: `Bearer ${SUPABASE_ANON_KEY}`,
-              },
-              body: JSON.stringify({
-                item: {
-                  user_id: fullBooking.user_id,
-                  student_name: studentName,
-                  location_name: locationName || 'Unknown location',
-                  start_time: fullBooking.start_time,
-                  coach_id: fullBooking.coach_id ?? null,
-                },
-              }),
-            });
-            const smsText = await smsRes.text();
-            if (!smsRes.ok) {
-              console.warn('User cancellation SMS failed:', smsRes.status, smsText);
-            } else {
-              try {
-                const smsData = JSON.parse(smsText);
-                if (smsData?.sent === 0) {
-                  console.warn('User cancellation SMS: no messages sent. Check ADMIN_PHONE and coach profiles.phone (E.164).', smsData);
-                }
-              } catch (_) {}
-            }
-          } catch (smsErr) {
-            console.warn('User cancellation SMS request error:', smsErr);
-          }
-          // Refund credits to student's wallet if booking had a cost
-          let refundSuccess = true;
-          if (creditCost > 0 && userId) {
-            try {
-              const { data: refundData, error: refundError } = await supabase.rpc('add_wallet_balance', {
-                user_id: userId,
-                amount: creditCost,
-              });
-
-              if (refundError) {
-                console.error('Error refunding credits:', refundError);
-                refundSuccess = false;
-                Alert.alert(
-                  'Partial Success',
-                  `Cancellation approved and booking cancelled, but failed to refund $${creditCost.toFixed(2)}. Please refund manually.`,
-                  [{ text: 'OK' }]
-                );
-              } else {
-                console.log('Credits refunded successfully:', refundData);
-              }
-            } catch (refundError) {
-              console.error('Error refunding credits:', refundError);
-              refundSuccess = false;
-              Alert.alert(
-                'Partial Success',
-                `Cancellation approved and booking cancelled, but failed to refund $${creditCost.toFixed(2)}. Please refund manually.`,
-                [{ text: 'OK' }]
-              );
-            }
-          }
-          
-          if (refundSuccess) {
-            if (creditCost > 0) {
-              Alert.alert(
-                'Success',
-                `Cancellation approved. Booking cancelled and $${creditCost.toFixed(2)} refunded to student's wallet.`,
-                [{ text: 'OK' }]
-              );
-            } else {
-              Alert.alert('Success', 'Cancellation approved. Booking cancelled successfully.');
-            }
-          }
-        }
-      } else if (request.request_type === 'raincheck') {
-        // Cancel the booking (delete it) and refund credits
-        if (!booking) {
-          Alert.alert('Error', 'Booking not found for this rain check request.');
-          setProcessingId(null);
-          return;
-        }
-
-        const { error: deleteError } = await supabase
-          .from('bookings')
-          .delete()
-          .eq('id', request.booking_id);
-
-        if (deleteError) {
-          console.error('Error deleting booking:', deleteError);
-          Alert.alert('Warning', 'Request approved but failed to cancel booking. Please cancel manually.');
-          // Still reload requests and call callback even if delete failed
-          setAdminNotes({ ...adminNotes, [request.id]: '' });
-          loadRequests();
-          if (onRequestProcessed) onRequestProcessed();
-          setProcessingId(null);
-          return;
-        }
-
-        // Booking deleted successfully, now refund credits
-        let refundSuccess = true;
-        if (creditCost > 0 && userId) {
-          try {
-            const { data: refundData, error: refundError } = await supabase.rpc('add_wallet_balance', {
-              user_id: userId,
-              amount: creditCost,
-            });
-
-            if (refundError) {
-              console.error('Error refunding credits:', refundError);
-              refundSuccess = false;
-              Alert.alert(
-                'Partial Success',
-                `Rain check approved and booking cancelled, but failed to refund $${creditCost.toFixed(2)}. Please refund manually.`,
-                [{ text: 'OK' }]
-              );
-            } else {
-              console.log('Credits refunded successfully:', refundData);
-            }
-          } catch (refundError) {
-            console.error('Error refunding credits:', refundError);
-            refundSuccess = false;
-            Alert.alert(
-              'Partial Success',
-              `Rain check approved and booking cancelled, but failed to refund $${creditCost.toFixed(2)}. Please refund manually.`,
-              [{ text: 'OK' }]
-            );
-          }
-        }
-
-        // Show success message
-        if (refundSuccess) {
-          if (creditCost > 0) {
+          if (result.refundAmount > 0) {
             Alert.alert(
-              'Rain Check Approved',
-              `The rain check has been approved. The booking has been cancelled and $${creditCost.toFixed(2)} has been refunded to the student's wallet.`,
+              'Success',
+              `Cancellation approved. Booking cancelled and ${formatMoney(result.refundAmount)} (${result.refundPercent}%) refunded to student's wallet.`,
               [{ text: 'OK' }]
             );
           } else {
-            Alert.alert(
-              'Rain Check Approved',
-              'The rain check has been approved and the booking has been cancelled.',
-              [{ text: 'OK' }]
-            );
+            Alert.alert('Success', 'Cancellation approved. Booking cancelled with no refund.');
           }
         }
       }
@@ -364,6 +246,7 @@ export default function BookingRequestsModal({
   const formatDate = (dateString) => {
     const date = new Date(dateString);
     return date.toLocaleDateString('en-US', {
+      timeZone: getActiveTimeZone(),
       weekday: 'short',
       month: 'short',
       day: 'numeric',
@@ -373,6 +256,7 @@ export default function BookingRequestsModal({
   const formatTime = (dateString) => {
     const date = new Date(dateString);
     return date.toLocaleTimeString('en-US', {
+      timeZone: getActiveTimeZone(),
       hour: 'numeric',
       minute: '2-digit',
     });
@@ -455,6 +339,33 @@ export default function BookingRequestsModal({
                       <Text style={styles.reasonText}>{request.reason}</Text>
                     </View>
 
+                    {request.request_type === 'cancel' && booking && (
+                      <View style={styles.refundContainer}>
+                        <Text style={styles.adminNotesLabel}>Refund:</Text>
+                        <Text style={styles.refundPolicyText}>
+                          {refundQuotes[request.id]
+                            ? `Policy when requested: ${refundQuotes[request.id].refundPercent}% (${formatMoney(refundQuotes[request.id].refundAmount)} of ${formatMoney(refundQuotes[request.id].creditCost)})`
+                            : 'Policy refund unavailable'}
+                        </Text>
+                        <View style={styles.refundOptions}>
+                          {REFUND_OPTIONS.map((option) => {
+                            const selected = (refundChoices[request.id] ?? null) === option;
+                            return (
+                              <TouchableOpacity
+                                key={option ?? 'policy'}
+                                style={[styles.refundOption, selected && styles.refundOptionSelected]}
+                                onPress={() => setRefundChoices({ ...refundChoices, [request.id]: option })}
+                              >
+                                <Text style={[styles.refundOptionText, selected && styles.refundOptionTextSelected]}>
+                                  {option == null ? 'Policy' : `${option}%`}
+                                </Text>
+                              </TouchableOpacity>
+                            );
+                          })}
+                        </View>
+                      </View>
+                    )}
+
                     <View style={styles.adminNotesContainer}>
                       <Text style={styles.adminNotesLabel}>Admin Notes (optional):</Text>
                       <TextInput
@@ -617,6 +528,38 @@ const styles = StyleSheet.create({
     color: '#000',
     lineHeight: 20,
   },
+  refundContainer: {
+    marginBottom: 12,
+  },
+  refundPolicyText: {
+    fontSize: 14,
+    color: '#3C3C43',
+    marginBottom: 8,
+  },
+  refundOptions: {
+    flexDirection: 'row',
+    gap: 8,
+  },
+  refundOption: {
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#E5E5EA',
+    backgroundColor: '#fff',
+  },
+  refundOptionSelected: {
+    backgroundColor: '#000',
+    borderColor: '#000',
+  },
+  refundOptionText: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#000',
+  },
+  refundOptionTextSelected: {
+    color: '#fff',
+  },
   adminNotesContainer: {
     marginBottom: 12,
   },
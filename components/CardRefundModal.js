@@ -0,0 +1,468 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  Modal,
+  TouchableOpacity,
+  StyleSheet,
+  ScrollView,
+  Platform,
+  ActivityIndicator,
+  Alert,
+  TextInput,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { supabase } from '../lib/supabase';
+import { useAcademy } from '../contexts/AcademyContext';
+import { refundToCard } from '../lib/stripe';
+
+const STATUS_LABELS = {
+  pending: 'Pending',
+  succeeded: 'Refunded',
+  failed: 'Failed',
+  canceled: 'Canceled',
+};
+
+/**
+ * CardRefundModal - Lets admins send wallet money back to the card a student
+ * paid with (for families leaving the academy), and lists past card refunds
+ */
+export default function CardRefundModal({
+  visible,
+  onClose,
+  student,
+  onRefunded,
+}) {
+  const { formatMoney } = useAcademy();
+  const [amount, setAmount] = useState('');
+  const [reason, setReason] = useState('');
+  const [walletBalance, setWalletBalance] = useState(0);
+  const [refundable, setRefundable] = useState(0);
+  const [history, setHistory] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [submitting, setSubmitting] = useState(false);
+
+  useEffect(() => {
+    if (visible && student?.id) {
+      setAmount('');
+      setReason('');
+      loadRefundInfo();
+    }
+  }, [visible, student?.id]);
+
+  const loadRefundInfo = async () => {
+    try {
+      setLoading(true);
+      const [profileRes, sessionsRes, refundsRes] = await Promise.all([
+        supabase.from('profiles').select('wallet_balance').eq('id', student.id).maybeSingle(),
+        supabase.from('stripe_processed_sessions').select('amount, amount_refunded').eq('user_id', student.id),
+        supabase
+          .from('stripe_refunds')
+          .select('id, amount, status, reason, failure_message, created_at')
+          .eq('user_id', student.id)
+          .order('created_at', { ascending: false })
+          .limit(10),
+      ]);
+      if (profileRes.error) throw profileRes.error;
+      if (sessionsRes.error) throw sessionsRes.error;
+
+      setWalletBalance(parseFloat(profileRes.data?.wallet_balance || 0));
+      setRefundable(
+        (sessionsRes.data || []).reduce(
+          (sum, s) => sum + Math.max(parseFloat(s.amount || 0) - parseFloat(s.amount_refunded || 0), 0),
+          0
+        )
+      );
+      setHistory(refundsRes.data || []);
+    } catch (error) {
+      console.error('Error loading card refund info:', error);
+      Alert.alert('Error', 'Failed to load card payments for this student.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Only wallet money that was paid by card can go back to a card
+  const maxRefund = Math.min(walletBalance, refundable);
+
+  const handleRefund = () => {
+    const value = Math.round(parseFloat(amount) * 100) / 100;
+    if (!value || value <= 0) {
+      Alert.alert('Invalid Amount', 'Enter an amount to refund.');
+      return;
+    }
+    if (value > maxRefund + 0.001) {
+      Alert.alert('Invalid Amount', `At most ${formatMoney(maxRefund)} can be refunded to card.`);
+      return;
+    }
+
+    Alert.alert(
+      'Refund to Card',
+      `Refund ${formatMoney(value)} from ${student.fullName}'s wallet to the card it was paid with?`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Refund',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              setSubmitting(true);
+              const result = await refundToCard({ userId: student.id, amount: value, reason });
+              const failed = (result.refunds || []).filter((r) => r.status === 'failed' || r.status === 'canceled');
+              Alert.alert(
+                failed.length > 0 ? 'Partly Refunded' : 'Refund Sent',
+                failed.length > 0
+                  ? `${formatMoney(Number(result.refunded))} was refunded to card. The rest could not be refunded and is back in the wallet.`
+                  : `${formatMoney(Number(result.refunded))} is on its way back to the card. Refunds take 5-10 business days to appear.`
+              );
+              if (onRefunded) onRefunded(result);
+              loadRefundInfo();
+              setAmount('');
+              setReason('');
+            } catch (error) {
+              console.error('Error refunding to card:', error);
+              Alert.alert('Refund Failed', error.message || 'Failed to refund to card.');
+              loadRefundInfo();
+            } finally {
+              setSubmitting(false);
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const formatDate = (dateString) => {
+    return new Date(dateString).toLocaleDateString('en-US', {
+      month: 'short',
+      day: 'numeric',
+      year: 'numeric',
+    });
+  };
+
+  return (
+    <Modal
+      visible={visible}
+      animationType="slide"
+      transparent={true}
+      onRequestClose={onClose}
+    >
+      <View style={styles.overlay}>
+        <View style={styles.modal}>
+          <View style={styles.header}>
+            <View style={styles.headerLeft}>
+              <Ionicons name="card-outline" size={24} color="#0D9488" />
+              <Text style={styles.title}>Refund to Card</Text>
+            </View>
+            <TouchableOpacity onPress={onClose} style={styles.closeButton}>
+              <Ionicons name="close" size={24} color="#000" />
+            </TouchableOpacity>
+          </View>
+
+          <ScrollView style={styles.content} showsVerticalScrollIndicator={false}>
+            {loading ? (
+              <View style={styles.loadingContainer}>
+                <ActivityIndicator size="large" color="#0D9488" />
+                <Text style={styles.loadingText}>Loading card payments...</Text>
+              </View>
+            ) : (
+              <>
+                <Text style={styles.studentName}>{student?.fullName}</Text>
+                <View style={styles.summaryRow}>
+                  <View style={styles.summaryItem}>
+                    <Text style={styles.summaryLabel}>Wallet</Text>
+                    <Text style={styles.summaryValue}>{formatMoney(walletBalance)}</Text>
+                  </View>
+                  <View style={styles.summaryItem}>
+                    <Text style={styles.summaryLabel}>Paid by card</Text>
+                    <Text style={styles.summaryValue}>{formatMoney(refundable)}</Text>
+                  </View>
+                  <View style={styles.summaryItem}>
+                    <Text style={styles.summaryLabel}>Can refund</Text>
+                    <Text style={[styles.summaryValue, styles.summaryValueAccent]}>{formatMoney(maxRefund)}</Text>
+                  </View>
+                </View>
+
+                {maxRefund <= 0 ? (
+                  <Text style={styles.note}>
+                    Nothing in this wallet was paid by card, so there is nothing to refund to a card.
+                  </Text>
+                ) : (
+                  <>
+                    <Text style={styles.inputLabel}>Amount</Text>
+                    <View style={styles.amountRow}>
+                      <TextInput
+                        style={[styles.input, styles.amountInput]}
+                        placeholder="0.00"
+                        value={amount}
+                        onChangeText={setAmount}
+                        keyboardType="decimal-pad"
+                        editable={!submitting}
+                      />
+                      <TouchableOpacity
+                        style={styles.allButton}
+                        onPress={() => setAmount(maxRefund.toFixed(2))}
+                        disabled={submitting}
+                      >
+                        <Text style={styles.allButtonText}>Refund all</Text>
+                      </TouchableOpacity>
+                    </View>
+                    <Text style={styles.inputLabel}>Reason (optional)</Text>
+                    <TextInput
+                      style={styles.input}
+                      placeholder="e.g. Leaving the academy"
+                      value={reason}
+                      onChangeText={setReason}
+                      editable={!submitting}
+                    />
+                    <Text style={styles.note}>
+                      The amount comes out of the wallet now and goes back to the most recent card payments first.
+                    </Text>
+                    <TouchableOpacity
+                      style={[styles.refundButton, submitting && styles.buttonDisabled]}
+                      onPress={handleRefund}
+                      disabled={submitting}
+                    >
+                      {submitting ? (
+                        <ActivityIndicator size="small" color="#fff" />
+                      ) : (
+                        <>
+                          <Ionicons name="return-down-back-outline" size={18} color="#fff" />
+                          <Text style={styles.refundButtonText}>Refund to Card</Text>
+                        </>
+                      )}
+                    </TouchableOpacity>
+                  </>
+                )}
+
+                {history.length > 0 && (
+                  <View style={styles.history}>
+                    <Text style={styles.historyTitle}>Card refunds</Text>
+                    {history.map((refund) => (
+                      <View key={refund.id} style={styles.historyRow}>
+                        <View style={styles.historyInfo}>
+                          <Text style={styles.historyAmount}>{formatMoney(parseFloat(refund.amount))}</Text>
+                          <Text style={styles.historyMeta} numberOfLines={1}>
+                            {formatDate(refund.created_at)}
+                            {refund.reason ? ` · ${refund.reason}` : ''}
+                          </Text>
+                          {!!refund.failure_message && (
+                            <Text style={styles.historyError} numberOfLines={2}>{refund.failure_message}</Text>
+                          )}
+                        </View>
+                        <Text
+                          style={[
+                            styles.historyStatus,
+                            refund.status === 'succeeded' && styles.historyStatusOk,
+                            (refund.status === 'failed' || refund.status === 'canceled') && styles.historyStatusFailed,
+                          ]}
+                        >
+                          {STATUS_LABELS[refund.status] || refund.status}
+                        </Text>
+                      </View>
+                    ))}
+                  </View>
+                )}
+              </>
+            )}
+          </ScrollView>
+        </View>
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    justifyContent: 'flex-end',
+  },
+  modal: {
+    backgroundColor: '#fff',
+    borderTopLeftRadius: 20,
+    borderTopRightRadius: 20,
+    maxHeight: '85%',
+    ...(Platform.OS === 'web' && {
+      maxWidth: 520,
+      alignSelf: 'center',
+      width: '100%',
+      borderRadius: 20,
+      marginTop: 'auto',
+      marginBottom: 'auto',
+    }),
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: 20,
+    borderBottomWidth: 1,
+    borderBottomColor: '#E5E5EA',
+  },
+  headerLeft: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 10,
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: '700',
+    color: '#000',
+  },
+  closeButton: {
+    padding: 4,
+  },
+  content: {
+    padding: 20,
+  },
+  loadingContainer: {
+    paddingVertical: 60,
+    alignItems: 'center',
+  },
+  loadingText: {
+    marginTop: 12,
+    fontSize: 14,
+    color: '#8E8E93',
+  },
+  studentName: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#000',
+    marginBottom: 12,
+  },
+  summaryRow: {
+    flexDirection: 'row',
+    gap: 8,
+    marginBottom: 20,
+  },
+  summaryItem: {
+    flex: 1,
+    backgroundColor: '#FAFAFA',
+    borderRadius: 10,
+    padding: 12,
+    borderWidth: 1,
+    borderColor: '#E5E5EA',
+  },
+  summaryLabel: {
+    fontSize: 12,
+    color: '#8E8E93',
+  },
+  summaryValue: {
+    fontSize: 18,
+    fontWeight: '700',
+    color: '#000',
+    marginTop: 4,
+  },
+  summaryValueAccent: {
+    color: '#0D9488',
+  },
+  inputLabel: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#000',
+    marginBottom: 8,
+  },
+  input: {
+    backgroundColor: '#fff',
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    fontSize: 16,
+    borderWidth: 1,
+    borderColor: '#E5E5EA',
+    marginBottom: 16,
+  },
+  amountRow: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    gap: 8,
+  },
+  amountInput: {
+    flex: 1,
+  },
+  allButton: {
+    paddingVertical: 11,
+    paddingHorizontal: 12,
+    borderRadius: 8,
+    backgroundColor: 'rgba(13, 148, 136, 0.12)',
+  },
+  allButtonText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#0D9488',
+  },
+  note: {
+    fontSize: 13,
+    color: '#6B7280',
+    lineHeight: 18,
+    marginBottom: 16,
+  },
+  refundButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: 8,
+    backgroundColor: '#0D9488',
+    paddingVertical: 14,
+    borderRadius: 10,
+    marginBottom: 24,
+  },
+  buttonDisabled: {
+    opacity: 0.6,
+  },
+  refundButtonText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  history: {
+    borderTopWidth: 1,
+    borderTopColor: '#F5F5F5',
+    paddingTop: 16,
+    marginBottom: 24,
+  },
+  historyTitle: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#000',
+    marginBottom: 8,
+  },
+  historyRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 10,
+    borderBottomWidth: 1,
+    borderBottomColor: '#F5F5F5',
+    gap: 12,
+  },
+  historyInfo: {
+    flex: 1,
+  },
+  historyAmount: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#000',
+  },
+  historyMeta: {
+    fontSize: 12,
+    color: '#8E8E93',
+    marginTop: 2,
+  },
+  historyError: {
+    fontSize: 12,
+    color: '#DC2626',
+    marginTop: 2,
+  },
+  historyStatus: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#D97706',
+  },
+  historyStatusOk: {
+    color: '#059669',
+  },
+  historyStatusFailed: {
+    color: '#DC2626',
+  },
+});
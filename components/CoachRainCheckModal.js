@@ -13,6 +13,9 @@ import {
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import { supabase } from '../lib/supabase';
+import { useAcademy } from '../contexts/AcademyContext';
+import { approveRainCheck } from '../lib/bookings';
+import { getActiveTimeZone } from '../utils/timezone';
 
 /**
  * CoachRainCheckModal - Allows coaches to approve rain check requests
@@ -24,6 +27,7 @@ export default function CoachRainCheckModal({
   coachId,
   onRequestProcessed,
 }) {
+  const { formatMoney } = useAcademy();
   const [requests, setRequests] = useState([]);
   const [loading, setLoading] = useState(true);
   const [processingId, setProcessingId] = useState(null);
@@ -114,65 +118,24 @@ export default function CoachRainCheckModal({
                 throw new Error('Booking not found');
               }
 
-              const creditCost = parseFloat(booking.credit_cost) || 0;
-              const userId = booking.user_id;
+              // The RPC marks the request approved, cancels the booking, refunds it
+              // and offers the place to the waitlist
+              const result = await approveRainCheck({
+                requestId: request.id,
+                notes: coachNotes[request.id] ? `[Coach] ${coachNotes[request.id]}` : '[Approved by Coach]',
+              });
 
-              // Step 1: Update the booking request status
-              const { error: updateError } = await supabase
-                .from('booking_requests')
-                .update({
-                  status: 'approved',
-                  reviewed_by: coachId,
-                  reviewed_at: new Date().toISOString(),
-                  admin_notes: coachNotes[request.id] ? `[Coach] ${coachNotes[request.id]}` : '[Approved by Coach]',
-                })
-                .eq('id', request.id);
-
-              if (updateError) throw updateError;
-
-              // Step 2: Cancel the booking (delete it)
-              const { error: deleteError } = await supabase
-                .from('bookings')
-                .delete()
-                .eq('id', booking.id);
-
-              if (deleteError) {
-                console.error('Error deleting booking:', deleteError);
-                Alert.alert('Warning', 'Request approved but failed to cancel booking. Please cancel manually.');
+              if (!result.success) {
+                Alert.alert('Error', 'Failed to approve rain check: ' + result.message);
+                return;
               }
 
-              // Step 3: Refund credits to student's wallet if booking had a cost
-              if (creditCost > 0 && userId) {
-                try {
-                  // Call the database function to add wallet balance
-                  const { data: refundData, error: refundError } = await supabase.rpc('add_wallet_balance', {
-                    user_id: userId,
-                    amount: creditCost,
-                  });
-
-                  if (refundError) {
-                    console.error('Error refunding credits:', refundError);
-                    Alert.alert(
-                      'Partial Success',
-                      'Rain check approved and booking cancelled, but failed to refund credits. Please refund manually.',
-                      [{ text: 'OK' }]
-                    );
-                  } else {
-                    console.log('Credits refunded successfully:', refundData);
-                    Alert.alert(
-                      'Rain Check Approved',
-                      `The rain check has been approved. The booking has been cancelled and $${creditCost.toFixed(2)} has been refunded to the student's wallet.`,
-                      [{ text: 'OK' }]
-                    );
-                  }
-                } catch (refundError) {
-                  console.error('Error refunding credits:', refundError);
-                  Alert.alert(
-                    'Partial Success',
-                    'Rain check approved and booking cancelled, but failed to refund credits. Please refund manually.',
-                    [{ text: 'OK' }]
-                  );
-                }
+              if (result.refundAmount > 0) {
+                Alert.alert(
+                  'Rain Check Approved',
+                  `The rain check has been approved. The booking has been cancelled and ${formatMoney(result.refundAmount)} has been refunded to the student's wallet.`,
+                  [{ text: 'OK' }]
+                );
               } else {
                 Alert.alert(
                   'Rain Check Approved',
@@ -199,6 +162,7 @@ export default function CoachRainCheckModal({
   const formatDate = (dateString) => {
     const date = new Date(dateString);
     return date.toLocaleDateString('en-US', {
+      timeZone: getActiveTimeZone(),
       weekday: 'short',
       month: 'short',
       day: 'numeric',
@@ -208,6 +172,7 @@ export default function CoachRainCheckModal({
   const formatTime = (dateString) => {
     const date = new Date(dateString);
     return date.toLocaleTimeString('en-US', {
+      timeZone: getActiveTimeZone(),
       hour: 'numeric',
       minute: '2-digit',
     });
@@ -10,6 +10,8 @@ import {
   useWindowDimensions,
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
+import { useAcademy } from '../contexts/AcademyContext';
+import { getActiveTimeZone, utcToZonedDate } from '../utils/timezone';
 
 const MOBILE_BREAKPOINT = 480;
 
@@ -22,6 +24,7 @@ const MOBILE_BREAKPOINT = 480;
  * - isAdmin: boolean - shows revenue info if true
  */
 const GroupedSessionCard = ({ session, isAdmin = false, onRainCheckBookings }) => {
+  const { formatMoney } = useAcademy();
   const { width } = useWindowDimensions?.() ?? { width: 400 };
   const isMobile = width < MOBILE_BREAKPOINT;
   const [expanded, setExpanded] = useState(false);
@@ -67,6 +70,7 @@ const GroupedSessionCard = ({ session, isAdmin = false, onRainCheckBookings }) =
   const formatTime = (dateString) => {
     const date = new Date(dateString);
     return date.toLocaleTimeString('en-US', {
+      timeZone: getActiveTimeZone(),
       hour: 'numeric',
       minute: '2-digit',
     });
@@ -74,8 +78,8 @@ const GroupedSessionCard = ({ session, isAdmin = false, onRainCheckBookings }) =
 
   const formatDateCompact = (dateString) => {
     const date = new Date(dateString);
-    const day = date.getDate();
-    const month = date.toLocaleDateString('en-US', { month: 'short' }).toUpperCase();
+    const day = Number(utcToZonedDate(dateString).slice(8));
+    const month = date.toLocaleDateString('en-US', { timeZone: getActiveTimeZone(), month: 'short' }).toUpperCase();
     return { day, month };
   };
 
@@ -167,7 +171,7 @@ const GroupedSessionCard = ({ session, isAdmin = false, onRainCheckBookings }) =
           )}
           {isAdmin && session.totalRevenue !== undefined && (
             <View style={styles.revenueItem}>
-              <Text style={styles.revenueText}>${session.totalRevenue?.toFixed(2) || '0.00'}</Text>
+              <Text style={styles.revenueText}>{formatMoney(session.totalRevenue || 0)}</Text>
             </View>
           )}
           <Animated.View style={[styles.expandIcon, { transform: [{ rotate: rotation }] }]}>
@@ -354,6 +358,7 @@ export const groupBookingsBySession = (bookings) => {
     session.bookings.push({
       id: booking.id,
       user_id: booking.user_id,
+      player_id: booking.player_id || null,
       credit_cost: parseFloat(booking.credit_cost) || 0,
       location_id: booking.location_id,
       locationName: booking.locationName || booking.locations?.name || 'Unknown Location',
@@ -369,10 +374,12 @@ export const groupBookingsBySession = (bookings) => {
       session.coachId = booking.coach_id;
     }
     
-    const existingStudent = session.students.find(s => s.id === booking.user_id);
-    if (!existingStudent && booking.user_id) {
+    // A junior on a family account is their own roster entry, not the guardian's
+    const studentId = booking.player_id || booking.user_id;
+    const existingStudent = session.students.find(s => s.id === studentId);
+    if (!existingStudent && studentId) {
       session.students.push({
-        id: booking.user_id,
+        id: studentId,
         name: booking.studentName || 'Unknown Student',
         email: booking.studentEmail || null,
         isSeasonPass: booking.is_season_pass_booking || false,
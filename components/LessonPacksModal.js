@@ -0,0 +1,275 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  Modal,
+  TouchableOpacity,
+  StyleSheet,
+  ScrollView,
+  Platform,
+  ActivityIndicator,
+  Alert,
+  Dimensions,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useLanguage } from '../contexts/LanguageContext';
+import { useAcademy } from '../contexts/AcademyContext';
+import { t as tWithParams } from '../utils/translations';
+import { STRIPE_CHECKOUT_DISABLED } from '../lib/stripe';
+import { loadLessonPacks, buyLessonPackFromWallet, buyLessonPackByCard } from '../lib/lessonPacks';
+
+const { width: SCREEN_WIDTH } = Dimensions.get('window');
+const isMobile = Platform.OS !== 'web' || SCREEN_WIDTH <= 480;
+
+/**
+ * Lesson pack catalogue. Each pack can be paid from the wallet (when the
+ * balance covers it) or by card through Stripe Checkout.
+ */
+export default function LessonPacksModal({ visible, onClose, userId, walletBalance = 0, onPurchased }) {
+  const { language } = useLanguage();
+  const { formatMoney } = useAcademy();
+  const t = (key, params) => tWithParams(language, key, params || {});
+  const [packs, setPacks] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [buying, setBuying] = useState(null); // `${packId}:wallet` | `${packId}:card`
+
+  useEffect(() => {
+    if (!visible) return;
+    let active = true;
+    setLoading(true);
+    loadLessonPacks().then((rows) => {
+      if (!active) return;
+      setPacks(rows);
+      setLoading(false);
+    });
+    return () => {
+      active = false;
+    };
+  }, [visible]);
+
+  const handleBuyFromWallet = async (pack) => {
+    try {
+      setBuying(`${pack.id}:wallet`);
+      const result = await buyLessonPackFromWallet(pack.id);
+      if (!result.success) {
+        Alert.alert(t('purchaseFailed'), result.message);
+        return;
+      }
+      Alert.alert(t('lessonPackPurchased'), t('lessonPackPurchasedMessage', { name: pack.name }));
+      if (onPurchased) onPurchased(result);
+      onClose();
+    } catch (error) {
+      Alert.alert(t('purchaseFailed'), error.message || t('failedToProcessPayment'));
+    } finally {
+      setBuying(null);
+    }
+  };
+
+  const handleBuyByCard = async (pack) => {
+    if (STRIPE_CHECKOUT_DISABLED) {
+      Alert.alert('Coming soon', 'This feature will be available soon.');
+      return;
+    }
+    try {
+      setBuying(`${pack.id}:card`);
+      await buyLessonPackByCard({ userId, pack });
+      // Native: back from the in-app checkout; HomeScreen shows the result
+      onClose();
+    } catch (error) {
+      console.error('Error buying lesson pack by card:', error);
+      Alert.alert(t('paymentError'), error.message || t('failedToProcessPayment'));
+    } finally {
+      setBuying(null);
+    }
+  };
+
+  return (
+    <Modal visible={visible} animationType="slide" transparent={true} onRequestClose={onClose}>
+      <View style={styles.overlay}>
+        <View style={styles.modalContainer}>
+          <View style={styles.header}>
+            <Text style={styles.title}>{t('lessonPacks')}</Text>
+            <TouchableOpacity onPress={onClose} style={styles.closeButton}>
+              <Ionicons name="close" size={24} color="#64748B" />
+            </TouchableOpacity>
+          </View>
+          <Text style={styles.intro}>{t('lessonPacksIntro')}</Text>
+
+          {loading ? (
+            <ActivityIndicator color="#0D9488" style={{ marginVertical: 24 }} />
+          ) : packs.length === 0 ? (
+            <Text style={styles.emptyText}>{t('noLessonPacks')}</Text>
+          ) : (
+            <ScrollView style={styles.packList}>
+              {packs.map((pack) => {
+                const canUseWallet = walletBalance >= pack.price;
+                return (
+                  <View key={pack.id} style={styles.packCard}>
+                    <View style={styles.packHeader}>
+                      <Text style={styles.packName}>{pack.name}</Text>
+                      <Text style={styles.packPrice}>{formatMoney(pack.price)}</Text>
+                    </View>
+                    {!!pack.description && <Text style={styles.packDescription}>{pack.description}</Text>}
+                    <Text style={styles.packMeta}>
+                      {t('lessonPackMeta', {
+                        count: pack.lessonCount,
+                        each: formatMoney(pack.price / pack.lessonCount),
+                        days: pack.validDays,
+                      })}
+                    </Text>
+                    {pack.serviceNames?.length > 0 && (
+                      <Text style={styles.packMeta}>{t('lessonPackServices', { services: pack.serviceNames.join(', ') })}</Text>
+                    )}
+                    <View style={styles.buttonRow}>
+                      <TouchableOpacity
+                        style={[styles.walletButton, (!canUseWallet || buying) && styles.buttonDisabled]}
+                        onPress={() => handleBuyFromWallet(pack)}
+                        disabled={!canUseWallet || !!buying}
+                      >
+                        {buying === `${pack.id}:wallet` ? (
+                          <ActivityIndicator color="#0D9488" size="small" />
+                        ) : (
+                          <Text style={styles.walletButtonText}>{t('payFromWallet')}</Text>
+                        )}
+                      </TouchableOpacity>
+                      <TouchableOpacity
+                        style={[styles.cardButton, buying && styles.buttonDisabled]}
+                        onPress={() => handleBuyByCard(pack)}
+                        disabled={!!buying}
+                      >
+                        {buying === `${pack.id}:card` ? (
+                          <ActivityIndicator color="#FFFFFF" size="small" />
+                        ) : (
+                          <Text style={styles.cardButtonText}>{t('payByCard')}</Text>
+                        )}
+                      </TouchableOpacity>
+                    </View>
+                  </View>
+                );
+              })}
+            </ScrollView>
+          )}
+        </View>
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    justifyContent: 'flex-end',
+    ...(Platform.OS === 'web' && {
+      alignItems: 'center',
+      justifyContent: 'center',
+    }),
+  },
+  modalContainer: {
+    backgroundColor: '#FFFFFF',
+    borderTopLeftRadius: 24,
+    borderTopRightRadius: 24,
+    ...(Platform.OS === 'web' && {
+      borderRadius: 24,
+      maxWidth: 500,
+      width: '90%',
+    }),
+    padding: isMobile ? 20 : 24,
+    maxHeight: '90%',
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  title: {
+    fontSize: isMobile ? 20 : 24,
+    fontWeight: '700',
+    color: '#111827',
+  },
+  closeButton: {
+    padding: 4,
+  },
+  intro: {
+    fontSize: 13,
+    color: '#6B7280',
+    marginBottom: isMobile ? 16 : 20,
+  },
+  emptyText: {
+    fontSize: 14,
+    color: '#6B7280',
+    textAlign: 'center',
+    marginVertical: 24,
+  },
+  packList: {
+    flexGrow: 0,
+  },
+  packCard: {
+    borderWidth: 2,
+    borderColor: '#E5E7EB',
+    borderRadius: isMobile ? 12 : 14,
+    padding: isMobile ? 14 : 16,
+    marginBottom: 12,
+  },
+  packHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  packName: {
+    fontSize: 16,
+    fontWeight: '700',
+    color: '#111827',
+  },
+  packPrice: {
+    fontSize: 18,
+    fontWeight: '700',
+    color: '#0D9488',
+  },
+  packDescription: {
+    fontSize: 13,
+    color: '#374151',
+    marginTop: 4,
+  },
+  packMeta: {
+    fontSize: 12,
+    color: '#6B7280',
+    marginTop: 4,
+  },
+  buttonRow: {
+    flexDirection: 'row',
+    gap: 10,
+    marginTop: 12,
+  },
+  walletButton: {
+    flex: 1,
+    paddingVertical: 12,
+    borderRadius: 10,
+    borderWidth: 2,
+    borderColor: '#0D9488',
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  walletButtonText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#0D9488',
+  },
+  cardButton: {
+    flex: 1,
+    paddingVertical: 12,
+    borderRadius: 10,
+    backgroundColor: '#0D9488',
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  cardButtonText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#FFFFFF',
+  },
+  buttonDisabled: {
+    opacity: 0.5,
+  },
+});
@@ -0,0 +1,168 @@
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  View,
+  Text,
+  Modal,
+  TouchableOpacity,
+  StyleSheet,
+  ActivityIndicator,
+  SafeAreaView,
+  Linking,
+  Platform,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useLanguage } from '../contexts/LanguageContext';
+import { getTranslation } from '../utils/translations';
+import {
+  setCheckoutPresenter,
+  parseCheckoutReturn,
+  emitCheckoutReturn,
+} from '../lib/nativeCheckout';
+
+// WebView only exists in the native builds
+let WebView = null;
+if (Platform.OS !== 'web') {
+  try {
+    WebView = require('react-native-webview').WebView;
+  } catch (e) {
+    console.warn('WebView not available:', e);
+  }
+}
+
+/**
+ * NativeCheckoutModal - Shows Stripe Checkout in a WebView on iOS and Android
+ * (see lib/nativeCheckout.js). Closes when Stripe sends the student back to the
+ * app's home URL and passes the return parameters on; a deep link back into the
+ * app does the same. Renders nothing on web, where Checkout is a full redirect.
+ */
+export default function NativeCheckoutModal() {
+  const { language } = useLanguage();
+  const t = (key) => getTranslation(language, key);
+  const [checkoutUrl, setCheckoutUrl] = useState(null);
+  const [pageLoading, setPageLoading] = useState(true);
+  const resolveRef = useRef(null);
+
+  const finish = (params) => {
+    const resolve = resolveRef.current;
+    resolveRef.current = null;
+    setCheckoutUrl(null);
+    if (resolve) resolve(params);
+    emitCheckoutReturn(params);
+  };
+
+  useEffect(() => {
+    if (Platform.OS === 'web') return undefined;
+    return setCheckoutPresenter((url) => new Promise((resolve) => {
+      // A second checkout replaces one still open
+      if (resolveRef.current) resolveRef.current({ canceled: 'true' });
+      resolveRef.current = resolve;
+      setPageLoading(true);
+      setCheckoutUrl(url);
+    }));
+  }, []);
+
+  // airdroptennis://home?... (app.json "scheme"), e.g. when Stripe finished in the system browser
+  useEffect(() => {
+    if (Platform.OS === 'web') return undefined;
+    const handleUrl = (url) => {
+      const params = parseCheckoutReturn(url);
+      if (params && Object.keys(params).length > 0) finish(params);
+    };
+    Linking.getInitialURL().then(handleUrl).catch(() => {});
+    const subscription = Linking.addEventListener('url', ({ url }) => handleUrl(url));
+    return () => subscription.remove();
+  }, []);
+
+  if (Platform.OS === 'web' || !WebView) return null;
+
+  // Returning true lets the WebView load the page; the return URL is handled here instead
+  const handleNavigation = (url) => {
+    const params = parseCheckoutReturn(url);
+    if (!params) return true;
+    // Both callbacks can report the same return before the modal closes.
+    // Stripe's cancel link (checkout=canceled) resolves like closing the modal,
+    // and HomeScreen shows the cancelled message for it.
+    if (resolveRef.current) {
+      finish(params.checkout === 'canceled' ? { ...params, canceled: 'true' } : params);
+    }
+    return false;
+  };
+
+  return (
+    <Modal
+      visible={!!checkoutUrl}
+      animationType="slide"
+      presentationStyle="fullScreen"
+      onRequestClose={() => finish({ canceled: 'true' })}
+    >
+      <SafeAreaView style={styles.container}>
+        <View style={styles.header}>
+          <Ionicons name="lock-closed" size={16} color="#0D9488" />
+          <Text style={styles.headerText} numberOfLines={1}>{t('securePayment')}</Text>
+          <TouchableOpacity
+            style={styles.closeButton}
+            onPress={() => finish({ canceled: 'true' })}
+            accessibilityLabel={t('close')}
+            activeOpacity={0.7}
+          >
+            <Ionicons name="close" size={24} color="#374151" />
+          </TouchableOpacity>
+        </View>
+        {!!checkoutUrl && (
+          <WebView
+            source={{ uri: checkoutUrl }}
+            style={styles.webView}
+            javaScriptEnabled={true}
+            domStorageEnabled={true}
+            setSupportMultipleWindows={false}
+            onShouldStartLoadWithRequest={(request) => handleNavigation(request.url)}
+            onNavigationStateChange={(state) => handleNavigation(state.url)}
+            onLoadEnd={() => setPageLoading(false)}
+          />
+        )}
+        {pageLoading && (
+          <View style={styles.loadingOverlay} pointerEvents="none">
+            <ActivityIndicator size="large" color="#0D9488" />
+          </View>
+        )}
+      </SafeAreaView>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#fff',
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: '#E5E5EA',
+  },
+  headerText: {
+    flex: 1,
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#374151',
+  },
+  closeButton: {
+    width: 44,
+    height: 44,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  webView: {
+    flex: 1,
+  },
+  loadingOverlay: {
+    ...StyleSheet.absoluteFillObject,
+    top: 69,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+});
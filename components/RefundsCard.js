@@ -1,75 +1,59 @@
-import React from 'react';
+import React, { useState, useEffect } from 'react';
 import { View, Text, StyleSheet } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import DashboardCard from './DashboardCard';
+import { useLanguage } from '../contexts/LanguageContext';
+import { useAcademy } from '../contexts/AcademyContext';
+import { getTranslation } from '../utils/translations';
+import { loadRecentRefunds, WALLET_REASONS } from '../lib/walletTransactions';
 
-export default function RefundsCard({ refunds = [] }) {
-  if (!refunds || refunds.length === 0) {
-    return null; // Hide section if no refunds
-  }
+/**
+ * The latest refunds credited to a student's wallet, from the wallet ledger.
+ * Hidden when there are none. refreshKey reloads it.
+ */
+export default function RefundsCard({ userId, refreshKey }) {
+  const { language } = useLanguage();
+  const { formatMoney } = useAcademy();
+  const t = (key) => getTranslation(language, key);
+  const [refunds, setRefunds] = useState([]);
 
-  const getStatusColor = (status) => {
-    switch (status?.toLowerCase()) {
-      case 'processed':
-      case 'completed':
-        return '#34C759';
-      case 'pending':
-        return '#FF9500';
-      case 'failed':
-      case 'cancelled':
-        return '#FF3B30';
-      default:
-        return '#8E8E93';
-    }
-  };
+  useEffect(() => {
+    if (!userId) return;
+    let active = true;
+    loadRecentRefunds(userId).then((rows) => {
+      if (active) setRefunds(rows);
+    });
+    return () => {
+      active = false;
+    };
+  }, [userId, refreshKey]);
 
-  const getStatusIcon = (status) => {
-    switch (status?.toLowerCase()) {
-      case 'processed':
-      case 'completed':
-        return 'checkmark-circle';
-      case 'pending':
-        return 'time-outline';
-      case 'failed':
-      case 'cancelled':
-        return 'close-circle';
-      default:
-        return 'information-circle';
-    }
-  };
+  if (refunds.length === 0) {
+    return null; // Hide section if no refunds
+  }
 
   return (
     <DashboardCard
-      title="Recent Refunds"
+      title={t('recentRefunds')}
       icon="wallet-outline"
       iconColor="#34C759"
     >
       <View style={styles.refundsList}>
-        {refunds.slice(0, 3).map((refund, index) => (
-          <View key={index} style={styles.refundItem}>
+        {refunds.map((refund) => (
+          <View key={refund.id} style={styles.refundItem}>
             <View style={styles.refundLeft}>
-              <Ionicons
-                name={getStatusIcon(refund.status)}
-                size={20}
-                color={getStatusColor(refund.status)}
-              />
+              <Ionicons name="checkmark-circle" size={20} color="#34C759" />
               <View style={styles.refundInfo}>
-                <Text style={styles.refundAmount}>${refund.amount || '0.00'}</Text>
+                <Text style={styles.refundAmount}>{formatMoney(refund.amount)}</Text>
                 <Text style={styles.refundDate}>
-                  {refund.date ? new Date(refund.date).toLocaleDateString() : 'N/A'}
+                  {new Date(refund.createdAt).toLocaleDateString()}
+                  {refund.description ? ` · ${refund.description}` : ''}
                 </Text>
               </View>
             </View>
-            <View
-              style={[
-                styles.statusBadge,
-                { backgroundColor: `${getStatusColor(refund.status)}15` },
-              ]}
-            >
-              <Text
-                style={[styles.statusText, { color: getStatusColor(refund.status) }]}
-              >
-                {refund.status || 'Pending'}
+            <View style={[styles.statusBadge, { backgroundColor: '#34C75915' }]}>
+              <Text style={[styles.statusText, { color: '#34C759' }]}>
+                {t(WALLET_REASONS[refund.reason]?.labelKey || 'walletReasonAdjustment')}
               </Text>
             </View>
           </View>
@@ -28,6 +28,9 @@ const ADMIN_NAV_ITEMS = [
   { id: 'admin-students', labelKey: 'navStudents', icon: 'people-outline', activeIcon: 'people' },
   { id: 'admin-coaches', labelKey: 'navCoaches', icon: 'shield-outline', activeIcon: 'shield' },
   { id: 'admin-history', labelKey: 'navBookingHistory', icon: 'archive-outline', activeIcon: 'archive' },
+  { id: 'admin-stripe-events', labelKey: 'navStripeEvents', icon: 'pulse-outline', activeIcon: 'pulse' },
+  { id: 'admin-reconciliation', labelKey: 'navReconciliation', icon: 'git-compare-outline', activeIcon: 'git-compare' },
+  { id: 'admin-notifications', labelKey: 'navNotifications', icon: 'notifications-outline', activeIcon: 'notifications' },
   { id: 'admin-performance', labelKey: 'navPerformanceManagement', icon: 'stats-chart-outline', activeIcon: 'stats-chart' },
   { id: 'profile', labelKey: 'profile', icon: 'person-outline', activeIcon: 'person' },
 ];
@@ -0,0 +1,200 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  ActivityIndicator,
+  Platform,
+  Linking,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { getConnectStatus, startConnectOnboarding } from '../lib/stripe';
+
+/**
+ * StripeConnectCard - Admin dashboard card for the academy's Stripe Connect
+ * account. Until Stripe enables charges on it, card payments go to the
+ * platform account; afterwards they settle into the academy's bank account.
+ */
+export default function StripeConnectCard() {
+  const [status, setStatus] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [starting, setStarting] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    loadStatus();
+  }, []);
+
+  const loadStatus = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      setStatus(await getConnectStatus());
+    } catch (e) {
+      setError(e.message || 'Failed to load payout status.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleOnboard = async () => {
+    try {
+      setStarting(true);
+      setError(null);
+      const returnUrl = Platform.OS === 'web' && typeof window !== 'undefined'
+        ? `${window.location.origin}/home`
+        : undefined;
+      const { url } = await startConnectOnboarding(returnUrl);
+      if (Platform.OS === 'web' && typeof window !== 'undefined') {
+        window.location.href = url;
+      } else {
+        await Linking.openURL(url);
+      }
+    } catch (e) {
+      setError(e.message || 'Failed to start Stripe onboarding.');
+    } finally {
+      setStarting(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <View style={styles.card}>
+        <ActivityIndicator size="small" color="#0D9488" />
+      </View>
+    );
+  }
+
+  const connected = status?.chargesEnabled;
+  const started = !!status?.accountId;
+
+  return (
+    <View style={styles.card}>
+      <View style={styles.header}>
+        <View style={[styles.iconWrap, connected && styles.iconWrapConnected]}>
+          <Ionicons name={connected ? 'checkmark-circle' : 'card-outline'} size={22} color={connected ? '#059669' : '#0D9488'} />
+        </View>
+        <View style={styles.headerText}>
+          <Text style={styles.title}>Payouts</Text>
+          <Text style={styles.subtitle}>
+            {connected
+              ? `Card payments for ${status.academyName || 'your academy'} are paid into your Stripe account.`
+              : started
+              ? 'Finish setting up your Stripe account to receive card payments directly.'
+              : 'Connect a Stripe account so card payments are paid into your academy\'s bank account.'}
+          </Text>
+        </View>
+      </View>
+
+      {connected && !status.payoutsEnabled && (
+        <Text style={styles.warning}>Stripe has not enabled payouts yet. Check your Stripe dashboard for outstanding details.</Text>
+      )}
+      {!!error && <Text style={styles.error}>{error}</Text>}
+
+      {!connected && (
+        <TouchableOpacity
+          style={[styles.button, starting && styles.buttonDisabled]}
+          onPress={handleOnboard}
+          disabled={starting}
+          activeOpacity={0.7}
+        >
+          {starting ? (
+            <ActivityIndicator size="small" color="#fff" />
+          ) : (
+            <Text style={styles.buttonText}>{started ? 'Continue Stripe setup' : 'Connect Stripe'}</Text>
+          )}
+        </TouchableOpacity>
+      )}
+      {connected && (
+        <TouchableOpacity style={styles.linkButton} onPress={loadStatus} activeOpacity={0.7}>
+          <Ionicons name="refresh" size={14} color="#0D9488" />
+          <Text style={styles.linkButtonText}>Refresh status</Text>
+        </TouchableOpacity>
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  card: {
+    backgroundColor: '#fff',
+    borderRadius: 12,
+    padding: 20,
+    marginBottom: 24,
+    ...(Platform.OS !== 'web' && {
+      shadowColor: '#000',
+      shadowOffset: { width: 0, height: 2 },
+      shadowOpacity: 0.08,
+      shadowRadius: 8,
+      elevation: 3,
+    }),
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    gap: 12,
+  },
+  iconWrap: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    backgroundColor: 'rgba(13, 148, 136, 0.1)',
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  iconWrapConnected: {
+    backgroundColor: 'rgba(5, 150, 105, 0.1)',
+  },
+  headerText: {
+    flex: 1,
+  },
+  title: {
+    fontSize: 17,
+    fontWeight: '700',
+    color: '#111827',
+    marginBottom: 4,
+  },
+  subtitle: {
+    fontSize: 14,
+    color: '#6B7280',
+    lineHeight: 20,
+  },
+  warning: {
+    fontSize: 13,
+    color: '#D97706',
+    marginTop: 12,
+  },
+  error: {
+    fontSize: 13,
+    color: '#DC2626',
+    marginTop: 12,
+  },
+  button: {
+    marginTop: 16,
+    backgroundColor: '#0D9488',
+    paddingVertical: 12,
+    borderRadius: 10,
+    alignItems: 'center',
+  },
+  buttonDisabled: {
+    opacity: 0.6,
+  },
+  buttonText: {
+    color: '#fff',
+    fontSize: 15,
+    fontWeight: '600',
+  },
+  linkButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    alignSelf: 'flex-start',
+    gap: 4,
+    marginTop: 12,
+  },
+  linkButtonText: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#0D9488',
+  },
+});
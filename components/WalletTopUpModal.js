@@ -13,19 +13,30 @@ import {
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import { useLanguage } from '../contexts/LanguageContext';
-import { getTranslation } from '../utils/translations';
+import { useAcademy } from '../contexts/AcademyContext';
+import { t as tWithParams } from '../utils/translations';
+import { currencySymbol } from '../utils/currency';
 import { createTopUpCheckoutSession, redirectToCheckout, STRIPE_CHECKOUT_DISABLED } from '../lib/stripe';
+import { checkPromoCode, isPromoErrorCode } from '../lib/promoCodes';
 
 const { width: SCREEN_WIDTH } = Dimensions.get('window');
 const isMobile = Platform.OS !== 'web' || SCREEN_WIDTH <= 480;
+// Presets for currencies with a minimum of 5 (AUD, USD, ...), scaled for the rest
 const TOP_UP_AMOUNTS = [25, 50, 100, 200, 500];
 
 export default function WalletTopUpModal({ visible, onClose, userId, onTopUpSuccess }) {
   const { language } = useLanguage();
-  const t = (key) => getTranslation(language, key);
+  const { currency, formatMoney, minimumCharge } = useAcademy();
+  const t = (key, params) => tWithParams(language, key, params || {});
+  const topUpAmounts = TOP_UP_AMOUNTS.map((amount) => (amount * minimumCharge) / 5);
+  const minimumText = formatMoney(minimumCharge);
   const [selectedAmount, setSelectedAmount] = useState(null);
   const [customAmount, setCustomAmount] = useState('');
   const [loading, setLoading] = useState(false);
+  const [promoInput, setPromoInput] = useState('');
+  const [appliedPromo, setAppliedPromo] = useState(null); // { code, discount, total, amount }
+  const [promoError, setPromoError] = useState('');
+  const [promoChecking, setPromoChecking] = useState(false);
 
   const handleTopUp = async () => {
     if (!userId) {
@@ -40,8 +51,8 @@ export default function WalletTopUpModal({ visible, onClose, userId, onTopUpSucc
       return;
     }
 
-    if (amount < 5) {
-      Alert.alert(t('error'), t('minTopUp5'));
+    if (amount < minimumCharge) {
+      Alert.alert(t('error'), t('minTopUpAmount', { amount: minimumText }));
       return;
     }
 
@@ -53,10 +64,11 @@ export default function WalletTopUpModal({ visible, onClose, userId, onTopUpSucc
     try {
       setLoading(true);
 
-      // Create Stripe checkout session
+      // Create Stripe checkout session (dynamic-task applies the promo code again)
       const { sessionId, url, error } = await createTopUpCheckoutSession({
         userId,
         amount,
+        promoCode: appliedPromo?.code || null,
         metadata: {
           topUpAmount: amount.toString(),
         },
@@ -81,6 +93,11 @@ export default function WalletTopUpModal({ visible, onClose, userId, onTopUpSucc
       }
     } catch (error) {
       console.error('Error processing top-up:', error);
+      if (isPromoErrorCode(error.code)) {
+        setAppliedPromo(null);
+        setPromoError(error.message);
+        return;
+      }
       Alert.alert(
         'Payment Error',
         error.message || 'Failed to process payment. Please try again.'
@@ -90,9 +107,54 @@ export default function WalletTopUpModal({ visible, onClose, userId, onTopUpSucc
     }
   };
 
+  const handleApplyPromo = async () => {
+    const amount = selectedAmount || parseFloat(customAmount);
+    if (!promoInput.trim()) return;
+    if (!amount || amount < minimumCharge) {
+      setPromoError(t('minTopUpAmount', { amount: minimumText }));
+      return;
+    }
+
+    try {
+      setPromoChecking(true);
+      setPromoError('');
+      const result = await checkPromoCode({ code: promoInput.trim(), amount });
+      if (!result.success) {
+        setAppliedPromo(null);
+        setPromoError(result.message);
+        return;
+      }
+      if (result.total < minimumCharge) {
+        setAppliedPromo(null);
+        setPromoError(t('promoMinCharge', { amount: minimumText }));
+        return;
+      }
+      setAppliedPromo({ code: result.code, discount: result.discount, total: result.total, amount });
+    } catch (error) {
+      setPromoError(t('promoCheckFailed'));
+    } finally {
+      setPromoChecking(false);
+    }
+  };
+
+  const handleRemovePromo = () => {
+    setAppliedPromo(null);
+    setPromoInput('');
+    setPromoError('');
+  };
+
+  // The discount was worked out for one amount; changing it needs a fresh check
+  const clearPromoForNewAmount = () => {
+    if (appliedPromo) {
+      setAppliedPromo(null);
+      setPromoError('');
+    }
+  };
+
   const handleAmountSelect = (amount) => {
     setSelectedAmount(amount);
     setCustomAmount('');
+    clearPromoForNewAmount();
   };
 
   const handleCustomAmountChange = (text) => {
@@ -103,6 +165,7 @@ export default function WalletTopUpModal({ visible, onClose, userId, onTopUpSucc
     
     setCustomAmount(cleaned);
     setSelectedAmount(null);
+    clearPromoForNewAmount();
   };
 
   const displayAmount = selectedAmount || (customAmount ? parseFloat(customAmount) : null);
@@ -128,7 +191,7 @@ export default function WalletTopUpModal({ visible, onClose, userId, onTopUpSucc
           <View style={styles.section}>
             <Text style={styles.sectionTitle}>{t('quickTopUp')}</Text>
             <View style={styles.amountGrid}>
-              {TOP_UP_AMOUNTS.map((amount) => (
+              {topUpAmounts.map((amount) => (
                 <TouchableOpacity
                   key={amount}
                   style={[
@@ -143,7 +206,7 @@ export default function WalletTopUpModal({ visible, onClose, userId, onTopUpSucc
                       selectedAmount === amount && styles.amountButtonTextSelected,
                     ]}
                   >
-                    ${amount}
+                    {formatMoney(amount, { decimals: 0 })}
                   </Text>
                 </TouchableOpacity>
               ))}
@@ -154,7 +217,7 @@ export default function WalletTopUpModal({ visible, onClose, userId, onTopUpSucc
           <View style={styles.section}>
             <Text style={styles.sectionTitle}>{t('customAmountLabel')}</Text>
             <View style={styles.customAmountContainer}>
-              <Text style={styles.currencySymbol}>$</Text>
+              <Text style={styles.currencySymbol}>{currencySymbol(currency)}</Text>
               <TextInput
                 style={styles.customAmountInput}
                 placeholder={t('enterAmount')}
@@ -165,7 +228,49 @@ export default function WalletTopUpModal({ visible, onClose, userId, onTopUpSucc
                 editable={!loading}
               />
             </View>
-            <Text style={styles.minAmountText}>{t('minimum5')}</Text>
+            <Text style={styles.minAmountText}>{t('minimumAmount', { amount: minimumText })}</Text>
+          </View>
+
+          {/* Promo Code */}
+          <View style={styles.section}>
+            <Text style={styles.sectionTitle}>{t('promoCode')}</Text>
+            {appliedPromo ? (
+              <View style={styles.promoApplied}>
+                <Ionicons name="pricetag" size={16} color="#0D9488" />
+                <Text style={styles.promoAppliedText}>{appliedPromo.code}</Text>
+                <TouchableOpacity onPress={handleRemovePromo} disabled={loading}>
+                  <Text style={styles.promoRemoveText}>{t('removePromo')}</Text>
+                </TouchableOpacity>
+              </View>
+            ) : (
+              <View style={styles.promoRow}>
+                <TextInput
+                  style={styles.promoInput}
+                  placeholder={t('enterPromoCode')}
+                  placeholderTextColor="#9CA3AF"
+                  value={promoInput}
+                  onChangeText={(text) => {
+                    setPromoInput(text.toUpperCase());
+                    setPromoError('');
+                  }}
+                  autoCapitalize="characters"
+                  autoCorrect={false}
+                  editable={!loading && !promoChecking}
+                />
+                <TouchableOpacity
+                  style={[styles.promoApplyButton, (!promoInput.trim() || promoChecking) && styles.buttonDisabled]}
+                  onPress={handleApplyPromo}
+                  disabled={!promoInput.trim() || promoChecking || loading}
+                >
+                  {promoChecking ? (
+                    <ActivityIndicator color="#0D9488" size="small" />
+                  ) : (
+                    <Text style={styles.promoApplyText}>{t('applyPromo')}</Text>
+                  )}
+                </TouchableOpacity>
+              </View>
+            )}
+            {!!promoError && <Text style={styles.promoErrorText}>{promoError}</Text>}
           </View>
 
           {/* Selected Amount Display */}
@@ -173,8 +278,20 @@ export default function WalletTopUpModal({ visible, onClose, userId, onTopUpSucc
             <View style={styles.summaryContainer}>
               <View style={styles.summaryRow}>
                 <Text style={styles.summaryLabel}>{t('topUpAmountLabel')}</Text>
-                <Text style={styles.summaryValue}>${displayAmount.toFixed(2)}</Text>
+                <Text style={appliedPromo ? styles.summaryLabel : styles.summaryValue}>{formatMoney(displayAmount)}</Text>
               </View>
+              {appliedPromo && (
+                <>
+                  <View style={[styles.summaryRow, styles.summaryRowSpaced]}>
+                    <Text style={styles.summaryLabel}>{t('promoDiscount')}</Text>
+                    <Text style={styles.promoDiscountValue}>{formatMoney(-appliedPromo.discount)}</Text>
+                  </View>
+                  <View style={[styles.summaryRow, styles.summaryRowSpaced]}>
+                    <Text style={styles.summaryLabel}>{t('youPay')}</Text>
+                    <Text style={styles.summaryValue}>{formatMoney(appliedPromo.total)}</Text>
+                  </View>
+                </>
+              )}
             </View>
           )}
 
@@ -344,6 +461,9 @@ const styles = StyleSheet.create({
     justifyContent: 'space-between',
     alignItems: 'center',
   },
+  summaryRowSpaced: {
+    marginTop: isMobile ? 6 : 8,
+  },
   summaryLabel: {
     fontSize: isMobile ? 13 : 14,
     color: '#6B7280',
@@ -353,6 +473,68 @@ const styles = StyleSheet.create({
     fontWeight: '700',
     color: '#111827',
   },
+  promoRow: {
+    flexDirection: 'row',
+    gap: isMobile ? 8 : 10,
+  },
+  promoInput: {
+    flex: 1,
+    borderWidth: 2,
+    borderColor: '#E5E7EB',
+    borderRadius: isMobile ? 10 : 12,
+    paddingHorizontal: isMobile ? 14 : 16,
+    paddingVertical: isMobile ? 12 : 10,
+    fontSize: isMobile ? 15 : 16,
+    fontWeight: '600',
+    color: '#111827',
+    backgroundColor: '#F9FAFB',
+    ...(Platform.OS === 'web' && {
+      outlineStyle: 'none',
+    }),
+  },
+  promoApplyButton: {
+    paddingHorizontal: isMobile ? 16 : 20,
+    borderRadius: isMobile ? 10 : 12,
+    borderWidth: 2,
+    borderColor: '#0D9488',
+    alignItems: 'center',
+    justifyContent: 'center',
+    minHeight: isMobile ? 48 : undefined,
+  },
+  promoApplyText: {
+    fontSize: isMobile ? 14 : 15,
+    fontWeight: '600',
+    color: '#0D9488',
+  },
+  promoApplied: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+    padding: isMobile ? 12 : 14,
+    borderRadius: isMobile ? 10 : 12,
+    backgroundColor: 'rgba(13, 148, 136, 0.1)',
+  },
+  promoAppliedText: {
+    flex: 1,
+    fontSize: isMobile ? 14 : 15,
+    fontWeight: '700',
+    color: '#0D9488',
+  },
+  promoRemoveText: {
+    fontSize: isMobile ? 13 : 14,
+    fontWeight: '600',
+    color: '#64748B',
+  },
+  promoErrorText: {
+    fontSize: isMobile ? 12 : 13,
+    color: '#DC2626',
+    marginTop: isMobile ? 6 : 8,
+  },
+  promoDiscountValue: {
+    fontSize: isMobile ? 14 : 15,
+    fontWeight: '600',
+    color: '#0D9488',
+  },
   buttonContainer: {
     flexDirection: 'row',
     gap: isMobile ? 10 : 12,
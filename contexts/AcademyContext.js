@@ -1,6 +1,9 @@
 import React, { createContext, useContext, useState, useEffect, useCallback } from 'react';
 import { Platform } from 'react-native';
 import { supabase } from '../lib/supabase';
+import { useAuth } from './AuthContext';
+import { DEFAULT_CURRENCY, formatMoney, minimumCharge } from '../utils/currency';
+import { DEFAULT_TIMEZONE, setActiveTimeZone } from '../utils/timezone';
 
 const AcademyContext = createContext(null);
 
@@ -19,14 +22,16 @@ export function getSubdomainFromHost(hostname) {
   return null;
 }
 
+const ACADEMY_COLUMNS = 'id, name, subdomain_prefix, stripe_connect_id, currency, timezone';
+
 /**
- * Fetch academy by subdomain_prefix. Returns { id, name, subdomain_prefix, stripe_connect_id } or null.
+ * Fetch academy by subdomain_prefix. Returns { id, name, subdomain_prefix, stripe_connect_id, currency, timezone } or null.
  */
 export async function fetchAcademyBySubdomain(supabaseClient, subdomain) {
   if (!subdomain) return null;
   const { data, error } = await supabaseClient
     .from('academies')
-    .select('id, name, subdomain_prefix, stripe_connect_id')
+    .select(ACADEMY_COLUMNS)
     .eq('subdomain_prefix', subdomain)
     .maybeSingle();
   if (error) {
@@ -36,6 +41,24 @@ export async function fetchAcademyBySubdomain(supabaseClient, subdomain) {
   return data;
 }
 
+/**
+ * Fetch the academy a user's profile belongs to (native apps, localhost and
+ * hosts that are not an academy subdomain). Same shape as fetchAcademyBySubdomain.
+ */
+export async function fetchAcademyForUser(supabaseClient, userId) {
+  if (!userId) return null;
+  const { data, error } = await supabaseClient
+    .from('profiles')
+    .select(`academies(${ACADEMY_COLUMNS})`)
+    .eq('id', userId)
+    .maybeSingle();
+  if (error) {
+    console.warn('[AcademyContext] fetchAcademyForUser error:', error.message);
+    return null;
+  }
+  return data?.academies ?? null;
+}
+
 export function useAcademy() {
   const ctx = useContext(AcademyContext);
   if (!ctx) {
@@ -45,6 +68,8 @@ export function useAcademy() {
 }
 
 export function AcademyProvider({ children, fallbackSubdomain = null }) {
+  const { user } = useAuth();
+  const userId = user?.id ?? null;
   const [academy, setAcademy] = useState(null);
   const [academyId, setAcademyId] = useState(null);
   const [loading, setLoading] = useState(true);
@@ -52,7 +77,7 @@ export function AcademyProvider({ children, fallbackSubdomain = null }) {
 
   const resolveAcademy = useCallback(async (subdomain) => {
     const resolved = subdomain || fallbackSubdomain;
-    if (!resolved) {
+    if (!resolved && !userId) {
       setAcademy(null);
       setAcademyId(null);
       setLoading(false);
@@ -61,7 +86,10 @@ export function AcademyProvider({ children, fallbackSubdomain = null }) {
     setLoading(true);
     setError(null);
     try {
-      const row = await fetchAcademyBySubdomain(supabase, resolved);
+      // No academy on this host (native, localhost, app.*): the signed-in user's
+      const row =
+        (resolved ? await fetchAcademyBySubdomain(supabase, resolved) : null) ||
+        (await fetchAcademyForUser(supabase, userId));
       setAcademy(row);
       setAcademyId(row?.id ?? null);
     } catch (e) {
@@ -71,7 +99,7 @@ export function AcademyProvider({ children, fallbackSubdomain = null }) {
     } finally {
       setLoading(false);
     }
-  }, [fallbackSubdomain]);
+  }, [fallbackSubdomain, userId]);
 
   useEffect(() => {
     if (Platform.OS !== 'web' || typeof window === 'undefined') {
@@ -83,9 +111,19 @@ export function AcademyProvider({ children, fallbackSubdomain = null }) {
     resolveAcademy(subdomain);
   }, [resolveAcademy]);
 
+  const currency = academy?.currency || DEFAULT_CURRENCY;
+  const timezone = academy?.timezone || DEFAULT_TIMEZONE;
+  // Set before children render so utils/timezone helpers called without a zone use this academy's
+  setActiveTimeZone(timezone);
+
   const value = {
     academy,
     academyId,
+    currency,
+    timezone,
+    // Amount in the academy's currency, e.g. formatMoney(12.5) → "$12.50"
+    formatMoney: (amount, options) => formatMoney(amount, currency, options),
+    minimumCharge: minimumCharge(currency),
     loading,
     error,
     refetch: () => {
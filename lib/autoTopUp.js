@@ -0,0 +1,104 @@
+import { supabase } from './supabase';
+
+/**
+ * Automatic wallet top-up (supabase/migrations/028_auto_topup.sql).
+ * The card is saved through a Stripe Checkout session in setup mode; when a
+ * booking would take the wallet below the threshold, dynamic-task charges the
+ * preset amount to it off-session before the booking is made.
+ */
+
+const toSettings = (row) => ({
+  enabled: !!row?.enabled,
+  threshold: parseFloat(row?.threshold ?? 20),
+  amount: parseFloat(row?.amount ?? 50),
+  hasCard: !!row?.payment_method_id,
+  cardBrand: row?.card_brand || null,
+  cardLast4: row?.card_last4 || null,
+  cardExpMonth: row?.card_exp_month || null,
+  cardExpYear: row?.card_exp_year || null,
+  failureCount: row?.failure_count || 0,
+  lastFailureMessage: row?.last_failure_message || null,
+  lastChargedAt: row?.last_charged_at || null,
+});
+
+const invokeDynamicTask = async (body) => {
+  const { data, error } = await supabase.functions.invoke('dynamic-task', { body });
+  if (error) {
+    const errorBody = await error.context?.json?.().catch(() => null);
+    if (errorBody?.error || errorBody?.message) {
+      const err = new Error(errorBody.error || errorBody.message);
+      err.code = errorBody.code;
+      err.disabled = errorBody.disabled;
+      throw err;
+    }
+    throw error;
+  }
+  return data;
+};
+
+/**
+ * The student's auto top-up settings (defaults if they never opened them).
+ * Resolves to { enabled, threshold, amount, hasCard, cardBrand, cardLast4, ... }.
+ */
+export const loadAutoTopUpSettings = async (userId) => {
+  try {
+    const { data, error } = await supabase
+      .from('auto_topup_settings')
+      .select('*')
+      .eq('user_id', userId)
+      .maybeSingle();
+    if (error) throw error;
+    return toSettings(data);
+  } catch (error) {
+    console.warn('Error loading auto top-up settings:', error);
+    return toSettings(null);
+  }
+};
+
+/**
+ * Save the opt-in, threshold and amount (dollars). Turning it on needs a saved card.
+ * Resolves to { success, code?, message? }.
+ */
+export const saveAutoTopUpSettings = async ({ enabled, threshold, amount }) => {
+  const { data, error } = await supabase.rpc('save_auto_topup_settings', {
+    p_enabled: enabled,
+    p_threshold: threshold,
+    p_amount: amount,
+  });
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * Start saving (or replacing) the card. Resolves to { sessionId, url } of a
+ * Stripe Checkout page; Stripe sends the student back to /home?card_saved=1.
+ */
+export const startAutoTopUpCardSetup = async () => {
+  try {
+    return await invokeDynamicTask({ action: 'auto-topup-setup' });
+  } catch (error) {
+    console.error('Error starting card setup:', error);
+    throw error;
+  }
+};
+
+/**
+ * Before a booking of `required` dollars: top up from the saved card if the
+ * wallet would drop below the threshold. Resolves to { success, charged, newBalance }
+ * (charged 0 when no top-up was needed); rejects with code 'auto_topup_failed'
+ * (err.disabled when that failure switched it off) or 'auto_topup_off'.
+ */
+export const runAutoTopUp = async (required) => {
+  try {
+    return await invokeDynamicTask({ action: 'auto-topup', required });
+  } catch (error) {
+    console.warn('Auto top-up failed:', error);
+    throw error;
+  }
+};
+
+/**
+ * Whether a booking of `required` dollars from `balance` should trigger a top-up
+ */
+export const needsAutoTopUp = (settings, balance, required) =>
+  !!settings?.enabled && settings.hasCard && balance - required < settings.threshold;
@@ -0,0 +1,24 @@
+import { supabase } from './supabase';
+
+/**
+ * Booking policies (supabase/migrations/018_booking_policies.sql).
+ * The server enforces them in book_lessons; the same rules are mirrored in
+ * utils/bookingPolicy.js so BookingDiscoveryScreen can grey out slots a student
+ * cannot book.
+ */
+
+/**
+ * Load every policy row visible to the current user
+ */
+export const loadBookingPolicies = async () => {
+  try {
+    const { data, error } = await supabase.from('booking_policies').select('*');
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    console.warn('Error loading booking policies:', error);
+    return [];
+  }
+};
+
+export { resolveBookingPolicy, formatLeadTime, getPolicyBlockReason } from '../utils/bookingPolicy';
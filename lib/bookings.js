@@ -0,0 +1,413 @@
+import { supabase } from './supabase';
+
+/**
+ * Error codes returned by the book_lessons RPC (supabase/migrations/014_book_lessons_rpc.sql)
+ */
+export const BOOKING_ERROR_CODES = {
+  UNAUTHORIZED: 'unauthorized',
+  INVALID_REQUEST: 'invalid_request',
+  PROFILE_NOT_FOUND: 'profile_not_found',
+  SLOT_UNAVAILABLE: 'slot_unavailable',
+  SLOT_FULL: 'slot_full',
+  SLOT_IN_PAST: 'slot_in_past',
+  INSUFFICIENT_BALANCE: 'insufficient_balance',
+  BOOKING_CONFLICT: 'booking_conflict',
+  NO_AVAILABLE_DATES: 'no_available_dates', // book_lesson_series only
+  POLICY_LEAD_TIME: 'policy_lead_time', // booking_policies (018)
+  POLICY_TOO_FAR_AHEAD: 'policy_too_far_ahead',
+  POLICY_WEEKLY_LIMIT: 'policy_weekly_limit',
+  PRICE_CHANGED: 'price_changed', // dynamic-task: pricing rules changed since the quote
+  PACK_UNAVAILABLE: 'pack_unavailable', // lesson pack used up or expired since the quote (022)
+  PLAYER_NOT_FOUND: 'player_not_found', // player_id is not one of the account's family players (025)
+};
+
+const BOOKING_ERROR_MESSAGES = {
+  [BOOKING_ERROR_CODES.SLOT_UNAVAILABLE]: 'This time slot is no longer available. Please select a different time.',
+  [BOOKING_ERROR_CODES.SLOT_FULL]: 'This time slot is already full. Please choose another time.',
+  [BOOKING_ERROR_CODES.SLOT_IN_PAST]: 'Cannot create a booking for a time that has already passed.',
+  [BOOKING_ERROR_CODES.INSUFFICIENT_BALANCE]: 'Insufficient wallet balance.',
+  [BOOKING_ERROR_CODES.BOOKING_CONFLICT]: 'This time slot is no longer available. Please select a different time.',
+  [BOOKING_ERROR_CODES.PACK_UNAVAILABLE]: 'Your lesson pack no longer covers this booking. Please review your booking and try again.',
+};
+
+/**
+ * User-facing message for a booking error code (e.g. from a redirect query param)
+ */
+export const getBookingErrorMessage = (code) =>
+  BOOKING_ERROR_MESSAGES[code] || 'Booking failed. Please try again.';
+
+/**
+ * App segment shape → book_lessons segment shape
+ */
+export const toRpcSegments = (segments) =>
+  segments.map((s) => ({
+    location_id: s.locationId,
+    start_time: s.startTime,
+    end_time: s.endTime,
+    service_name: s.serviceName || null,
+    cost: s.cost ?? 0,
+    availability_ids: s.availabilityIds || [],
+    player_id: s.playerId || null,
+  }));
+
+/**
+ * Itemised price of one or more lessons from the pricing rules
+ * (supabase/migrations/020_pricing_rules.sql). book_lessons charges students the
+ * same quote, so this is the price they pay.
+ *
+ * segments: same shape as bookLessons (cost is ignored)
+ *
+ * Resolves to { success: true, total, segments } where each segment is
+ * { ...segment, cost, items: [{ kind, label, amount }] }, or { success: false, code, message }.
+ */
+export const quoteLessons = async ({ userId, segments }) => {
+  try {
+    const { data, error } = await supabase.rpc('quote_lessons', {
+      p_user_id: userId,
+      p_segments: toRpcSegments(segments),
+    });
+
+    if (error) throw error;
+
+    if (!data?.success) {
+      return {
+        success: false,
+        code: data?.code || BOOKING_ERROR_CODES.INVALID_REQUEST,
+        message: data?.message || 'Could not price this booking. Please try again.',
+      };
+    }
+
+    return {
+      success: true,
+      total: parseFloat(data.total || 0),
+      segments: (data.segments || []).map((seg, index) => ({
+        ...segments[index],
+        cost: parseFloat(seg.cost || 0),
+        items: (seg.items || []).map((item) => ({
+          kind: item.kind,
+          label: item.label,
+          amount: parseFloat(item.amount || 0),
+        })),
+      })),
+    };
+  } catch (error) {
+    console.error('Error quoting lessons:', error);
+    throw error;
+  }
+};
+
+/**
+ * Book one or more lessons in a single server-side transaction.
+ * The RPC locks the availabilities, checks max_capacity, debits the wallet,
+ * inserts the bookings and marks full slots; if any step fails nothing is written.
+ *
+ * segments: [{ locationId, startTime, endTime, serviceName, cost, availabilityIds, playerId }]
+ * playerId: optional family player the lesson is for (lib/family.js); the account holder pays.
+ * Students are charged the quoteLessons price; cost only counts for admins.
+ * chargeWallet: only admins may pass false (ignored for students)
+ * promoCode: optional; discounts the lessons (see lib/promoCodes.js)
+ *
+ * Resolves to { success: true, bookingIds, totalCost, newBalance, discount } or
+ * { success: false, code, message, segment, balance, required }.
+ * Throws only if the RPC call itself fails.
+ */
+export const bookLessons = async ({ userId, segments, chargeWallet = true, promoCode = null }) => {
+  try {
+    const { data, error } = await supabase.rpc('book_lessons', {
+      p_user_id: userId,
+      p_segments: toRpcSegments(segments),
+      p_charge_wallet: chargeWallet,
+      p_promo_code: promoCode || null,
+    });
+
+    if (error) throw error;
+
+    if (!data?.success) {
+      return {
+        success: false,
+        code: data?.code || BOOKING_ERROR_CODES.INVALID_REQUEST,
+        message: data?.message || 'Booking failed. Please try again.',
+        segment: data?.segment ?? null,
+        balance: data?.balance != null ? parseFloat(data.balance) : null,
+        required: data?.required != null ? parseFloat(data.required) : null,
+      };
+    }
+
+    return {
+      success: true,
+      bookingIds: data.booking_ids || [],
+      totalCost: parseFloat(data.total_cost || 0),
+      newBalance: data.new_balance != null ? parseFloat(data.new_balance) : null,
+      discount: parseFloat(data.discount || 0),
+    };
+  } catch (error) {
+    console.error('Error booking lessons:', error);
+    throw error;
+  }
+};
+
+/**
+ * Book the same lesson(s) every week until a date (supabase/migrations/017_booking_series.sql).
+ * Each week is checked for availability; the free ones are booked and the wallet
+ * is charged once for all of them. The first week must be bookable.
+ *
+ * segments: the first week's lessons, same shape as bookLessons
+ * until: last academy-local date (YYYY-MM-DD) an occurrence may fall on
+ *
+ * Resolves to { success: true, seriesId, bookingIds, booked, failed, totalCost, newBalance } or
+ * { success: false, code, message, failed, balance, required }.
+ * booked is a list of start times; failed is [{ startTime, code, message }].
+ */
+export const bookLessonSeries = async ({ userId, segments, until }) => {
+  try {
+    const { data, error } = await supabase.rpc('book_lesson_series', {
+      p_user_id: userId,
+      p_segments: toRpcSegments(segments),
+      p_until: until,
+    });
+
+    if (error) throw error;
+
+    const failed = (data?.failed || []).map((f) => ({
+      startTime: f.start_time,
+      code: f.code,
+      message: f.message,
+    }));
+
+    if (!data?.success) {
+      return {
+        success: false,
+        code: data?.code || BOOKING_ERROR_CODES.INVALID_REQUEST,
+        message: data?.message || 'Booking failed. Please try again.',
+        failed,
+        balance: data?.balance != null ? parseFloat(data.balance) : null,
+        required: data?.required != null ? parseFloat(data.required) : null,
+      };
+    }
+
+    return {
+      success: true,
+      seriesId: data.series_id,
+      bookingIds: data.booking_ids || [],
+      booked: data.booked || [],
+      failed,
+      totalCost: parseFloat(data.total_cost || 0),
+      newBalance: data.new_balance != null ? parseFloat(data.new_balance) : null,
+    };
+  } catch (error) {
+    console.error('Error booking lesson series:', error);
+    throw error;
+  }
+};
+
+/**
+ * Cancel the remaining lessons of a series, or skip one week when bookingId is given.
+ * Each lesson is refunded by the cancellation refund tiers (019); kept is always empty.
+ *
+ * Resolves to { success: true, cancelled, kept, refunded, newBalance } or { success: false, code, message }.
+ * cancelled is [{ bookingId, startTime, locationName, coachId, refund }].
+ */
+export const cancelSeriesBookings = async ({ seriesId, bookingId = null }) => {
+  try {
+    const { data, error } = await supabase.rpc('cancel_series_bookings', {
+      p_series_id: seriesId,
+      p_booking_id: bookingId,
+    });
+
+    if (error) throw error;
+
+    if (!data?.success) {
+      return {
+        success: false,
+        code: data?.code || 'not_found',
+        message: data?.message || 'Could not update the series. Please try again.',
+      };
+    }
+
+    return {
+      success: true,
+      cancelled: (data.cancelled || []).map((c) => ({
+        bookingId: c.booking_id,
+        startTime: c.start_time,
+        locationName: c.location_name,
+        coachId: c.coach_id,
+        refund: parseFloat(c.refund || 0),
+      })),
+      kept: data.kept || [],
+      refunded: parseFloat(data.refunded || 0),
+      newBalance: data.new_balance != null ? parseFloat(data.new_balance) : null,
+    };
+  } catch (error) {
+    console.error('Error cancelling series bookings:', error);
+    throw error;
+  }
+};
+
+const toCancellationQuote = (data) => ({
+  refundPercent: parseFloat(data.refund_percent || 0),
+  refundAmount: parseFloat(data.refund_amount || 0),
+  creditCost: parseFloat(data.credit_cost || 0),
+  hoursBefore: data.hours_before != null ? parseFloat(data.hours_before) : null,
+  tiers: (data.tiers || []).map((tier) => ({
+    hoursBefore: parseFloat(tier.hours_before || 0),
+    refundPercent: parseFloat(tier.refund_percent || 0),
+  })),
+  packLesson: Boolean(data.pack_lesson),
+});
+
+/**
+ * What cancelling a booking would refund under the academy/service refund tiers
+ * (supabase/migrations/019_cancellation_refund_tiers.sql).
+ * asOf: quote as of an earlier time, e.g. when a cancellation request was made.
+ *
+ * Resolves to { refundPercent, refundAmount, creditCost, hoursBefore, tiers, packLesson } or null
+ * if the booking cannot be quoted. tiers is [{ hoursBefore, refundPercent }], largest first.
+ * packLesson: paid from a lesson pack; refunded 100% (lesson back on the pack) or 0%.
+ */
+export const getCancellationQuote = async (bookingId, asOf = null) => {
+  try {
+    const params = { p_booking_id: bookingId };
+    if (asOf) params.p_as_of = asOf;
+    const { data, error } = await supabase.rpc('get_cancellation_quote', params);
+    if (error) throw error;
+    return data?.success ? toCancellationQuote(data) : null;
+  } catch (error) {
+    console.error('Error loading cancellation quote:', error);
+    throw error;
+  }
+};
+
+/**
+ * Cancel a booking and refund it to the wallet in one server-side transaction.
+ * Students get the policy refund; admins may pass refundPercent (0-100) to override it.
+ * The freed place is offered to the waitlist by the RPC.
+ *
+ * Resolves to { success: true, refundPercent, refundAmount, newBalance, userId, coachId,
+ * locationName, startTime, packLessonReturned } or { success: false, code, message }.
+ */
+export const cancelBookingWithRefund = async ({ bookingId, reason, refundPercent = null }) => {
+  try {
+    const { data, error } = await supabase.rpc('cancel_booking_with_refund', {
+      p_booking_id: bookingId,
+      p_reason: reason || null,
+      p_refund_percent: refundPercent,
+    });
+
+    if (error) throw error;
+
+    if (!data?.success) {
+      return {
+        success: false,
+        code: data?.code || 'not_found',
+        message: data?.message || 'Failed to process cancellation. Please try again.',
+      };
+    }
+
+    return {
+      success: true,
+      refundPercent: parseFloat(data.refund_percent || 0),
+      refundAmount: parseFloat(data.refund_amount || 0),
+      newBalance: data.new_balance != null ? parseFloat(data.new_balance) : null,
+      userId: data.user_id,
+      coachId: data.coach_id ?? null,
+      locationName: data.location_name || null,
+      startTime: data.start_time,
+      packLessonReturned: Boolean(data.pack_lesson_returned),
+    };
+  } catch (error) {
+    console.error('Error cancelling booking:', error);
+    throw error;
+  }
+};
+
+/**
+ * Error codes returned by the join_waitlist RPC (supabase/migrations/016_waitlist.sql)
+ */
+export const WAITLIST_ERROR_CODES = {
+  UNAUTHORIZED: 'unauthorized',
+  SLOT_UNAVAILABLE: 'slot_unavailable',
+  SLOT_AVAILABLE: 'slot_available',
+  SLOT_IN_PAST: 'slot_in_past',
+  ALREADY_BOOKED: 'already_booked',
+  ALREADY_WAITING: 'already_waiting',
+};
+
+/**
+ * Join the waitlist for the full session covering an availability slot.
+ * The server works out the session times and price from the existing bookings.
+ *
+ * Resolves to { success: true, entryId, position } or { success: false, code, message }.
+ */
+export const joinWaitlist = async (availabilityId) => {
+  try {
+    const { data, error } = await supabase.rpc('join_waitlist', {
+      p_availability_id: availabilityId,
+    });
+
+    if (error) throw error;
+
+    if (!data?.success) {
+      return {
+        success: false,
+        code: data?.code || WAITLIST_ERROR_CODES.SLOT_UNAVAILABLE,
+        message: data?.message || 'Could not join the waitlist. Please try again.',
+      };
+    }
+
+    return { success: true, entryId: data.entry_id, position: data.position };
+  } catch (error) {
+    console.error('Error joining waitlist:', error);
+    throw error;
+  }
+};
+
+/**
+ * Leave a waitlist the current user is waiting on. Resolves to true if an entry was removed.
+ */
+export const leaveWaitlist = async (entryId) => {
+  try {
+    const { data, error } = await supabase.rpc('leave_waitlist', { p_entry_id: entryId });
+    if (error) throw error;
+    return !!data;
+  } catch (error) {
+    console.error('Error leaving waitlist:', error);
+    throw error;
+  }
+};
+
+/**
+ * Approve a pending rain check request (admins, or the lesson's coach). The RPC
+ * cancels the booking, refunds it to the wallet and offers the freed place to
+ * the waitlist in one transaction.
+ *
+ * Resolves to { success: true, refundAmount, newBalance, packLessonReturned }
+ * or { success: false, code, message }.
+ */
+export const approveRainCheck = async ({ requestId, notes }) => {
+  try {
+    const { data, error } = await supabase.rpc('approve_rain_check', {
+      p_request_id: requestId,
+      p_notes: notes || null,
+    });
+
+    if (error) throw error;
+
+    if (!data?.success) {
+      return {
+        success: false,
+        code: data?.code || 'not_found',
+        message: data?.message || 'Failed to approve rain check. Please try again.',
+      };
+    }
+
+    return {
+      success: true,
+      refundAmount: parseFloat(data.refund_amount || 0),
+      newBalance: data.new_balance != null ? parseFloat(data.new_balance) : null,
+      packLessonReturned: Boolean(data.pack_lesson_returned),
+    };
+  } catch (error) {
+    console.error('Error approving rain check:', error);
+    throw error;
+  }
+};
@@ -0,0 +1,106 @@
+import { supabase } from './supabase';
+
+/**
+ * Family accounts (supabase/migrations/025_family_accounts.sql).
+ * A guardian's juniors are family_players rows, not logins. Their lessons are
+ * booked on the guardian's account and wallet with player_id set, so the
+ * booking flow only has to pass the chosen player along with each segment.
+ */
+
+/**
+ * Display name for a family_players row ({ first_name, last_name })
+ */
+export const getPlayerName = (player) =>
+  [player?.first_name, player?.last_name].filter(Boolean).join(' ') || 'Junior player';
+
+const toPlayer = (row) => ({
+  id: row.id,
+  guardianId: row.guardian_id,
+  firstName: row.first_name,
+  lastName: row.last_name || '',
+  fullName: getPlayerName(row),
+  dateOfBirth: row.date_of_birth,
+});
+
+/**
+ * A guardian's current players, by first name.
+ * Resolves to [{ id, guardianId, firstName, lastName, fullName, dateOfBirth }].
+ */
+export const loadFamilyPlayers = async (guardianId) => {
+  try {
+    const { data, error } = await supabase
+      .from('family_players')
+      .select('id, guardian_id, first_name, last_name, date_of_birth')
+      .eq('guardian_id', guardianId)
+      .is('archived_at', null)
+      .order('first_name', { ascending: true });
+    if (error) throw error;
+    return (data || []).map(toPlayer);
+  } catch (error) {
+    console.warn('Error loading family players:', error);
+    return [];
+  }
+};
+
+/**
+ * Every current player with their guardian, for coaches and admins.
+ * Resolves to [{ ...player, guardianName, guardianEmail }].
+ */
+export const loadAllFamilyPlayers = async () => {
+  try {
+    const { data, error } = await supabase
+      .from('family_players')
+      .select('id, guardian_id, first_name, last_name, date_of_birth, guardian:guardian_id (first_name, last_name, email)')
+      .is('archived_at', null)
+      .order('first_name', { ascending: true });
+    if (error) throw error;
+    return (data || []).map((row) => ({
+      ...toPlayer(row),
+      guardianName: [row.guardian?.first_name, row.guardian?.last_name].filter(Boolean).join(' ') || row.guardian?.email || '',
+      guardianEmail: row.guardian?.email || '',
+    }));
+  } catch (error) {
+    console.warn('Error loading family players:', error);
+    return [];
+  }
+};
+
+/**
+ * Add a junior to the guardian's family. Resolves to the new player.
+ */
+export const addFamilyPlayer = async ({ guardianId, firstName, lastName = '', dateOfBirth = null }) => {
+  try {
+    const { data, error } = await supabase
+      .from('family_players')
+      .insert({
+        guardian_id: guardianId,
+        first_name: firstName.trim(),
+        last_name: lastName.trim() || null,
+        date_of_birth: dateOfBirth || null,
+      })
+      .select('id, guardian_id, first_name, last_name, date_of_birth')
+      .single();
+    if (error) throw error;
+    return toPlayer(data);
+  } catch (error) {
+    console.error('Error adding family player:', error);
+    throw error;
+  }
+};
+
+/**
+ * Remove a junior from the family. The row is archived, not deleted, so
+ * their past lessons still show their name.
+ */
+export const archiveFamilyPlayer = async (playerId) => {
+  try {
+    const { error } = await supabase
+      .from('family_players')
+      .update({ archived_at: new Date().toISOString(), updated_at: new Date().toISOString() })
+      .eq('id', playerId);
+    if (error) throw error;
+  } catch (error) {
+    console.error('Error removing family player:', error);
+    throw error;
+  }
+};
@@ -0,0 +1,113 @@
+import { supabase } from './supabase';
+import { createTopUpCheckoutSession, redirectToCheckout } from './stripe';
+
+/**
+ * Lesson packs (supabase/migrations/022_lesson_packs.sql).
+ * Pack lessons are used before the wallet: quote_lessons prices a covered lesson
+ * at $0 and book_lessons takes it off the pack, so the booking flow needs no
+ * changes beyond showing the "pack" price item.
+ */
+
+/**
+ * Packs on sale to the current user, cheapest first
+ */
+export const loadLessonPacks = async () => {
+  try {
+    const { data, error } = await supabase
+      .from('lesson_packs')
+      .select('id, name, description, service_names, lesson_count, price, valid_days')
+      .eq('active', true)
+      .order('sort_order', { ascending: true })
+      .order('price', { ascending: true });
+    if (error) throw error;
+    return (data || []).map((pack) => ({
+      id: pack.id,
+      name: pack.name,
+      description: pack.description,
+      serviceNames: pack.service_names,
+      lessonCount: pack.lesson_count,
+      price: parseFloat(pack.price || 0),
+      validDays: pack.valid_days,
+    }));
+  } catch (error) {
+    console.warn('Error loading lesson packs:', error);
+    return [];
+  }
+};
+
+/**
+ * A student's packs that still have lessons and have not expired, soonest expiry first.
+ * Resolves to [{ id, name, serviceNames, lessonsTotal, lessonsRemaining, expiresAt }].
+ */
+export const loadPackCredits = async (userId) => {
+  try {
+    const { data, error } = await supabase
+      .from('pack_credits')
+      .select('id, name, service_names, lessons_total, lessons_remaining, expires_at')
+      .eq('user_id', userId)
+      .gt('lessons_remaining', 0)
+      .gt('expires_at', new Date().toISOString())
+      .order('expires_at', { ascending: true });
+    if (error) throw error;
+    return (data || []).map((credit) => ({
+      id: credit.id,
+      name: credit.name,
+      serviceNames: credit.service_names,
+      lessonsTotal: credit.lessons_total,
+      lessonsRemaining: credit.lessons_remaining,
+      expiresAt: credit.expires_at,
+    }));
+  } catch (error) {
+    console.warn('Error loading lesson pack credits:', error);
+    return [];
+  }
+};
+
+/**
+ * Buy a pack from the wallet balance.
+ * Resolves to { success: true, packCreditId, newBalance, expiresAt } or
+ * { success: false, code, message } (codes: pack_not_found, insufficient_balance).
+ */
+export const buyLessonPackFromWallet = async (packId) => {
+  try {
+    const { data, error } = await supabase.rpc('purchase_lesson_pack', { p_pack_id: packId });
+    if (error) throw error;
+
+    if (!data?.success) {
+      return {
+        success: false,
+        code: data?.code || 'pack_not_found',
+        message: data?.message || 'Could not buy this lesson pack. Please try again.',
+      };
+    }
+
+    return {
+      success: true,
+      packCreditId: data.pack_credit_id,
+      newBalance: data.new_balance != null ? parseFloat(data.new_balance) : null,
+      expiresAt: data.expires_at,
+    };
+  } catch (error) {
+    console.error('Error buying lesson pack:', error);
+    throw error;
+  }
+};
+
+/**
+ * Pay for a pack by card. dynamic-task charges the pack's price and buys the
+ * pack once the payment has been credited to the wallet.
+ */
+export const buyLessonPackByCard = async ({ userId, pack }) => {
+  const { url } = await createTopUpCheckoutSession({
+    userId,
+    amount: pack.price,
+    metadata: {
+      type: 'pack',
+      packId: pack.id,
+    },
+  });
+  if (!url) {
+    throw new Error('Checkout URL not returned from server');
+  }
+  await redirectToCheckout(url);
+};
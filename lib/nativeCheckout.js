@@ -0,0 +1,92 @@
+/**
+ * Stripe Checkout on iOS and Android. redirectToCheckout (lib/stripe.js) hands
+ * the session URL to NativeCheckoutModal (mounted in App.js), which opens it in
+ * a WebView. When Stripe sends the student back to APP_URL/home, or the app is
+ * opened with an airdroptennis://home deep link, the query parameters go to the
+ * return listeners (HomeScreen). They are the same ones the web build reads
+ * from window.location: credited, balance, booked, session_id, payment_token...
+ * Stripe's cancel link comes back as checkout=canceled.
+ */
+
+const APP_URL = (process.env.EXPO_PUBLIC_APP_URL || 'https://app.airdroptennis.com').replace(/\/$/, '');
+
+// Matches "scheme" in app.json
+export const CHECKOUT_DEEP_LINK = 'airdroptennis://home';
+
+let presenter = null;
+const returnListeners = new Set();
+// A deep link that opened the app before HomeScreen was listening
+let pendingReturn = null;
+
+/**
+ * The query of a Checkout return URL as a plain object, or null when the URL
+ * is not one (a Stripe page, 3D Secure, ...). Parsed by hand: URLSearchParams
+ * is incomplete in React Native.
+ */
+export const parseCheckoutReturn = (url) => {
+  if (typeof url !== 'string') return null;
+  const isReturn =
+    url === `${APP_URL}/home` ||
+    url.startsWith(`${APP_URL}/home?`) ||
+    url.startsWith(`${APP_URL}/home#`) ||
+    url.startsWith(CHECKOUT_DEEP_LINK);
+  if (!isReturn) return null;
+
+  const query = (url.split('?')[1] || '').split('#')[0];
+  const params = {};
+  query.split('&').filter(Boolean).forEach((pair) => {
+    const [key, value = ''] = pair.split('=');
+    try {
+      params[decodeURIComponent(key)] = decodeURIComponent(value.replace(/\+/g, ' '));
+    } catch {
+      // Malformed escape; skip the pair
+    }
+  });
+  return params;
+};
+
+/**
+ * NativeCheckoutModal registers how to show a checkout URL. The presenter
+ * resolves with the return parameters once the student is back ({ canceled: 'true' }
+ * when they closed it or cancelled on Stripe's page). Returns an unregister function.
+ */
+export const setCheckoutPresenter = (present) => {
+  presenter = present;
+  return () => {
+    if (presenter === present) presenter = null;
+  };
+};
+
+export const openNativeCheckout = (url) => {
+  if (!presenter) {
+    return Promise.reject(new Error('Checkout is not available right now. Please try again.'));
+  }
+  return presenter(url);
+};
+
+/**
+ * Listen for Checkout returns (WebView or deep link). Returns an unsubscribe function.
+ */
+export const onCheckoutReturn = (listener) => {
+  returnListeners.add(listener);
+  if (pendingReturn) {
+    const params = pendingReturn;
+    pendingReturn = null;
+    listener(params);
+  }
+  return () => returnListeners.delete(listener);
+};
+
+export const emitCheckoutReturn = (params) => {
+  if (returnListeners.size === 0) {
+    pendingReturn = params;
+    return;
+  }
+  returnListeners.forEach((listener) => {
+    try {
+      listener(params);
+    } catch (error) {
+      console.error('Error handling checkout return:', error);
+    }
+  });
+};
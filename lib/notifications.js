@@ -0,0 +1,165 @@
+import { supabase } from './supabase';
+
+/**
+ * Notification outbox (supabase/migrations/034_notifications.sql). Database
+ * triggers queue most texts and emails; the dispatch-notifications Edge Function
+ * sends them, retries failures and records delivery. Preferences, quiet hours
+ * and admin alert recipients are in 035_notification_preferences.sql.
+ */
+
+// notifications.template → label on the admin Notifications screen
+export const NOTIFICATION_TEMPLATES = {
+  booking_created: 'New booking',
+  coach_assigned: 'Coach assigned',
+  booking_confirmed: 'Booking confirmed',
+  booking_cancelled: 'Booking cancelled',
+  cancellation_confirmed: 'Cancellation confirmed',
+  rain_check: 'Rain check',
+  waitlist_promoted: 'Waitlist: booked',
+  waitlist_skipped: 'Waitlist: skipped',
+  auto_topup_succeeded: 'Auto top-up',
+  auto_topup_failed: 'Auto top-up failed',
+  lesson_reminder: 'Lesson reminder',
+};
+
+// Events people choose channels for on the Profile screen (labelKey in translations).
+// emailByDefault: also emailed, with a calendar invite, until preferences are saved
+// (notification_email_by_default in 037_booking_emails.sql).
+export const PREFERENCE_EVENTS = [
+  { id: 'booking_confirmed', labelKey: 'notifyBookingConfirmed', roles: ['student'], emailByDefault: true },
+  { id: 'lesson_reminder', labelKey: 'notifyLessonReminder', roles: ['student'] },
+  { id: 'rain_check', labelKey: 'notifyRainCheck', roles: ['student'], emailByDefault: true },
+  { id: 'waitlist', labelKey: 'notifyWaitlist', roles: ['student'] },
+  { id: 'auto_topup', labelKey: 'notifyAutoTopUp', roles: ['student'] },
+  { id: 'coach_assigned', labelKey: 'notifyCoachAssigned', roles: ['coach', 'admin'], emailByDefault: true },
+  {
+    id: 'booking_cancelled',
+    labelKey: 'notifyBookingCancelled',
+    roles: ['student', 'coach', 'admin'],
+    emailByDefault: true,
+  },
+];
+
+// Admin alerts that can have several recipients per academy
+export const ALERT_EVENTS = ['booking_created', 'booking_cancelled'];
+
+// Until saved, each event is texted (emailed when the profile has no phone)
+const defaultChannels = (event) => ({ sms: true, email: !!event.emailByDefault });
+
+// 'HH:MM:SS' from Postgres → 'HH:MM'
+const toClock = (value) => (value ? value.slice(0, 5) : '');
+
+/**
+ * The user's notification preferences. Resolves to
+ * { channels: { [event]: { sms, email } }, quietHoursStart, quietHoursEnd, hasPhone }
+ * with every PREFERENCE_EVENTS entry filled in; quiet hours are 'HH:MM' or ''.
+ */
+export const loadNotificationPreferences = async (userId) => {
+  const [{ data, error }, { data: profile }] = await Promise.all([
+    supabase.from('notification_preferences').select('*').eq('user_id', userId).maybeSingle(),
+    supabase.from('profiles').select('phone').eq('id', userId).maybeSingle(),
+  ]);
+  if (error) console.warn('Error loading notification preferences:', error);
+
+  const channels = {};
+  PREFERENCE_EVENTS.forEach((event) => {
+    channels[event.id] = { ...defaultChannels(event), ...(data?.channels?.[event.id] || {}) };
+  });
+  return {
+    channels,
+    quietHoursStart: toClock(data?.quiet_hours_start),
+    quietHoursEnd: toClock(data?.quiet_hours_end),
+    hasPhone: !!profile?.phone?.trim(),
+  };
+};
+
+/**
+ * Save channels per event and quiet hours ('HH:MM', or '' for none).
+ * Resolves to { success, code?, message? }.
+ */
+export const saveNotificationPreferences = async ({ channels, quietHoursStart, quietHoursEnd }) => {
+  const { data, error } = await supabase.rpc('save_notification_preferences', {
+    p_channels: channels,
+    p_quiet_hours_start: quietHoursStart || null,
+    p_quiet_hours_end: quietHoursEnd || null,
+  });
+  if (error) throw error;
+  return data;
+};
+
+/** The admin's academy alert recipients, oldest first. */
+export const loadAlertRecipients = async () => {
+  const { data, error } = await supabase
+    .from('notification_recipients')
+    .select('id, event, channel, address, label, created_at')
+    .order('created_at', { ascending: true });
+  if (error) throw error;
+  return data || [];
+};
+
+/**
+ * Add a phone (E.164) or email that gets an admin alert.
+ * Resolves to { success, id } or { success: false, code, message }.
+ */
+export const addAlertRecipient = async ({ event, channel, address, label }) => {
+  const { data, error } = await supabase.rpc('add_notification_recipient', {
+    p_event: event,
+    p_channel: channel,
+    p_address: address,
+    p_label: label || null,
+  });
+  if (error) throw error;
+  return data;
+};
+
+/** Remove an alert recipient. Resolves to { success, code?, message? }. */
+export const removeAlertRecipient = async (recipientId) => {
+  const { data, error } = await supabase.rpc('remove_notification_recipient', {
+    p_recipient_id: recipientId,
+  });
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * Queue rain check texts for lessons that were just cancelled (rain_check_history
+ * written, bookings deleted). Fire-and-forget: failures are only logged.
+ */
+export const queueRainCheckNotifications = async (bookingIds) => {
+  if (!bookingIds?.length) return;
+  try {
+    const { data, error } = await supabase.rpc('queue_rain_check_notifications', {
+      p_booking_ids: bookingIds,
+    });
+    if (error) throw error;
+    if (!data?.success) console.warn('Rain check notifications not queued:', data?.message);
+  } catch (error) {
+    console.warn('Rain check notifications request error:', error);
+  }
+};
+
+/**
+ * Send a failed or skipped notification again (admins only).
+ * Resolves to { success: true } or { success: false, code, message }.
+ */
+export const resendNotification = async (notificationId) => {
+  try {
+    const { data, error } = await supabase.rpc('retry_notification', {
+      p_notification_id: notificationId,
+    });
+    if (error) throw error;
+    if (!data?.success) {
+      return { success: false, code: data?.code, message: data?.message || 'Could not resend notification.' };
+    }
+
+    const { error: dispatchError } = await supabase.functions.invoke('dispatch-notifications', {
+      body: { ids: [notificationId] },
+    });
+    // Still queued; the next scheduled run sends it
+    if (dispatchError) console.warn('dispatch-notifications call failed:', dispatchError);
+    return { success: true };
+  } catch (error) {
+    console.error('Error resending notification:', error);
+    throw error;
+  }
+};
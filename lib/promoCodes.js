@@ -0,0 +1,74 @@
+import { supabase } from './supabase';
+import { toRpcSegments } from './bookings';
+
+/**
+ * Promo codes (supabase/migrations/021_promo_codes.sql).
+ * book_lessons and dynamic-task check the code again when it is used; these
+ * helpers only preview the discount in the booking confirmation and top-up modal.
+ */
+
+/**
+ * Error codes returned by check_promo_code / book_lessons / dynamic-task
+ */
+export const PROMO_ERROR_CODES = {
+  NOT_FOUND: 'promo_not_found',
+  NOT_STARTED: 'promo_not_started',
+  EXPIRED: 'promo_expired',
+  USED_UP: 'promo_used_up',
+  USER_LIMIT: 'promo_user_limit',
+  FIRST_BOOKING_ONLY: 'promo_first_booking_only',
+  NOT_APPLICABLE: 'promo_not_applicable',
+};
+
+export const isPromoErrorCode = (code) => Object.values(PROMO_ERROR_CODES).includes(code);
+
+/**
+ * What a code takes off for the signed-in student.
+ *
+ * Bookings: checkPromoCode({ code, segments }) — segments in bookLessons shape,
+ *   priced server-side. Resolves with segments [{ ...segment, cost, listCost, discount }].
+ * Top-ups: checkPromoCode({ code, amount }) — amount is the wallet credit.
+ *
+ * Resolves to { success: true, code, description, discount, total[, segments] } or
+ * { success: false, code, message }.
+ */
+export const checkPromoCode = async ({ code, segments = null, amount = null }) => {
+  try {
+    const context = segments ? 'booking' : 'topup';
+    const { data, error } = await supabase.rpc('check_promo_code', {
+      p_code: code,
+      p_context: context,
+      p_amount: amount,
+      p_segments: segments ? toRpcSegments(segments) : null,
+    });
+
+    if (error) throw error;
+
+    if (!data?.success) {
+      return {
+        success: false,
+        code: data?.code || PROMO_ERROR_CODES.NOT_FOUND,
+        message: data?.message || 'This promo code is not valid.',
+      };
+    }
+
+    return {
+      success: true,
+      code: data.code,
+      description: data.description || null,
+      discount: parseFloat(data.discount || 0),
+      total: parseFloat(data.total || 0),
+      segments: segments
+        ? (data.segments || []).map((seg, index) => ({
+          ...segments[index],
+          cost: parseFloat(seg.cost || 0),
+          listCost: parseFloat(seg.list_cost || 0),
+          discount: parseFloat(seg.discount || 0),
+        }))
+        : null,
+    };
+  } catch (error) {
+    console.error('Error checking promo code:', error);
+    throw error;
+  }
+};
@@ -0,0 +1,78 @@
+import { supabase } from './supabase';
+
+/**
+ * Stripe reconciliation (supabase/migrations/031_stripe_reconciliation.sql).
+ * The stripe-reconcile Edge Function checks every paid Checkout session and
+ * automatic top-up in a date range against the wallet and bookings.
+ */
+
+export const DISCREPANCY_KINDS = {
+  missing_credit: { label: 'Missing credit', color: '#DC2626' },
+  double_credit: { label: 'Double credit', color: '#D97706' },
+  amount_mismatch: { label: 'Amount mismatch', color: '#D97706' },
+  booking_missing: { label: 'Not booked', color: '#7C3AED' },
+};
+
+const invokeReconcile = async (body) => {
+  const { data, error } = await supabase.functions.invoke('stripe-reconcile', { body });
+  if (error) {
+    const errorBody = await error.context?.json?.().catch(() => null);
+    if (errorBody?.error || errorBody?.message) {
+      const err = new Error(errorBody.error || errorBody.message);
+      err.code = errorBody.code;
+      throw err;
+    }
+    throw error;
+  }
+  return data;
+};
+
+/**
+ * The most recent stored run, or null. Resolves to
+ * { id, rangeFrom, rangeTo, source, checked, discrepancies, createdAt }.
+ */
+export const loadLatestReconciliation = async () => {
+  const { data, error } = await supabase
+    .from('stripe_reconciliation_runs')
+    .select('*')
+    .order('created_at', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+  if (error) throw error;
+  if (!data) return null;
+  return {
+    id: data.id,
+    rangeFrom: data.range_from,
+    rangeTo: data.range_to,
+    source: data.source,
+    checked: data.checked,
+    discrepancies: data.discrepancies || [],
+    createdAt: data.created_at,
+  };
+};
+
+/**
+ * Check Stripe payments created between from and to (Dates).
+ * Resolves to { runId, checked, discrepancies }.
+ */
+export const runReconciliation = async ({ from, to }) => {
+  try {
+    return await invokeReconcile({ action: 'run', from: from.toISOString(), to: to.toISOString() });
+  } catch (error) {
+    console.error('Error running Stripe reconciliation:', error);
+    throw error;
+  }
+};
+
+/**
+ * Fix one discrepancy of a run (key = Checkout session or payment intent id).
+ * Resolves to { success, fixedAt } or { success: false, code, message }.
+ */
+export const fixDiscrepancy = async ({ runId, key }) => {
+  try {
+    return await invokeReconcile({ action: 'fix', runId, key });
+  } catch (error) {
+    console.error('Error fixing Stripe discrepancy:', error);
+    throw error;
+  }
+};
@@ -1,6 +1,7 @@
 import { loadStripe } from '@stripe/stripe-js';
 import { Platform } from 'react-native';
 import { supabase, SUPABASE_URL, SUPABASE_ANON_KEY } from './supabase';
+import { openNativeCheckout } from './nativeCheckout';
 
 // When true, Stripe checkout is blocked and users see "This feature will be available soon"
 export const STRIPE_CHECKOUT_DISABLED = false;
@@ -31,15 +32,16 @@ const getStripe = () => {
  * Create a Stripe Checkout Session for booking payment
  * This calls a Supabase Edge Function that creates the session server-side
  */
-export const createBookingCheckoutSession = async ({ userId, amount, bookingData, metadata = {} }) => {
+export const createBookingCheckoutSession = async ({ userId, amount, bookingData, promoCode = null, metadata = {} }) => {
   try {
     // Call Supabase Edge Function to create checkout session
     // The Edge Function will handle Stripe secret key securely
     const { data, error } = await supabase.functions.invoke('dynamic-task', {
       body: {
         userId,
-        amount: Math.round(amount * 100), // Convert to cents
+        amount: Math.round(amount * 100), // × 100; dynamic-task charges it in the academy currency
         bookingData,
+        promoCode,
         metadata: {
           ...metadata,
           type: 'booking',
@@ -47,7 +49,16 @@ export const createBookingCheckoutSession = async ({ userId, amount, bookingData
       },
     });
 
-    if (error) throw error;
+    if (error) {
+      // Surface the function's own message (e.g. a booking policy) instead of "non-2xx status code"
+      const body = await error.context?.json?.().catch(() => null);
+      if (body?.error) {
+        const err = new Error(body.error);
+        err.code = body.code;
+        throw err;
+      }
+      throw error;
+    }
 
     return data;
   } catch (error) {
@@ -57,22 +68,34 @@ export const createBookingCheckoutSession = async ({ userId, amount, bookingData
 };
 
 /**
- * Create a Stripe Checkout Session for wallet top-up
+ * Create a Stripe Checkout Session for wallet top-up.
+ * amount is the wallet credit; with a promoCode the student is charged less.
+ * Lesson packs use the same session with metadata { type: 'pack', packId }
+ * (see buyLessonPackByCard in lib/lessonPacks.js).
  */
-export const createTopUpCheckoutSession = async ({ userId, amount, metadata = {} }) => {
+export const createTopUpCheckoutSession = async ({ userId, amount, promoCode = null, metadata = {} }) => {
   try {
     const { data, error } = await supabase.functions.invoke('dynamic-task', {
       body: {
         userId,
-        amount: Math.round(amount * 100), // Convert to cents
+        amount: Math.round(amount * 100), // × 100; dynamic-task charges it in the academy currency
+        promoCode,
         metadata: {
-          ...metadata,
           type: 'topup',
+          ...metadata,
         },
       },
     });
 
-    if (error) throw error;
+    if (error) {
+      const body = await error.context?.json?.().catch(() => null);
+      if (body?.error) {
+        const err = new Error(body.error);
+        err.code = body.code;
+        throw err;
+      }
+      throw error;
+    }
 
     return data;
   } catch (error) {
@@ -84,6 +107,8 @@ export const createTopUpCheckoutSession = async ({ userId, amount, metadata = {}
 /**
  * Redirect to Stripe Checkout using the session URL
  * Note: redirectToCheckout is deprecated in newer Stripe.js versions
+ * On native, Checkout opens in an in-app WebView (lib/nativeCheckout.js) and this
+ * resolves with the return parameters once the student is back in the app.
  */
 export const redirectToCheckout = async (checkoutUrl) => {
   try {
@@ -91,8 +116,7 @@ export const redirectToCheckout = async (checkoutUrl) => {
       // For web, redirect directly to the checkout URL
       window.location.href = checkoutUrl;
     } else {
-      // For native, you might need to use Linking or a WebView
-      throw new Error('Checkout redirect not implemented for native platforms');
+      return await openNativeCheckout(checkoutUrl);
     }
   } catch (error) {
     console.error('Error redirecting to checkout:', error);
@@ -166,9 +190,11 @@ export const addToWallet = async (userId, amount) => {
 
 /**
  * Verify payment and add funds to wallet (for top-ups)
- * This calls an Edge Function that retrieves the session from Stripe and adds funds
+ * This calls an Edge Function that retrieves the session from Stripe and adds funds.
+ * paymentToken is the signed token Stripe's success redirect carried back
+ * (payment_token); calls without a valid one are rejected.
  */
-export const verifyPaymentAndAddFunds = async (sessionId, userId) => {
+export const verifyPaymentAndAddFunds = async (sessionId, paymentToken) => {
   try {
     // Call with the public anon key, not the user JWT. After Stripe redirect the
     // user session is often missing/expired, which made functions.invoke 401.
@@ -182,7 +208,7 @@ export const verifyPaymentAndAddFunds = async (sessionId, userId) => {
       body: JSON.stringify({
         action: 'verify-payment',
         sessionId,
-        userId,
+        token: paymentToken,
       }),
     });
     const data = await res.json().catch(() => ({}));
@@ -196,4 +222,119 @@ export const verifyPaymentAndAddFunds = async (sessionId, userId) => {
   }
 };
 
+/**
+ * Admin: refund part of a student's wallet to the card(s) it was paid with.
+ * amount is in dollars. Resolves to { refunded, refunds, newBalance }; a refund
+ * Stripe rejects is put back in the wallet and rejects with its code.
+ */
+export const refundToCard = async ({ userId, amount, reason = '' }) => {
+  try {
+    const { data, error } = await supabase.functions.invoke('dynamic-task', {
+      body: {
+        action: 'refund-to-card',
+        userId,
+        amount,
+        reason,
+      },
+    });
+
+    if (error) {
+      const body = await error.context?.json?.().catch(() => null);
+      if (body?.error) {
+        const err = new Error(body.error);
+        err.code = body.code;
+        throw err;
+      }
+      throw error;
+    }
+
+    return data;
+  } catch (error) {
+    console.error('Error refunding to card:', error);
+    throw error;
+  }
+};
+
+/**
+ * Admin: the academy's Stripe Connect account, refreshed from Stripe.
+ * Resolves to { academyId, academyName, accountId, chargesEnabled, payoutsEnabled, detailsSubmitted }.
+ */
+export const getConnectStatus = async () => {
+  try {
+    const { data, error } = await supabase.functions.invoke('dynamic-task', {
+      body: { action: 'connect-status' },
+    });
+
+    if (error) {
+      const body = await error.context?.json?.().catch(() => null);
+      if (body?.error) {
+        const err = new Error(body.error);
+        err.code = body.code;
+        throw err;
+      }
+      throw error;
+    }
+
+    return data;
+  } catch (error) {
+    console.error('Error loading Stripe Connect status:', error);
+    throw error;
+  }
+};
+
+/**
+ * Admin: an Account Link to Stripe's onboarding for the academy's connected
+ * account (created on first use). Stripe sends the admin back to returnUrl.
+ * Resolves to { url, accountId }.
+ */
+export const startConnectOnboarding = async (returnUrl) => {
+  try {
+    const { data, error } = await supabase.functions.invoke('dynamic-task', {
+      body: { action: 'connect-onboarding', returnUrl },
+    });
+
+    if (error) {
+      const body = await error.context?.json?.().catch(() => null);
+      if (body?.error) {
+        const err = new Error(body.error);
+        err.code = body.code;
+        throw err;
+      }
+      throw error;
+    }
+
+    return data;
+  } catch (error) {
+    console.error('Error starting Stripe Connect onboarding:', error);
+    throw error;
+  }
+};
+
+/**
+ * Admin: process a stored Stripe webhook event again (stripe_events).
+ * Resolves to { success, status, error, result }.
+ */
+export const replayStripeEvent = async (eventId) => {
+  try {
+    const { data, error } = await supabase.functions.invoke('dynamic-task', {
+      body: { action: 'replay-stripe-event', eventId },
+    });
+
+    if (error) {
+      const body = await error.context?.json?.().catch(() => null);
+      if (body?.error) {
+        const err = new Error(body.error);
+        err.code = body.code;
+        throw err;
+      }
+      throw error;
+    }
+
+    return data;
+  } catch (error) {
+    console.error('Error replaying Stripe event:', error);
+    throw error;
+  }
+};
+
 export default getStripe;
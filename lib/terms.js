@@ -0,0 +1,98 @@
+import { supabase } from './supabase';
+import { createTopUpCheckoutSession, redirectToCheckout } from './stripe';
+
+/**
+ * Season Pass term enrolment (supabase/migrations/023_term_enrolment.sql).
+ * Enrolling books every remaining session of the term; students who join late
+ * pay pro rata for the sessions still to come.
+ */
+
+const toProgram = (row) => ({
+  id: row.program_id,
+  termId: row.term_id,
+  termName: row.term_name,
+  termNumber: row.term_number,
+  termStart: row.term_start,
+  termEnd: row.term_end,
+  name: row.name,
+  description: row.description,
+  serviceName: row.service_name,
+  locationName: row.location_name,
+  dayOfWeek: row.day_of_week,
+  startLocal: row.start_local,
+  endLocal: row.end_local,
+  capacity: row.capacity,
+  spotsLeft: row.spots_left,
+  sessionsTotal: row.sessions_total,
+  sessionsRemaining: row.sessions_remaining,
+  fullPrice: parseFloat(row.full_price || 0),
+  price: parseFloat(row.price || 0),
+  firstSession: row.first_session,
+  isEnrolled: Boolean(row.is_enrolled),
+});
+
+/**
+ * Programs of the current and upcoming terms, in term and weekday order.
+ * price is what enrolling costs today (pro rata once the term has started).
+ */
+export const loadTermPrograms = async () => {
+  try {
+    const { data, error } = await supabase.rpc('list_term_programs');
+    if (error) throw error;
+    return (data || []).map(toProgram);
+  } catch (error) {
+    console.warn('Error loading term programs:', error);
+    return [];
+  }
+};
+
+/**
+ * Enrol and pay from the wallet balance.
+ * Resolves to { success: true, enrolmentId, sessions, amount, newBalance } or
+ * { success: false, code, message } (codes: not_found, term_over, already_enrolled,
+ * program_full, insufficient_balance, booking_conflict).
+ */
+export const enrolFromWallet = async (programId) => {
+  try {
+    const { data, error } = await supabase.rpc('enrol_in_term_program', { p_program_id: programId });
+    if (error) throw error;
+
+    if (!data?.success) {
+      return {
+        success: false,
+        code: data?.code || 'not_found',
+        message: data?.message || 'Could not enrol in this program. Please try again.',
+      };
+    }
+
+    return {
+      success: true,
+      enrolmentId: data.enrolment_id,
+      sessions: data.sessions,
+      amount: parseFloat(data.amount || 0),
+      newBalance: data.new_balance != null ? parseFloat(data.new_balance) : null,
+    };
+  } catch (error) {
+    console.error('Error enrolling in term program:', error);
+    throw error;
+  }
+};
+
+/**
+ * Pay for an enrolment by card. dynamic-task charges today's price and enrols
+ * once the payment has been credited to the wallet.
+ */
+export const enrolByCard = async ({ userId, program }) => {
+  const { url } = await createTopUpCheckoutSession({
+    userId,
+    amount: program.price,
+    metadata: {
+      type: 'term',
+      programId: program.id,
+    },
+  });
+  if (!url) {
+    throw new Error('Checkout URL not returned from server');
+  }
+  await redirectToCheckout(url);
+};
@@ -0,0 +1,69 @@
+import { supabase } from './supabase';
+
+/**
+ * Wallet ledger (supabase/migrations/024_wallet_transactions.sql).
+ * Every change to profiles.wallet_balance is a row here, written by a trigger,
+ * so the history always adds up to the balance.
+ */
+
+/** Ledger reasons that give money back to the student */
+export const REFUND_REASONS = ['cancellation_refund', 'rain_check_refund'];
+
+/** Translation key and icon for each ledger reason */
+export const WALLET_REASONS = {
+  opening_balance: { labelKey: 'walletReasonOpening', icon: 'flag-outline' },
+  topup: { labelKey: 'walletReasonTopup', icon: 'card-outline' },
+  auto_topup: { labelKey: 'walletReasonAutoTopup', icon: 'repeat-outline' },
+  card_payment: { labelKey: 'walletReasonCardPayment', icon: 'card-outline' },
+  promo_credit: { labelKey: 'walletReasonPromo', icon: 'pricetag-outline' },
+  booking: { labelKey: 'walletReasonBooking', icon: 'tennisball-outline' },
+  waitlist_booking: { labelKey: 'walletReasonWaitlist', icon: 'hourglass-outline' },
+  lesson_pack: { labelKey: 'walletReasonPack', icon: 'albums-outline' },
+  term_enrolment: { labelKey: 'walletReasonTerm', icon: 'school-outline' },
+  cancellation_refund: { labelKey: 'walletReasonCancellationRefund', icon: 'return-down-back-outline' },
+  rain_check_refund: { labelKey: 'walletReasonRainCheck', icon: 'rainy-outline' },
+  card_refund: { labelKey: 'walletReasonCardRefund', icon: 'card-outline' },
+  card_refund_reversal: { labelKey: 'walletReasonCardRefundReversal', icon: 'arrow-undo-outline' },
+  stripe_reconciliation: { labelKey: 'walletReasonStripeReconciliation', icon: 'git-compare-outline' },
+  admin_adjustment: { labelKey: 'walletReasonAdminAdjustment', icon: 'construct-outline' },
+  adjustment: { labelKey: 'walletReasonAdjustment', icon: 'swap-vertical-outline' },
+};
+
+const toTransaction = (row) => ({
+  id: row.id,
+  amount: parseFloat(row.amount || 0),
+  balanceAfter: parseFloat(row.balance_after || 0),
+  reason: row.reason,
+  bookingId: row.booking_id,
+  stripeSessionId: row.stripe_session_id,
+  description: row.description,
+  createdAt: row.created_at,
+});
+
+/**
+ * A user's ledger, newest first.
+ * options.reasons limits it to those reasons; options.limit caps the rows (default 100).
+ */
+export const loadWalletTransactions = async (userId, { reasons, limit = 100 } = {}) => {
+  try {
+    let query = supabase
+      .from('wallet_transactions')
+      .select('id, amount, balance_after, reason, booking_id, stripe_session_id, description, created_at')
+      .eq('user_id', userId)
+      .order('created_at', { ascending: false })
+      .limit(limit);
+    if (reasons?.length) query = query.in('reason', reasons);
+    const { data, error } = await query;
+    if (error) throw error;
+    return (data || []).map(toTransaction);
+  } catch (error) {
+    console.warn('Error loading wallet transactions:', error);
+    return [];
+  }
+};
+
+/**
+ * The most recent refunds credited to a user's wallet
+ */
+export const loadRecentRefunds = (userId, limit = 3) =>
+  loadWalletTransactions(userId, { reasons: REFUND_REASONS, limit });
@@ -14,6 +14,7 @@ import '../styles/performance.css';
 import { useAuth } from '../contexts/AuthContext';
 import { getStreak } from '../utils/playerData';
 import { supabase } from '../lib/supabase';
+import { loadAllFamilyPlayers } from '../lib/family';
 
 const OPTIC_YELLOW = '#E3FF00';
 const NAVY = '#05070A';
@@ -45,6 +46,8 @@ interface Student {
   id: string;
   fullName: string;
   email: string;
+  /** Junior on a family account: id is the family_players id, email the guardian's */
+  isPlayer?: boolean;
 }
 
 interface AdminPerformancePageProps {
@@ -88,11 +91,16 @@ export default function AdminPerformancePage({ onBack }: AdminPerformancePagePro
 
       if (error) throw error;
 
-      const list = (data || []).map((p) => ({
+      const list: Student[] = (data || []).map((p) => ({
         id: p.id,
         fullName: [p.first_name, p.last_name].filter(Boolean).join(' ') || p.email || 'Unknown',
         email: p.email || '',
       }));
+      const players = await loadAllFamilyPlayers();
+      players.forEach((player: { id: string; fullName: string; guardianEmail: string }) => {
+        list.push({ id: player.id, fullName: player.fullName, email: player.guardianEmail, isPlayer: true });
+      });
+      list.sort((a, b) => a.fullName.localeCompare(b.fullName));
       setStudents(list);
     } catch (err) {
       console.error('Error loading students:', err);
@@ -102,12 +110,13 @@ export default function AdminPerformancePage({ onBack }: AdminPerformancePagePro
     }
   };
 
-  const loadStudentPerformance = useCallback(async (studentId: string) => {
+  const loadStudentPerformance = useCallback(async (student: Student) => {
+    const ownerColumn = student.isPlayer ? 'player_id' : 'user_id';
     try {
       const { data } = await supabase
         .from('student_performance')
         .select('*')
-        .eq('user_id', studentId)
+        .eq(ownerColumn, student.id)
         .maybeSingle();
 
       if (data?.skills) {
@@ -137,10 +146,12 @@ export default function AdminPerformancePage({ onBack }: AdminPerformancePagePro
       setLastUpdated('');
     }
 
-    const { data: bookingsData } = await supabase
+    // A guardian's own lessons exclude the ones booked for their juniors
+    const bookingsQuery = supabase
       .from('bookings')
       .select('start_time, end_time')
-      .eq('user_id', studentId);
+      .eq(ownerColumn, student.id);
+    const { data: bookingsData } = await (student.isPlayer ? bookingsQuery : bookingsQuery.is('player_id', null));
     setBookings(bookingsData || []);
     const dates = (bookingsData || [])
       .map((b) => (b.start_time ? new Date(b.start_time).toISOString().slice(0, 10) : ''))
@@ -150,7 +161,7 @@ export default function AdminPerformancePage({ onBack }: AdminPerformancePagePro
 
   useEffect(() => {
     if (selectedStudent) {
-      loadStudentPerformance(selectedStudent.id);
+      loadStudentPerformance(selectedStudent);
     } else {
       setSkills(defaultSkills);
       setBaselineSkills(null);
@@ -168,7 +179,7 @@ export default function AdminPerformancePage({ onBack }: AdminPerformancePagePro
     setSaving(true);
     try {
       const payload = {
-        user_id: selectedStudent.id,
+        [selectedStudent.isPlayer ? 'player_id' : 'user_id']: selectedStudent.id,
         skills,
         focus_area: focusArea,
         coach_insight: coachInsight,
@@ -177,7 +188,7 @@ export default function AdminPerformancePage({ onBack }: AdminPerformancePagePro
       };
 
       const { error } = await supabase.from('student_performance').upsert(payload, {
-        onConflict: 'user_id',
+        onConflict: selectedStudent.isPlayer ? 'player_id' : 'user_id',
       });
 
       if (error) throw error;
@@ -439,7 +450,7 @@ export default function AdminPerformancePage({ onBack }: AdminPerformancePagePro
                   fontWeight: selectedStudent?.id === s.id ? 600 : 500,
                 }}
               >
-                {s.fullName} {s.email && <span style={{ color: '#94a3b8', fontWeight: 400 }}>({s.email})</span>}
+                {s.fullName} {s.email && <span style={{ color: '#94a3b8', fontWeight: 400 }}>({s.isPlayer ? `Junior · ${s.email}` : s.email})</span>}
               </button>
             ))}
           </div>
@@ -14,6 +14,7 @@ import '../styles/performance.css';
 import { useAuth } from '../contexts/AuthContext';
 import { playerData, getStreak } from '../utils/playerData';
 import { supabase } from '../lib/supabase';
+import { loadFamilyPlayers } from '../lib/family';
 
 const OPTIC_YELLOW = '#E3FF00';
 const NAVY = '#0F172A';
@@ -47,9 +48,17 @@ export default function PerformancePage({ onBack }: PerformancePageProps) {
   const [attendance, setAttendance] = useState<string[]>([]);
   const [bookings, setBookings] = useState<Array<{ start_time: string; end_time?: string }>>([]);
   const [loading, setLoading] = useState(true);
+  // Guardians can read each of their juniors' profiles; null is the student themselves
+  const [familyPlayers, setFamilyPlayers] = useState<Array<{ id: string; fullName: string }>>([]);
+  const [selectedPlayerId, setSelectedPlayerId] = useState<string | null>(null);
 
   const canEditInsight = userRole === 'coach' || userRole === 'admin';
 
+  useEffect(() => {
+    if (!user?.id) return;
+    loadFamilyPlayers(user.id).then(setFamilyPlayers);
+  }, [user?.id]);
+
   useEffect(() => {
     if (!user?.id) {
       setSkills(playerData.skills);
@@ -60,11 +69,13 @@ export default function PerformancePage({ onBack }: PerformancePageProps) {
 
     const loadPerformance = async () => {
       try {
-        const { data: perf } = await supabase
+        const perfQuery = supabase
           .from('student_performance')
-          .select('skills, baseline_skills, baseline_assessed_at, focus_area, coach_insight, last_updated')
-          .eq('user_id', user.id)
-          .maybeSingle();
+          .select('skills, baseline_skills, baseline_assessed_at, focus_area, coach_insight, last_updated');
+        const { data: perf } = await (selectedPlayerId
+          ? perfQuery.eq('player_id', selectedPlayerId)
+          : perfQuery.eq('user_id', user.id)
+        ).maybeSingle();
 
         if (perf?.skills) {
           setSkills({ ...defaultSkills, ...perf.skills });
@@ -93,10 +104,14 @@ export default function PerformancePage({ onBack }: PerformancePageProps) {
         setLastUpdated('');
       }
 
-      const { data: bookingsData } = await supabase
+      // Juniors' lessons are on the guardian's account, told apart by player_id
+      const bookingsQuery = supabase
         .from('bookings')
         .select('start_time, end_time')
         .eq('user_id', user.id);
+      const { data: bookingsData } = await (selectedPlayerId
+        ? bookingsQuery.eq('player_id', selectedPlayerId)
+        : bookingsQuery.is('player_id', null));
       setBookings(bookingsData || []);
       const dates = (bookingsData || [])
         .map((b) => (b.start_time ? new Date(b.start_time).toISOString().slice(0, 10) : ''))
@@ -104,8 +119,9 @@ export default function PerformancePage({ onBack }: PerformancePageProps) {
       setAttendance(dates.length > 0 ? dates : playerData.attendance);
     };
 
+    setLoading(true);
     loadPerformance().finally(() => setLoading(false));
-  }, [user?.id]);
+  }, [user?.id, selectedPlayerId]);
 
   const { streak } = getStreak(attendance);
 
@@ -322,6 +338,39 @@ export default function PerformancePage({ onBack }: PerformancePageProps) {
         </motion.div>
       </header>
 
+      {/* Family account: whose profile to show */}
+      {familyPlayers.length > 0 && (
+        <nav
+          aria-label="Player"
+          style={{ display: 'flex', flexWrap: 'wrap', justifyContent: 'center', gap: 8, padding: '0 32px 24px' }}
+        >
+          {[{ id: null, fullName: 'Me' }, ...familyPlayers].map((player) => {
+            const isSelected = selectedPlayerId === player.id;
+            return (
+              <button
+                key={player.id ?? 'me'}
+                onClick={() => setSelectedPlayerId(player.id)}
+                aria-pressed={isSelected}
+                style={{
+                  padding: '8px 16px',
+                  borderRadius: 999,
+                  border: 'none',
+                  cursor: 'pointer',
+                  fontSize: 13,
+                  fontWeight: 600,
+                  fontFamily: FONT_STACK,
+                  backgroundColor: isSelected ? NAVY : '#fff',
+                  color: isSelected ? '#fff' : NAVY,
+                  boxShadow: PREMIUM_ELEVATION,
+                }}
+              >
+                {player.fullName}
+              </button>
+            );
+          })}
+        </nav>
+      )}
+
       {/* Main Row: Spider + Activity Stats */}
       <main style={{ padding: '0 32px 56px', maxWidth: 960, margin: '0 auto' }}>
         <div style={{ marginBottom: 24 }}>
@@ -12,7 +12,7 @@ import {
 import { Ionicons } from '@expo/vector-icons';
 import { supabase } from '../lib/supabase';
 import { useAuth } from '../contexts/AuthContext';
-import { utcToSydneyDate, utcToSydneyTime } from '../utils/timezone';
+import { utcToZonedDate, utcToZonedTime } from '../utils/timezone';
 
 export default function AdminActiveBookingsScreen({ onNavigate }) {
   const { user, userRole } = useAuth();
@@ -86,7 +86,7 @@ export default function AdminActiveBookingsScreen({ onNavigate }) {
 
       const byDate = {};
       bookingsWithDetails.forEach((b) => {
-        const dateKey = utcToSydneyDate(b.start_time);
+        const dateKey = utcToZonedDate(b.start_time);
         if (!byDate[dateKey]) byDate[dateKey] = [];
         byDate[dateKey].push(b);
       });
@@ -156,7 +156,7 @@ export default function AdminActiveBookingsScreen({ onNavigate }) {
               {groupedByDate[dateKey].map((b) => (
                 <View key={b.id} style={styles.row}>
                   <View style={styles.timeBlock}>
-                    <Text style={styles.timeText}>{utcToSydneyTime(b.start_time)}</Text>
+                    <Text style={styles.timeText}>{utcToZonedTime(b.start_time)}</Text>
                   </View>
                   <View style={styles.detailsBlock}>
                     <Text style={styles.studentText} numberOfLines={1}>{b.studentName}</Text>
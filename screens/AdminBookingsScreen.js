@@ -13,9 +13,11 @@ import {
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import { supabase } from '../lib/supabase';
-import { getSydneyToday, sydneyDateToUTCStart, sydneyDateToUTCEnd } from '../utils/timezone';
+import { useAcademy } from '../contexts/AcademyContext';
+import { getZonedToday, zonedDateToUTCStart, zonedDateToUTCEnd, getActiveTimeZone } from '../utils/timezone';
 
 export default function BookingsScreen() {
+  const { formatMoney } = useAcademy();
   const [bookings, setBookings] = useState([]);
   const [loading, setLoading] = useState(true);
   const [filter, setFilter] = useState('all'); // all, today, upcoming
@@ -53,11 +55,11 @@ export default function BookingsScreen() {
         .select('*')
         .order('start_time', { ascending: true });
 
-      // Apply filters - convert Sydney local dates to UTC for queries
+      // Apply filters - convert academy local dates to UTC for queries
       if (filter === 'today') {
-        const todayStr = getSydneyToday();
-        const startOfDay = sydneyDateToUTCStart(todayStr);
-        const endOfDay = sydneyDateToUTCEnd(todayStr);
+        const todayStr = getZonedToday();
+        const startOfDay = zonedDateToUTCStart(todayStr);
+        const endOfDay = zonedDateToUTCEnd(todayStr);
         query = query
           .gte('start_time', startOfDay.toISOString())
           .lte('start_time', endOfDay.toISOString());
@@ -218,11 +220,13 @@ export default function BookingsScreen() {
     const date = new Date(dateString);
     return {
       date: date.toLocaleDateString('en-US', {
+        timeZone: getActiveTimeZone(),
         weekday: 'short',
         month: 'short',
         day: 'numeric',
       }),
       time: date.toLocaleTimeString('en-US', {
+        timeZone: getActiveTimeZone(),
         hour: 'numeric',
         minute: '2-digit',
       }),
@@ -369,6 +373,7 @@ export default function BookingsScreen() {
         bookings.map((booking) => {
           const dateTime = formatDateTime(booking.start_time);
           const endTime = new Date(booking.end_time).toLocaleTimeString('en-US', {
+            timeZone: getActiveTimeZone(),
             hour: 'numeric',
             minute: '2-digit',
           });
@@ -425,7 +430,7 @@ export default function BookingsScreen() {
                 <View style={styles.detailRow}>
                   <Ionicons name="cash-outline" size={16} color="#8E8E93" />
                   <Text style={styles.detailText}>
-                    ${parseFloat(booking.credit_cost || 0).toFixed(2)} credits
+                    {formatMoney(parseFloat(booking.credit_cost || 0))} credits
                   </Text>
                 </View>
                 <View style={styles.coachRow}>
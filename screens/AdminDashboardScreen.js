@@ -14,11 +14,14 @@ import {
 
 const DESKTOP_BREAKPOINT = 768;
 import { Ionicons } from '@expo/vector-icons';
-import { supabase, SUPABASE_URL, SUPABASE_ANON_KEY } from '../lib/supabase';
+import { supabase } from '../lib/supabase';
+import { queueRainCheckNotifications } from '../lib/notifications';
 import StatCard from '../components/StatCard';
 import GroupedSessionCard, { groupBookingsBySession } from '../components/GroupedSessionCard';
+import { getPlayerName } from '../lib/family';
 import AdminAssignLessonModal from '../components/AdminAssignLessonModal';
-import { getSydneyToday, sydneyDateToUTCStart, sydneyDateToUTCEnd } from '../utils/timezone';
+import StripeConnectCard from '../components/StripeConnectCard';
+import { getZonedToday, zonedDateToUTCStart, zonedDateToUTCEnd } from '../utils/timezone';
 import { useLanguage } from '../contexts/LanguageContext';
 import { getTranslation } from '../utils/translations';
 
@@ -30,6 +33,9 @@ const ADMIN_NAV_BUTTONS = [
   { id: 'admin-students', labelKey: 'navStudents', icon: 'people-outline' },
   { id: 'admin-coaches', labelKey: 'navCoaches', icon: 'shield-outline' },
   { id: 'admin-history', labelKey: 'navBookingHistory', icon: 'archive-outline' },
+  { id: 'admin-stripe-events', labelKey: 'navStripeEvents', icon: 'pulse-outline' },
+  { id: 'admin-reconciliation', labelKey: 'navReconciliation', icon: 'git-compare-outline' },
+  { id: 'admin-notifications', labelKey: 'navNotifications', icon: 'notifications-outline' },
 ];
 
 export default function AdminDashboardScreen({ onNavigate }) {
@@ -72,10 +78,10 @@ export default function AdminDashboardScreen({ onNavigate }) {
         .from('bookings')
         .select('*', { count: 'exact', head: true });
 
-      // Get today's bookings - convert Sydney local date to UTC for query
-      const todayStr = getSydneyToday();
-      const startOfDay = sydneyDateToUTCStart(todayStr);
-      const endOfDay = sydneyDateToUTCEnd(todayStr);
+      // Get today's bookings - convert academy local date to UTC for query
+      const todayStr = getZonedToday();
+      const startOfDay = zonedDateToUTCStart(todayStr);
+      const endOfDay = zonedDateToUTCEnd(todayStr);
 
       const { count: todayCount } = await supabase
         .from('bookings')
@@ -113,7 +119,8 @@ export default function AdminDashboardScreen({ onNavigate }) {
         .from('bookings')
         .select(`
           *,
-          locations:location_id (id, name)
+          locations:location_id (id, name),
+          family_player:player_id (first_name, last_name)
         `)
         .gte('end_time', now)
         .order('start_time', { ascending: true })
@@ -153,6 +160,11 @@ export default function AdminDashboardScreen({ onNavigate }) {
             }
           }
 
+          // Juniors booked on a family account: roster shows the player, email stays the guardian's
+          if (booking.family_player) {
+            studentName = getPlayerName(booking.family_player);
+          }
+
           // Fetch coach profile
           if (booking.coach_id) {
             try {
@@ -248,6 +260,9 @@ export default function AdminDashboardScreen({ onNavigate }) {
         const { error: refErr } = await supabase.rpc('add_wallet_balance', {
           user_id: b.user_id,
           amount: b.credit_cost,
+          reason: 'rain_check_refund',
+          booking_id: b.id,
+          description: b.service_name ?? null,
         });
         if (refErr) {
           console.error('Error refunding:', b.user_id, refErr);
@@ -281,32 +296,8 @@ export default function AdminDashboardScreen({ onNavigate }) {
           message: `${refundFailures} refund(s) failed – please refund manually if needed.`,
         });
       } else {
-        const items = bookings.map((b) => ({
-          user_id: b.user_id,
-          location_name: b.locationName || b.locations?.name || 'Unknown location',
-          start_time: b.start_time,
-        }));
-        if (items.length > 0) {
-          try {
-            const res = await fetch(`${SUPABASE_URL}/functions/v1/send-rain-check-sms`, {
-              method: 'POST',
-              headers: {
-                'Content-Type': 'application/json',
-                Authorization: `Bearer ${SUPABASE_ANON_KEY}`,
-              },
-              body: JSON.stringify({ items }),
-            });
-            const text = await res.text();
-            let data;
-            try { data = JSON.parse(text); } catch { data = null; }
-            if (!res.ok) console.warn('Rain check SMS failed:', res.status, text);
-            else if (data?.ok && data.sent === 0 && data.total > 0) {
-              console.warn('Rain check SMS: no students had phone in profiles. Add profiles.phone (E.164).');
-            }
-          } catch (e) {
-            console.warn('Rain check SMS request error:', e);
-          }
-        }
+        // Text the students (fire-and-forget)
+        queueRainCheckNotifications(bookings.map((b) => b.id));
         setRainCheckResult({
           visible: true,
           success: true,
@@ -400,6 +391,8 @@ export default function AdminDashboardScreen({ onNavigate }) {
         </View>
       </View>
 
+      <StripeConnectCard />
+
       {/* Upcoming Sessions Section */}
       <View style={styles.sessionsSection}>
         <View style={styles.sectionHeader}>
@@ -14,7 +14,8 @@ import {
 import { Ionicons } from '@expo/vector-icons';
 import { supabase } from '../lib/supabase';
 import { useAuth } from '../contexts/AuthContext';
-import { utcToSydneyDate, utcToSydneyTime } from '../utils/timezone';
+import { useAcademy } from '../contexts/AcademyContext';
+import { utcToZonedDate, utcToZonedTime } from '../utils/timezone';
 
 // Service color configuration
 const SERVICE_COLORS = {
@@ -48,6 +49,7 @@ const getAvatarColor = (name) => {
 };
 
 export default function AdminHistoryScreen({ onNavigate }) {
+  const { formatMoney } = useAcademy();
   const { user, userRole } = useAuth();
   const [bookings, setBookings] = useState([]);
   const [filteredBookings, setFilteredBookings] = useState([]);
@@ -80,7 +82,7 @@ export default function AdminHistoryScreen({ onNavigate }) {
     // Group by date
     const grouped = {};
     filtered.forEach((booking) => {
-      const dateKey = utcToSydneyDate(booking.end_time);
+      const dateKey = utcToZonedDate(booking.end_time);
       if (!grouped[dateKey]) {
         grouped[dateKey] = [];
       }
@@ -195,7 +197,7 @@ export default function AdminHistoryScreen({ onNavigate }) {
   };
 
   const formatTime = (dateString) => {
-    return utcToSydneyTime(dateString);
+    return utcToZonedTime(dateString);
   };
 
   // Tennis Court SVG for empty state
@@ -268,7 +270,7 @@ export default function AdminHistoryScreen({ onNavigate }) {
                   </View>
                 ) : (
                   <View style={styles.creditBadge}>
-                    <Text style={styles.creditText}>${booking.credit_cost?.toFixed(0) || '0'}</Text>
+                    <Text style={styles.creditText}>{formatMoney(booking.credit_cost || 0, { decimals: 0 })}</Text>
                   </View>
                 )}
               </View>
@@ -297,7 +299,7 @@ export default function AdminHistoryScreen({ onNavigate }) {
                   </View>
                 ) : (
                   <View style={styles.creditBadge}>
-                    <Text style={styles.creditText}>${booking.credit_cost?.toFixed(0) || '0'}</Text>
+                    <Text style={styles.creditText}>{formatMoney(booking.credit_cost || 0, { decimals: 0 })}</Text>
                   </View>
                 )}
               </View>
@@ -22,7 +22,7 @@ import AvailabilityEditModal from '../components/AvailabilityEditModal';
 import BookingDetailsModal from '../components/BookingDetailsModal';
 import BookingRequestsModal from '../components/BookingRequestsModal';
 import ActiveBookingsModal from '../components/ActiveBookingsModal';
-import { getSydneyToday, sydneyDateToUTCStart, sydneyDateToUTCEnd, sydneyDateTimeToUTC, getDayOfWeekFromDateString, addDaysToDateString, utcToSydneyDate, utcToSydneyTime } from '../utils/timezone';
+import { getZonedToday, zonedDateToUTCStart, zonedDateToUTCEnd, zonedDateTimeToUTC, getDayOfWeekFromDateString, addDaysToDateString, utcToZonedDate, utcToZonedTime, getActiveTimeZone } from '../utils/timezone';
 
 const MOBILE_BREAKPOINT = 768; // Mobile-first: tablet and smaller get mobile layout
 
@@ -37,7 +37,7 @@ export default function ManageAvailabilityScreen({ onNavigate }) {
   const [locations, setLocations] = useState([]);
   const [loading, setLoading] = useState(true);
   const [loadingWeek, setLoadingWeek] = useState(false); // Separate loading state for week navigation
-  const [selectedDate, setSelectedDate] = useState(getSydneyToday());
+  const [selectedDate, setSelectedDate] = useState(getZonedToday());
   const [selectedLocationId, setSelectedLocationId] = useState(null);
   const [showBulkDrawer, setShowBulkDrawer] = useState(false);
   const [selectedSlot, setSelectedSlot] = useState(null);
@@ -350,25 +350,25 @@ export default function ManageAvailabilityScreen({ onNavigate }) {
         .select('*')
         .order('start_time', { ascending: true });
 
-      // Filter by date (current week) - selectedDate is in Sydney local time
-      // Convert Sydney local week range to UTC for database query
+      // Filter by date (current week) - selectedDate is in academy local time
+      // Convert academy local week range to UTC for database query
       
-      // Get day of week using utility function (treats date as Sydney local)
+      // Get day of week using utility function (treats date as academy local)
       const dayOfWeek = getDayOfWeekFromDateString(selectedDate);
       
-      // Calculate start of week in Sydney local time (Sunday = 0)
+      // Calculate start of week in academy local time (Sunday = 0)
       // Use date string arithmetic to avoid timezone issues
       const startOfWeekStr = addDaysToDateString(selectedDate, -dayOfWeek);
       
-      // Calculate end of week in Sydney local time (7 days later)
+      // Calculate end of week in academy local time (7 days later)
       const endOfWeekStr = addDaysToDateString(startOfWeekStr, 7);
       
-      // Convert Sydney local dates to UTC for database query
-      const startOfWeek = sydneyDateToUTCStart(startOfWeekStr);
-      const endOfWeek = sydneyDateToUTCEnd(endOfWeekStr);
+      // Convert academy local dates to UTC for database query
+      const startOfWeek = zonedDateToUTCStart(startOfWeekStr);
+      const endOfWeek = zonedDateToUTCEnd(endOfWeekStr);
 
       console.log('Query date range:', startOfWeek.toISOString(), 'to', endOfWeek.toISOString());
-      console.log('Selected date (Sydney local):', selectedDate);
+      console.log('Selected date (academy local):', selectedDate);
 
       // Query for availabilities that start within the week
       // Use gte and lte to include the full range
@@ -584,8 +584,8 @@ export default function ManageAvailabilityScreen({ onNavigate }) {
 
       // Find matching availabilities for this slot
       const matchingAvailabilities = availabilities.filter((av) => {
-        const avDateStr = utcToSydneyDate(av.start_time);
-        const avTimeStr = utcToSydneyTime(av.start_time);
+        const avDateStr = utcToZonedDate(av.start_time);
+        const avTimeStr = utcToZonedTime(av.start_time);
         return avDateStr === slot.date && avTimeStr === slot.time;
       });
 
@@ -801,7 +801,7 @@ export default function ManageAvailabilityScreen({ onNavigate }) {
       return;
     }
 
-    // slot.date and slot.time are in Sydney local time
+    // slot.date and slot.time are in academy local time
     // slot.datetime is already converted to UTC ISO string by calendar component
     const startTime = new Date(slot.datetime);
     const endTime = new Date(startTime.getTime() + 30 * 60 * 1000); // Add 30 minutes
@@ -874,7 +874,7 @@ export default function ManageAvailabilityScreen({ onNavigate }) {
         throw error;
       }
 
-      // Parse dates as Sydney local time (formData dates are in Sydney local)
+      // Parse dates as academy local time (formData dates are in academy local)
       // Validate date format
       const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
       if (!dateRegex.test(formData.startDate) || !dateRegex.test(formData.endDate)) {
@@ -883,8 +883,8 @@ export default function ManageAvailabilityScreen({ onNavigate }) {
         throw error;
       }
       
-      console.log('Start Date (Sydney local):', formData.startDate);
-      console.log('End Date (Sydney local):', formData.endDate);
+      console.log('Start Date (academy local):', formData.startDate);
+      console.log('End Date (academy local):', formData.endDate);
       
       // Compare date strings directly (YYYY-MM-DD format is sortable)
       if (formData.startDate > formData.endDate) {
@@ -940,33 +940,33 @@ export default function ManageAvailabilityScreen({ onNavigate }) {
         return dateStr1 <= dateStr2;
       };
 
-      console.log('Processing dates from', formData.startDate, 'to', formData.endDate, '(Sydney local)');
+      console.log('Processing dates from', formData.startDate, 'to', formData.endDate, '(academy local)');
 
       let currentDateStr = formData.startDate;
       
       while (dateStrLessOrEqual(currentDateStr, formData.endDate)) {
-        // Calculate day of week using the utility function (treats date as Sydney local)
+        // Calculate day of week using the utility function (treats date as academy local)
         const dayOfWeek = getDayOfWeekFromDateString(currentDateStr);
         
         if (selectedDays.includes(dayOfWeek)) {
-          console.log(`Processing ${currentDateStr} (day ${dayOfWeek}, Sydney local)`);
+          console.log(`Processing ${currentDateStr} (day ${dayOfWeek}, academy local)`);
           
-          // Generate 30-minute slots within the time window (in Sydney local time)
+          // Generate 30-minute slots within the time window (in academy local time)
           let currentHour = startHour;
           let currentMinute = startMinute;
           
           while (currentHour < endHour || (currentHour === endHour && currentMinute < endMinute)) {
-            // Convert current Sydney local time to UTC
-            const slotStartUTC = sydneyDateTimeToUTC(currentDateStr, currentHour, currentMinute);
+            // Convert current academy local time to UTC
+            const slotStartUTC = zonedDateTimeToUTC(currentDateStr, currentHour, currentMinute);
             
-            // Calculate end time (30 minutes later) in Sydney local time
+            // Calculate end time (30 minutes later) in academy local time
             let endHourLocal = currentHour;
             let endMinuteLocal = currentMinute + 30;
             if (endMinuteLocal >= 60) {
               endMinuteLocal = endMinuteLocal % 60;
               endHourLocal = currentHour + 1;
             }
-            const slotEndUTC = sydneyDateTimeToUTC(currentDateStr, endHourLocal, endMinuteLocal);
+            const slotEndUTC = zonedDateTimeToUTC(currentDateStr, endHourLocal, endMinuteLocal);
             
             // Create slots for each selected location (allowing multiple locations per time slot)
             for (const location of targetLocations) {
@@ -985,7 +985,7 @@ export default function ManageAvailabilityScreen({ onNavigate }) {
               slots.push(slot);
             }
 
-            // Move to next 30-minute slot in Sydney local time
+            // Move to next 30-minute slot in academy local time
             currentMinute += 30;
             if (currentMinute >= 60) {
               currentMinute = 0;
@@ -1360,7 +1360,7 @@ export default function ManageAvailabilityScreen({ onNavigate }) {
     // Set loading state immediately for better UX
     setLoadingWeek(true);
     
-    // Parse selectedDate as Sydney local date
+    // Parse selectedDate as academy local date
     const [year, month, day] = selectedDate.split('-').map(Number);
     const current = new Date(year, month - 1, day, 0, 0, 0, 0);
     current.setDate(current.getDate() + (direction * 7));
@@ -1443,9 +1443,9 @@ export default function ManageAvailabilityScreen({ onNavigate }) {
 
   const updateListView = () => {
     const now = new Date();
-    const todayStr = getSydneyToday();
-    const todayStart = sydneyDateToUTCStart(todayStr);
-    const todayEnd = sydneyDateToUTCEnd(todayStr);
+    const todayStr = getZonedToday();
+    const todayStart = zonedDateToUTCStart(todayStr);
+    const todayEnd = zonedDateToUTCEnd(todayStr);
     
     const sourceAvailabilities = selectedLocationId ? availabilities : listViewAvailabilities;
     
@@ -1474,9 +1474,9 @@ export default function ManageAvailabilityScreen({ onNavigate }) {
 
   const getFilteredAvailabilitiesForList = () => {
     const now = new Date();
-    const todayStr = getSydneyToday();
-    const todayStart = sydneyDateToUTCStart(todayStr);
-    const todayEnd = sydneyDateToUTCEnd(todayStr);
+    const todayStr = getZonedToday();
+    const todayStart = zonedDateToUTCStart(todayStr);
+    const todayEnd = zonedDateToUTCEnd(todayStr);
     
     const sourceAvailabilities = selectedLocationId ? availabilities : listViewAvailabilities;
     
@@ -1873,8 +1873,8 @@ export default function ManageAvailabilityScreen({ onNavigate }) {
                 style={styles.listItem}
                 onPress={() => {
                   const slot = {
-                    date: utcToSydneyDate(availability.start_time),
-                    time: utcToSydneyTime(availability.start_time),
+                    date: utcToZonedDate(availability.start_time),
+                    time: utcToZonedTime(availability.start_time),
                     status: availability.is_booked ? 'booked' : 'available',
                   };
                   handleSlotClick(slot);
@@ -1883,6 +1883,7 @@ export default function ManageAvailabilityScreen({ onNavigate }) {
                 <View style={styles.listItemHeader}>
                   <Text style={styles.listItemDate}>
                     {new Date(availability.start_time).toLocaleDateString('en-US', {
+                      timeZone: getActiveTimeZone(),
                       weekday: 'short',
                       month: 'short',
                       day: 'numeric',
@@ -1903,9 +1904,11 @@ export default function ManageAvailabilityScreen({ onNavigate }) {
                     <Ionicons name="time-outline" size={16} color="#8E8E93" />
                     <Text style={styles.listItemText}>
                       {new Date(availability.start_time).toLocaleTimeString('en-US', {
+                        timeZone: getActiveTimeZone(),
                         hour: 'numeric',
                         minute: '2-digit',
                       })} - {new Date(availability.end_time).toLocaleTimeString('en-US', {
+                        timeZone: getActiveTimeZone(),
                         hour: 'numeric',
                         minute: '2-digit',
                       })}
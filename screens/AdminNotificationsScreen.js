@@ -0,0 +1,610 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  ScrollView,
+  StyleSheet,
+  TouchableOpacity,
+  RefreshControl,
+  ActivityIndicator,
+  Platform,
+  TextInput,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { supabase } from '../lib/supabase';
+import {
+  NOTIFICATION_TEMPLATES,
+  ALERT_EVENTS,
+  resendNotification,
+  loadAlertRecipients,
+  addAlertRecipient,
+  removeAlertRecipient,
+} from '../lib/notifications';
+import { getActiveTimeZone } from '../utils/timezone';
+
+const STATUS_FILTERS = [
+  { id: 'all', label: 'All' },
+  { id: 'failed', label: 'Failed' },
+  { id: 'pending', label: 'Pending' },
+  { id: 'sent', label: 'Sent' },
+  { id: 'skipped', label: 'Skipped' },
+];
+
+const STATUS_COLORS = {
+  sent: { color: '#059669', background: 'rgba(5, 150, 105, 0.1)' },
+  skipped: { color: '#6B7280', background: '#F3F4F6' },
+  pending: { color: '#D97706', background: 'rgba(217, 119, 6, 0.1)' },
+  sending: { color: '#D97706', background: 'rgba(217, 119, 6, 0.1)' },
+  failed: { color: '#DC2626', background: 'rgba(220, 38, 38, 0.1)' },
+};
+
+const NOTIFICATION_LIMIT = 100;
+
+const CHANNELS = [
+  { id: 'sms', label: 'SMS', placeholder: '+61412345678' },
+  { id: 'email', label: 'Email', placeholder: 'admin@example.com' },
+];
+
+const recipientName = (notification) => {
+  if (notification.audience === 'admin') return 'Admin alert';
+  const profile = notification.profiles;
+  if (!profile) return 'Deleted user';
+  return `${profile.first_name || ''} ${profile.last_name || ''}`.trim() || profile.email || 'Unknown';
+};
+
+/**
+ * Texts and emails from the notifications outbox: who each went to, what it
+ * said and whether it was delivered. Failed or skipped ones can be resent.
+ * Above the list, admins choose who gets the academy's admin alerts.
+ */
+export default function AdminNotificationsScreen({ onNavigate }) {
+  const [notifications, setNotifications] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [filter, setFilter] = useState('all');
+  const [resendingId, setResendingId] = useState(null);
+  const [error, setError] = useState(null);
+  const [recipients, setRecipients] = useState([]);
+  const [recipientEvent, setRecipientEvent] = useState(ALERT_EVENTS[0]);
+  const [recipientChannel, setRecipientChannel] = useState('sms');
+  const [recipientAddress, setRecipientAddress] = useState('');
+  const [recipientLabel, setRecipientLabel] = useState('');
+  const [savingRecipient, setSavingRecipient] = useState(false);
+
+  useEffect(() => {
+    loadNotifications();
+  }, [filter]);
+
+  useEffect(() => {
+    loadRecipients();
+  }, []);
+
+  const loadRecipients = async () => {
+    try {
+      setRecipients(await loadAlertRecipients());
+    } catch (e) {
+      console.error('Error loading alert recipients:', e);
+      setError(e.message || 'Failed to load alert recipients.');
+    }
+  };
+
+  const handleAddRecipient = async () => {
+    if (!recipientAddress.trim() || savingRecipient) return;
+    try {
+      setSavingRecipient(true);
+      setError(null);
+      const result = await addAlertRecipient({
+        event: recipientEvent,
+        channel: recipientChannel,
+        address: recipientAddress,
+        label: recipientLabel.trim(),
+      });
+      if (!result?.success) {
+        setError(result?.message || 'Failed to add recipient.');
+        return;
+      }
+      setRecipientAddress('');
+      setRecipientLabel('');
+      await loadRecipients();
+    } catch (e) {
+      setError(e.message || 'Failed to add recipient.');
+    } finally {
+      setSavingRecipient(false);
+    }
+  };
+
+  const handleRemoveRecipient = async (recipient) => {
+    try {
+      setError(null);
+      const result = await removeAlertRecipient(recipient.id);
+      if (!result?.success) setError(result?.message || 'Failed to remove recipient.');
+      await loadRecipients();
+    } catch (e) {
+      setError(e.message || 'Failed to remove recipient.');
+    }
+  };
+
+  const loadNotifications = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      let query = supabase
+        .from('notifications')
+        .select(
+          'id, template, audience, channel, to_address, body, status, attempts, last_error, delivery_status, ' +
+            'created_at, sent_at, next_attempt_at, profiles(first_name, last_name, email)'
+        )
+        .order('created_at', { ascending: false })
+        .limit(NOTIFICATION_LIMIT);
+      if (filter === 'pending') query = query.in('status', ['pending', 'sending']);
+      else if (filter !== 'all') query = query.eq('status', filter);
+
+      const { data, error: loadError } = await query;
+      if (loadError) throw loadError;
+      setNotifications(data || []);
+    } catch (e) {
+      console.error('Error loading notifications:', e);
+      setError(e.message || 'Failed to load notifications.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleResend = async (notification) => {
+    try {
+      setResendingId(notification.id);
+      setError(null);
+      const result = await resendNotification(notification.id);
+      if (!result.success) setError(result.message);
+      await loadNotifications();
+    } catch (e) {
+      setError(e.message || 'Failed to resend notification.');
+    } finally {
+      setResendingId(null);
+    }
+  };
+
+  const formatDateTime = (dateString) => {
+    if (!dateString) return '—';
+    return new Date(dateString).toLocaleString('en-US', {
+      timeZone: getActiveTimeZone(),
+      month: 'short',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: '2-digit',
+    });
+  };
+
+  const failedCount = notifications.filter((n) => n.status === 'failed').length;
+
+  return (
+    <ScrollView
+      style={styles.container}
+      contentContainerStyle={styles.content}
+      refreshControl={
+        <RefreshControl refreshing={loading} onRefresh={loadNotifications} />
+      }
+    >
+      <View style={styles.header}>
+        <View style={styles.headerText}>
+          <Text style={styles.title}>Notifications</Text>
+          <Text style={styles.subtitle}>
+            {notifications.length} recent messages{filter === 'all' && failedCount > 0 ? ` · ${failedCount} failed` : ''}
+          </Text>
+        </View>
+        {onNavigate && (
+          <TouchableOpacity
+            style={styles.dashboardBtn}
+            onPress={() => onNavigate('admin-dashboard')}
+            activeOpacity={0.7}
+          >
+            <Ionicons name="grid-outline" size={18} color="#0D9488" />
+            <Text style={styles.dashboardBtnText}>Dashboard</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+
+      <View style={styles.recipientsCard}>
+        <Text style={styles.recipientsTitle}>Admin alert recipients</Text>
+        <Text style={styles.recipientsSubtitle}>
+          Who is told about new bookings and cancellations. With nobody added, alerts go to the ADMIN_PHONE / ADMIN_EMAIL secrets.
+        </Text>
+        {ALERT_EVENTS.map((event) => {
+          const eventRecipients = recipients.filter((r) => r.event === event);
+          return (
+            <View key={event} style={styles.recipientGroup}>
+              <Text style={styles.recipientEvent}>{NOTIFICATION_TEMPLATES[event]}</Text>
+              {eventRecipients.length === 0 ? (
+                <Text style={styles.metaText}>Nobody yet</Text>
+              ) : (
+                eventRecipients.map((recipient) => (
+                  <View key={recipient.id} style={styles.recipientRow}>
+                    <Ionicons
+                      name={recipient.channel === 'email' ? 'mail-outline' : 'chatbubble-outline'}
+                      size={16}
+                      color="#0D9488"
+                    />
+                    <Text style={styles.recipientAddress} numberOfLines={1}>
+                      {recipient.address}
+                      {recipient.label ? ` · ${recipient.label}` : ''}
+                    </Text>
+                    <TouchableOpacity
+                      onPress={() => handleRemoveRecipient(recipient)}
+                      accessibilityRole="button"
+                      accessibilityLabel={`Remove ${recipient.address}`}
+                    >
+                      <Ionicons name="close-circle-outline" size={20} color="#8E8E93" />
+                    </TouchableOpacity>
+                  </View>
+                ))
+              )}
+            </View>
+          );
+        })}
+        <View style={styles.filterRow}>
+          {ALERT_EVENTS.map((event) => (
+            <TouchableOpacity
+              key={event}
+              style={[styles.filterChip, recipientEvent === event && styles.filterChipActive]}
+              onPress={() => setRecipientEvent(event)}
+              activeOpacity={0.7}
+            >
+              <Text style={[styles.filterChipText, recipientEvent === event && styles.filterChipTextActive]}>
+                {NOTIFICATION_TEMPLATES[event]}
+              </Text>
+            </TouchableOpacity>
+          ))}
+          {CHANNELS.map((c) => (
+            <TouchableOpacity
+              key={c.id}
+              style={[styles.filterChip, recipientChannel === c.id && styles.filterChipActive]}
+              onPress={() => setRecipientChannel(c.id)}
+              activeOpacity={0.7}
+            >
+              <Text style={[styles.filterChipText, recipientChannel === c.id && styles.filterChipTextActive]}>{c.label}</Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+        <View style={styles.recipientInputs}>
+          <TextInput
+            style={styles.recipientInput}
+            value={recipientAddress}
+            onChangeText={setRecipientAddress}
+            placeholder={CHANNELS.find((c) => c.id === recipientChannel).placeholder}
+            placeholderTextColor="#8E8E93"
+            autoCapitalize="none"
+            keyboardType={recipientChannel === 'email' ? 'email-address' : 'phone-pad'}
+          />
+          <TextInput
+            style={styles.recipientInput}
+            value={recipientLabel}
+            onChangeText={setRecipientLabel}
+            placeholder="Name (optional)"
+            placeholderTextColor="#8E8E93"
+          />
+          <TouchableOpacity
+            style={[styles.resendBtn, !recipientAddress.trim() && styles.addBtnDisabled]}
+            onPress={handleAddRecipient}
+            disabled={!recipientAddress.trim() || savingRecipient}
+            activeOpacity={0.7}
+          >
+            {savingRecipient ? (
+              <ActivityIndicator size="small" color="#0D9488" />
+            ) : (
+              <>
+                <Ionicons name="add" size={14} color="#0D9488" />
+                <Text style={styles.resendBtnText}>Add</Text>
+              </>
+            )}
+          </TouchableOpacity>
+        </View>
+      </View>
+
+      <View style={styles.filterRow}>
+        {STATUS_FILTERS.map((f) => (
+          <TouchableOpacity
+            key={f.id}
+            style={[styles.filterChip, filter === f.id && styles.filterChipActive]}
+            onPress={() => setFilter(f.id)}
+            activeOpacity={0.7}
+          >
+            <Text style={[styles.filterChipText, filter === f.id && styles.filterChipTextActive]}>{f.label}</Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+
+      {!!error && <Text style={styles.error}>{error}</Text>}
+
+      {!loading && notifications.length === 0 ? (
+        <View style={styles.emptyState}>
+          <Ionicons name="notifications-outline" size={64} color="#C7C7CC" />
+          <Text style={styles.emptyText}>No notifications yet</Text>
+        </View>
+      ) : (
+        notifications.map((notification) => {
+          const colors = STATUS_COLORS[notification.status] || STATUS_COLORS.skipped;
+          const canResend = notification.status === 'failed' || notification.status === 'skipped';
+          const channel = notification.channel === 'email' ? 'Email' : notification.channel === 'sms' ? 'SMS' : null;
+          return (
+            <View key={notification.id} style={styles.notificationCard}>
+              <View style={styles.notificationHeader}>
+                <View style={styles.notificationInfo}>
+                  <Text style={styles.notificationTemplate}>
+                    {NOTIFICATION_TEMPLATES[notification.template] || notification.template}
+                  </Text>
+                  <Text style={styles.recipient} numberOfLines={1}>
+                    {recipientName(notification)}
+                    {channel ? ` · ${channel}` : ''}
+                    {notification.to_address ? ` · ${notification.to_address}` : ''}
+                  </Text>
+                </View>
+                <View style={[styles.statusBadge, { backgroundColor: colors.background }]}>
+                  <Text style={[styles.statusText, { color: colors.color }]}>{notification.status}</Text>
+                </View>
+              </View>
+              {!!notification.body && (
+                <Text style={styles.body} numberOfLines={4}>{notification.body}</Text>
+              )}
+              {!!notification.last_error && <Text style={styles.notificationError}>{notification.last_error}</Text>}
+              <View style={styles.notificationMeta}>
+                <Text style={styles.metaText}>
+                  {notification.sent_at
+                    ? `Sent ${formatDateTime(notification.sent_at)}`
+                    : notification.status === 'pending'
+                      ? `Next try ${formatDateTime(notification.next_attempt_at)}`
+                      : `Queued ${formatDateTime(notification.created_at)}`}
+                  {notification.delivery_status ? ` · ${notification.delivery_status}` : ''}
+                  {notification.attempts > 1 ? ` · ${notification.attempts} attempts` : ''}
+                </Text>
+                {canResend && (
+                  <TouchableOpacity
+                    style={styles.resendBtn}
+                    onPress={() => handleResend(notification)}
+                    disabled={resendingId === notification.id}
+                    activeOpacity={0.7}
+                  >
+                    {resendingId === notification.id ? (
+                      <ActivityIndicator size="small" color="#0D9488" />
+                    ) : (
+                      <>
+                        <Ionicons name="refresh" size={14} color="#0D9488" />
+                        <Text style={styles.resendBtnText}>Resend</Text>
+                      </>
+                    )}
+                  </TouchableOpacity>
+                )}
+              </View>
+            </View>
+          );
+        })
+      )}
+    </ScrollView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#FAFAFA',
+  },
+  content: {
+    padding: 20,
+  },
+  header: {
+    marginBottom: 20,
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'flex-start',
+    gap: 12,
+  },
+  headerText: {
+    flex: 1,
+  },
+  dashboardBtn: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: 'rgba(13, 148, 136, 0.12)',
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+    borderRadius: 10,
+    gap: 6,
+    borderWidth: 1,
+    borderColor: 'rgba(13, 148, 136, 0.3)',
+  },
+  dashboardBtnText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#0D9488',
+  },
+  title: {
+    fontSize: 32,
+    fontWeight: '700',
+    color: '#000',
+    marginBottom: 4,
+  },
+  subtitle: {
+    fontSize: 16,
+    color: '#8E8E93',
+  },
+  filterRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+    marginBottom: 16,
+  },
+  filterChip: {
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    borderRadius: 16,
+    backgroundColor: '#fff',
+    borderWidth: 1,
+    borderColor: '#E5E5EA',
+  },
+  filterChipActive: {
+    backgroundColor: '#0D9488',
+    borderColor: '#0D9488',
+  },
+  filterChipText: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#374151',
+  },
+  filterChipTextActive: {
+    color: '#fff',
+  },
+  error: {
+    fontSize: 13,
+    color: '#DC2626',
+    marginBottom: 12,
+  },
+  recipientsCard: {
+    backgroundColor: '#fff',
+    borderRadius: 12,
+    padding: 16,
+    marginBottom: 20,
+    ...(Platform.OS !== 'web' && {
+      shadowColor: '#000',
+      shadowOffset: { width: 0, height: 2 },
+      shadowOpacity: 0.08,
+      shadowRadius: 8,
+      elevation: 3,
+    }),
+  },
+  recipientsTitle: {
+    fontSize: 17,
+    fontWeight: '600',
+    color: '#000',
+  },
+  recipientsSubtitle: {
+    fontSize: 13,
+    color: '#8E8E93',
+    marginTop: 4,
+    marginBottom: 12,
+  },
+  recipientGroup: {
+    marginBottom: 12,
+  },
+  recipientEvent: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#374151',
+    marginBottom: 4,
+  },
+  recipientRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+    paddingVertical: 6,
+  },
+  recipientAddress: {
+    flex: 1,
+    fontSize: 14,
+    color: '#000',
+  },
+  recipientInputs: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+  },
+  recipientInput: {
+    flex: 1,
+    borderWidth: 1,
+    borderColor: '#E5E5EA',
+    borderRadius: 10,
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    fontSize: 14,
+    color: '#000',
+  },
+  addBtnDisabled: {
+    opacity: 0.5,
+  },
+  notificationCard: {
+    backgroundColor: '#fff',
+    borderRadius: 12,
+    padding: 16,
+    marginBottom: 12,
+    ...(Platform.OS !== 'web' && {
+      shadowColor: '#000',
+      shadowOffset: { width: 0, height: 2 },
+      shadowOpacity: 0.08,
+      shadowRadius: 8,
+      elevation: 3,
+    }),
+  },
+  notificationHeader: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    gap: 12,
+  },
+  notificationInfo: {
+    flex: 1,
+  },
+  notificationTemplate: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#000',
+    marginBottom: 4,
+  },
+  recipient: {
+    fontSize: 12,
+    color: '#8E8E93',
+  },
+  statusBadge: {
+    paddingVertical: 4,
+    paddingHorizontal: 8,
+    borderRadius: 6,
+  },
+  statusText: {
+    fontSize: 12,
+    fontWeight: '600',
+    textTransform: 'capitalize',
+  },
+  body: {
+    fontSize: 13,
+    color: '#374151',
+    marginTop: 8,
+    lineHeight: 18,
+  },
+  notificationError: {
+    fontSize: 13,
+    color: '#DC2626',
+    marginTop: 8,
+  },
+  notificationMeta: {
+    marginTop: 12,
+    paddingTop: 12,
+    borderTopWidth: 1,
+    borderTopColor: '#F5F5F5',
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  metaText: {
+    fontSize: 12,
+    color: '#8E8E93',
+    flex: 1,
+  },
+  resendBtn: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+    paddingVertical: 4,
+    paddingHorizontal: 8,
+    borderRadius: 6,
+    backgroundColor: 'rgba(13, 148, 136, 0.08)',
+  },
+  resendBtnText: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#0D9488',
+  },
+  emptyState: {
+    alignItems: 'center',
+    paddingVertical: 60,
+  },
+  emptyText: {
+    fontSize: 16,
+    color: '#8E8E93',
+    marginTop: 16,
+  },
+});
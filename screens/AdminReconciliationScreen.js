@@ -0,0 +1,438 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  ScrollView,
+  StyleSheet,
+  TouchableOpacity,
+  RefreshControl,
+  ActivityIndicator,
+  Platform,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import {
+  DISCREPANCY_KINDS,
+  loadLatestReconciliation,
+  runReconciliation,
+  fixDiscrepancy,
+} from '../lib/reconciliation';
+import { useAcademy } from '../contexts/AcademyContext';
+import { formatMoney } from '../utils/currency';
+
+const DEFAULT_RANGE_DAYS = 7;
+
+const toDateInput = (date) => {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+// Local midnight of a YYYY-MM-DD input, or null
+const parseDateInput = (value) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec((value || '').trim());
+  if (!match) return null;
+  const date = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Compares paid Stripe payments with wallet credits and bookings for a date
+ * range (stripe-reconcile) and fixes each discrepancy with one click.
+ */
+export default function AdminReconciliationScreen({ onNavigate }) {
+  const { currency } = useAcademy();
+  const [run, setRun] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [running, setRunning] = useState(false);
+  const [fixingKey, setFixingKey] = useState(null);
+  const [error, setError] = useState(null);
+  const [fromInput, setFromInput] = useState(() =>
+    toDateInput(new Date(Date.now() - DEFAULT_RANGE_DAYS * 86400000))
+  );
+  const [toInput, setToInput] = useState(() => toDateInput(new Date()));
+
+  useEffect(() => {
+    loadRun();
+  }, []);
+
+  const loadRun = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      setRun(await loadLatestReconciliation());
+    } catch (e) {
+      console.error('Error loading reconciliation:', e);
+      setError(e.message || 'Failed to load the last reconciliation.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleRun = async () => {
+    const from = parseDateInput(fromInput);
+    const toDay = parseDateInput(toInput);
+    if (!from || !toDay) {
+      setError('Enter dates as YYYY-MM-DD.');
+      return;
+    }
+    const to = new Date(toDay.getTime() + 86400000 - 1);
+    try {
+      setRunning(true);
+      setError(null);
+      await runReconciliation({ from, to });
+      await loadRun();
+    } catch (e) {
+      setError(e.message || 'Reconciliation failed.');
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  const handleFix = async (discrepancy) => {
+    try {
+      setFixingKey(discrepancy.key);
+      setError(null);
+      const result = await fixDiscrepancy({ runId: run.id, key: discrepancy.key });
+      setRun((prev) => ({
+        ...prev,
+        discrepancies: prev.discrepancies.map((d) =>
+          d.key === discrepancy.key ? { ...d, fixedAt: result.fixedAt } : d
+        ),
+      }));
+    } catch (e) {
+      setError(e.message || 'Failed to fix this payment.');
+    } finally {
+      setFixingKey(null);
+    }
+  };
+
+  const formatDate = (dateString) =>
+    new Date(dateString).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+
+  // Runs stored before academies had a currency carry none
+  const money = (value, code) => (value == null ? '—' : formatMoney(value, code || currency));
+
+  const open = (run?.discrepancies || []).filter((d) => !d.fixedAt);
+  const fixed = (run?.discrepancies || []).filter((d) => d.fixedAt);
+
+  const renderDiscrepancy = (d) => {
+    const kind = DISCREPANCY_KINDS[d.kind] || { label: d.kind, color: '#6B7280' };
+    return (
+      <View key={d.key} style={styles.itemCard}>
+        <View style={styles.itemHeader}>
+          <View style={styles.itemInfo}>
+            <Text style={styles.itemName}>{d.studentName || d.userId}</Text>
+            <Text style={styles.itemKey} numberOfLines={1}>
+              {d.key} · {d.type} · {formatDate(d.created)}
+            </Text>
+          </View>
+          <View style={[styles.kindBadge, { borderColor: kind.color }]}>
+            <Text style={[styles.kindText, { color: kind.color }]}>{kind.label}</Text>
+          </View>
+        </View>
+        <Text style={styles.amounts}>
+          Stripe {money(d.stripeAmount, d.currency)} · Recorded {money(d.recordedAmount, d.currency)} · Wallet credited {money(d.ledgerCredited, d.currency)}
+        </Text>
+        <View style={styles.itemFooter}>
+          {d.fixedAt ? (
+            <View style={styles.fixedRow}>
+              <Ionicons name="checkmark-circle" size={16} color="#059669" />
+              <Text style={styles.fixedText}>Fixed {formatDate(d.fixedAt)}</Text>
+            </View>
+          ) : (
+            <TouchableOpacity
+              style={styles.fixBtn}
+              onPress={() => handleFix(d)}
+              disabled={!!fixingKey}
+              activeOpacity={0.7}
+            >
+              {fixingKey === d.key ? (
+                <ActivityIndicator size="small" color="#fff" />
+              ) : (
+                <Text style={styles.fixBtnText}>Fix</Text>
+              )}
+            </TouchableOpacity>
+          )}
+        </View>
+      </View>
+    );
+  };
+
+  return (
+    <ScrollView
+      style={styles.container}
+      contentContainerStyle={styles.content}
+      refreshControl={
+        <RefreshControl refreshing={loading} onRefresh={loadRun} />
+      }
+    >
+      <View style={styles.header}>
+        <View style={styles.headerText}>
+          <Text style={styles.title}>Reconciliation</Text>
+          <Text style={styles.subtitle}>Card payments in Stripe checked against wallets and bookings</Text>
+        </View>
+        {onNavigate && (
+          <TouchableOpacity
+            style={styles.dashboardBtn}
+            onPress={() => onNavigate('admin-dashboard')}
+            activeOpacity={0.7}
+          >
+            <Ionicons name="grid-outline" size={18} color="#0D9488" />
+            <Text style={styles.dashboardBtnText}>Dashboard</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+
+      <View style={styles.rangeCard}>
+        <View style={styles.rangeRow}>
+          <View style={styles.rangeField}>
+            <Text style={styles.rangeLabel}>From</Text>
+            <TextInput
+              style={styles.rangeInput}
+              value={fromInput}
+              onChangeText={setFromInput}
+              placeholder="YYYY-MM-DD"
+              autoCapitalize="none"
+            />
+          </View>
+          <View style={styles.rangeField}>
+            <Text style={styles.rangeLabel}>To</Text>
+            <TextInput
+              style={styles.rangeInput}
+              value={toInput}
+              onChangeText={setToInput}
+              placeholder="YYYY-MM-DD"
+              autoCapitalize="none"
+            />
+          </View>
+        </View>
+        <TouchableOpacity
+          style={[styles.runBtn, running && styles.runBtnDisabled]}
+          onPress={handleRun}
+          disabled={running}
+          activeOpacity={0.7}
+        >
+          {running ? (
+            <ActivityIndicator size="small" color="#fff" />
+          ) : (
+            <Text style={styles.runBtnText}>Run reconciliation</Text>
+          )}
+        </TouchableOpacity>
+      </View>
+
+      {!!error && <Text style={styles.error}>{error}</Text>}
+
+      {run && (
+        <Text style={styles.runSummary}>
+          {formatDate(run.rangeFrom)} – {formatDate(run.rangeTo)}: {run.checked} payments checked,{' '}
+          {open.length === 0 ? 'everything matches' : `${open.length} to fix`}
+          {run.source === 'schedule' ? ' (scheduled run)' : ''}
+        </Text>
+      )}
+
+      {!loading && !run ? (
+        <View style={styles.emptyState}>
+          <Ionicons name="git-compare-outline" size={64} color="#C7C7CC" />
+          <Text style={styles.emptyText}>No reconciliation has been run yet</Text>
+        </View>
+      ) : (
+        <>
+          {open.map(renderDiscrepancy)}
+          {fixed.map(renderDiscrepancy)}
+        </>
+      )}
+    </ScrollView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#FAFAFA',
+  },
+  content: {
+    padding: 20,
+  },
+  header: {
+    marginBottom: 20,
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'flex-start',
+    gap: 12,
+  },
+  headerText: {
+    flex: 1,
+  },
+  dashboardBtn: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: 'rgba(13, 148, 136, 0.12)',
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+    borderRadius: 10,
+    gap: 6,
+    borderWidth: 1,
+    borderColor: 'rgba(13, 148, 136, 0.3)',
+  },
+  dashboardBtnText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#0D9488',
+  },
+  title: {
+    fontSize: 32,
+    fontWeight: '700',
+    color: '#000',
+    marginBottom: 4,
+  },
+  subtitle: {
+    fontSize: 16,
+    color: '#8E8E93',
+  },
+  rangeCard: {
+    backgroundColor: '#fff',
+    borderRadius: 12,
+    padding: 16,
+    marginBottom: 16,
+    ...(Platform.OS !== 'web' && {
+      shadowColor: '#000',
+      shadowOffset: { width: 0, height: 2 },
+      shadowOpacity: 0.08,
+      shadowRadius: 8,
+      elevation: 3,
+    }),
+  },
+  rangeRow: {
+    flexDirection: 'row',
+    gap: 12,
+  },
+  rangeField: {
+    flex: 1,
+  },
+  rangeLabel: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#374151',
+    marginBottom: 6,
+  },
+  rangeInput: {
+    borderWidth: 1,
+    borderColor: '#E5E5EA',
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    fontSize: 15,
+    backgroundColor: '#fff',
+  },
+  runBtn: {
+    marginTop: 16,
+    backgroundColor: '#0D9488',
+    paddingVertical: 12,
+    borderRadius: 10,
+    alignItems: 'center',
+  },
+  runBtnDisabled: {
+    opacity: 0.6,
+  },
+  runBtnText: {
+    color: '#fff',
+    fontSize: 15,
+    fontWeight: '600',
+  },
+  error: {
+    fontSize: 13,
+    color: '#DC2626',
+    marginBottom: 12,
+  },
+  runSummary: {
+    fontSize: 14,
+    color: '#374151',
+    marginBottom: 12,
+  },
+  itemCard: {
+    backgroundColor: '#fff',
+    borderRadius: 12,
+    padding: 16,
+    marginBottom: 12,
+    ...(Platform.OS !== 'web' && {
+      shadowColor: '#000',
+      shadowOffset: { width: 0, height: 2 },
+      shadowOpacity: 0.08,
+      shadowRadius: 8,
+      elevation: 3,
+    }),
+  },
+  itemHeader: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    gap: 12,
+  },
+  itemInfo: {
+    flex: 1,
+  },
+  itemName: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#000',
+    marginBottom: 4,
+  },
+  itemKey: {
+    fontSize: 12,
+    color: '#8E8E93',
+  },
+  kindBadge: {
+    paddingVertical: 4,
+    paddingHorizontal: 8,
+    borderRadius: 6,
+    borderWidth: 1,
+  },
+  kindText: {
+    fontSize: 12,
+    fontWeight: '600',
+  },
+  amounts: {
+    fontSize: 13,
+    color: '#374151',
+    marginTop: 10,
+  },
+  itemFooter: {
+    marginTop: 12,
+    paddingTop: 12,
+    borderTopWidth: 1,
+    borderTopColor: '#F5F5F5',
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+  },
+  fixBtn: {
+    backgroundColor: '#0D9488',
+    paddingVertical: 6,
+    paddingHorizontal: 16,
+    borderRadius: 8,
+    minWidth: 64,
+    alignItems: 'center',
+  },
+  fixBtnText: {
+    color: '#fff',
+    fontSize: 13,
+    fontWeight: '600',
+  },
+  fixedRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+  },
+  fixedText: {
+    fontSize: 13,
+    color: '#059669',
+    fontWeight: '600',
+  },
+  emptyState: {
+    alignItems: 'center',
+    paddingVertical: 60,
+  },
+  emptyText: {
+    fontSize: 16,
+    color: '#8E8E93',
+    marginTop: 16,
+  },
+});
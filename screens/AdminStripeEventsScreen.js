@@ -0,0 +1,350 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  ScrollView,
+  StyleSheet,
+  TouchableOpacity,
+  RefreshControl,
+  ActivityIndicator,
+  Platform,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { supabase } from '../lib/supabase';
+import { replayStripeEvent } from '../lib/stripe';
+
+const STATUS_FILTERS = [
+  { id: 'all', label: 'All' },
+  { id: 'failed', label: 'Failed' },
+  { id: 'processed', label: 'Processed' },
+  { id: 'ignored', label: 'Ignored' },
+  { id: 'received', label: 'Received' },
+];
+
+const STATUS_COLORS = {
+  processed: { color: '#059669', background: 'rgba(5, 150, 105, 0.1)' },
+  ignored: { color: '#6B7280', background: '#F3F4F6' },
+  received: { color: '#D97706', background: 'rgba(217, 119, 6, 0.1)' },
+  failed: { color: '#DC2626', background: 'rgba(220, 38, 38, 0.1)' },
+};
+
+const EVENT_LIMIT = 100;
+
+/**
+ * Recent Stripe webhook events (stripe_events) and how each was processed.
+ * Failed or stuck events can be replayed once the cause is fixed.
+ */
+export default function AdminStripeEventsScreen({ onNavigate }) {
+  const [events, setEvents] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [filter, setFilter] = useState('all');
+  const [replayingId, setReplayingId] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    loadEvents();
+  }, [filter]);
+
+  const loadEvents = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      let query = supabase
+        .from('stripe_events')
+        .select('id, type, object_id, livemode, status, attempts, error, received_at, processed_at')
+        .order('received_at', { ascending: false })
+        .limit(EVENT_LIMIT);
+      if (filter !== 'all') query = query.eq('status', filter);
+
+      const { data, error: loadError } = await query;
+      if (loadError) throw loadError;
+      setEvents(data || []);
+    } catch (e) {
+      console.error('Error loading Stripe events:', e);
+      setError(e.message || 'Failed to load Stripe events.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleReplay = async (event) => {
+    try {
+      setReplayingId(event.id);
+      setError(null);
+      const result = await replayStripeEvent(event.id);
+      if (result?.success === false && result.error) setError(`${event.type}: ${result.error}`);
+      await loadEvents();
+    } catch (e) {
+      setError(e.message || 'Failed to replay event.');
+    } finally {
+      setReplayingId(null);
+    }
+  };
+
+  const formatDateTime = (dateString) => {
+    if (!dateString) return '—';
+    return new Date(dateString).toLocaleString('en-US', {
+      month: 'short',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: '2-digit',
+    });
+  };
+
+  const failedCount = events.filter((e) => e.status === 'failed').length;
+
+  return (
+    <ScrollView
+      style={styles.container}
+      contentContainerStyle={styles.content}
+      refreshControl={
+        <RefreshControl refreshing={loading} onRefresh={loadEvents} />
+      }
+    >
+      <View style={styles.header}>
+        <View style={styles.headerText}>
+          <Text style={styles.title}>Stripe Events</Text>
+          <Text style={styles.subtitle}>
+            {events.length} recent events{filter === 'all' && failedCount > 0 ? ` · ${failedCount} failed` : ''}
+          </Text>
+        </View>
+        {onNavigate && (
+          <TouchableOpacity
+            style={styles.dashboardBtn}
+            onPress={() => onNavigate('admin-dashboard')}
+            activeOpacity={0.7}
+          >
+            <Ionicons name="grid-outline" size={18} color="#0D9488" />
+            <Text style={styles.dashboardBtnText}>Dashboard</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+
+      <View style={styles.filterRow}>
+        {STATUS_FILTERS.map((f) => (
+          <TouchableOpacity
+            key={f.id}
+            style={[styles.filterChip, filter === f.id && styles.filterChipActive]}
+            onPress={() => setFilter(f.id)}
+            activeOpacity={0.7}
+          >
+            <Text style={[styles.filterChipText, filter === f.id && styles.filterChipTextActive]}>{f.label}</Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+
+      {!!error && <Text style={styles.error}>{error}</Text>}
+
+      {!loading && events.length === 0 ? (
+        <View style={styles.emptyState}>
+          <Ionicons name="pulse-outline" size={64} color="#C7C7CC" />
+          <Text style={styles.emptyText}>No Stripe events yet</Text>
+        </View>
+      ) : (
+        events.map((event) => {
+          const colors = STATUS_COLORS[event.status] || STATUS_COLORS.ignored;
+          const canReplay = event.status === 'failed' || event.status === 'received';
+          return (
+            <View key={event.id} style={styles.eventCard}>
+              <View style={styles.eventHeader}>
+                <View style={styles.eventInfo}>
+                  <Text style={styles.eventType}>{event.type}</Text>
+                  <Text style={styles.eventId} numberOfLines={1}>
+                    {event.object_id || event.id}
+                    {!event.livemode ? ' · test' : ''}
+                  </Text>
+                </View>
+                <View style={[styles.statusBadge, { backgroundColor: colors.background }]}>
+                  <Text style={[styles.statusText, { color: colors.color }]}>{event.status}</Text>
+                </View>
+              </View>
+              {!!event.error && <Text style={styles.eventError}>{event.error}</Text>}
+              <View style={styles.eventMeta}>
+                <Text style={styles.metaText}>
+                  Received {formatDateTime(event.received_at)}
+                  {event.attempts > 1 ? ` · ${event.attempts} attempts` : ''}
+                </Text>
+                {canReplay && (
+                  <TouchableOpacity
+                    style={styles.replayBtn}
+                    onPress={() => handleReplay(event)}
+                    disabled={replayingId === event.id}
+                    activeOpacity={0.7}
+                  >
+                    {replayingId === event.id ? (
+                      <ActivityIndicator size="small" color="#0D9488" />
+                    ) : (
+                      <>
+                        <Ionicons name="refresh" size={14} color="#0D9488" />
+                        <Text style={styles.replayBtnText}>Replay</Text>
+                      </>
+                    )}
+                  </TouchableOpacity>
+                )}
+              </View>
+            </View>
+          );
+        })
+      )}
+    </ScrollView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#FAFAFA',
+  },
+  content: {
+    padding: 20,
+  },
+  header: {
+    marginBottom: 20,
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'flex-start',
+    gap: 12,
+  },
+  headerText: {
+    flex: 1,
+  },
+  dashboardBtn: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: 'rgba(13, 148, 136, 0.12)',
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+    borderRadius: 10,
+    gap: 6,
+    borderWidth: 1,
+    borderColor: 'rgba(13, 148, 136, 0.3)',
+  },
+  dashboardBtnText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#0D9488',
+  },
+  title: {
+    fontSize: 32,
+    fontWeight: '700',
+    color: '#000',
+    marginBottom: 4,
+  },
+  subtitle: {
+    fontSize: 16,
+    color: '#8E8E93',
+  },
+  filterRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+    marginBottom: 16,
+  },
+  filterChip: {
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    borderRadius: 16,
+    backgroundColor: '#fff',
+    borderWidth: 1,
+    borderColor: '#E5E5EA',
+  },
+  filterChipActive: {
+    backgroundColor: '#0D9488',
+    borderColor: '#0D9488',
+  },
+  filterChipText: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#374151',
+  },
+  filterChipTextActive: {
+    color: '#fff',
+  },
+  error: {
+    fontSize: 13,
+    color: '#DC2626',
+    marginBottom: 12,
+  },
+  eventCard: {
+    backgroundColor: '#fff',
+    borderRadius: 12,
+    padding: 16,
+    marginBottom: 12,
+    ...(Platform.OS !== 'web' && {
+      shadowColor: '#000',
+      shadowOffset: { width: 0, height: 2 },
+      shadowOpacity: 0.08,
+      shadowRadius: 8,
+      elevation: 3,
+    }),
+  },
+  eventHeader: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    gap: 12,
+  },
+  eventInfo: {
+    flex: 1,
+  },
+  eventType: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#000',
+    marginBottom: 4,
+  },
+  eventId: {
+    fontSize: 12,
+    color: '#8E8E93',
+  },
+  statusBadge: {
+    paddingVertical: 4,
+    paddingHorizontal: 8,
+    borderRadius: 6,
+  },
+  statusText: {
+    fontSize: 12,
+    fontWeight: '600',
+    textTransform: 'capitalize',
+  },
+  eventError: {
+    fontSize: 13,
+    color: '#DC2626',
+    marginTop: 8,
+  },
+  eventMeta: {
+    marginTop: 12,
+    paddingTop: 12,
+    borderTopWidth: 1,
+    borderTopColor: '#F5F5F5',
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  metaText: {
+    fontSize: 12,
+    color: '#8E8E93',
+  },
+  replayBtn: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+    paddingVertical: 4,
+    paddingHorizontal: 8,
+    borderRadius: 6,
+    backgroundColor: 'rgba(13, 148, 136, 0.08)',
+  },
+  replayBtnText: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#0D9488',
+  },
+  emptyState: {
+    alignItems: 'center',
+    paddingVertical: 60,
+  },
+  emptyText: {
+    fontSize: 16,
+    color: '#8E8E93',
+    marginTop: 16,
+  },
+});
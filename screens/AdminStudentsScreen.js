@@ -11,11 +11,15 @@ import {
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import { supabase } from '../lib/supabase';
+import { useAcademy } from '../contexts/AcademyContext';
+import CardRefundModal from '../components/CardRefundModal';
 
 export default function StudentsScreen({ onNavigate }) {
+  const { formatMoney } = useAcademy();
   const [students, setStudents] = useState([]);
   const [loading, setLoading] = useState(true);
   const [searchQuery, setSearchQuery] = useState('');
+  const [refundStudent, setRefundStudent] = useState(null);
 
   useEffect(() => {
     loadStudents();
@@ -44,6 +48,7 @@ export default function StudentsScreen({ onNavigate }) {
           email: profile.email || 'N/A',
           phone: profile.phone || null,
           fullName: nameFromParts || profile.full_name || 'N/A',
+          walletBalance: parseFloat(profile.wallet_balance || 0),
           createdAt: profile.created_at,
           emailVerified: true, // Assume verified if profile exists
         };
@@ -139,12 +144,29 @@ export default function StudentsScreen({ onNavigate }) {
             </View>
             <View style={styles.studentMeta}>
               <Text style={styles.metaText}>
-                Joined: {formatDate(student.createdAt)}
+                Joined: {formatDate(student.createdAt)} · Wallet: {formatMoney(student.walletBalance)}
               </Text>
+              {student.walletBalance > 0 && (
+                <TouchableOpacity
+                  style={styles.refundBtn}
+                  onPress={() => setRefundStudent(student)}
+                  activeOpacity={0.7}
+                >
+                  <Ionicons name="card-outline" size={14} color="#0D9488" />
+                  <Text style={styles.refundBtnText}>Refund to card</Text>
+                </TouchableOpacity>
+              )}
             </View>
           </View>
         ))
       )}
+
+      <CardRefundModal
+        visible={!!refundStudent}
+        student={refundStudent}
+        onClose={() => setRefundStudent(null)}
+        onRefunded={loadStudents}
+      />
     </ScrollView>
   );
 }
@@ -265,11 +287,28 @@ const styles = StyleSheet.create({
     paddingTop: 12,
     borderTopWidth: 1,
     borderTopColor: '#F5F5F5',
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
   },
   metaText: {
     fontSize: 12,
     color: '#8E8E93',
   },
+  refundBtn: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+    paddingVertical: 4,
+    paddingHorizontal: 8,
+    borderRadius: 6,
+    backgroundColor: 'rgba(13, 148, 136, 0.08)',
+  },
+  refundBtnText: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#0D9488',
+  },
   emptyState: {
     alignItems: 'center',
     paddingVertical: 60,
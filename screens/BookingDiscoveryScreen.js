@@ -16,7 +16,11 @@ import {
 import { Ionicons } from '@expo/vector-icons';
 import { useSafeAreaInsets } from 'react-native-safe-area-context';
 import { supabase } from '../lib/supabase';
-import { getSydneyToday, sydneyDateToUTCStart, sydneyDateToUTCEnd, utcToSydneyDate } from '../utils/timezone';
+import { useAcademy } from '../contexts/AcademyContext';
+import { joinWaitlist, leaveWaitlist, quoteLessons } from '../lib/bookings';
+import { loadBookingPolicies, resolveBookingPolicy, getPolicyBlockReason } from '../lib/bookingPolicies';
+import { loadFamilyPlayers } from '../lib/family';
+import { getZonedToday, zonedDateToUTCStart, zonedDateToUTCEnd, utcToZonedDate, utcToZonedTime, addDaysToDateString, getDayOfWeekFromDateString } from '../utils/timezone';
 
 // Conditionally import MapView for native platforms
 let MapView, Marker, UrlTile;
@@ -31,6 +35,7 @@ const { width } = Dimensions.get('window');
 const isDesktop = Platform.OS === 'web' && width > 768;
 const DATE_CARD_WIDTH = 70;
 const DATE_CARD_GAP = 12;
+const MAX_REPEAT_WEEKS = 12; // "Repeat weekly until…" offers up to a term
 
 // Service duration rules (in hours)
 const SERVICE_DURATION_RULES = {
@@ -517,15 +522,26 @@ const SkeletonChip = () => {
 
 export default function BookingDiscoveryScreen({ onNext, onBack, serviceFilter = null }) {
   const insets = useSafeAreaInsets();
-  // Initialize selectedDate as Sydney local date string
-  const [selectedDate, setSelectedDate] = useState(getSydneyToday());
+  const { formatMoney } = useAcademy();
+  // Initialize selectedDate as academy local date string
+  const [selectedDate, setSelectedDate] = useState(getZonedToday());
   const [availabilities, setAvailabilities] = useState([]);
+  const [repeatUntil, setRepeatUntil] = useState(null); // academy date (YYYY-MM-DD) for a weekly series, or null
+  const [bookingPolicies, setBookingPolicies] = useState([]);
+  const [studentAcademyId, setStudentAcademyId] = useState(null);
+  const [weekBookings, setWeekBookings] = useState([]); // Student's bookings in the selected date's Mon–Sun week
+  const [familyPlayers, setFamilyPlayers] = useState([]); // Juniors on this account (lib/family.js)
+  const [selectedPlayerId, setSelectedPlayerId] = useState(null); // null = the student themselves
+  const [waitlistEntries, setWaitlistEntries] = useState([]); // Current user's 'waiting' entries for the selected date
+  const [waitlistSlotId, setWaitlistSlotId] = useState(null); // Full slot with a join/leave request in flight
   const [locations, setLocations] = useState([]);
   const [loading, setLoading] = useState(true);
-  const [selectedSlots, setSelectedSlots] = useState([]); // Array of { time, locationId, serviceName }
+  const [selectedSlots, setSelectedSlots] = useState([]); // Array of { id, time, startTime, endTime, locationId, serviceName }
+  const [priceQuote, setPriceQuote] = useState(null); // quoteLessons result for selectedSlots
+  const [priceLoading, setPriceLoading] = useState(false);
   const [selectedLocationId, setSelectedLocationId] = useState(null); // null = all locations
   const [viewMode, setViewMode] = useState('weekly'); // 'weekly' or 'monthly'
-  // Use Sydney local time for calendar month/year
+  // Use academy local time for calendar month/year
   const nowForCalendar = new Date();
   const [calendarMonth, setCalendarMonth] = useState(nowForCalendar.getMonth());
   const [calendarYear, setCalendarYear] = useState(nowForCalendar.getFullYear());
@@ -542,8 +558,8 @@ export default function BookingDiscoveryScreen({ onNext, onBack, serviceFilter =
   const [mapModalVisible, setMapModalVisible] = useState(false);
   const [selectedMapLocation, setSelectedMapLocation] = useState(null);
   const [showLocationsMap, setShowLocationsMap] = useState(false);
-  // Use Sydney local time for today
-  const todayStr = getSydneyToday();
+  // Use academy local time for today
+  const todayStr = getZonedToday();
 
   // Handle location name click to open map
   const handleLocationPress = (locationData) => {
@@ -551,7 +567,7 @@ export default function BookingDiscoveryScreen({ onNext, onBack, serviceFilter =
     setMapModalVisible(true);
   };
 
-  // Generate date cards for a range (lazy loading) - using Sydney local time
+  // Generate date cards for a range (lazy loading) - using academy local time
   const generateDateCards = (startOffset, count = 14) => {
     const dates = [];
     const [todayYear, todayMonth, todayDay] = todayStr.split('-').map(Number);
@@ -565,7 +581,7 @@ export default function BookingDiscoveryScreen({ onNext, onBack, serviceFilter =
       const day = String(date.getDate()).padStart(2, '0');
       const dateStr = `${year}-${month}-${day}`;
       
-      // Smart labeling - use Sydney local dates for comparison
+      // Smart labeling - use academy local dates for comparison
       const [todayYear, todayMonth, todayDay] = todayStr.split('-').map(Number);
       const tomorrowDate = new Date(todayYear, todayMonth - 1, todayDay + 1, 0, 0, 0, 0);
       const tomorrowYear = tomorrowDate.getFullYear();
@@ -621,9 +637,9 @@ export default function BookingDiscoveryScreen({ onNext, onBack, serviceFilter =
     
     if (!firstVisible || !lastVisible) return 'This Week';
     
-    // Create today date from todayStr (Sydney local time)
-    // Use todayStr from component scope, fallback to getSydneyToday() if not available
-    const currentTodayStr = todayStr || getSydneyToday();
+    // Create today date from todayStr (academy local time)
+    // Use todayStr from component scope, fallback to getZonedToday() if not available
+    const currentTodayStr = todayStr || getZonedToday();
     const [todayYear, todayMonth, todayDay] = currentTodayStr.split('-').map(Number);
     const today = new Date(todayYear, todayMonth - 1, todayDay, 0, 0, 0, 0);
     
@@ -642,7 +658,7 @@ export default function BookingDiscoveryScreen({ onNext, onBack, serviceFilter =
     }
   };
 
-  // Generate monthly calendar grid - using Sydney local time
+  // Generate monthly calendar grid - using academy local time
   const generateMonthlyCalendar = () => {
     const firstDay = new Date(calendarYear, calendarMonth, 1, 0, 0, 0, 0);
     const lastDay = new Date(calendarYear, calendarMonth + 1, 0, 23, 59, 59, 999);
@@ -664,7 +680,7 @@ export default function BookingDiscoveryScreen({ onNext, onBack, serviceFilter =
       const dayStr = String(date.getDate()).padStart(2, '0');
       const dateStr = `${year}-${month}-${dayStr}`;
       
-      // Compare with today (Sydney local)
+      // Compare with today (academy local)
       const [todayYear, todayMonth, todayDay] = todayStr.split('-').map(Number);
       const todayDate = new Date(todayYear, todayMonth - 1, todayDay, 0, 0, 0, 0);
       const isPast = date < todayDate;
@@ -689,11 +705,12 @@ export default function BookingDiscoveryScreen({ onNext, onBack, serviceFilter =
 
   const monthlyDays = generateMonthlyCalendar();
   
-  // Get availability count for a specific date (dateStr is in Sydney local time)
+  // Get availability count for a specific date (dateStr is in academy local time)
   const getDateAvailabilityCount = (dateStr) => {
     return availabilities.filter((av) => {
-      // Convert UTC date from database to Sydney local date for matching
-      const avDateStr = utcToSydneyDate(av.start_time);
+      if (av.is_booked) return false;
+      // Convert UTC date from database to academy local date for matching
+      const avDateStr = utcToZonedDate(av.start_time);
       return avDateStr === dateStr;
     }).length;
   };
@@ -742,10 +759,10 @@ export default function BookingDiscoveryScreen({ onNext, onBack, serviceFilter =
     setViewMode(newMode);
   };
 
-  // Sync calendar month/year when selected date changes - using Sydney local time
+  // Sync calendar month/year when selected date changes - using academy local time
   useEffect(() => {
     if (selectedDate) {
-      // Parse selectedDate as Sydney local date string (YYYY-MM-DD)
+      // Parse selectedDate as academy local date string (YYYY-MM-DD)
       const [year, month, day] = selectedDate.split('-').map(Number);
       const date = new Date(year, month - 1, day, 0, 0, 0, 0);
       const monthLocal = date.getMonth();
@@ -759,6 +776,7 @@ export default function BookingDiscoveryScreen({ onNext, onBack, serviceFilter =
 
   useEffect(() => {
     loadLocations();
+    loadPolicies();
   }, []);
 
   useEffect(() => {
@@ -767,6 +785,18 @@ export default function BookingDiscoveryScreen({ onNext, onBack, serviceFilter =
     }
   }, [selectedDate, selectedLocationId, serviceFilter]);
 
+  useEffect(() => {
+    setRepeatUntil(null);
+  }, [selectedDate]);
+
+  useEffect(() => {
+    let active = true;
+    loadPriceQuote(() => active);
+    return () => {
+      active = false;
+    };
+  }, [selectedSlots]);
+
   // Clear cache when location filter changes
   useEffect(() => {
     heatmapCacheRef.current = {};
@@ -856,10 +886,10 @@ export default function BookingDiscoveryScreen({ onNext, onBack, serviceFilter =
     try {
       setLoading(true);
       
-      // selectedDate is in Sydney local time format (YYYY-MM-DD)
+      // selectedDate is in academy local time format (YYYY-MM-DD)
       // Convert to UTC for database query
-      const startOfDay = sydneyDateToUTCStart(selectedDate);
-      const endOfDay = sydneyDateToUTCEnd(selectedDate);
+      const startOfDay = zonedDateToUTCStart(selectedDate);
+      const endOfDay = zonedDateToUTCEnd(selectedDate);
 
       let query = supabase
         .from('availabilities')
@@ -867,10 +897,10 @@ export default function BookingDiscoveryScreen({ onNext, onBack, serviceFilter =
           *,
           locations:location_id (id, name, address, latitude, longitude)
         `)
-        .eq('is_booked', false)
         .gte('start_time', startOfDay.toISOString())
         .lte('start_time', endOfDay.toISOString())
         .order('start_time', { ascending: true });
+      // Full slots (is_booked) are included so students can join their waitlist
 
       // Apply location filter if selected
       if (selectedLocationId) {
@@ -887,6 +917,7 @@ export default function BookingDiscoveryScreen({ onNext, onBack, serviceFilter =
       if (error) throw error;
 
       setAvailabilities(data || []);
+      await Promise.all([loadWaitlistEntries(startOfDay, endOfDay), loadWeekBookings()]);
     } catch (error) {
       console.error('Error loading availabilities:', error);
     } finally {
@@ -894,6 +925,106 @@ export default function BookingDiscoveryScreen({ onNext, onBack, serviceFilter =
     }
   };
 
+  const loadPolicies = async () => {
+    const policies = await loadBookingPolicies();
+    setBookingPolicies(policies);
+    try {
+      const { data: { user } } = await supabase.auth.getUser();
+      if (!user) return;
+      const { data: profile } = await supabase
+        .from('profiles')
+        .select('academy_id')
+        .eq('id', user.id)
+        .single();
+      setStudentAcademyId(profile?.academy_id ?? null);
+      setFamilyPlayers(await loadFamilyPlayers(user.id));
+    } catch (error) {
+      console.warn('Error loading student academy:', error);
+    }
+  };
+
+  // Price the selection the same way HomeScreen books it: one lesson per location,
+  // from its first slot's start to its last slot's end
+  const loadPriceQuote = async (isActive) => {
+    if (selectedSlots.length === 0) {
+      setPriceQuote(null);
+      return;
+    }
+    const byLocation = {};
+    selectedSlots.forEach((slot) => {
+      if (!byLocation[slot.locationId]) byLocation[slot.locationId] = [];
+      byLocation[slot.locationId].push(slot);
+    });
+    const segments = Object.entries(byLocation).map(([locationId, locationSlots]) => {
+      const sorted = [...locationSlots].sort((a, b) => (a.startTime || '').localeCompare(b.startTime || ''));
+      return {
+        locationId,
+        startTime: sorted[0].startTime,
+        endTime: sorted[sorted.length - 1].endTime,
+        serviceName: sorted[0].serviceName,
+      };
+    });
+
+    try {
+      setPriceLoading(true);
+      const { data: { user } } = await supabase.auth.getUser();
+      if (!user) return;
+      const quote = await quoteLessons({ userId: user.id, segments });
+      if (isActive()) setPriceQuote(quote.success ? quote : null);
+    } catch (error) {
+      if (isActive()) setPriceQuote(null);
+    } finally {
+      if (isActive()) setPriceLoading(false);
+    }
+  };
+
+  // Bookings in the Monday–Sunday (academy local) week of selectedDate, for the weekly cap
+  const loadWeekBookings = async () => {
+    try {
+      const { data: { user } } = await supabase.auth.getUser();
+      if (!user) {
+        setWeekBookings([]);
+        return;
+      }
+      const monday = addDaysToDateString(selectedDate, -((getDayOfWeekFromDateString(selectedDate) + 6) % 7));
+      const { data, error } = await supabase
+        .from('bookings')
+        .select('id, start_time, service_name, player_id')
+        .eq('user_id', user.id)
+        .gte('start_time', zonedDateToUTCStart(monday).toISOString())
+        .lte('start_time', zonedDateToUTCEnd(addDaysToDateString(monday, 6)).toISOString());
+      if (error) throw error;
+      setWeekBookings(data || []);
+    } catch (error) {
+      console.warn('Error loading bookings for weekly limit:', error);
+      setWeekBookings([]);
+    }
+  };
+
+  const loadWaitlistEntries = async (startOfDay, endOfDay) => {
+    try {
+      const { data: { user } } = await supabase.auth.getUser();
+      if (!user) {
+        setWaitlistEntries([]);
+        return;
+      }
+
+      const { data, error } = await supabase
+        .from('waitlist_entries')
+        .select('id, location_id, start_time, end_time')
+        .eq('user_id', user.id)
+        .eq('status', 'waiting')
+        .lte('start_time', endOfDay.toISOString())
+        .gte('end_time', startOfDay.toISOString());
+
+      if (error) throw error;
+      setWaitlistEntries(data || []);
+    } catch (error) {
+      console.warn('Error loading waitlist entries:', error);
+      setWaitlistEntries([]);
+    }
+  };
+
   // Load availability heatmap for weekly view
   const loadAvailabilityHeatmap = async () => {
     if (dateCards.length === 0) return;
@@ -913,9 +1044,9 @@ export default function BookingDiscoveryScreen({ onNext, onBack, serviceFilter =
         return;
       }
 
-      // Convert Sydney local date strings to UTC for database query
-      const startOfRange = sydneyDateToUTCStart(firstDate);
-      const endOfRange = sydneyDateToUTCEnd(lastDate);
+      // Convert academy local date strings to UTC for database query
+      const startOfRange = zonedDateToUTCStart(firstDate);
+      const endOfRange = zonedDateToUTCEnd(lastDate);
 
       let query = supabase
         .from('availabilities')
@@ -946,8 +1077,8 @@ export default function BookingDiscoveryScreen({ onNext, onBack, serviceFilter =
 
       if (data && data.length > 0) {
         data.forEach((av) => {
-          // Convert UTC date from database to Sydney local date for matching
-          const dateStr = utcToSydneyDate(av.start_time);
+          // Convert UTC date from database to academy local date for matching
+          const dateStr = utcToZonedDate(av.start_time);
           if (heatmap.hasOwnProperty(dateStr)) {
             heatmap[dateStr] = true;
           }
@@ -969,7 +1100,7 @@ export default function BookingDiscoveryScreen({ onNext, onBack, serviceFilter =
     try {
       setHeatmapLoading(true);
 
-      // Get first and last day of the month in Sydney local time
+      // Get first and last day of the month in academy local time
       const firstDay = new Date(calendarYear, calendarMonth, 1, 0, 0, 0, 0);
       const lastDay = new Date(calendarYear, calendarMonth + 1, 0, 23, 59, 59, 999);
       
@@ -978,8 +1109,8 @@ export default function BookingDiscoveryScreen({ onNext, onBack, serviceFilter =
       const lastDayStr = `${calendarYear}-${String(calendarMonth + 1).padStart(2, '0')}-${String(lastDay.getDate()).padStart(2, '0')}`;
       
       // Convert to UTC for database query
-      const firstDayUTC = sydneyDateToUTCStart(firstDayStr);
-      const lastDayUTC = sydneyDateToUTCEnd(lastDayStr);
+      const firstDayUTC = zonedDateToUTCStart(firstDayStr);
+      const lastDayUTC = zonedDateToUTCEnd(lastDayStr);
       
       const cacheKey = `${calendarYear}-${calendarMonth}-${selectedLocationId || 'all'}-${serviceFilter || 'all'}`;
       if (heatmapCacheRef.current[cacheKey]) {
@@ -1009,7 +1140,7 @@ export default function BookingDiscoveryScreen({ onNext, onBack, serviceFilter =
 
       if (error) throw error;
 
-      // Build heatmap for all days in month using Sydney local dates
+      // Build heatmap for all days in month using academy local dates
       const heatmap = {};
       const daysInMonth = lastDay.getDate();
       for (let day = 1; day <= daysInMonth; day++) {
@@ -1023,8 +1154,8 @@ export default function BookingDiscoveryScreen({ onNext, onBack, serviceFilter =
 
       if (data && data.length > 0) {
         data.forEach((av) => {
-          // Convert UTC date from database to Sydney local date for matching
-          const dateStr = utcToSydneyDate(av.start_time);
+          // Convert UTC date from database to academy local date for matching
+          const dateStr = utcToZonedDate(av.start_time);
           if (heatmap.hasOwnProperty(dateStr)) {
             heatmap[dateStr] = true;
           }
@@ -1041,6 +1172,9 @@ export default function BookingDiscoveryScreen({ onNext, onBack, serviceFilter =
     }
   };
 
+  // The weekly cap counts each player's lessons separately
+  const playerWeekBookings = weekBookings.filter((b) => (b.player_id || null) === selectedPlayerId);
+
   // Group availabilities by location and service
   const groupAvailabilities = () => {
     const grouped = {};
@@ -1063,16 +1197,12 @@ export default function BookingDiscoveryScreen({ onNext, onBack, serviceFilter =
             longitude: av.locations?.longitude || null,
           },
           slots: [],
+          fullSlots: [], // Slots at max_capacity; tapping one offers the waitlist
         };
       }
       
-      // Display time in local timezone to match what students expect
-      // The availability start_time is stored in UTC, but we display it in local time
-      const startTime = new Date(av.start_time);
-      
-      // Get local time components for display (matches what user sees in their timezone)
-      const localHours = startTime.getHours();
-      const localMinutes = startTime.getMinutes();
+      // The availability start_time is stored in UTC; display it in academy local time
+      const [localHours, localMinutes] = utcToZonedTime(av.start_time).split(':').map(Number);
       const time24 = `${localHours.toString().padStart(2, '0')}:${localMinutes.toString().padStart(2, '0')}`;
       
       // Format for display (12-hour format)
@@ -1080,7 +1210,10 @@ export default function BookingDiscoveryScreen({ onNext, onBack, serviceFilter =
       const ampm = localHours >= 12 ? 'PM' : 'AM';
       const timeStr = `${displayHours}:${localMinutes.toString().padStart(2, '0')} ${ampm}`;
       
-      grouped[key].slots.push({
+      const policy = resolveBookingPolicy(bookingPolicies, studentAcademyId, av.service_name);
+
+      grouped[key][av.is_booked ? 'fullSlots' : 'slots'].push({
+        blockedReason: av.is_booked ? null : getPolicyBlockReason(policy, av.start_time, playerWeekBookings),
         id: av.id,
         time: timeStr,
         time24: time24, // Use UTC time for sorting/comparison
@@ -1094,6 +1227,7 @@ export default function BookingDiscoveryScreen({ onNext, onBack, serviceFilter =
     // Sort slots by time within each group
     Object.keys(grouped).forEach((key) => {
       grouped[key].slots.sort((a, b) => a.time24.localeCompare(b.time24));
+      grouped[key].fullSlots.sort((a, b) => a.time24.localeCompare(b.time24));
     });
 
     return Object.values(grouped);
@@ -1186,6 +1320,10 @@ export default function BookingDiscoveryScreen({ onNext, onBack, serviceFilter =
 
   // Handle slot selection with service-based auto-allocation (per service, not per location only)
   const handleSlotClick = (slot) => {
+    if (slot.blockedReason) {
+      showSlotMessage('Not Available', slot.blockedReason.message);
+      return;
+    }
     const isSelected = isSlotSelected(slot);
     const serviceName = slot.serviceName || 'Private Lessons';
     const locationSlots = getSelectedSlotsForLocationAndService(
@@ -1223,8 +1361,11 @@ export default function BookingDiscoveryScreen({ onNext, onBack, serviceFilter =
         }
 
         const newSlots = consecutiveSlots.map((s) => ({
+          id: s.id,
           time: s.time,
           time24: s.time24,
+          startTime: s.startTime,
+          endTime: s.endTime,
           locationId: s.locationId,
           serviceName: s.serviceName || serviceName,
         }));
@@ -1249,8 +1390,11 @@ export default function BookingDiscoveryScreen({ onNext, onBack, serviceFilter =
         }
 
         const newSlots = consecutiveSlots.map((s) => ({
+          id: s.id,
           time: s.time,
           time24: s.time24,
+          startTime: s.startTime,
+          endTime: s.endTime,
           locationId: s.locationId,
           serviceName: s.serviceName || serviceName,
         }));
@@ -1260,6 +1404,93 @@ export default function BookingDiscoveryScreen({ onNext, onBack, serviceFilter =
   };
 
 
+  // The current user's waiting entry whose session covers this full slot, if any
+  const getWaitlistEntryForSlot = (slot) => {
+    const slotStart = new Date(slot.startTime).getTime();
+    return waitlistEntries.find(
+      (entry) =>
+        entry.location_id === slot.locationId &&
+        new Date(entry.start_time).getTime() <= slotStart &&
+        new Date(entry.end_time).getTime() > slotStart
+    );
+  };
+
+  const showSlotMessage = (title, message) => {
+    if (Platform.OS === 'web') {
+      window.alert(`${title}\n\n${message}`);
+    } else {
+      Alert.alert(title, message, [{ text: 'OK' }]);
+    }
+  };
+
+  const confirmWaitlistAction = (title, message, confirmText, onConfirm) => {
+    if (Platform.OS === 'web') {
+      if (window.confirm(`${title}\n\n${message}`)) onConfirm();
+      return;
+    }
+    Alert.alert(title, message, [
+      { text: 'Cancel', style: 'cancel' },
+      { text: confirmText, onPress: onConfirm },
+    ]);
+  };
+
+  // Full slot tapped: join the session's waitlist, or leave it if already waiting
+  const handleFullSlotClick = (slot) => {
+    if (waitlistSlotId) return;
+    const entry = getWaitlistEntryForSlot(slot);
+
+    if (entry) {
+      confirmWaitlistAction(
+        'Leave Waitlist',
+        'You are on the waitlist for this session. Do you want to leave it?',
+        'Leave',
+        async () => {
+          try {
+            setWaitlistSlotId(slot.id);
+            await leaveWaitlist(entry.id);
+            setWaitlistEntries((prev) => prev.filter((e) => e.id !== entry.id));
+          } catch (error) {
+            showSlotMessage('Error', 'Could not leave the waitlist. Please try again.');
+          } finally {
+            setWaitlistSlotId(null);
+          }
+        }
+      );
+      return;
+    }
+
+    // Waitlist places are booked for the account holder
+    if (selectedPlayerId) {
+      showSlotMessage('Session Full', 'The waitlist is only available when booking for yourself.');
+      return;
+    }
+
+    confirmWaitlistAction(
+      'Join Waitlist',
+      `This session is full. Join the waitlist and if a place frees up you will be booked automatically and charged from your wallet. Keep enough balance in your wallet, otherwise the place goes to the next person.`,
+      'Join',
+      async () => {
+        try {
+          setWaitlistSlotId(slot.id);
+          const result = await joinWaitlist(slot.id);
+          if (!result.success) {
+            showSlotMessage('Waitlist', result.message);
+            return;
+          }
+          showSlotMessage(
+            'Added to Waitlist',
+            `You are number ${result.position} on the waitlist. We will text you if you get a place.`
+          );
+          await loadWaitlistEntries(zonedDateToUTCStart(selectedDate), zonedDateToUTCEnd(selectedDate));
+        } catch (error) {
+          showSlotMessage('Error', 'Could not join the waitlist. Please try again.');
+        } finally {
+          setWaitlistSlotId(null);
+        }
+      }
+    );
+  };
+
   // Find a slot by time24 format
   const findSlotByTime = (time24, locationId) => {
     const timeStr = formatTime24(time24);
@@ -1279,13 +1510,29 @@ export default function BookingDiscoveryScreen({ onNext, onBack, serviceFilter =
     return `${hours.toString().padStart(2, '0')}:${mins.toString().padStart(2, '0')}`;
   };
 
+  // "Repeat weekly until…" choices: the same weekday 1..MAX_REPEAT_WEEKS weeks after selectedDate
+  const getRepeatOptions = () => {
+    const options = [];
+    for (let weeks = 1; weeks <= MAX_REPEAT_WEEKS; weeks++) {
+      const dateStr = addDaysToDateString(selectedDate, weeks * 7);
+      const [year, month, day] = dateStr.split('-').map(Number);
+      options.push({
+        dateStr,
+        label: new Date(year, month - 1, day).toLocaleDateString('en-AU', { day: 'numeric', month: 'short' }),
+        lessons: weeks + 1,
+      });
+    }
+    return options;
+  };
+
   // Calculate selection summary
   const calculateSummary = () => {
     if (selectedSlots.length === 0) {
       return {
         timeRange: null,
         duration: 0,
-        credits: 0,
+        price: null,
+        priceItems: [],
       };
     }
 
@@ -1329,12 +1576,12 @@ export default function BookingDiscoveryScreen({ onNext, onBack, serviceFilter =
 
     const timeRange = startTime && endTime ? `${startTime} - ${endTime}` : null;
     const hours = totalDuration / 60;
-    const credits = 0; // Set to 0 for testing (will be properly implemented later)
 
     return {
       timeRange,
       duration: hours,
-      credits,
+      price: priceQuote ? priceQuote.total : null,
+      priceItems: priceQuote ? priceQuote.segments.flatMap((seg) => seg.items) : [],
     };
   };
 
@@ -2004,6 +2251,7 @@ export default function BookingDiscoveryScreen({ onNext, onBack, serviceFilter =
                         isEndSlot && styles.slotChipEnd,
                         isMiddleSlot && styles.slotChipMiddle,
                         !isSelected && styles.slotChipUnselected, // Normal margin for unselected
+                        slot.blockedReason && styles.slotChipBlocked,
                       ]}
                       onPress={() => handleSlotClick(slot)}
                     >
@@ -2011,10 +2259,32 @@ export default function BookingDiscoveryScreen({ onNext, onBack, serviceFilter =
                         style={[
                           styles.slotChipText,
                           isSelected && styles.slotChipTextSelected,
+                          slot.blockedReason && styles.slotChipTextFull,
                         ]}
                       >
                         {slot.time}
                       </Text>
+                      {slot.blockedReason && (
+                        <Text style={styles.slotChipFullLabel}>{slot.blockedReason.short}</Text>
+                      )}
+                    </TouchableOpacity>
+                  );
+                })}
+                {group.fullSlots.map((slot) => {
+                  const isWaitlisted = !!getWaitlistEntryForSlot(slot);
+                  return (
+                    <TouchableOpacity
+                      key={slot.id}
+                      style={[styles.slotChip, styles.slotChipFull, isWaitlisted && styles.slotChipWaitlisted]}
+                      onPress={() => handleFullSlotClick(slot)}
+                      disabled={waitlistSlotId === slot.id}
+                    >
+                      <Text style={[styles.slotChipText, styles.slotChipTextFull]}>
+                        {slot.time}
+                      </Text>
+                      <Text style={[styles.slotChipFullLabel, isWaitlisted && styles.slotChipWaitlistedLabel]}>
+                        {isWaitlisted ? 'On waitlist' : 'Full · Join waitlist'}
+                      </Text>
                     </TouchableOpacity>
                   );
                 })}
@@ -2028,6 +2298,58 @@ export default function BookingDiscoveryScreen({ onNext, onBack, serviceFilter =
       {/* Selection Summary Bar - Full Width Sticky Footer */}
       {selectedSlots.length > 0 && (
         <View style={styles.summaryBar}>
+          {familyPlayers.length > 0 && (
+            <View style={styles.repeatRow}>
+              <View style={styles.repeatLabel}>
+                <Ionicons name="people-outline" size={16} color="#000" />
+                <Text style={styles.repeatLabelText}>Who's playing?</Text>
+              </View>
+              <ScrollView horizontal showsHorizontalScrollIndicator={false} contentContainerStyle={styles.repeatOptions}>
+                {[{ id: null, fullName: 'Me' }, ...familyPlayers].map((player) => {
+                  const isSelected = selectedPlayerId === player.id;
+                  return (
+                    <TouchableOpacity
+                      key={player.id || 'me'}
+                      style={[styles.repeatChip, isSelected && styles.repeatChipSelected]}
+                      onPress={() => setSelectedPlayerId(player.id)}
+                    >
+                      <Text style={[styles.repeatChipText, isSelected && styles.repeatChipTextSelected]}>
+                        {player.fullName}
+                      </Text>
+                    </TouchableOpacity>
+                  );
+                })}
+              </ScrollView>
+            </View>
+          )}
+          <View style={styles.repeatRow}>
+            <View style={styles.repeatLabel}>
+              <Ionicons name="repeat" size={16} color="#000" />
+              <Text style={styles.repeatLabelText}>Repeat weekly until…</Text>
+            </View>
+            <ScrollView horizontal showsHorizontalScrollIndicator={false} contentContainerStyle={styles.repeatOptions}>
+              <TouchableOpacity
+                style={[styles.repeatChip, !repeatUntil && styles.repeatChipSelected]}
+                onPress={() => setRepeatUntil(null)}
+              >
+                <Text style={[styles.repeatChipText, !repeatUntil && styles.repeatChipTextSelected]}>Don't repeat</Text>
+              </TouchableOpacity>
+              {getRepeatOptions().map((option) => {
+                const isSelected = repeatUntil === option.dateStr;
+                return (
+                  <TouchableOpacity
+                    key={option.dateStr}
+                    style={[styles.repeatChip, isSelected && styles.repeatChipSelected]}
+                    onPress={() => setRepeatUntil(option.dateStr)}
+                  >
+                    <Text style={[styles.repeatChipText, isSelected && styles.repeatChipTextSelected]}>
+                      {option.label} ({option.lessons})
+                    </Text>
+                  </TouchableOpacity>
+                );
+              })}
+            </ScrollView>
+          </View>
           <View style={[styles.summaryBarContent, { paddingBottom: Math.max(insets.bottom, Platform.OS === 'ios' ? 20 : 20) }]}>
             <View style={[styles.summaryInfo, !isDesktop && styles.summaryInfoMobile]}>
               {summary.timeRange && (
@@ -2047,14 +2369,21 @@ export default function BookingDiscoveryScreen({ onNext, onBack, serviceFilter =
               <View style={styles.summaryItem}>
                 <Ionicons name="wallet-outline" size={isDesktop ? 18 : 16} color="#000" />
                 <Text style={[styles.summaryText, !isDesktop && styles.summaryTextMobile]}>
-                  {summary.credits.toFixed(1)} {summary.credits === 1 ? 'Credit' : 'Credits'}
+                  {priceLoading || summary.price == null ? '…' : formatMoney(summary.price)}
                 </Text>
               </View>
+              {!priceLoading && summary.priceItems.length > 1 && (
+                <Text style={styles.priceBreakdownText} numberOfLines={2}>
+                  {summary.priceItems
+                    .map((item) => `${item.label} ${formatMoney(item.amount)}`)
+                    .join(' · ')}
+                </Text>
+              )}
             </View>
             
             <TouchableOpacity
               style={[styles.nextButton, !canProceed && styles.nextButtonDisabled]}
-              onPress={() => canProceed && onNext && onNext(selectedSlots, summary, selectedDate)}
+              onPress={() => canProceed && onNext && onNext(selectedSlots, summary, selectedDate, repeatUntil, selectedPlayerId)}
               disabled={!canProceed}
             >
               <Text style={[styles.nextButtonText, !canProceed && styles.nextButtonTextDisabled]}>
@@ -2735,6 +3064,31 @@ const styles = StyleSheet.create({
   slotChipTextSelected: {
     color: '#fff',
   },
+  slotChipFull: {
+    backgroundColor: '#F2F2F7',
+    borderStyle: 'dashed',
+    alignItems: 'center',
+  },
+  slotChipBlocked: {
+    backgroundColor: '#F2F2F7',
+    alignItems: 'center',
+  },
+  slotChipWaitlisted: {
+    borderColor: '#FF9500',
+    borderStyle: 'solid',
+  },
+  slotChipTextFull: {
+    color: '#8E8E93',
+  },
+  slotChipFullLabel: {
+    fontSize: 10,
+    fontWeight: '600',
+    color: '#8E8E93',
+    marginTop: 2,
+  },
+  slotChipWaitlistedLabel: {
+    color: '#FF9500',
+  },
   summaryBar: {
     ...(Platform.OS === 'web' ? {
       position: 'fixed',
@@ -2779,6 +3133,47 @@ const styles = StyleSheet.create({
       paddingTop: 16,
     }),
   },
+  repeatRow: {
+    maxWidth: 1280,
+    marginHorizontal: 'auto',
+    width: '100%',
+    paddingHorizontal: 20,
+    paddingTop: 12,
+    gap: 8,
+  },
+  repeatLabel: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 6,
+  },
+  repeatLabelText: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#000',
+  },
+  repeatOptions: {
+    gap: 8,
+  },
+  repeatChip: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#E5E5EA',
+    backgroundColor: '#fff',
+  },
+  repeatChipSelected: {
+    backgroundColor: '#000',
+    borderColor: '#000',
+  },
+  repeatChipText: {
+    fontSize: 13,
+    fontWeight: '500',
+    color: '#000',
+  },
+  repeatChipTextSelected: {
+    color: '#fff',
+  },
   summaryInfo: {
     flexDirection: 'row',
     gap: 24,
@@ -2802,6 +3197,10 @@ const styles = StyleSheet.create({
   summaryTextMobile: {
     fontSize: 12,
   },
+  priceBreakdownText: {
+    fontSize: 12,
+    color: '#6B7280',
+  },
   nextButton: {
     flexDirection: 'row',
     alignItems: 'center',
@@ -8,14 +8,19 @@ import {
   RefreshControl,
   ActivityIndicator,
   Platform,
+  Alert,
   useWindowDimensions,
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import { useAuth } from '../contexts/AuthContext';
 import { useLanguage } from '../contexts/LanguageContext';
+import { useAcademy } from '../contexts/AcademyContext';
 import { supabase } from '../lib/supabase';
 import { getTranslation, t as tWithParams } from '../utils/translations';
 import BookingEditModal from '../components/BookingEditModal';
+import { cancelSeriesBookings } from '../lib/bookings';
+import { loadFamilyPlayers, getPlayerName } from '../lib/family';
+import { getActiveTimeZone, utcToZonedDate } from '../utils/timezone';
 
 // Service color configuration
 const SERVICE_COLORS = {
@@ -32,18 +37,22 @@ const getServiceColor = (serviceName) => {
 
 const MOBILE_BREAKPOINT = 480;
 
-export default function BookingsScreen({ onBookLesson, refreshTrigger, onGoHome }) {
+export default function BookingsScreen({ onBookLesson, refreshTrigger, onGoHome, focusBookingId, onFocusHandled }) {
   const { width } = useWindowDimensions?.() ?? { width: 400 };
   const isMobile = width < MOBILE_BREAKPOINT;
 
   const { user } = useAuth();
   const { language } = useLanguage();
+  const { formatMoney } = useAcademy();
   const t = (key, params) => tWithParams(language, key, params || {});
   const [bookings, setBookings] = useState([]);
   const [loading, setLoading] = useState(true);
   const [refreshing, setRefreshing] = useState(false);
   const [editModalVisible, setEditModalVisible] = useState(false);
   const [selectedBooking, setSelectedBooking] = useState(null);
+  const [seriesActionId, setSeriesActionId] = useState(null); // series_id or booking id being cancelled
+  const [familyPlayers, setFamilyPlayers] = useState([]);
+  const [playerFilter, setPlayerFilter] = useState('all'); // 'all', null (the student) or a family player id
 
   useEffect(() => {
     if (user) {
@@ -57,22 +66,39 @@ export default function BookingsScreen({ onBookLesson, refreshTrigger, onGoHome
     }
   }, [refreshTrigger]);
 
+  // Opened from a lesson reminder: show that lesson's cancel/reschedule options
+  useEffect(() => {
+    if (!focusBookingId || loading) return;
+    const booking = bookings.find((b) => b.id === focusBookingId);
+    if (booking) {
+      setSelectedBooking(booking);
+      setEditModalVisible(true);
+    }
+    onFocusHandled?.();
+  }, [focusBookingId, loading, bookings]);
+
   const loadBookings = async () => {
     if (!user) return;
 
     try {
       setLoading(true);
-      const { data, error } = await supabase
-        .from('bookings')
-        .select(`
-          *,
-          locations:location_id (id, name)
-        `)
-        .eq('user_id', user.id)
-        .gte('start_time', new Date().toISOString())
-        .order('start_time', { ascending: true });
+      // Juniors' lessons are booked on this account too (player_id set)
+      const [{ data, error }, players] = await Promise.all([
+        supabase
+          .from('bookings')
+          .select(`
+            *,
+            locations:location_id (id, name),
+            family_player:player_id (id, first_name, last_name)
+          `)
+          .eq('user_id', user.id)
+          .gte('start_time', new Date().toISOString())
+          .order('start_time', { ascending: true }),
+        loadFamilyPlayers(user.id),
+      ]);
 
       if (error) throw error;
+      setFamilyPlayers(players);
 
       const bookingsWithCoaches = await Promise.all(
         (data || []).map(async (booking) => {
@@ -131,6 +157,79 @@ export default function BookingsScreen({ onBookLesson, refreshTrigger, onGoHome
     }
   };
 
+  const showSeriesMessage = (title, message) => {
+    if (Platform.OS === 'web') {
+      window.alert(`${title}\n\n${message}`);
+    } else {
+      Alert.alert(title, message, [{ text: t('ok') }]);
+    }
+  };
+
+  const confirmSeriesAction = (title, message, onConfirm) => {
+    if (Platform.OS === 'web') {
+      if (window.confirm(`${title}\n\n${message}`)) onConfirm();
+      return;
+    }
+    Alert.alert(title, message, [
+      { text: t('cancel'), style: 'cancel' },
+      { text: t('confirm'), style: 'destructive', onPress: onConfirm },
+    ]);
+  };
+
+  // Cancel the rest of a series, or skip one week when bookingId is given
+  const runSeriesCancellation = async (seriesId, bookingId = null) => {
+    try {
+      setSeriesActionId(bookingId || seriesId);
+      const result = await cancelSeriesBookings({ seriesId, bookingId });
+      if (!result.success) {
+        showSeriesMessage(t('error'), result.message);
+        return;
+      }
+
+      const lines = [];
+      if (result.cancelled.length > 0) {
+        lines.push(t('seriesCancelledResult', { count: result.cancelled.length, amount: formatMoney(result.refunded) }));
+      }
+      if (result.kept.length > 0) {
+        lines.push(t('seriesKeptResult', { count: result.kept.length }));
+      }
+      showSeriesMessage(t('seriesUpdated'), lines.join('\n\n'));
+      loadBookings();
+    } catch (error) {
+      showSeriesMessage(t('error'), t('failedToUpdateSeries'));
+    } finally {
+      setSeriesActionId(null);
+    }
+  };
+
+  const handleSkipWeek = (booking) => {
+    confirmSeriesAction(t('skipWeekTitle'), t('skipWeekMessage'), () =>
+      runSeriesCancellation(booking.series_id, booking.id)
+    );
+  };
+
+  const handleCancelSeries = (seriesId) => {
+    confirmSeriesAction(t('cancelSeriesTitle'), t('cancelSeriesMessage'), () =>
+      runSeriesCancellation(seriesId)
+    );
+  };
+
+  const visibleBookings = playerFilter === 'all'
+    ? bookings
+    : bookings.filter((booking) => (booking.player_id || null) === playerFilter);
+
+  // Upcoming bookings grouped by series, in order of each series' next lesson
+  const seriesGroups = visibleBookings.reduce((groups, booking) => {
+    if (!booking.series_id) return groups;
+    const group = groups.find((g) => g.seriesId === booking.series_id);
+    if (group) {
+      group.bookings.push(booking);
+    } else {
+      groups.push({ seriesId: booking.series_id, bookings: [booking] });
+    }
+    return groups;
+  }, []);
+
   const onRefresh = () => {
     setRefreshing(true);
     loadBookings();
@@ -138,14 +237,15 @@ export default function BookingsScreen({ onBookLesson, refreshTrigger, onGoHome
 
   const formatDateCompact = (dateString) => {
     const date = new Date(dateString);
-    const day = date.getDate();
-    const month = date.toLocaleDateString('en-US', { month: 'short' }).toUpperCase();
+    const day = Number(utcToZonedDate(dateString).slice(8));
+    const month = date.toLocaleDateString('en-US', { timeZone: getActiveTimeZone(), month: 'short' }).toUpperCase();
     return { day, month };
   };
 
   const formatTime = (dateString) => {
     const date = new Date(dateString);
     return date.toLocaleTimeString('en-US', {
+      timeZone: getActiveTimeZone(),
       hour: 'numeric',
       minute: '2-digit',
     });
@@ -239,6 +339,37 @@ export default function BookingsScreen({ onBookLesson, refreshTrigger, onGoHome
               </Text>
             </View>
 
+            {/* Family account: which junior is playing */}
+            {booking.family_player && (
+              <View style={styles.locationRow}>
+                <Ionicons name="person-outline" size={14} color="#0D9488" />
+                <Text style={styles.playerText} numberOfLines={1}>
+                  {t('bookingForPlayer', { name: getPlayerName(booking.family_player) })}
+                </Text>
+              </View>
+            )}
+
+            {/* Weekly series: skip just this lesson */}
+            {booking.series_id && (
+              <View style={styles.seriesRow}>
+                <View style={styles.seriesTag}>
+                  <Ionicons name="repeat" size={12} color="#0D9488" />
+                  <Text style={styles.seriesTagText}>{t('weeklySeries')}</Text>
+                </View>
+                <TouchableOpacity
+                  onPress={() => handleSkipWeek(booking)}
+                  disabled={seriesActionId != null}
+                  accessibilityRole="button"
+                >
+                  {seriesActionId === booking.id ? (
+                    <ActivityIndicator size="small" color="#0D9488" />
+                  ) : (
+                    <Text style={styles.seriesActionText}>{t('skipThisWeek')}</Text>
+                  )}
+                </TouchableOpacity>
+              </View>
+            )}
+
             {/* Coach with Avatar */}
             {booking.coachName && (
               <View style={styles.coachRow}>
@@ -324,7 +455,7 @@ export default function BookingsScreen({ onBookLesson, refreshTrigger, onGoHome
         <View style={styles.headerText}>
           <Text style={[styles.title, isMobile && styles.titleMobile]}>{t('upcomingBookings')}</Text>
           <Text style={[styles.subtitle, isMobile && styles.subtitleMobile]}>
-            {bookings.length === 1 ? t('sessionsScheduled', { count: bookings.length }) : t('sessionsScheduledPlural', { count: bookings.length })}
+            {visibleBookings.length === 1 ? t('sessionsScheduled', { count: visibleBookings.length }) : t('sessionsScheduledPlural', { count: visibleBookings.length })}
           </Text>
         </View>
         {!onGoHome && (
@@ -341,12 +472,34 @@ export default function BookingsScreen({ onBookLesson, refreshTrigger, onGoHome
         )}
       </View>
 
+      {familyPlayers.length > 0 && (
+        <ScrollView horizontal showsHorizontalScrollIndicator={false} contentContainerStyle={styles.playerFilters}>
+          {[
+            { id: 'all', label: t('familyFilterEveryone') },
+            { id: null, label: t('familyFilterMe') },
+            ...familyPlayers.map((player) => ({ id: player.id, label: player.fullName })),
+          ].map((option) => {
+            const isSelected = playerFilter === option.id;
+            return (
+              <TouchableOpacity
+                key={option.id || 'me'}
+                style={[styles.playerChip, isSelected && styles.playerChipSelected]}
+                onPress={() => setPlayerFilter(option.id)}
+                accessibilityRole="button"
+              >
+                <Text style={[styles.playerChipText, isSelected && styles.playerChipTextSelected]}>{option.label}</Text>
+              </TouchableOpacity>
+            );
+          })}
+        </ScrollView>
+      )}
+
       {loading ? (
         <View style={styles.loadingContainer}>
           <ActivityIndicator size="large" color="#0D9488" />
           <Text style={styles.loadingText}>{t('loadingSessions')}</Text>
         </View>
-      ) : bookings.length === 0 ? (
+      ) : visibleBookings.length === 0 ? (
         <View style={styles.emptyState}>
           <View style={styles.emptyIconContainer}>
             <Ionicons name="calendar-outline" size={48} color="#0D9488" />
@@ -366,7 +519,37 @@ export default function BookingsScreen({ onBookLesson, refreshTrigger, onGoHome
         </View>
       ) : (
         <View style={[styles.bookingsList, isMobile && styles.bookingsListMobile]}>
-          {bookings.map((booking) => (
+          {seriesGroups.map((group) => {
+            const first = group.bookings[0];
+            return (
+              <View key={group.seriesId} style={styles.seriesCard}>
+                <View style={styles.seriesCardInfo}>
+                  <Ionicons name="repeat" size={18} color="#0D9488" />
+                  <View style={styles.seriesCardText}>
+                    <Text style={styles.seriesCardTitle} numberOfLines={1}>
+                      {first.service_name || t('tennisLesson')} · {new Date(first.start_time).toLocaleDateString('en-US', { timeZone: getActiveTimeZone(), weekday: 'long' })} {formatTime(first.start_time)}
+                    </Text>
+                    <Text style={styles.seriesCardSubtitle} numberOfLines={1}>
+                      {t('weeklySeries')} · {t('seriesUpcoming', { count: group.bookings.length })} · {first.locations?.name || t('locationTbd')}
+                    </Text>
+                  </View>
+                </View>
+                <TouchableOpacity
+                  style={styles.seriesCancelButton}
+                  onPress={() => handleCancelSeries(group.seriesId)}
+                  disabled={seriesActionId != null}
+                  accessibilityRole="button"
+                >
+                  {seriesActionId === group.seriesId ? (
+                    <ActivityIndicator size="small" color="#DC2626" />
+                  ) : (
+                    <Text style={styles.seriesCancelButtonText}>{t('cancelRestOfSeries')}</Text>
+                  )}
+                </TouchableOpacity>
+              </View>
+            );
+          })}
+          {visibleBookings.map((booking) => (
             <BookingCard key={booking.id} booking={booking} isMobile={isMobile} />
           ))}
         </View>
@@ -693,6 +876,37 @@ const styles = StyleSheet.create({
     color: '#9CA3AF',
     flex: 1,
   },
+  playerText: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#0D9488',
+    flex: 1,
+  },
+  // Family player filter
+  playerFilters: {
+    gap: 8,
+    marginBottom: 8,
+  },
+  playerChip: {
+    paddingHorizontal: 14,
+    paddingVertical: 7,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: 'rgba(13, 148, 136, 0.3)',
+    backgroundColor: '#FFFFFF',
+  },
+  playerChipSelected: {
+    backgroundColor: '#0D9488',
+    borderColor: '#0D9488',
+  },
+  playerChipText: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#0D9488',
+  },
+  playerChipTextSelected: {
+    color: '#FFFFFF',
+  },
   // Coach Row
   coachRow: {
     flexDirection: 'row',
@@ -737,6 +951,77 @@ const styles = StyleSheet.create({
     borderWidth: 1,
     borderColor: 'rgba(0, 122, 255, 0.2)',
   },
+  seriesRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 12,
+    marginTop: 6,
+  },
+  seriesTag: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: 'rgba(13, 148, 136, 0.1)',
+    paddingHorizontal: 8,
+    paddingVertical: 3,
+    borderRadius: 8,
+    gap: 4,
+  },
+  seriesTagText: {
+    fontSize: 10,
+    fontWeight: '600',
+    color: '#0D9488',
+    letterSpacing: 0.2,
+  },
+  seriesActionText: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#0D9488',
+    textDecorationLine: 'underline',
+  },
+  seriesCard: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    flexWrap: 'wrap',
+    gap: 12,
+    padding: 16,
+    marginBottom: 12,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: 'rgba(13, 148, 136, 0.3)',
+    backgroundColor: 'rgba(13, 148, 136, 0.05)',
+  },
+  seriesCardInfo: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 10,
+    flex: 1,
+    minWidth: 200,
+  },
+  seriesCardText: {
+    flex: 1,
+  },
+  seriesCardTitle: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#111827',
+  },
+  seriesCardSubtitle: {
+    fontSize: 12,
+    color: '#6B7280',
+    marginTop: 2,
+  },
+  seriesCancelButton: {
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+    borderRadius: 10,
+    backgroundColor: 'rgba(220, 38, 38, 0.08)',
+  },
+  seriesCancelButtonText: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#DC2626',
+  },
   rainCheckTagText: {
     fontSize: 10,
     fontWeight: '600',
@@ -13,8 +13,11 @@ import {
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import { useAuth } from '../contexts/AuthContext';
-import { supabase, SUPABASE_URL, SUPABASE_ANON_KEY } from '../lib/supabase';
+import { supabase } from '../lib/supabase';
+import { queueRainCheckNotifications } from '../lib/notifications';
 import GroupedSessionCard, { groupBookingsBySession } from '../components/GroupedSessionCard';
+import { getPlayerName } from '../lib/family';
+import { getActiveTimeZone } from '../utils/timezone';
 
 export default function CoachDashboardScreen({ onNavigate }) {
   const { user, userRole } = useAuth();
@@ -70,7 +73,8 @@ export default function CoachDashboardScreen({ onNavigate }) {
         .from('bookings')
         .select(`
           *,
-          locations:location_id (id, name)
+          locations:location_id (id, name),
+          family_player:player_id (first_name, last_name)
         `)
         .eq('coach_id', user.id) // Server-side filter: only current coach's bookings
         .gte('end_time', now) // Only future/current bookings
@@ -108,6 +112,11 @@ export default function CoachDashboardScreen({ onNavigate }) {
             }
           }
 
+          // Juniors booked on a family account: roster shows the player, email stays the guardian's
+          if (booking.family_player) {
+            studentName = getPlayerName(booking.family_player);
+          }
+
           return {
             ...booking,
             studentName,
@@ -166,6 +175,9 @@ export default function CoachDashboardScreen({ onNavigate }) {
         const { error: refErr } = await supabase.rpc('add_wallet_balance', {
           user_id: b.user_id,
           amount: b.credit_cost,
+          reason: 'rain_check_refund',
+          booking_id: b.id,
+          description: b.service_name ?? null,
         });
         if (refErr) {
           console.error('Error refunding:', b.user_id, refErr);
@@ -197,41 +209,8 @@ export default function CoachDashboardScreen({ onNavigate }) {
           message: `${refundFailures} refund(s) failed – please refund manually if needed.`,
         });
       } else {
-        // Notify students by SMS
-        const items = bookings.map((b) => ({
-          user_id: b.user_id,
-          location_name: b.locationName || b.locations?.name || 'Unknown location',
-          start_time: b.start_time,
-        }));
-        if (items.length > 0) {
-          const url = `${SUPABASE_URL}/functions/v1/send-rain-check-sms`;
-          console.log('Calling send-rain-check-sms with', items.length, 'items', url);
-          try {
-            const res = await fetch(url, {
-              method: 'POST',
-              headers: {
-                'Content-Type': 'application/json',
-                Authorization: `Bearer ${SUPABASE_ANON_KEY}`,
-              },
-              body: JSON.stringify({ items }),
-            });
-            const text = await res.text();
-            let data;
-            try {
-              data = JSON.parse(text);
-            } catch {
-              data = null;
-            }
-            console.log('Rain check SMS response:', res.status, data ?? text);
-            if (!res.ok) {
-              console.warn('Rain check SMS failed:', res.status, text);
-            } else if (data?.ok && data.sent === 0 && data.total > 0) {
-              console.warn('Rain check SMS: no students had phone in profiles. Add profiles.phone (E.164).');
-            }
-          } catch (e) {
-            console.warn('Rain check SMS request error:', e);
-          }
-        }
+        // Text the students (fire-and-forget)
+        queueRainCheckNotifications(bookings.map((b) => b.id));
         setRainCheckResult({
           visible: true,
           success: true,
@@ -262,7 +241,8 @@ export default function CoachDashboardScreen({ onNavigate }) {
         .from('bookings')
         .select(`
           *,
-          locations:location_id (id, name)
+          locations:location_id (id, name),
+          family_player:player_id (first_name, last_name)
         `)
         .eq('coach_id', user.id) // Server-side filter: only current coach's bookings
         .lt('end_time', now) // Only past bookings
@@ -283,12 +263,15 @@ export default function CoachDashboardScreen({ onNavigate }) {
             startTime: booking.start_time,
             endTime: booking.end_time,
             studentIds: new Set(),
+            playerNames: new Set(),
             studentNames: [],
           });
         }
 
         const session = sessionMap.get(sessionKey);
-        if (booking.user_id && !session.studentIds.has(booking.user_id)) {
+        if (booking.family_player) {
+          session.playerNames.add(getPlayerName(booking.family_player));
+        } else if (booking.user_id && !session.studentIds.has(booking.user_id)) {
           session.studentIds.add(booking.user_id);
         }
       }
@@ -329,7 +312,7 @@ export default function CoachDashboardScreen({ onNavigate }) {
 
           return {
             ...session,
-            studentNames: studentNames.filter(Boolean),
+            studentNames: [...studentNames.filter(Boolean), ...session.playerNames],
             duration,
           };
         })
@@ -354,6 +337,7 @@ export default function CoachDashboardScreen({ onNavigate }) {
   const formatDate = (dateString) => {
     const date = new Date(dateString);
     return date.toLocaleDateString('en-US', {
+      timeZone: getActiveTimeZone(),
       weekday: 'short',
       month: 'short',
       day: 'numeric',
@@ -363,6 +347,7 @@ export default function CoachDashboardScreen({ onNavigate }) {
   const formatTime = (dateString) => {
     const date = new Date(dateString);
     return date.toLocaleTimeString('en-US', {
+      timeZone: getActiveTimeZone(),
       hour: 'numeric',
       minute: '2-digit',
     });
@@ -372,11 +357,13 @@ export default function CoachDashboardScreen({ onNavigate }) {
     const date = new Date(dateString);
     return {
       date: date.toLocaleDateString('en-US', {
+        timeZone: getActiveTimeZone(),
         weekday: 'short',
         month: 'short',
         day: 'numeric',
       }),
       time: date.toLocaleTimeString('en-US', {
+        timeZone: getActiveTimeZone(),
         hour: 'numeric',
         minute: '2-digit',
       }),
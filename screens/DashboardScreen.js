@@ -10,17 +10,23 @@ import {
   ActivityIndicator,
   Animated,
   Modal,
+  Alert,
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import { useAuth } from '../contexts/AuthContext';
 import { useLanguage } from '../contexts/LanguageContext';
+import { useAcademy } from '../contexts/AcademyContext';
 import { supabase } from '../lib/supabase';
-import { getTranslation } from '../utils/translations';
+import { t as tWithParams } from '../utils/translations';
 import { getStreak } from '../utils/playerData';
 import { useSafeAreaInsets } from 'react-native-safe-area-context';
-import { getWalletBalance } from '../lib/stripe';
+import { getWalletBalance, STRIPE_CHECKOUT_DISABLED } from '../lib/stripe';
 import WalletTopUpModal from '../components/WalletTopUpModal';
+import LessonPacksModal from '../components/LessonPacksModal';
+import { loadPackCredits } from '../lib/lessonPacks';
+import { loadTermPrograms, enrolFromWallet, enrolByCard } from '../lib/terms';
 import BookingEditModal from '../components/BookingEditModal';
+import { getActiveTimeZone, utcToZonedDate } from '../utils/timezone';
 
 const { width: SCREEN_WIDTH, height: SCREEN_HEIGHT } = Dimensions.get('window');
 const isDesktop = Platform.OS === 'web' && SCREEN_WIDTH > 768;
@@ -108,7 +114,24 @@ const SERVICES = [
 // ============================================
 // Season Pass Hero - Modern Glass Card
 // ============================================
-const SeasonPassHero = ({ onLearnMore }) => {
+const WEEKDAY_KEYS = [null, 'weekdayMon', 'weekdayTue', 'weekdayWed', 'weekdayThu', 'weekdayFri', 'weekdaySat', 'weekdaySun'];
+
+// '16:30' (academy wall time from term_programs) → '4:30pm'
+const formatProgramTime = (hhmm) => {
+  const [hours, minutes] = String(hhmm || '0:0').split(':').map(Number);
+  return `${hours % 12 || 12}:${String(minutes).padStart(2, '0')}${hours < 12 ? 'am' : 'pm'}`;
+};
+
+// Term dates are plain 'YYYY-MM-DD' academy dates
+const formatTermDate = (dateStr) =>
+  new Date(`${dateStr}T00:00:00`).toLocaleDateString('en-AU', { day: 'numeric', month: 'short' });
+
+/**
+ * programs: the open term's programs from loadTermPrograms (all share a term)
+ */
+const SeasonPassHero = ({ programs, onLearnMore }) => {
+  const { language } = useLanguage();
+  const t = (key, params) => tWithParams(language, key, params || {});
   const scaleAnim = useRef(new Animated.Value(1)).current;
 
   const handlePressIn = () => {
@@ -127,6 +150,66 @@ const SeasonPassHero = ({ onLearnMore }) => {
     }).start();
   };
 
+  const term = programs[0];
+  const weeks = Math.max(...programs.map((program) => program.sessionsTotal));
+  const spotsLeft = programs.reduce((sum, program) => sum + program.spotsLeft, 0);
+  const status = programs.some((program) => program.isEnrolled)
+    ? { icon: 'checkmark-circle', color: '#0D9488', backgroundColor: 'rgba(13, 148, 136, 0.12)', label: t('termEnrolledBadge') }
+    : spotsLeft > 0
+    ? { icon: 'flash-outline', color: '#D97706', backgroundColor: 'rgba(217, 119, 6, 0.12)', label: t('termEnrollingBadge') }
+    : { icon: 'lock-closed-outline', color: '#6B7280', backgroundColor: 'rgba(107, 114, 128, 0.12)', label: t('termFullBadge') };
+  // Vertical serial number: TERM | 01 | 26
+  const stampGroups = ['TERM', String(term.termNumber || 1).padStart(2, '0'), term.termStart.slice(2, 4)];
+
+  const renderBody = () => (
+    <>
+      {/* Enrolment Status Badge */}
+      <View style={[heroStyles.statusBadge, { backgroundColor: status.backgroundColor }]}>
+        <Ionicons name={status.icon} size={10} color={status.color} />
+        <Text style={[heroStyles.statusText, { color: status.color }]}>{status.label}</Text>
+      </View>
+
+      {/* Term Stamp - Vertical Serial Number */}
+      <View style={heroStyles.termStamp}>
+        {stampGroups.map((group, groupIndex) => (
+          <React.Fragment key={groupIndex}>
+            {groupIndex > 0 && <View style={heroStyles.termStampDivider} />}
+            {group.split('').map((char, charIndex) => (
+              <Text key={charIndex} style={heroStyles.termStampText}>{char}</Text>
+            ))}
+          </React.Fragment>
+        ))}
+      </View>
+
+      {/* Main Content */}
+      <View style={heroStyles.content}>
+        {/* Title Section */}
+        <View style={heroStyles.titleSection}>
+          <Text style={heroStyles.mainTitle}>{term.termName}</Text>
+          <Text style={heroStyles.tagline}>
+            {t('termDateRange', { start: formatTermDate(term.termStart), end: formatTermDate(term.termEnd) })}
+          </Text>
+        </View>
+
+        {/* Glass Benefits Row */}
+        <View style={heroStyles.benefitsRow}>
+          <View style={heroStyles.benefitPocket}>
+            <Ionicons name="tennisball-outline" size={16} color="#0D9488" />
+            <Text style={heroStyles.benefitLabel}>{t('termWeeklySessions', { n: weeks })}</Text>
+          </View>
+          <View style={heroStyles.benefitPocket}>
+            <Ionicons name="calendar-outline" size={16} color="#0D9488" />
+            <Text style={heroStyles.benefitLabel}>{t('termProgramCount', { n: programs.length })}</Text>
+          </View>
+          <View style={heroStyles.benefitPocket}>
+            <Ionicons name="people-outline" size={16} color="#0D9488" />
+            <Text style={heroStyles.benefitLabel}>{t('termSpotsLeft', { n: spotsLeft })}</Text>
+          </View>
+        </View>
+      </View>
+    </>
+  );
+
   return (
     <Animated.View style={[heroStyles.wrapper, { transform: [{ scale: scaleAnim }] }]}>
       <TouchableOpacity
@@ -145,59 +228,11 @@ const SeasonPassHero = ({ onLearnMore }) => {
             background: 'linear-gradient(135deg, rgba(255, 255, 255, 0.5) 0%, rgba(13, 148, 136, 0.3) 100%)',
           }}>
             <View style={heroStyles.card}>
-              {/* Coming Soon Badge */}
-              <View style={heroStyles.comingSoonBadge}>
-                <Ionicons name="time-outline" size={10} color="#D97706" />
-                <Text style={heroStyles.comingSoonText}>COMING SOON</Text>
-              </View>
-
-              {/* Term Stamp - Vertical Serial Number */}
-              <View style={heroStyles.termStamp}>
-                <Text style={heroStyles.termStampText}>T</Text>
-                <Text style={heroStyles.termStampText}>E</Text>
-                <Text style={heroStyles.termStampText}>R</Text>
-                <Text style={heroStyles.termStampText}>M</Text>
-                <View style={heroStyles.termStampDivider} />
-                <Text style={heroStyles.termStampText}>0</Text>
-                <Text style={heroStyles.termStampText}>1</Text>
-                <View style={heroStyles.termStampDivider} />
-                <Text style={heroStyles.termStampText}>2</Text>
-                <Text style={heroStyles.termStampText}>6</Text>
-              </View>
-
-              {/* Main Content */}
-              <View style={heroStyles.content}>
-                {/* Title Section */}
-                <View style={heroStyles.titleSection}>
-                  <Text style={heroStyles.mainTitle}>ELITE DEVELOPMENT PROGRAM</Text>
-                  <Text style={heroStyles.tagline}>10-week professional curriculum</Text>
-                </View>
-
-                {/* Glass Benefits Row */}
-                <View style={heroStyles.benefitsRow}>
-                  {/* Benefit 1 - Frosted Pocket */}
-                  <View style={heroStyles.benefitPocket}>
-                    <Ionicons name="tennisball-outline" size={16} color="#0D9488" />
-                    <Text style={heroStyles.benefitLabel}>Academy Clinic</Text>
-                  </View>
-
-                  {/* Benefit 2 - Frosted Pocket */}
-                  <View style={heroStyles.benefitPocket}>
-                    <Ionicons name="person-outline" size={16} color="#0D9488" />
-                    <Text style={heroStyles.benefitLabel}>Private Performance</Text>
-                  </View>
-
-                  {/* Benefit 3 - Frosted Pocket */}
-                  <View style={heroStyles.benefitPocket}>
-                    <Ionicons name="analytics-outline" size={16} color="#0D9488" />
-                    <Text style={heroStyles.benefitLabel}>Analysis Reports</Text>
-                  </View>
-                </View>
-              </View>
+              {renderBody()}
 
               {/* CTA Section */}
               <View style={heroStyles.ctaSection}>
-                <TouchableOpacity 
+                <TouchableOpacity
                   onPress={onLearnMore}
                   activeOpacity={0.7}
                 >
@@ -219,7 +254,7 @@ const SeasonPassHero = ({ onLearnMore }) => {
                         text-shadow: 0 0 20px rgba(13, 148, 136, 0.5);
                       }
                     `}</style>
-                    <Text style={heroStyles.ctaText}>EXPLORE THE PROGRAM</Text>
+                    <Text style={heroStyles.ctaText}>{t('exploreTermPrograms')}</Text>
                     <Ionicons name="arrow-forward" size={14} color="#0D9488" />
                   </div>
                 </TouchableOpacity>
@@ -228,64 +263,16 @@ const SeasonPassHero = ({ onLearnMore }) => {
           </div>
         ) : (
           <View style={heroStyles.nativeCard}>
-            {/* Coming Soon Badge */}
-            <View style={heroStyles.comingSoonBadge}>
-              <Ionicons name="time-outline" size={10} color="#D97706" />
-              <Text style={heroStyles.comingSoonText}>COMING SOON</Text>
-            </View>
-
-            {/* Term Stamp - Vertical Serial Number */}
-            <View style={heroStyles.termStamp}>
-              <Text style={heroStyles.termStampText}>T</Text>
-              <Text style={heroStyles.termStampText}>E</Text>
-              <Text style={heroStyles.termStampText}>R</Text>
-              <Text style={heroStyles.termStampText}>M</Text>
-              <View style={heroStyles.termStampDivider} />
-              <Text style={heroStyles.termStampText}>0</Text>
-              <Text style={heroStyles.termStampText}>1</Text>
-              <View style={heroStyles.termStampDivider} />
-              <Text style={heroStyles.termStampText}>2</Text>
-              <Text style={heroStyles.termStampText}>6</Text>
-            </View>
-
-            {/* Main Content */}
-            <View style={heroStyles.content}>
-              {/* Title Section */}
-              <View style={heroStyles.titleSection}>
-                <Text style={heroStyles.mainTitle}>ELITE DEVELOPMENT PROGRAM</Text>
-                <Text style={heroStyles.tagline}>10-week professional curriculum</Text>
-              </View>
-
-              {/* Glass Benefits Row */}
-              <View style={heroStyles.benefitsRow}>
-                {/* Benefit 1 - Frosted Pocket */}
-                <View style={heroStyles.benefitPocket}>
-                  <Ionicons name="tennisball-outline" size={16} color="#0D9488" />
-                  <Text style={heroStyles.benefitLabel}>Academy Clinic</Text>
-                </View>
-
-                {/* Benefit 2 - Frosted Pocket */}
-                <View style={heroStyles.benefitPocket}>
-                  <Ionicons name="person-outline" size={16} color="#0D9488" />
-                  <Text style={heroStyles.benefitLabel}>Private Performance</Text>
-                </View>
-
-                {/* Benefit 3 - Frosted Pocket */}
-                <View style={heroStyles.benefitPocket}>
-                  <Ionicons name="analytics-outline" size={16} color="#0D9488" />
-                  <Text style={heroStyles.benefitLabel}>Analysis Reports</Text>
-                </View>
-              </View>
-            </View>
+            {renderBody()}
 
             {/* CTA Section */}
             <View style={heroStyles.ctaSection}>
-              <TouchableOpacity 
+              <TouchableOpacity
                 style={heroStyles.ctaLink}
                 onPress={onLearnMore}
                 activeOpacity={0.7}
               >
-                <Text style={heroStyles.ctaText}>EXPLORE THE PROGRAM</Text>
+                <Text style={heroStyles.ctaText}>{t('exploreTermPrograms')}</Text>
                 <Ionicons name="arrow-forward" size={14} color="#0D9488" />
               </TouchableOpacity>
             </View>
@@ -327,23 +314,21 @@ const heroStyles = StyleSheet.create({
     borderWidth: 1,
     borderColor: 'rgba(13, 148, 136, 0.2)',
   },
-  comingSoonBadge: {
+  statusBadge: {
     position: 'absolute',
     top: 12,
     right: 12,
     flexDirection: 'row',
     alignItems: 'center',
-    backgroundColor: 'rgba(217, 119, 6, 0.12)',
     paddingVertical: 4,
     paddingHorizontal: 10,
     borderRadius: 10,
     gap: 5,
     zIndex: 10,
   },
-  comingSoonText: {
+  statusText: {
     fontSize: 9,
     fontWeight: '700',
-    color: '#D97706',
     letterSpacing: 1,
   },
   termStamp: {
@@ -447,19 +432,34 @@ const heroStyles = StyleSheet.create({
 // ============================================
 // Season Pass Modal - Immersive Glass Enrollment Portal
 // ============================================
-const SeasonPassModal = ({ visible, onClose }) => {
+/**
+ * Lists the open term's programs; enrolling pays from the wallet when the
+ * balance covers today's price, otherwise by card through Stripe Checkout.
+ */
+const SeasonPassModal = ({ visible, onClose, programs = [], userId, walletBalance = 0, onEnrolled }) => {
+  const { language } = useLanguage();
+  const { formatMoney } = useAcademy();
+  const t = (key, params) => tWithParams(language, key, params || {});
   const slideAnim = useRef(new Animated.Value(0)).current;
   const glowAnim = useRef(new Animated.Value(0)).current;
+  const [selectedId, setSelectedId] = useState(null);
+  const [enrolling, setEnrolling] = useState(false);
 
   useEffect(() => {
     if (visible) {
+      // Preselect the student's program, else the first with a spot
+      const preselect = programs.find((program) => program.isEnrolled)
+        || programs.find((program) => program.spotsLeft > 0)
+        || programs[0];
+      setSelectedId(preselect?.id || null);
+
       Animated.spring(slideAnim, {
         toValue: 1,
         useNativeDriver: true,
         friction: 8,
         tension: 65,
       }).start();
-      
+
       // Icon glow animation
       Animated.loop(
         Animated.sequence([
@@ -490,13 +490,61 @@ const SeasonPassModal = ({ visible, onClose }) => {
     outputRange: [0.3, 0.6],
   });
 
-  // Bento grid benefit items
-  const benefits = [
-    { icon: 'tennisball', color: '#0D9488', bgColor: 'rgba(13, 148, 136, 0.1)', title: 'Structured Weekly Clinic' },
-    { icon: 'person', color: '#7C3AED', bgColor: 'rgba(124, 58, 237, 0.1)', title: 'Bi-Weekly Private Coaching' },
-    { icon: 'analytics', color: '#2563EB', bgColor: 'rgba(37, 99, 235, 0.1)', title: 'Term Progress Reports' },
-    { icon: 'star', color: '#D97706', bgColor: 'rgba(217, 119, 6, 0.1)', title: 'Priority Booking & Events' },
-  ];
+  const term = programs[0];
+  const selected = programs.find((program) => program.id === selectedId);
+  const payFromWallet = selected && walletBalance >= selected.price;
+  const canEnrol = selected && !selected.isEnrolled && selected.spotsLeft > 0 && !enrolling;
+
+  const handleEnrol = async () => {
+    if (!canEnrol) return;
+    if (!payFromWallet && STRIPE_CHECKOUT_DISABLED) {
+      Alert.alert('Coming soon', 'This feature will be available soon.');
+      return;
+    }
+    try {
+      setEnrolling(true);
+      if (!payFromWallet) {
+        await enrolByCard({ userId, program: selected });
+        // Native: back from the in-app checkout; HomeScreen shows the result
+        onClose();
+        return;
+      }
+      const result = await enrolFromWallet(selected.id);
+      if (!result.success) {
+        Alert.alert(t('enrolmentFailed'), result.message);
+        return;
+      }
+      Alert.alert(t('enrolmentConfirmed'), t('enrolmentConfirmedMessage', { name: selected.name, n: result.sessions }));
+      if (onEnrolled) onEnrolled(result);
+      onClose();
+    } catch (error) {
+      console.error('Error enrolling in term program:', error);
+      Alert.alert(t('enrolmentFailed'), error.message || t('failedToProcessPayment'));
+    } finally {
+      setEnrolling(false);
+    }
+  };
+
+  const renderPrice = (amount) => {
+    const [whole, cents] = formatMoney(amount).split('.');
+    const suffix = !cents || cents === '00' ? '' : `.${cents}`;
+    return Platform.OS === 'web' ? (
+      <div style={{
+        background: 'linear-gradient(135deg, #0D9488 0%, #2563EB 100%)',
+        WebkitBackgroundClip: 'text',
+        WebkitTextFillColor: 'transparent',
+        backgroundClip: 'text',
+        fontSize: 40,
+        fontWeight: '800',
+        letterSpacing: -1,
+        fontFamily: 'Inter, -apple-system, BlinkMacSystemFont, sans-serif',
+      }}>
+        {whole}<span style={{ fontSize: 16, fontWeight: '500', opacity: 0.5 }}>{suffix}/{t('termPriceUnit')}</span>
+      </div>
+    ) : (
+      <Text style={modalStyles.priceAmount}>{whole}<Text style={modalStyles.pricePeriod}>{suffix}/{t('termPriceUnit')}</Text></Text>
+    );
+  };
 
   const renderModalContent = () => (
     <View style={modalStyles.innerContent}>
@@ -517,56 +565,92 @@ const SeasonPassModal = ({ visible, onClose }) => {
 
       {/* Header */}
       <View style={modalStyles.header}>
-        <Text style={modalStyles.headerTitle}>ELITE DEVELOPMENT PROGRAM</Text>
-        <Text style={modalStyles.headerSubtitle}>TERM 01 • 2026</Text>
+        <Text style={modalStyles.headerTitle}>{term ? term.termName.toUpperCase() : ''}</Text>
+        {term && (
+          <Text style={modalStyles.headerSubtitle}>
+            {t('termDateRange', { start: formatTermDate(term.termStart), end: formatTermDate(term.termEnd) }).toUpperCase()}
+          </Text>
+        )}
       </View>
 
-      {/* Bento Grid Benefits - No ScrollView for compact fit */}
-      <View style={modalStyles.bentoGrid}>
-        {benefits.map((benefit, index) => (
-          <View key={index} style={[modalStyles.bentoCard, { backgroundColor: benefit.bgColor }]}>
-            <View style={[modalStyles.bentoIconContainer, { backgroundColor: `${benefit.color}12` }]}>
-              <Ionicons name={benefit.icon} size={18} color={benefit.color} />
-            </View>
-            <Text style={modalStyles.bentoTitle}>{benefit.title}</Text>
-          </View>
-        ))}
+      {/* Programs - one weekly slot each */}
+      <View style={modalStyles.programList}>
+        {programs.map((program) => {
+          const isSelected = program.id === selectedId;
+          const full = program.spotsLeft <= 0 && !program.isEnrolled;
+          return (
+            <TouchableOpacity
+              key={program.id}
+              style={[modalStyles.programCard, isSelected && modalStyles.programCardSelected, full && modalStyles.programCardFull]}
+              onPress={() => setSelectedId(program.id)}
+              activeOpacity={0.8}
+            >
+              <View style={modalStyles.programHeader}>
+                <Text style={modalStyles.programName}>{program.name}</Text>
+                <Text style={[modalStyles.programSpots, program.isEnrolled && modalStyles.programEnrolled]}>
+                  {program.isEnrolled
+                    ? t('termEnrolledBadge')
+                    : full
+                    ? t('termFullBadge')
+                    : t('termSpotsLeft', { n: program.spotsLeft })}
+                </Text>
+              </View>
+              <Text style={modalStyles.programMeta}>
+                {t('termProgramSlot', {
+                  day: t(WEEKDAY_KEYS[program.dayOfWeek]),
+                  start: formatProgramTime(program.startLocal),
+                  end: formatProgramTime(program.endLocal),
+                })}
+                {program.locationName ? ` · ${program.locationName}` : ''}
+              </Text>
+              {!!program.description && <Text style={modalStyles.programMeta}>{program.description}</Text>}
+            </TouchableOpacity>
+          );
+        })}
       </View>
 
       {/* Pricing Section - Compact */}
-      <View style={modalStyles.priceSection}>
-        <Text style={modalStyles.priceLabel}>TERM INVESTMENT</Text>
-        {Platform.OS === 'web' ? (
-          <div style={{
-            background: 'linear-gradient(135deg, #0D9488 0%, #2563EB 100%)',
-            WebkitBackgroundClip: 'text',
-            WebkitTextFillColor: 'transparent',
-            backgroundClip: 'text',
-            fontSize: 40,
-            fontWeight: '800',
-            letterSpacing: -1,
-            fontFamily: 'Inter, -apple-system, BlinkMacSystemFont, sans-serif',
-          }}>
-            $1,200<span style={{ fontSize: 16, fontWeight: '500', opacity: 0.5 }}>/term</span>
-          </div>
-        ) : (
-          <Text style={modalStyles.priceAmount}>$1,200<Text style={modalStyles.pricePeriod}>/term</Text></Text>
-        )}
-        <View style={modalStyles.savingsBadge}>
-          <Ionicons name="checkmark-circle" size={12} color="#0D9488" />
-          <Text style={modalStyles.savingsText}>Saves 15% vs individual bookings</Text>
+      {selected && (
+        <View style={modalStyles.priceSection}>
+          <Text style={modalStyles.priceLabel}>{t('termInvestment')}</Text>
+          {renderPrice(selected.price)}
+          <View style={modalStyles.savingsBadge}>
+            <Ionicons name="checkmark-circle" size={12} color="#0D9488" />
+            <Text style={modalStyles.savingsText}>
+              {selected.sessionsRemaining < selected.sessionsTotal
+                ? t('termProRataNote', {
+                  n: selected.sessionsRemaining,
+                  total: selected.sessionsTotal,
+                  full: formatMoney(selected.fullPrice),
+                })
+                : t('termWeeklySessions', { n: selected.sessionsTotal })}
+            </Text>
+          </View>
         </View>
-      </View>
+      )}
 
       {/* Footer CTA - Compact */}
       <View style={modalStyles.footer}>
-        <TouchableOpacity style={modalStyles.enrollBtn} onPress={onClose} activeOpacity={0.9}>
-          <Text style={modalStyles.enrollBtnText}>ENROLL NOW</Text>
-          <Ionicons name="arrow-forward" size={16} color="#FFFFFF" />
+        <TouchableOpacity
+          style={[modalStyles.enrollBtn, !canEnrol && modalStyles.enrollBtnDisabled]}
+          onPress={handleEnrol}
+          disabled={!canEnrol}
+          activeOpacity={0.9}
+        >
+          {enrolling ? (
+            <ActivityIndicator color="#FFFFFF" size="small" />
+          ) : (
+            <>
+              <Text style={modalStyles.enrollBtnText}>
+                {payFromWallet ? t('enrolFromWallet') : t('enrolByCard')}
+              </Text>
+              <Ionicons name="arrow-forward" size={16} color="#FFFFFF" />
+            </>
+          )}
         </TouchableOpacity>
         <View style={modalStyles.trustRow}>
           <Ionicons name="lock-closed" size={10} color="#D1D5DB" />
-          <Text style={modalStyles.trustText}>Secure Enrollment</Text>
+          <Text style={modalStyles.trustText}>{t('termBooksAllSessions')}</Text>
         </View>
       </View>
     </View>
@@ -584,7 +668,7 @@ const SeasonPassModal = ({ visible, onClose }) => {
                 <Ionicons name="tennisball" size={28} color="#FFFFFF" />
               </View>
             </View>
-            
+
             <div style={{
               borderRadius: 28,
               padding: 0.5,
@@ -608,7 +692,7 @@ const SeasonPassModal = ({ visible, onClose }) => {
                 <Ionicons name="tennisball" size={28} color="#FFFFFF" />
               </View>
             </View>
-            
+
             <View style={modalStyles.nativeContainer}>
               {renderModalContent()}
             </View>
@@ -776,19 +860,17 @@ const modalStyles = StyleSheet.create({
     color: '#9CA3AF',
     letterSpacing: 2,
   },
-  bentoGrid: {
-    flexDirection: 'row',
-    flexWrap: 'wrap',
+  programList: {
     gap: 8,
     paddingHorizontal: 16,
     marginBottom: 12,
   },
-  bentoCard: {
-    width: '48%',
+  programCard: {
     borderRadius: 14,
     padding: 12,
-    borderWidth: 0.5,
+    borderWidth: 1.5,
     borderColor: 'rgba(255, 255, 255, 0.7)',
+    backgroundColor: 'rgba(255, 255, 255, 0.5)',
     ...(Platform.OS === 'web' && {
       backdropFilter: 'blur(16px)',
       WebkitBackdropFilter: 'blur(16px)',
@@ -796,19 +878,39 @@ const modalStyles = StyleSheet.create({
       cursor: 'pointer',
     }),
   },
-  bentoIconContainer: {
-    width: 32,
-    height: 32,
-    borderRadius: 10,
+  programCardSelected: {
+    borderColor: '#0D9488',
+    backgroundColor: 'rgba(13, 148, 136, 0.08)',
+  },
+  programCardFull: {
+    opacity: 0.6,
+  },
+  programHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
     alignItems: 'center',
-    justifyContent: 'center',
-    marginBottom: 8,
+    gap: 8,
+  },
+  programName: {
+    flex: 1,
+    fontSize: 13,
+    fontWeight: '700',
+    color: '#1F2937',
+  },
+  programSpots: {
+    fontSize: 10,
+    fontWeight: '700',
+    color: '#D97706',
+    letterSpacing: 0.5,
   },
-  bentoTitle: {
+  programEnrolled: {
+    color: '#0D9488',
+  },
+  programMeta: {
     fontSize: 11,
-    fontWeight: '600',
-    color: '#374151',
-    lineHeight: 14,
+    color: '#6B7280',
+    marginTop: 4,
+    lineHeight: 15,
   },
   priceSection: {
     alignItems: 'center',
@@ -877,6 +979,9 @@ const modalStyles = StyleSheet.create({
       elevation: 3,
     }),
   },
+  enrollBtnDisabled: {
+    opacity: 0.5,
+  },
   enrollBtnText: {
     fontSize: 13,
     fontWeight: '700',
@@ -900,6 +1005,7 @@ const modalStyles = StyleSheet.create({
 // Service Card - Compact & Modern
 // ============================================
 const ServiceCard = ({ service, onPress, onMoreInfo, useFlexLayout, infoLabel = 'Info' }) => {
+  const { formatMoney } = useAcademy();
   const scaleAnim = useRef(new Animated.Value(1)).current;
 
   const handlePressIn = () => {
@@ -955,7 +1061,7 @@ const ServiceCard = ({ service, onPress, onMoreInfo, useFlexLayout, infoLabel =
         {/* Footer */}
         <View style={cardStyles.footer}>
           <View style={cardStyles.priceContainer}>
-            <Text style={[cardStyles.price, { color: service.color }]}>${service.price.toFixed(2)}</Text>
+            <Text style={[cardStyles.price, { color: service.color }]}>{formatMoney(service.price)}</Text>
             <Text style={cardStyles.duration}>{service.duration}</Text>
           </View>
           <TouchableOpacity
@@ -1097,6 +1203,7 @@ const cardStyles = StyleSheet.create({
 // Service Info Modal
 // ============================================
 const ServiceInfoModal = ({ visible, service, onClose, onBook, t }) => {
+  const { formatMoney } = useAcademy();
   if (!service) return null;
   const txt = (key) => (typeof t === 'function' ? t(key) : key);
 
@@ -1126,7 +1233,7 @@ const ServiceInfoModal = ({ visible, service, onClose, onBook, t }) => {
             <View style={serviceModalStyles.metaRow}>
               <View style={serviceModalStyles.metaItem}>
                 <Ionicons name="pricetag-outline" size={14} color="#64748B" />
-                <Text style={serviceModalStyles.metaText}>${service.price}</Text>
+                <Text style={serviceModalStyles.metaText}>{formatMoney(service.price)}</Text>
               </View>
               <View style={serviceModalStyles.metaItem}>
                 <Ionicons name="time-outline" size={14} color="#64748B" />
@@ -1312,7 +1419,7 @@ const serviceModalStyles = StyleSheet.create({
 // ============================================
 // Stat Card Component
 // ============================================
-const StatCard = ({ icon, iconColor, iconBg, label, value, subValue, action, actionColor, onAction, loading }) => {
+const StatCard = ({ icon, iconColor, iconBg, label, value, subValue, action, actionColor, onAction, secondaryAction, onSecondaryAction, loading }) => {
   return (
     <View style={statStyles.card}>
       <View style={[statStyles.iconContainer, { backgroundColor: iconBg }]}>
@@ -1328,9 +1435,16 @@ const StatCard = ({ icon, iconColor, iconBg, label, value, subValue, action, act
         </>
       )}
       {action && (
-        <TouchableOpacity style={[statStyles.actionBtn, { borderColor: actionColor }]} onPress={onAction}>
-          <Text style={[statStyles.actionText, { color: actionColor }]}>{action}</Text>
-        </TouchableOpacity>
+        <View style={statStyles.actionRow}>
+          <TouchableOpacity style={[statStyles.actionBtn, { borderColor: actionColor }]} onPress={onAction}>
+            <Text style={[statStyles.actionText, { color: actionColor }]}>{action}</Text>
+          </TouchableOpacity>
+          {secondaryAction && onSecondaryAction && (
+            <TouchableOpacity style={statStyles.secondaryActionBtn} onPress={onSecondaryAction}>
+              <Text style={[statStyles.actionText, { color: actionColor }]}>{secondaryAction}</Text>
+            </TouchableOpacity>
+          )}
+        </View>
       )}
     </View>
   );
@@ -1375,8 +1489,14 @@ const statStyles = StyleSheet.create({
     marginTop: 2,
     lineHeight: isMobile ? 14 : 16,
   },
-  actionBtn: {
+  actionRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    flexWrap: 'wrap',
+    gap: 8,
     marginTop: isMobile ? 10 : 12,
+  },
+  actionBtn: {
     paddingVertical: isMobile ? 8 : 6,
     paddingHorizontal: isMobile ? 14 : 12,
     borderRadius: 8,
@@ -1384,6 +1504,11 @@ const statStyles = StyleSheet.create({
     alignSelf: 'flex-start',
     minHeight: isMobile ? 36 : undefined, // Better touch target on mobile
   },
+  secondaryActionBtn: {
+    paddingVertical: isMobile ? 8 : 6,
+    paddingHorizontal: 4,
+    minHeight: isMobile ? 36 : undefined,
+  },
   actionText: {
     fontSize: isMobile ? 11 : 12,
     fontWeight: '600',
@@ -1393,11 +1518,12 @@ const statStyles = StyleSheet.create({
 // ============================================
 // Main Dashboard Screen
 // ============================================
-export default function DashboardScreen({ onBookLesson, onSelectService, refreshTrigger, onOpenSidebar, onGoToHistory, onGoToBookings, onGoToPerformance }) {
+export default function DashboardScreen({ onBookLesson, onSelectService, refreshTrigger, onOpenSidebar, onGoToHistory, onGoToBookings, onGoToPerformance, onGoToWallet }) {
   const insets = useSafeAreaInsets();
   const { user, userRole } = useAuth();
   const { language, updateLanguage } = useLanguage();
-  const t = (key) => getTranslation(language, key);
+  const { formatMoney } = useAcademy();
+  const t = (key, params) => tWithParams(language, key, params || {});
 
   const isStudent = userRole === 'student' || (!userRole || (userRole !== 'admin' && userRole !== 'coach'));
 
@@ -1421,10 +1547,14 @@ export default function DashboardScreen({ onBookLesson, onSelectService, refresh
   const [creditBalance, setCreditBalance] = useState(0);
   const [loadingBalance, setLoadingBalance] = useState(true);
   const [showTopUpModal, setShowTopUpModal] = useState(false);
+  const [packCredits, setPackCredits] = useState([]);
+  const [loadingPacks, setLoadingPacks] = useState(true);
+  const [showPacksModal, setShowPacksModal] = useState(false);
   const [nextBooking, setNextBooking] = useState(null);
   const [upcomingBookings, setUpcomingBookings] = useState([]);
   const [loadingBooking, setLoadingBooking] = useState(true);
   const [showSeasonPassModal, setShowSeasonPassModal] = useState(false);
+  const [termPrograms, setTermPrograms] = useState([]);
   const [selectedService, setSelectedService] = useState(null);
   const [showServiceModal, setShowServiceModal] = useState(false);
   const [editModalVisible, setEditModalVisible] = useState(false);
@@ -1443,6 +1573,8 @@ export default function DashboardScreen({ onBookLesson, onSelectService, refresh
     if (user) {
       loadBookings();
       loadWalletBalance();
+      loadPacks();
+      loadTerms();
       loadAttendance();
     }
   }, [user]);
@@ -1451,6 +1583,8 @@ export default function DashboardScreen({ onBookLesson, onSelectService, refresh
     if (user && refreshTrigger !== undefined) {
       loadBookings();
       loadWalletBalance();
+      loadPacks();
+      loadTerms();
       loadAttendance();
     }
   }, [refreshTrigger]);
@@ -1494,6 +1628,32 @@ export default function DashboardScreen({ onBookLesson, onSelectService, refresh
     }
   };
 
+  const loadPacks = async () => {
+    if (!user) return;
+    setLoadingPacks(true);
+    setPackCredits(await loadPackCredits(user.id));
+    setLoadingPacks(false);
+  };
+
+  const loadTerms = async () => {
+    if (!user) return;
+    setTermPrograms(await loadTermPrograms());
+  };
+
+  // Hero and modal show the earliest open term (the running one, else the next)
+  const openTermPrograms = termPrograms.filter((program) => program.termId === termPrograms[0]?.termId);
+
+  const handleEnrolled = () => {
+    loadTerms();
+    loadBookings();
+    loadWalletBalance();
+  };
+
+  const handlePackPurchased = () => {
+    loadPacks();
+    loadWalletBalance();
+  };
+
   const handleTopUpSuccess = () => {
     loadWalletBalance();
     setShowTopUpModal(false);
@@ -1552,12 +1712,12 @@ export default function DashboardScreen({ onBookLesson, onSelectService, refresh
 
   const formatDate = (dateString) => {
     const date = new Date(dateString);
-    return date.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' });
+    return date.toLocaleDateString('en-US', { timeZone: getActiveTimeZone(), weekday: 'short', month: 'short', day: 'numeric' });
   };
 
   const formatTime = (dateString) => {
     const date = new Date(dateString);
-    return date.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' });
+    return date.toLocaleTimeString('en-US', { timeZone: getActiveTimeZone(), hour: 'numeric', minute: '2-digit' });
   };
 
   const handleServicePress = (serviceName) => {
@@ -1651,8 +1811,10 @@ export default function DashboardScreen({ onBookLesson, onSelectService, refresh
           )}
         </View>
 
-        {/* Season Pass Hero - Hidden for now, will be re-enabled later */}
-        {/* <SeasonPassHero onLearnMore={() => setShowSeasonPassModal(true)} /> */}
+        {/* Season Pass Hero - only while a term is open for enrolment */}
+        {isStudent && openTermPrograms.length > 0 && (
+          <SeasonPassHero programs={openTermPrograms} onLearnMore={() => setShowSeasonPassModal(true)} />
+        )}
 
         {/* Streak pill - compact, tappable to Performance */}
         {isStudent && onGoToPerformance && (
@@ -1676,11 +1838,36 @@ export default function DashboardScreen({ onBookLesson, onSelectService, refresh
             iconColor="#10B981"
             iconBg="rgba(16, 185, 129, 0.12)"
             label={t('creditBalance')}
-            value={loadingBalance ? '...' : `$${creditBalance.toFixed(2)}`}
+            value={loadingBalance ? '...' : formatMoney(creditBalance)}
             action={t('topUp')}
             actionColor="#10B981"
             onAction={() => setShowTopUpModal(true)}
+            secondaryAction={isStudent ? t('walletHistory') : null}
+            onSecondaryAction={onGoToWallet}
           />
+          {isStudent && (
+            <StatCard
+              icon="albums"
+              iconColor="#8B5CF6"
+              iconBg="rgba(139, 92, 246, 0.12)"
+              label={t('lessonPacks')}
+              value={t('lessonsLeft', { n: packCredits.reduce((sum, pack) => sum + pack.lessonsRemaining, 0) })}
+              subValue={packCredits.length > 0
+                ? packCredits
+                  .map((pack) => t('packCreditLine', {
+                    name: pack.name,
+                    left: pack.lessonsRemaining,
+                    total: pack.lessonsTotal,
+                    date: new Date(pack.expiresAt).toLocaleDateString('en-AU', { timeZone: getActiveTimeZone(), day: 'numeric', month: 'short', year: 'numeric' }),
+                  }))
+                  .join('\n')
+                : null}
+              action={t('buyPack')}
+              actionColor="#8B5CF6"
+              onAction={() => setShowPacksModal(true)}
+              loading={loadingPacks}
+            />
+          )}
           <StatCard
             icon="calendar"
             iconColor="#3B82F6"
@@ -1791,9 +1978,9 @@ export default function DashboardScreen({ onBookLesson, onSelectService, refresh
                       </View>
                     )}
                     <View style={styles.bookingDate}>
-                      <Text style={styles.bookingDay}>{new Date(booking.start_time).getDate()}</Text>
+                      <Text style={styles.bookingDay}>{Number(utcToZonedDate(booking.start_time).slice(8))}</Text>
                       <Text style={styles.bookingMonth}>
-                        {new Date(booking.start_time).toLocaleDateString('en-US', { month: 'short' })}
+                        {new Date(booking.start_time).toLocaleDateString('en-US', { timeZone: getActiveTimeZone(), month: 'short' })}
                       </Text>
                     </View>
                     <View style={styles.bookingInfo}>
@@ -1824,7 +2011,14 @@ export default function DashboardScreen({ onBookLesson, onSelectService, refresh
       </ScrollView>
 
       {/* Modals */}
-      <SeasonPassModal visible={showSeasonPassModal} onClose={() => setShowSeasonPassModal(false)} />
+      <SeasonPassModal
+        visible={showSeasonPassModal}
+        onClose={() => setShowSeasonPassModal(false)}
+        programs={openTermPrograms}
+        userId={user?.id}
+        walletBalance={creditBalance}
+        onEnrolled={handleEnrolled}
+      />
       <ServiceInfoModal
         visible={showServiceModal}
         service={selectedService}
@@ -1845,6 +2039,13 @@ export default function DashboardScreen({ onBookLesson, onSelectService, refresh
         userId={user?.id}
         onTopUpSuccess={handleTopUpSuccess}
       />
+      <LessonPacksModal
+        visible={showPacksModal}
+        onClose={() => setShowPacksModal(false)}
+        userId={user?.id}
+        walletBalance={creditBalance}
+        onPurchased={handlePackPurchased}
+      />
       <BookingEditModal
         visible={editModalVisible}
         onClose={() => {
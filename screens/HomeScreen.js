@@ -15,6 +15,7 @@ import { Ionicons } from '@expo/vector-icons';
 import { StatusBar } from 'expo-status-bar';
 import { useSafeAreaInsets } from 'react-native-safe-area-context';
 import { useAuth } from '../contexts/AuthContext';
+import { useAcademy } from '../contexts/AcademyContext';
 import { supabase } from '../lib/supabase';
 import Sidebar from '../components/Sidebar';
 import BottomNav from '../components/BottomNav';
@@ -30,15 +31,22 @@ import AdminLocationsCourtsScreen from './AdminLocationsCourtsScreen';
 import AdminCoachesScreen from './AdminCoachesScreen';
 import AdminHistoryScreen from './AdminHistoryScreen';
 import AdminActiveBookingsScreen from './AdminActiveBookingsScreen';
+import AdminStripeEventsScreen from './AdminStripeEventsScreen';
+import AdminReconciliationScreen from './AdminReconciliationScreen';
+import AdminNotificationsScreen from './AdminNotificationsScreen';
 import CoachDashboardScreen from './CoachDashboardScreen';
 import StudentHistoryScreen from './StudentHistoryScreen';
+import WalletHistoryScreen from './WalletHistoryScreen';
 import PerformanceScreen from './PerformanceScreen';
 import AdminPerformanceScreen from './AdminPerformanceScreen';
-import { getSydneyToday, sydneyDateTimeToUTC } from '../utils/timezone';
-import { calculateBookingCost } from '../utils/pricing';
+import BookingConfirmModal from '../components/BookingConfirmModal';
+import { getZonedToday, zonedDateTimeToUTC } from '../utils/timezone';
+import { bookLessons, bookLessonSeries, quoteLessons, getBookingErrorMessage, BOOKING_ERROR_CODES } from '../lib/bookings';
+import { isPromoErrorCode } from '../lib/promoCodes';
+import { loadAutoTopUpSettings, runAutoTopUp, needsAutoTopUp } from '../lib/autoTopUp';
+import { onCheckoutReturn } from '../lib/nativeCheckout';
 import { 
   getWalletBalance, 
-  deductFromWallet, 
   createBookingCheckoutSession, 
   redirectToCheckout,
   verifyPaymentAndAddFunds,
@@ -59,6 +67,7 @@ const DRAWER_WIDTH = Math.min(320, Dimensions.get('window').width * 0.85);
 
 export default function HomeScreen() {
   const { signOut, user, session, isAdmin, userRole, roleLoading } = useAuth();
+  const { formatMoney, timezone } = useAcademy();
   const insets = useSafeAreaInsets();
 
   const [activeScreen, setActiveScreen] = useState('dashboard');
@@ -66,6 +75,7 @@ export default function HomeScreen() {
   const [isDesktop, setIsDesktop] = useState(getIsDesktop());
   const [serviceFilter, setServiceFilter] = useState(null);
   const [sidebarVisible, setSidebarVisible] = useState(false);
+  const [focusBookingId, setFocusBookingId] = useState(null); // from a reminder's cancel/reschedule link
   
   // Booking result modal state
   const [bookingModal, setBookingModal] = useState({
@@ -75,6 +85,14 @@ export default function HomeScreen() {
     message: '',
   });
 
+  // One-off booking waiting for the student to confirm (bookingData from handleBookingNext)
+  const [bookingConfirm, setBookingConfirm] = useState({
+    visible: false,
+    bookingData: [],
+    summary: null,
+    confirming: false,
+  });
+
   const homeScreenForRole = (role) => {
     if (role === 'admin') return 'admin-dashboard';
     if (role === 'coach') return 'coach-dashboard';
@@ -92,6 +110,7 @@ export default function HomeScreen() {
           current === 'dashboard' ||
           current === 'bookings' ||
           current === 'history' ||
+          current === 'wallet-history' ||
           current === 'performance'
         ) {
           return target;
@@ -115,6 +134,19 @@ export default function HomeScreen() {
     }
   }, [activeScreen, userRole, roleLoading]);
 
+  // Lesson reminder links (/home?booking=<id>) open that lesson in My Bookings
+  useEffect(() => {
+    if (Platform.OS !== 'web' || typeof window === 'undefined' || !user) return;
+    const urlParams = new URLSearchParams(window.location.search);
+    const bookingId = urlParams.get('booking');
+    if (!bookingId) return;
+    setFocusBookingId(bookingId);
+    setActiveScreen('bookings');
+    urlParams.delete('booking');
+    const query = urlParams.toString();
+    window.history.replaceState(null, '', window.location.pathname + (query ? `?${query}` : ''));
+  }, [user?.id]);
+
   useEffect(() => {
     if (Platform.OS === 'web') {
       const handleResize = () => {
@@ -140,20 +172,28 @@ export default function HomeScreen() {
       if (alreadyCredited && user && !processedSessions.has('credited')) {
         const storedBalance = sessionStorage.getItem('stripe_credited_balance');
         const newBalance = storedBalance != null && storedBalance !== '' ? parseFloat(storedBalance) : undefined;
+        const booked = urlParams.get('booked') || sessionStorage.getItem('stripe_credited_booked');
+        const bookingError = urlParams.get('booking_error') || sessionStorage.getItem('stripe_credited_booking_error');
+        const packBought = urlParams.get('pack') || sessionStorage.getItem('stripe_credited_pack');
+        const termEnrolled = urlParams.get('term') || sessionStorage.getItem('stripe_credited_term');
         sessionStorage.removeItem('stripe_credited');
+        sessionStorage.removeItem('stripe_credited_pack');
+        sessionStorage.removeItem('stripe_credited_term');
         sessionStorage.removeItem('stripe_credited_balance');
+        sessionStorage.removeItem('stripe_credited_booked');
+        sessionStorage.removeItem('stripe_credited_booking_error');
         sessionStorage.removeItem('stripe_session_id');
+        sessionStorage.removeItem('stripe_payment_token');
         setProcessedSessions((prev) => new Set([...prev, 'credited']));
-        setBookingModal({
-          visible: true,
-          success: true,
-          title: 'Top-Up Successful!',
-          message:
-            newBalance != null && !Number.isNaN(newBalance)
-              ? `Your wallet has been topped up successfully. New balance: $${newBalance.toFixed(2)}`
-              : 'Your wallet has been topped up successfully.',
-        });
-        setDashboardRefreshKey((prev) => prev + 1);
+        showCreditedResult({ newBalance, booked, bookingError, packBought, termEnrolled });
+      }
+
+      // Back from saving a card for auto top-up (dynamic-task setup-complete)
+      const cardSetup = typeof sessionStorage !== 'undefined' ? sessionStorage.getItem('stripe_card_setup') : null;
+      if (cardSetup && user && !processedSessions.has('card_setup')) {
+        sessionStorage.removeItem('stripe_card_setup');
+        setProcessedSessions((prev) => new Set([...prev, 'card_setup']));
+        showCardSetupResult(cardSetup);
       }
 
       // Check for session_id immediately - check both URL and sessionStorage
@@ -210,6 +250,7 @@ export default function HomeScreen() {
 
         // Handle cancelled payment
         const isCanceled = urlParams.get('canceled') === 'true' || 
+                          urlParams.get('checkout') === 'canceled' ||
                           path.includes('booking-cancel');
         if (isCanceled && !processedSessions.has('canceled')) {
           setProcessedSessions(prev => new Set([...prev, 'canceled']));
@@ -249,7 +290,70 @@ export default function HomeScreen() {
     }
   }, [user, session, processedSessions]);
 
-  const handleStripeSuccess = async (sessionId) => {
+  // Result modal for a lesson paid by card. On failure the payment stays as wallet credit.
+  const getStripeBookingModal = (booking) => ({
+    visible: true,
+    success: booking.success,
+    title: booking.success ? 'Booking Confirmed!' : 'Booking Failed',
+    message: booking.success
+      ? 'Your lesson has been booked successfully.'
+      : `${booking.message || getBookingErrorMessage(booking.code)}\n\nYour payment has been added to your wallet credit.`,
+  });
+
+  const getStripePackModal = (pack) => ({
+    visible: true,
+    success: pack.success,
+    title: pack.success ? 'Lesson Pack Purchased!' : 'Purchase Failed',
+    message: pack.success
+      ? 'Your lessons are ready to use. They will be used before your wallet balance when you book.'
+      : `${pack.message || 'This lesson pack is no longer available.'}\n\nYour payment has been added to your wallet credit.`,
+  });
+
+  const getStripeTermModal = (term) => ({
+    visible: true,
+    success: term.success,
+    title: term.success ? 'Enrolment Confirmed!' : 'Enrolment Failed',
+    message: term.success
+      ? 'You are enrolled for the term. Every session has been added to your bookings.'
+      : `${term.message || 'This program is no longer available.'}\n\nYour payment has been added to your wallet credit.`,
+  });
+
+  // Payment already credited by dynamic-task's success URL (the query it redirected with)
+  const showCreditedResult = ({ newBalance, booked, bookingError, packBought, termEnrolled }) => {
+    if (booked) {
+      setBookingModal(getStripeBookingModal({ success: booked === '1', code: bookingError }));
+    } else if (packBought) {
+      setBookingModal(getStripePackModal({ success: packBought === '1' }));
+    } else if (termEnrolled) {
+      setBookingModal(getStripeTermModal({ success: termEnrolled === '1' }));
+    } else {
+      setBookingModal({
+        visible: true,
+        success: true,
+        title: 'Top-Up Successful!',
+        message:
+          newBalance != null && !Number.isNaN(newBalance)
+            ? `Your wallet has been topped up successfully. New balance: ${formatMoney(newBalance)}`
+            : 'Your wallet has been topped up successfully.',
+      });
+    }
+    setDashboardRefreshKey((prev) => prev + 1);
+  };
+
+  // Back from saving a card for auto top-up (dynamic-task setup-complete)
+  const showCardSetupResult = (cardSetup) => {
+    if (cardSetup === 'saved') setActiveScreen('profile');
+    setBookingModal({
+      visible: true,
+      success: cardSetup === 'saved',
+      title: cardSetup === 'saved' ? 'Card Saved' : 'Card Not Saved',
+      message: cardSetup === 'saved'
+        ? 'Your card is saved. Turn on auto top-up in your profile to use it when your balance runs low.'
+        : 'We could not save your card. Please try again.',
+    });
+  };
+
+  const handleStripeSuccess = async (sessionId, returnedToken = null) => {
     if (!user) {
       console.error('❌ [PAYMENT] No user found, cannot verify payment');
       return;
@@ -266,9 +370,14 @@ export default function HomeScreen() {
     stripeInFlightRef.current.add(sessionId);
 
     try {
+      // The signed token from the success redirect (App.js keeps it with the session id)
+      const paymentToken = returnedToken || (Platform.OS === 'web' && typeof window !== 'undefined'
+        ? new URLSearchParams(window.location.search).get('payment_token')
+        : null) || (typeof sessionStorage !== 'undefined' ? sessionStorage.getItem('stripe_payment_token') : null);
+
       // Verify payment and add funds to wallet (if it was a top-up)
       const result = await Promise.race([
-        verifyPaymentAndAddFunds(sessionId, user.id),
+        verifyPaymentAndAddFunds(sessionId, paymentToken),
         new Promise((_, reject) =>
           setTimeout(() => reject(new Error('Payment verification timeout')), 20000)
         ),
@@ -281,78 +390,29 @@ export default function HomeScreen() {
       setProcessedSessions((prev) => new Set([...prev, sessionId]));
       if (typeof sessionStorage !== 'undefined') {
         sessionStorage.removeItem('stripe_session_id');
+        sessionStorage.removeItem('stripe_payment_token');
       }
 
-      // If this was a booking payment, create bookings from stored data (webhook/Edge
-      // Function may not create them). This ensures they show in Upcoming Bookings.
-      if (Platform.OS === 'web' && typeof sessionStorage !== 'undefined') {
-        const raw = sessionStorage.getItem('stripe_pending_booking_' + sessionId);
-        if (raw) {
-          try {
-            const segments = JSON.parse(raw);
-            if (Array.isArray(segments) && segments.length > 0) {
-              const oneWeekFromNow = new Date();
-              oneWeekFromNow.setDate(oneWeekFromNow.getDate() + 7);
-              for (const seg of segments) {
-                const now = new Date();
-                const startTime = new Date(seg.bookingStartTime);
-                if (startTime < now) {
-                  console.warn('[PAYMENT] Skipping booking in the past after Stripe return:', seg.bookingStartTime);
-                  continue;
-                }
-                if (startTime < oneWeekFromNow) {
-                  console.warn('[PAYMENT] Skipping booking less than 1 week in advance:', seg.bookingStartTime);
-                  sessionStorage.removeItem('stripe_pending_booking_' + sessionId);
-                  setBookingModal({
-                    visible: true,
-                    success: false,
-                    title: 'Booking Failed',
-                    message: 'Bookings must be at least 1 week in advance.',
-                  });
-                  if (typeof window !== 'undefined') {
-                    window.history.replaceState({}, '', '/home');
-                  }
-                  return;
-                }
-                const { error: bookingError } = await supabase
-                  .from('bookings')
-                  .insert({
-                    user_id: user.id,
-                    location_id: seg.locationId,
-                    start_time: seg.bookingStartTime,
-                    end_time: seg.bookingEndTime,
-                    credit_cost: seg.cost,
-                    service_name: seg.serviceName || null,
-                  })
-                  .select('id')
-                  .single();
-                if (bookingError) {
-                  console.error('[PAYMENT] Error creating booking from Stripe return:', bookingError);
-                  throw bookingError;
-                }
-                if (seg.currentBookingCount + 1 >= seg.MAX_CAPACITY && Array.isArray(seg.matchingAvailabilityIds) && seg.matchingAvailabilityIds.length > 0) {
-                  await supabase.from('availabilities').update({ is_booked: true }).in('id', seg.matchingAvailabilityIds);
-                }
-              }
-              sessionStorage.removeItem('stripe_pending_booking_' + sessionId);
-              setBookingModal({
-                visible: true,
-                success: true,
-                title: 'Booking Confirmed!',
-                message: 'Your lesson has been booked successfully.',
-              });
-              if (typeof window !== 'undefined') {
-                window.history.replaceState({}, '', '/home');
-              }
-              setDashboardRefreshKey(prev => prev + 1);
-              return;
-            }
-          } catch (e) {
-            console.error('[PAYMENT] Error processing pending booking data:', e);
-            sessionStorage.removeItem('stripe_pending_booking_' + sessionId);
-            throw e;
-          }
+      // Lesson payments are booked server-side from the stored segments
+      if (result.booking) {
+        setBookingModal(getStripeBookingModal(result.booking));
+        if (Platform.OS === 'web' && typeof window !== 'undefined') {
+          window.history.replaceState({}, '', '/home');
         }
+        setDashboardRefreshKey(prev => prev + 1);
+        return;
+      }
+
+      if (result.pack) {
+        setBookingModal(getStripePackModal(result.pack));
+        setDashboardRefreshKey(prev => prev + 1);
+        return;
+      }
+
+      if (result.term) {
+        setBookingModal(getStripeTermModal(result.term));
+        setDashboardRefreshKey(prev => prev + 1);
+        return;
       }
 
       // Check if it was a topup and funds were added
@@ -361,14 +421,14 @@ export default function HomeScreen() {
           visible: true,
           success: true,
           title: 'Top-Up Successful!',
-          message: `Your wallet has been topped up successfully. New balance: $${result.newBalance.toFixed(2)}`,
+          message: `Your wallet has been topped up successfully. New balance: ${formatMoney(result.newBalance)}`,
         });
       } else {
         setBookingModal({
           visible: true,
           success: true,
           title: 'Payment Successful!',
-          message: `Your payment was processed successfully.${result.newBalance ? ` New balance: $${result.newBalance.toFixed(2)}` : ' However, wallet was not updated. Please contact support.'}`,
+          message: `Your payment was processed successfully.${result.newBalance ? ` New balance: ${formatMoney(result.newBalance)}` : ' However, wallet was not updated. Please contact support.'}`,
         });
       }
 
@@ -399,6 +459,37 @@ export default function HomeScreen() {
     }
   };
 
+  // Native builds: Checkout ran in NativeCheckoutModal (or came back as a deep
+  // link) with the same query the web build reads from the URL
+  const checkoutReturnRef = useRef(null);
+  checkoutReturnRef.current = (params) => {
+    if (!user) return;
+    if (params.credited === '1') {
+      const newBalance = params.balance ? parseFloat(params.balance) : undefined;
+      showCreditedResult({
+        newBalance,
+        booked: params.booked,
+        bookingError: params.booking_error,
+        packBought: params.pack,
+        termEnrolled: params.term,
+      });
+    } else if (params.session_id) {
+      handleStripeSuccess(params.session_id, params.payment_token || null);
+    } else if (params.card_saved === '1' || params.card_error === '1') {
+      showCardSetupResult(params.card_saved === '1' ? 'saved' : 'error');
+    } else if (params.topup_error) {
+      // Not verified here; the Stripe webhook still credits a paid session
+      setDashboardRefreshKey((prev) => prev + 1);
+    } else if (params.checkout === 'canceled') {
+      handleStripeCancel();
+    }
+  };
+
+  useEffect(() => {
+    if (Platform.OS === 'web') return undefined;
+    return onCheckoutReturn((params) => checkoutReturnRef.current?.(params));
+  }, []);
+
   const handleStripeCancel = () => {
     setBookingModal({
       visible: true,
@@ -470,7 +561,88 @@ export default function HomeScreen() {
     setActiveScreen('booking-discovery');
   };
 
-  const handleBookingNext = async (selectedSlots, summary, selectedDate = null) => {
+  const formatSeriesDate = (iso) =>
+    new Date(iso).toLocaleDateString('en-AU', {
+      timeZone: timezone,
+      weekday: 'short',
+      day: 'numeric',
+      month: 'short',
+    });
+
+  // Weekly series: every occurrence is checked server-side and paid from the wallet in one debit
+  const bookWeeklySeries = async (bookingData, repeatUntil, allowAutoTopUp = true) => {
+    const result = await bookLessonSeries({
+      userId: user.id,
+      segments: bookingData.map((b) => ({
+        locationId: b.locationId,
+        startTime: b.bookingStartTime,
+        endTime: b.bookingEndTime,
+        serviceName: b.serviceName,
+        cost: b.cost,
+        availabilityIds: b.availabilityIds,
+        playerId: b.playerId,
+      })),
+      until: repeatUntil,
+    });
+
+    // Short of money: top up from the saved card once (if opted in) and try again
+    let autoTopUpError = null;
+    if (
+      !result.success &&
+      allowAutoTopUp &&
+      result.code === BOOKING_ERROR_CODES.INSUFFICIENT_BALANCE &&
+      result.required != null
+    ) {
+      const autoTopUp = await loadAutoTopUpSettings(user.id);
+      if (needsAutoTopUp(autoTopUp, result.balance || 0, result.required)) {
+        try {
+          const topUp = await runAutoTopUp(result.required);
+          if (topUp?.charged > 0) {
+            await bookWeeklySeries(bookingData, repeatUntil, false);
+            return;
+          }
+        } catch (topUpError) {
+          autoTopUpError = topUpError.message;
+        }
+      }
+    }
+
+    const failedLines = result.failed.map((f) => `• ${formatSeriesDate(f.startTime)}: ${f.message}`);
+
+    if (!result.success) {
+      let message = result.message;
+      if (result.code === BOOKING_ERROR_CODES.INSUFFICIENT_BALANCE && result.required != null) {
+        message = `The available lessons in this series cost ${formatMoney(result.required)}, but your wallet has ${formatMoney(result.balance || 0)}. Top up your wallet and try again.`;
+      }
+      if (autoTopUpError) {
+        message += `\n\nAuto top-up failed: ${autoTopUpError}`;
+      }
+      if (failedLines.length > 0) {
+        message += `\n\nUnavailable dates:\n${failedLines.join('\n')}`;
+      }
+      setBookingModal({
+        visible: true,
+        success: false,
+        title: 'Series Not Booked',
+        message,
+      });
+      return;
+    }
+
+    let message = `${result.booked.length} weekly ${result.booked.length === 1 ? 'lesson' : 'lessons'} booked. ${formatMoney(result.totalCost)} was charged from your wallet.`;
+    if (failedLines.length > 0) {
+      message += `\n\nThese dates could not be booked:\n${failedLines.join('\n')}`;
+    }
+    setBookingModal({
+      visible: true,
+      success: true,
+      title: 'Series Booked!',
+      message,
+    });
+  };
+
+  // playerId: the family player the lessons are for (lib/family.js), or null for the student
+  const handleBookingNext = async (selectedSlots, summary, selectedDate = null, repeatUntil = null, playerId = null) => {
     if (!user) {
       Alert.alert('Error', 'You must be logged in to make a booking.');
       return;
@@ -478,12 +650,10 @@ export default function HomeScreen() {
 
     try {
       // Step 1: Collect all booking data and calculate total cost
-      const bookingsToCreate = [];
-      const availabilityIdsToUpdate = [];
       const bookingData = []; // Store booking data for payment processing
 
-      // Use provided selectedDate or default to today (both in Sydney local time)
-      const bookingDate = selectedDate || getSydneyToday();
+      // Use provided selectedDate or default to today (both in academy local time)
+      const bookingDate = selectedDate || getZonedToday();
 
       // Group consecutive slots by location
       const byLocation = {};
@@ -527,7 +697,7 @@ export default function HomeScreen() {
             matchingAvailabilities.push(availability);
           } else {
             const [slotHour, slotMin] = slot.time24.split(':').map(Number);
-            const slotStartUTC = sydneyDateTimeToUTC(bookingDate, slotHour, slotMin);
+            const slotStartUTC = zonedDateTimeToUTC(bookingDate, slotHour, slotMin);
             const slotStartDateTime = new Date(slotStartUTC);
             const timeWindowStart = new Date(slotStartDateTime.getTime() - 1000);
             const timeWindowEnd = new Date(slotStartDateTime.getTime() + 1000);
@@ -567,88 +737,115 @@ export default function HomeScreen() {
         const bookingStartTime = firstAvailability.start_time;
         const bookingEndTime = lastAvailability.end_time;
         const serviceName = firstAvailability.service_name || null;
-        const MAX_CAPACITY = firstAvailability.max_capacity || 10;
-
-        // Check capacity
-        const { count: existingBookingsCount, error: countError } = await supabase
-          .from('bookings')
-          .select('*', { count: 'exact', head: true })
-          .eq('location_id', locationId)
-          .eq('start_time', bookingStartTime)
-          .eq('end_time', bookingEndTime);
-
-        if (countError) {
-          console.error('Error counting existing bookings:', countError);
-          throw countError;
-        }
-
-        const currentBookingCount = existingBookingsCount || 0;
 
-        if (currentBookingCount >= MAX_CAPACITY) {
-          Alert.alert(
-            'Slot Full',
-            `This time slot is already full (${currentBookingCount}/${MAX_CAPACITY} members). Please choose another time.`,
-            [{ text: 'OK' }]
-          );
-          return;
-        }
-
-        // Calculate cost for this booking
-        const durationHours = (new Date(bookingEndTime) - new Date(bookingStartTime)) / (1000 * 60 * 60);
-        const cost = calculateBookingCost(serviceName, durationHours);
-
-        // Store booking data
+        // Store booking data (cost comes from the pricing quote below)
         bookingData.push({
           locationId,
           bookingStartTime,
           bookingEndTime,
           serviceName,
-          cost,
-          matchingAvailabilities,
-          currentBookingCount,
-          MAX_CAPACITY,
+          cost: 0,
+          availabilityIds: matchingAvailabilities.map((av) => av.id),
+          playerId,
         });
       }
 
-      // Enforce minimum 1 week in advance for student bookings
-      const earliestStart = new Date(
-        Math.min(...bookingData.map((b) => new Date(b.bookingStartTime).getTime()))
-      );
-      const oneWeekFromNow = new Date();
-      oneWeekFromNow.setDate(oneWeekFromNow.getDate() + 7);
-      if (earliestStart < oneWeekFromNow) {
-        setBookingModal({
-          visible: true,
-          success: false,
-          title: 'Booking Failed',
-          message: 'Bookings must be at least 1 week in advance.',
-        });
+      // Price every lesson from the pricing rules; book_lessons and dynamic-task charge the same quote
+      const quote = await quoteLessons({
+        userId: user.id,
+        segments: bookingData.map((b) => ({
+          locationId: b.locationId,
+          startTime: b.bookingStartTime,
+          endTime: b.bookingEndTime,
+          serviceName: b.serviceName,
+        })),
+      });
+      if (!quote.success) {
+        Alert.alert('Booking Failed', quote.message, [{ text: 'OK' }]);
         return;
       }
+      quote.segments.forEach((seg, index) => {
+        bookingData[index].cost = seg.cost;
+        bookingData[index].items = seg.items;
+      });
+
+      // Lead time, booking window and weekly cap (booking_policies) are enforced
+      // server-side by book_lessons, and by dynamic-task before a card payment.
+
+      if (repeatUntil) {
+        await bookWeeklySeries(bookingData, repeatUntil);
+        return;
+      }
+
+      // Step 2: Show the itemised price and take a promo code before paying
+      setBookingConfirm({ visible: true, bookingData, summary, confirming: false });
+    } catch (error) {
+      showBookingError(error);
+    }
+  };
+
+  const showBookingError = (error) => {
+    console.error('Error creating booking:', error);
+    console.error('Error details:', {
+      code: error.code,
+      message: error.message,
+      details: error.details,
+      hint: error.hint,
+      status: error.status,
+      user_id: user?.id,
+    });
+    
+    // Show error modal
+    let errorMessage = error.message || 'Unknown error occurred';
+    
+    // Make error messages more user-friendly
+    if (error.code === '42501' || error.status === 403 || error.message?.includes('permission denied')) {
+      errorMessage = 'You do not have permission to make this booking. Please try logging out and back in.';
+    } else if (error.message?.includes('overlaps')) {
+      errorMessage = 'This time slot is no longer available. Please select a different time.';
+    } else if (error.message?.includes('no longer available')) {
+      errorMessage = error.message;
+    }
+    
+    setBookingModal({
+      visible: true,
+      success: false,
+      title: 'Booking Failed',
+      message: errorMessage,
+    });
+  };
+
+  const handleConfirmBooking = async (promo) => {
+    const { bookingData, summary } = bookingConfirm;
+    setBookingConfirm((prev) => ({ ...prev, confirming: true }));
+    const closeConfirm = () => setBookingConfirm({ visible: false, bookingData: [], summary: null, confirming: false });
 
-      // Step 2: Calculate total cost
-      const totalCost = bookingData.reduce((sum, booking) => sum + booking.cost, 0);
+    try {
+      // Step 3: Total after any promo code (book_lessons and dynamic-task apply it again)
+      const totalCost = promo ? promo.total : bookingData.reduce((sum, booking) => sum + booking.cost, 0);
+      const promoCode = promo?.code || null;
 
-      // Step 3: Handle payment (only if not in test mode)
+      // Step 4: Send to Stripe if the wallet cannot cover it (only if not in test mode)
       if (!IS_TEST_MODE) {
         // Get wallet balance
-        const walletBalance = await getWalletBalance(user.id);
+        let walletBalance = await getWalletBalance(user.id);
 
-        if (walletBalance >= totalCost) {
-          // Sufficient wallet balance - deduct and proceed
-          console.log(`Using wallet balance: $${walletBalance.toFixed(2)} for booking cost: $${totalCost.toFixed(2)}`);
-          
+        // Opt-in auto top-up: charge the saved card first if this booking would take
+        // the wallet below the student's threshold (lib/autoTopUp.js)
+        const autoTopUp = await loadAutoTopUpSettings(user.id);
+        if (needsAutoTopUp(autoTopUp, walletBalance, totalCost)) {
           try {
-            await deductFromWallet(user.id, totalCost);
-            console.log('Wallet balance deducted successfully');
-          } catch (walletError) {
-            console.error('Error deducting from wallet:', walletError);
-            Alert.alert(
-              'Payment Error',
-              'Failed to process wallet payment. Please try again or use card payment.'
-            );
-            return;
+            const topUp = await runAutoTopUp(totalCost);
+            if (topUp?.newBalance != null) walletBalance = topUp.newBalance;
+          } catch (topUpError) {
+            // Declined or needs the bank's confirmation: fall back to Checkout below.
+            // The failure is texted to the student and shown on their profile.
+            console.warn('Auto top-up did not go through:', topUpError.message);
           }
+        }
+
+        if (walletBalance >= totalCost) {
+          console.log(`Using wallet balance: ${formatMoney(walletBalance)} for booking cost: ${formatMoney(totalCost)}`);
         } else {
           // Insufficient wallet balance - create Stripe checkout (or show "coming soon" if disabled)
           if (STRIPE_CHECKOUT_DISABLED) {
@@ -660,10 +857,10 @@ export default function HomeScreen() {
             });
             return;
           }
-          console.log(`Insufficient wallet balance: $${walletBalance.toFixed(2)}. Required: $${totalCost.toFixed(2)}`);
+          console.log(`Insufficient wallet balance: ${formatMoney(walletBalance)}. Required: ${formatMoney(totalCost)}`);
           
           try {
-            const { sessionId, id, url, error: checkoutError } = await createBookingCheckoutSession({
+            const { url, error: checkoutError } = await createBookingCheckoutSession({
               userId: user.id,
               amount: totalCost,
               bookingData: bookingData.map(b => ({
@@ -672,7 +869,10 @@ export default function HomeScreen() {
                 endTime: b.bookingEndTime,
                 serviceName: b.serviceName,
                 cost: b.cost,
+                availabilityIds: b.availabilityIds,
+                playerId: b.playerId,
               })),
+              promoCode,
               metadata: {
                 bookingType: 'direct',
               },
@@ -684,33 +884,20 @@ export default function HomeScreen() {
               throw new Error('Checkout URL not returned from server');
             }
 
-            // Store booking data so we can create bookings after Stripe redirect (in case
-            // the webhook/Edge Function does not create them).
-            const sid = sessionId || id;
-            if (sid && Platform.OS === 'web' && typeof sessionStorage !== 'undefined') {
-              const toStore = bookingData.map(b => ({
-                locationId: b.locationId,
-                bookingStartTime: b.bookingStartTime,
-                bookingEndTime: b.bookingEndTime,
-                serviceName: b.serviceName,
-                cost: b.cost,
-                matchingAvailabilityIds: (b.matchingAvailabilities || []).map(a => a.id),
-                currentBookingCount: b.currentBookingCount,
-                MAX_CAPACITY: b.MAX_CAPACITY,
-              }));
-              sessionStorage.setItem('stripe_pending_booking_' + sid, JSON.stringify(toStore));
-            }
-
             // Redirect to Stripe checkout using the URL directly
             await redirectToCheckout(url);
             
-            // After successful payment, Stripe redirects back; handleStripeSuccess will
-            // create bookings from stripe_pending_booking_<sessionId> if present.
+            // dynamic-task stored the segments against the session; they are booked
+            // server-side once Stripe reports the payment (success URL or webhook).
             return;
           } catch (checkoutError) {
             console.error('Error creating checkout session:', checkoutError);
             Alert.alert(
-              'Payment Error',
+              checkoutError.code?.startsWith('policy_') ||
+                checkoutError.code === BOOKING_ERROR_CODES.PRICE_CHANGED ||
+                isPromoErrorCode(checkoutError.code)
+                ? 'Booking Failed'
+                : 'Payment Error',
               checkoutError.message || 'Failed to initiate payment. Please try again.'
             );
             return;
@@ -720,74 +907,31 @@ export default function HomeScreen() {
         console.log('🧪 TEST MODE: Skipping payment, proceeding directly to booking creation');
       }
 
-      // Step 4: Create bookings in Supabase
-      // Create bookings from prepared booking data
-      for (const bookingInfo of bookingData) {
-        const { locationId, bookingStartTime, bookingEndTime, serviceName, cost, matchingAvailabilities, currentBookingCount, MAX_CAPACITY } = bookingInfo;
-
-        // VALIDATION: Prevent creating bookings in the past
-        const now = new Date();
-        const startTime = new Date(bookingStartTime);
-        if (startTime < now) {
-          console.error('❌ [BOOKING] Attempted to create booking in the past:', {
-            bookingStartTime,
-            now: now.toISOString(),
-            difference: now - startTime,
-          });
-          Alert.alert(
-            'Invalid Booking Time',
-            'Cannot create a booking for a time that has already passed. Please select a future time slot.',
-            [{ text: 'OK' }]
-          );
-          throw new Error('Cannot create booking in the past');
-        }
+      // Step 5: Capacity check, wallet debit, booking insert and slot update in one transaction
+      const result = await bookLessons({
+        userId: user.id,
+        segments: bookingData.map((b) => ({
+          locationId: b.locationId,
+          startTime: b.bookingStartTime,
+          endTime: b.bookingEndTime,
+          serviceName: b.serviceName,
+          cost: b.cost,
+          availabilityIds: b.availabilityIds,
+          playerId: b.playerId,
+        })),
+        chargeWallet: !IS_TEST_MODE,
+        promoCode,
+      });
 
-        console.log('Creating booking:', {
-          user_id: user.id,
-          location_id: locationId,
-          start_time: bookingStartTime,
-          end_time: bookingEndTime,
-          credit_cost: cost,
-          service_name: serviceName,
+      if (!result.success) {
+        console.warn('[BOOKING] book_lessons rejected:', result.code, result.message);
+        setBookingModal({
+          visible: true,
+          success: false,
+          title: result.code === BOOKING_ERROR_CODES.SLOT_FULL ? 'Slot Full' : 'Booking Failed',
+          message: result.message,
         });
-        
-        // Insert booking with actual cost
-        const { data: booking, error: bookingError } = await supabase
-          .from('bookings')
-          .insert({
-            user_id: user.id,
-            location_id: locationId,
-            start_time: bookingStartTime,
-            end_time: bookingEndTime,
-            credit_cost: cost, // Use actual calculated cost
-            service_name: serviceName,
-          })
-          .select('id, user_id, location_id, start_time, end_time, credit_cost, service_name')
-          .single();
-
-        if (bookingError) {
-          console.error('Booking insert error:', bookingError);
-          throw bookingError;
-        }
-        
-        console.log('Booking created successfully:', booking);
-        bookingsToCreate.push(booking);
-
-        // Check if slot is now full
-        if (currentBookingCount + 1 >= MAX_CAPACITY) {
-          const matchingAvailabilityIds = matchingAvailabilities.map(av => av.id);
-          availabilityIdsToUpdate.push(...matchingAvailabilityIds);
-        }
-      }
-
-      // Update availabilities to is_booked = true only when they reach capacity
-      if (availabilityIdsToUpdate.length > 0) {
-        const { error: updateError } = await supabase
-          .from('availabilities')
-          .update({ is_booked: true })
-          .in('id', availabilityIdsToUpdate);
-
-        if (updateError) throw updateError;
+        return;
       }
 
       // Show success modal
@@ -795,37 +939,13 @@ export default function HomeScreen() {
         visible: true,
         success: true,
         title: 'Booking Confirmed!',
-        message: `Your lesson has been booked successfully.\n\nDuration: ${summary.duration.toFixed(1)} ${summary.duration === 1 ? 'hour' : 'hours'}`,
+        message: `Your lesson has been booked successfully.\n\nDuration: ${summary.duration.toFixed(1)} ${summary.duration === 1 ? 'hour' : 'hours'}` +
+          (result.discount > 0 ? `\nPromo ${promoCode}: ${formatMoney(-result.discount)}` : ''),
       });
     } catch (error) {
-      console.error('Error creating booking:', error);
-      console.error('Error details:', {
-        code: error.code,
-        message: error.message,
-        details: error.details,
-        hint: error.hint,
-        status: error.status,
-        user_id: user?.id,
-      });
-      
-      // Show error modal
-      let errorMessage = error.message || 'Unknown error occurred';
-      
-      // Make error messages more user-friendly
-      if (error.code === '42501' || error.status === 403 || error.message?.includes('permission denied')) {
-        errorMessage = 'You do not have permission to make this booking. Please try logging out and back in.';
-      } else if (error.message?.includes('overlaps')) {
-        errorMessage = 'This time slot is no longer available. Please select a different time.';
-      } else if (error.message?.includes('no longer available')) {
-        errorMessage = error.message;
-      }
-      
-      setBookingModal({
-        visible: true,
-        success: false,
-        title: 'Booking Failed',
-        message: errorMessage,
-      });
+      showBookingError(error);
+    } finally {
+      closeConfirm();
     }
   };
 
@@ -891,6 +1011,7 @@ export default function HomeScreen() {
         onGoToHistory={() => setActiveScreen('history')}
         onGoToBookings={() => setActiveScreen('bookings')}
         onGoToPerformance={() => setActiveScreen('performance')}
+        onGoToWallet={() => setActiveScreen('wallet-history')}
       />
     );
 
@@ -917,6 +1038,7 @@ export default function HomeScreen() {
             onGoToHistory={() => setActiveScreen('history')}
             onGoToBookings={() => setActiveScreen('bookings')}
             onGoToPerformance={() => setActiveScreen('performance')}
+            onGoToWallet={() => setActiveScreen('wallet-history')}
           />
         );
       case 'bookings':
@@ -928,6 +1050,8 @@ export default function HomeScreen() {
             onBookLesson={handleBookLesson}
             refreshTrigger={dashboardRefreshKey}
             onGoHome={() => setActiveScreen('dashboard')}
+            focusBookingId={focusBookingId}
+            onFocusHandled={() => setFocusBookingId(null)}
           />
         );
       case 'history':
@@ -940,6 +1064,11 @@ export default function HomeScreen() {
             onGoHome={() => setActiveScreen('dashboard')}
           />
         );
+      case 'wallet-history':
+        if (userRole === 'coach') {
+          return <CoachDashboardScreen onNavigate={handleNavigate} />;
+        }
+        return <WalletHistoryScreen onGoHome={() => setActiveScreen('dashboard')} />;
       case 'performance':
         if (userRole === 'coach') {
           return <CoachDashboardScreen onNavigate={handleNavigate} />;
@@ -1013,6 +1142,27 @@ export default function HomeScreen() {
           return <CoachDashboardScreen onNavigate={handleNavigate} />;
         }
         return studentFallbackDashboard;
+      case 'admin-stripe-events':
+        if (userRole === 'admin') {
+          return <AdminStripeEventsScreen onNavigate={handleNavigate} />;
+        } else if (userRole === 'coach') {
+          return <CoachDashboardScreen onNavigate={handleNavigate} />;
+        }
+        return studentFallbackDashboard;
+      case 'admin-reconciliation':
+        if (userRole === 'admin') {
+          return <AdminReconciliationScreen onNavigate={handleNavigate} />;
+        } else if (userRole === 'coach') {
+          return <CoachDashboardScreen onNavigate={handleNavigate} />;
+        }
+        return studentFallbackDashboard;
+      case 'admin-notifications':
+        if (userRole === 'admin') {
+          return <AdminNotificationsScreen onNavigate={handleNavigate} />;
+        } else if (userRole === 'coach') {
+          return <CoachDashboardScreen onNavigate={handleNavigate} />;
+        }
+        return studentFallbackDashboard;
       case 'admin-performance':
         if (userRole === 'admin' || userRole === 'coach') {
           return (
@@ -1186,6 +1336,24 @@ export default function HomeScreen() {
         />
       )}
 
+      {/* Booking Confirmation (price breakdown + promo code) */}
+      <BookingConfirmModal
+        visible={bookingConfirm.visible}
+        segments={bookingConfirm.bookingData.map((b) => ({
+          locationId: b.locationId,
+          startTime: b.bookingStartTime,
+          endTime: b.bookingEndTime,
+          serviceName: b.serviceName,
+          cost: b.cost,
+          items: b.items,
+          availabilityIds: b.availabilityIds,
+        }))}
+        total={bookingConfirm.bookingData.reduce((sum, b) => sum + b.cost, 0)}
+        confirming={bookingConfirm.confirming}
+        onConfirm={handleConfirmBooking}
+        onClose={() => setBookingConfirm({ visible: false, bookingData: [], summary: null, confirming: false })}
+      />
+
       {/* Booking Result Modal */}
       <Modal
         visible={bookingModal.visible}
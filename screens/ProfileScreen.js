@@ -1,16 +1,40 @@
 import React, { useEffect, useState } from 'react';
-import { View, Text, StyleSheet, ScrollView, TouchableOpacity } from 'react-native';
+import { View, Text, StyleSheet, ScrollView, TouchableOpacity, TextInput, ActivityIndicator, Alert, Platform, Switch } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import { useAuth } from '../contexts/AuthContext';
 import { useLanguage } from '../contexts/LanguageContext';
-import { getTranslation } from '../utils/translations';
+import { useAcademy } from '../contexts/AcademyContext';
+import { t as tWithParams } from '../utils/translations';
+import { currencySymbol } from '../utils/currency';
 import { supabase } from '../lib/supabase';
+import { loadFamilyPlayers, addFamilyPlayer, archiveFamilyPlayer } from '../lib/family';
+import { loadAutoTopUpSettings, saveAutoTopUpSettings, startAutoTopUpCardSetup } from '../lib/autoTopUp';
+import { redirectToCheckout } from '../lib/stripe';
+import { PREFERENCE_EVENTS, loadNotificationPreferences, saveNotificationPreferences } from '../lib/notifications';
+
+const CLOCK_PATTERN = /^([01]?\d|2[0-3]):[0-5]\d$/;
 
 export default function ProfileScreen({ onSignOut, onNavigate }) {
   const { user, userRole, refreshUserRole } = useAuth();
   const { language } = useLanguage();
-  const t = (key) => getTranslation(language, key);
+  const { currency } = useAcademy();
+  const t = (key, params) => tWithParams(language, key, params || {});
   const [currentRole, setCurrentRole] = useState(null); // Direct role from database
+  const [familyPlayers, setFamilyPlayers] = useState([]);
+  const [newPlayerFirstName, setNewPlayerFirstName] = useState('');
+  const [newPlayerLastName, setNewPlayerLastName] = useState('');
+  const [savingPlayer, setSavingPlayer] = useState(false);
+  const [autoTopUp, setAutoTopUp] = useState(null);
+  const [autoTopUpEnabled, setAutoTopUpEnabled] = useState(false);
+  const [autoTopUpThreshold, setAutoTopUpThreshold] = useState('');
+  const [autoTopUpAmount, setAutoTopUpAmount] = useState('');
+  const [savingAutoTopUp, setSavingAutoTopUp] = useState(false);
+  const [startingCardSetup, setStartingCardSetup] = useState(false);
+  const [notificationPrefs, setNotificationPrefs] = useState(null);
+  const [quietHoursEnabled, setQuietHoursEnabled] = useState(false);
+  const [quietHoursStart, setQuietHoursStart] = useState('');
+  const [quietHoursEnd, setQuietHoursEnd] = useState('');
+  const [savingPrefs, setSavingPrefs] = useState(false);
 
   // CRITICAL: Fetch role DIRECTLY from database to bypass any caching
   useEffect(() => {
@@ -78,6 +102,151 @@ export default function ProfileScreen({ onSignOut, onNavigate }) {
   };
 
   const isAdmin = (currentRole === 'admin' || userRole === 'admin');
+  const isStudent = (currentRole || userRole) === 'student';
+
+  // Family account: juniors this student books for (lib/family.js)
+  useEffect(() => {
+    if (user?.id && isStudent) {
+      loadFamilyPlayers(user.id).then(setFamilyPlayers);
+    }
+  }, [user?.id, isStudent]);
+
+  // Auto top-up from a saved card (lib/autoTopUp.js)
+  useEffect(() => {
+    if (user?.id && isStudent) {
+      loadAutoTopUpSettings(user.id).then((settings) => {
+        setAutoTopUp(settings);
+        setAutoTopUpEnabled(settings.enabled);
+        setAutoTopUpThreshold(settings.threshold.toFixed(2));
+        setAutoTopUpAmount(settings.amount.toFixed(2));
+      });
+    }
+  }, [user?.id, isStudent]);
+
+  // Notification channels per event and quiet hours (lib/notifications.js)
+  useEffect(() => {
+    if (user?.id) {
+      loadNotificationPreferences(user.id).then((prefs) => {
+        setNotificationPrefs(prefs);
+        setQuietHoursEnabled(!!prefs.quietHoursStart);
+        setQuietHoursStart(prefs.quietHoursStart || '21:00');
+        setQuietHoursEnd(prefs.quietHoursEnd || '08:00');
+      });
+    }
+  }, [user?.id]);
+
+  const preferenceEvents = PREFERENCE_EVENTS.filter((event) =>
+    event.roles.includes(currentRole || userRole || 'student')
+  );
+
+  const togglePreference = (eventId, channel) => {
+    setNotificationPrefs((prev) => ({
+      ...prev,
+      channels: {
+        ...prev.channels,
+        [eventId]: { ...prev.channels[eventId], [channel]: !prev.channels[eventId][channel] },
+      },
+    }));
+  };
+
+  const handleSavePreferences = async () => {
+    if (savingPrefs || !notificationPrefs) return;
+    if (quietHoursEnabled && (!CLOCK_PATTERN.test(quietHoursStart.trim()) || !CLOCK_PATTERN.test(quietHoursEnd.trim()))) {
+      Alert.alert(t('error'), t('invalidQuietHours'));
+      return;
+    }
+    try {
+      setSavingPrefs(true);
+      const result = await saveNotificationPreferences({
+        channels: notificationPrefs.channels,
+        quietHoursStart: quietHoursEnabled ? quietHoursStart.trim() : '',
+        quietHoursEnd: quietHoursEnabled ? quietHoursEnd.trim() : '',
+      });
+      if (!result?.success) {
+        Alert.alert(t('error'), result?.message || t('failedToSaveNotificationPreferences'));
+        return;
+      }
+      Alert.alert(t('success'), t('notificationPreferencesSaved'));
+    } catch (error) {
+      Alert.alert(t('error'), t('failedToSaveNotificationPreferences'));
+    } finally {
+      setSavingPrefs(false);
+    }
+  };
+
+  const handleSaveCard = async () => {
+    try {
+      setStartingCardSetup(true);
+      const { url } = await startAutoTopUpCardSetup();
+      await redirectToCheckout(url);
+    } catch (error) {
+      Alert.alert(t('error'), t('failedToStartCardSetup'));
+    } finally {
+      setStartingCardSetup(false);
+    }
+  };
+
+  const handleSaveAutoTopUp = async () => {
+    if (savingAutoTopUp) return;
+    try {
+      setSavingAutoTopUp(true);
+      const result = await saveAutoTopUpSettings({
+        enabled: autoTopUpEnabled,
+        threshold: parseFloat(autoTopUpThreshold) || 0,
+        amount: parseFloat(autoTopUpAmount) || 0,
+      });
+      if (!result?.success) {
+        Alert.alert(t('error'), result?.message || t('failedToSaveAutoTopUp'));
+        return;
+      }
+      setAutoTopUp(await loadAutoTopUpSettings(user.id));
+      Alert.alert(t('success'), t('autoTopUpSaved'));
+    } catch (error) {
+      Alert.alert(t('error'), t('failedToSaveAutoTopUp'));
+    } finally {
+      setSavingAutoTopUp(false);
+    }
+  };
+
+  const handleAddPlayer = async () => {
+    if (!newPlayerFirstName.trim() || savingPlayer) return;
+    try {
+      setSavingPlayer(true);
+      const player = await addFamilyPlayer({
+        guardianId: user.id,
+        firstName: newPlayerFirstName,
+        lastName: newPlayerLastName,
+      });
+      setFamilyPlayers((prev) => [...prev, player].sort((a, b) => a.firstName.localeCompare(b.firstName)));
+      setNewPlayerFirstName('');
+      setNewPlayerLastName('');
+    } catch (error) {
+      Alert.alert(t('error'), t('failedToAddPlayer'));
+    } finally {
+      setSavingPlayer(false);
+    }
+  };
+
+  const removePlayer = async (player) => {
+    try {
+      await archiveFamilyPlayer(player.id);
+      setFamilyPlayers((prev) => prev.filter((p) => p.id !== player.id));
+    } catch (error) {
+      Alert.alert(t('error'), t('failedToRemovePlayer'));
+    }
+  };
+
+  const handleRemovePlayer = (player) => {
+    const message = `${player.fullName}\n\n${t('removePlayerMessage')}`;
+    if (Platform.OS === 'web') {
+      if (window.confirm(message)) removePlayer(player);
+      return;
+    }
+    Alert.alert(t('removePlayer'), message, [
+      { text: t('cancel'), style: 'cancel' },
+      { text: t('removePlayer'), style: 'destructive', onPress: () => removePlayer(player) },
+    ]);
+  };
 
   return (
     <ScrollView style={styles.container} contentContainerStyle={styles.content}>
@@ -103,6 +272,214 @@ export default function ProfileScreen({ onSignOut, onNavigate }) {
         </TouchableOpacity>
       )}
 
+      {isStudent && (
+        <View style={styles.familyCard}>
+          <Text style={styles.familyTitle}>{t('myFamily')}</Text>
+          <Text style={styles.familySubtitle}>{t('myFamilySubtitle')}</Text>
+          {familyPlayers.map((player) => (
+            <View key={player.id} style={styles.familyRow}>
+              <Ionicons name="person-circle-outline" size={22} color="#0D9488" />
+              <Text style={styles.familyName} numberOfLines={1}>{player.fullName}</Text>
+              <TouchableOpacity
+                onPress={() => handleRemovePlayer(player)}
+                accessibilityRole="button"
+                accessibilityLabel={`${t('removePlayer')} ${player.fullName}`}
+              >
+                <Ionicons name="close-circle-outline" size={20} color="#8E8E93" />
+              </TouchableOpacity>
+            </View>
+          ))}
+          <View style={styles.familyInputs}>
+            <TextInput
+              style={styles.familyInput}
+              value={newPlayerFirstName}
+              onChangeText={setNewPlayerFirstName}
+              placeholder={t('playerFirstName')}
+              placeholderTextColor="#8E8E93"
+            />
+            <TextInput
+              style={styles.familyInput}
+              value={newPlayerLastName}
+              onChangeText={setNewPlayerLastName}
+              placeholder={t('playerLastName')}
+              placeholderTextColor="#8E8E93"
+            />
+          </View>
+          <TouchableOpacity
+            style={[styles.dashboardButton, styles.familyAddButton, !newPlayerFirstName.trim() && styles.familyAddButtonDisabled]}
+            onPress={handleAddPlayer}
+            disabled={!newPlayerFirstName.trim() || savingPlayer}
+            activeOpacity={0.7}
+          >
+            {savingPlayer ? (
+              <ActivityIndicator size="small" color="#0D9488" />
+            ) : (
+              <>
+                <Ionicons name="person-add-outline" size={20} color="#0D9488" />
+                <Text style={styles.dashboardButtonText}>{t('addPlayer')}</Text>
+              </>
+            )}
+          </TouchableOpacity>
+        </View>
+      )}
+
+      {isStudent && autoTopUp && (
+        <View style={styles.familyCard}>
+          <Text style={styles.familyTitle}>{t('autoTopUp')}</Text>
+          <Text style={styles.familySubtitle}>{t('autoTopUpSubtitle')}</Text>
+          {autoTopUp.hasCard && (
+            <View style={styles.familyRow}>
+              <Ionicons name="card-outline" size={22} color="#0D9488" />
+              <Text style={styles.familyName} numberOfLines={1}>
+                {t('savedCard')}: {(autoTopUp.cardBrand || '').toUpperCase()} •••• {autoTopUp.cardLast4}
+              </Text>
+            </View>
+          )}
+          {!!autoTopUp.lastFailureMessage && (
+            <Text style={styles.autoTopUpError}>
+              {!autoTopUp.enabled && autoTopUp.failureCount >= 3
+                ? t('autoTopUpTurnedOff')
+                : `${t('autoTopUpLastFailure')} ${autoTopUp.lastFailureMessage}`}
+            </Text>
+          )}
+          {autoTopUp.hasCard && (
+            <>
+              <View style={styles.autoTopUpToggle}>
+                <Text style={styles.familyName}>{t('autoTopUpEnabled')}</Text>
+                <Switch
+                  value={autoTopUpEnabled}
+                  onValueChange={setAutoTopUpEnabled}
+                  trackColor={{ true: '#0D9488' }}
+                />
+              </View>
+              <View style={styles.familyInputs}>
+                <View style={styles.autoTopUpField}>
+                  <Text style={styles.autoTopUpLabel}>{t('autoTopUpThreshold', { symbol: currencySymbol(currency) })}</Text>
+                  <TextInput
+                    style={[styles.familyInput, styles.autoTopUpInput]}
+                    value={autoTopUpThreshold}
+                    onChangeText={setAutoTopUpThreshold}
+                    keyboardType="decimal-pad"
+                    placeholderTextColor="#8E8E93"
+                  />
+                </View>
+                <View style={styles.autoTopUpField}>
+                  <Text style={styles.autoTopUpLabel}>{t('autoTopUpAmount', { symbol: currencySymbol(currency) })}</Text>
+                  <TextInput
+                    style={[styles.familyInput, styles.autoTopUpInput]}
+                    value={autoTopUpAmount}
+                    onChangeText={setAutoTopUpAmount}
+                    keyboardType="decimal-pad"
+                    placeholderTextColor="#8E8E93"
+                  />
+                </View>
+              </View>
+              <TouchableOpacity
+                style={[styles.dashboardButton, styles.familyAddButton]}
+                onPress={handleSaveAutoTopUp}
+                disabled={savingAutoTopUp}
+                activeOpacity={0.7}
+              >
+                {savingAutoTopUp ? (
+                  <ActivityIndicator size="small" color="#0D9488" />
+                ) : (
+                  <Text style={styles.dashboardButtonText}>{t('save')}</Text>
+                )}
+              </TouchableOpacity>
+            </>
+          )}
+          <TouchableOpacity
+            style={[styles.dashboardButton, styles.familyAddButton]}
+            onPress={handleSaveCard}
+            disabled={startingCardSetup}
+            activeOpacity={0.7}
+          >
+            {startingCardSetup ? (
+              <ActivityIndicator size="small" color="#0D9488" />
+            ) : (
+              <>
+                <Ionicons name="card-outline" size={20} color="#0D9488" />
+                <Text style={styles.dashboardButtonText}>{autoTopUp.hasCard ? t('replaceCard') : t('saveCard')}</Text>
+              </>
+            )}
+          </TouchableOpacity>
+        </View>
+      )}
+
+      {notificationPrefs && preferenceEvents.length > 0 && (
+        <View style={styles.familyCard}>
+          <Text style={styles.familyTitle}>{t('notificationPreferences')}</Text>
+          <Text style={styles.familySubtitle}>{t('notificationPreferencesSubtitle')}</Text>
+          {!notificationPrefs.hasPhone && (
+            <Text style={styles.autoTopUpLabel}>{t('notificationsNoPhone')}</Text>
+          )}
+          <View style={styles.preferenceHeader}>
+            <Text style={styles.preferenceChannel}>{t('sms')}</Text>
+            <Text style={styles.preferenceChannel}>{t('email')}</Text>
+          </View>
+          {preferenceEvents.map((event) => (
+            <View key={event.id} style={styles.familyRow}>
+              <Text style={styles.familyName}>{t(event.labelKey)}</Text>
+              {['sms', 'email'].map((channel) => (
+                <View key={channel} style={styles.preferenceSwitch}>
+                  <Switch
+                    value={!!notificationPrefs.channels[event.id]?.[channel]}
+                    onValueChange={() => togglePreference(event.id, channel)}
+                    trackColor={{ true: '#0D9488' }}
+                    accessibilityLabel={`${t(event.labelKey)} ${t(channel)}`}
+                  />
+                </View>
+              ))}
+            </View>
+          ))}
+          <View style={styles.autoTopUpToggle}>
+            <Text style={styles.familyName}>{t('quietHours')}</Text>
+            <Switch
+              value={quietHoursEnabled}
+              onValueChange={setQuietHoursEnabled}
+              trackColor={{ true: '#0D9488' }}
+            />
+          </View>
+          <Text style={styles.autoTopUpLabel}>{t('quietHoursSubtitle')}</Text>
+          {quietHoursEnabled && (
+            <View style={styles.familyInputs}>
+              <View style={styles.autoTopUpField}>
+                <Text style={styles.autoTopUpLabel}>{t('quietHoursFrom')}</Text>
+                <TextInput
+                  style={[styles.familyInput, styles.autoTopUpInput]}
+                  value={quietHoursStart}
+                  onChangeText={setQuietHoursStart}
+                  placeholder="21:00"
+                  placeholderTextColor="#8E8E93"
+                />
+              </View>
+              <View style={styles.autoTopUpField}>
+                <Text style={styles.autoTopUpLabel}>{t('quietHoursTo')}</Text>
+                <TextInput
+                  style={[styles.familyInput, styles.autoTopUpInput]}
+                  value={quietHoursEnd}
+                  onChangeText={setQuietHoursEnd}
+                  placeholder="08:00"
+                  placeholderTextColor="#8E8E93"
+                />
+              </View>
+            </View>
+          )}
+          <TouchableOpacity
+            style={[styles.dashboardButton, styles.familyAddButton]}
+            onPress={handleSavePreferences}
+            disabled={savingPrefs}
+            activeOpacity={0.7}
+          >
+            {savingPrefs ? (
+              <ActivityIndicator size="small" color="#0D9488" />
+            ) : (
+              <Text style={styles.dashboardButtonText}>{t('save')}</Text>
+            )}
+          </TouchableOpacity>
+        </View>
+      )}
+
       <TouchableOpacity
         style={styles.signOutButton}
         onPress={onSignOut}
@@ -180,6 +557,98 @@ const styles = StyleSheet.create({
     fontWeight: '600',
     color: '#0D9488',
   },
+  familyCard: {
+    backgroundColor: '#fff',
+    borderRadius: 16,
+    padding: 16,
+    marginBottom: 16,
+    borderWidth: 1,
+    borderColor: '#E5E5EA',
+  },
+  familyTitle: {
+    fontSize: 18,
+    fontWeight: '700',
+    color: '#000',
+  },
+  familySubtitle: {
+    fontSize: 13,
+    color: '#8E8E93',
+    marginTop: 4,
+    marginBottom: 12,
+  },
+  familyRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 10,
+    paddingVertical: 10,
+    borderBottomWidth: 1,
+    borderBottomColor: '#F2F2F7',
+  },
+  familyName: {
+    flex: 1,
+    fontSize: 16,
+    fontWeight: '500',
+    color: '#000',
+  },
+  familyInputs: {
+    flexDirection: 'row',
+    gap: 8,
+    marginTop: 12,
+  },
+  familyInput: {
+    flex: 1,
+    borderWidth: 1,
+    borderColor: '#E5E5EA',
+    borderRadius: 10,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    fontSize: 15,
+    color: '#000',
+  },
+  familyAddButton: {
+    marginTop: 12,
+    marginBottom: 0,
+  },
+  familyAddButtonDisabled: {
+    opacity: 0.5,
+  },
+  autoTopUpToggle: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 10,
+    paddingVertical: 10,
+  },
+  autoTopUpField: {
+    flex: 1,
+  },
+  autoTopUpInput: {
+    flex: 0,
+  },
+  autoTopUpLabel: {
+    fontSize: 13,
+    color: '#8E8E93',
+    marginBottom: 6,
+  },
+  preferenceHeader: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+  },
+  preferenceChannel: {
+    width: 64,
+    textAlign: 'center',
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#8E8E93',
+  },
+  preferenceSwitch: {
+    width: 64,
+    alignItems: 'center',
+  },
+  autoTopUpError: {
+    fontSize: 13,
+    color: '#FF3B30',
+    marginTop: 10,
+  },
   signOutButton: {
     flexDirection: 'row',
     alignItems: 'center',
@@ -15,7 +15,7 @@ import { useAuth } from '../contexts/AuthContext';
 import { useLanguage } from '../contexts/LanguageContext';
 import { getTranslation } from '../utils/translations';
 import { supabase } from '../lib/supabase';
-import { utcToSydneyDate, utcToSydneyTime } from '../utils/timezone';
+import { getActiveTimeZone, utcToZonedDate, utcToZonedTime } from '../utils/timezone';
 
 // Service color configuration
 const SERVICE_COLORS = {
@@ -217,13 +217,13 @@ export default function StudentHistoryScreen(props) {
 
   const formatDateCompact = (dateString) => {
     const date = new Date(dateString);
-    const day = date.getDate();
-    const month = date.toLocaleDateString('en-US', { month: 'short' }).toUpperCase();
+    const day = Number(utcToZonedDate(dateString).slice(8));
+    const month = date.toLocaleDateString('en-US', { timeZone: getActiveTimeZone(), month: 'short' }).toUpperCase();
     return { day, month };
   };
 
   const formatTime = (dateString) => {
-    return utcToSydneyTime(dateString);
+    return utcToZonedTime(dateString);
   };
 
   // Tennis Court SVG for empty state
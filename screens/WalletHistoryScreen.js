@@ -0,0 +1,318 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  ScrollView,
+  StyleSheet,
+  TouchableOpacity,
+  RefreshControl,
+  Platform,
+  ActivityIndicator,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useAuth } from '../contexts/AuthContext';
+import { useLanguage } from '../contexts/LanguageContext';
+import { useAcademy } from '../contexts/AcademyContext';
+import { getTranslation } from '../utils/translations';
+import { utcToZonedDate, utcToZonedTime } from '../utils/timezone';
+import { getWalletBalance } from '../lib/stripe';
+import { loadWalletTransactions, WALLET_REASONS } from '../lib/walletTransactions';
+import RefundsCard from '../components/RefundsCard';
+
+/**
+ * Every credit and debit on the student's wallet, newest first, from the
+ * wallet_transactions ledger.
+ */
+export default function WalletHistoryScreen(props) {
+  const { onGoHome } = props ?? {};
+  const { user } = useAuth();
+  const { language } = useLanguage();
+  const { formatMoney } = useAcademy();
+  const t = (key) => getTranslation(language, key);
+  const [transactions, setTransactions] = useState([]);
+  const [balance, setBalance] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [refreshing, setRefreshing] = useState(false);
+  const [refreshKey, setRefreshKey] = useState(0);
+
+  useEffect(() => {
+    if (user) {
+      loadHistory();
+    }
+  }, [user]);
+
+  const loadHistory = async () => {
+    if (!user) return;
+    try {
+      setLoading(true);
+      const [rows, currentBalance] = await Promise.all([
+        loadWalletTransactions(user.id, { limit: 200 }),
+        getWalletBalance(user.id),
+      ]);
+      setTransactions(rows);
+      setBalance(currentBalance);
+    } catch (error) {
+      console.error('Error loading wallet history:', error);
+    } finally {
+      setLoading(false);
+      setRefreshing(false);
+    }
+  };
+
+  const onRefresh = () => {
+    setRefreshing(true);
+    setRefreshKey((prev) => prev + 1);
+    loadHistory();
+  };
+
+  if (loading && !refreshing) {
+    return (
+      <View style={styles.loadingContainer}>
+        <ActivityIndicator size="large" color="#0D9488" />
+        <Text style={styles.loadingText}>{t('loadingWalletHistory')}</Text>
+      </View>
+    );
+  }
+
+  return (
+    <ScrollView
+      style={styles.container}
+      contentContainerStyle={styles.content}
+      refreshControl={
+        <RefreshControl refreshing={refreshing} onRefresh={onRefresh} />
+      }
+    >
+      {typeof onGoHome === 'function' && (
+        <TouchableOpacity
+          style={styles.backHomeButton}
+          onPress={onGoHome}
+          accessible={true}
+          accessibilityLabel={t('returnHome')}
+          accessibilityRole="button"
+        >
+          <Ionicons name="arrow-back" size={20} color="#0D9488" />
+          <Text style={styles.backHomeButtonText}>{t('returnHome')}</Text>
+        </TouchableOpacity>
+      )}
+      <View style={styles.header}>
+        <Text style={styles.title}>{t('walletHistory')}</Text>
+        <Text style={styles.subtitle}>{t('walletHistorySubtitle')}</Text>
+      </View>
+
+      {balance != null && (
+        <View style={styles.balanceCard}>
+          <Text style={styles.balanceLabel}>{t('creditBalance')}</Text>
+          <Text style={styles.balanceValue}>{formatMoney(balance)}</Text>
+        </View>
+      )}
+
+      <RefundsCard userId={user?.id} refreshKey={refreshKey} />
+
+      {transactions.length === 0 ? (
+        <View style={styles.emptyState}>
+          <View style={styles.emptyIconContainer}>
+            <Ionicons name="wallet-outline" size={48} color="#0D9488" style={{ opacity: 0.3 }} />
+          </View>
+          <Text style={styles.emptyTitle}>{t('noWalletTransactions')}</Text>
+          <Text style={styles.emptySubtext}>{t('walletTransactionsHere')}</Text>
+        </View>
+      ) : (
+        <View style={styles.list}>
+          {transactions.map((transaction) => {
+            const reason = WALLET_REASONS[transaction.reason] || WALLET_REASONS.adjustment;
+            const isCredit = transaction.amount > 0;
+            return (
+              <View key={transaction.id} style={styles.row}>
+                <View style={[styles.rowIcon, isCredit ? styles.rowIconCredit : styles.rowIconDebit]}>
+                  <Ionicons name={reason.icon} size={18} color={isCredit ? '#059669' : '#64748B'} />
+                </View>
+                <View style={styles.rowInfo}>
+                  <Text style={styles.rowTitle} numberOfLines={1}>{t(reason.labelKey)}</Text>
+                  {!!transaction.description && (
+                    <Text style={styles.rowDescription} numberOfLines={1}>{transaction.description}</Text>
+                  )}
+                  <Text style={styles.rowDate}>
+                    {utcToZonedDate(transaction.createdAt)} · {utcToZonedTime(transaction.createdAt)}
+                  </Text>
+                </View>
+                <View style={styles.rowAmounts}>
+                  <Text style={[styles.rowAmount, isCredit && styles.rowAmountCredit]}>
+                    {formatMoney(transaction.amount, { signed: true })}
+                  </Text>
+                  <Text style={styles.rowBalance}>{formatMoney(transaction.balanceAfter)}</Text>
+                </View>
+              </View>
+            );
+          })}
+        </View>
+      )}
+    </ScrollView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#FAFAFA',
+  },
+  content: {
+    padding: 20,
+    paddingBottom: 40,
+  },
+  backHomeButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    alignSelf: 'flex-start',
+    gap: 6,
+    marginBottom: 20,
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+    borderRadius: 8,
+    backgroundColor: 'rgba(13, 148, 136, 0.08)',
+    borderWidth: 1,
+    borderColor: 'rgba(13, 148, 136, 0.2)',
+  },
+  backHomeButtonText: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#0D9488',
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: '#FAFAFA',
+  },
+  loadingText: {
+    marginTop: 12,
+    fontSize: 14,
+    color: '#6B7280',
+  },
+  header: {
+    marginBottom: 24,
+  },
+  title: {
+    fontSize: 28,
+    fontWeight: '700',
+    color: '#111827',
+    marginBottom: 6,
+    ...(Platform.OS === 'web' && {
+      fontFamily: 'Inter, -apple-system, BlinkMacSystemFont, sans-serif',
+    }),
+  },
+  subtitle: {
+    fontSize: 14,
+    color: '#6B7280',
+    fontWeight: '500',
+  },
+  balanceCard: {
+    backgroundColor: 'rgba(13, 148, 136, 0.08)',
+    borderRadius: 16,
+    padding: 20,
+    marginBottom: 16,
+  },
+  balanceLabel: {
+    fontSize: 13,
+    fontWeight: '500',
+    color: '#0F766E',
+  },
+  balanceValue: {
+    fontSize: 32,
+    fontWeight: '700',
+    color: '#0F172A',
+    marginTop: 4,
+  },
+  list: {
+    backgroundColor: '#FFFFFF',
+    borderRadius: 16,
+    borderWidth: 0.5,
+    borderColor: 'rgba(0, 0, 0, 0.06)',
+    overflow: 'hidden',
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 14,
+    paddingHorizontal: 16,
+    borderBottomWidth: 1,
+    borderBottomColor: '#F3F4F6',
+    gap: 12,
+  },
+  rowIcon: {
+    width: 36,
+    height: 36,
+    borderRadius: 10,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  rowIconCredit: {
+    backgroundColor: 'rgba(5, 150, 105, 0.1)',
+  },
+  rowIconDebit: {
+    backgroundColor: 'rgba(100, 116, 139, 0.1)',
+  },
+  rowInfo: {
+    flex: 1,
+  },
+  rowTitle: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#111827',
+  },
+  rowDescription: {
+    fontSize: 13,
+    color: '#374151',
+    marginTop: 2,
+  },
+  rowDate: {
+    fontSize: 12,
+    color: '#9CA3AF',
+    marginTop: 2,
+  },
+  rowAmounts: {
+    alignItems: 'flex-end',
+  },
+  rowAmount: {
+    fontSize: 15,
+    fontWeight: '700',
+    color: '#111827',
+  },
+  rowAmountCredit: {
+    color: '#059669',
+  },
+  rowBalance: {
+    fontSize: 12,
+    color: '#9CA3AF',
+    marginTop: 2,
+  },
+  // Empty State
+  emptyState: {
+    alignItems: 'center',
+    paddingVertical: 60,
+  },
+  emptyIconContainer: {
+    width: 100,
+    height: 100,
+    borderRadius: 50,
+    backgroundColor: 'rgba(13, 148, 136, 0.08)',
+    alignItems: 'center',
+    justifyContent: 'center',
+    marginBottom: 20,
+  },
+  emptyTitle: {
+    fontSize: 20,
+    fontWeight: '700',
+    color: '#111827',
+    marginBottom: 8,
+    ...(Platform.OS === 'web' && {
+      fontFamily: 'Inter, -apple-system, BlinkMacSystemFont, sans-serif',
+    }),
+  },
+  emptySubtext: {
+    fontSize: 14,
+    color: '#6B7280',
+    textAlign: 'center',
+    paddingHorizontal: 40,
+    lineHeight: 20,
+  },
+});
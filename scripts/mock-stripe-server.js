@@ -0,0 +1,105 @@
+#!/usr/bin/env node
+/**
+ * Local mock of the Stripe API for trying stripe-reconcile (and dynamic-task's
+ * reads) without a Stripe account.
+ *
+ * Serves the Checkout sessions and payment intents in a fixtures file:
+ *   GET /v1/checkout/sessions[?created[gte]=&created[lte]=&status=&limit=&starting_after=]
+ *   GET /v1/checkout/sessions/:id
+ *   GET /v1/payment_intents[?...same filters]
+ *   GET /v1/payment_intents/:id
+ * Anything else answers with a Stripe-style 404 error.
+ *
+ * Run: node scripts/mock-stripe-server.js [path/to/fixtures.json]
+ * (default scripts/mock-stripe-fixtures.json, port MOCK_STRIPE_PORT or 12111)
+ * Then serve the functions with STRIPE_API_BASE=http://host.docker.internal:12111/v1
+ * and any STRIPE_SECRET_KEY. Put real profile ids from your local database in
+ * the fixtures' metadata.userId. Objects without "created" get the server's
+ * start time; "created_days_ago" is also accepted.
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const fixturesPath = path.resolve(process.argv[2] || path.join(__dirname, 'mock-stripe-fixtures.json'));
+const port = Number(process.env.MOCK_STRIPE_PORT || 12111);
+const startedAt = Math.floor(Date.now() / 1000);
+
+const withCreated = (object) => {
+  if (object.created) return object;
+  const daysAgo = Number(object.created_days_ago || 0);
+  const { created_days_ago: _unused, ...rest } = object;
+  return { ...rest, created: startedAt - Math.round(daysAgo * 86400) };
+};
+
+const loadFixtures = () => {
+  const raw = JSON.parse(fs.readFileSync(fixturesPath, 'utf8'));
+  return {
+    'checkout/sessions': (raw.checkout_sessions || []).map((s) => withCreated({ object: 'checkout.session', ...s })),
+    payment_intents: (raw.payment_intents || []).map((p) => withCreated({ object: 'payment_intent', ...p })),
+  };
+};
+
+const send = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+};
+
+const notFound = (res, message) =>
+  send(res, 404, { error: { type: 'invalid_request_error', code: 'resource_missing', message } });
+
+// Newest first like Stripe, with the same created/status filters and cursor
+const list = (objects, query, url) => {
+  const gte = query.get('created[gte]');
+  const lte = query.get('created[lte]');
+  const status = query.get('status');
+  const limit = Math.min(Number(query.get('limit') || 10), 100);
+  let items = objects
+    .filter((o) => (gte ? o.created >= Number(gte) : true))
+    .filter((o) => (lte ? o.created <= Number(lte) : true))
+    .filter((o) => (status ? o.status === status : true))
+    .sort((a, b) => b.created - a.created);
+  const after = query.get('starting_after');
+  if (after) {
+    const index = items.findIndex((o) => o.id === after);
+    items = index >= 0 ? items.slice(index + 1) : [];
+  }
+  return { object: 'list', url, has_more: items.length > limit, data: items.slice(0, limit) };
+};
+
+const server = http.createServer((req, res) => {
+  const url = new URL(req.url, `http://localhost:${port}`);
+  if (req.method !== 'GET') {
+    send(res, 405, { error: { type: 'invalid_request_error', message: 'The mock only answers GET requests' } });
+    return;
+  }
+
+  // Re-read on every request so fixtures can be edited while it runs
+  let fixtures;
+  try {
+    fixtures = loadFixtures();
+  } catch (error) {
+    send(res, 500, { error: { type: 'api_error', message: `Could not read ${fixturesPath}: ${error.message}` } });
+    return;
+  }
+
+  const match = url.pathname.match(/^\/v1\/(checkout\/sessions|payment_intents)(?:\/([^/]+))?$/);
+  if (!match) {
+    notFound(res, `Unrecognized request URL (GET: ${url.pathname})`);
+    return;
+  }
+  const [, resource, id] = match;
+  const objects = fixtures[resource];
+  if (id) {
+    const object = objects.find((o) => o.id === id);
+    if (object) send(res, 200, object);
+    else notFound(res, `No such ${resource === 'payment_intents' ? 'payment_intent' : 'checkout session'}: '${id}'`);
+    return;
+  }
+  send(res, 200, list(objects, url.searchParams, `/v1/${resource}`));
+});
+
+server.listen(port, () => {
+  console.log(`Mock Stripe API on http://localhost:${port}/v1 (fixtures: ${fixturesPath})`);
+});
@@ -0,0 +1,672 @@
+// Supabase Edge Function: send queued notifications (see 034_notifications.sql).
+// Called by the Database Webhook on `notifications` INSERT (sends that row), by a
+// pg_cron job every minute (retries and scheduled messages) and by the admin
+// Notifications screen after a resend ({ ids }).
+// enqueue_notification picks the channel from the recipient's preferences
+// (035_notification_preferences.sql); a row without one goes by SMS when the recipient
+// has a phone, otherwise by email. Admin alerts go to the academy's alert recipients,
+// or ADMIN_PHONE / ADMIN_EMAIL when it has none. Emails are branded HTML; booking
+// emails attach an .ics invite or cancellation (037_booking_emails.sql).
+// Twilio reports delivery to ?action=twilio-status, which is checked against
+// X-Twilio-Signature.
+// Secrets: TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN, TWILIO_PHONE, RESEND_API_KEY,
+// RESEND_FROM_EMAIL (optional), ADMIN_PHONE, ADMIN_EMAIL (optional), APP_URL (optional).
+
+import { createClient, SupabaseClient } from "https://esm.sh/@supabase/supabase-js@2";
+
+const corsHeaders = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Headers": "authorization, x-client-info, apikey, content-type",
+};
+
+const BATCH_SIZE = 50;
+const DEFAULT_TIMEZONE = "Australia/Sydney";
+const DEFAULT_CURRENCY = "aud";
+
+interface NotificationRow {
+  id: string;
+  academy_id: string | null;
+  template: string;
+  audience: "user" | "admin";
+  recipient_id: string | null;
+  alert_recipient_id: string | null;
+  channel: "sms" | "email" | null;
+  to_address: string | null;
+  data: Record<string, unknown>;
+  attempts: number;
+}
+
+interface Recipient {
+  firstName: string | null;
+  phone: string | null;
+  email: string | null;
+  timeZone: string;
+  currency: string;
+}
+
+/** A lesson as a calendar invite (REQUEST) or the removal of one (CANCEL) */
+interface CalendarEvent {
+  method: "REQUEST" | "CANCEL";
+  bookingId: string;
+  start: string;
+  end: string | null;
+  summary: string;
+  location: string;
+  description?: string;
+}
+
+interface Message {
+  subject: string;
+  text: string;
+  /** Email only: button under the message */
+  action?: { label: string; url: string };
+  /** Email only: attached as an .ics file (not for admin alerts) */
+  calendar?: CalendarEvent;
+}
+
+/** sent, or why not: retry = worth trying again later (rate limit, provider down) */
+interface SendResult {
+  ok: boolean;
+  id?: string;
+  error?: string;
+  retry?: boolean;
+}
+
+function json(body: unknown, status = 200) {
+  return new Response(JSON.stringify(body), {
+    headers: { ...corsHeaders, "Content-Type": "application/json" },
+    status,
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Formatting in the academy's timezone and currency (032, 033)
+// ---------------------------------------------------------------------------
+
+/** "15/01/26, 8:00 am" */
+function formatShort(iso: unknown, timeZone: string): string {
+  try {
+    return new Date(String(iso)).toLocaleString("en-AU", { timeZone, dateStyle: "short", timeStyle: "short" });
+  } catch {
+    return String(iso ?? "");
+  }
+}
+
+/** "15 Jan 2026, 8:00 am" */
+function formatDateTime(iso: unknown, timeZone: string): string {
+  try {
+    const d = new Date(String(iso));
+    const date = d.toLocaleDateString("en-AU", { timeZone, day: "numeric", month: "short", year: "numeric" });
+    const time = d.toLocaleTimeString("en-AU", { timeZone, hour: "numeric", minute: "2-digit" });
+    return `${date}, ${time}`;
+  } catch {
+    return String(iso ?? "");
+  }
+}
+
+function formatMoney(amount: unknown, currency: string): string {
+  const zeroDecimal = currency === "jpy";
+  return new Intl.NumberFormat("en-AU", {
+    style: "currency",
+    currency: currency.toUpperCase(),
+    currencyDisplay: "narrowSymbol",
+    minimumFractionDigits: zeroDecimal ? 0 : 2,
+    maximumFractionDigits: zeroDecimal ? 0 : 2,
+  }).format(Number(amount ?? 0));
+}
+
+// ---------------------------------------------------------------------------
+// Templates: one per notifications.template. SMS sends text; email sends
+// subject + text.
+// ---------------------------------------------------------------------------
+
+type Template = (data: Record<string, unknown>, to: Recipient, appUrl: string) => Message;
+
+const str = (value: unknown, fallback = "") => (value == null || value === "" ? fallback : String(value));
+
+const absoluteUrl = (appUrl: string) => (/^https?:\/\//.test(appUrl) ? appUrl : `https://${appUrl}`);
+
+const lessonLocation = (d: Record<string, unknown>) =>
+  `${str(d.location_name, "Unknown location")}${d.location_address ? `, ${d.location_address}` : ""}`;
+
+function lessonCalendar(
+  d: Record<string, unknown>,
+  method: CalendarEvent["method"],
+  summary: string,
+  appUrl: string
+): CalendarEvent | undefined {
+  if (!d.booking_id || !d.start_time) return undefined;
+  return {
+    method,
+    bookingId: String(d.booking_id),
+    start: String(d.start_time),
+    end: d.end_time ? String(d.end_time) : null,
+    summary,
+    location: lessonLocation(d),
+    description: `Manage your bookings: ${absoluteUrl(appUrl)}`,
+  };
+}
+
+const TEMPLATES: Record<string, Template> = {
+  booking_created: (d, to) => ({
+    subject: `New booking: ${str(d.student_name, "A student")}`,
+    text: `New booking: ${str(d.student_name, "A student")} at ${str(d.location_name, "Unknown location")} on ` +
+      `${formatShort(d.start_time, to.timeZone)}${d.service_name ? ` (${d.service_name})` : ""}. Please assign a coach.`,
+  }),
+
+  coach_assigned: (d, to, appUrl) => ({
+    subject: `Lesson assigned: ${formatDateTime(d.start_time, to.timeZone)}`,
+    text: [
+      `You've been assigned: ${str(d.student_name, "A student")} at ${str(d.location_name, "Unknown location")} on ` +
+        `${formatShort(d.start_time, to.timeZone)}${d.service_name ? ` (${d.service_name})` : ""}.`,
+      "",
+      `To view your upcoming bookings: ${appUrl}`,
+    ].join("\n"),
+    action: { label: "View my lessons", url: absoluteUrl(appUrl) },
+    calendar: lessonCalendar(d, "REQUEST", `${str(d.service_name, "Lesson").trim()}: ${str(d.student_name, "A student")}`, appUrl),
+  }),
+
+  booking_confirmed: (d, to, appUrl) => ({
+    subject: "Booking Confirmed: Airdrop Tennis",
+    text: [
+      "🎾 Booking Confirmed: Airdrop Tennis",
+      "",
+      `Hi ${to.firstName || "there"}, you're all set for your ${str(d.service_name, "lesson").trim()}!`,
+      "",
+      `📅 ${formatDateTime(d.start_time, to.timeZone)}`,
+      `📍 ${lessonLocation(d)}`,
+      "",
+      `To view your upcoming bookings: ${appUrl}`,
+      "",
+      "See you on the court!",
+    ].join("\n"),
+    action: { label: "View my bookings", url: absoluteUrl(appUrl) },
+    calendar: lessonCalendar(d, "REQUEST", `Tennis: ${str(d.service_name, "lesson").trim()}`, appUrl),
+  }),
+
+  booking_cancelled: (d, to, appUrl) => ({
+    subject: `Booking cancelled: ${str(d.student_name, "A student")}`,
+    text: [
+      "A booking has been cancelled by the user.",
+      "",
+      `${formatDateTime(d.start_time, to.timeZone)} at ${str(d.location_name, "Unknown location")}`,
+      `Student: ${str(d.student_name, "A student")}`,
+      "",
+      appUrl,
+    ].join("\n"),
+    calendar: lessonCalendar(d, "CANCEL", `${str(d.service_name, "Lesson").trim()}: ${str(d.student_name, "A student")}`, appUrl),
+  }),
+
+  cancellation_confirmed: (d, to, appUrl) => ({
+    subject: `Lesson cancelled: ${formatDateTime(d.start_time, to.timeZone)}`,
+    text: [
+      `Hi ${to.firstName || "there"}, your ${str(d.service_name, "lesson").trim()} at ${str(d.location_name, "Unknown location")} ` +
+        `on ${formatDateTime(d.start_time, to.timeZone)} has been cancelled.`,
+      "",
+      `To book another lesson: ${appUrl}`,
+    ].join("\n"),
+    action: { label: "Book a lesson", url: absoluteUrl(appUrl) },
+    calendar: lessonCalendar(d, "CANCEL", `Tennis: ${str(d.service_name, "lesson").trim()}`, appUrl),
+  }),
+
+  rain_check: (d, to, appUrl) => ({
+    subject: "Lesson cancelled due to rain",
+    text: [
+      `Due to rain, your upcoming tennis lesson at ${str(d.location_name, "Unknown location")}, ` +
+        `${formatDateTime(d.start_time, to.timeZone)} has been cancelled. You have been refunded for this session.`,
+      "",
+      `Please re-book your lesson: ${appUrl}`,
+      "",
+      "We apologise for any inconvenience",
+    ].join("\n"),
+    action: { label: "Re-book your lesson", url: absoluteUrl(appUrl) },
+    calendar: lessonCalendar(d, "CANCEL", `Tennis: ${str(d.service_name, "lesson").trim()}`, appUrl),
+  }),
+
+  waitlist_promoted: (d, to) => {
+    const hi = to.firstName ? ` ${to.firstName}` : "";
+    const service = d.service_name ? `${d.service_name} ` : "";
+    const cost = Number(d.cost ?? 0);
+    return {
+      subject: "A place opened up: you're booked",
+      text: `Hi${hi}, a place opened up and you're booked into ${service}at ${str(d.location_name, "Unknown location")} on ` +
+        `${formatShort(d.start_time, to.timeZone)}.` +
+        (cost > 0 ? ` ${formatMoney(cost, to.currency)} was charged from your wallet.` : ""),
+    };
+  },
+
+  waitlist_skipped: (d, to) => {
+    const hi = to.firstName ? ` ${to.firstName}` : "";
+    const service = d.service_name ? `${d.service_name} ` : "";
+    return {
+      subject: "A waitlist place went to the next person",
+      text: `Hi${hi}, a place opened up for ${service}at ${str(d.location_name, "Unknown location")} on ` +
+        `${formatShort(d.start_time, to.timeZone)}, but your wallet balance didn't cover the ` +
+        `${formatMoney(d.cost, to.currency)} lesson, so it went to the next person on the waitlist.`,
+    };
+  },
+
+  auto_topup_succeeded: (d, to) => {
+    const hi = to.firstName ? ` ${to.firstName}` : "";
+    const card = d.card_last4 ? `card ending ${d.card_last4}` : "saved card";
+    return {
+      subject: "Your wallet was topped up",
+      text: `Hi${hi}, your wallet was topped up automatically: ${formatMoney(d.amount, to.currency)} was charged to your ${card}.`,
+    };
+  },
+
+  auto_topup_failed: (d, to) => {
+    const hi = to.firstName ? ` ${to.firstName}` : "";
+    const card = d.card_last4 ? `card ending ${d.card_last4}` : "saved card";
+    let text = `Hi${hi}, we couldn't top up your wallet: the ${formatMoney(d.amount, to.currency)} charge to your ${card} failed` +
+      (d.failure_message ? ` (${d.failure_message})` : "") + ".";
+    text += d.disabled
+      ? " Auto top-up is now off. Update your card in your profile to turn it back on."
+      : " Please check your card in your profile.";
+    return { subject: "Auto top-up failed", text };
+  },
+
+  lesson_reminder: (d, to, appUrl) => {
+    const lesson = `${d.player_name ? `${d.player_name}'s` : "your"} ${str(d.service_name, "lesson").trim()}`;
+    return {
+      subject: `Reminder: ${lesson} on ${formatDateTime(d.start_time, to.timeZone)}`,
+      text: [
+        `Hi ${to.firstName || "there"}, a reminder about ${lesson}:`,
+        "",
+        `📅 ${formatDateTime(d.start_time, to.timeZone)}`,
+        `📍 ${lessonLocation(d)}`,
+        "",
+        `To cancel or reschedule: ${appUrl}/home?booking=${str(d.booking_id)}`,
+      ].join("\n"),
+      action: { label: "Cancel or reschedule", url: `${absoluteUrl(appUrl)}/home?booking=${str(d.booking_id)}` },
+    };
+  },
+};
+
+// ---------------------------------------------------------------------------
+// Providers
+// ---------------------------------------------------------------------------
+
+function twilioStatusUrl(): string {
+  return `${Deno.env.get("SUPABASE_URL")}/functions/v1/dispatch-notifications?action=twilio-status`;
+}
+
+async function sendSms(to: string, body: string): Promise<SendResult> {
+  const sid = Deno.env.get("TWILIO_ACCOUNT_SID");
+  const token = Deno.env.get("TWILIO_AUTH_TOKEN");
+  const from = Deno.env.get("TWILIO_PHONE");
+  if (!sid || !token || !from) {
+    return { ok: false, error: "SMS not configured (TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN, TWILIO_PHONE)", retry: true };
+  }
+
+  try {
+    const res = await fetch(`https://api.twilio.com/2010-04-01/Accounts/${sid}/Messages.json`, {
+      method: "POST",
+      headers: {
+        Authorization: `Basic ${btoa(`${sid}:${token}`)}`,
+        "Content-Type": "application/x-www-form-urlencoded",
+      },
+      body: new URLSearchParams({ To: to, From: from, Body: body, StatusCallback: twilioStatusUrl() }).toString(),
+    });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) {
+      // 4xx other than rate limiting (e.g. 21211 invalid number) will not succeed on retry
+      return {
+        ok: false,
+        error: `Twilio ${res.status}${data?.code ? ` (${data.code})` : ""}: ${data?.message || "send failed"}`,
+        retry: res.status === 429 || res.status >= 500,
+      };
+    }
+    return { ok: true, id: data.sid };
+  } catch (e) {
+    return { ok: false, error: `Twilio request failed: ${String(e)}`, retry: true };
+  }
+}
+
+function escapeHtml(text: string): string {
+  return text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+}
+
+// ---------------------------------------------------------------------------
+// Email: branded HTML (same look as auth-send-email) and .ics invites (RFC 5545).
+// Every invite for a booking has the same UID, so a CANCEL removes the event
+// the REQUEST added.
+// ---------------------------------------------------------------------------
+
+const DEFAULT_FROM_EMAIL = "Airdrop Tennis <noreply@airdroptennis.com>";
+
+function emailHtml(message: Message): string {
+  const paragraphs = message.text
+    .split(/\n{2,}/)
+    .map((p) => `<p style="margin:0 0 16px;font-size:16px;line-height:1.6;color:#444444;">${escapeHtml(p).replace(/\n/g, "<br>")}</p>`)
+    .join("\n          ");
+  const action = message.action
+    ? `<p style="margin:32px 0 0;text-align:center;">
+            <a href="${escapeHtml(message.action.url)}" style="display:inline-block;background:#E5FF00;color:#111111;font-weight:600;text-decoration:none;padding:14px 28px;border-radius:8px;font-size:16px;">${escapeHtml(message.action.label)}</a>
+          </p>`
+    : "";
+  const calendarNote = message.calendar
+    ? `<p style="margin:24px 0 0;font-size:13px;line-height:1.5;color:#888888;">${
+      message.calendar.method === "CANCEL"
+        ? "The attached calendar update removes this lesson from your calendar."
+        : "Open the attached invite to add this lesson to your calendar."
+    }</p>`
+    : "";
+
+  return `<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><meta name="viewport" content="width=device-width,initial-scale=1"></head>
+<body style="margin:0;padding:0;background:#f5f5f5;font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,sans-serif;">
+  <table width="100%" cellpadding="0" cellspacing="0" style="background:#f5f5f5;padding:32px 16px;">
+    <tr><td align="center">
+      <table width="100%" style="max-width:520px;background:#ffffff;border-radius:12px;overflow:hidden;box-shadow:0 2px 8px rgba(0,0,0,0.06);">
+        <tr><td style="background:#111111;padding:24px 32px;">
+          <span style="color:#E5FF00;font-size:20px;font-weight:700;letter-spacing:-0.5px;">Airdrop Tennis</span>
+        </td></tr>
+        <tr><td style="padding:32px;">
+          <h1 style="margin:0 0 16px;font-size:22px;color:#111111;">${escapeHtml(message.subject)}</h1>
+          ${paragraphs}
+          ${action}
+          ${calendarNote}
+        </td></tr>
+      </table>
+    </td></tr>
+  </table>
+</body>
+</html>`;
+}
+
+/** 2026-01-15T08:00:00.000Z → 20260115T080000Z */
+function icsDate(value: string | number): string {
+  return new Date(value).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+function icsText(value: string): string {
+  return value.replace(/\\/g, "\\\\").replace(/;/g, "\\;").replace(/,/g, "\\,").replace(/\r?\n/g, "\\n");
+}
+
+/** Lines longer than 75 octets continue on the next line, indented by a space */
+function foldLine(line: string): string {
+  const encoder = new TextEncoder();
+  const parts: string[] = [];
+  let current = "";
+  let size = 0;
+  for (const char of line) {
+    const charSize = encoder.encode(char).length;
+    if (size + charSize > 74) {
+      parts.push(current);
+      current = " ";
+      size = 1;
+    }
+    current += char;
+    size += charSize;
+  }
+  parts.push(current);
+  return parts.join("\r\n");
+}
+
+function buildIcs(event: CalendarEvent, organizer: string, attendee: string): string {
+  const cancel = event.method === "CANCEL";
+  const start = new Date(event.start).getTime();
+  const end = event.end ? new Date(event.end).getTime() : start + 60 * 60 * 1000;
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//Airdrop Tennis//Bookings//EN",
+    "CALSCALE:GREGORIAN",
+    `METHOD:${event.method}`,
+    "BEGIN:VEVENT",
+    `UID:booking-${event.bookingId}@airdroptennis.com`,
+    `SEQUENCE:${cancel ? 1 : 0}`,
+    `DTSTAMP:${icsDate(Date.now())}`,
+    `DTSTART:${icsDate(start)}`,
+    `DTEND:${icsDate(end)}`,
+    `SUMMARY:${icsText(event.summary)}`,
+    `LOCATION:${icsText(event.location)}`,
+    ...(event.description ? [`DESCRIPTION:${icsText(event.description)}`] : []),
+    `ORGANIZER;CN=Airdrop Tennis:mailto:${organizer}`,
+    `ATTENDEE;ROLE=REQ-PARTICIPANT;PARTSTAT=ACCEPTED;RSVP=FALSE:mailto:${attendee}`,
+    `STATUS:${cancel ? "CANCELLED" : "CONFIRMED"}`,
+    "END:VEVENT",
+    "END:VCALENDAR",
+  ];
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+}
+
+function base64(text: string): string {
+  let binary = "";
+  for (const byte of new TextEncoder().encode(text)) binary += String.fromCharCode(byte);
+  return btoa(binary);
+}
+
+async function sendEmail(to: string, message: Message): Promise<SendResult> {
+  const apiKey = Deno.env.get("RESEND_API_KEY");
+  const from = Deno.env.get("RESEND_FROM_EMAIL") || DEFAULT_FROM_EMAIL;
+  if (!apiKey) {
+    return { ok: false, error: "Email not configured (RESEND_API_KEY)", retry: true };
+  }
+
+  try {
+    const organizer = from.match(/<([^>]+)>/)?.[1] ?? from;
+    const attachments = message.calendar
+      ? [{
+        filename: message.calendar.method === "CANCEL" ? "cancelled-lesson.ics" : "lesson.ics",
+        content: base64(buildIcs(message.calendar, organizer, to)),
+        content_type: `text/calendar; charset=utf-8; method=${message.calendar.method}`,
+      }]
+      : undefined;
+    const res = await fetch("https://api.resend.com/emails", {
+      method: "POST",
+      headers: {
+        Authorization: `Bearer ${apiKey}`,
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify({
+        from,
+        to: [to],
+        subject: message.subject,
+        html: emailHtml(message),
+        text: message.action ? `${message.text}\n\n${message.action.label}: ${message.action.url}` : message.text,
+        attachments,
+      }),
+    });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) {
+      return {
+        ok: false,
+        error: `Resend ${res.status}: ${data?.message || "send failed"}`,
+        retry: res.status === 429 || res.status >= 500,
+      };
+    }
+    return { ok: true, id: data.id };
+  } catch (e) {
+    return { ok: false, error: `Resend request failed: ${String(e)}`, retry: true };
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Dispatch
+// ---------------------------------------------------------------------------
+
+async function loadRecipient(supabase: SupabaseClient, row: NotificationRow): Promise<Recipient | null> {
+  if (row.audience === "admin") {
+    const { data: academy } = row.academy_id
+      ? await supabase.from("academies").select("timezone, currency").eq("id", row.academy_id).maybeSingle()
+      : { data: null };
+    // Recipients added on the Notifications screen; otherwise the admin line secrets
+    const address = row.alert_recipient_id ? row.to_address : null;
+    return {
+      firstName: null,
+      phone: address ? (row.channel === "sms" ? address : null) : Deno.env.get("ADMIN_PHONE")?.trim() || null,
+      email: address ? (row.channel === "email" ? address : null) : Deno.env.get("ADMIN_EMAIL")?.trim() || null,
+      timeZone: academy?.timezone || DEFAULT_TIMEZONE,
+      currency: academy?.currency || DEFAULT_CURRENCY,
+    };
+  }
+
+  if (!row.recipient_id) return null;
+  const { data: profile } = await supabase
+    .from("profiles")
+    .select("first_name, phone, email, academies(timezone, currency)")
+    .eq("id", row.recipient_id)
+    .maybeSingle();
+  if (!profile) return null;
+  return {
+    firstName: profile.first_name?.trim() || null,
+    phone: profile.phone?.trim() || null,
+    email: profile.email?.trim() || null,
+    timeZone: profile.academies?.timezone || DEFAULT_TIMEZONE,
+    currency: profile.academies?.currency || DEFAULT_CURRENCY,
+  };
+}
+
+async function recordResult(
+  supabase: SupabaseClient,
+  id: string,
+  outcome: "sent" | "skipped" | "failed" | "retry",
+  fields: { channel?: string; to?: string; message?: Message; providerId?: string; error?: string } = {}
+) {
+  const { error } = await supabase.rpc("record_notification_result", {
+    p_id: id,
+    p_outcome: outcome,
+    p_channel: fields.channel ?? null,
+    p_to_address: fields.to ?? null,
+    p_subject: fields.message?.subject ?? null,
+    p_body: fields.message?.text ?? null,
+    p_provider_id: fields.providerId ?? null,
+    p_error: fields.error ?? null,
+  });
+  if (error) console.error("record_notification_result failed:", id, error.message);
+}
+
+async function dispatch(supabase: SupabaseClient, row: NotificationRow): Promise<string> {
+  const template = TEMPLATES[row.template];
+  if (!template) {
+    await recordResult(supabase, row.id, "failed", { error: `Unknown template ${row.template}` });
+    return "failed";
+  }
+
+  // e.g. a lesson reminder held for quiet hours until after the lesson started
+  if (row.data?.expires_at && new Date(String(row.data.expires_at)).getTime() <= Date.now()) {
+    await recordResult(supabase, row.id, "skipped", { error: "No longer relevant" });
+    return "skipped";
+  }
+
+  const recipient = await loadRecipient(supabase, row);
+  if (!recipient) {
+    await recordResult(supabase, row.id, "skipped", { error: "Recipient not found" });
+    return "skipped";
+  }
+
+  const channel = row.channel ?? (recipient.phone ? "sms" : recipient.email ? "email" : null);
+  const to = channel === "sms" ? recipient.phone : channel === "email" ? recipient.email : null;
+  if (!channel || !to) {
+    await recordResult(supabase, row.id, "skipped", {
+      channel: channel ?? undefined,
+      error: row.audience === "admin" ? "ADMIN_PHONE and ADMIN_EMAIL are not set" : "No phone or email on the profile",
+    });
+    return "skipped";
+  }
+
+  const appUrl = Deno.env.get("APP_URL") || "app.airdroptennis.com";
+  const message = template(row.data ?? {}, recipient, appUrl);
+  // Admin alerts are not calendar events for the admin
+  if (row.audience === "admin") delete message.calendar;
+  const result = channel === "sms"
+    ? await sendSms(to, message.text)
+    : await sendEmail(to, message);
+
+  if (result.ok) {
+    await recordResult(supabase, row.id, "sent", { channel, to, message, providerId: result.id });
+    return "sent";
+  }
+  console.error(`${row.template} ${channel} to ${to} failed:`, result.error);
+  await recordResult(supabase, row.id, result.retry ? "retry" : "failed", { channel, to, message, error: result.error });
+  return result.retry ? "retry" : "failed";
+}
+
+// ---------------------------------------------------------------------------
+// Twilio status callbacks
+// ---------------------------------------------------------------------------
+
+/** https://www.twilio.com/docs/usage/security#validating-requests */
+async function validTwilioSignature(url: string, params: URLSearchParams, signature: string | null): Promise<boolean> {
+  const token = Deno.env.get("TWILIO_AUTH_TOKEN");
+  if (!token || !signature) return false;
+  const keys = [...new Set(params.keys())].sort();
+  const payload = url + keys.map((k) => k + params.get(k)).join("");
+  const key = await crypto.subtle.importKey(
+    "raw",
+    new TextEncoder().encode(token),
+    { name: "HMAC", hash: "SHA-1" },
+    false,
+    ["sign"]
+  );
+  const mac = new Uint8Array(await crypto.subtle.sign("HMAC", key, new TextEncoder().encode(payload)));
+  const expected = btoa(String.fromCharCode(...mac));
+  return expected === signature;
+}
+
+async function handleTwilioStatus(req: Request, supabase: SupabaseClient): Promise<Response> {
+  const params = new URLSearchParams(await req.text());
+  if (!(await validTwilioSignature(twilioStatusUrl(), params, req.headers.get("X-Twilio-Signature")))) {
+    return json({ ok: false, error: "Invalid signature" }, 403);
+  }
+
+  const messageSid = params.get("MessageSid");
+  const status = params.get("MessageStatus");
+  if (!messageSid || !status) return json({ ok: true, skipped: "no message status" });
+
+  const update: Record<string, unknown> = { delivery_status: status, updated_at: new Date().toISOString() };
+  if (status === "undelivered" || status === "failed") {
+    update.last_error = `Twilio ${status}${params.get("ErrorCode") ? ` (${params.get("ErrorCode")})` : ""}`;
+  }
+  const { error } = await supabase.from("notifications").update(update).eq("provider_id", messageSid);
+  if (error) {
+    console.error("Twilio status update failed:", messageSid, error.message);
+    return json({ ok: false, error: error.message }, 500);
+  }
+  return json({ ok: true });
+}
+
+Deno.serve(async (req) => {
+  if (req.method === "OPTIONS") {
+    return new Response("ok", { headers: corsHeaders });
+  }
+
+  const supabase = createClient(Deno.env.get("SUPABASE_URL")!, Deno.env.get("SUPABASE_SERVICE_ROLE_KEY")!);
+
+  try {
+    if (new URL(req.url).searchParams.get("action") === "twilio-status") {
+      return await handleTwilioStatus(req, supabase);
+    }
+
+    // Webhook payload ({ type, table, record }), { ids } from the app, or {} from cron
+    const payload = await req.json().catch(() => ({}));
+    let ids: string[] | null = null;
+    if (payload?.table === "notifications" && payload?.record?.id) {
+      ids = [payload.record.id];
+    } else if (Array.isArray(payload?.ids) && payload.ids.length > 0) {
+      ids = payload.ids.map(String);
+    }
+
+    const { data: rows, error } = await supabase.rpc("claim_notifications", {
+      p_limit: BATCH_SIZE,
+      p_ids: ids,
+    });
+    if (error) {
+      console.error("claim_notifications failed:", error.message);
+      return json({ ok: false, error: error.message }, 500);
+    }
+
+    const counts: Record<string, number> = {};
+    for (const row of (rows ?? []) as NotificationRow[]) {
+      const outcome = await dispatch(supabase, row);
+      counts[outcome] = (counts[outcome] ?? 0) + 1;
+    }
+    return json({ ok: true, claimed: rows?.length ?? 0, ...counts });
+  } catch (e) {
+    console.error("dispatch-notifications error:", e);
+    return json({ ok: false, error: String(e) }, 500);
+  }
+});
@@ -1,7 +1,11 @@
-// Stripe Checkout + payment verify for wallet top-up and lesson bookings.
+// Stripe Checkout + payment verify for wallet top-up and lesson bookings,
+// automatic top-ups from a saved card, refunds from the wallet back to the
+// card, and Stripe Connect onboarding.
 // Deploy: Edge Functions → dynamic-task
 // Verify JWT: OFF
-// Secrets: STRIPE_SECRET_KEY, APP_URL
+// Secrets: STRIPE_SECRET_KEY, APP_URL, STRIPE_APPLICATION_FEE_PERCENT (optional),
+// PAYMENT_TOKEN_SECRET (optional; signs success URLs, defaults to the service role key),
+// STRIPE_API_BASE (optional; a local mock of the Stripe API, see scripts/mock-stripe-server.js)
 
 import { createClient } from "https://esm.sh/@supabase/supabase-js@2";
 
@@ -13,6 +17,48 @@ const corsHeaders = {
 };
 
 const APP_URL = Deno.env.get("APP_URL") || "https://app.airdroptennis.com";
+const STRIPE_API_BASE = (Deno.env.get("STRIPE_API_BASE") || "https://api.stripe.com/v1").replace(/\/$/, "");
+
+// Academy currencies (032_academy_currency.sql). Stripe amounts are in minor
+// units: cents, or whole yen for zero-decimal currencies.
+const DEFAULT_CURRENCY = "aud";
+const ZERO_DECIMAL_CURRENCIES = new Set(["jpy"]);
+// Smallest top-up or card charge in major units, as currency_minimum_charge
+const MINIMUM_CHARGE: Record<string, number> = { hkd: 40, jpy: 500 };
+
+function minorFactor(currency: string) {
+  return ZERO_DECIMAL_CURRENCIES.has(currency) ? 1 : 100;
+}
+
+function toMinor(amount: number, currency: string) {
+  return Math.round(amount * minorFactor(currency));
+}
+
+function fromMinor(amount: number, currency: string) {
+  return amount / minorFactor(currency);
+}
+
+function minimumCharge(currency: string) {
+  return MINIMUM_CHARGE[currency] ?? 5;
+}
+
+function minimumChargeLabel(currency: string) {
+  return `${minimumCharge(currency)} ${currency.toUpperCase()}`;
+}
+
+// Countries a Connect account may be in for each academy currency
+// (academies.country, 040_academy_country.sql)
+const CURRENCY_COUNTRIES: Record<string, string[]> = {
+  aud: ["AU"],
+  nzd: ["NZ"],
+  usd: ["US"],
+  cad: ["CA"],
+  gbp: ["GB"],
+  eur: ["AT", "BE", "CY", "DE", "EE", "ES", "FI", "FR", "GR", "HR", "IE", "IT", "LT", "LU", "LV", "MT", "NL", "PT", "SI", "SK"],
+  sgd: ["SG"],
+  hkd: ["HK"],
+  jpy: ["JP"],
+};
 
 function json(body: unknown, status = 200) {
   return new Response(JSON.stringify(body), {
@@ -40,7 +86,7 @@ async function stripeForm(path: string, params: Record<string, string>) {
   const secret = Deno.env.get("STRIPE_SECRET_KEY");
   if (!secret) throw new Error("STRIPE_SECRET_KEY is not set");
   const body = new URLSearchParams(params);
-  const res = await fetch(`https://api.stripe.com/v1/${path}`, {
+  const res = await fetch(`${STRIPE_API_BASE}/${path}`, {
     method: "POST",
     headers: {
       Authorization: `Bearer ${secret}`,
@@ -50,7 +96,10 @@ async function stripeForm(path: string, params: Record<string, string>) {
   });
   const data = await res.json();
   if (!res.ok) {
-    throw new Error(data?.error?.message || `Stripe ${res.status}`);
+    // decline_code / code let callers tell a declined card from a broken request
+    const err = new Error(data?.error?.message || `Stripe ${res.status}`) as Error & { code?: string };
+    err.code = data?.error?.decline_code || data?.error?.code;
+    throw err;
   }
   return data;
 }
@@ -58,7 +107,7 @@ async function stripeForm(path: string, params: Record<string, string>) {
 async function stripeGet(path: string) {
   const secret = Deno.env.get("STRIPE_SECRET_KEY");
   if (!secret) throw new Error("STRIPE_SECRET_KEY is not set");
-  const res = await fetch(`https://api.stripe.com/v1/${path}`, {
+  const res = await fetch(`${STRIPE_API_BASE}/${path}`, {
     headers: { Authorization: `Bearer ${secret}` },
   });
   const data = await res.json();
@@ -75,76 +124,590 @@ function serviceClient() {
   );
 }
 
-async function creditPaidSession(sessionId: string, fallbackUserId?: string) {
+// Checkout success URLs carry a token signed for the student and a nonce kept
+// in the session metadata (030_payment_verification.sql), so only the browser
+// Stripe sends back can ask for the payment to be verified. Checkout sessions
+// expire first, so a paid session always comes back with a live token.
+const CHECKOUT_EXPIRES_SECONDS = 60 * 60;
+const PAYMENT_TOKEN_TTL_SECONDS = 2 * 60 * 60;
+const VERIFY_WINDOW_SECONDS = 10 * 60;
+const VERIFY_LIMIT_PER_IP = 30;
+const VERIFY_LIMIT_PER_SESSION = 10;
+
+function base64Url(buf: ArrayBuffer) {
+  return btoa(String.fromCharCode(...new Uint8Array(buf)))
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "");
+}
+
+function timingSafeEqual(a: string, b: string) {
+  if (a.length !== b.length) return false;
+  let out = 0;
+  for (let i = 0; i < a.length; i++) out |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  return out === 0;
+}
+
+// Internal actions (stripe-webhook, stripe-reconcile) send the service role key
+function isServiceRoleRequest(req: Request) {
+  const serviceKey = Deno.env.get("SUPABASE_SERVICE_ROLE_KEY") || "";
+  const bearer = (req.headers.get("Authorization") || "").replace(/^Bearer\s+/i, "");
+  return Boolean(serviceKey) && timingSafeEqual(bearer, serviceKey);
+}
+
+async function signPaymentToken(userId: string, nonce: string, expires: number) {
+  const secret = Deno.env.get("PAYMENT_TOKEN_SECRET") || Deno.env.get("SUPABASE_SERVICE_ROLE_KEY")!;
+  const encoder = new TextEncoder();
+  const key = await crypto.subtle.importKey(
+    "raw",
+    encoder.encode(secret),
+    { name: "HMAC", hash: "SHA-256" },
+    false,
+    ["sign"]
+  );
+  return base64Url(await crypto.subtle.sign("HMAC", key, encoder.encode(`${userId}.${nonce}.${expires}`)));
+}
+
+// "<expires>.<nonce>.<signature>"; the nonce goes in the session metadata
+async function createPaymentToken(userId: string) {
+  const nonce = crypto.randomUUID().replace(/-/g, "");
+  const expires = Math.floor(Date.now() / 1000) + PAYMENT_TOKEN_TTL_SECONDS;
+  return { nonce, token: `${expires}.${nonce}.${await signPaymentToken(userId, nonce, expires)}` };
+}
+
+function clientIp(req: Request) {
+  const forwarded = req.headers.get("x-forwarded-for") || "";
+  return forwarded.split(",")[0].trim() || req.headers.get("x-real-ip") || "unknown";
+}
+
+// Rate limit, then check the token against the session it was issued with.
+// Resolves to { ok: true, session } or { ok: false, status, code, error }.
+async function checkPaymentToken(req: Request, sessionId: string, token: string) {
+  const buckets: [string, number][] = [
+    [`verify-payment:ip:${clientIp(req)}`, VERIFY_LIMIT_PER_IP],
+    [`verify-payment:session:${sessionId}`, VERIFY_LIMIT_PER_SESSION],
+  ];
+  for (const [bucket, limit] of buckets) {
+    const { data, error } = await serviceClient().rpc("hit_rate_limit", {
+      p_bucket: bucket,
+      p_limit: limit,
+      p_window_seconds: VERIFY_WINDOW_SECONDS,
+    });
+    if (error) throw error;
+    if (!data?.success) {
+      return { ok: false, status: 429, code: "rate_limited", error: data?.message || "Too many attempts" };
+    }
+  }
+
+  const invalid = { ok: false, status: 401, code: "invalid_token", error: "Payment verification link is not valid" };
+  if (!/^cs_[A-Za-z0-9_]+$/.test(sessionId)) return invalid;
+  const [expiresPart, nonce, signature] = (token || "").split(".");
+  const expires = Number(expiresPart);
+  if (!nonce || !signature || !Number.isFinite(expires)) return invalid;
+  if (expires < Date.now() / 1000) {
+    return { ok: false, status: 401, code: "token_expired", error: "Payment verification link has expired" };
+  }
+
   const session = await stripeGet(`checkout/sessions/${sessionId}`);
+  const userId = String(session.metadata?.userId || session.client_reference_id || "");
+  if (!userId || session.metadata?.verifyNonce !== nonce) return invalid;
+  if (!timingSafeEqual(signature, await signPaymentToken(userId, nonce, expires))) return invalid;
+  return { ok: true, session };
+}
+
+// The currency a student's wallet and payments are in (032_academy_currency.sql)
+async function academyCurrency(userId: string) {
+  const { data: profile } = await serviceClient()
+    .from("profiles")
+    .select("academies(currency)")
+    .eq("id", userId)
+    .maybeSingle();
+  return String(profile?.academies?.currency || DEFAULT_CURRENCY).toLowerCase();
+}
+
+// The academy a student pays, when its connected account can take charges
+// (027_stripe_connect.sql). null = charge on the platform account.
+async function connectedAcademy(userId: string) {
+  const admin = serviceClient();
+  const { data: profile } = await admin
+    .from("profiles")
+    .select("academy_id")
+    .eq("id", userId)
+    .maybeSingle();
+  if (!profile?.academy_id) return null;
+  const { data: academy } = await admin
+    .from("academies")
+    .select("id, stripe_connect_id, stripe_charges_enabled, application_fee_percent")
+    .eq("id", profile.academy_id)
+    .maybeSingle();
+  if (!academy?.stripe_connect_id || !academy.stripe_charges_enabled) return null;
+  const feePercent = academy.application_fee_percent ?? Deno.env.get("STRIPE_APPLICATION_FEE_PERCENT") ?? 0;
+  return {
+    academyId: String(academy.id),
+    accountId: String(academy.stripe_connect_id),
+    feePercent: Math.min(Math.max(Number(feePercent) || 0, 0), 99),
+  };
+}
+
+// Params for a destination charge: the payment settles into the academy's
+// account and the platform keeps its application fee. Checkout nests them under
+// payment_intent_data; a PaymentIntent takes them at the top level (prefix "").
+function connectParams(
+  connect: Awaited<ReturnType<typeof connectedAcademy>>,
+  chargeMinor: number,
+  prefix = "payment_intent_data"
+) {
+  if (!connect) return {};
+  const field = (name: string) => (prefix ? `${prefix}[${name}]` : name);
+  const feeMinor = Math.round(chargeMinor * connect.feePercent / 100);
+  return {
+    [field("on_behalf_of")]: connect.accountId,
+    [`${field("transfer_data")}[destination]`]: connect.accountId,
+    ...(feeMinor > 0 ? { [field("application_fee_amount")]: String(feeMinor) } : {}),
+    "metadata[academyId]": connect.academyId,
+    "metadata[stripeAccount]": connect.accountId,
+  };
+}
+
+// The admin's academy, its Stripe account status copied onto the row
+async function syncConnectStatus(academy: Record<string, unknown>) {
+  if (!academy.stripe_connect_id) {
+    return {
+      academyId: academy.id,
+      academyName: academy.name,
+      accountId: null,
+      chargesEnabled: false,
+      payoutsEnabled: false,
+      detailsSubmitted: false,
+    };
+  }
+  const account = await stripeGet(`accounts/${academy.stripe_connect_id}`);
+  const status = {
+    stripe_charges_enabled: Boolean(account.charges_enabled),
+    stripe_payouts_enabled: Boolean(account.payouts_enabled),
+    stripe_details_submitted: Boolean(account.details_submitted),
+  };
+  const { error } = await serviceClient()
+    .from("academies")
+    .update({ ...status, updated_at: new Date().toISOString() })
+    .eq("id", academy.id);
+  if (error) throw error;
+  return {
+    academyId: academy.id,
+    academyName: academy.name,
+    accountId: academy.stripe_connect_id,
+    chargesEnabled: status.stripe_charges_enabled,
+    payoutsEnabled: status.stripe_payouts_enabled,
+    detailsSubmitted: status.stripe_details_submitted,
+  };
+}
+
+// The account is created in the academy's country, which must use its currency
+function connectCountryError(academy: Record<string, unknown>) {
+  const currency = String(academy.currency || DEFAULT_CURRENCY).toLowerCase();
+  const country = String(academy.country || "").toUpperCase();
+  if (!country) {
+    return { error: "Set the academy's country before connecting Stripe.", code: "no_country" };
+  }
+  if (!(CURRENCY_COUNTRIES[currency] || []).includes(country)) {
+    return {
+      error: `This academy charges in ${currency.toUpperCase()}, which is not the currency of ${country}. ` +
+        "Correct the academy's country or currency before connecting Stripe.",
+      code: "country_mismatch",
+    };
+  }
+  return null;
+}
+
+// Creates the academy's Express account on first use, then an Account Link to
+// Stripe's hosted onboarding. returnUrl brings the admin back to the app.
+async function connectOnboardingLink(academy: Record<string, unknown>, email: string | undefined, returnUrl: string) {
+  let accountId = academy.stripe_connect_id as string | null;
+  if (!accountId) {
+    const account = await stripeForm("accounts", {
+      type: "express",
+      country: String(academy.country).toUpperCase(),
+      ...(email ? { email } : {}),
+      "business_profile[name]": String(academy.name || ""),
+      "capabilities[card_payments][requested]": "true",
+      "capabilities[transfers][requested]": "true",
+      "metadata[academyId]": String(academy.id),
+    });
+    accountId = account.id as string;
+    const { error } = await serviceClient()
+      .from("academies")
+      .update({ stripe_connect_id: accountId, updated_at: new Date().toISOString() })
+      .eq("id", academy.id);
+    if (error) throw error;
+  }
+  const url = new URL(returnUrl);
+  url.searchParams.set("connect", "refresh");
+  const refreshUrl = url.toString();
+  url.searchParams.set("connect", "return");
+  const link = await stripeForm("account_links", {
+    account: accountId,
+    type: "account_onboarding",
+    refresh_url: refreshUrl,
+    return_url: url.toString(),
+  });
+  return { url: link.url, accountId };
+}
+
+async function completeBooking(admin: ReturnType<typeof serviceClient>, sessionId: string) {
+  const { data, error } = await admin.rpc("complete_stripe_booking", {
+    p_session_id: sessionId,
+  });
+  if (error) throw error;
+  if (!data) return null;
+  return {
+    success: Boolean(data.success),
+    status: String(data.status || ""),
+    code: data.code ? String(data.code) : undefined,
+    message: data.message ? String(data.message) : undefined,
+    bookingIds: data.booking_ids || [],
+  };
+}
+
+// Settles the promo code reserved for this session, if any (021_promo_codes.sql).
+// Top-ups get the discount added to the wallet; a booking that could not be made
+// voids the redemption.
+async function completePromo(
+  admin: ReturnType<typeof serviceClient>,
+  sessionId: string,
+  booked: boolean,
+  bookingIds: string[]
+) {
+  const { data, error } = await admin.rpc("complete_promo_redemption", {
+    p_session_id: sessionId,
+    p_booked: booked,
+    p_booking_ids: bookingIds,
+  });
+  if (error) throw error;
+  if (!data) return null;
+  return { status: String(data.status || ""), discount: Number(data.discount || 0) };
+}
+
+async function voidPromo(admin: ReturnType<typeof serviceClient>, redemptionId: string | null) {
+  if (!redemptionId) return;
+  await admin
+    .from("promo_redemptions")
+    .update({ status: "void" })
+    .eq("id", redemptionId)
+    .eq("status", "pending");
+}
+
+// Lesson pack payments land in the wallet and the pack is then bought from it
+// (022_lesson_packs.sql), once per session. If the pack was withdrawn meanwhile
+// the payment stays as wallet credit.
+async function completePackPurchase(
+  admin: ReturnType<typeof serviceClient>,
+  sessionId: string,
+  userId: string,
+  packId: string
+) {
+  const { data, error } = await admin.rpc("purchase_lesson_pack", {
+    p_pack_id: packId,
+    p_user_id: userId,
+    p_session_id: sessionId,
+  });
+  if (error) throw error;
+  return {
+    success: Boolean(data?.success),
+    code: data?.code ? String(data.code) : undefined,
+    message: data?.message ? String(data.message) : undefined,
+    packCreditId: data?.pack_credit_id || null,
+    expiresAt: data?.expires_at || null,
+  };
+}
+
+// Term enrolments work the same way (023_term_enrolment.sql): the payment is
+// credited, then the enrolment books every remaining session from the wallet.
+async function completeTermEnrolment(
+  admin: ReturnType<typeof serviceClient>,
+  sessionId: string,
+  userId: string,
+  programId: string
+) {
+  const { data, error } = await admin.rpc("enrol_in_term_program", {
+    p_program_id: programId,
+    p_user_id: userId,
+    p_session_id: sessionId,
+  });
+  if (error) throw error;
+  return {
+    success: Boolean(data?.success),
+    code: data?.code ? String(data.code) : undefined,
+    message: data?.message ? String(data.message) : undefined,
+    enrolmentId: data?.enrolment_id || null,
+    sessions: Number(data?.sessions || 0),
+  };
+}
+
+// A setup-mode Checkout session saved a card for auto top-up (028_auto_topup.sql)
+async function saveSetupSession(session: Record<string, any>) {
+  const userId = String(session.metadata?.userId || session.client_reference_id || "");
+  if (!userId) throw new Error("No user on Stripe session");
+  if (session.status !== "complete" || !session.setup_intent) {
+    throw new Error("Card setup not completed");
+  }
+  const setupIntent = await stripeGet(`setup_intents/${session.setup_intent}?expand[]=payment_method`);
+  const method = setupIntent.payment_method || {};
+  if (!method.id) throw new Error("No card on Stripe setup");
+
+  const { error } = await serviceClient()
+    .from("auto_topup_settings")
+    .upsert({
+      user_id: userId,
+      stripe_customer_id: String(session.customer || setupIntent.customer || ""),
+      payment_method_id: method.id,
+      card_brand: method.card?.brand || null,
+      card_last4: method.card?.last4 || null,
+      card_exp_month: method.card?.exp_month || null,
+      card_exp_year: method.card?.exp_year || null,
+      failure_count: 0,
+      last_failure_message: null,
+      updated_at: new Date().toISOString(),
+    }, { onConflict: "user_id" });
+  if (error) throw error;
+  return { success: true, type: "auto_topup_setup", userId, card: method.card?.last4 || null };
+}
+
+// Charges the saved card off-session when a booking costing `required` would
+// leave the wallet under the student's threshold. Charges the preset amount, or
+// whatever the booking still needs if that is more.
+async function runAutoTopUp(userId: string, required: number) {
+  const admin = serviceClient();
+  const { data: settings } = await admin
+    .from("auto_topup_settings")
+    .select("*")
+    .eq("user_id", userId)
+    .maybeSingle();
+  if (!settings?.enabled || !settings.payment_method_id || !settings.stripe_customer_id) {
+    return { success: false, code: "auto_topup_off", message: "Auto top-up is off." };
+  }
+
+  const { data: profile } = await admin
+    .from("profiles")
+    .select("wallet_balance")
+    .eq("id", userId)
+    .maybeSingle();
+  const balance = parseFloat(profile?.wallet_balance || 0);
+  if (balance - required >= Number(settings.threshold)) {
+    return { success: true, charged: 0, newBalance: balance };
+  }
+
+  const currency = await academyCurrency(userId);
+  const factor = minorFactor(currency);
+  const amount = Math.max(Number(settings.amount), Math.ceil((required - balance) * factor) / factor);
+  const amountMinor = toMinor(amount, currency);
+  const connect = await connectedAcademy(userId);
+
+  let intent;
+  let failure: string | null = null;
+  try {
+    intent = await stripeForm("payment_intents", {
+      amount: String(amountMinor),
+      currency,
+      customer: settings.stripe_customer_id,
+      payment_method: settings.payment_method_id,
+      off_session: "true",
+      confirm: "true",
+      description: "Airdrop Tennis wallet auto top-up",
+      "metadata[userId]": userId,
+      "metadata[type]": "auto_topup",
+      ...connectParams(connect, amountMinor, ""),
+    });
+    if (intent.status !== "succeeded") failure = "Your bank needs you to confirm this payment";
+  } catch (e) {
+    failure = e instanceof Error ? e.message : "Card declined";
+  }
+
+  if (failure) {
+    const { data: recorded } = await admin.rpc("record_auto_topup_attempt", {
+      p_user_id: userId,
+      p_amount: amount,
+      p_status: "failed",
+      p_payment_intent_id: intent?.id || null,
+      p_failure_message: failure,
+    });
+    return {
+      success: false,
+      code: "auto_topup_failed",
+      message: failure,
+      disabled: Boolean(recorded?.disabled),
+    };
+  }
+
+  // Credited like a Checkout payment, keyed by the PaymentIntent, so refunds work the same
+  const { data: newBalance, error } = await admin.rpc("credit_stripe_session", {
+    p_session_id: intent.id,
+    p_user_id: userId,
+    p_amount: amount,
+    p_type: "auto_topup",
+  });
+  if (error) throw error;
+  await admin
+    .from("stripe_processed_sessions")
+    .update({
+      payment_intent_id: intent.id,
+      stripe_account_id: connect?.accountId || null,
+      academy_id: connect?.academyId || null,
+    })
+    .eq("session_id", intent.id);
+  await admin.rpc("record_auto_topup_attempt", {
+    p_user_id: userId,
+    p_amount: amount,
+    p_status: "succeeded",
+    p_payment_intent_id: intent.id,
+  });
+  return { success: true, charged: amount, newBalance: parseFloat(newBalance || 0) };
+}
+
+// session: already retrieved from Stripe (checkPaymentToken), else fetched here
+async function creditPaidSession(sessionId: string, retrieved?: Record<string, any>) {
+  const session = retrieved || await stripeGet(`checkout/sessions/${sessionId}`);
+  if (session.mode === "setup") {
+    // Saving a card credits nothing (the webhook also sends these here)
+    const saved = await saveSetupSession(session);
+    return { success: true, type: saved.type, newBalance: null, userId: saved.userId, booking: null, pack: null, term: null, promo: null };
+  }
   if (session.payment_status !== "paid" && session.status !== "complete") {
     throw new Error("Payment not completed");
   }
 
   const meta = session.metadata || {};
   const type = String(meta.type || "topup");
-  const userId = String(meta.userId || session.client_reference_id || fallbackUserId || "");
+  const userId = String(meta.userId || session.client_reference_id || "");
   if (!userId) throw new Error("No user on Stripe session");
 
-  const amountDollars = Number(session.amount_total || 0) / 100;
-  const creditAmount = type === "topup" ? amountDollars : 0;
+  // Lesson payments are credited too; the stored segments are then booked from
+  // the wallet, so a slot that filled up meanwhile leaves wallet credit.
+  const amount = fromMinor(Number(session.amount_total || 0), String(session.currency || DEFAULT_CURRENCY));
   const admin = serviceClient();
 
-  const { data, error } = await admin.rpc("credit_stripe_session", {
+  const { error } = await admin.rpc("credit_stripe_session", {
     p_session_id: sessionId,
     p_user_id: userId,
-    p_amount: creditAmount,
+    p_amount: amount,
     p_type: type,
   });
+  if (error) throw error;
 
-  if (!error) {
-    return {
-      success: true,
-      type,
-      newBalance: parseFloat(data || 0),
-      userId,
-    };
+  // Kept so refunds can find the charge (026_stripe_refunds.sql) and the
+  // connected account it went to (027_stripe_connect.sql)
+  if (session.payment_intent) {
+    await admin
+      .from("stripe_processed_sessions")
+      .update({
+        payment_intent_id: String(session.payment_intent),
+        stripe_account_id: meta.stripeAccount ? String(meta.stripeAccount) : null,
+        academy_id: meta.academyId ? String(meta.academyId) : null,
+      })
+      .eq("session_id", sessionId)
+      .is("payment_intent_id", null);
   }
 
-  const missingFn = /could not find|does not exist|schema cache/i.test(error.message || "");
-  if (!missingFn) throw error;
+  const booking = type === "booking" ? await completeBooking(admin, sessionId) : null;
+  const pack = type === "pack" && meta.packId
+    ? await completePackPurchase(admin, sessionId, userId, String(meta.packId))
+    : null;
+  const term = type === "term" && meta.programId
+    ? await completeTermEnrolment(admin, sessionId, userId, String(meta.programId))
+    : null;
+  const promo = meta.promoRedemptionId
+    ? await completePromo(
+      admin,
+      sessionId,
+      type !== "booking" || Boolean(booking?.success),
+      booking?.bookingIds || []
+    )
+    : null;
 
-  // Fallback if 013 SQL has not been run yet
-  if (type === "topup" && amountDollars > 0) {
-    const { data: existing } = await admin
-      .from("stripe_processed_sessions")
-      .select("session_id")
-      .eq("session_id", sessionId)
-      .maybeSingle();
-    if (!existing) {
-      const { error: rpcErr } = await admin.rpc("add_wallet_balance", {
-        user_id: userId,
-        amount: amountDollars,
-      });
-      if (rpcErr) {
-        const { data: row } = await admin
-          .from("profiles")
-          .select("wallet_balance")
-          .eq("id", userId)
-          .maybeSingle();
-        const next = parseFloat(row?.wallet_balance || 0) + amountDollars;
-        const { error: updErr, data: updated } = await admin
-          .from("profiles")
-          .update({ wallet_balance: next })
-          .eq("id", userId)
-          .select("wallet_balance")
-          .maybeSingle();
-        if (updErr || updated == null) {
-          throw new Error(rpcErr.message || updErr?.message || "Failed to credit wallet");
-        }
+  const { data: profile } = await admin
+    .from("profiles")
+    .select("wallet_balance")
+    .eq("id", userId)
+    .maybeSingle();
+  return {
+    success: true,
+    type,
+    newBalance: parseFloat(profile?.wallet_balance || 0),
+    userId,
+    booking,
+    pack,
+    term,
+    promo,
+  };
+}
+
+// Return wallet money to the card: start_card_refund takes it out of the wallet
+// and splits it over the student's Checkout sessions, then each share is refunded
+// in Stripe. A share Stripe rejects goes straight back into the wallet.
+async function refundToCard(userId: string, amount: number, reason: string, requestedBy: string) {
+  const admin = serviceClient();
+  const { data: started, error } = await admin.rpc("start_card_refund", {
+    p_user_id: userId,
+    p_amount: amount,
+    p_reason: reason || null,
+    p_requested_by: requestedBy,
+  });
+  if (error) throw error;
+  if (!started?.success) return started;
+
+  const currency = await academyCurrency(userId);
+  const refunds = [];
+  for (const row of started.refunds || []) {
+    let status = "failed";
+    let stripeRefundId: string | null = null;
+    let failure: string | null = null;
+    try {
+      let paymentIntent = row.payment_intent_id as string | null;
+      const { data: processed } = await admin
+        .from("stripe_processed_sessions")
+        .select("stripe_account_id")
+        .eq("session_id", row.session_id)
+        .maybeSingle();
+      let connectedAccount = processed?.stripe_account_id as string | null;
+      if (!paymentIntent) {
+        const session = await stripeGet(`checkout/sessions/${row.session_id}`);
+        paymentIntent = session.payment_intent ? String(session.payment_intent) : null;
+        if (!paymentIntent) throw new Error("No card payment on this Stripe session");
+        connectedAccount = session.metadata?.stripeAccount || null;
+        await admin
+          .from("stripe_processed_sessions")
+          .update({ payment_intent_id: paymentIntent, stripe_account_id: connectedAccount })
+          .eq("session_id", row.session_id);
       }
-      await admin.from("stripe_processed_sessions").insert({
-        session_id: sessionId,
-        user_id: userId,
-        amount: amountDollars,
-        type,
+      const refund = await stripeForm("refunds", {
+        payment_intent: paymentIntent,
+        amount: String(toMinor(Number(row.amount), currency)),
+        reason: "requested_by_customer",
+        // Destination charges: take the money back from the academy's account
+        ...(connectedAccount ? { reverse_transfer: "true", refund_application_fee: "true" } : {}),
+        "metadata[refundId]": row.id,
+        "metadata[userId]": userId,
       });
+      stripeRefundId = refund.id;
+      status = refund.status === "requires_action" ? "pending" : refund.status;
+      failure = refund.failure_reason || null;
+    } catch (e) {
+      failure = e instanceof Error ? e.message : "Stripe refund failed";
+      console.error("dynamic-task refund error:", e);
     }
+
+    const { data: settled, error: settleErr } = await admin.rpc("settle_card_refund", {
+      p_refund_id: row.id,
+      p_stripe_refund_id: stripeRefundId,
+      p_status: status,
+      p_failure_message: failure,
+    });
+    if (settleErr) throw settleErr;
+    refunds.push({
+      id: row.id,
+      amount: Number(row.amount),
+      status: settled?.status || status,
+      error: settled?.reversed ? failure : null,
+    });
   }
 
   const { data: profile } = await admin
@@ -152,14 +715,245 @@ async function creditPaidSession(sessionId: string, fallbackUserId?: string) {
     .select("wallet_balance")
     .eq("id", userId)
     .maybeSingle();
+  const refunded = refunds
+    .filter((r) => r.status !== "failed" && r.status !== "canceled")
+    .reduce((sum, r) => sum + r.amount, 0);
   return {
-    success: true,
-    type,
+    success: refunded > 0,
+    code: refunded > 0 ? undefined : "stripe_refund_failed",
+    message: refunded > 0 ? undefined : refunds.find((r) => r.error)?.error || "Stripe could not refund this payment.",
+    refunded,
+    refunds,
     newBalance: parseFloat(profile?.wallet_balance || 0),
-    userId,
   };
 }
 
+// The credited session (stripe_processed_sessions) a payment belongs to. Payments
+// credited before 026 have no payment intent stored yet; Stripe knows the session.
+async function sessionForPaymentIntent(admin: ReturnType<typeof serviceClient>, paymentIntentId: string) {
+  const { data: processed } = await admin
+    .from("stripe_processed_sessions")
+    .select("session_id")
+    .eq("payment_intent_id", paymentIntentId)
+    .maybeSingle();
+  if (processed?.session_id) return processed.session_id as string;
+  const sessions = await stripeGet(
+    `checkout/sessions?payment_intent=${encodeURIComponent(paymentIntentId)}&limit=1`
+  );
+  const sessionId = sessions?.data?.[0]?.id as string | undefined;
+  if (!sessionId) return null;
+  await admin
+    .from("stripe_processed_sessions")
+    .update({ payment_intent_id: paymentIntentId })
+    .eq("session_id", sessionId);
+  return sessionId;
+}
+
+// checkout.session.expired / async_payment_failed: the lessons held for the
+// session are not booked and its promo code is released
+async function releaseUnpaidSession(sessionId: string) {
+  const session = await stripeGet(`checkout/sessions/${sessionId}`);
+  const expired = session.status === "expired";
+  const failed = session.status === "complete" && session.payment_status === "unpaid";
+  if (!expired && !failed) return { success: false, code: "not_unpaid", status: session.status };
+
+  const admin = serviceClient();
+  const code = expired ? "session_expired" : "payment_failed";
+  const { data: released, error } = await admin
+    .from("stripe_pending_bookings")
+    .update({ status: "expired", result: { success: false, code }, processed_at: new Date().toISOString() })
+    .eq("session_id", sessionId)
+    .eq("status", "pending")
+    .select("session_id");
+  if (error) throw error;
+  await voidPromo(admin, session.metadata?.promoRedemptionId || null);
+  return { success: true, code, bookingReleased: (released || []).length > 0 };
+}
+
+// charge.dispute.created: flag the payment so admins see it before refunding
+async function recordDispute(dispute: Record<string, any>) {
+  const paymentIntentId = dispute.payment_intent as string | undefined;
+  if (!paymentIntentId) return { success: false, code: "not_found" };
+  const admin = serviceClient();
+  const sessionId = await sessionForPaymentIntent(admin, paymentIntentId);
+  if (!sessionId) return { success: false, code: "not_found" };
+  const { error } = await admin
+    .from("stripe_processed_sessions")
+    .update({
+      dispute_id: dispute.id,
+      dispute_status: dispute.status || null,
+      dispute_reason: dispute.reason || null,
+      disputed_at: new Date((Number(dispute.created) || Date.now() / 1000) * 1000).toISOString(),
+    })
+    .eq("session_id", sessionId);
+  if (error) throw error;
+  return { success: true, sessionId, disputeId: dispute.id };
+}
+
+// The academy a stored event belongs to: the connected account it came from,
+// else the student on its Checkout session or payment. null when unknown.
+async function stripeEventAcademy(eventId: string) {
+  const admin = serviceClient();
+  const { data: event, error } = await admin
+    .from("stripe_events")
+    .select("payload")
+    .eq("id", eventId)
+    .maybeSingle();
+  if (error) throw error;
+  if (!event) return null;
+
+  if (event.payload?.account) {
+    const { data: academy } = await admin
+      .from("academies")
+      .select("id")
+      .eq("stripe_connect_id", String(event.payload.account))
+      .maybeSingle();
+    if (academy?.id) return academy.id as string;
+  }
+
+  const object = event.payload?.data?.object || {};
+  if (object.metadata?.academyId) return String(object.metadata.academyId);
+  let userId = String(object.metadata?.userId || object.client_reference_id || "");
+  if (!userId && object.payment_intent) {
+    const sessionId = await sessionForPaymentIntent(admin, String(object.payment_intent));
+    if (sessionId) {
+      const { data: processed } = await admin
+        .from("stripe_processed_sessions")
+        .select("user_id")
+        .eq("session_id", sessionId)
+        .maybeSingle();
+      userId = processed?.user_id ? String(processed.user_id) : "";
+    }
+  }
+  if (!userId) return null;
+  const { data: profile } = await admin.from("profiles").select("academy_id").eq("id", userId).maybeSingle();
+  return (profile?.academy_id as string | null) || null;
+}
+
+// Processes a webhook event stored in stripe_events (029_stripe_events.sql) and
+// records the outcome. Events already processed are skipped unless forced.
+async function processStripeEvent(eventId: string, force = false) {
+  const admin = serviceClient();
+  const { data: event, error } = await admin
+    .from("stripe_events")
+    .select("id, type, payload, status, attempts")
+    .eq("id", eventId)
+    .maybeSingle();
+  if (error) throw error;
+  if (!event) return { success: false, code: "not_found", message: "Event not stored" };
+  if (!force && (event.status === "processed" || event.status === "ignored")) {
+    return { success: true, status: event.status, duplicate: true };
+  }
+
+  const object = event.payload?.data?.object || {};
+  let status = "processed";
+  let result: unknown = null;
+  let failure: string | null = null;
+  try {
+    switch (event.type) {
+      case "checkout.session.completed":
+      case "checkout.session.async_payment_succeeded":
+        // A session that completes with an async method (e.g. BECS) is paid later
+        if (event.type === "checkout.session.completed" && object.payment_status === "unpaid") {
+          status = "ignored";
+          break;
+        }
+        result = await creditPaidSession(String(object.id));
+        break;
+      case "checkout.session.expired":
+      case "checkout.session.async_payment_failed":
+        result = await releaseUnpaidSession(String(object.id));
+        break;
+      case "charge.refunded":
+      case "charge.refund.updated":
+        // Both objects carry the payment intent; a later refund failure puts money back
+        if (!object.payment_intent) {
+          status = "ignored";
+          break;
+        }
+        result = await syncRefunds(String(object.payment_intent));
+        break;
+      case "charge.dispute.created":
+        result = await recordDispute(object);
+        break;
+      default:
+        status = "ignored";
+    }
+  } catch (e) {
+    status = "failed";
+    failure = e instanceof Error ? e.message : String(e);
+    console.error(`dynamic-task stripe event ${eventId} error:`, e);
+  }
+
+  await admin
+    .from("stripe_events")
+    .update({
+      status,
+      attempts: (event.attempts || 0) + 1,
+      error: failure,
+      result,
+      processed_at: new Date().toISOString(),
+    })
+    .eq("id", eventId);
+  return { success: status !== "failed", status, error: failure, result };
+}
+
+// charge.refunded: record every refund on the payment, including ones made in
+// the Stripe dashboard, so the wallet matches what went back to the card.
+async function syncRefunds(paymentIntentId: string) {
+  const admin = serviceClient();
+  const sessionId = await sessionForPaymentIntent(admin, paymentIntentId);
+  if (!sessionId) return { success: false, code: "not_found", recorded: 0 };
+
+  const list = await stripeGet(
+    `refunds?payment_intent=${encodeURIComponent(paymentIntentId)}&limit=100`
+  );
+  let recorded = 0;
+  for (const refund of list?.data || []) {
+    const { data, error } = await admin.rpc("record_stripe_refund", {
+      p_session_id: sessionId,
+      p_stripe_refund_id: refund.id,
+      p_amount: fromMinor(Number(refund.amount || 0), String(refund.currency || DEFAULT_CURRENCY)),
+      p_status: refund.status === "requires_action" ? "pending" : refund.status,
+      p_refund_id: refund.metadata?.refundId || null,
+    });
+    if (error) throw error;
+    if (data?.recorded) recorded++;
+  }
+  return { success: true, sessionId, recorded };
+}
+
+type BookingSegment = {
+  locationId?: string;
+  startTime?: string;
+  endTime?: string;
+  serviceName?: string | null;
+  cost?: number;
+  availabilityIds?: string[];
+  playerId?: string | null;
+};
+
+// bookingData from the app → book_lessons segment shape
+function toPendingSegments(bookingData: unknown) {
+  if (!Array.isArray(bookingData) || bookingData.length === 0) {
+    throw new Error("bookingData required for lesson payments");
+  }
+  return (bookingData as BookingSegment[]).map((b) => {
+    if (!b?.locationId || !b.startTime || !b.endTime) {
+      throw new Error("Invalid bookingData");
+    }
+    return {
+      location_id: b.locationId,
+      start_time: b.startTime,
+      end_time: b.endTime,
+      service_name: b.serviceName || null,
+      cost: Number(b.cost || 0),
+      availability_ids: Array.isArray(b.availabilityIds) ? b.availabilityIds : [],
+      player_id: b.playerId || null,
+    };
+  });
+}
+
 Deno.serve(async (req) => {
   if (req.method === "OPTIONS") {
     return new Response("ok", { headers: corsHeaders });
@@ -169,20 +963,41 @@ Deno.serve(async (req) => {
   const actionFromQuery = reqUrl.searchParams.get("action");
   const sessionFromQuery = reqUrl.searchParams.get("session_id");
 
+  // success_url of a card setup session (auto top-up)
+  if (req.method === "GET" && actionFromQuery === "setup-complete") {
+    try {
+      if (!sessionFromQuery) return redirectHome({ card_error: "1" });
+      await saveSetupSession(await stripeGet(`checkout/sessions/${sessionFromQuery}`));
+      return redirectHome({ card_saved: "1" });
+    } catch (e) {
+      console.error("dynamic-task GET setup error:", e);
+      return redirectHome({ card_error: "1" });
+    }
+  }
+
   // Stripe success_url hits this GET so the wallet is credited before the SPA loads.
+  // Rejected calls go home without the session; the webhook still credits it.
   if (req.method === "GET" && (actionFromQuery === "credit" || sessionFromQuery)) {
+    const tokenFromQuery = reqUrl.searchParams.get("token") || "";
     try {
       if (!sessionFromQuery) return redirectHome({ topup_error: "missing_session" });
-      const result = await creditPaidSession(sessionFromQuery);
+      const check = await checkPaymentToken(req, sessionFromQuery, tokenFromQuery);
+      if (!check.ok) return redirectHome({ topup_error: check.code });
+      const result = await creditPaidSession(sessionFromQuery, check.session);
       return redirectHome({
         credited: "1",
         type: result.type,
         balance: String(result.newBalance ?? ""),
+        booked: result.booking ? (result.booking.success ? "1" : "0") : "",
+        booking_error: result.booking?.code || "",
+        pack: result.pack ? (result.pack.success ? "1" : "0") : "",
+        term: result.term ? (result.term.success ? "1" : "0") : "",
       });
     } catch (e) {
       console.error("dynamic-task GET credit error:", e);
       return redirectHome({
         session_id: sessionFromQuery || "",
+        payment_token: tokenFromQuery,
         topup_error: "1",
       });
     }
@@ -208,48 +1023,344 @@ Deno.serve(async (req) => {
       return authData.user;
     }
 
+    // The app's retry after the success redirect; needs the token from that URL
     if (action === "verify-payment") {
       const sessionId = payload.sessionId as string;
       if (!sessionId) return json({ error: "sessionId required" }, 400);
-      const result = await creditPaidSession(sessionId, payload.userId);
+      const check = await checkPaymentToken(req, sessionId, String(payload.token || ""));
+      if (!check.ok) return json({ error: check.error, code: check.code }, check.status);
+      const result = await creditPaidSession(sessionId, check.session);
       return json(result);
     }
 
+    // From stripe-reconcile: credit (and book) a paid session the webhook missed
+    if (action === "credit-session") {
+      if (!isServiceRoleRequest(req)) return json({ error: "Unauthorized" }, 401);
+      if (!payload.sessionId) return json({ error: "sessionId required" }, 400);
+      return json(await creditPaidSession(String(payload.sessionId)));
+    }
+
+    // From stripe-webhook, after it stored the signed event
+    if (action === "stripe-event") {
+      if (!isServiceRoleRequest(req)) return json({ error: "Unauthorized" }, 401);
+      const eventId = payload.eventId as string;
+      if (!eventId) return json({ error: "eventId required" }, 400);
+      const result = await processStripeEvent(eventId);
+      return json(result, result.success ? 200 : 500);
+    }
+
     const user = await getAuthUser();
     if (!user) {
       return json({ error: "Unauthorized" }, 401);
     }
 
+    if (
+      action === "refund-to-card" ||
+      action === "replay-stripe-event" ||
+      action === "connect-status" ||
+      action === "connect-onboarding"
+    ) {
+      const { data: caller } = await serviceClient()
+        .from("profiles")
+        .select("role, academy_id")
+        .eq("id", user.id)
+        .maybeSingle();
+      if (caller?.role !== "admin") return json({ error: "Admins only" }, 403);
+
+      if (action === "replay-stripe-event") {
+        if (!payload.eventId) return json({ error: "eventId required" }, 400);
+        const eventAcademy = await stripeEventAcademy(String(payload.eventId));
+        if (!caller.academy_id || eventAcademy !== caller.academy_id) {
+          return json({ error: "This event does not belong to your academy.", code: "wrong_academy" }, 403);
+        }
+        return json(await processStripeEvent(String(payload.eventId), true));
+      }
+
+      if (action !== "refund-to-card") {
+        if (!caller.academy_id) {
+          return json({ error: "Your profile is not linked to an academy.", code: "no_academy" }, 400);
+        }
+        // Admins manage only their own academy's Stripe account
+        if (payload.academyId && String(payload.academyId) !== caller.academy_id) {
+          return json({ error: "You can only manage your own academy.", code: "wrong_academy" }, 403);
+        }
+        const { data: academy, error: academyErr } = await serviceClient()
+          .from("academies")
+          .select("id, name, stripe_connect_id, country, currency")
+          .eq("id", caller.academy_id)
+          .maybeSingle();
+        if (academyErr) throw academyErr;
+        if (!academy) return json({ error: "Academy not found", code: "no_academy" }, 400);
+        if (action === "connect-status") return json(await syncConnectStatus(academy));
+
+        const returnUrl = typeof payload.returnUrl === "string" && /^https?:\/\//.test(payload.returnUrl)
+          ? payload.returnUrl
+          : `${APP_URL}/home`;
+        const countryError = academy.stripe_connect_id ? null : connectCountryError(academy);
+        if (countryError) return json(countryError, 400);
+        return json(await connectOnboardingLink(academy, user.email, returnUrl));
+      }
+
+      if (!payload.userId) return json({ error: "userId required" }, 400);
+      const { data: student, error: studentErr } = await serviceClient()
+        .from("profiles")
+        .select("academy_id")
+        .eq("id", String(payload.userId))
+        .maybeSingle();
+      if (studentErr) throw studentErr;
+      if (!student) return json({ error: "Student not found", code: "not_found" }, 404);
+      if (!caller.academy_id || student.academy_id !== caller.academy_id) {
+        return json({ error: "This student is not in your academy.", code: "wrong_academy" }, 403);
+      }
+      const result = await refundToCard(
+        String(payload.userId),
+        Number(payload.amount),
+        typeof payload.reason === "string" ? payload.reason.trim() : "",
+        user.id
+      );
+      if (!result?.success) {
+        return json({ error: result?.message || "Refund failed", code: result?.code, ...result }, 400);
+      }
+      return json(result);
+    }
+
     const userId = (payload.userId as string) || user.id;
     if (userId !== user.id) return json({ error: "user mismatch" }, 403);
 
-    const amountCents = Number(payload.amount);
-    if (!amountCents || amountCents < 500) {
-      return json({ error: "Amount must be at least $5" }, 400);
+    if (action === "auto-topup") {
+      const required = Number(payload.required);
+      if (!(required >= 0)) return json({ error: "required must be an amount" }, 400);
+      const result = await runAutoTopUp(userId, required);
+      return json(result, result.success ? 200 : 402);
+    }
+
+    if (action === "auto-topup-setup") {
+      const admin = serviceClient();
+      const { data: settings } = await admin
+        .from("auto_topup_settings")
+        .select("stripe_customer_id")
+        .eq("user_id", userId)
+        .maybeSingle();
+      let customerId = settings?.stripe_customer_id as string | null;
+      if (!customerId) {
+        const customer = await stripeForm("customers", {
+          ...(user.email ? { email: user.email } : {}),
+          "metadata[userId]": userId,
+        });
+        customerId = customer.id as string;
+        const { error: customerErr } = await admin
+          .from("auto_topup_settings")
+          .upsert({ user_id: userId, stripe_customer_id: customerId }, { onConflict: "user_id" });
+        if (customerErr) throw customerErr;
+      }
+
+      const supabaseUrl = Deno.env.get("SUPABASE_URL") || "";
+      const anon = Deno.env.get("SUPABASE_ANON_KEY") || "";
+      const setup = await stripeForm("checkout/sessions", {
+        mode: "setup",
+        customer: customerId,
+        "payment_method_types[0]": "card",
+        success_url:
+          `${supabaseUrl}/functions/v1/dynamic-task?action=setup-complete&session_id={CHECKOUT_SESSION_ID}&apikey=${encodeURIComponent(anon)}`,
+        cancel_url: `${APP_URL}/home`,
+        client_reference_id: userId,
+        "metadata[userId]": userId,
+        "metadata[type]": "auto_topup_setup",
+      });
+      return json({ sessionId: setup.id, url: setup.url });
+    }
+
+    // payload.amount is the amount × 100, as the app has always sent it. Stripe
+    // gets minor units of the student's academy currency (whole yen for JPY).
+    const currency = await academyCurrency(userId);
+    const amount = Number(payload.amount) / 100;
+    if (!amount || amount < minimumCharge(currency)) {
+      return json({ error: `Amount must be at least ${minimumChargeLabel(currency)}` }, 400);
     }
 
     const metadata = payload.metadata || {};
+    const promoCode = typeof payload.promoCode === "string" ? payload.promoCode.trim() : "";
     const type = metadata.type || (payload.bookingData ? "booking" : "topup");
-    const label =
-      type === "booking" ? "Airdrop Tennis lesson" : "Airdrop Tennis wallet top-up";
+    const label = type === "booking"
+      ? "Airdrop Tennis lesson"
+      : type === "pack"
+      ? "Airdrop Tennis lesson pack"
+      : type === "term"
+      ? "Airdrop Tennis Season Pass"
+      : "Airdrop Tennis wallet top-up";
+
+    // Top-ups: amount is the wallet credit and a promo code lowers the charge.
+    // Bookings: amount is the (discounted) total the student was shown.
+    let chargeMinor = toMinor(amount, currency);
+    let promoRedemptionId: string | null = null;
+
+    let segments = type === "booking" ? toPendingSegments(payload.bookingData) : null;
+    if (segments) {
+      // Charge the pricing_rules quote, not the prices the app sent. A mismatch means
+      // the rules changed after the student saw the price.
+      const { data: quote, error: quoteErr } = await serviceClient().rpc("quote_lessons", {
+        p_user_id: userId,
+        p_segments: segments,
+      });
+      if (quoteErr) throw quoteErr;
+      if (!quote?.success) {
+        return json({ error: quote?.message || "Invalid bookingData", code: quote?.code }, 400);
+      }
+      segments = quote.segments;
+      let expectedTotal = Number(quote.total);
+
+      if (promoCode) {
+        const { data: promo, error: promoErr } = await serviceClient().rpc("reserve_promo_redemption", {
+          p_user_id: userId,
+          p_code: promoCode,
+          p_context: "booking",
+          p_segments: segments,
+        });
+        if (promoErr) throw promoErr;
+        if (!promo?.success) {
+          return json({ error: promo?.message || "Invalid promo code", code: promo?.code }, 400);
+        }
+        promoRedemptionId = promo.redemption_id;
+        segments = promo.segments;
+        expectedTotal = Number(promo.total);
+      }
+
+      if (toMinor(expectedTotal, currency) !== chargeMinor) {
+        await voidPromo(serviceClient(), promoRedemptionId);
+        return json({
+          error: "Lesson prices have changed. Please review your booking and try again.",
+          code: "price_changed",
+        }, 400);
+      }
+
+      // Booking policies (lead time, booking window, weekly cap) are checked before
+      // payment; complete_stripe_booking books as service_role and skips them.
+      const { data: policyError, error: policyErr } = await serviceClient().rpc("check_booking_policies", {
+        p_user_id: userId,
+        p_segments: segments,
+      });
+      if (policyErr) throw policyErr;
+      if (policyError) {
+        await voidPromo(serviceClient(), promoRedemptionId);
+        return json({ error: policyError.message, code: policyError.code }, 400);
+      }
+    } else if (type === "pack") {
+      // Charge the catalogue price, not the amount the app sent
+      const { data: pack, error: packErr } = await serviceClient()
+        .from("lesson_packs")
+        .select("id, price, active")
+        .eq("id", String(metadata.packId || ""))
+        .maybeSingle();
+      if (packErr) throw packErr;
+      if (!pack?.active) {
+        return json({ error: "This lesson pack is no longer available.", code: "pack_not_found" }, 400);
+      }
+      if (toMinor(Number(pack.price), currency) !== chargeMinor) {
+        return json({
+          error: "The price of this lesson pack has changed. Please try again.",
+          code: "price_changed",
+        }, 400);
+      }
+    } else if (type === "term") {
+      // Charge today's pro-rata price for the program, not the amount the app sent
+      const { data: quote, error: quoteErr } = await serviceClient().rpc("quote_term_enrolment", {
+        p_program_id: String(metadata.programId || ""),
+      });
+      if (quoteErr) throw quoteErr;
+      if (!quote?.success) {
+        return json({ error: quote?.message || "This program is not available.", code: quote?.code }, 400);
+      }
+      if (Number(quote.spots_left) <= 0) {
+        return json({ error: "This program is full.", code: "program_full" }, 400);
+      }
+      if (toMinor(Number(quote.price), currency) !== chargeMinor) {
+        return json({
+          error: "The price of this program has changed. Please try again.",
+          code: "price_changed",
+        }, 400);
+      }
+    } else if (promoCode) {
+      const { data: promo, error: promoErr } = await serviceClient().rpc("reserve_promo_redemption", {
+        p_user_id: userId,
+        p_code: promoCode,
+        p_context: "topup",
+        p_amount: amount,
+      });
+      if (promoErr) throw promoErr;
+      if (!promo?.success) {
+        return json({ error: promo?.message || "Invalid promo code", code: promo?.code }, 400);
+      }
+      promoRedemptionId = promo.redemption_id;
+      chargeMinor = toMinor(Number(promo.total), currency);
+      if (chargeMinor < toMinor(minimumCharge(currency), currency)) {
+        await voidPromo(serviceClient(), promoRedemptionId);
+        return json({
+          error: `Amount after discount must be at least ${minimumChargeLabel(currency)}`,
+          code: "promo_not_applicable",
+        }, 400);
+      }
+    }
+
+    // Academies with a connected account are paid directly (027_stripe_connect.sql)
+    const connect = await connectedAcademy(userId);
 
     const supabaseUrl = Deno.env.get("SUPABASE_URL") || "";
     const anon = Deno.env.get("SUPABASE_ANON_KEY") || "";
+    const paymentToken = await createPaymentToken(userId);
     const successUrl =
-      `${supabaseUrl}/functions/v1/dynamic-task?action=credit&session_id={CHECKOUT_SESSION_ID}&apikey=${encodeURIComponent(anon)}`;
-
-    const session = await stripeForm("checkout/sessions", {
-      mode: "payment",
-      success_url: successUrl,
-      cancel_url: `${APP_URL}/home`,
-      client_reference_id: userId,
-      "line_items[0][quantity]": "1",
-      "line_items[0][price_data][currency]": "aud",
-      "line_items[0][price_data][unit_amount]": String(Math.round(amountCents)),
-      "line_items[0][price_data][product_data][name]": label,
-      "metadata[userId]": userId,
-      "metadata[type]": type,
-    });
+      `${supabaseUrl}/functions/v1/dynamic-task?action=credit&session_id={CHECKOUT_SESSION_ID}` +
+      `&token=${encodeURIComponent(paymentToken.token)}&apikey=${encodeURIComponent(anon)}`;
+
+    const promoMetadata: Record<string, string> = promoRedemptionId
+      ? { "metadata[promoRedemptionId]": promoRedemptionId, "metadata[promoCode]": promoCode.toUpperCase() }
+      : {};
+
+    let session;
+    try {
+      session = await stripeForm("checkout/sessions", {
+        mode: "payment",
+        success_url: successUrl,
+        cancel_url: `${APP_URL}/home?checkout=canceled`,
+        expires_at: String(Math.floor(Date.now() / 1000) + CHECKOUT_EXPIRES_SECONDS),
+        client_reference_id: userId,
+        "line_items[0][quantity]": "1",
+        "line_items[0][price_data][currency]": currency,
+        "line_items[0][price_data][unit_amount]": String(chargeMinor),
+        "line_items[0][price_data][product_data][name]": label,
+        "metadata[userId]": userId,
+        "metadata[type]": type,
+        "metadata[verifyNonce]": paymentToken.nonce,
+        ...(type === "pack" ? { "metadata[packId]": String(metadata.packId) } : {}),
+        ...(type === "term" ? { "metadata[programId]": String(metadata.programId) } : {}),
+        ...promoMetadata,
+        ...connectParams(connect, chargeMinor),
+      });
+    } catch (e) {
+      await voidPromo(serviceClient(), promoRedemptionId);
+      throw e;
+    }
+
+    if (promoRedemptionId) {
+      const { error: promoLinkErr } = await serviceClient()
+        .from("promo_redemptions")
+        .update({ stripe_session_id: session.id })
+        .eq("id", promoRedemptionId);
+      if (promoLinkErr) throw promoLinkErr;
+    }
+
+    // Stored against the session so the booking is made server-side once paid,
+    // whether the student comes back to this tab or not.
+    if (segments) {
+      const { error: pendingErr } = await serviceClient()
+        .from("stripe_pending_bookings")
+        .insert({
+          session_id: session.id,
+          user_id: userId,
+          segments,
+          amount: fromMinor(chargeMinor, currency),
+        });
+      if (pendingErr) throw pendingErr;
+    }
 
     return json({
       sessionId: session.id,
@@ -0,0 +1,55 @@
+// Supabase Edge Function: queue lesson reminders (see 036_lesson_reminders.sql).
+// Called by a pg_cron job every 15 minutes. queue_lesson_reminders adds a
+// lesson_reminder notification for each booking whose reminder time (the
+// academy's reminder_hours before the start, 24 and 2 by default) has come;
+// dispatch-notifications sends them over the student's preferred channels.
+// Deploy: supabase functions deploy send-lesson-reminders --no-verify-jwt
+// (checked here: only the service role key may call it)
+// POST {} → { ok, queued }
+
+import { createClient } from "https://esm.sh/@supabase/supabase-js@2";
+
+const corsHeaders = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Headers": "authorization, x-client-info, apikey, content-type",
+};
+
+function json(body: unknown, status = 200) {
+  return new Response(JSON.stringify(body), {
+    headers: { ...corsHeaders, "Content-Type": "application/json" },
+    status,
+  });
+}
+
+function timingSafeEqual(a: string, b: string) {
+  if (a.length !== b.length) return false;
+  let out = 0;
+  for (let i = 0; i < a.length; i++) out |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  return out === 0;
+}
+
+Deno.serve(async (req) => {
+  if (req.method === "OPTIONS") {
+    return new Response("ok", { headers: corsHeaders });
+  }
+  if (req.method !== "POST") return json({ ok: false, error: "Method not allowed" }, 405);
+
+  const serviceRoleKey = Deno.env.get("SUPABASE_SERVICE_ROLE_KEY") || "";
+  const token = (req.headers.get("Authorization") || "").replace(/^Bearer\s+/i, "");
+  if (!serviceRoleKey || !timingSafeEqual(token, serviceRoleKey)) {
+    return json({ ok: false, error: "Unauthorized" }, 401);
+  }
+
+  try {
+    const supabase = createClient(Deno.env.get("SUPABASE_URL")!, serviceRoleKey);
+    const { data, error } = await supabase.rpc("queue_lesson_reminders");
+    if (error) {
+      console.error("queue_lesson_reminders failed:", error.message);
+      return json({ ok: false, error: error.message }, 500);
+    }
+    return json({ ok: true, queued: data?.queued ?? 0 });
+  } catch (e) {
+    console.error("send-lesson-reminders error:", e);
+    return json({ ok: false, error: String(e) }, 500);
+  }
+});
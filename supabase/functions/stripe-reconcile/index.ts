@@ -0,0 +1,384 @@
+// Stripe reconciliation (031_stripe_reconciliation.sql). Lists the paid Checkout
+// sessions and automatic top-up payments in a date range from Stripe, compares
+// each with stripe_processed_sessions, the wallet ledger and
+// stripe_pending_bookings, stores the report in stripe_reconciliation_runs and
+// fixes a discrepancy on request.
+// Deploy: Edge Functions → stripe-reconcile
+// Verify JWT: OFF (checked here: an admin's JWT, or the service role key for scheduled runs)
+// Secrets: STRIPE_SECRET_KEY, STRIPE_API_BASE (optional; a local mock of the
+// Stripe API, see scripts/mock-stripe-server.js)
+// POST { action: "run", from, to } or { action: "run", days } → { runId, checked, discrepancies }
+// POST { action: "fix", runId, key } → { success, fix } or { success: false, code, message }
+
+import { createClient } from "https://esm.sh/@supabase/supabase-js@2";
+
+const corsHeaders = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Headers":
+    "authorization, x-client-info, apikey, content-type",
+  "Access-Control-Allow-Methods": "POST, OPTIONS",
+};
+
+const STRIPE_API_BASE = (Deno.env.get("STRIPE_API_BASE") || "https://api.stripe.com/v1").replace(/\/$/, "");
+const MAX_RANGE_DAYS = 93;
+const MAX_PAGES = 50;
+// Ledger reasons that credit a Stripe payment to the wallet
+const CREDIT_REASONS = ["topup", "card_payment", "auto_topup", "stripe_reconciliation"];
+// Charged in whole units, so Stripe amounts are not cents (032_academy_currency.sql)
+const ZERO_DECIMAL_CURRENCIES = new Set(["jpy"]);
+
+interface Payment {
+  key: string;
+  source: "checkout_session" | "payment_intent";
+  userId: string;
+  type: string;
+  amount: number;
+  currency: string;
+  created: number;
+}
+
+interface Discrepancy {
+  key: string;
+  source: Payment["source"];
+  kind: "missing_credit" | "double_credit" | "amount_mismatch" | "booking_missing";
+  userId: string;
+  studentName: string | null;
+  type: string;
+  stripeAmount: number;
+  currency: string;
+  recordedAmount: number | null;
+  ledgerCredited: number;
+  created: string;
+  fixedAt?: string | null;
+}
+
+function json(body: unknown, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { ...corsHeaders, "Content-Type": "application/json" },
+  });
+}
+
+function serviceClient() {
+  return createClient(
+    Deno.env.get("SUPABASE_URL")!,
+    Deno.env.get("SUPABASE_SERVICE_ROLE_KEY")!
+  );
+}
+
+function timingSafeEqual(a: string, b: string) {
+  if (a.length !== b.length) return false;
+  let out = 0;
+  for (let i = 0; i < a.length; i++) out |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  return out === 0;
+}
+
+async function stripeGet(path: string) {
+  const secret = Deno.env.get("STRIPE_SECRET_KEY");
+  if (!secret) throw new Error("STRIPE_SECRET_KEY is not set");
+  const res = await fetch(`${STRIPE_API_BASE}/${path}`, {
+    headers: { Authorization: `Bearer ${secret}` },
+  });
+  const data = await res.json();
+  if (!res.ok) {
+    throw new Error(data?.error?.message || `Stripe ${res.status}`);
+  }
+  return data;
+}
+
+// Every page of a Stripe list endpoint
+async function stripeList(path: string, params: Record<string, string>) {
+  const items: Record<string, any>[] = [];
+  let startingAfter = "";
+  for (let page = 0; page < MAX_PAGES; page++) {
+    const query = new URLSearchParams({ ...params, limit: "100" });
+    if (startingAfter) query.set("starting_after", startingAfter);
+    const list = await stripeGet(`${path}?${query.toString()}`);
+    const data = (list?.data || []) as Record<string, any>[];
+    items.push(...data);
+    if (!list?.has_more || data.length === 0) return items;
+    startingAfter = String(data[data.length - 1].id);
+  }
+  throw new Error(`More than ${MAX_PAGES * 100} ${path} in range; pick a shorter range`);
+}
+
+function fromMinor(amount: number, currency: string) {
+  return ZERO_DECIMAL_CURRENCIES.has(currency) ? amount : amount / 100;
+}
+
+// A paid Checkout session or succeeded auto top-up, else null
+function toPayment(object: Record<string, any>): Payment | null {
+  const meta = object.metadata || {};
+  const currency = String(object.currency || "aud").toLowerCase();
+  if (object.object === "checkout.session") {
+    if (object.mode !== "payment" || object.payment_status !== "paid") return null;
+    return {
+      key: String(object.id),
+      source: "checkout_session",
+      userId: String(meta.userId || object.client_reference_id || ""),
+      type: String(meta.type || "topup"),
+      amount: fromMinor(Number(object.amount_total || 0), currency),
+      currency,
+      created: Number(object.created || 0),
+    };
+  }
+  if (object.object === "payment_intent") {
+    // Checkout's own payment intents are covered by their session
+    if (object.status !== "succeeded" || meta.type !== "auto_topup") return null;
+    return {
+      key: String(object.id),
+      source: "payment_intent",
+      userId: String(meta.userId || ""),
+      type: "auto_topup",
+      amount: fromMinor(Number(object.amount_received ?? object.amount ?? 0), currency),
+      currency,
+      created: Number(object.created || 0),
+    };
+  }
+  return null;
+}
+
+async function listPayments(from: number, to: number) {
+  const range = { "created[gte]": String(from), "created[lte]": String(to) };
+  const [sessions, intents] = await Promise.all([
+    stripeList("checkout/sessions", { ...range, status: "complete" }),
+    stripeList("payment_intents", range),
+  ]);
+  return [...sessions, ...intents]
+    .map(toPayment)
+    .filter((p): p is Payment => Boolean(p?.userId));
+}
+
+function chunks<T>(items: T[], size: number) {
+  const out: T[][] = [];
+  for (let i = 0; i < items.length; i += size) out.push(items.slice(i, i + size));
+  return out;
+}
+
+const differs = (a: number, b: number) => Math.abs(a - b) > 0.005;
+
+// What each payment should have done that the database does not show
+async function compare(payments: Payment[]) {
+  const admin = serviceClient();
+  const processed = new Map<string, { amount: number }>();
+  const ledger = new Map<string, { credited: number; rows: number }>();
+  const pending = new Map<string, string>();
+  const names = new Map<string, string>();
+
+  for (const keys of chunks(payments.map((p) => p.key), 100)) {
+    const [processedRes, ledgerRes, pendingRes] = await Promise.all([
+      admin.from("stripe_processed_sessions").select("session_id, amount").in("session_id", keys),
+      admin
+        .from("wallet_transactions")
+        .select("stripe_session_id, amount")
+        .in("stripe_session_id", keys)
+        .in("reason", CREDIT_REASONS),
+      admin.from("stripe_pending_bookings").select("session_id, status").in("session_id", keys),
+    ]);
+    if (processedRes.error) throw processedRes.error;
+    if (ledgerRes.error) throw ledgerRes.error;
+    if (pendingRes.error) throw pendingRes.error;
+    for (const row of processedRes.data || []) {
+      processed.set(row.session_id, { amount: Number(row.amount || 0) });
+    }
+    for (const row of ledgerRes.data || []) {
+      const entry = ledger.get(row.stripe_session_id) || { credited: 0, rows: 0 };
+      entry.credited += Number(row.amount || 0);
+      entry.rows += 1;
+      ledger.set(row.stripe_session_id, entry);
+    }
+    for (const row of pendingRes.data || []) pending.set(row.session_id, row.status);
+  }
+
+  const userIds = [...new Set(payments.map((p) => p.userId))];
+  for (const ids of chunks(userIds, 100)) {
+    const { data } = await admin.from("profiles").select("id, first_name, last_name, email").in("id", ids);
+    for (const p of data || []) {
+      names.set(p.id, [p.first_name, p.last_name].filter(Boolean).join(" ") || p.email || "");
+    }
+  }
+
+  const discrepancies: Discrepancy[] = [];
+  for (const payment of payments) {
+    const recorded = processed.get(payment.key);
+    const credit = ledger.get(payment.key) || { credited: 0, rows: 0 };
+    let kind: Discrepancy["kind"] | null = null;
+    if (!recorded) {
+      kind = "missing_credit";
+    } else if (credit.rows === 0) {
+      // Credited before the wallet ledger (024); nothing to compare with
+      continue;
+    } else if (credit.credited > payment.amount + 0.005) {
+      kind = "double_credit";
+    } else if (differs(credit.credited, payment.amount) || differs(recorded.amount, payment.amount)) {
+      kind = "amount_mismatch";
+    } else if (pending.get(payment.key) === "pending") {
+      kind = "booking_missing";
+    }
+    if (!kind) continue;
+    discrepancies.push({
+      key: payment.key,
+      source: payment.source,
+      kind,
+      userId: payment.userId,
+      studentName: names.get(payment.userId) || null,
+      type: payment.type,
+      stripeAmount: payment.amount,
+      currency: payment.currency,
+      recordedAmount: recorded ? recorded.amount : null,
+      ledgerCredited: Math.round(credit.credited * 100) / 100,
+      created: new Date(payment.created * 1000).toISOString(),
+      fixedAt: null,
+    });
+  }
+  return discrepancies;
+}
+
+async function runReconciliation(from: Date, to: Date, source: "admin" | "schedule", userId: string | null) {
+  const payments = await listPayments(Math.floor(from.getTime() / 1000), Math.floor(to.getTime() / 1000));
+  const discrepancies = await compare(payments);
+  const { data: run, error } = await serviceClient()
+    .from("stripe_reconciliation_runs")
+    .insert({
+      range_from: from.toISOString(),
+      range_to: to.toISOString(),
+      source,
+      started_by: userId,
+      checked: payments.length,
+      discrepancies,
+    })
+    .select("id")
+    .single();
+  if (error) throw error;
+  return { runId: run.id, checked: payments.length, discrepancies };
+}
+
+// A missing credit or booking goes through dynamic-task again (it credits once
+// and books the stored lessons); anything else is settled in the wallet.
+async function fixDiscrepancy(runId: string, key: string) {
+  const admin = serviceClient();
+  const { data: run, error } = await admin
+    .from("stripe_reconciliation_runs")
+    .select("id, discrepancies")
+    .eq("id", runId)
+    .maybeSingle();
+  if (error) throw error;
+  if (!run) return { success: false, code: "not_found", message: "Reconciliation run not found." };
+  const listed = ((run.discrepancies || []) as Discrepancy[]).find((d) => d.key === key);
+  if (!listed) return { success: false, code: "not_found", message: "This payment is not in the report." };
+
+  const object = await stripeGet(
+    listed.source === "payment_intent" ? `payment_intents/${key}` : `checkout/sessions/${key}`
+  );
+  const payment = toPayment(object);
+  if (!payment) return { success: false, code: "not_paid", message: "Stripe no longer shows this payment as paid." };
+
+  let fix: unknown = null;
+  const [current] = await compare([payment]);
+  if (current) {
+    if (payment.source === "checkout_session" && (current.kind === "missing_credit" || current.kind === "booking_missing")) {
+      const supabaseUrl = Deno.env.get("SUPABASE_URL")!;
+      const serviceRoleKey = Deno.env.get("SUPABASE_SERVICE_ROLE_KEY")!;
+      const res = await fetch(`${supabaseUrl}/functions/v1/dynamic-task`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          Authorization: `Bearer ${serviceRoleKey}`,
+          apikey: serviceRoleKey,
+        },
+        body: JSON.stringify({ action: "credit-session", sessionId: key }),
+      });
+      fix = await res.json().catch(() => ({}));
+      if (!res.ok) {
+        return { success: false, code: "credit_failed", message: (fix as { error?: string })?.error || "Crediting failed." };
+      }
+    } else {
+      const { data, error: rpcErr } = await admin.rpc("reconcile_stripe_credit", {
+        p_session_id: key,
+        p_user_id: payment.userId,
+        p_expected: payment.amount,
+        p_type: payment.type,
+        p_note: `Stripe reconciliation (${current.kind.replace(/_/g, " ")})`,
+      });
+      if (rpcErr) throw rpcErr;
+      if (!data?.success) return data;
+      fix = data;
+    }
+
+    const [remaining] = await compare([payment]);
+    if (remaining) {
+      return { success: false, code: "still_mismatched", message: "The payment still does not match.", discrepancy: remaining };
+    }
+  }
+
+  const fixedAt = new Date().toISOString();
+  const discrepancies = ((run.discrepancies || []) as Discrepancy[]).map((d) =>
+    d.key === key ? { ...d, fixedAt } : d
+  );
+  const { error: updateErr } = await admin
+    .from("stripe_reconciliation_runs")
+    .update({ discrepancies })
+    .eq("id", runId);
+  if (updateErr) throw updateErr;
+  return { success: true, fixedAt, fix };
+}
+
+Deno.serve(async (req) => {
+  if (req.method === "OPTIONS") {
+    return new Response("ok", { headers: corsHeaders });
+  }
+  if (req.method !== "POST") return json({ error: "Method not allowed" }, 405);
+
+  try {
+    const payload = await req.json().catch(() => ({}));
+    const action = payload?.action;
+
+    // Scheduled runs send the service role key; admins their own JWT
+    const authHeader = req.headers.get("Authorization") || "";
+    const serviceRoleKey = Deno.env.get("SUPABASE_SERVICE_ROLE_KEY") || "";
+    const isSchedule = Boolean(serviceRoleKey) && timingSafeEqual(authHeader.replace(/^Bearer\s+/i, ""), serviceRoleKey);
+    let userId: string | null = null;
+    if (!isSchedule) {
+      const userClient = createClient(
+        Deno.env.get("SUPABASE_URL")!,
+        Deno.env.get("SUPABASE_ANON_KEY")!,
+        { global: { headers: { Authorization: authHeader } } }
+      );
+      const { data: authData } = await userClient.auth.getUser();
+      if (!authData?.user) return json({ error: "Unauthorized" }, 401);
+      const { data: caller } = await serviceClient()
+        .from("profiles")
+        .select("role")
+        .eq("id", authData.user.id)
+        .maybeSingle();
+      if (caller?.role !== "admin") return json({ error: "Admins only" }, 403);
+      userId = authData.user.id;
+    }
+
+    if (action === "run") {
+      const days = Number(payload.days);
+      const to = payload.to ? new Date(payload.to) : new Date();
+      const from = payload.from
+        ? new Date(payload.from)
+        : new Date(to.getTime() - (Number.isFinite(days) && days > 0 ? days : 7) * 86400000);
+      if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime()) || from > to) {
+        return json({ error: "Pick a valid date range", code: "invalid_range" }, 400);
+      }
+      if (to.getTime() - from.getTime() > MAX_RANGE_DAYS * 86400000) {
+        return json({ error: `Pick a range of ${MAX_RANGE_DAYS} days or less`, code: "invalid_range" }, 400);
+      }
+      return json(await runReconciliation(from, to, isSchedule ? "schedule" : "admin", userId));
+    }
+
+    if (action === "fix") {
+      if (!payload.runId || !payload.key) return json({ error: "runId and key required" }, 400);
+      const result = await fixDiscrepancy(String(payload.runId), String(payload.key));
+      return json(result, result?.success ? 200 : 400);
+    }
+
+    return json({ error: "Unknown action" }, 400);
+  } catch (e) {
+    console.error("stripe-reconcile error:", e);
+    return json({ error: e instanceof Error ? e.message : String(e) }, 500);
+  }
+});
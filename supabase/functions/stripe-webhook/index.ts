@@ -1,7 +1,11 @@
 // Stripe → wallet webhook. Deploy: Edge Functions → stripe-webhook
 // Verify JWT: OFF (Stripe cannot send a Supabase JWT)
-// Secret: STRIPE_WEBHOOK_SECRET
-// Stripe Dashboard → Webhooks → checkout.session.completed
+// Secret: STRIPE_WEBHOOK_SECRET (required; unsigned events are rejected)
+// Stores each signed event in stripe_events (029_stripe_events.sql) and has
+// dynamic-task process it (action "stripe-event").
+// Stripe Dashboard → Webhooks → checkout.session.completed, checkout.session.async_payment_succeeded,
+// checkout.session.async_payment_failed, checkout.session.expired, charge.refunded,
+// charge.refund.updated, charge.dispute.created
 // URL: https://rozxeqqwxpnfqbyvtvch.supabase.co/functions/v1/stripe-webhook
 
 import { createClient } from "https://esm.sh/@supabase/supabase-js@2";
@@ -75,36 +79,61 @@ Deno.serve(async (req) => {
 
   try {
     const rawBody = await req.text();
+    // Fail closed: nothing is stored or processed unless Stripe signed it
     const secret = Deno.env.get("STRIPE_WEBHOOK_SECRET");
+    if (!secret) {
+      console.error("stripe-webhook: STRIPE_WEBHOOK_SECRET is not set");
+      return json({ error: "Webhook secret not configured" }, 500);
+    }
     const sig = req.headers.get("stripe-signature") || "";
-    if (secret) {
+    try {
       await verifyStripeSignature(rawBody, sig, secret);
+    } catch (e) {
+      return json({ error: e instanceof Error ? e.message : "Invalid Stripe signature" }, 400);
     }
 
     const event = JSON.parse(rawBody);
-    if (event.type !== "checkout.session.completed" && event.type !== "checkout.session.async_payment_succeeded") {
-      return json({ received: true, ignored: event.type });
-    }
-
-    const session = event.data?.object || {};
-    const sessionId = session.id as string;
-    if (!sessionId) return json({ error: "No session id" }, 400);
+    if (!event?.id || !event.type) return json({ error: "Not a Stripe event" }, 400);
 
+    // Stored first, keyed by event id, so redeliveries are recognised and any
+    // event can be replayed from the admin Stripe Events screen
     const supabaseUrl = Deno.env.get("SUPABASE_URL")!;
-    const anon = Deno.env.get("SUPABASE_ANON_KEY")!;
+    const serviceRoleKey = Deno.env.get("SUPABASE_SERVICE_ROLE_KEY")!;
+    const admin = createClient(supabaseUrl, serviceRoleKey);
+    const { error: insertErr } = await admin
+      .from("stripe_events")
+      .upsert({
+        id: event.id,
+        type: event.type,
+        object_id: event.data?.object?.id || null,
+        livemode: Boolean(event.livemode),
+        payload: event,
+      }, { onConflict: "id", ignoreDuplicates: true });
+    if (insertErr) throw insertErr;
+
+    const { data: stored } = await admin
+      .from("stripe_events")
+      .select("status")
+      .eq("id", event.id)
+      .maybeSingle();
+    if (stored?.status === "processed" || stored?.status === "ignored") {
+      return json({ received: true, duplicate: true, status: stored.status });
+    }
+
     const res = await fetch(`${supabaseUrl}/functions/v1/dynamic-task`, {
       method: "POST",
       headers: {
         "Content-Type": "application/json",
-        Authorization: `Bearer ${anon}`,
-        apikey: anon,
+        Authorization: `Bearer ${serviceRoleKey}`,
+        apikey: serviceRoleKey,
       },
-      body: JSON.stringify({ action: "verify-payment", sessionId }),
+      body: JSON.stringify({ action: "stripe-event", eventId: event.id }),
     });
     const data = await res.json().catch(() => ({}));
     if (!res.ok) {
-      console.error("stripe-webhook credit failed", data);
-      return json({ error: data.error || "credit failed" }, 500);
+      // Stripe retries; the event stays "failed" until then or an admin replay
+      console.error(`stripe-webhook ${event.type} failed`, data);
+      return json({ error: data.error || `${event.type} failed` }, 500);
     }
     return json({ received: true, ...data });
   } catch (e) {
@@ -0,0 +1,252 @@
+-- Atomic lesson booking. Safe to re-run.
+-- Locks the matching availabilities, checks max_capacity, debits the wallet,
+-- inserts the bookings and marks full slots in ONE transaction, so two students
+-- cannot both take the last place and a failure cannot leave money taken with
+-- no booking.
+--
+-- p_segments is a JSON array, one element per booking:
+--   { "location_id", "start_time", "end_time", "service_name", "cost",
+--     "availability_ids": [uuid, ...] }
+-- availability_ids may be omitted only by admins (Assign lesson) and service_role.
+--
+-- Returns jsonb. On success:
+--   { "success": true, "booking_ids": [...], "total_cost", "new_balance" }
+-- On failure nothing is written and:
+--   { "success": false, "code", "message", "segment" }
+-- Codes: unauthorized, invalid_request, profile_not_found, slot_unavailable,
+--        slot_full, slot_in_past, insufficient_balance, booking_conflict
+
+CREATE OR REPLACE FUNCTION public.book_lessons(
+  p_user_id uuid,
+  p_segments jsonb,
+  p_charge_wallet boolean DEFAULT true
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_caller uuid := auth.uid();
+  v_is_admin boolean := false;
+  v_charge boolean := COALESCE(p_charge_wallet, true);
+  v_academy uuid;
+  v_balance numeric;
+  v_seg jsonb;
+  v_idx integer;
+  v_ids uuid[];
+  v_location uuid;
+  v_start timestamptz;
+  v_end timestamptz;
+  v_cost numeric;
+  v_capacity integer;
+  v_open integer;
+  v_existing integer;
+  v_total numeric := 0;
+  v_full_ids uuid[] := '{}';
+  v_booking_id uuid;
+  v_booking_ids uuid[] := '{}';
+BEGIN
+  -- auth.uid() is NULL only for service_role (anon has no EXECUTE)
+  IF v_caller IS NOT NULL THEN
+    SELECT role = 'admin' INTO v_is_admin FROM public.profiles WHERE id = v_caller;
+    v_is_admin := COALESCE(v_is_admin, false);
+    IF v_caller <> p_user_id AND NOT v_is_admin THEN
+      RETURN jsonb_build_object('success', false, 'code', 'unauthorized',
+        'message', 'You can only book lessons for yourself.');
+    END IF;
+    -- Students always pay for their own bookings
+    IF NOT v_is_admin THEN
+      v_charge := true;
+    END IF;
+  END IF;
+
+  IF p_segments IS NULL OR jsonb_typeof(p_segments) <> 'array' OR jsonb_array_length(p_segments) = 0 THEN
+    RETURN jsonb_build_object('success', false, 'code', 'invalid_request',
+      'message', 'No lessons to book.');
+  END IF;
+
+  SELECT academy_id, COALESCE(wallet_balance, 0)
+    INTO v_academy, v_balance
+  FROM public.profiles
+  WHERE id = p_user_id
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('success', false, 'code', 'profile_not_found',
+      'message', 'Student profile not found.');
+  END IF;
+
+  -- Pass 1: validate every segment and lock its availabilities before writing anything
+  FOR v_seg, v_idx IN
+    SELECT value, ordinality - 1 FROM jsonb_array_elements(p_segments) WITH ORDINALITY
+  LOOP
+    v_location := NULLIF(v_seg->>'location_id', '')::uuid;
+    v_start := (v_seg->>'start_time')::timestamptz;
+    v_end := (v_seg->>'end_time')::timestamptz;
+    v_cost := COALESCE((v_seg->>'cost')::numeric, 0);
+    v_ids := ARRAY(SELECT jsonb_array_elements_text(COALESCE(v_seg->'availability_ids', '[]'::jsonb))::uuid);
+
+    IF v_location IS NULL OR v_start IS NULL OR v_end IS NULL OR v_end <= v_start OR v_cost < 0 THEN
+      RETURN jsonb_build_object('success', false, 'code', 'invalid_request',
+        'message', 'Booking details are incomplete.', 'segment', v_idx);
+    END IF;
+
+    -- Admins may record lessons that already happened (Assign lesson)
+    IF v_start < now() AND NOT v_is_admin THEN
+      RETURN jsonb_build_object('success', false, 'code', 'slot_in_past',
+        'message', 'Cannot create a booking for a time that has already passed.', 'segment', v_idx);
+    END IF;
+
+    IF cardinality(v_ids) = 0 THEN
+      IF v_caller IS NOT NULL AND NOT v_is_admin THEN
+        RETURN jsonb_build_object('success', false, 'code', 'invalid_request',
+          'message', 'Please select an available time slot.', 'segment', v_idx);
+      END IF;
+    ELSE
+      -- Row locks serialise concurrent bookings of the same slot until commit
+      PERFORM 1 FROM public.availabilities WHERE id = ANY(v_ids) ORDER BY id FOR UPDATE;
+
+      SELECT count(*), MIN(COALESCE(max_capacity, 10))
+        INTO v_open, v_capacity
+      FROM public.availabilities
+      WHERE id = ANY(v_ids)
+        AND location_id = v_location
+        AND COALESCE(is_booked, false) = false;
+
+      IF v_open < cardinality(v_ids) THEN
+        RETURN jsonb_build_object('success', false, 'code', 'slot_unavailable',
+          'message', 'This time slot is no longer available. Please select a different time.', 'segment', v_idx);
+      END IF;
+
+      SELECT count(*) INTO v_existing
+      FROM public.bookings
+      WHERE location_id = v_location
+        AND start_time = v_start
+        AND end_time = v_end;
+
+      IF v_existing >= v_capacity THEN
+        RETURN jsonb_build_object('success', false, 'code', 'slot_full',
+          'message', format('This time slot is already full (%s/%s members). Please choose another time.', v_existing, v_capacity),
+          'segment', v_idx);
+      END IF;
+
+      IF v_existing + 1 >= v_capacity THEN
+        v_full_ids := v_full_ids || v_ids;
+      END IF;
+    END IF;
+
+    v_total := v_total + v_cost;
+  END LOOP;
+
+  IF v_charge AND v_total > 0 AND v_balance < v_total THEN
+    RETURN jsonb_build_object('success', false, 'code', 'insufficient_balance',
+      'message', 'Insufficient wallet balance.',
+      'balance', v_balance, 'required', v_total);
+  END IF;
+
+  -- Pass 2: debit, insert and mark full. Any error here rolls back the whole block.
+  BEGIN
+    IF v_charge AND v_total > 0 THEN
+      UPDATE public.profiles
+      SET wallet_balance = COALESCE(wallet_balance, 0) - v_total
+      WHERE id = p_user_id
+      RETURNING wallet_balance INTO v_balance;
+    END IF;
+
+    FOR v_seg IN SELECT value FROM jsonb_array_elements(p_segments)
+    LOOP
+      INSERT INTO public.bookings (
+        user_id, location_id, start_time, end_time, credit_cost, service_name, academy_id
+      ) VALUES (
+        p_user_id,
+        (v_seg->>'location_id')::uuid,
+        (v_seg->>'start_time')::timestamptz,
+        (v_seg->>'end_time')::timestamptz,
+        COALESCE((v_seg->>'cost')::numeric, 0),
+        NULLIF(v_seg->>'service_name', ''),
+        v_academy
+      )
+      RETURNING id INTO v_booking_id;
+      v_booking_ids := v_booking_ids || v_booking_id;
+    END LOOP;
+
+    IF cardinality(v_full_ids) > 0 THEN
+      UPDATE public.availabilities SET is_booked = true WHERE id = ANY(v_full_ids);
+    END IF;
+  EXCEPTION
+    WHEN exclusion_violation OR unique_violation THEN
+      RETURN jsonb_build_object('success', false, 'code', 'booking_conflict',
+        'message', 'This time slot is no longer available. Please select a different time.');
+  END;
+
+  RETURN jsonb_build_object(
+    'success', true,
+    'booking_ids', to_jsonb(v_booking_ids),
+    'total_cost', v_total,
+    'new_balance', v_balance
+  );
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.book_lessons(uuid, jsonb, boolean) FROM PUBLIC;
+REVOKE ALL ON FUNCTION public.book_lessons(uuid, jsonb, boolean) FROM anon;
+GRANT EXECUTE ON FUNCTION public.book_lessons(uuid, jsonb, boolean) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.book_lessons(uuid, jsonb, boolean) TO service_role;
+
+-- Card payments for lessons now land in the wallet first; the booking is then
+-- paid from the wallet by book_lessons. If the slot filled up while the student
+-- was on Stripe, the money stays as wallet credit instead of being lost.
+CREATE OR REPLACE FUNCTION public.credit_stripe_session(
+  p_session_id text,
+  p_user_id uuid,
+  p_amount numeric,
+  p_type text
+)
+RETURNS numeric
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  new_bal numeric;
+  inserted_count integer;
+BEGIN
+  IF p_session_id IS NULL OR btrim(p_session_id) = '' THEN
+    RAISE EXCEPTION 'session required';
+  END IF;
+  IF p_user_id IS NULL THEN
+    RAISE EXCEPTION 'user required';
+  END IF;
+
+  INSERT INTO public.stripe_processed_sessions (session_id, user_id, amount, type)
+  VALUES (p_session_id, p_user_id, COALESCE(p_amount, 0), COALESCE(p_type, 'topup'))
+  ON CONFLICT (session_id) DO NOTHING;
+
+  GET DIAGNOSTICS inserted_count = ROW_COUNT;
+
+  SELECT COALESCE(wallet_balance, 0)
+    INTO new_bal
+  FROM public.profiles
+  WHERE id = p_user_id;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'profile not found';
+  END IF;
+
+  -- Only the first successful insert credits. Later retries return current balance.
+  IF inserted_count > 0 AND COALESCE(p_amount, 0) > 0 THEN
+    UPDATE public.profiles
+    SET wallet_balance = COALESCE(wallet_balance, 0) + p_amount
+    WHERE id = p_user_id
+    RETURNING wallet_balance INTO new_bal;
+  END IF;
+
+  RETURN COALESCE(new_bal, 0);
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.credit_stripe_session(text, uuid, numeric, text) FROM PUBLIC;
+REVOKE ALL ON FUNCTION public.credit_stripe_session(text, uuid, numeric, text) FROM anon;
+REVOKE ALL ON FUNCTION public.credit_stripe_session(text, uuid, numeric, text) FROM authenticated;
+GRANT EXECUTE ON FUNCTION public.credit_stripe_session(text, uuid, numeric, text) TO service_role;
@@ -0,0 +1,71 @@
+-- Server-side booking creation for lessons paid by card. Safe to re-run.
+-- dynamic-task stores the booking segments against the Checkout session when it
+-- creates it. creditPaidSession (success URL and stripe-webhook) credits the wallet
+-- via credit_stripe_session, then calls complete_stripe_booking, which books the
+-- segments from that credit exactly once. If the slot filled up in the meantime
+-- the payment simply stays as wallet credit.
+-- Requires 014_book_lessons_rpc.sql.
+
+CREATE TABLE IF NOT EXISTS public.stripe_pending_bookings (
+  session_id text PRIMARY KEY,
+  user_id uuid NOT NULL REFERENCES public.profiles(id) ON DELETE CASCADE,
+  segments jsonb NOT NULL,
+  amount numeric NOT NULL DEFAULT 0,
+  status text NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'booked', 'failed')),
+  result jsonb,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  processed_at timestamptz
+);
+
+CREATE INDEX IF NOT EXISTS idx_stripe_pending_bookings_user_id ON public.stripe_pending_bookings (user_id);
+
+COMMENT ON TABLE public.stripe_pending_bookings IS 'Booking segments for a Stripe Checkout session; booked server-side once the session is paid.';
+
+ALTER TABLE public.stripe_pending_bookings ENABLE ROW LEVEL SECURITY;
+
+GRANT ALL ON TABLE public.stripe_pending_bookings TO service_role;
+
+-- Returns NULL when the session has no pending booking, otherwise the
+-- book_lessons result plus "status". Retries return the stored result.
+CREATE OR REPLACE FUNCTION public.complete_stripe_booking(p_session_id text)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_row public.stripe_pending_bookings%ROWTYPE;
+  v_result jsonb;
+  v_status text;
+BEGIN
+  -- Row lock: the success URL and the webhook can arrive at the same time
+  SELECT * INTO v_row
+  FROM public.stripe_pending_bookings
+  WHERE session_id = p_session_id
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RETURN NULL;
+  END IF;
+
+  IF v_row.status <> 'pending' THEN
+    RETURN COALESCE(v_row.result, '{}'::jsonb) || jsonb_build_object('status', v_row.status);
+  END IF;
+
+  v_result := public.book_lessons(v_row.user_id, v_row.segments, true);
+  v_status := CASE WHEN COALESCE((v_result->>'success')::boolean, false) THEN 'booked' ELSE 'failed' END;
+
+  UPDATE public.stripe_pending_bookings
+  SET status = v_status,
+      result = v_result,
+      processed_at = now()
+  WHERE session_id = p_session_id;
+
+  RETURN v_result || jsonb_build_object('status', v_status);
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.complete_stripe_booking(text) FROM PUBLIC;
+REVOKE ALL ON FUNCTION public.complete_stripe_booking(text) FROM anon;
+REVOKE ALL ON FUNCTION public.complete_stripe_booking(text) FROM authenticated;
+GRANT EXECUTE ON FUNCTION public.complete_stripe_booking(text) TO service_role;
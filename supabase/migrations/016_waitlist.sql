@@ -0,0 +1,277 @@
+-- Waitlist for full sessions with automatic promotion. Safe to re-run.
+-- Students join through join_waitlist (from BookingDiscoveryScreen). When a place
+-- frees up (free cancellation, approved cancel/rain check request) the app calls
+-- promote_waitlist, which books the first waiting student whose wallet covers the
+-- lesson. Students who cannot pay are marked 'skipped' and the offer moves on.
+-- The send-waitlist-sms Database Webhook (waitlist_entries UPDATE) notifies them.
+
+CREATE TABLE IF NOT EXISTS public.waitlist_entries (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL REFERENCES public.profiles(id) ON DELETE CASCADE,
+  location_id uuid NOT NULL REFERENCES public.locations(id) ON DELETE CASCADE,
+  start_time timestamptz NOT NULL,
+  end_time timestamptz NOT NULL,
+  service_name text,
+  cost numeric NOT NULL DEFAULT 0,
+  status text NOT NULL DEFAULT 'waiting'
+    CHECK (status IN ('waiting', 'promoted', 'skipped', 'cancelled', 'expired')),
+  skip_reason text,
+  booking_id uuid,
+  academy_id uuid REFERENCES public.academies(id) ON DELETE SET NULL,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_waitlist_entries_session
+  ON public.waitlist_entries (location_id, start_time, end_time, created_at)
+  WHERE status = 'waiting';
+CREATE INDEX IF NOT EXISTS idx_waitlist_entries_user_id ON public.waitlist_entries (user_id);
+CREATE UNIQUE INDEX IF NOT EXISTS uq_waitlist_entries_waiting
+  ON public.waitlist_entries (user_id, location_id, start_time, end_time)
+  WHERE status = 'waiting';
+
+COMMENT ON TABLE public.waitlist_entries IS 'Students queued for a full session; promoted in created_at order when a place frees up.';
+
+-- RLS: students read their own entries; admins/coaches read all. Writes go through the RPCs below.
+ALTER TABLE public.waitlist_entries ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "waitlist_entries_select" ON public.waitlist_entries;
+CREATE POLICY "waitlist_entries_select"
+  ON public.waitlist_entries FOR SELECT TO authenticated
+  USING (
+    auth.uid() = user_id
+    OR EXISTS (SELECT 1 FROM public.profiles p WHERE p.id = auth.uid() AND p.role IN ('admin', 'coach'))
+  );
+
+GRANT ALL ON TABLE public.waitlist_entries TO service_role;
+
+-- =============================================================================
+-- join_waitlist: queue the caller for the session that covers a full availability.
+-- Session times, service and price are taken from the existing bookings, so the
+-- student pays what everyone else in the session paid.
+-- Codes: unauthorized, slot_unavailable, slot_available, slot_in_past,
+--        already_booked, already_waiting
+-- =============================================================================
+CREATE OR REPLACE FUNCTION public.join_waitlist(p_availability_id uuid)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_user uuid := auth.uid();
+  v_av public.availabilities%ROWTYPE;
+  v_booking record;
+  v_entry_id uuid;
+  v_position integer;
+BEGIN
+  IF v_user IS NULL THEN
+    RETURN jsonb_build_object('success', false, 'code', 'unauthorized',
+      'message', 'You must be signed in to join a waitlist.');
+  END IF;
+
+  SELECT * INTO v_av FROM public.availabilities WHERE id = p_availability_id;
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('success', false, 'code', 'slot_unavailable',
+      'message', 'This session is no longer available.');
+  END IF;
+
+  IF NOT COALESCE(v_av.is_booked, false) THEN
+    RETURN jsonb_build_object('success', false, 'code', 'slot_available',
+      'message', 'This session has a free place. Book it instead.');
+  END IF;
+
+  -- The session is the booked start/end that covers this availability
+  SELECT b.start_time, b.end_time, MAX(b.credit_cost) AS cost, MAX(b.service_name) AS service_name
+    INTO v_booking
+  FROM public.bookings b
+  WHERE b.location_id = v_av.location_id
+    AND b.start_time <= v_av.start_time
+    AND b.end_time > v_av.start_time
+  GROUP BY b.start_time, b.end_time
+  ORDER BY count(*) DESC
+  LIMIT 1;
+
+  IF v_booking IS NULL OR v_booking.start_time IS NULL THEN
+    RETURN jsonb_build_object('success', false, 'code', 'slot_unavailable',
+      'message', 'This session is not open for bookings.');
+  END IF;
+
+  IF v_booking.start_time < now() THEN
+    RETURN jsonb_build_object('success', false, 'code', 'slot_in_past',
+      'message', 'This session has already started.');
+  END IF;
+
+  IF EXISTS (
+    SELECT 1 FROM public.bookings
+    WHERE user_id = v_user
+      AND location_id = v_av.location_id
+      AND start_time = v_booking.start_time
+      AND end_time = v_booking.end_time
+  ) THEN
+    RETURN jsonb_build_object('success', false, 'code', 'already_booked',
+      'message', 'You are already booked into this session.');
+  END IF;
+
+  INSERT INTO public.waitlist_entries (
+    user_id, location_id, start_time, end_time, service_name, cost, academy_id
+  ) VALUES (
+    v_user,
+    v_av.location_id,
+    v_booking.start_time,
+    v_booking.end_time,
+    COALESCE(v_booking.service_name, v_av.service_name),
+    COALESCE(v_booking.cost, 0),
+    v_av.academy_id
+  )
+  ON CONFLICT (user_id, location_id, start_time, end_time) WHERE status = 'waiting' DO NOTHING
+  RETURNING id INTO v_entry_id;
+
+  IF v_entry_id IS NULL THEN
+    RETURN jsonb_build_object('success', false, 'code', 'already_waiting',
+      'message', 'You are already on the waitlist for this session.');
+  END IF;
+
+  SELECT count(*) INTO v_position
+  FROM public.waitlist_entries
+  WHERE location_id = v_av.location_id
+    AND start_time = v_booking.start_time
+    AND end_time = v_booking.end_time
+    AND status = 'waiting';
+
+  RETURN jsonb_build_object('success', true, 'entry_id', v_entry_id, 'position', v_position);
+END;
+$$;
+
+-- =============================================================================
+-- leave_waitlist: the caller removes one of their own waiting entries
+-- =============================================================================
+CREATE OR REPLACE FUNCTION public.leave_waitlist(p_entry_id uuid)
+RETURNS boolean
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  UPDATE public.waitlist_entries
+  SET status = 'cancelled', updated_at = now()
+  WHERE id = p_entry_id
+    AND user_id = auth.uid()
+    AND status = 'waiting';
+  RETURN FOUND;
+END;
+$$;
+
+-- =============================================================================
+-- promote_waitlist: fill free places in a session from its waitlist, then set
+-- availabilities.is_booked to match the new booking count. Safe to call after
+-- any cancellation; it does nothing when the session is still full.
+-- Returns { promoted, skipped }.
+-- =============================================================================
+CREATE OR REPLACE FUNCTION public.promote_waitlist(
+  p_location_id uuid,
+  p_start_time timestamptz,
+  p_end_time timestamptz
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_capacity integer;
+  v_count integer;
+  v_entry public.waitlist_entries%ROWTYPE;
+  v_booking_id uuid;
+  v_promoted integer := 0;
+  v_skipped integer := 0;
+BEGIN
+  -- Same row locks as book_lessons, so a direct booking cannot race the promotion
+  PERFORM 1 FROM public.availabilities
+  WHERE location_id = p_location_id
+    AND start_time >= p_start_time
+    AND start_time < p_end_time
+  ORDER BY id
+  FOR UPDATE;
+
+  SELECT COALESCE(MIN(COALESCE(max_capacity, 10)), 10) INTO v_capacity
+  FROM public.availabilities
+  WHERE location_id = p_location_id
+    AND start_time >= p_start_time
+    AND start_time < p_end_time;
+
+  SELECT count(*) INTO v_count
+  FROM public.bookings
+  WHERE location_id = p_location_id
+    AND start_time = p_start_time
+    AND end_time = p_end_time;
+
+  FOR v_entry IN
+    SELECT * FROM public.waitlist_entries
+    WHERE location_id = p_location_id
+      AND start_time = p_start_time
+      AND end_time = p_end_time
+      AND status = 'waiting'
+    ORDER BY created_at
+    FOR UPDATE
+  LOOP
+    EXIT WHEN v_count >= v_capacity;
+
+    IF v_entry.start_time < now() THEN
+      UPDATE public.waitlist_entries SET status = 'expired', updated_at = now() WHERE id = v_entry.id;
+      CONTINUE;
+    END IF;
+
+    IF v_entry.cost > 0 THEN
+      UPDATE public.profiles
+      SET wallet_balance = COALESCE(wallet_balance, 0) - v_entry.cost
+      WHERE id = v_entry.user_id
+        AND COALESCE(wallet_balance, 0) >= v_entry.cost;
+
+      IF NOT FOUND THEN
+        UPDATE public.waitlist_entries
+        SET status = 'skipped', skip_reason = 'insufficient_balance', updated_at = now()
+        WHERE id = v_entry.id;
+        v_skipped := v_skipped + 1;
+        CONTINUE;
+      END IF;
+    END IF;
+
+    INSERT INTO public.bookings (
+      user_id, location_id, start_time, end_time, credit_cost, service_name, academy_id
+    ) VALUES (
+      v_entry.user_id, v_entry.location_id, v_entry.start_time, v_entry.end_time,
+      v_entry.cost, v_entry.service_name, v_entry.academy_id
+    )
+    RETURNING id INTO v_booking_id;
+
+    UPDATE public.waitlist_entries
+    SET status = 'promoted', booking_id = v_booking_id, updated_at = now()
+    WHERE id = v_entry.id;
+
+    v_count := v_count + 1;
+    v_promoted := v_promoted + 1;
+  END LOOP;
+
+  UPDATE public.availabilities
+  SET is_booked = (v_count >= v_capacity)
+  WHERE location_id = p_location_id
+    AND start_time >= p_start_time
+    AND start_time < p_end_time;
+
+  RETURN jsonb_build_object('promoted', v_promoted, 'skipped', v_skipped);
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.join_waitlist(uuid) FROM PUBLIC;
+REVOKE ALL ON FUNCTION public.join_waitlist(uuid) FROM anon;
+GRANT EXECUTE ON FUNCTION public.join_waitlist(uuid) TO authenticated;
+
+REVOKE ALL ON FUNCTION public.leave_waitlist(uuid) FROM PUBLIC;
+REVOKE ALL ON FUNCTION public.leave_waitlist(uuid) FROM anon;
+GRANT EXECUTE ON FUNCTION public.leave_waitlist(uuid) TO authenticated;
+
+REVOKE ALL ON FUNCTION public.promote_waitlist(uuid, timestamptz, timestamptz) FROM PUBLIC;
+REVOKE ALL ON FUNCTION public.promote_waitlist(uuid, timestamptz, timestamptz) FROM anon;
+REVOKE ALL ON FUNCTION public.promote_waitlist(uuid, timestamptz, timestamptz) FROM authenticated;
+GRANT EXECUTE ON FUNCTION public.promote_waitlist(uuid, timestamptz, timestamptz) TO service_role;
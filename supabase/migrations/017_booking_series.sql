@@ -0,0 +1,326 @@
+-- Recurring weekly booking series. Safe to re-run.
+-- book_lesson_series repeats the selected lesson(s) every week until a date,
+-- checks availability for every occurrence, books the ones that are free and
+-- charges the wallet once for all of them (via book_lessons). Dates that could
+-- not be booked are returned so the app can show them.
+-- cancel_series_bookings cancels the rest of a series or skips one week, with
+-- the same free-cancellation rule as BookingEditModal (before 12pm the day before).
+-- Requires 014_book_lessons_rpc.sql and 016_waitlist.sql.
+
+CREATE TABLE IF NOT EXISTS public.booking_series (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL REFERENCES public.profiles(id) ON DELETE CASCADE,
+  segments jsonb NOT NULL,
+  first_start_time timestamptz NOT NULL,
+  repeat_until date NOT NULL,
+  status text NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'cancelled')),
+  academy_id uuid REFERENCES public.academies(id) ON DELETE SET NULL,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  cancelled_at timestamptz
+);
+
+CREATE INDEX IF NOT EXISTS idx_booking_series_user_id ON public.booking_series (user_id);
+
+COMMENT ON TABLE public.booking_series IS 'Weekly repeating bookings; segments is the first week''s lessons, repeated until repeat_until (Sydney date).';
+
+ALTER TABLE public.bookings
+  ADD COLUMN IF NOT EXISTS series_id uuid REFERENCES public.booking_series(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_bookings_series_id ON public.bookings (series_id) WHERE series_id IS NOT NULL;
+
+ALTER TABLE public.booking_series ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "booking_series_select" ON public.booking_series;
+CREATE POLICY "booking_series_select"
+  ON public.booking_series FOR SELECT TO authenticated
+  USING (
+    auth.uid() = user_id
+    OR EXISTS (SELECT 1 FROM public.profiles p WHERE p.id = auth.uid() AND p.role IN ('admin', 'coach'))
+  );
+
+GRANT ALL ON TABLE public.booking_series TO service_role;
+
+-- =============================================================================
+-- book_lesson_series
+-- p_segments: the first week's lessons, same shape as book_lessons.
+-- p_until: last date (Australia/Sydney) an occurrence may fall on; max 26 weeks.
+-- Returns on success:
+--   { success: true, series_id, booking_ids, booked: [start_time...],
+--     failed: [{ start_time, code, message }], total_cost, new_balance }
+-- On failure nothing is written and { success: false, code, message, failed[, balance, required] }.
+-- Extra code: no_available_dates (every occurrence failed).
+-- =============================================================================
+CREATE OR REPLACE FUNCTION public.book_lesson_series(
+  p_user_id uuid,
+  p_segments jsonb,
+  p_until date
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_tz constant text := 'Australia/Sydney';
+  v_max_weeks constant integer := 26;
+  v_first_start timestamptz;
+  v_week integer;
+  v_seg jsonb;
+  v_location uuid;
+  v_start timestamptz;
+  v_end timestamptz;
+  v_expected integer;
+  v_ids uuid[];
+  v_open integer;
+  v_capacity integer;
+  v_existing integer;
+  v_first_ids uuid[];
+  v_code text;
+  v_message text;
+  v_book jsonb := '[]'::jsonb;
+  v_booked jsonb := '[]'::jsonb;
+  v_failed jsonb := '[]'::jsonb;
+  v_result jsonb;
+  v_series_id uuid;
+  v_academy uuid;
+BEGIN
+  IF auth.uid() IS NOT NULL AND auth.uid() <> p_user_id
+     AND NOT EXISTS (SELECT 1 FROM public.profiles WHERE id = auth.uid() AND role = 'admin') THEN
+    RETURN jsonb_build_object('success', false, 'code', 'unauthorized',
+      'message', 'You can only book lessons for yourself.', 'failed', '[]'::jsonb);
+  END IF;
+
+  IF p_segments IS NULL OR jsonb_typeof(p_segments) <> 'array' OR jsonb_array_length(p_segments) = 0
+     OR p_until IS NULL THEN
+    RETURN jsonb_build_object('success', false, 'code', 'invalid_request',
+      'message', 'No lessons to book.', 'failed', '[]'::jsonb);
+  END IF;
+
+  SELECT MIN((value->>'start_time')::timestamptz) INTO v_first_start
+  FROM jsonb_array_elements(p_segments);
+
+  FOR v_week IN 0..(v_max_weeks - 1) LOOP
+    EXIT WHEN ((v_first_start AT TIME ZONE v_tz) + make_interval(weeks => v_week))::date > p_until;
+
+    FOR v_seg IN SELECT value FROM jsonb_array_elements(p_segments) LOOP
+      v_location := NULLIF(v_seg->>'location_id', '')::uuid;
+      -- Shift in Sydney local time so 4pm stays 4pm across daylight saving changes
+      v_start := (((v_seg->>'start_time')::timestamptz AT TIME ZONE v_tz) + make_interval(weeks => v_week)) AT TIME ZONE v_tz;
+      v_end := (((v_seg->>'end_time')::timestamptz AT TIME ZONE v_tz) + make_interval(weeks => v_week)) AT TIME ZONE v_tz;
+      v_first_ids := ARRAY(SELECT jsonb_array_elements_text(COALESCE(v_seg->'availability_ids', '[]'::jsonb))::uuid);
+      v_code := NULL;
+
+      IF v_week = 0 THEN
+        v_ids := v_first_ids;
+      ELSE
+        -- Same number of slots, same service, covering the same local times
+        v_expected := cardinality(v_first_ids);
+        SELECT COALESCE(array_agg(a.id ORDER BY a.start_time), '{}')
+          INTO v_ids
+        FROM public.availabilities a
+        WHERE a.location_id = v_location
+          AND a.start_time >= v_start
+          AND a.start_time < v_end
+          AND a.service_name IS NOT DISTINCT FROM NULLIF(v_seg->>'service_name', '');
+
+        IF cardinality(v_ids) = 0 OR cardinality(v_ids) < v_expected THEN
+          v_code := 'slot_unavailable';
+          v_message := 'No session is scheduled at this time.';
+        END IF;
+      END IF;
+
+      IF v_code IS NULL AND cardinality(v_ids) > 0 THEN
+        PERFORM 1 FROM public.availabilities WHERE id = ANY(v_ids) ORDER BY id FOR UPDATE;
+
+        SELECT count(*), MIN(COALESCE(max_capacity, 10))
+          INTO v_open, v_capacity
+        FROM public.availabilities
+        WHERE id = ANY(v_ids)
+          AND COALESCE(is_booked, false) = false;
+
+        SELECT count(*) INTO v_existing
+        FROM public.bookings
+        WHERE location_id = v_location
+          AND start_time = v_start
+          AND end_time = v_end;
+
+        IF v_open < cardinality(v_ids) OR v_existing >= v_capacity THEN
+          v_code := 'slot_full';
+          v_message := 'This session is full.';
+        ELSIF EXISTS (
+          SELECT 1 FROM public.bookings
+          WHERE user_id = p_user_id AND start_time < v_end AND end_time > v_start
+        ) THEN
+          v_code := 'booking_conflict';
+          v_message := 'You already have a lesson at this time.';
+        END IF;
+      END IF;
+
+      IF v_code IS NULL THEN
+        v_book := v_book || jsonb_build_object(
+          'location_id', v_location,
+          'start_time', v_start,
+          'end_time', v_end,
+          'service_name', v_seg->'service_name',
+          'cost', v_seg->'cost',
+          'availability_ids', to_jsonb(v_ids)
+        );
+        v_booked := v_booked || to_jsonb(v_start);
+      ELSIF v_week = 0 THEN
+        -- The week the student picked must be bookable; report it like a normal booking
+        RETURN jsonb_build_object('success', false, 'code', v_code, 'message', v_message, 'failed', '[]'::jsonb);
+      ELSE
+        v_failed := v_failed || jsonb_build_object('start_time', v_start, 'code', v_code, 'message', v_message);
+      END IF;
+    END LOOP;
+  END LOOP;
+
+  IF jsonb_array_length(v_book) = 0 THEN
+    RETURN jsonb_build_object('success', false, 'code', 'no_available_dates',
+      'message', 'None of the dates in this series are available.', 'failed', v_failed);
+  END IF;
+
+  -- One wallet debit for the whole series; book_lessons also enforces who may book for whom
+  v_result := public.book_lessons(p_user_id, v_book, true);
+  IF NOT COALESCE((v_result->>'success')::boolean, false) THEN
+    RETURN v_result || jsonb_build_object('failed', v_failed);
+  END IF;
+
+  SELECT academy_id INTO v_academy FROM public.profiles WHERE id = p_user_id;
+
+  INSERT INTO public.booking_series (user_id, segments, first_start_time, repeat_until, academy_id)
+  VALUES (p_user_id, p_segments, v_first_start, p_until, v_academy)
+  RETURNING id INTO v_series_id;
+
+  UPDATE public.bookings
+  SET series_id = v_series_id
+  WHERE id IN (SELECT jsonb_array_elements_text(v_result->'booking_ids')::uuid);
+
+  RETURN v_result || jsonb_build_object(
+    'series_id', v_series_id,
+    'booked', v_booked,
+    'failed', v_failed
+  );
+END;
+$$;
+
+-- =============================================================================
+-- cancel_series_bookings
+-- p_booking_id NULL: cancel every remaining lesson in the series (and end it).
+-- p_booking_id set: skip that one week only.
+-- Lessons past the free-cancellation deadline (12pm Sydney the day before) are
+-- kept and listed in "kept"; those need a cancellation request as usual.
+-- Cancelled lessons are refunded to the wallet, written to
+-- user_cancellation_history and offered to the waitlist.
+-- Returns { success, cancelled: [{ booking_id, start_time, location_name, coach_id, refund }],
+--           kept: [start_time...], refunded, new_balance } or { success: false, code, message }.
+-- =============================================================================
+CREATE OR REPLACE FUNCTION public.cancel_series_bookings(
+  p_series_id uuid,
+  p_booking_id uuid DEFAULT NULL
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_tz constant text := 'Australia/Sydney';
+  v_caller uuid := auth.uid();
+  v_series public.booking_series%ROWTYPE;
+  v_booking record;
+  v_deadline timestamptz;
+  v_refunded numeric := 0;
+  v_balance numeric;
+  v_cancelled jsonb := '[]'::jsonb;
+  v_kept jsonb := '[]'::jsonb;
+BEGIN
+  SELECT * INTO v_series FROM public.booking_series WHERE id = p_series_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('success', false, 'code', 'not_found', 'message', 'Series not found.');
+  END IF;
+
+  IF v_caller IS NOT NULL AND v_caller <> v_series.user_id
+     AND NOT EXISTS (SELECT 1 FROM public.profiles WHERE id = v_caller AND role = 'admin') THEN
+    RETURN jsonb_build_object('success', false, 'code', 'unauthorized',
+      'message', 'You can only change your own bookings.');
+  END IF;
+
+  FOR v_booking IN
+    SELECT b.*, l.name AS location_name
+    FROM public.bookings b
+    LEFT JOIN public.locations l ON l.id = b.location_id
+    WHERE b.series_id = p_series_id
+      AND b.start_time > now()
+      AND (p_booking_id IS NULL OR b.id = p_booking_id)
+    ORDER BY b.start_time
+    FOR UPDATE OF b
+  LOOP
+    v_deadline := (((v_booking.start_time AT TIME ZONE v_tz)::date - 1) + time '12:00') AT TIME ZONE v_tz;
+    IF now() >= v_deadline THEN
+      v_kept := v_kept || to_jsonb(v_booking.start_time);
+      CONTINUE;
+    END IF;
+
+    INSERT INTO public.user_cancellation_history (
+      original_booking_id, user_id, coach_id, location_id, location_name,
+      start_time, end_time, service_name, credit_cost, reason, academy_id
+    ) VALUES (
+      v_booking.id, v_booking.user_id, v_booking.coach_id, v_booking.location_id, v_booking.location_name,
+      v_booking.start_time, v_booking.end_time, v_booking.service_name, COALESCE(v_booking.credit_cost, 0),
+      CASE WHEN p_booking_id IS NULL THEN 'Series cancelled' ELSE 'Skipped week in series' END,
+      v_booking.academy_id
+    );
+
+    DELETE FROM public.bookings WHERE id = v_booking.id;
+
+    IF COALESCE(v_booking.credit_cost, 0) > 0 THEN
+      UPDATE public.profiles
+      SET wallet_balance = COALESCE(wallet_balance, 0) + v_booking.credit_cost
+      WHERE id = v_booking.user_id;
+      v_refunded := v_refunded + v_booking.credit_cost;
+    END IF;
+
+    PERFORM public.promote_waitlist(v_booking.location_id, v_booking.start_time, v_booking.end_time);
+
+    v_cancelled := v_cancelled || jsonb_build_object(
+      'booking_id', v_booking.id,
+      'start_time', v_booking.start_time,
+      'location_name', v_booking.location_name,
+      'coach_id', v_booking.coach_id,
+      'refund', COALESCE(v_booking.credit_cost, 0)
+    );
+  END LOOP;
+
+  IF p_booking_id IS NOT NULL AND jsonb_array_length(v_cancelled) = 0 AND jsonb_array_length(v_kept) = 0 THEN
+    RETURN jsonb_build_object('success', false, 'code', 'not_found',
+      'message', 'This lesson is not an upcoming lesson in the series.');
+  END IF;
+
+  IF p_booking_id IS NULL THEN
+    UPDATE public.booking_series
+    SET status = 'cancelled', cancelled_at = now()
+    WHERE id = p_series_id;
+  END IF;
+
+  SELECT COALESCE(wallet_balance, 0) INTO v_balance FROM public.profiles WHERE id = v_series.user_id;
+
+  RETURN jsonb_build_object(
+    'success', true,
+    'cancelled', v_cancelled,
+    'kept', v_kept,
+    'refunded', v_refunded,
+    'new_balance', v_balance
+  );
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.book_lesson_series(uuid, jsonb, date) FROM PUBLIC;
+REVOKE ALL ON FUNCTION public.book_lesson_series(uuid, jsonb, date) FROM anon;
+GRANT EXECUTE ON FUNCTION public.book_lesson_series(uuid, jsonb, date) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.book_lesson_series(uuid, jsonb, date) TO service_role;
+
+REVOKE ALL ON FUNCTION public.cancel_series_bookings(uuid, uuid) FROM PUBLIC;
+REVOKE ALL ON FUNCTION public.cancel_series_bookings(uuid, uuid) FROM anon;
+GRANT EXECUTE ON FUNCTION public.cancel_series_bookings(uuid, uuid) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.cancel_series_bookings(uuid, uuid) TO service_role;
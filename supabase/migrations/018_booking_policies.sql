@@ -0,0 +1,549 @@
+-- Booking policies: minimum lead time, how far ahead bookings open and a weekly
+-- cap per student, configurable per academy and per service. Safe to re-run.
+-- Replaces the "at least 1 week in advance" check that lived in HomeScreen.
+--
+-- The most specific row wins: academy + service, then academy, then service,
+-- then the global default (academy_id and service_name both NULL). NULL limits
+-- mean "no limit". Admins (Assign lesson) are never restricted.
+-- Enforced by book_lessons / book_lesson_series for students, and by dynamic-task
+-- (check_booking_policies) before a Stripe Checkout session is created.
+-- BookingDiscoveryScreen reads the same table to grey out slots with the reason.
+-- Requires 014_book_lessons_rpc.sql and 017_booking_series.sql.
+
+CREATE TABLE IF NOT EXISTS public.booking_policies (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  academy_id uuid REFERENCES public.academies(id) ON DELETE CASCADE,
+  service_name text,
+  min_lead_hours integer CHECK (min_lead_hours IS NULL OR min_lead_hours >= 0),
+  max_days_ahead integer CHECK (max_days_ahead IS NULL OR max_days_ahead > 0),
+  max_bookings_per_week integer CHECK (max_bookings_per_week IS NULL OR max_bookings_per_week > 0),
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS uq_booking_policies_scope
+  ON public.booking_policies (
+    COALESCE(academy_id, '00000000-0000-0000-0000-000000000000'::uuid),
+    COALESCE(service_name, '')
+  );
+
+COMMENT ON TABLE public.booking_policies IS 'Per-academy, per-service booking rules; NULL academy_id/service_name rows are defaults.';
+COMMENT ON COLUMN public.booking_policies.min_lead_hours IS 'Lessons must start at least this many hours after booking';
+COMMENT ON COLUMN public.booking_policies.max_days_ahead IS 'Lessons can be booked at most this many days ahead';
+COMMENT ON COLUMN public.booking_policies.max_bookings_per_week IS 'Max lessons per student per Monday-Sunday week (Sydney), counted per service when service_name is set';
+
+-- Global default keeps the existing 1-week lead time
+INSERT INTO public.booking_policies (academy_id, service_name, min_lead_hours)
+SELECT NULL, NULL, 168
+WHERE NOT EXISTS (
+  SELECT 1 FROM public.booking_policies WHERE academy_id IS NULL AND service_name IS NULL
+);
+
+-- RLS: everyone signed in can read (the booking screen greys out slots); admins manage.
+ALTER TABLE public.booking_policies ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "booking_policies_select" ON public.booking_policies;
+CREATE POLICY "booking_policies_select"
+  ON public.booking_policies FOR SELECT TO authenticated
+  USING (true);
+
+DROP POLICY IF EXISTS "booking_policies_admin_write" ON public.booking_policies;
+CREATE POLICY "booking_policies_admin_write"
+  ON public.booking_policies FOR ALL TO authenticated
+  USING (EXISTS (SELECT 1 FROM public.profiles p WHERE p.id = auth.uid() AND p.role = 'admin'))
+  WITH CHECK (EXISTS (SELECT 1 FROM public.profiles p WHERE p.id = auth.uid() AND p.role = 'admin'));
+
+GRANT ALL ON TABLE public.booking_policies TO service_role;
+
+-- =============================================================================
+-- resolve_booking_policy: the most specific policy row for an academy + service
+-- =============================================================================
+CREATE OR REPLACE FUNCTION public.resolve_booking_policy(p_academy_id uuid, p_service_name text)
+RETURNS public.booking_policies
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT *
+  FROM public.booking_policies
+  WHERE (academy_id = p_academy_id OR academy_id IS NULL)
+    AND (service_name = p_service_name OR service_name IS NULL)
+  ORDER BY (academy_id IS NULL), (service_name IS NULL)
+  LIMIT 1;
+$$;
+
+-- Lead time as shown to students: "1 week", "2 days", "12 hours"
+CREATE OR REPLACE FUNCTION public.format_lead_time(p_hours integer)
+RETURNS text
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  SELECT CASE
+    WHEN p_hours > 0 AND p_hours % 168 = 0 THEN (p_hours / 168) || CASE WHEN p_hours = 168 THEN ' week' ELSE ' weeks' END
+    WHEN p_hours > 0 AND p_hours % 24 = 0 THEN (p_hours / 24) || CASE WHEN p_hours = 24 THEN ' day' ELSE ' days' END
+    ELSE p_hours || CASE WHEN p_hours = 1 THEN ' hour' ELSE ' hours' END
+  END;
+$$;
+
+-- =============================================================================
+-- check_booking_policies: NULL when every segment is allowed, otherwise
+--   { success: false, code, message, segment }
+-- Codes: policy_lead_time, policy_too_far_ahead, policy_weekly_limit
+-- Segments are in book_lessons format. The weekly cap counts the student's
+-- existing bookings plus earlier segments of the same request.
+-- =============================================================================
+CREATE OR REPLACE FUNCTION public.check_booking_policies(p_user_id uuid, p_segments jsonb)
+RETURNS jsonb
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_tz constant text := 'Australia/Sydney';
+  v_academy uuid;
+  v_seg jsonb;
+  v_idx integer;
+  v_start timestamptz;
+  v_service text;
+  v_policy public.booking_policies%ROWTYPE;
+  v_week_start timestamptz;
+  v_week_end timestamptz;
+  v_count integer;
+BEGIN
+  IF p_segments IS NULL OR jsonb_typeof(p_segments) <> 'array' THEN
+    RETURN NULL;
+  END IF;
+
+  SELECT academy_id INTO v_academy FROM public.profiles WHERE id = p_user_id;
+
+  FOR v_seg, v_idx IN
+    SELECT value, ordinality - 1 FROM jsonb_array_elements(p_segments) WITH ORDINALITY
+  LOOP
+    v_start := (v_seg->>'start_time')::timestamptz;
+    v_service := NULLIF(v_seg->>'service_name', '');
+    CONTINUE WHEN v_start IS NULL;
+
+    v_policy := public.resolve_booking_policy(v_academy, v_service);
+    CONTINUE WHEN v_policy.id IS NULL;
+
+    IF v_policy.min_lead_hours IS NOT NULL
+       AND v_start < now() + make_interval(hours => v_policy.min_lead_hours) THEN
+      RETURN jsonb_build_object('success', false, 'code', 'policy_lead_time',
+        'message', format('Bookings must be made at least %s in advance.', public.format_lead_time(v_policy.min_lead_hours)),
+        'segment', v_idx);
+    END IF;
+
+    IF v_policy.max_days_ahead IS NOT NULL
+       AND v_start > now() + make_interval(days => v_policy.max_days_ahead) THEN
+      RETURN jsonb_build_object('success', false, 'code', 'policy_too_far_ahead',
+        'message', format('Bookings open %s days in advance.', v_policy.max_days_ahead),
+        'segment', v_idx);
+    END IF;
+
+    IF v_policy.max_bookings_per_week IS NOT NULL THEN
+      v_week_start := date_trunc('week', v_start AT TIME ZONE v_tz) AT TIME ZONE v_tz;
+      v_week_end := (date_trunc('week', v_start AT TIME ZONE v_tz) + interval '7 days') AT TIME ZONE v_tz;
+
+      SELECT count(*) INTO v_count
+      FROM public.bookings
+      WHERE user_id = p_user_id
+        AND start_time >= v_week_start
+        AND start_time < v_week_end
+        AND (v_policy.service_name IS NULL OR service_name = v_policy.service_name);
+
+      SELECT v_count + count(*) INTO v_count
+      FROM jsonb_array_elements(p_segments) WITH ORDINALITY AS s(value, ord)
+      WHERE s.ord - 1 <= v_idx
+        AND (s.value->>'start_time')::timestamptz >= v_week_start
+        AND (s.value->>'start_time')::timestamptz < v_week_end
+        AND (v_policy.service_name IS NULL OR s.value->>'service_name' = v_policy.service_name);
+
+      IF v_count > v_policy.max_bookings_per_week THEN
+        RETURN jsonb_build_object('success', false, 'code', 'policy_weekly_limit',
+          'message', format('You can book up to %s %slesson%s per week.',
+            v_policy.max_bookings_per_week,
+            COALESCE(v_policy.service_name || ' ', ''),
+            CASE WHEN v_policy.max_bookings_per_week = 1 THEN '' ELSE 's' END),
+          'segment', v_idx);
+      END IF;
+    END IF;
+  END LOOP;
+
+  RETURN NULL;
+END;
+$$;
+
+-- =============================================================================
+-- book_lessons: unchanged from 014 apart from the booking policy check
+-- Extra codes: policy_lead_time, policy_too_far_ahead, policy_weekly_limit
+-- =============================================================================
+CREATE OR REPLACE FUNCTION public.book_lessons(
+  p_user_id uuid,
+  p_segments jsonb,
+  p_charge_wallet boolean DEFAULT true
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_caller uuid := auth.uid();
+  v_is_admin boolean := false;
+  v_charge boolean := COALESCE(p_charge_wallet, true);
+  v_academy uuid;
+  v_balance numeric;
+  v_seg jsonb;
+  v_idx integer;
+  v_ids uuid[];
+  v_location uuid;
+  v_start timestamptz;
+  v_end timestamptz;
+  v_cost numeric;
+  v_capacity integer;
+  v_open integer;
+  v_existing integer;
+  v_total numeric := 0;
+  v_full_ids uuid[] := '{}';
+  v_booking_id uuid;
+  v_booking_ids uuid[] := '{}';
+  v_policy_error jsonb;
+BEGIN
+  -- auth.uid() is NULL only for service_role (anon has no EXECUTE)
+  IF v_caller IS NOT NULL THEN
+    SELECT role = 'admin' INTO v_is_admin FROM public.profiles WHERE id = v_caller;
+    v_is_admin := COALESCE(v_is_admin, false);
+    IF v_caller <> p_user_id AND NOT v_is_admin THEN
+      RETURN jsonb_build_object('success', false, 'code', 'unauthorized',
+        'message', 'You can only book lessons for yourself.');
+    END IF;
+    -- Students always pay for their own bookings
+    IF NOT v_is_admin THEN
+      v_charge := true;
+    END IF;
+  END IF;
+
+  IF p_segments IS NULL OR jsonb_typeof(p_segments) <> 'array' OR jsonb_array_length(p_segments) = 0 THEN
+    RETURN jsonb_build_object('success', false, 'code', 'invalid_request',
+      'message', 'No lessons to book.');
+  END IF;
+
+  -- Booking policies apply to students; admins and service_role (paid Stripe
+  -- sessions, checked before checkout) skip them
+  IF v_caller IS NOT NULL AND NOT v_is_admin THEN
+    v_policy_error := public.check_booking_policies(p_user_id, p_segments);
+    IF v_policy_error IS NOT NULL THEN
+      RETURN v_policy_error;
+    END IF;
+  END IF;
+
+  SELECT academy_id, COALESCE(wallet_balance, 0)
+    INTO v_academy, v_balance
+  FROM public.profiles
+  WHERE id = p_user_id
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('success', false, 'code', 'profile_not_found',
+      'message', 'Student profile not found.');
+  END IF;
+
+  -- Pass 1: validate every segment and lock its availabilities before writing anything
+  FOR v_seg, v_idx IN
+    SELECT value, ordinality - 1 FROM jsonb_array_elements(p_segments) WITH ORDINALITY
+  LOOP
+    v_location := NULLIF(v_seg->>'location_id', '')::uuid;
+    v_start := (v_seg->>'start_time')::timestamptz;
+    v_end := (v_seg->>'end_time')::timestamptz;
+    v_cost := COALESCE((v_seg->>'cost')::numeric, 0);
+    v_ids := ARRAY(SELECT jsonb_array_elements_text(COALESCE(v_seg->'availability_ids', '[]'::jsonb))::uuid);
+
+    IF v_location IS NULL OR v_start IS NULL OR v_end IS NULL OR v_end <= v_start OR v_cost < 0 THEN
+      RETURN jsonb_build_object('success', false, 'code', 'invalid_request',
+        'message', 'Booking details are incomplete.', 'segment', v_idx);
+    END IF;
+
+    -- Admins may record lessons that already happened (Assign lesson)
+    IF v_start < now() AND NOT v_is_admin THEN
+      RETURN jsonb_build_object('success', false, 'code', 'slot_in_past',
+        'message', 'Cannot create a booking for a time that has already passed.', 'segment', v_idx);
+    END IF;
+
+    IF cardinality(v_ids) = 0 THEN
+      IF v_caller IS NOT NULL AND NOT v_is_admin THEN
+        RETURN jsonb_build_object('success', false, 'code', 'invalid_request',
+          'message', 'Please select an available time slot.', 'segment', v_idx);
+      END IF;
+    ELSE
+      -- Row locks serialise concurrent bookings of the same slot until commit
+      PERFORM 1 FROM public.availabilities WHERE id = ANY(v_ids) ORDER BY id FOR UPDATE;
+
+      SELECT count(*), MIN(COALESCE(max_capacity, 10))
+        INTO v_open, v_capacity
+      FROM public.availabilities
+      WHERE id = ANY(v_ids)
+        AND location_id = v_location
+        AND COALESCE(is_booked, false) = false;
+
+      IF v_open < cardinality(v_ids) THEN
+        RETURN jsonb_build_object('success', false, 'code', 'slot_unavailable',
+          'message', 'This time slot is no longer available. Please select a different time.', 'segment', v_idx);
+      END IF;
+
+      SELECT count(*) INTO v_existing
+      FROM public.bookings
+      WHERE location_id = v_location
+        AND start_time = v_start
+        AND end_time = v_end;
+
+      IF v_existing >= v_capacity THEN
+        RETURN jsonb_build_object('success', false, 'code', 'slot_full',
+          'message', format('This time slot is already full (%s/%s members). Please choose another time.', v_existing, v_capacity),
+          'segment', v_idx);
+      END IF;
+
+      IF v_existing + 1 >= v_capacity THEN
+        v_full_ids := v_full_ids || v_ids;
+      END IF;
+    END IF;
+
+    v_total := v_total + v_cost;
+  END LOOP;
+
+  IF v_charge AND v_total > 0 AND v_balance < v_total THEN
+    RETURN jsonb_build_object('success', false, 'code', 'insufficient_balance',
+      'message', 'Insufficient wallet balance.',
+      'balance', v_balance, 'required', v_total);
+  END IF;
+
+  -- Pass 2: debit, insert and mark full. Any error here rolls back the whole block.
+  BEGIN
+    IF v_charge AND v_total > 0 THEN
+      UPDATE public.profiles
+      SET wallet_balance = COALESCE(wallet_balance, 0) - v_total
+      WHERE id = p_user_id
+      RETURNING wallet_balance INTO v_balance;
+    END IF;
+
+    FOR v_seg IN SELECT value FROM jsonb_array_elements(p_segments)
+    LOOP
+      INSERT INTO public.bookings (
+        user_id, location_id, start_time, end_time, credit_cost, service_name, academy_id
+      ) VALUES (
+        p_user_id,
+        (v_seg->>'location_id')::uuid,
+        (v_seg->>'start_time')::timestamptz,
+        (v_seg->>'end_time')::timestamptz,
+        COALESCE((v_seg->>'cost')::numeric, 0),
+        NULLIF(v_seg->>'service_name', ''),
+        v_academy
+      )
+      RETURNING id INTO v_booking_id;
+      v_booking_ids := v_booking_ids || v_booking_id;
+    END LOOP;
+
+    IF cardinality(v_full_ids) > 0 THEN
+      UPDATE public.availabilities SET is_booked = true WHERE id = ANY(v_full_ids);
+    END IF;
+  EXCEPTION
+    WHEN exclusion_violation OR unique_violation THEN
+      RETURN jsonb_build_object('success', false, 'code', 'booking_conflict',
+        'message', 'This time slot is no longer available. Please select a different time.');
+  END;
+
+  RETURN jsonb_build_object(
+    'success', true,
+    'booking_ids', to_jsonb(v_booking_ids),
+    'total_cost', v_total,
+    'new_balance', v_balance
+  );
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.book_lessons(uuid, jsonb, boolean) FROM PUBLIC;
+REVOKE ALL ON FUNCTION public.book_lessons(uuid, jsonb, boolean) FROM anon;
+GRANT EXECUTE ON FUNCTION public.book_lessons(uuid, jsonb, boolean) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.book_lessons(uuid, jsonb, boolean) TO service_role;
+
+-- =============================================================================
+-- book_lesson_series: unchanged from 017 apart from the per-date policy check
+-- =============================================================================
+CREATE OR REPLACE FUNCTION public.book_lesson_series(
+  p_user_id uuid,
+  p_segments jsonb,
+  p_until date
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_tz constant text := 'Australia/Sydney';
+  v_max_weeks constant integer := 26;
+  v_first_start timestamptz;
+  v_week integer;
+  v_seg jsonb;
+  v_location uuid;
+  v_start timestamptz;
+  v_end timestamptz;
+  v_expected integer;
+  v_ids uuid[];
+  v_open integer;
+  v_capacity integer;
+  v_existing integer;
+  v_first_ids uuid[];
+  v_code text;
+  v_message text;
+  v_book jsonb := '[]'::jsonb;
+  v_booked jsonb := '[]'::jsonb;
+  v_failed jsonb := '[]'::jsonb;
+  v_result jsonb;
+  v_series_id uuid;
+  v_academy uuid;
+  v_check_policies boolean := auth.uid() IS NOT NULL
+    AND NOT EXISTS (SELECT 1 FROM public.profiles WHERE id = auth.uid() AND role = 'admin');
+  v_policy_error jsonb;
+BEGIN
+  IF auth.uid() IS NOT NULL AND auth.uid() <> p_user_id
+     AND NOT EXISTS (SELECT 1 FROM public.profiles WHERE id = auth.uid() AND role = 'admin') THEN
+    RETURN jsonb_build_object('success', false, 'code', 'unauthorized',
+      'message', 'You can only book lessons for yourself.', 'failed', '[]'::jsonb);
+  END IF;
+
+  IF p_segments IS NULL OR jsonb_typeof(p_segments) <> 'array' OR jsonb_array_length(p_segments) = 0
+     OR p_until IS NULL THEN
+    RETURN jsonb_build_object('success', false, 'code', 'invalid_request',
+      'message', 'No lessons to book.', 'failed', '[]'::jsonb);
+  END IF;
+
+  SELECT MIN((value->>'start_time')::timestamptz) INTO v_first_start
+  FROM jsonb_array_elements(p_segments);
+
+  FOR v_week IN 0..(v_max_weeks - 1) LOOP
+    EXIT WHEN ((v_first_start AT TIME ZONE v_tz) + make_interval(weeks => v_week))::date > p_until;
+
+    FOR v_seg IN SELECT value FROM jsonb_array_elements(p_segments) LOOP
+      v_location := NULLIF(v_seg->>'location_id', '')::uuid;
+      -- Shift in Sydney local time so 4pm stays 4pm across daylight saving changes
+      v_start := (((v_seg->>'start_time')::timestamptz AT TIME ZONE v_tz) + make_interval(weeks => v_week)) AT TIME ZONE v_tz;
+      v_end := (((v_seg->>'end_time')::timestamptz AT TIME ZONE v_tz) + make_interval(weeks => v_week)) AT TIME ZONE v_tz;
+      v_first_ids := ARRAY(SELECT jsonb_array_elements_text(COALESCE(v_seg->'availability_ids', '[]'::jsonb))::uuid);
+      v_code := NULL;
+
+      IF v_week = 0 THEN
+        v_ids := v_first_ids;
+      ELSE
+        -- Same number of slots, same service, covering the same local times
+        v_expected := cardinality(v_first_ids);
+        SELECT COALESCE(array_agg(a.id ORDER BY a.start_time), '{}')
+          INTO v_ids
+        FROM public.availabilities a
+        WHERE a.location_id = v_location
+          AND a.start_time >= v_start
+          AND a.start_time < v_end
+          AND a.service_name IS NOT DISTINCT FROM NULLIF(v_seg->>'service_name', '');
+
+        IF cardinality(v_ids) = 0 OR cardinality(v_ids) < v_expected THEN
+          v_code := 'slot_unavailable';
+          v_message := 'No session is scheduled at this time.';
+        END IF;
+      END IF;
+
+      IF v_code IS NULL AND cardinality(v_ids) > 0 THEN
+        PERFORM 1 FROM public.availabilities WHERE id = ANY(v_ids) ORDER BY id FOR UPDATE;
+
+        SELECT count(*), MIN(COALESCE(max_capacity, 10))
+          INTO v_open, v_capacity
+        FROM public.availabilities
+        WHERE id = ANY(v_ids)
+          AND COALESCE(is_booked, false) = false;
+
+        SELECT count(*) INTO v_existing
+        FROM public.bookings
+        WHERE location_id = v_location
+          AND start_time = v_start
+          AND end_time = v_end;
+
+        IF v_open < cardinality(v_ids) OR v_existing >= v_capacity THEN
+          v_code := 'slot_full';
+          v_message := 'This session is full.';
+        ELSIF EXISTS (
+          SELECT 1 FROM public.bookings
+          WHERE user_id = p_user_id AND start_time < v_end AND end_time > v_start
+        ) THEN
+          v_code := 'booking_conflict';
+          v_message := 'You already have a lesson at this time.';
+        END IF;
+      END IF;
+
+      -- Dates outside the booking policy (e.g. too far ahead) are reported, not fatal
+      IF v_code IS NULL AND v_check_policies THEN
+        v_policy_error := public.check_booking_policies(p_user_id, jsonb_build_array(
+          jsonb_build_object('start_time', v_start, 'service_name', v_seg->'service_name')
+        ));
+        IF v_policy_error IS NOT NULL THEN
+          v_code := v_policy_error->>'code';
+          v_message := v_policy_error->>'message';
+        END IF;
+      END IF;
+
+      IF v_code IS NULL THEN
+        v_book := v_book || jsonb_build_object(
+          'location_id', v_location,
+          'start_time', v_start,
+          'end_time', v_end,
+          'service_name', v_seg->'service_name',
+          'cost', v_seg->'cost',
+          'availability_ids', to_jsonb(v_ids)
+        );
+        v_booked := v_booked || to_jsonb(v_start);
+      ELSIF v_week = 0 THEN
+        -- The week the student picked must be bookable; report it like a normal booking
+        RETURN jsonb_build_object('success', false, 'code', v_code, 'message', v_message, 'failed', '[]'::jsonb);
+      ELSE
+        v_failed := v_failed || jsonb_build_object('start_time', v_start, 'code', v_code, 'message', v_message);
+      END IF;
+    END LOOP;
+  END LOOP;
+
+  IF jsonb_array_length(v_book) = 0 THEN
+    RETURN jsonb_build_object('success', false, 'code', 'no_available_dates',
+      'message', 'None of the dates in this series are available.', 'failed', v_failed);
+  END IF;
+
+  -- One wallet debit for the whole series; book_lessons also enforces who may book for whom
+  v_result := public.book_lessons(p_user_id, v_book, true);
+  IF NOT COALESCE((v_result->>'success')::boolean, false) THEN
+    RETURN v_result || jsonb_build_object('failed', v_failed);
+  END IF;
+
+  SELECT academy_id INTO v_academy FROM public.profiles WHERE id = p_user_id;
+
+  INSERT INTO public.booking_series (user_id, segments, first_start_time, repeat_until, academy_id)
+  VALUES (p_user_id, p_segments, v_first_start, p_until, v_academy)
+  RETURNING id INTO v_series_id;
+
+  UPDATE public.bookings
+  SET series_id = v_series_id
+  WHERE id IN (SELECT jsonb_array_elements_text(v_result->'booking_ids')::uuid);
+
+  RETURN v_result || jsonb_build_object(
+    'series_id', v_series_id,
+    'booked', v_booked,
+    'failed', v_failed
+  );
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.resolve_booking_policy(uuid, text) FROM PUBLIC;
+REVOKE ALL ON FUNCTION public.resolve_booking_policy(uuid, text) FROM anon;
+GRANT EXECUTE ON FUNCTION public.resolve_booking_policy(uuid, text) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.resolve_booking_policy(uuid, text) TO service_role;
+
+REVOKE ALL ON FUNCTION public.check_booking_policies(uuid, jsonb) FROM PUBLIC;
+REVOKE ALL ON FUNCTION public.check_booking_policies(uuid, jsonb) FROM anon;
+REVOKE ALL ON FUNCTION public.check_booking_policies(uuid, jsonb) FROM authenticated;
+GRANT EXECUTE ON FUNCTION public.check_booking_policies(uuid, jsonb) TO service_role;
@@ -0,0 +1,338 @@
+-- Tiered cancellation refunds. Safe to re-run.
+-- Replaces the fixed "free until 12pm the day before" rule. Each booking_policies
+-- row can carry refund_tiers, e.g. 100% more than 48h ahead, 50% between 24h and
+-- 48h, 0% after that. Students cancel instantly through cancel_booking_with_refund
+-- and get the tier's share back in their wallet; admins approving a cancellation
+-- request in BookingRequestsModal can override the percentage.
+-- Requires 016_waitlist.sql, 017_booking_series.sql and 018_booking_policies.sql.
+
+-- refund_tiers: [{ "hours_before": 48, "refund_percent": 100 }, ...]
+-- The first tier (largest hours_before first) whose hours_before the lesson is
+-- still at least that far away applies; none matching means no refund.
+ALTER TABLE public.booking_policies
+  ADD COLUMN IF NOT EXISTS refund_tiers jsonb;
+
+COMMENT ON COLUMN public.booking_policies.refund_tiers IS 'Cancellation refund tiers [{hours_before, refund_percent}]; NULL falls back to a less specific policy';
+
+UPDATE public.booking_policies
+SET refund_tiers = '[
+  {"hours_before": 48, "refund_percent": 100},
+  {"hours_before": 24, "refund_percent": 50},
+  {"hours_before": 0, "refund_percent": 0}
+]'::jsonb,
+    updated_at = now()
+WHERE academy_id IS NULL
+  AND service_name IS NULL
+  AND refund_tiers IS NULL;
+
+ALTER TABLE public.user_cancellation_history
+  ADD COLUMN IF NOT EXISTS refund_percent numeric,
+  ADD COLUMN IF NOT EXISTS refund_amount numeric;
+
+-- =============================================================================
+-- resolve_refund_tiers: most specific policy row that has refund tiers
+-- =============================================================================
+CREATE OR REPLACE FUNCTION public.resolve_refund_tiers(p_academy_id uuid, p_service_name text)
+RETURNS jsonb
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT refund_tiers
+  FROM public.booking_policies
+  WHERE (academy_id = p_academy_id OR academy_id IS NULL)
+    AND (service_name = p_service_name OR service_name IS NULL)
+    AND refund_tiers IS NOT NULL
+  ORDER BY (academy_id IS NULL), (service_name IS NULL)
+  LIMIT 1;
+$$;
+
+-- =============================================================================
+-- get_cancellation_quote: what cancelling a booking would refund.
+-- p_as_of lets admins see the refund as of when a request was made.
+-- Returns { success, refund_percent, refund_amount, credit_cost, hours_before, tiers }
+-- =============================================================================
+CREATE OR REPLACE FUNCTION public.get_cancellation_quote(
+  p_booking_id uuid,
+  p_as_of timestamptz DEFAULT now()
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_booking public.bookings%ROWTYPE;
+  v_academy uuid;
+  v_tiers jsonb;
+  v_hours numeric;
+  v_percent numeric := 0;
+  v_cost numeric;
+BEGIN
+  SELECT * INTO v_booking FROM public.bookings WHERE id = p_booking_id;
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('success', false, 'code', 'not_found', 'message', 'Booking not found.');
+  END IF;
+
+  IF auth.uid() IS NOT NULL AND auth.uid() <> v_booking.user_id
+     AND NOT EXISTS (SELECT 1 FROM public.profiles WHERE id = auth.uid() AND role IN ('admin', 'coach')) THEN
+    RETURN jsonb_build_object('success', false, 'code', 'unauthorized', 'message', 'Booking not found.');
+  END IF;
+
+  v_academy := COALESCE(v_booking.academy_id, (SELECT academy_id FROM public.profiles WHERE id = v_booking.user_id));
+  v_tiers := COALESCE(public.resolve_refund_tiers(v_academy, v_booking.service_name), '[]'::jsonb);
+  v_hours := EXTRACT(EPOCH FROM (v_booking.start_time - COALESCE(p_as_of, now()))) / 3600;
+  v_cost := COALESCE(v_booking.credit_cost, 0);
+
+  IF v_hours > 0 THEN
+    SELECT COALESCE((t->>'refund_percent')::numeric, 0) INTO v_percent
+    FROM jsonb_array_elements(v_tiers) AS t
+    WHERE v_hours >= COALESCE((t->>'hours_before')::numeric, 0)
+    ORDER BY (t->>'hours_before')::numeric DESC
+    LIMIT 1;
+    v_percent := COALESCE(v_percent, 0);
+  END IF;
+
+  RETURN jsonb_build_object(
+    'success', true,
+    'refund_percent', v_percent,
+    'refund_amount', round(v_cost * v_percent / 100, 2),
+    'credit_cost', v_cost,
+    'hours_before', round(v_hours, 1),
+    'tiers', v_tiers
+  );
+END;
+$$;
+
+-- =============================================================================
+-- apply_booking_cancellation: internal, no permission checks. Snapshots the
+-- booking into user_cancellation_history, deletes it, refunds p_refund_percent
+-- of its price to the wallet and offers the place to the waitlist.
+-- =============================================================================
+CREATE OR REPLACE FUNCTION public.apply_booking_cancellation(
+  p_booking_id uuid,
+  p_reason text,
+  p_refund_percent numeric
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_booking record;
+  v_percent numeric := LEAST(GREATEST(COALESCE(p_refund_percent, 0), 0), 100);
+  v_refund numeric;
+  v_balance numeric;
+BEGIN
+  SELECT b.*, l.name AS location_name INTO v_booking
+  FROM public.bookings b
+  LEFT JOIN public.locations l ON l.id = b.location_id
+  WHERE b.id = p_booking_id
+  FOR UPDATE OF b;
+
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('success', false, 'code', 'not_found', 'message', 'Booking not found.');
+  END IF;
+
+  v_refund := round(COALESCE(v_booking.credit_cost, 0) * v_percent / 100, 2);
+
+  INSERT INTO public.user_cancellation_history (
+    original_booking_id, user_id, coach_id, location_id, location_name,
+    start_time, end_time, service_name, credit_cost, reason, academy_id,
+    refund_percent, refund_amount
+  ) VALUES (
+    v_booking.id, v_booking.user_id, v_booking.coach_id, v_booking.location_id, v_booking.location_name,
+    v_booking.start_time, v_booking.end_time, v_booking.service_name, COALESCE(v_booking.credit_cost, 0),
+    p_reason, v_booking.academy_id, v_percent, v_refund
+  );
+
+  DELETE FROM public.bookings WHERE id = v_booking.id;
+
+  IF v_refund > 0 THEN
+    UPDATE public.profiles
+    SET wallet_balance = COALESCE(wallet_balance, 0) + v_refund
+    WHERE id = v_booking.user_id
+    RETURNING wallet_balance INTO v_balance;
+  ELSE
+    SELECT COALESCE(wallet_balance, 0) INTO v_balance FROM public.profiles WHERE id = v_booking.user_id;
+  END IF;
+
+  PERFORM public.promote_waitlist(v_booking.location_id, v_booking.start_time, v_booking.end_time);
+
+  RETURN jsonb_build_object(
+    'success', true,
+    'booking_id', v_booking.id,
+    'user_id', v_booking.user_id,
+    'coach_id', v_booking.coach_id,
+    'location_name', v_booking.location_name,
+    'start_time', v_booking.start_time,
+    'refund_percent', v_percent,
+    'refund_amount', v_refund,
+    'new_balance', v_balance
+  );
+END;
+$$;
+
+-- =============================================================================
+-- cancel_booking_with_refund
+-- Students cancel their own upcoming booking and get the policy refund.
+-- Admins may cancel any booking and pass p_refund_percent to override the policy.
+-- Returns apply_booking_cancellation's result, or { success: false, code, message }.
+-- Codes: not_found, unauthorized, booking_started
+-- =============================================================================
+CREATE OR REPLACE FUNCTION public.cancel_booking_with_refund(
+  p_booking_id uuid,
+  p_reason text DEFAULT NULL,
+  p_refund_percent numeric DEFAULT NULL
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_caller uuid := auth.uid();
+  v_is_admin boolean;
+  v_booking public.bookings%ROWTYPE;
+  v_quote jsonb;
+  v_percent numeric;
+BEGIN
+  SELECT * INTO v_booking FROM public.bookings WHERE id = p_booking_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('success', false, 'code', 'not_found', 'message', 'Booking not found.');
+  END IF;
+
+  v_is_admin := v_caller IS NULL
+    OR EXISTS (SELECT 1 FROM public.profiles WHERE id = v_caller AND role = 'admin');
+
+  IF NOT v_is_admin THEN
+    IF v_caller <> v_booking.user_id THEN
+      RETURN jsonb_build_object('success', false, 'code', 'unauthorized',
+        'message', 'You can only cancel your own bookings.');
+    END IF;
+    IF p_refund_percent IS NOT NULL THEN
+      RETURN jsonb_build_object('success', false, 'code', 'unauthorized',
+        'message', 'Only an admin can change the refund.');
+    END IF;
+    IF v_booking.start_time <= now() THEN
+      RETURN jsonb_build_object('success', false, 'code', 'booking_started',
+        'message', 'This lesson has already started.');
+    END IF;
+  END IF;
+
+  IF p_refund_percent IS NOT NULL THEN
+    v_percent := p_refund_percent;
+  ELSE
+    v_quote := public.get_cancellation_quote(p_booking_id);
+    v_percent := COALESCE((v_quote->>'refund_percent')::numeric, 0);
+  END IF;
+
+  RETURN public.apply_booking_cancellation(p_booking_id, NULLIF(btrim(p_reason), ''), v_percent);
+END;
+$$;
+
+-- =============================================================================
+-- cancel_series_bookings: same contract as 017, but every upcoming lesson can
+-- now be cancelled and is refunded by the tiers instead of being kept after the
+-- noon-the-day-before deadline. "kept" is always empty and stays for callers.
+-- =============================================================================
+CREATE OR REPLACE FUNCTION public.cancel_series_bookings(
+  p_series_id uuid,
+  p_booking_id uuid DEFAULT NULL
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_caller uuid := auth.uid();
+  v_series public.booking_series%ROWTYPE;
+  v_booking_id uuid;
+  v_quote jsonb;
+  v_result jsonb;
+  v_refunded numeric := 0;
+  v_balance numeric;
+  v_cancelled jsonb := '[]'::jsonb;
+BEGIN
+  SELECT * INTO v_series FROM public.booking_series WHERE id = p_series_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('success', false, 'code', 'not_found', 'message', 'Series not found.');
+  END IF;
+
+  IF v_caller IS NOT NULL AND v_caller <> v_series.user_id
+     AND NOT EXISTS (SELECT 1 FROM public.profiles WHERE id = v_caller AND role = 'admin') THEN
+    RETURN jsonb_build_object('success', false, 'code', 'unauthorized',
+      'message', 'You can only change your own bookings.');
+  END IF;
+
+  FOR v_booking_id IN
+    SELECT id FROM public.bookings
+    WHERE series_id = p_series_id
+      AND start_time > now()
+      AND (p_booking_id IS NULL OR id = p_booking_id)
+    ORDER BY start_time
+  LOOP
+    v_quote := public.get_cancellation_quote(v_booking_id);
+    v_result := public.apply_booking_cancellation(
+      v_booking_id,
+      CASE WHEN p_booking_id IS NULL THEN 'Series cancelled' ELSE 'Skipped week in series' END,
+      COALESCE((v_quote->>'refund_percent')::numeric, 0)
+    );
+    CONTINUE WHEN NOT COALESCE((v_result->>'success')::boolean, false);
+
+    v_refunded := v_refunded + COALESCE((v_result->>'refund_amount')::numeric, 0);
+    v_cancelled := v_cancelled || jsonb_build_object(
+      'booking_id', v_result->'booking_id',
+      'start_time', v_result->'start_time',
+      'location_name', v_result->'location_name',
+      'coach_id', v_result->'coach_id',
+      'refund', v_result->'refund_amount'
+    );
+  END LOOP;
+
+  IF p_booking_id IS NOT NULL AND jsonb_array_length(v_cancelled) = 0 THEN
+    RETURN jsonb_build_object('success', false, 'code', 'not_found',
+      'message', 'This lesson is not an upcoming lesson in the series.');
+  END IF;
+
+  IF p_booking_id IS NULL THEN
+    UPDATE public.booking_series
+    SET status = 'cancelled', cancelled_at = now()
+    WHERE id = p_series_id;
+  END IF;
+
+  SELECT COALESCE(wallet_balance, 0) INTO v_balance FROM public.profiles WHERE id = v_series.user_id;
+
+  RETURN jsonb_build_object(
+    'success', true,
+    'cancelled', v_cancelled,
+    'kept', '[]'::jsonb,
+    'refunded', v_refunded,
+    'new_balance', v_balance
+  );
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.resolve_refund_tiers(uuid, text) FROM PUBLIC;
+REVOKE ALL ON FUNCTION public.resolve_refund_tiers(uuid, text) FROM anon;
+GRANT EXECUTE ON FUNCTION public.resolve_refund_tiers(uuid, text) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.resolve_refund_tiers(uuid, text) TO service_role;
+
+REVOKE ALL ON FUNCTION public.get_cancellation_quote(uuid, timestamptz) FROM PUBLIC;
+REVOKE ALL ON FUNCTION public.get_cancellation_quote(uuid, timestamptz) FROM anon;
+GRANT EXECUTE ON FUNCTION public.get_cancellation_quote(uuid, timestamptz) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.get_cancellation_quote(uuid, timestamptz) TO service_role;
+
+REVOKE ALL ON FUNCTION public.apply_booking_cancellation(uuid, text, numeric) FROM PUBLIC;
+REVOKE ALL ON FUNCTION public.apply_booking_cancellation(uuid, text, numeric) FROM anon;
+REVOKE ALL ON FUNCTION public.apply_booking_cancellation(uuid, text, numeric) FROM authenticated;
+GRANT EXECUTE ON FUNCTION public.apply_booking_cancellation(uuid, text, numeric) TO service_role;
+
+REVOKE ALL ON FUNCTION public.cancel_booking_with_refund(uuid, text, numeric) FROM PUBLIC;
+REVOKE ALL ON FUNCTION public.cancel_booking_with_refund(uuid, text, numeric) FROM anon;
+GRANT EXECUTE ON FUNCTION public.cancel_booking_with_refund(uuid, text, numeric) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.cancel_booking_with_refund(uuid, text, numeric) TO service_role;
@@ -0,0 +1,462 @@
+-- Pricing rules engine. Safe to re-run.
+-- Replaces the hardcoded SERVICE_PRICES map in utils/pricing.js. A lesson's price
+-- is built from pricing_rules:
+--   base    flat price per lesson (most specific rule only)
+--   hourly  amount per hour of the lesson (most specific rule only)
+--   window  peak/off-peak adjustment for the part of the lesson inside a Sydney
+--           local time window: amount per hour and/or percent of the subtotal
+--           (negative for off-peak discounts). Every matching window applies.
+--   member  adjustment for students with profiles.is_member: amount per lesson
+--           and/or percent of the price so far. Every matching rule applies.
+-- Rules can be scoped to an academy, a location (override) and/or a service;
+-- more specific wins: location, then academy, then service, then global.
+-- quote_lessons returns an itemised quote. BookingDiscoveryScreen shows it,
+-- dynamic-task charges it and book_lessons prices student bookings with it, so
+-- the price a student sees is the price they pay.
+-- Requires 018_booking_policies.sql.
+
+ALTER TABLE public.profiles
+  ADD COLUMN IF NOT EXISTS is_member boolean NOT NULL DEFAULT false;
+
+CREATE TABLE IF NOT EXISTS public.pricing_rules (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  kind text NOT NULL CHECK (kind IN ('base', 'hourly', 'window', 'member')),
+  label text,
+  academy_id uuid REFERENCES public.academies(id) ON DELETE CASCADE,
+  location_id uuid REFERENCES public.locations(id) ON DELETE CASCADE,
+  service_name text,
+  amount numeric,
+  percent numeric,
+  days_of_week smallint[],
+  start_local time,
+  end_local time,
+  active boolean NOT NULL DEFAULT true,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now(),
+  CHECK (amount IS NOT NULL OR percent IS NOT NULL),
+  CHECK (kind <> 'window' OR (start_local IS NOT NULL AND end_local IS NOT NULL))
+);
+
+CREATE INDEX IF NOT EXISTS idx_pricing_rules_kind ON public.pricing_rules (kind) WHERE active;
+
+COMMENT ON TABLE public.pricing_rules IS 'Lesson pricing: base/hourly rates, peak/off-peak windows and member rates, scoped by academy, location and service.';
+COMMENT ON COLUMN public.pricing_rules.days_of_week IS 'ISO days (1 = Monday ... 7 = Sunday, Sydney) a window applies on; NULL = every day';
+COMMENT ON COLUMN public.pricing_rules.start_local IS 'Window start, Sydney local time; a window ending before it runs past midnight';
+COMMENT ON COLUMN public.profiles.is_member IS 'Member rates (pricing_rules kind = member) apply';
+
+-- Keep today's prices: $149.99 per lesson, $99.99 for Stroke Clinic
+INSERT INTO public.pricing_rules (kind, label, service_name, amount)
+SELECT 'base', 'Lesson', NULL, 149.99
+WHERE NOT EXISTS (
+  SELECT 1 FROM public.pricing_rules
+  WHERE kind = 'base' AND academy_id IS NULL AND location_id IS NULL AND service_name IS NULL
+);
+
+INSERT INTO public.pricing_rules (kind, label, service_name, amount)
+SELECT 'base', 'Stroke Clinic', 'Stroke Clinic', 99.99
+WHERE NOT EXISTS (
+  SELECT 1 FROM public.pricing_rules
+  WHERE kind = 'base' AND academy_id IS NULL AND location_id IS NULL AND service_name = 'Stroke Clinic'
+);
+
+-- RLS: everyone signed in can read; admins manage.
+ALTER TABLE public.pricing_rules ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "pricing_rules_select" ON public.pricing_rules;
+CREATE POLICY "pricing_rules_select"
+  ON public.pricing_rules FOR SELECT TO authenticated
+  USING (true);
+
+DROP POLICY IF EXISTS "pricing_rules_admin_write" ON public.pricing_rules;
+CREATE POLICY "pricing_rules_admin_write"
+  ON public.pricing_rules FOR ALL TO authenticated
+  USING (EXISTS (SELECT 1 FROM public.profiles p WHERE p.id = auth.uid() AND p.role = 'admin'))
+  WITH CHECK (EXISTS (SELECT 1 FROM public.profiles p WHERE p.id = auth.uid() AND p.role = 'admin'));
+
+GRANT ALL ON TABLE public.pricing_rules TO service_role;
+
+-- =============================================================================
+-- quote_lesson_price: itemised price of one lesson for a student.
+-- Returns { total, hours, items: [{ kind, label, amount }] }
+-- =============================================================================
+CREATE OR REPLACE FUNCTION public.quote_lesson_price(
+  p_user_id uuid,
+  p_location_id uuid,
+  p_service_name text,
+  p_start timestamptz,
+  p_end timestamptz
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_tz constant text := 'Australia/Sydney';
+  v_academy uuid;
+  v_profile_academy uuid;
+  v_is_member boolean;
+  v_hours numeric := EXTRACT(EPOCH FROM (p_end - p_start)) / 3600;
+  v_local_start timestamp := p_start AT TIME ZONE v_tz;
+  v_local_end timestamp := p_end AT TIME ZONE v_tz;
+  v_rule public.pricing_rules%ROWTYPE;
+  v_day date;
+  v_window_start timestamp;
+  v_window_end timestamp;
+  v_overlap numeric;
+  v_subtotal numeric := 0;
+  v_amount numeric;
+  v_items jsonb := '[]'::jsonb;
+BEGIN
+  SELECT academy_id INTO v_academy FROM public.locations WHERE id = p_location_id;
+  SELECT academy_id, is_member INTO v_profile_academy, v_is_member
+  FROM public.profiles WHERE id = p_user_id;
+  v_academy := COALESCE(v_academy, v_profile_academy);
+  v_is_member := COALESCE(v_is_member, false);
+
+  -- Base and hourly: the most specific matching rule of each kind
+  FOR v_rule IN
+    SELECT DISTINCT ON (r.kind) r.*
+    FROM public.pricing_rules r
+    WHERE r.active
+      AND r.kind IN ('base', 'hourly')
+      AND (r.location_id IS NULL OR r.location_id = p_location_id)
+      AND (r.academy_id IS NULL OR r.academy_id = v_academy)
+      AND (r.service_name IS NULL OR r.service_name = p_service_name)
+    ORDER BY r.kind, (r.location_id IS NULL), (r.academy_id IS NULL), (r.service_name IS NULL), r.created_at DESC
+  LOOP
+    IF v_rule.kind = 'base' THEN
+      v_amount := COALESCE(v_rule.amount, 0);
+      v_items := v_items || jsonb_build_object('kind', 'base',
+        'label', COALESCE(v_rule.label, p_service_name, 'Lesson'), 'amount', round(v_amount, 2));
+    ELSE
+      v_amount := COALESCE(v_rule.amount, 0) * v_hours;
+      v_items := v_items || jsonb_build_object('kind', 'hourly',
+        'label', format('%s h × $%s/h', round(v_hours, 2), round(COALESCE(v_rule.amount, 0), 2)),
+        'amount', round(v_amount, 2));
+    END IF;
+    v_subtotal := v_subtotal + v_amount;
+  END LOOP;
+
+  -- Peak/off-peak windows, pro-rated by how much of the lesson falls inside them
+  FOR v_rule IN
+    SELECT r.*
+    FROM public.pricing_rules r
+    WHERE r.active
+      AND r.kind = 'window'
+      AND (r.location_id IS NULL OR r.location_id = p_location_id)
+      AND (r.academy_id IS NULL OR r.academy_id = v_academy)
+      AND (r.service_name IS NULL OR r.service_name = p_service_name)
+    ORDER BY r.created_at
+  LOOP
+    v_overlap := 0;
+    -- Start a day early so windows that run past midnight are caught
+    FOR v_day IN SELECT generate_series(v_local_start::date - 1, v_local_end::date, interval '1 day')::date LOOP
+      CONTINUE WHEN v_rule.days_of_week IS NOT NULL
+        AND NOT (EXTRACT(ISODOW FROM v_day)::smallint = ANY(v_rule.days_of_week));
+      v_window_start := v_day + v_rule.start_local;
+      v_window_end := CASE WHEN v_rule.end_local > v_rule.start_local
+        THEN v_day + v_rule.end_local
+        ELSE v_day + 1 + v_rule.end_local END;
+      v_overlap := v_overlap + GREATEST(0,
+        EXTRACT(EPOCH FROM (LEAST(v_local_end, v_window_end) - GREATEST(v_local_start, v_window_start))) / 3600);
+    END LOOP;
+    CONTINUE WHEN v_overlap <= 0 OR v_hours <= 0;
+
+    v_amount := COALESCE(v_rule.amount, 0) * v_overlap
+      + v_subtotal * COALESCE(v_rule.percent, 0) / 100 * (v_overlap / v_hours);
+    v_items := v_items || jsonb_build_object('kind', 'window',
+      'label', COALESCE(v_rule.label, CASE WHEN v_amount < 0 THEN 'Off-peak' ELSE 'Peak' END),
+      'amount', round(v_amount, 2));
+    v_subtotal := v_subtotal + v_amount;
+  END LOOP;
+
+  IF v_is_member THEN
+    FOR v_rule IN
+      SELECT r.*
+      FROM public.pricing_rules r
+      WHERE r.active
+        AND r.kind = 'member'
+        AND (r.location_id IS NULL OR r.location_id = p_location_id)
+        AND (r.academy_id IS NULL OR r.academy_id = v_academy)
+        AND (r.service_name IS NULL OR r.service_name = p_service_name)
+      ORDER BY r.created_at
+    LOOP
+      v_amount := COALESCE(v_rule.amount, 0) + v_subtotal * COALESCE(v_rule.percent, 0) / 100;
+      v_items := v_items || jsonb_build_object('kind', 'member',
+        'label', COALESCE(v_rule.label, 'Member rate'), 'amount', round(v_amount, 2));
+      v_subtotal := v_subtotal + v_amount;
+    END LOOP;
+  END IF;
+
+  RETURN jsonb_build_object(
+    'total', GREATEST(round(v_subtotal, 2), 0),
+    'hours', round(v_hours, 2),
+    'items', v_items
+  );
+END;
+$$;
+
+-- =============================================================================
+-- quote_lessons: price book_lessons segments for a student.
+-- Returns { success: true, total, segments } where each segment is the input
+-- with cost set to the quoted price and items added, or { success: false, code, message }.
+-- =============================================================================
+CREATE OR REPLACE FUNCTION public.quote_lessons(p_user_id uuid, p_segments jsonb)
+RETURNS jsonb
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_seg jsonb;
+  v_quote jsonb;
+  v_total numeric := 0;
+  v_segments jsonb := '[]'::jsonb;
+BEGIN
+  IF auth.uid() IS NOT NULL AND auth.uid() <> p_user_id
+     AND NOT EXISTS (SELECT 1 FROM public.profiles WHERE id = auth.uid() AND role = 'admin') THEN
+    RETURN jsonb_build_object('success', false, 'code', 'unauthorized',
+      'message', 'You can only price lessons for yourself.');
+  END IF;
+
+  IF p_segments IS NULL OR jsonb_typeof(p_segments) <> 'array' THEN
+    RETURN jsonb_build_object('success', false, 'code', 'invalid_request',
+      'message', 'No lessons to price.');
+  END IF;
+
+  FOR v_seg IN SELECT value FROM jsonb_array_elements(p_segments) LOOP
+    IF NULLIF(v_seg->>'location_id', '') IS NULL OR v_seg->>'start_time' IS NULL OR v_seg->>'end_time' IS NULL THEN
+      RETURN jsonb_build_object('success', false, 'code', 'invalid_request',
+        'message', 'Booking details are incomplete.');
+    END IF;
+
+    v_quote := public.quote_lesson_price(
+      p_user_id,
+      (v_seg->>'location_id')::uuid,
+      NULLIF(v_seg->>'service_name', ''),
+      (v_seg->>'start_time')::timestamptz,
+      (v_seg->>'end_time')::timestamptz
+    );
+    v_total := v_total + (v_quote->>'total')::numeric;
+    v_segments := v_segments || (v_seg || jsonb_build_object(
+      'cost', (v_quote->'total'),
+      'items', (v_quote->'items')
+    ));
+  END LOOP;
+
+  RETURN jsonb_build_object('success', true, 'total', v_total, 'segments', v_segments);
+END;
+$$;
+
+-- =============================================================================
+-- book_lessons: unchanged from 018 apart from pricing. Student bookings are
+-- charged the quote_lessons price; the cost in p_segments is ignored. Admins
+-- (Assign lesson) and service_role (segments priced by dynamic-task) keep theirs.
+-- =============================================================================
+CREATE OR REPLACE FUNCTION public.book_lessons(
+  p_user_id uuid,
+  p_segments jsonb,
+  p_charge_wallet boolean DEFAULT true
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_caller uuid := auth.uid();
+  v_is_admin boolean := false;
+  v_charge boolean := COALESCE(p_charge_wallet, true);
+  v_academy uuid;
+  v_balance numeric;
+  v_seg jsonb;
+  v_idx integer;
+  v_ids uuid[];
+  v_location uuid;
+  v_start timestamptz;
+  v_end timestamptz;
+  v_cost numeric;
+  v_capacity integer;
+  v_open integer;
+  v_existing integer;
+  v_total numeric := 0;
+  v_full_ids uuid[] := '{}';
+  v_booking_id uuid;
+  v_booking_ids uuid[] := '{}';
+  v_policy_error jsonb;
+  v_priced jsonb;
+BEGIN
+  -- auth.uid() is NULL only for service_role (anon has no EXECUTE)
+  IF v_caller IS NOT NULL THEN
+    SELECT role = 'admin' INTO v_is_admin FROM public.profiles WHERE id = v_caller;
+    v_is_admin := COALESCE(v_is_admin, false);
+    IF v_caller <> p_user_id AND NOT v_is_admin THEN
+      RETURN jsonb_build_object('success', false, 'code', 'unauthorized',
+        'message', 'You can only book lessons for yourself.');
+    END IF;
+    -- Students always pay for their own bookings
+    IF NOT v_is_admin THEN
+      v_charge := true;
+    END IF;
+  END IF;
+
+  IF p_segments IS NULL OR jsonb_typeof(p_segments) <> 'array' OR jsonb_array_length(p_segments) = 0 THEN
+    RETURN jsonb_build_object('success', false, 'code', 'invalid_request',
+      'message', 'No lessons to book.');
+  END IF;
+
+  -- Booking policies apply to students; admins and service_role (paid Stripe
+  -- sessions, checked before checkout) skip them
+  IF v_caller IS NOT NULL AND NOT v_is_admin THEN
+    v_policy_error := public.check_booking_policies(p_user_id, p_segments);
+    IF v_policy_error IS NOT NULL THEN
+      RETURN v_policy_error;
+    END IF;
+
+    v_priced := public.quote_lessons(p_user_id, p_segments);
+    IF NOT COALESCE((v_priced->>'success')::boolean, false) THEN
+      RETURN v_priced;
+    END IF;
+    p_segments := v_priced->'segments';
+  END IF;
+
+  SELECT academy_id, COALESCE(wallet_balance, 0)
+    INTO v_academy, v_balance
+  FROM public.profiles
+  WHERE id = p_user_id
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('success', false, 'code', 'profile_not_found',
+      'message', 'Student profile not found.');
+  END IF;
+
+  -- Pass 1: validate every segment and lock its availabilities before writing anything
+  FOR v_seg, v_idx IN
+    SELECT value, ordinality - 1 FROM jsonb_array_elements(p_segments) WITH ORDINALITY
+  LOOP
+    v_location := NULLIF(v_seg->>'location_id', '')::uuid;
+    v_start := (v_seg->>'start_time')::timestamptz;
+    v_end := (v_seg->>'end_time')::timestamptz;
+    v_cost := COALESCE((v_seg->>'cost')::numeric, 0);
+    v_ids := ARRAY(SELECT jsonb_array_elements_text(COALESCE(v_seg->'availability_ids', '[]'::jsonb))::uuid);
+
+    IF v_location IS NULL OR v_start IS NULL OR v_end IS NULL OR v_end <= v_start OR v_cost < 0 THEN
+      RETURN jsonb_build_object('success', false, 'code', 'invalid_request',
+        'message', 'Booking details are incomplete.', 'segment', v_idx);
+    END IF;
+
+    -- Admins may record lessons that already happened (Assign lesson)
+    IF v_start < now() AND NOT v_is_admin THEN
+      RETURN jsonb_build_object('success', false, 'code', 'slot_in_past',
+        'message', 'Cannot create a booking for a time that has already passed.', 'segment', v_idx);
+    END IF;
+
+    IF cardinality(v_ids) = 0 THEN
+      IF v_caller IS NOT NULL AND NOT v_is_admin THEN
+        RETURN jsonb_build_object('success', false, 'code', 'invalid_request',
+          'message', 'Please select an available time slot.', 'segment', v_idx);
+      END IF;
+    ELSE
+      -- Row locks serialise concurrent bookings of the same slot until commit
+      PERFORM 1 FROM public.availabilities WHERE id = ANY(v_ids) ORDER BY id FOR UPDATE;
+
+      SELECT count(*), MIN(COALESCE(max_capacity, 10))
+        INTO v_open, v_capacity
+      FROM public.availabilities
+      WHERE id = ANY(v_ids)
+        AND location_id = v_location
+        AND COALESCE(is_booked, false) = false;
+
+      IF v_open < cardinality(v_ids) THEN
+        RETURN jsonb_build_object('success', false, 'code', 'slot_unavailable',
+          'message', 'This time slot is no longer available. Please select a different time.', 'segment', v_idx);
+      END IF;
+
+      SELECT count(*) INTO v_existing
+      FROM public.bookings
+      WHERE location_id = v_location
+        AND start_time = v_start
+        AND end_time = v_end;
+
+      IF v_existing >= v_capacity THEN
+        RETURN jsonb_build_object('success', false, 'code', 'slot_full',
+          'message', format('This time slot is already full (%s/%s members). Please choose another time.', v_existing, v_capacity),
+          'segment', v_idx);
+      END IF;
+
+      IF v_existing + 1 >= v_capacity THEN
+        v_full_ids := v_full_ids || v_ids;
+      END IF;
+    END IF;
+
+    v_total := v_total + v_cost;
+  END LOOP;
+
+  IF v_charge AND v_total > 0 AND v_balance < v_total THEN
+    RETURN jsonb_build_object('success', false, 'code', 'insufficient_balance',
+      'message', 'Insufficient wallet balance.',
+      'balance', v_balance, 'required', v_total);
+  END IF;
+
+  -- Pass 2: debit, insert and mark full. Any error here rolls back the whole block.
+  BEGIN
+    IF v_charge AND v_total > 0 THEN
+      UPDATE public.profiles
+      SET wallet_balance = COALESCE(wallet_balance, 0) - v_total
+      WHERE id = p_user_id
+      RETURNING wallet_balance INTO v_balance;
+    END IF;
+
+    FOR v_seg IN SELECT value FROM jsonb_array_elements(p_segments)
+    LOOP
+      INSERT INTO public.bookings (
+        user_id, location_id, start_time, end_time, credit_cost, service_name, academy_id
+      ) VALUES (
+        p_user_id,
+        (v_seg->>'location_id')::uuid,
+        (v_seg->>'start_time')::timestamptz,
+        (v_seg->>'end_time')::timestamptz,
+        COALESCE((v_seg->>'cost')::numeric, 0),
+        NULLIF(v_seg->>'service_name', ''),
+        v_academy
+      )
+      RETURNING id INTO v_booking_id;
+      v_booking_ids := v_booking_ids || v_booking_id;
+    END LOOP;
+
+    IF cardinality(v_full_ids) > 0 THEN
+      UPDATE public.availabilities SET is_booked = true WHERE id = ANY(v_full_ids);
+    END IF;
+  EXCEPTION
+    WHEN exclusion_violation OR unique_violation THEN
+      RETURN jsonb_build_object('success', false, 'code', 'booking_conflict',
+        'message', 'This time slot is no longer available. Please select a different time.');
+  END;
+
+  RETURN jsonb_build_object(
+    'success', true,
+    'booking_ids', to_jsonb(v_booking_ids),
+    'total_cost', v_total,
+    'new_balance', v_balance
+  );
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.book_lessons(uuid, jsonb, boolean) FROM PUBLIC;
+REVOKE ALL ON FUNCTION public.book_lessons(uuid, jsonb, boolean) FROM anon;
+GRANT EXECUTE ON FUNCTION public.book_lessons(uuid, jsonb, boolean) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.book_lessons(uuid, jsonb, boolean) TO service_role;
+
+REVOKE ALL ON FUNCTION public.quote_lesson_price(uuid, uuid, text, timestamptz, timestamptz) FROM PUBLIC;
+REVOKE ALL ON FUNCTION public.quote_lesson_price(uuid, uuid, text, timestamptz, timestamptz) FROM anon;
+REVOKE ALL ON FUNCTION public.quote_lesson_price(uuid, uuid, text, timestamptz, timestamptz) FROM authenticated;
+GRANT EXECUTE ON FUNCTION public.quote_lesson_price(uuid, uuid, text, timestamptz, timestamptz) TO service_role;
+
+REVOKE ALL ON FUNCTION public.quote_lessons(uuid, jsonb) FROM PUBLIC;
+REVOKE ALL ON FUNCTION public.quote_lessons(uuid, jsonb) FROM anon;
+GRANT EXECUTE ON FUNCTION public.quote_lessons(uuid, jsonb) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.quote_lessons(uuid, jsonb) TO service_role;
@@ -0,0 +1,644 @@
+-- Promo codes and discount vouchers. Safe to re-run.
+-- Replaces hand-editing wallet balances for school-holiday promos and
+-- "first lesson 50% off" offers.
+--
+-- A code gives a percentage or fixed discount, optionally limited to some
+-- services, to bookings and/or wallet top-ups, to a date range, to a total
+-- number of uses, to a number of uses per student and to students with no
+-- bookings yet. Every use is a promo_redemptions row (for reporting):
+--   wallet bookings  book_lessons(p_promo_code) discounts the lessons and records
+--                    the redemption in the same transaction
+--   Stripe Checkout  dynamic-task reserves a 'pending' redemption and charges the
+--                    discounted amount; creditPaidSession completes it once paid
+--                    (top-ups then get the discount added to the wallet, so the
+--                    student pays less for the same credit)
+-- Pending redemptions hold their place for 24 hours, the life of a Checkout session.
+-- Requires 020_pricing_rules.sql.
+
+CREATE TABLE IF NOT EXISTS public.promo_codes (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  code text NOT NULL,
+  description text,
+  discount_type text NOT NULL CHECK (discount_type IN ('percent', 'fixed')),
+  discount_value numeric NOT NULL CHECK (discount_value > 0),
+  applies_to text NOT NULL DEFAULT 'booking' CHECK (applies_to IN ('booking', 'topup', 'any')),
+  service_names text[],
+  max_redemptions integer CHECK (max_redemptions IS NULL OR max_redemptions > 0),
+  max_per_user integer DEFAULT 1 CHECK (max_per_user IS NULL OR max_per_user > 0),
+  first_booking_only boolean NOT NULL DEFAULT false,
+  starts_at timestamptz,
+  expires_at timestamptz,
+  active boolean NOT NULL DEFAULT true,
+  academy_id uuid REFERENCES public.academies(id) ON DELETE CASCADE,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now(),
+  CHECK (discount_type <> 'percent' OR discount_value <= 100)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS uq_promo_codes_code ON public.promo_codes (upper(code));
+
+COMMENT ON TABLE public.promo_codes IS 'Discount codes for lesson bookings and wallet top-ups.';
+COMMENT ON COLUMN public.promo_codes.service_names IS 'Only lessons of these services are discounted; NULL = every service';
+COMMENT ON COLUMN public.promo_codes.max_per_user IS 'Uses per student; NULL = unlimited';
+
+CREATE TABLE IF NOT EXISTS public.promo_redemptions (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  promo_code_id uuid NOT NULL REFERENCES public.promo_codes(id) ON DELETE CASCADE,
+  user_id uuid NOT NULL REFERENCES public.profiles(id) ON DELETE CASCADE,
+  context text NOT NULL CHECK (context IN ('booking', 'topup')),
+  status text NOT NULL DEFAULT 'redeemed' CHECK (status IN ('pending', 'redeemed', 'void')),
+  original_amount numeric NOT NULL DEFAULT 0,
+  discount_amount numeric NOT NULL DEFAULT 0,
+  booking_ids uuid[] NOT NULL DEFAULT '{}',
+  stripe_session_id text,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  redeemed_at timestamptz
+);
+
+CREATE INDEX IF NOT EXISTS idx_promo_redemptions_code ON public.promo_redemptions (promo_code_id, status);
+CREATE INDEX IF NOT EXISTS idx_promo_redemptions_user ON public.promo_redemptions (user_id);
+CREATE UNIQUE INDEX IF NOT EXISTS uq_promo_redemptions_session
+  ON public.promo_redemptions (stripe_session_id) WHERE stripe_session_id IS NOT NULL;
+
+COMMENT ON TABLE public.promo_redemptions IS 'One row per promo code use; pending rows belong to an unpaid Stripe Checkout session.';
+
+-- RLS: students read their own redemptions; admins manage codes and read everything.
+ALTER TABLE public.promo_codes ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.promo_redemptions ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "promo_codes_admin" ON public.promo_codes;
+CREATE POLICY "promo_codes_admin"
+  ON public.promo_codes FOR ALL TO authenticated
+  USING (EXISTS (SELECT 1 FROM public.profiles p WHERE p.id = auth.uid() AND p.role = 'admin'))
+  WITH CHECK (EXISTS (SELECT 1 FROM public.profiles p WHERE p.id = auth.uid() AND p.role = 'admin'));
+
+DROP POLICY IF EXISTS "promo_redemptions_select" ON public.promo_redemptions;
+CREATE POLICY "promo_redemptions_select"
+  ON public.promo_redemptions FOR SELECT TO authenticated
+  USING (
+    auth.uid() = user_id
+    OR EXISTS (SELECT 1 FROM public.profiles p WHERE p.id = auth.uid() AND p.role = 'admin')
+  );
+
+GRANT ALL ON TABLE public.promo_codes TO service_role;
+GRANT ALL ON TABLE public.promo_redemptions TO service_role;
+
+-- Reporting: uses and total discount per code
+CREATE OR REPLACE VIEW public.promo_code_report
+WITH (security_invoker = true) AS
+SELECT
+  c.id AS promo_code_id,
+  c.code,
+  c.description,
+  count(r.id) FILTER (WHERE r.status = 'redeemed') AS redemptions,
+  count(DISTINCT r.user_id) FILTER (WHERE r.status = 'redeemed') AS students,
+  COALESCE(sum(r.discount_amount) FILTER (WHERE r.status = 'redeemed'), 0) AS total_discount,
+  COALESCE(sum(r.original_amount) FILTER (WHERE r.status = 'redeemed'), 0) AS total_before_discount,
+  max(r.redeemed_at) AS last_redeemed_at
+FROM public.promo_codes c
+LEFT JOIN public.promo_redemptions r ON r.promo_code_id = c.id
+GROUP BY c.id, c.code, c.description;
+
+GRANT SELECT ON public.promo_code_report TO authenticated;
+GRANT SELECT ON public.promo_code_report TO service_role;
+
+-- =============================================================================
+-- evaluate_promo_code: internal. Checks a code for a student and works out the
+-- discount. Locks the code row so concurrent uses cannot exceed the limits.
+-- p_context 'booking': p_segments are priced book_lessons segments; the
+--   discount is spread over the eligible ones and returned in "segments"
+--   (cost lowered, list_cost and discount added).
+-- p_context 'topup': p_amount is the top-up.
+-- Returns { success: true, promo_code_id, code, description, eligible_amount,
+--           discount, total[, segments] } or { success: false, code, message }.
+-- Codes: promo_not_found, promo_not_started, promo_expired, promo_used_up,
+--        promo_user_limit, promo_first_booking_only, promo_not_applicable
+-- =============================================================================
+CREATE OR REPLACE FUNCTION public.evaluate_promo_code(
+  p_user_id uuid,
+  p_code text,
+  p_context text,
+  p_amount numeric DEFAULT NULL,
+  p_segments jsonb DEFAULT NULL
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_promo public.promo_codes%ROWTYPE;
+  v_academy uuid;
+  v_used integer;
+  v_seg jsonb;
+  v_cost numeric;
+  v_total numeric := 0;
+  v_eligible numeric := 0;
+  v_eligible_count integer := 0;
+  v_discount numeric;
+  v_left numeric;
+  v_share numeric;
+  v_seen integer := 0;
+  v_segments jsonb := '[]'::jsonb;
+BEGIN
+  SELECT * INTO v_promo
+  FROM public.promo_codes
+  WHERE upper(code) = upper(btrim(COALESCE(p_code, '')))
+    AND active
+  FOR UPDATE;
+
+  SELECT academy_id INTO v_academy FROM public.profiles WHERE id = p_user_id;
+
+  IF v_promo.id IS NULL
+     OR (v_promo.academy_id IS NOT NULL AND v_promo.academy_id IS DISTINCT FROM v_academy) THEN
+    RETURN jsonb_build_object('success', false, 'code', 'promo_not_found',
+      'message', 'This promo code is not valid.');
+  END IF;
+
+  IF v_promo.starts_at IS NOT NULL AND now() < v_promo.starts_at THEN
+    RETURN jsonb_build_object('success', false, 'code', 'promo_not_started',
+      'message', 'This promo code is not active yet.');
+  END IF;
+
+  IF v_promo.expires_at IS NOT NULL AND now() >= v_promo.expires_at THEN
+    RETURN jsonb_build_object('success', false, 'code', 'promo_expired',
+      'message', 'This promo code has expired.');
+  END IF;
+
+  IF v_promo.applies_to <> 'any' AND v_promo.applies_to <> p_context THEN
+    RETURN jsonb_build_object('success', false, 'code', 'promo_not_applicable',
+      'message', CASE WHEN v_promo.applies_to = 'booking'
+        THEN 'This promo code can only be used when booking lessons.'
+        ELSE 'This promo code can only be used for wallet top-ups.' END);
+  END IF;
+
+  IF v_promo.max_redemptions IS NOT NULL THEN
+    SELECT count(*) INTO v_used
+    FROM public.promo_redemptions
+    WHERE promo_code_id = v_promo.id
+      AND (status = 'redeemed' OR (status = 'pending' AND created_at > now() - interval '24 hours'));
+    IF v_used >= v_promo.max_redemptions THEN
+      RETURN jsonb_build_object('success', false, 'code', 'promo_used_up',
+        'message', 'This promo code has been fully redeemed.');
+    END IF;
+  END IF;
+
+  IF v_promo.max_per_user IS NOT NULL THEN
+    SELECT count(*) INTO v_used
+    FROM public.promo_redemptions
+    WHERE promo_code_id = v_promo.id
+      AND user_id = p_user_id
+      AND (status = 'redeemed' OR (status = 'pending' AND created_at > now() - interval '24 hours'));
+    IF v_used >= v_promo.max_per_user THEN
+      RETURN jsonb_build_object('success', false, 'code', 'promo_user_limit',
+        'message', 'You have already used this promo code.');
+    END IF;
+  END IF;
+
+  IF v_promo.first_booking_only AND EXISTS (SELECT 1 FROM public.bookings WHERE user_id = p_user_id) THEN
+    RETURN jsonb_build_object('success', false, 'code', 'promo_first_booking_only',
+      'message', 'This promo code is only for your first lesson.');
+  END IF;
+
+  IF p_context = 'booking' THEN
+    FOR v_seg IN SELECT value FROM jsonb_array_elements(COALESCE(p_segments, '[]'::jsonb)) LOOP
+      v_cost := COALESCE((v_seg->>'cost')::numeric, 0);
+      v_total := v_total + v_cost;
+      IF v_promo.service_names IS NULL OR (v_seg->>'service_name') = ANY(v_promo.service_names) THEN
+        v_eligible := v_eligible + v_cost;
+        v_eligible_count := v_eligible_count + 1;
+      END IF;
+    END LOOP;
+  ELSE
+    v_total := COALESCE(p_amount, 0);
+    v_eligible := v_total;
+  END IF;
+
+  IF v_eligible <= 0 THEN
+    RETURN jsonb_build_object('success', false, 'code', 'promo_not_applicable',
+      'message', CASE WHEN v_promo.service_names IS NOT NULL
+        THEN format('This promo code only applies to %s.', array_to_string(v_promo.service_names, ', '))
+        ELSE 'This promo code does not apply to this purchase.' END);
+  END IF;
+
+  v_discount := CASE WHEN v_promo.discount_type = 'percent'
+    THEN round(v_eligible * v_promo.discount_value / 100, 2)
+    ELSE LEAST(v_promo.discount_value, v_eligible) END;
+
+  IF p_context = 'booking' THEN
+    -- Spread the discount over the eligible lessons; the last one takes the rounding
+    v_left := v_discount;
+    FOR v_seg IN SELECT value FROM jsonb_array_elements(p_segments) LOOP
+      v_cost := COALESCE((v_seg->>'cost')::numeric, 0);
+      v_share := 0;
+      IF v_promo.service_names IS NULL OR (v_seg->>'service_name') = ANY(v_promo.service_names) THEN
+        v_seen := v_seen + 1;
+        v_share := CASE WHEN v_seen = v_eligible_count
+          THEN v_left
+          ELSE LEAST(round(v_cost * v_discount / v_eligible, 2), v_left) END;
+        v_left := v_left - v_share;
+      END IF;
+      v_segments := v_segments || (v_seg || jsonb_build_object(
+        'cost', v_cost - v_share,
+        'list_cost', v_cost,
+        'discount', v_share
+      ));
+    END LOOP;
+  END IF;
+
+  RETURN jsonb_build_object(
+    'success', true,
+    'promo_code_id', v_promo.id,
+    'code', upper(v_promo.code),
+    'description', v_promo.description,
+    'eligible_amount', v_eligible,
+    'discount', v_discount,
+    'total', v_total - v_discount
+  ) || CASE WHEN p_context = 'booking' THEN jsonb_build_object('segments', v_segments) ELSE '{}'::jsonb END;
+END;
+$$;
+
+-- =============================================================================
+-- check_promo_code: what a code would take off for the signed-in student.
+-- Booking segments are priced with quote_lessons first (their cost is ignored).
+-- Same result as evaluate_promo_code.
+-- =============================================================================
+CREATE OR REPLACE FUNCTION public.check_promo_code(
+  p_code text,
+  p_context text,
+  p_amount numeric DEFAULT NULL,
+  p_segments jsonb DEFAULT NULL
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_user uuid := auth.uid();
+  v_priced jsonb;
+BEGIN
+  IF v_user IS NULL THEN
+    RETURN jsonb_build_object('success', false, 'code', 'unauthorized',
+      'message', 'You must be signed in to use a promo code.');
+  END IF;
+
+  IF p_context = 'booking' THEN
+    v_priced := public.quote_lessons(v_user, COALESCE(p_segments, '[]'::jsonb));
+    IF NOT COALESCE((v_priced->>'success')::boolean, false) THEN
+      RETURN v_priced;
+    END IF;
+    RETURN public.evaluate_promo_code(v_user, p_code, 'booking', NULL, v_priced->'segments');
+  END IF;
+
+  RETURN public.evaluate_promo_code(v_user, p_code, 'topup', p_amount, NULL);
+END;
+$$;
+
+-- =============================================================================
+-- reserve_promo_redemption: dynamic-task, before creating a Checkout session.
+-- Evaluates the code and records a 'pending' redemption so the use is held
+-- while the student pays. Returns evaluate_promo_code's result plus redemption_id.
+-- p_segments must already be priced (quote_lessons).
+-- =============================================================================
+CREATE OR REPLACE FUNCTION public.reserve_promo_redemption(
+  p_user_id uuid,
+  p_code text,
+  p_context text,
+  p_amount numeric DEFAULT NULL,
+  p_segments jsonb DEFAULT NULL
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_result jsonb;
+  v_id uuid;
+BEGIN
+  v_result := public.evaluate_promo_code(p_user_id, p_code, p_context, p_amount, p_segments);
+  IF NOT COALESCE((v_result->>'success')::boolean, false) THEN
+    RETURN v_result;
+  END IF;
+
+  INSERT INTO public.promo_redemptions (
+    promo_code_id, user_id, context, status, original_amount, discount_amount
+  ) VALUES (
+    (v_result->>'promo_code_id')::uuid,
+    p_user_id,
+    p_context,
+    'pending',
+    (v_result->>'total')::numeric + (v_result->>'discount')::numeric,
+    (v_result->>'discount')::numeric
+  )
+  RETURNING id INTO v_id;
+
+  RETURN v_result || jsonb_build_object('redemption_id', v_id);
+END;
+$$;
+
+-- =============================================================================
+-- complete_promo_redemption: creditPaidSession, after the session is credited
+-- (and its lessons booked). Safe to call more than once.
+-- Top-ups: the discount is added to the wallet. Lesson payments: the redemption
+-- is kept if the lessons were booked, voided if not (the payment stays as credit).
+-- Returns { status, discount } or NULL when the session used no code.
+-- =============================================================================
+CREATE OR REPLACE FUNCTION public.complete_promo_redemption(
+  p_session_id text,
+  p_booked boolean DEFAULT true,
+  p_booking_ids uuid[] DEFAULT '{}'
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_row public.promo_redemptions%ROWTYPE;
+BEGIN
+  SELECT * INTO v_row
+  FROM public.promo_redemptions
+  WHERE stripe_session_id = p_session_id
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RETURN NULL;
+  END IF;
+
+  IF v_row.status = 'pending' THEN
+    IF v_row.context = 'booking' AND NOT COALESCE(p_booked, false) THEN
+      UPDATE public.promo_redemptions SET status = 'void' WHERE id = v_row.id;
+      v_row.status := 'void';
+    ELSE
+      UPDATE public.promo_redemptions
+      SET status = 'redeemed',
+          redeemed_at = now(),
+          booking_ids = COALESCE(p_booking_ids, '{}')
+      WHERE id = v_row.id;
+      v_row.status := 'redeemed';
+
+      IF v_row.context = 'topup' AND v_row.discount_amount > 0 THEN
+        UPDATE public.profiles
+        SET wallet_balance = COALESCE(wallet_balance, 0) + v_row.discount_amount
+        WHERE id = v_row.user_id;
+      END IF;
+    END IF;
+  END IF;
+
+  RETURN jsonb_build_object('status', v_row.status, 'discount', v_row.discount_amount);
+END;
+$$;
+
+DROP FUNCTION IF EXISTS public.book_lessons(uuid, jsonb, boolean);
+
+-- =============================================================================
+-- book_lessons: as in 020, plus p_promo_code. The code is checked against the
+-- priced lessons, the discount lowers their cost, and the redemption is recorded
+-- with the new booking ids. Adds discount and promo_code to the result.
+-- =============================================================================
+CREATE OR REPLACE FUNCTION public.book_lessons(
+  p_user_id uuid,
+  p_segments jsonb,
+  p_charge_wallet boolean DEFAULT true,
+  p_promo_code text DEFAULT NULL
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_caller uuid := auth.uid();
+  v_is_admin boolean := false;
+  v_charge boolean := COALESCE(p_charge_wallet, true);
+  v_academy uuid;
+  v_balance numeric;
+  v_seg jsonb;
+  v_idx integer;
+  v_ids uuid[];
+  v_location uuid;
+  v_start timestamptz;
+  v_end timestamptz;
+  v_cost numeric;
+  v_capacity integer;
+  v_open integer;
+  v_existing integer;
+  v_total numeric := 0;
+  v_full_ids uuid[] := '{}';
+  v_booking_id uuid;
+  v_booking_ids uuid[] := '{}';
+  v_policy_error jsonb;
+  v_priced jsonb;
+  v_promo jsonb;
+BEGIN
+  -- auth.uid() is NULL only for service_role (anon has no EXECUTE)
+  IF v_caller IS NOT NULL THEN
+    SELECT role = 'admin' INTO v_is_admin FROM public.profiles WHERE id = v_caller;
+    v_is_admin := COALESCE(v_is_admin, false);
+    IF v_caller <> p_user_id AND NOT v_is_admin THEN
+      RETURN jsonb_build_object('success', false, 'code', 'unauthorized',
+        'message', 'You can only book lessons for yourself.');
+    END IF;
+    -- Students always pay for their own bookings
+    IF NOT v_is_admin THEN
+      v_charge := true;
+    END IF;
+  END IF;
+
+  IF p_segments IS NULL OR jsonb_typeof(p_segments) <> 'array' OR jsonb_array_length(p_segments) = 0 THEN
+    RETURN jsonb_build_object('success', false, 'code', 'invalid_request',
+      'message', 'No lessons to book.');
+  END IF;
+
+  -- Booking policies apply to students; admins and service_role (paid Stripe
+  -- sessions, checked before checkout) skip them
+  IF v_caller IS NOT NULL AND NOT v_is_admin THEN
+    v_policy_error := public.check_booking_policies(p_user_id, p_segments);
+    IF v_policy_error IS NOT NULL THEN
+      RETURN v_policy_error;
+    END IF;
+
+    v_priced := public.quote_lessons(p_user_id, p_segments);
+    IF NOT COALESCE((v_priced->>'success')::boolean, false) THEN
+      RETURN v_priced;
+    END IF;
+    p_segments := v_priced->'segments';
+  END IF;
+
+  -- Promo codes are applied to the priced lessons. Stripe-paid bookings
+  -- (service_role) were discounted by dynamic-task before checkout.
+  IF v_caller IS NOT NULL AND NULLIF(btrim(COALESCE(p_promo_code, '')), '') IS NOT NULL THEN
+    v_promo := public.evaluate_promo_code(p_user_id, p_promo_code, 'booking', NULL, p_segments);
+    IF NOT COALESCE((v_promo->>'success')::boolean, false) THEN
+      RETURN v_promo;
+    END IF;
+    p_segments := v_promo->'segments';
+  END IF;
+
+  SELECT academy_id, COALESCE(wallet_balance, 0)
+    INTO v_academy, v_balance
+  FROM public.profiles
+  WHERE id = p_user_id
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('success', false, 'code', 'profile_not_found',
+      'message', 'Student profile not found.');
+  END IF;
+
+  -- Pass 1: validate every segment and lock its availabilities before writing anything
+  FOR v_seg, v_idx IN
+    SELECT value, ordinality - 1 FROM jsonb_array_elements(p_segments) WITH ORDINALITY
+  LOOP
+    v_location := NULLIF(v_seg->>'location_id', '')::uuid;
+    v_start := (v_seg->>'start_time')::timestamptz;
+    v_end := (v_seg->>'end_time')::timestamptz;
+    v_cost := COALESCE((v_seg->>'cost')::numeric, 0);
+    v_ids := ARRAY(SELECT jsonb_array_elements_text(COALESCE(v_seg->'availability_ids', '[]'::jsonb))::uuid);
+
+    IF v_location IS NULL OR v_start IS NULL OR v_end IS NULL OR v_end <= v_start OR v_cost < 0 THEN
+      RETURN jsonb_build_object('success', false, 'code', 'invalid_request',
+        'message', 'Booking details are incomplete.', 'segment', v_idx);
+    END IF;
+
+    -- Admins may record lessons that already happened (Assign lesson)
+    IF v_start < now() AND NOT v_is_admin THEN
+      RETURN jsonb_build_object('success', false, 'code', 'slot_in_past',
+        'message', 'Cannot create a booking for a time that has already passed.', 'segment', v_idx);
+    END IF;
+
+    IF cardinality(v_ids) = 0 THEN
+      IF v_caller IS NOT NULL AND NOT v_is_admin THEN
+        RETURN jsonb_build_object('success', false, 'code', 'invalid_request',
+          'message', 'Please select an available time slot.', 'segment', v_idx);
+      END IF;
+    ELSE
+      -- Row locks serialise concurrent bookings of the same slot until commit
+      PERFORM 1 FROM public.availabilities WHERE id = ANY(v_ids) ORDER BY id FOR UPDATE;
+
+      SELECT count(*), MIN(COALESCE(max_capacity, 10))
+        INTO v_open, v_capacity
+      FROM public.availabilities
+      WHERE id = ANY(v_ids)
+        AND location_id = v_location
+        AND COALESCE(is_booked, false) = false;
+
+      IF v_open < cardinality(v_ids) THEN
+        RETURN jsonb_build_object('success', false, 'code', 'slot_unavailable',
+          'message', 'This time slot is no longer available. Please select a different time.', 'segment', v_idx);
+      END IF;
+
+      SELECT count(*) INTO v_existing
+      FROM public.bookings
+      WHERE location_id = v_location
+        AND start_time = v_start
+        AND end_time = v_end;
+
+      IF v_existing >= v_capacity THEN
+        RETURN jsonb_build_object('success', false, 'code', 'slot_full',
+          'message', format('This time slot is already full (%s/%s members). Please choose another time.', v_existing, v_capacity),
+          'segment', v_idx);
+      END IF;
+
+      IF v_existing + 1 >= v_capacity THEN
+        v_full_ids := v_full_ids || v_ids;
+      END IF;
+    END IF;
+
+    v_total := v_total + v_cost;
+  END LOOP;
+
+  IF v_charge AND v_total > 0 AND v_balance < v_total THEN
+    RETURN jsonb_build_object('success', false, 'code', 'insufficient_balance',
+      'message', 'Insufficient wallet balance.',
+      'balance', v_balance, 'required', v_total);
+  END IF;
+
+  -- Pass 2: debit, insert and mark full. Any error here rolls back the whole block.
+  BEGIN
+    IF v_charge AND v_total > 0 THEN
+      UPDATE public.profiles
+      SET wallet_balance = COALESCE(wallet_balance, 0) - v_total
+      WHERE id = p_user_id
+      RETURNING wallet_balance INTO v_balance;
+    END IF;
+
+    FOR v_seg IN SELECT value FROM jsonb_array_elements(p_segments)
+    LOOP
+      INSERT INTO public.bookings (
+        user_id, location_id, start_time, end_time, credit_cost, service_name, academy_id
+      ) VALUES (
+        p_user_id,
+        (v_seg->>'location_id')::uuid,
+        (v_seg->>'start_time')::timestamptz,
+        (v_seg->>'end_time')::timestamptz,
+        COALESCE((v_seg->>'cost')::numeric, 0),
+        NULLIF(v_seg->>'service_name', ''),
+        v_academy
+      )
+      RETURNING id INTO v_booking_id;
+      v_booking_ids := v_booking_ids || v_booking_id;
+    END LOOP;
+
+    IF cardinality(v_full_ids) > 0 THEN
+      UPDATE public.availabilities SET is_booked = true WHERE id = ANY(v_full_ids);
+    END IF;
+
+    IF v_promo IS NOT NULL THEN
+      INSERT INTO public.promo_redemptions (
+        promo_code_id, user_id, context, status, original_amount, discount_amount, booking_ids, redeemed_at
+      ) VALUES (
+        (v_promo->>'promo_code_id')::uuid,
+        p_user_id,
+        'booking',
+        'redeemed',
+        v_total + (v_promo->>'discount')::numeric,
+        (v_promo->>'discount')::numeric,
+        v_booking_ids,
+        now()
+      );
+    END IF;
+  EXCEPTION
+    WHEN exclusion_violation OR unique_violation THEN
+      RETURN jsonb_build_object('success', false, 'code', 'booking_conflict',
+        'message', 'This time slot is no longer available. Please select a different time.');
+  END;
+
+  RETURN jsonb_build_object(
+    'success', true,
+    'booking_ids', to_jsonb(v_booking_ids),
+    'total_cost', v_total,
+    'new_balance', v_balance
+  ) || CASE WHEN v_promo IS NOT NULL
+    THEN jsonb_build_object('discount', (v_promo->>'discount')::numeric, 'promo_code', v_promo->>'code')
+    ELSE '{}'::jsonb END;
+END;
+$$;
+
+
+REVOKE ALL ON FUNCTION public.book_lessons(uuid, jsonb, boolean, text) FROM PUBLIC;
+REVOKE ALL ON FUNCTION public.book_lessons(uuid, jsonb, boolean, text) FROM anon;
+GRANT EXECUTE ON FUNCTION public.book_lessons(uuid, jsonb, boolean, text) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.book_lessons(uuid, jsonb, boolean, text) TO service_role;
+
+REVOKE ALL ON FUNCTION public.evaluate_promo_code(uuid, text, text, numeric, jsonb) FROM PUBLIC;
+REVOKE ALL ON FUNCTION public.evaluate_promo_code(uuid, text, text, numeric, jsonb) FROM anon;
+REVOKE ALL ON FUNCTION public.evaluate_promo_code(uuid, text, text, numeric, jsonb) FROM authenticated;
+GRANT EXECUTE ON FUNCTION public.evaluate_promo_code(uuid, text, text, numeric, jsonb) TO service_role;
+
+REVOKE ALL ON FUNCTION public.check_promo_code(text, text, numeric, jsonb) FROM PUBLIC;
+REVOKE ALL ON FUNCTION public.check_promo_code(text, text, numeric, jsonb) FROM anon;
+GRANT EXECUTE ON FUNCTION public.check_promo_code(text, text, numeric, jsonb) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.check_promo_code(text, text, numeric, jsonb) TO service_role;
+
+REVOKE ALL ON FUNCTION public.reserve_promo_redemption(uuid, text, text, numeric, jsonb) FROM PUBLIC;
+REVOKE ALL ON FUNCTION public.reserve_promo_redemption(uuid, text, text, numeric, jsonb) FROM anon;
+REVOKE ALL ON FUNCTION public.reserve_promo_redemption(uuid, text, text, numeric, jsonb) FROM authenticated;
+GRANT EXECUTE ON FUNCTION public.reserve_promo_redemption(uuid, text, text, numeric, jsonb) TO service_role;
+
+REVOKE ALL ON FUNCTION public.complete_promo_redemption(text, boolean, uuid[]) FROM PUBLIC;
+REVOKE ALL ON FUNCTION public.complete_promo_redemption(text, boolean, uuid[]) FROM anon;
+REVOKE ALL ON FUNCTION public.complete_promo_redemption(text, boolean, uuid[]) FROM authenticated;
+GRANT EXECUTE ON FUNCTION public.complete_promo_redemption(text, boolean, uuid[]) TO service_role;
@@ -0,0 +1,845 @@
+-- Lesson packs: prepaid bundles of lessons. Safe to re-run.
+-- lesson_packs is the catalogue ("10 Private Lessons", price, how long it lasts).
+-- Buying one, from the wallet or by card, adds a pack_credits row holding the
+-- lessons left and the expiry date. Pack lessons are used before the wallet:
+-- quote_lessons prices a lesson the pack covers at $0 (with a "pack" item), and
+-- book_lessons takes the lesson off the pack in the same transaction as the booking.
+-- Cancelling with a full refund puts the lesson back on the pack; a partial
+-- refund cannot split a lesson, so pack bookings get either all or nothing.
+-- Requires 019_cancellation_refund_tiers.sql, 020_pricing_rules.sql and 021_promo_codes.sql.
+
+CREATE TABLE IF NOT EXISTS public.lesson_packs (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  name text NOT NULL,
+  description text,
+  service_names text[],
+  lesson_count integer NOT NULL CHECK (lesson_count > 0),
+  price numeric NOT NULL CHECK (price >= 0),
+  valid_days integer NOT NULL DEFAULT 365 CHECK (valid_days > 0),
+  academy_id uuid REFERENCES public.academies(id) ON DELETE CASCADE,
+  active boolean NOT NULL DEFAULT true,
+  sort_order integer NOT NULL DEFAULT 0,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+COMMENT ON TABLE public.lesson_packs IS 'Lesson packs students can buy (N lessons for a price, valid for valid_days).';
+COMMENT ON COLUMN public.lesson_packs.service_names IS 'Services the lessons can be used for; NULL = any service';
+
+CREATE TABLE IF NOT EXISTS public.pack_credits (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL REFERENCES public.profiles(id) ON DELETE CASCADE,
+  pack_id uuid REFERENCES public.lesson_packs(id) ON DELETE SET NULL,
+  name text NOT NULL,
+  service_names text[],
+  lessons_total integer NOT NULL CHECK (lessons_total > 0),
+  lessons_remaining integer NOT NULL CHECK (lessons_remaining >= 0),
+  price_paid numeric NOT NULL DEFAULT 0,
+  expires_at timestamptz NOT NULL,
+  stripe_session_id text,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  CHECK (lessons_remaining <= lessons_total)
+);
+
+CREATE INDEX IF NOT EXISTS idx_pack_credits_user ON public.pack_credits (user_id, expires_at);
+CREATE UNIQUE INDEX IF NOT EXISTS uq_pack_credits_session
+  ON public.pack_credits (stripe_session_id) WHERE stripe_session_id IS NOT NULL;
+
+COMMENT ON TABLE public.pack_credits IS 'Lesson packs a student has bought; name and service_names are copied from the pack at purchase.';
+
+-- Which pack paid for a booking, so a cancellation can give the lesson back
+ALTER TABLE public.bookings
+  ADD COLUMN IF NOT EXISTS pack_credit_id uuid REFERENCES public.pack_credits(id) ON DELETE SET NULL;
+
+-- Today's bundle: 10 private lessons for the price of 9, valid for a year
+INSERT INTO public.lesson_packs (name, description, service_names, lesson_count, price, valid_days)
+SELECT '10 Private Lessons', 'Ten private lessons for the price of nine.', ARRAY['Private Lessons'], 10, 1349.91, 365
+WHERE NOT EXISTS (SELECT 1 FROM public.lesson_packs WHERE name = '10 Private Lessons' AND academy_id IS NULL);
+
+-- RLS: everyone signed in can read the catalogue; admins manage it.
+-- Students read their own packs; purchases go through purchase_lesson_pack.
+ALTER TABLE public.lesson_packs ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.pack_credits ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "lesson_packs_select" ON public.lesson_packs;
+CREATE POLICY "lesson_packs_select"
+  ON public.lesson_packs FOR SELECT TO authenticated
+  USING (true);
+
+DROP POLICY IF EXISTS "lesson_packs_admin_write" ON public.lesson_packs;
+CREATE POLICY "lesson_packs_admin_write"
+  ON public.lesson_packs FOR ALL TO authenticated
+  USING (EXISTS (SELECT 1 FROM public.profiles p WHERE p.id = auth.uid() AND p.role = 'admin'))
+  WITH CHECK (EXISTS (SELECT 1 FROM public.profiles p WHERE p.id = auth.uid() AND p.role = 'admin'));
+
+DROP POLICY IF EXISTS "pack_credits_select" ON public.pack_credits;
+CREATE POLICY "pack_credits_select"
+  ON public.pack_credits FOR SELECT TO authenticated
+  USING (
+    auth.uid() = user_id
+    OR EXISTS (SELECT 1 FROM public.profiles p WHERE p.id = auth.uid() AND p.role = 'admin')
+  );
+
+GRANT ALL ON TABLE public.lesson_packs TO service_role;
+GRANT ALL ON TABLE public.pack_credits TO service_role;
+
+-- =============================================================================
+-- purchase_lesson_pack: buy a pack from the wallet.
+-- Students buy for themselves. service_role passes p_user_id and p_session_id
+-- after a card payment has been credited to the wallet (dynamic-task); the
+-- session id makes that purchase happen once.
+-- Returns { success: true, pack_credit_id, new_balance, expires_at } or
+-- { success: false, code, message }.
+-- Codes: unauthorized, pack_not_found, insufficient_balance
+-- =============================================================================
+CREATE OR REPLACE FUNCTION public.purchase_lesson_pack(
+  p_pack_id uuid,
+  p_user_id uuid DEFAULT NULL,
+  p_session_id text DEFAULT NULL
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_caller uuid := auth.uid();
+  v_user uuid := COALESCE(p_user_id, auth.uid());
+  v_pack public.lesson_packs%ROWTYPE;
+  v_academy uuid;
+  v_balance numeric;
+  v_credit public.pack_credits%ROWTYPE;
+BEGIN
+  IF v_user IS NULL OR (v_caller IS NOT NULL AND (v_user <> v_caller OR p_session_id IS NOT NULL)) THEN
+    RETURN jsonb_build_object('success', false, 'code', 'unauthorized',
+      'message', 'You can only buy lesson packs for yourself.');
+  END IF;
+
+  -- Profile lock: the success URL and the webhook can arrive at the same time
+  SELECT academy_id, COALESCE(wallet_balance, 0)
+    INTO v_academy, v_balance
+  FROM public.profiles
+  WHERE id = v_user
+  FOR UPDATE;
+
+  IF p_session_id IS NOT NULL THEN
+    SELECT * INTO v_credit FROM public.pack_credits WHERE stripe_session_id = p_session_id;
+    IF FOUND THEN
+      RETURN jsonb_build_object('success', true, 'pack_credit_id', v_credit.id,
+        'new_balance', v_balance, 'expires_at', v_credit.expires_at);
+    END IF;
+  END IF;
+
+  SELECT * INTO v_pack
+  FROM public.lesson_packs
+  WHERE id = p_pack_id
+    AND active
+    AND (academy_id IS NULL OR academy_id = v_academy);
+
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('success', false, 'code', 'pack_not_found',
+      'message', 'This lesson pack is no longer available.');
+  END IF;
+
+  IF v_balance < v_pack.price THEN
+    RETURN jsonb_build_object('success', false, 'code', 'insufficient_balance',
+      'message', 'Insufficient wallet balance.',
+      'balance', v_balance, 'required', v_pack.price);
+  END IF;
+
+  UPDATE public.profiles
+  SET wallet_balance = COALESCE(wallet_balance, 0) - v_pack.price
+  WHERE id = v_user
+  RETURNING wallet_balance INTO v_balance;
+
+  INSERT INTO public.pack_credits (
+    user_id, pack_id, name, service_names, lessons_total, lessons_remaining,
+    price_paid, expires_at, stripe_session_id
+  ) VALUES (
+    v_user, v_pack.id, v_pack.name, v_pack.service_names, v_pack.lesson_count, v_pack.lesson_count,
+    v_pack.price, now() + make_interval(days => v_pack.valid_days), p_session_id
+  )
+  RETURNING * INTO v_credit;
+
+  RETURN jsonb_build_object(
+    'success', true,
+    'pack_credit_id', v_credit.id,
+    'new_balance', v_balance,
+    'expires_at', v_credit.expires_at
+  );
+END;
+$$;
+
+-- =============================================================================
+-- apply_lesson_packs: internal. Marks the lessons a student's packs cover:
+-- cost 0, pack_credit_id set and a "pack" item taking off the price. Packs
+-- that expire soonest are used first; a pack must still be valid when the
+-- lesson starts. Nothing is written; book_lessons takes the lessons off.
+-- =============================================================================
+CREATE OR REPLACE FUNCTION public.apply_lesson_packs(p_user_id uuid, p_segments jsonb)
+RETURNS jsonb
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_seg jsonb;
+  v_cost numeric;
+  v_credit_id uuid;
+  v_credit_name text;
+  v_used jsonb := '{}'::jsonb;
+  v_segments jsonb := '[]'::jsonb;
+BEGIN
+  FOR v_seg IN SELECT value FROM jsonb_array_elements(p_segments) LOOP
+    v_seg := v_seg - 'pack_credit_id';
+    v_cost := COALESCE((v_seg->>'cost')::numeric, 0);
+
+    v_credit_id := NULL;
+    IF v_cost > 0 THEN
+      SELECT pc.id, pc.name INTO v_credit_id, v_credit_name
+      FROM public.pack_credits pc
+      WHERE pc.user_id = p_user_id
+        AND pc.expires_at > (v_seg->>'start_time')::timestamptz
+        AND pc.lessons_remaining - COALESCE((v_used->>pc.id::text)::integer, 0) > 0
+        AND (pc.service_names IS NULL OR (v_seg->>'service_name') = ANY(pc.service_names))
+      ORDER BY pc.expires_at, pc.created_at
+      LIMIT 1;
+    END IF;
+
+    IF v_credit_id IS NOT NULL THEN
+      v_used := v_used || jsonb_build_object(v_credit_id::text,
+        COALESCE((v_used->>v_credit_id::text)::integer, 0) + 1);
+      v_seg := v_seg || jsonb_build_object(
+        'cost', 0,
+        'pack_credit_id', v_credit_id,
+        'items', COALESCE(v_seg->'items', '[]'::jsonb) || jsonb_build_array(jsonb_build_object(
+          'kind', 'pack',
+          'label', v_credit_name,
+          'amount', -v_cost
+        ))
+      );
+    END IF;
+
+    v_segments := v_segments || v_seg;
+  END LOOP;
+
+  RETURN v_segments;
+END;
+$$;
+
+-- =============================================================================
+-- quote_lessons: as in 020, then the student's packs are applied
+-- (apply_lesson_packs). total is what is left to pay from the wallet or card.
+-- =============================================================================
+CREATE OR REPLACE FUNCTION public.quote_lessons(p_user_id uuid, p_segments jsonb)
+RETURNS jsonb
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_seg jsonb;
+  v_quote jsonb;
+  v_total numeric := 0;
+  v_segments jsonb := '[]'::jsonb;
+BEGIN
+  IF auth.uid() IS NOT NULL AND auth.uid() <> p_user_id
+     AND NOT EXISTS (SELECT 1 FROM public.profiles WHERE id = auth.uid() AND role = 'admin') THEN
+    RETURN jsonb_build_object('success', false, 'code', 'unauthorized',
+      'message', 'You can only price lessons for yourself.');
+  END IF;
+
+  IF p_segments IS NULL OR jsonb_typeof(p_segments) <> 'array' THEN
+    RETURN jsonb_build_object('success', false, 'code', 'invalid_request',
+      'message', 'No lessons to price.');
+  END IF;
+
+  FOR v_seg IN SELECT value FROM jsonb_array_elements(p_segments) LOOP
+    IF NULLIF(v_seg->>'location_id', '') IS NULL OR v_seg->>'start_time' IS NULL OR v_seg->>'end_time' IS NULL THEN
+      RETURN jsonb_build_object('success', false, 'code', 'invalid_request',
+        'message', 'Booking details are incomplete.');
+    END IF;
+
+    v_quote := public.quote_lesson_price(
+      p_user_id,
+      (v_seg->>'location_id')::uuid,
+      NULLIF(v_seg->>'service_name', ''),
+      (v_seg->>'start_time')::timestamptz,
+      (v_seg->>'end_time')::timestamptz
+    );
+    v_total := v_total + (v_quote->>'total')::numeric;
+    v_segments := v_segments || (v_seg || jsonb_build_object(
+      'cost', (v_quote->'total'),
+      'items', (v_quote->'items')
+    ));
+  END LOOP;
+
+  -- Packs only apply when the student (or dynamic-task for them) is paying;
+  -- admins assigning a lesson see the list price
+  IF auth.uid() IS NULL OR auth.uid() = p_user_id THEN
+    v_segments := public.apply_lesson_packs(p_user_id, v_segments);
+    SELECT COALESCE(sum((value->>'cost')::numeric), 0) INTO v_total
+    FROM jsonb_array_elements(v_segments);
+  END IF;
+
+  RETURN jsonb_build_object('success', true, 'total', v_total, 'segments', v_segments);
+END;
+$$;
+
+-- =============================================================================
+-- evaluate_promo_code: as in 021, except lessons a pack pays for are not discounted
+-- =============================================================================
+CREATE OR REPLACE FUNCTION public.evaluate_promo_code(
+  p_user_id uuid,
+  p_code text,
+  p_context text,
+  p_amount numeric DEFAULT NULL,
+  p_segments jsonb DEFAULT NULL
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_promo public.promo_codes%ROWTYPE;
+  v_academy uuid;
+  v_used integer;
+  v_seg jsonb;
+  v_cost numeric;
+  v_total numeric := 0;
+  v_eligible numeric := 0;
+  v_eligible_count integer := 0;
+  v_discount numeric;
+  v_left numeric;
+  v_share numeric;
+  v_seen integer := 0;
+  v_segments jsonb := '[]'::jsonb;
+BEGIN
+  SELECT * INTO v_promo
+  FROM public.promo_codes
+  WHERE upper(code) = upper(btrim(COALESCE(p_code, '')))
+    AND active
+  FOR UPDATE;
+
+  SELECT academy_id INTO v_academy FROM public.profiles WHERE id = p_user_id;
+
+  IF v_promo.id IS NULL
+     OR (v_promo.academy_id IS NOT NULL AND v_promo.academy_id IS DISTINCT FROM v_academy) THEN
+    RETURN jsonb_build_object('success', false, 'code', 'promo_not_found',
+      'message', 'This promo code is not valid.');
+  END IF;
+
+  IF v_promo.starts_at IS NOT NULL AND now() < v_promo.starts_at THEN
+    RETURN jsonb_build_object('success', false, 'code', 'promo_not_started',
+      'message', 'This promo code is not active yet.');
+  END IF;
+
+  IF v_promo.expires_at IS NOT NULL AND now() >= v_promo.expires_at THEN
+    RETURN jsonb_build_object('success', false, 'code', 'promo_expired',
+      'message', 'This promo code has expired.');
+  END IF;
+
+  IF v_promo.applies_to <> 'any' AND v_promo.applies_to <> p_context THEN
+    RETURN jsonb_build_object('success', false, 'code', 'promo_not_applicable',
+      'message', CASE WHEN v_promo.applies_to = 'booking'
+        THEN 'This promo code can only be used when booking lessons.'
+        ELSE 'This promo code can only be used for wallet top-ups.' END);
+  END IF;
+
+  IF v_promo.max_redemptions IS NOT NULL THEN
+    SELECT count(*) INTO v_used
+    FROM public.promo_redemptions
+    WHERE promo_code_id = v_promo.id
+      AND (status = 'redeemed' OR (status = 'pending' AND created_at > now() - interval '24 hours'));
+    IF v_used >= v_promo.max_redemptions THEN
+      RETURN jsonb_build_object('success', false, 'code', 'promo_used_up',
+        'message', 'This promo code has been fully redeemed.');
+    END IF;
+  END IF;
+
+  IF v_promo.max_per_user IS NOT NULL THEN
+    SELECT count(*) INTO v_used
+    FROM public.promo_redemptions
+    WHERE promo_code_id = v_promo.id
+      AND user_id = p_user_id
+      AND (status = 'redeemed' OR (status = 'pending' AND created_at > now() - interval '24 hours'));
+    IF v_used >= v_promo.max_per_user THEN
+      RETURN jsonb_build_object('success', false, 'code', 'promo_user_limit',
+        'message', 'You have already used this promo code.');
+    END IF;
+  END IF;
+
+  IF v_promo.first_booking_only AND EXISTS (SELECT 1 FROM public.bookings WHERE user_id = p_user_id) THEN
+    RETURN jsonb_build_object('success', false, 'code', 'promo_first_booking_only',
+      'message', 'This promo code is only for your first lesson.');
+  END IF;
+
+  IF p_context = 'booking' THEN
+    FOR v_seg IN SELECT value FROM jsonb_array_elements(COALESCE(p_segments, '[]'::jsonb)) LOOP
+      v_cost := COALESCE((v_seg->>'cost')::numeric, 0);
+      v_total := v_total + v_cost;
+      IF v_cost > 0 AND (v_promo.service_names IS NULL OR (v_seg->>'service_name') = ANY(v_promo.service_names)) THEN
+        v_eligible := v_eligible + v_cost;
+        v_eligible_count := v_eligible_count + 1;
+      END IF;
+    END LOOP;
+  ELSE
+    v_total := COALESCE(p_amount, 0);
+    v_eligible := v_total;
+  END IF;
+
+  IF v_eligible <= 0 THEN
+    RETURN jsonb_build_object('success', false, 'code', 'promo_not_applicable',
+      'message', CASE WHEN v_promo.service_names IS NOT NULL
+        THEN format('This promo code only applies to %s.', array_to_string(v_promo.service_names, ', '))
+        ELSE 'This promo code does not apply to this purchase.' END);
+  END IF;
+
+  v_discount := CASE WHEN v_promo.discount_type = 'percent'
+    THEN round(v_eligible * v_promo.discount_value / 100, 2)
+    ELSE LEAST(v_promo.discount_value, v_eligible) END;
+
+  IF p_context = 'booking' THEN
+    -- Spread the discount over the eligible lessons; the last one takes the rounding
+    v_left := v_discount;
+    FOR v_seg IN SELECT value FROM jsonb_array_elements(p_segments) LOOP
+      v_cost := COALESCE((v_seg->>'cost')::numeric, 0);
+      v_share := 0;
+      IF v_cost > 0 AND (v_promo.service_names IS NULL OR (v_seg->>'service_name') = ANY(v_promo.service_names)) THEN
+        v_seen := v_seen + 1;
+        v_share := CASE WHEN v_seen = v_eligible_count
+          THEN v_left
+          ELSE LEAST(round(v_cost * v_discount / v_eligible, 2), v_left) END;
+        v_left := v_left - v_share;
+      END IF;
+      v_segments := v_segments || (v_seg || jsonb_build_object(
+        'cost', v_cost - v_share,
+        'list_cost', v_cost,
+        'discount', v_share
+      ));
+    END LOOP;
+  END IF;
+
+  RETURN jsonb_build_object(
+    'success', true,
+    'promo_code_id', v_promo.id,
+    'code', upper(v_promo.code),
+    'description', v_promo.description,
+    'eligible_amount', v_eligible,
+    'discount', v_discount,
+    'total', v_total - v_discount
+  ) || CASE WHEN p_context = 'booking' THEN jsonb_build_object('segments', v_segments) ELSE '{}'::jsonb END;
+END;
+$$;
+
+-- =============================================================================
+-- book_lessons: as in 021, plus packs. Lessons quote_lessons marked with a
+-- pack_credit_id are paid by that pack; the pack rows are locked and checked
+-- before anything is written and the lessons taken off with the bookings.
+-- New code: pack_unavailable (the pack was used up or expired meanwhile).
+-- =============================================================================
+CREATE OR REPLACE FUNCTION public.book_lessons(
+  p_user_id uuid,
+  p_segments jsonb,
+  p_charge_wallet boolean DEFAULT true,
+  p_promo_code text DEFAULT NULL
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_caller uuid := auth.uid();
+  v_is_admin boolean := false;
+  v_charge boolean := COALESCE(p_charge_wallet, true);
+  v_academy uuid;
+  v_balance numeric;
+  v_seg jsonb;
+  v_idx integer;
+  v_ids uuid[];
+  v_location uuid;
+  v_start timestamptz;
+  v_end timestamptz;
+  v_cost numeric;
+  v_capacity integer;
+  v_open integer;
+  v_existing integer;
+  v_total numeric := 0;
+  v_full_ids uuid[] := '{}';
+  v_booking_id uuid;
+  v_booking_ids uuid[] := '{}';
+  v_policy_error jsonb;
+  v_priced jsonb;
+  v_promo jsonb;
+  v_pack_id uuid;
+  v_pack_lessons integer;
+BEGIN
+  -- auth.uid() is NULL only for service_role (anon has no EXECUTE)
+  IF v_caller IS NOT NULL THEN
+    SELECT role = 'admin' INTO v_is_admin FROM public.profiles WHERE id = v_caller;
+    v_is_admin := COALESCE(v_is_admin, false);
+    IF v_caller <> p_user_id AND NOT v_is_admin THEN
+      RETURN jsonb_build_object('success', false, 'code', 'unauthorized',
+        'message', 'You can only book lessons for yourself.');
+    END IF;
+    -- Students always pay for their own bookings
+    IF NOT v_is_admin THEN
+      v_charge := true;
+    END IF;
+  END IF;
+
+  IF p_segments IS NULL OR jsonb_typeof(p_segments) <> 'array' OR jsonb_array_length(p_segments) = 0 THEN
+    RETURN jsonb_build_object('success', false, 'code', 'invalid_request',
+      'message', 'No lessons to book.');
+  END IF;
+
+  -- Booking policies apply to students; admins and service_role (paid Stripe
+  -- sessions, checked before checkout) skip them
+  IF v_caller IS NOT NULL AND NOT v_is_admin THEN
+    v_policy_error := public.check_booking_policies(p_user_id, p_segments);
+    IF v_policy_error IS NOT NULL THEN
+      RETURN v_policy_error;
+    END IF;
+
+    v_priced := public.quote_lessons(p_user_id, p_segments);
+    IF NOT COALESCE((v_priced->>'success')::boolean, false) THEN
+      RETURN v_priced;
+    END IF;
+    p_segments := v_priced->'segments';
+  END IF;
+
+  -- Promo codes are applied to the priced lessons. Stripe-paid bookings
+  -- (service_role) were discounted by dynamic-task before checkout.
+  IF v_caller IS NOT NULL AND NULLIF(btrim(COALESCE(p_promo_code, '')), '') IS NOT NULL THEN
+    v_promo := public.evaluate_promo_code(p_user_id, p_promo_code, 'booking', NULL, p_segments);
+    IF NOT COALESCE((v_promo->>'success')::boolean, false) THEN
+      RETURN v_promo;
+    END IF;
+    p_segments := v_promo->'segments';
+  END IF;
+
+  SELECT academy_id, COALESCE(wallet_balance, 0)
+    INTO v_academy, v_balance
+  FROM public.profiles
+  WHERE id = p_user_id
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('success', false, 'code', 'profile_not_found',
+      'message', 'Student profile not found.');
+  END IF;
+
+  -- Lock the packs paying for lessons (pack_credit_id from quote_lessons) and
+  -- check they still cover them
+  FOR v_pack_id, v_pack_lessons IN
+    SELECT (value->>'pack_credit_id')::uuid, count(*)::integer
+    FROM jsonb_array_elements(p_segments)
+    WHERE NULLIF(value->>'pack_credit_id', '') IS NOT NULL
+    GROUP BY 1
+  LOOP
+    PERFORM 1 FROM public.pack_credits
+    WHERE id = v_pack_id
+      AND user_id = p_user_id
+      AND lessons_remaining >= v_pack_lessons
+      AND expires_at > now()
+    FOR UPDATE;
+    IF NOT FOUND THEN
+      RETURN jsonb_build_object('success', false, 'code', 'pack_unavailable',
+        'message', 'Your lesson pack no longer covers this booking. Please review your booking and try again.');
+    END IF;
+  END LOOP;
+
+  -- Pass 1: validate every segment and lock its availabilities before writing anything
+  FOR v_seg, v_idx IN
+    SELECT value, ordinality - 1 FROM jsonb_array_elements(p_segments) WITH ORDINALITY
+  LOOP
+    v_location := NULLIF(v_seg->>'location_id', '')::uuid;
+    v_start := (v_seg->>'start_time')::timestamptz;
+    v_end := (v_seg->>'end_time')::timestamptz;
+    v_cost := COALESCE((v_seg->>'cost')::numeric, 0);
+    v_ids := ARRAY(SELECT jsonb_array_elements_text(COALESCE(v_seg->'availability_ids', '[]'::jsonb))::uuid);
+
+    IF v_location IS NULL OR v_start IS NULL OR v_end IS NULL OR v_end <= v_start OR v_cost < 0 THEN
+      RETURN jsonb_build_object('success', false, 'code', 'invalid_request',
+        'message', 'Booking details are incomplete.', 'segment', v_idx);
+    END IF;
+
+    -- Admins may record lessons that already happened (Assign lesson)
+    IF v_start < now() AND NOT v_is_admin THEN
+      RETURN jsonb_build_object('success', false, 'code', 'slot_in_past',
+        'message', 'Cannot create a booking for a time that has already passed.', 'segment', v_idx);
+    END IF;
+
+    IF cardinality(v_ids) = 0 THEN
+      IF v_caller IS NOT NULL AND NOT v_is_admin THEN
+        RETURN jsonb_build_object('success', false, 'code', 'invalid_request',
+          'message', 'Please select an available time slot.', 'segment', v_idx);
+      END IF;
+    ELSE
+      -- Row locks serialise concurrent bookings of the same slot until commit
+      PERFORM 1 FROM public.availabilities WHERE id = ANY(v_ids) ORDER BY id FOR UPDATE;
+
+      SELECT count(*), MIN(COALESCE(max_capacity, 10))
+        INTO v_open, v_capacity
+      FROM public.availabilities
+      WHERE id = ANY(v_ids)
+        AND location_id = v_location
+        AND COALESCE(is_booked, false) = false;
+
+      IF v_open < cardinality(v_ids) THEN
+        RETURN jsonb_build_object('success', false, 'code', 'slot_unavailable',
+          'message', 'This time slot is no longer available. Please select a different time.', 'segment', v_idx);
+      END IF;
+
+      SELECT count(*) INTO v_existing
+      FROM public.bookings
+      WHERE location_id = v_location
+        AND start_time = v_start
+        AND end_time = v_end;
+
+      IF v_existing >= v_capacity THEN
+        RETURN jsonb_build_object('success', false, 'code', 'slot_full',
+          'message', format('This time slot is already full (%s/%s members). Please choose another time.', v_existing, v_capacity),
+          'segment', v_idx);
+      END IF;
+
+      IF v_existing + 1 >= v_capacity THEN
+        v_full_ids := v_full_ids || v_ids;
+      END IF;
+    END IF;
+
+    v_total := v_total + v_cost;
+  END LOOP;
+
+  IF v_charge AND v_total > 0 AND v_balance < v_total THEN
+    RETURN jsonb_build_object('success', false, 'code', 'insufficient_balance',
+      'message', 'Insufficient wallet balance.',
+      'balance', v_balance, 'required', v_total);
+  END IF;
+
+  -- Pass 2: debit, insert and mark full. Any error here rolls back the whole block.
+  BEGIN
+    IF v_charge AND v_total > 0 THEN
+      UPDATE public.profiles
+      SET wallet_balance = COALESCE(wallet_balance, 0) - v_total
+      WHERE id = p_user_id
+      RETURNING wallet_balance INTO v_balance;
+    END IF;
+
+    FOR v_seg IN SELECT value FROM jsonb_array_elements(p_segments)
+    LOOP
+      INSERT INTO public.bookings (
+        user_id, location_id, start_time, end_time, credit_cost, service_name, academy_id, pack_credit_id
+      ) VALUES (
+        p_user_id,
+        (v_seg->>'location_id')::uuid,
+        (v_seg->>'start_time')::timestamptz,
+        (v_seg->>'end_time')::timestamptz,
+        COALESCE((v_seg->>'cost')::numeric, 0),
+        NULLIF(v_seg->>'service_name', ''),
+        v_academy,
+        NULLIF(v_seg->>'pack_credit_id', '')::uuid
+      )
+      RETURNING id INTO v_booking_id;
+      v_booking_ids := v_booking_ids || v_booking_id;
+    END LOOP;
+
+    IF cardinality(v_full_ids) > 0 THEN
+      UPDATE public.availabilities SET is_booked = true WHERE id = ANY(v_full_ids);
+    END IF;
+
+    UPDATE public.pack_credits pc
+    SET lessons_remaining = pc.lessons_remaining - used.lessons
+    FROM (
+      SELECT (value->>'pack_credit_id')::uuid AS id, count(*)::integer AS lessons
+      FROM jsonb_array_elements(p_segments)
+      WHERE NULLIF(value->>'pack_credit_id', '') IS NOT NULL
+      GROUP BY 1
+    ) used
+    WHERE pc.id = used.id;
+
+    IF v_promo IS NOT NULL THEN
+      INSERT INTO public.promo_redemptions (
+        promo_code_id, user_id, context, status, original_amount, discount_amount, booking_ids, redeemed_at
+      ) VALUES (
+        (v_promo->>'promo_code_id')::uuid,
+        p_user_id,
+        'booking',
+        'redeemed',
+        v_total + (v_promo->>'discount')::numeric,
+        (v_promo->>'discount')::numeric,
+        v_booking_ids,
+        now()
+      );
+    END IF;
+  EXCEPTION
+    WHEN exclusion_violation OR unique_violation THEN
+      RETURN jsonb_build_object('success', false, 'code', 'booking_conflict',
+        'message', 'This time slot is no longer available. Please select a different time.');
+  END;
+
+  RETURN jsonb_build_object(
+    'success', true,
+    'booking_ids', to_jsonb(v_booking_ids),
+    'total_cost', v_total,
+    'new_balance', v_balance
+  ) || CASE WHEN v_promo IS NOT NULL
+    THEN jsonb_build_object('discount', (v_promo->>'discount')::numeric, 'promo_code', v_promo->>'code')
+    ELSE '{}'::jsonb END;
+END;
+$$;
+
+-- =============================================================================
+-- get_cancellation_quote: as in 019, plus pack_lesson. A pack booking is
+-- refunded 100% (the lesson goes back on the pack) or 0%.
+-- =============================================================================
+CREATE OR REPLACE FUNCTION public.get_cancellation_quote(
+  p_booking_id uuid,
+  p_as_of timestamptz DEFAULT now()
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_booking public.bookings%ROWTYPE;
+  v_academy uuid;
+  v_tiers jsonb;
+  v_hours numeric;
+  v_percent numeric := 0;
+  v_cost numeric;
+BEGIN
+  SELECT * INTO v_booking FROM public.bookings WHERE id = p_booking_id;
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('success', false, 'code', 'not_found', 'message', 'Booking not found.');
+  END IF;
+
+  IF auth.uid() IS NOT NULL AND auth.uid() <> v_booking.user_id
+     AND NOT EXISTS (SELECT 1 FROM public.profiles WHERE id = auth.uid() AND role IN ('admin', 'coach')) THEN
+    RETURN jsonb_build_object('success', false, 'code', 'unauthorized', 'message', 'Booking not found.');
+  END IF;
+
+  v_academy := COALESCE(v_booking.academy_id, (SELECT academy_id FROM public.profiles WHERE id = v_booking.user_id));
+  v_tiers := COALESCE(public.resolve_refund_tiers(v_academy, v_booking.service_name), '[]'::jsonb);
+  v_hours := EXTRACT(EPOCH FROM (v_booking.start_time - COALESCE(p_as_of, now()))) / 3600;
+  v_cost := COALESCE(v_booking.credit_cost, 0);
+
+  IF v_hours > 0 THEN
+    SELECT COALESCE((t->>'refund_percent')::numeric, 0) INTO v_percent
+    FROM jsonb_array_elements(v_tiers) AS t
+    WHERE v_hours >= COALESCE((t->>'hours_before')::numeric, 0)
+    ORDER BY (t->>'hours_before')::numeric DESC
+    LIMIT 1;
+    v_percent := COALESCE(v_percent, 0);
+  END IF;
+
+  -- A pack lesson goes back on the pack or not at all
+  IF v_booking.pack_credit_id IS NOT NULL THEN
+    v_percent := CASE WHEN v_percent >= 100 THEN 100 ELSE 0 END;
+  END IF;
+
+  RETURN jsonb_build_object(
+    'success', true,
+    'refund_percent', v_percent,
+    'refund_amount', round(v_cost * v_percent / 100, 2),
+    'credit_cost', v_cost,
+    'hours_before', round(v_hours, 1),
+    'tiers', v_tiers,
+    'pack_lesson', v_booking.pack_credit_id IS NOT NULL
+  );
+END;
+$$;
+
+-- =============================================================================
+-- apply_booking_cancellation: as in 019; a fully refunded pack booking puts
+-- the lesson back on its pack. Adds pack_lesson_returned to the result.
+-- =============================================================================
+CREATE OR REPLACE FUNCTION public.apply_booking_cancellation(
+  p_booking_id uuid,
+  p_reason text,
+  p_refund_percent numeric
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_booking record;
+  v_percent numeric := LEAST(GREATEST(COALESCE(p_refund_percent, 0), 0), 100);
+  v_refund numeric;
+  v_balance numeric;
+  v_pack_returned boolean := false;
+BEGIN
+  SELECT b.*, l.name AS location_name INTO v_booking
+  FROM public.bookings b
+  LEFT JOIN public.locations l ON l.id = b.location_id
+  WHERE b.id = p_booking_id
+  FOR UPDATE OF b;
+
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('success', false, 'code', 'not_found', 'message', 'Booking not found.');
+  END IF;
+
+  v_refund := round(COALESCE(v_booking.credit_cost, 0) * v_percent / 100, 2);
+
+  INSERT INTO public.user_cancellation_history (
+    original_booking_id, user_id, coach_id, location_id, location_name,
+    start_time, end_time, service_name, credit_cost, reason, academy_id,
+    refund_percent, refund_amount
+  ) VALUES (
+    v_booking.id, v_booking.user_id, v_booking.coach_id, v_booking.location_id, v_booking.location_name,
+    v_booking.start_time, v_booking.end_time, v_booking.service_name, COALESCE(v_booking.credit_cost, 0),
+    p_reason, v_booking.academy_id, v_percent, v_refund
+  );
+
+  DELETE FROM public.bookings WHERE id = v_booking.id;
+
+  IF v_refund > 0 THEN
+    UPDATE public.profiles
+    SET wallet_balance = COALESCE(wallet_balance, 0) + v_refund
+    WHERE id = v_booking.user_id
+    RETURNING wallet_balance INTO v_balance;
+  ELSE
+    SELECT COALESCE(wallet_balance, 0) INTO v_balance FROM public.profiles WHERE id = v_booking.user_id;
+  END IF;
+
+  IF v_booking.pack_credit_id IS NOT NULL AND v_percent >= 100 THEN
+    UPDATE public.pack_credits
+    SET lessons_remaining = LEAST(lessons_remaining + 1, lessons_total)
+    WHERE id = v_booking.pack_credit_id;
+    v_pack_returned := FOUND;
+  END IF;
+
+  PERFORM public.promote_waitlist(v_booking.location_id, v_booking.start_time, v_booking.end_time);
+
+  RETURN jsonb_build_object(
+    'success', true,
+    'booking_id', v_booking.id,
+    'user_id', v_booking.user_id,
+    'coach_id', v_booking.coach_id,
+    'location_name', v_booking.location_name,
+    'start_time', v_booking.start_time,
+    'refund_percent', v_percent,
+    'refund_amount', v_refund,
+    'new_balance', v_balance,
+    'pack_lesson_returned', v_pack_returned
+  );
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.purchase_lesson_pack(uuid, uuid, text) FROM PUBLIC;
+REVOKE ALL ON FUNCTION public.purchase_lesson_pack(uuid, uuid, text) FROM anon;
+GRANT EXECUTE ON FUNCTION public.purchase_lesson_pack(uuid, uuid, text) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.purchase_lesson_pack(uuid, uuid, text) TO service_role;
+
+REVOKE ALL ON FUNCTION public.apply_lesson_packs(uuid, jsonb) FROM PUBLIC;
+REVOKE ALL ON FUNCTION public.apply_lesson_packs(uuid, jsonb) FROM anon;
+REVOKE ALL ON FUNCTION public.apply_lesson_packs(uuid, jsonb) FROM authenticated;
+GRANT EXECUTE ON FUNCTION public.apply_lesson_packs(uuid, jsonb) TO service_role;
@@ -0,0 +1,416 @@
+-- Season Pass: term enrolment. Safe to re-run.
+-- Admins set up terms (start and end dates) and the weekly programs that run in
+-- them (day, time, location, capacity, price for the whole term). Enrolling in a
+-- program books every remaining session of the term in one transaction, paid
+-- from the wallet or by card (dynamic-task credits the card payment to the wallet
+-- first, as for lessons). Students joining after the term has started pay pro
+-- rata: the term price times the share of sessions still to come.
+-- Each session is an ordinary booking (term_enrolment_id set) carrying its share
+-- of the price, so it can be cancelled and refunded under the refund tiers.
+-- Requires 019_cancellation_refund_tiers.sql.
+
+CREATE TABLE IF NOT EXISTS public.terms (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  name text NOT NULL,
+  term_number smallint CHECK (term_number BETWEEN 1 AND 4),
+  start_date date NOT NULL,
+  end_date date NOT NULL,
+  academy_id uuid REFERENCES public.academies(id) ON DELETE CASCADE,
+  active boolean NOT NULL DEFAULT true,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now(),
+  CHECK (end_date >= start_date)
+);
+
+COMMENT ON TABLE public.terms IS 'School terms for Season Pass programs; dates are Sydney dates, inclusive.';
+
+CREATE TABLE IF NOT EXISTS public.term_programs (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  term_id uuid NOT NULL REFERENCES public.terms(id) ON DELETE CASCADE,
+  name text NOT NULL,
+  description text,
+  service_name text,
+  location_id uuid NOT NULL REFERENCES public.locations(id) ON DELETE CASCADE,
+  coach_id uuid REFERENCES auth.users(id) ON DELETE SET NULL,
+  day_of_week smallint NOT NULL CHECK (day_of_week BETWEEN 1 AND 7),
+  start_local time NOT NULL,
+  end_local time NOT NULL,
+  capacity integer NOT NULL CHECK (capacity > 0),
+  price numeric NOT NULL CHECK (price >= 0),
+  active boolean NOT NULL DEFAULT true,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now(),
+  CHECK (end_local > start_local)
+);
+
+CREATE INDEX IF NOT EXISTS idx_term_programs_term ON public.term_programs (term_id);
+
+COMMENT ON COLUMN public.term_programs.day_of_week IS 'ISO day of week (1 = Monday), Sydney time';
+COMMENT ON COLUMN public.term_programs.price IS 'Price for every session of the term; late joiners pay pro rata';
+
+CREATE TABLE IF NOT EXISTS public.term_enrolments (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  program_id uuid NOT NULL REFERENCES public.term_programs(id) ON DELETE CASCADE,
+  user_id uuid NOT NULL REFERENCES public.profiles(id) ON DELETE CASCADE,
+  status text NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'cancelled')),
+  sessions_total integer NOT NULL,
+  sessions_booked integer NOT NULL,
+  amount_paid numeric NOT NULL DEFAULT 0,
+  stripe_session_id text,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  cancelled_at timestamptz
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS uq_term_enrolments_active
+  ON public.term_enrolments (program_id, user_id) WHERE status = 'active';
+CREATE UNIQUE INDEX IF NOT EXISTS uq_term_enrolments_session
+  ON public.term_enrolments (stripe_session_id) WHERE stripe_session_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_term_enrolments_user ON public.term_enrolments (user_id);
+
+ALTER TABLE public.bookings
+  ADD COLUMN IF NOT EXISTS term_enrolment_id uuid REFERENCES public.term_enrolments(id) ON DELETE SET NULL;
+
+-- RLS: everyone signed in can read terms and programs; admins manage them.
+-- Students read their own enrolments; enrolling goes through enrol_in_term_program.
+ALTER TABLE public.terms ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.term_programs ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.term_enrolments ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "terms_select" ON public.terms;
+CREATE POLICY "terms_select"
+  ON public.terms FOR SELECT TO authenticated
+  USING (true);
+
+DROP POLICY IF EXISTS "terms_admin_write" ON public.terms;
+CREATE POLICY "terms_admin_write"
+  ON public.terms FOR ALL TO authenticated
+  USING (EXISTS (SELECT 1 FROM public.profiles p WHERE p.id = auth.uid() AND p.role = 'admin'))
+  WITH CHECK (EXISTS (SELECT 1 FROM public.profiles p WHERE p.id = auth.uid() AND p.role = 'admin'));
+
+DROP POLICY IF EXISTS "term_programs_select" ON public.term_programs;
+CREATE POLICY "term_programs_select"
+  ON public.term_programs FOR SELECT TO authenticated
+  USING (true);
+
+DROP POLICY IF EXISTS "term_programs_admin_write" ON public.term_programs;
+CREATE POLICY "term_programs_admin_write"
+  ON public.term_programs FOR ALL TO authenticated
+  USING (EXISTS (SELECT 1 FROM public.profiles p WHERE p.id = auth.uid() AND p.role = 'admin'))
+  WITH CHECK (EXISTS (SELECT 1 FROM public.profiles p WHERE p.id = auth.uid() AND p.role = 'admin'));
+
+DROP POLICY IF EXISTS "term_enrolments_select" ON public.term_enrolments;
+CREATE POLICY "term_enrolments_select"
+  ON public.term_enrolments FOR SELECT TO authenticated
+  USING (
+    auth.uid() = user_id
+    OR EXISTS (SELECT 1 FROM public.profiles p WHERE p.id = auth.uid() AND p.role IN ('admin', 'coach'))
+  );
+
+GRANT ALL ON TABLE public.terms TO service_role;
+GRANT ALL ON TABLE public.term_programs TO service_role;
+GRANT ALL ON TABLE public.term_enrolments TO service_role;
+
+-- =============================================================================
+-- term_program_sessions: every session of a program, in order
+-- =============================================================================
+CREATE OR REPLACE FUNCTION public.term_program_sessions(p_program_id uuid)
+RETURNS TABLE (start_time timestamptz, end_time timestamptz)
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT
+    (d::date + p.start_local) AT TIME ZONE 'Australia/Sydney',
+    (d::date + p.end_local) AT TIME ZONE 'Australia/Sydney'
+  FROM public.term_programs p
+  JOIN public.terms t ON t.id = p.term_id
+  CROSS JOIN LATERAL generate_series(t.start_date, t.end_date, interval '1 day') AS d
+  WHERE p.id = p_program_id
+    AND EXTRACT(ISODOW FROM d) = p.day_of_week
+  ORDER BY 1;
+$$;
+
+-- =============================================================================
+-- quote_term_enrolment: what enrolling now costs.
+-- Returns { success: true, program_id, sessions_total, sessions_remaining,
+--           full_price, price, first_session, enrolled, spots_left }
+-- or { success: false, code, message }. Codes: not_found, term_over
+-- =============================================================================
+CREATE OR REPLACE FUNCTION public.quote_term_enrolment(p_program_id uuid)
+RETURNS jsonb
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_program public.term_programs%ROWTYPE;
+  v_total integer;
+  v_remaining integer;
+  v_first timestamptz;
+  v_enrolled integer;
+BEGIN
+  SELECT p.* INTO v_program
+  FROM public.term_programs p
+  JOIN public.terms t ON t.id = p.term_id
+  WHERE p.id = p_program_id AND p.active AND t.active;
+
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('success', false, 'code', 'not_found',
+      'message', 'This program is not available.');
+  END IF;
+
+  SELECT count(*), count(*) FILTER (WHERE s.start_time > now()), min(s.start_time) FILTER (WHERE s.start_time > now())
+    INTO v_total, v_remaining, v_first
+  FROM public.term_program_sessions(p_program_id) s;
+
+  IF v_remaining = 0 THEN
+    RETURN jsonb_build_object('success', false, 'code', 'term_over',
+      'message', 'This program has no sessions left this term.');
+  END IF;
+
+  SELECT count(*) INTO v_enrolled
+  FROM public.term_enrolments
+  WHERE program_id = p_program_id AND status = 'active';
+
+  RETURN jsonb_build_object(
+    'success', true,
+    'program_id', p_program_id,
+    'sessions_total', v_total,
+    'sessions_remaining', v_remaining,
+    'full_price', v_program.price,
+    'price', round(v_program.price * v_remaining / v_total, 2),
+    'first_session', v_first,
+    'enrolled', v_enrolled,
+    'spots_left', GREATEST(v_program.capacity - v_enrolled, 0)
+  );
+END;
+$$;
+
+-- =============================================================================
+-- list_term_programs: programs of current and upcoming terms for the signed-in
+-- user's academy, each with its quote_term_enrolment fields, location name
+-- and whether the user is already enrolled.
+-- =============================================================================
+CREATE OR REPLACE FUNCTION public.list_term_programs()
+RETURNS jsonb
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_academy uuid;
+  v_row record;
+  v_quote jsonb;
+  v_result jsonb := '[]'::jsonb;
+BEGIN
+  SELECT academy_id INTO v_academy FROM public.profiles WHERE id = auth.uid();
+
+  FOR v_row IN
+    SELECT p.*, t.name AS term_name, t.term_number, t.start_date, t.end_date, l.name AS location_name
+    FROM public.term_programs p
+    JOIN public.terms t ON t.id = p.term_id
+    LEFT JOIN public.locations l ON l.id = p.location_id
+    WHERE p.active
+      AND t.active
+      AND t.end_date >= (now() AT TIME ZONE 'Australia/Sydney')::date
+      AND (t.academy_id IS NULL OR t.academy_id = v_academy)
+    ORDER BY t.start_date, p.day_of_week, p.start_local
+  LOOP
+    v_quote := public.quote_term_enrolment(v_row.id);
+    CONTINUE WHEN NOT COALESCE((v_quote->>'success')::boolean, false);
+
+    v_result := v_result || (v_quote || jsonb_build_object(
+      'term_id', v_row.term_id,
+      'term_name', v_row.term_name,
+      'term_number', v_row.term_number,
+      'term_start', v_row.start_date,
+      'term_end', v_row.end_date,
+      'name', v_row.name,
+      'description', v_row.description,
+      'service_name', v_row.service_name,
+      'location_name', v_row.location_name,
+      'day_of_week', v_row.day_of_week,
+      'start_local', to_char(v_row.start_local, 'HH24:MI'),
+      'end_local', to_char(v_row.end_local, 'HH24:MI'),
+      'capacity', v_row.capacity,
+      'is_enrolled', EXISTS (
+        SELECT 1 FROM public.term_enrolments e
+        WHERE e.program_id = v_row.id AND e.user_id = auth.uid() AND e.status = 'active'
+      )
+    ));
+  END LOOP;
+
+  RETURN v_result;
+END;
+$$;
+
+-- =============================================================================
+-- enrol_in_term_program: enrol and book every remaining session.
+-- Students enrol themselves and pay from the wallet. service_role passes
+-- p_user_id and p_session_id after a card payment has been credited to the
+-- wallet (dynamic-task); the session id makes that enrolment happen once.
+-- Returns { success: true, enrolment_id, booking_ids, sessions, amount, new_balance }
+-- or { success: false, code, message }.
+-- Codes: unauthorized, not_found, term_over, already_enrolled, program_full,
+--        insufficient_balance, booking_conflict
+-- =============================================================================
+CREATE OR REPLACE FUNCTION public.enrol_in_term_program(
+  p_program_id uuid,
+  p_user_id uuid DEFAULT NULL,
+  p_session_id text DEFAULT NULL
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_caller uuid := auth.uid();
+  v_user uuid := COALESCE(p_user_id, auth.uid());
+  v_program public.term_programs%ROWTYPE;
+  v_quote jsonb;
+  v_price numeric;
+  v_remaining integer;
+  v_share numeric;
+  v_left numeric;
+  v_seen integer := 0;
+  v_academy uuid;
+  v_balance numeric;
+  v_enrolment public.term_enrolments%ROWTYPE;
+  v_session record;
+  v_booking_id uuid;
+  v_booking_ids uuid[] := '{}';
+BEGIN
+  IF v_user IS NULL OR (v_caller IS NOT NULL AND (v_user <> v_caller OR p_session_id IS NOT NULL)) THEN
+    RETURN jsonb_build_object('success', false, 'code', 'unauthorized',
+      'message', 'You can only enrol yourself.');
+  END IF;
+
+  -- Program lock: serialises enrolments so capacity cannot be exceeded
+  SELECT * INTO v_program FROM public.term_programs WHERE id = p_program_id FOR UPDATE;
+
+  SELECT academy_id, COALESCE(wallet_balance, 0)
+    INTO v_academy, v_balance
+  FROM public.profiles
+  WHERE id = v_user
+  FOR UPDATE;
+
+  IF NOT FOUND OR NOT EXISTS (
+    SELECT 1 FROM public.terms t
+    WHERE t.id = v_program.term_id AND (t.academy_id IS NULL OR t.academy_id = v_academy)
+  ) THEN
+    RETURN jsonb_build_object('success', false, 'code', 'not_found',
+      'message', 'This program is not available.');
+  END IF;
+
+  IF p_session_id IS NOT NULL THEN
+    SELECT * INTO v_enrolment FROM public.term_enrolments WHERE stripe_session_id = p_session_id;
+    IF FOUND THEN
+      RETURN jsonb_build_object('success', true, 'enrolment_id', v_enrolment.id,
+        'booking_ids', to_jsonb(ARRAY(SELECT id FROM public.bookings WHERE term_enrolment_id = v_enrolment.id)),
+        'sessions', v_enrolment.sessions_booked, 'amount', v_enrolment.amount_paid,
+        'new_balance', v_balance);
+    END IF;
+  END IF;
+
+  v_quote := public.quote_term_enrolment(p_program_id);
+  IF NOT COALESCE((v_quote->>'success')::boolean, false) THEN
+    RETURN v_quote;
+  END IF;
+
+  IF EXISTS (
+    SELECT 1 FROM public.term_enrolments
+    WHERE program_id = p_program_id AND user_id = v_user AND status = 'active'
+  ) THEN
+    RETURN jsonb_build_object('success', false, 'code', 'already_enrolled',
+      'message', 'You are already enrolled in this program.');
+  END IF;
+
+  IF (v_quote->>'spots_left')::integer <= 0 THEN
+    RETURN jsonb_build_object('success', false, 'code', 'program_full',
+      'message', 'This program is full.');
+  END IF;
+
+  v_price := (v_quote->>'price')::numeric;
+  v_remaining := (v_quote->>'sessions_remaining')::integer;
+
+  IF v_balance < v_price THEN
+    RETURN jsonb_build_object('success', false, 'code', 'insufficient_balance',
+      'message', 'Insufficient wallet balance.',
+      'balance', v_balance, 'required', v_price);
+  END IF;
+
+  BEGIN
+    UPDATE public.profiles
+    SET wallet_balance = COALESCE(wallet_balance, 0) - v_price
+    WHERE id = v_user
+    RETURNING wallet_balance INTO v_balance;
+
+    INSERT INTO public.term_enrolments (
+      program_id, user_id, sessions_total, sessions_booked, amount_paid, stripe_session_id
+    ) VALUES (
+      p_program_id, v_user, (v_quote->>'sessions_total')::integer, v_remaining, v_price, p_session_id
+    )
+    RETURNING * INTO v_enrolment;
+
+    -- Each session carries its share of the price (the last takes the rounding)
+    -- so a cancelled session is refunded what it cost
+    v_left := v_price;
+    FOR v_session IN
+      SELECT s.start_time, s.end_time
+      FROM public.term_program_sessions(p_program_id) s
+      WHERE s.start_time > now()
+    LOOP
+      v_seen := v_seen + 1;
+      v_share := CASE WHEN v_seen = v_remaining THEN v_left ELSE round(v_price / v_remaining, 2) END;
+      v_left := v_left - v_share;
+
+      INSERT INTO public.bookings (
+        user_id, location_id, start_time, end_time, credit_cost, service_name,
+        academy_id, coach_id, term_enrolment_id
+      ) VALUES (
+        v_user, v_program.location_id, v_session.start_time, v_session.end_time, v_share,
+        COALESCE(v_program.service_name, v_program.name), v_academy, v_program.coach_id, v_enrolment.id
+      )
+      RETURNING id INTO v_booking_id;
+      v_booking_ids := v_booking_ids || v_booking_id;
+    END LOOP;
+  EXCEPTION
+    WHEN exclusion_violation OR unique_violation THEN
+      RETURN jsonb_build_object('success', false, 'code', 'booking_conflict',
+        'message', 'One of the sessions clashes with another booking. Please contact the academy.');
+  END;
+
+  RETURN jsonb_build_object(
+    'success', true,
+    'enrolment_id', v_enrolment.id,
+    'booking_ids', to_jsonb(v_booking_ids),
+    'sessions', v_remaining,
+    'amount', v_price,
+    'new_balance', v_balance
+  );
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.term_program_sessions(uuid) FROM PUBLIC;
+REVOKE ALL ON FUNCTION public.term_program_sessions(uuid) FROM anon;
+GRANT EXECUTE ON FUNCTION public.term_program_sessions(uuid) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.term_program_sessions(uuid) TO service_role;
+
+REVOKE ALL ON FUNCTION public.quote_term_enrolment(uuid) FROM PUBLIC;
+REVOKE ALL ON FUNCTION public.quote_term_enrolment(uuid) FROM anon;
+GRANT EXECUTE ON FUNCTION public.quote_term_enrolment(uuid) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.quote_term_enrolment(uuid) TO service_role;
+
+REVOKE ALL ON FUNCTION public.list_term_programs() FROM PUBLIC;
+REVOKE ALL ON FUNCTION public.list_term_programs() FROM anon;
+GRANT EXECUTE ON FUNCTION public.list_term_programs() TO authenticated;
+GRANT EXECUTE ON FUNCTION public.list_term_programs() TO service_role;
+
+REVOKE ALL ON FUNCTION public.enrol_in_term_program(uuid, uuid, text) FROM PUBLIC;
+REVOKE ALL ON FUNCTION public.enrol_in_term_program(uuid, uuid, text) FROM anon;
+GRANT EXECUTE ON FUNCTION public.enrol_in_term_program(uuid, uuid, text) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.enrol_in_term_program(uuid, uuid, text) TO service_role;
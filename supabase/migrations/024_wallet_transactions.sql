@@ -0,0 +1,1025 @@
+-- Wallet ledger: every change to profiles.wallet_balance. Safe to re-run.
+-- A trigger on profiles writes a wallet_transactions row whenever the balance
+-- changes, whoever changes it, with the amount, the balance after it and the
+-- user who made it. Functions that move money say why first with
+-- set_wallet_context (reason, linked booking or Stripe session, description);
+-- anything else (table edits, old clients) is recorded as an 'adjustment'.
+-- Existing balances are carried in as one opening_balance row each, so the sum
+-- of a user's ledger is their balance; wallet_reconciliation lists any user
+-- where the two disagree.
+-- Requires 023_term_enrolment.sql.
+
+CREATE TABLE IF NOT EXISTS public.wallet_transactions (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL REFERENCES public.profiles(id) ON DELETE CASCADE,
+  amount numeric NOT NULL,
+  balance_after numeric NOT NULL,
+  reason text NOT NULL,
+  booking_id uuid,
+  stripe_session_id text,
+  description text,
+  created_by uuid REFERENCES auth.users(id) ON DELETE SET NULL,
+  created_by_role text,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_wallet_transactions_user ON public.wallet_transactions (user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_wallet_transactions_booking ON public.wallet_transactions (booking_id) WHERE booking_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_wallet_transactions_session ON public.wallet_transactions (stripe_session_id) WHERE stripe_session_id IS NOT NULL;
+
+COMMENT ON TABLE public.wallet_transactions IS 'Append-only wallet ledger, written by the profiles wallet trigger.';
+COMMENT ON COLUMN public.wallet_transactions.amount IS 'Positive = credit, negative = debit';
+COMMENT ON COLUMN public.wallet_transactions.reason IS
+  'opening_balance, topup, card_payment, promo_credit, booking, waitlist_booking, lesson_pack, term_enrolment, cancellation_refund, rain_check_refund, admin_adjustment, adjustment';
+COMMENT ON COLUMN public.wallet_transactions.booking_id IS 'Not a foreign key: cancelled bookings are deleted but stay linked here';
+COMMENT ON COLUMN public.wallet_transactions.created_by IS 'auth.uid() of the change; NULL for service_role (Stripe, scheduled jobs)';
+
+-- RLS: students read their own ledger, admins read all. No write policies;
+-- rows only come from the trigger.
+ALTER TABLE public.wallet_transactions ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "wallet_transactions_select" ON public.wallet_transactions;
+CREATE POLICY "wallet_transactions_select"
+  ON public.wallet_transactions FOR SELECT TO authenticated
+  USING (
+    auth.uid() = user_id
+    OR EXISTS (SELECT 1 FROM public.profiles p WHERE p.id = auth.uid() AND p.role = 'admin')
+  );
+
+GRANT ALL ON TABLE public.wallet_transactions TO service_role;
+
+-- =============================================================================
+-- set_wallet_context: internal. Describes the next wallet change in this
+-- transaction; the trigger uses it once and clears it.
+-- =============================================================================
+CREATE OR REPLACE FUNCTION public.set_wallet_context(
+  p_reason text,
+  p_booking_id uuid DEFAULT NULL,
+  p_session_id text DEFAULT NULL,
+  p_description text DEFAULT NULL
+)
+RETURNS void
+LANGUAGE plpgsql
+SET search_path = public
+AS $$
+BEGIN
+  PERFORM set_config('wallet.reason', COALESCE(p_reason, ''), true);
+  PERFORM set_config('wallet.booking_id', COALESCE(p_booking_id::text, ''), true);
+  PERFORM set_config('wallet.session_id', COALESCE(p_session_id, ''), true);
+  PERFORM set_config('wallet.description', COALESCE(p_description, ''), true);
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION public.record_wallet_transaction()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_amount numeric;
+BEGIN
+  IF TG_OP = 'INSERT' THEN
+    v_amount := COALESCE(NEW.wallet_balance, 0);
+  ELSE
+    v_amount := COALESCE(NEW.wallet_balance, 0) - COALESCE(OLD.wallet_balance, 0);
+  END IF;
+
+  IF v_amount = 0 THEN
+    RETURN NEW;
+  END IF;
+
+  INSERT INTO public.wallet_transactions (
+    user_id, amount, balance_after, reason, booking_id, stripe_session_id, description,
+    created_by, created_by_role
+  ) VALUES (
+    NEW.id,
+    v_amount,
+    COALESCE(NEW.wallet_balance, 0),
+    COALESCE(NULLIF(current_setting('wallet.reason', true), ''),
+      CASE WHEN TG_OP = 'INSERT' THEN 'opening_balance' ELSE 'adjustment' END),
+    NULLIF(current_setting('wallet.booking_id', true), '')::uuid,
+    NULLIF(current_setting('wallet.session_id', true), ''),
+    NULLIF(current_setting('wallet.description', true), ''),
+    auth.uid(),
+    COALESCE(auth.role(), current_user)
+  );
+
+  PERFORM public.set_wallet_context(NULL);
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_profiles_wallet_ledger ON public.profiles;
+CREATE TRIGGER trg_profiles_wallet_ledger
+  AFTER INSERT OR UPDATE OF wallet_balance ON public.profiles
+  FOR EACH ROW
+  EXECUTE FUNCTION public.record_wallet_transaction();
+
+-- Balances from before the ledger, once per user
+INSERT INTO public.wallet_transactions (user_id, amount, balance_after, reason, description, created_by_role)
+SELECT p.id, p.wallet_balance, p.wallet_balance, 'opening_balance', 'Balance before the wallet ledger', current_user
+FROM public.profiles p
+WHERE COALESCE(p.wallet_balance, 0) <> 0
+  AND NOT EXISTS (SELECT 1 FROM public.wallet_transactions w WHERE w.user_id = p.id);
+
+-- Users whose stored balance is not the sum of their ledger (should be empty)
+CREATE OR REPLACE VIEW public.wallet_reconciliation
+WITH (security_invoker = true)
+AS
+SELECT
+  p.id AS user_id,
+  p.email,
+  COALESCE(p.wallet_balance, 0) AS wallet_balance,
+  COALESCE(l.total, 0) AS ledger_balance,
+  COALESCE(p.wallet_balance, 0) - COALESCE(l.total, 0) AS difference,
+  l.last_at AS last_transaction_at
+FROM public.profiles p
+LEFT JOIN (
+  SELECT user_id, sum(amount) AS total, max(created_at) AS last_at
+  FROM public.wallet_transactions
+  GROUP BY user_id
+) l ON l.user_id = p.id
+WHERE COALESCE(p.wallet_balance, 0) <> COALESCE(l.total, 0);
+
+GRANT SELECT ON public.wallet_reconciliation TO authenticated;
+GRANT SELECT ON public.wallet_reconciliation TO service_role;
+
+-- =============================================================================
+-- add_wallet_balance / deduct_wallet_balance: as in 011, plus the ledger reason,
+-- booking and description. Only admins, coaches and service_role may credit
+-- (rain checks, approved cancellations, manual adjustments).
+-- =============================================================================
+DROP FUNCTION IF EXISTS public.add_wallet_balance(uuid, numeric);
+DROP FUNCTION IF EXISTS public.deduct_wallet_balance(uuid, numeric);
+
+CREATE OR REPLACE FUNCTION public.add_wallet_balance(
+  user_id uuid,
+  amount numeric,
+  reason text DEFAULT 'admin_adjustment',
+  booking_id uuid DEFAULT NULL,
+  description text DEFAULT NULL
+)
+RETURNS numeric
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  new_bal numeric;
+BEGIN
+  IF auth.uid() IS NOT NULL AND NOT EXISTS (
+    SELECT 1 FROM public.profiles p WHERE p.id = auth.uid() AND p.role IN ('admin', 'coach')
+  ) THEN
+    RAISE EXCEPTION 'not allowed';
+  END IF;
+
+  IF amount IS NULL OR amount = 0 THEN
+    SELECT wallet_balance INTO new_bal FROM public.profiles WHERE id = add_wallet_balance.user_id;
+    RETURN COALESCE(new_bal, 0);
+  END IF;
+
+  PERFORM public.set_wallet_context(reason, booking_id, NULL, description);
+
+  UPDATE public.profiles
+  SET wallet_balance = COALESCE(wallet_balance, 0) + amount
+  WHERE id = add_wallet_balance.user_id
+  RETURNING wallet_balance INTO new_bal;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'profile not found';
+  END IF;
+
+  RETURN new_bal;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION public.deduct_wallet_balance(
+  user_id uuid,
+  amount numeric,
+  reason text DEFAULT 'adjustment',
+  booking_id uuid DEFAULT NULL,
+  description text DEFAULT NULL
+)
+RETURNS numeric
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  new_bal numeric;
+BEGIN
+  IF amount IS NULL OR amount <= 0 THEN
+    RAISE EXCEPTION 'amount must be positive';
+  END IF;
+
+  PERFORM public.set_wallet_context(reason, booking_id, NULL, description);
+
+  UPDATE public.profiles
+  SET wallet_balance = COALESCE(wallet_balance, 0) - amount
+  WHERE id = deduct_wallet_balance.user_id
+    AND COALESCE(wallet_balance, 0) >= amount
+  RETURNING wallet_balance INTO new_bal;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'insufficient balance';
+  END IF;
+
+  RETURN new_bal;
+END;
+$$;
+
+-- =============================================================================
+-- credit_stripe_session: as in 014; the credit is a 'topup' or, for lessons,
+-- packs and terms, a 'card_payment' linked to the session.
+-- =============================================================================
+CREATE OR REPLACE FUNCTION public.credit_stripe_session(
+  p_session_id text,
+  p_user_id uuid,
+  p_amount numeric,
+  p_type text
+)
+RETURNS numeric
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  new_bal numeric;
+  inserted_count integer;
+BEGIN
+  IF p_session_id IS NULL OR btrim(p_session_id) = '' THEN
+    RAISE EXCEPTION 'session required';
+  END IF;
+  IF p_user_id IS NULL THEN
+    RAISE EXCEPTION 'user required';
+  END IF;
+
+  INSERT INTO public.stripe_processed_sessions (session_id, user_id, amount, type)
+  VALUES (p_session_id, p_user_id, COALESCE(p_amount, 0), COALESCE(p_type, 'topup'))
+  ON CONFLICT (session_id) DO NOTHING;
+
+  GET DIAGNOSTICS inserted_count = ROW_COUNT;
+
+  SELECT COALESCE(wallet_balance, 0)
+    INTO new_bal
+  FROM public.profiles
+  WHERE id = p_user_id;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'profile not found';
+  END IF;
+
+  -- Only the first successful insert credits. Later retries return current balance.
+  IF inserted_count > 0 AND COALESCE(p_amount, 0) > 0 THEN
+    PERFORM public.set_wallet_context(
+      CASE WHEN COALESCE(p_type, 'topup') = 'topup' THEN 'topup' ELSE 'card_payment' END,
+      NULL, p_session_id, p_type
+    );
+    UPDATE public.profiles
+    SET wallet_balance = COALESCE(wallet_balance, 0) + p_amount
+    WHERE id = p_user_id
+    RETURNING wallet_balance INTO new_bal;
+  END IF;
+
+  RETURN COALESCE(new_bal, 0);
+END;
+$$;
+
+-- =============================================================================
+-- complete_promo_redemption: as in 021; a top-up discount is a 'promo_credit'.
+-- =============================================================================
+CREATE OR REPLACE FUNCTION public.complete_promo_redemption(
+  p_session_id text,
+  p_booked boolean DEFAULT true,
+  p_booking_ids uuid[] DEFAULT '{}'
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_row public.promo_redemptions%ROWTYPE;
+BEGIN
+  SELECT * INTO v_row
+  FROM public.promo_redemptions
+  WHERE stripe_session_id = p_session_id
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RETURN NULL;
+  END IF;
+
+  IF v_row.status = 'pending' THEN
+    IF v_row.context = 'booking' AND NOT COALESCE(p_booked, false) THEN
+      UPDATE public.promo_redemptions SET status = 'void' WHERE id = v_row.id;
+      v_row.status := 'void';
+    ELSE
+      UPDATE public.promo_redemptions
+      SET status = 'redeemed',
+          redeemed_at = now(),
+          booking_ids = COALESCE(p_booking_ids, '{}')
+      WHERE id = v_row.id;
+      v_row.status := 'redeemed';
+
+      IF v_row.context = 'topup' AND v_row.discount_amount > 0 THEN
+        PERFORM public.set_wallet_context('promo_credit', NULL, p_session_id,
+          (SELECT code FROM public.promo_codes WHERE id = v_row.promo_code_id));
+        UPDATE public.profiles
+        SET wallet_balance = COALESCE(wallet_balance, 0) + v_row.discount_amount
+        WHERE id = v_row.user_id;
+      END IF;
+    END IF;
+  END IF;
+
+  RETURN jsonb_build_object('status', v_row.status, 'discount', v_row.discount_amount);
+END;
+$$;
+
+-- =============================================================================
+-- book_lessons: as in 022, but the wallet is debited after the inserts so the
+-- 'booking' ledger row links the (first) new booking.
+-- =============================================================================
+CREATE OR REPLACE FUNCTION public.book_lessons(
+  p_user_id uuid,
+  p_segments jsonb,
+  p_charge_wallet boolean DEFAULT true,
+  p_promo_code text DEFAULT NULL
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_caller uuid := auth.uid();
+  v_is_admin boolean := false;
+  v_charge boolean := COALESCE(p_charge_wallet, true);
+  v_academy uuid;
+  v_balance numeric;
+  v_seg jsonb;
+  v_idx integer;
+  v_ids uuid[];
+  v_location uuid;
+  v_start timestamptz;
+  v_end timestamptz;
+  v_cost numeric;
+  v_capacity integer;
+  v_open integer;
+  v_existing integer;
+  v_total numeric := 0;
+  v_full_ids uuid[] := '{}';
+  v_booking_id uuid;
+  v_booking_ids uuid[] := '{}';
+  v_policy_error jsonb;
+  v_priced jsonb;
+  v_promo jsonb;
+  v_pack_id uuid;
+  v_pack_lessons integer;
+BEGIN
+  -- auth.uid() is NULL only for service_role (anon has no EXECUTE)
+  IF v_caller IS NOT NULL THEN
+    SELECT role = 'admin' INTO v_is_admin FROM public.profiles WHERE id = v_caller;
+    v_is_admin := COALESCE(v_is_admin, false);
+    IF v_caller <> p_user_id AND NOT v_is_admin THEN
+      RETURN jsonb_build_object('success', false, 'code', 'unauthorized',
+        'message', 'You can only book lessons for yourself.');
+    END IF;
+    -- Students always pay for their own bookings
+    IF NOT v_is_admin THEN
+      v_charge := true;
+    END IF;
+  END IF;
+
+  IF p_segments IS NULL OR jsonb_typeof(p_segments) <> 'array' OR jsonb_array_length(p_segments) = 0 THEN
+    RETURN jsonb_build_object('success', false, 'code', 'invalid_request',
+      'message', 'No lessons to book.');
+  END IF;
+
+  -- Booking policies apply to students; admins and service_role (paid Stripe
+  -- sessions, checked before checkout) skip them
+  IF v_caller IS NOT NULL AND NOT v_is_admin THEN
+    v_policy_error := public.check_booking_policies(p_user_id, p_segments);
+    IF v_policy_error IS NOT NULL THEN
+      RETURN v_policy_error;
+    END IF;
+
+    v_priced := public.quote_lessons(p_user_id, p_segments);
+    IF NOT COALESCE((v_priced->>'success')::boolean, false) THEN
+      RETURN v_priced;
+    END IF;
+    p_segments := v_priced->'segments';
+  END IF;
+
+  -- Promo codes are applied to the priced lessons. Stripe-paid bookings
+  -- (service_role) were discounted by dynamic-task before checkout.
+  IF v_caller IS NOT NULL AND NULLIF(btrim(COALESCE(p_promo_code, '')), '') IS NOT NULL THEN
+    v_promo := public.evaluate_promo_code(p_user_id, p_promo_code, 'booking', NULL, p_segments);
+    IF NOT COALESCE((v_promo->>'success')::boolean, false) THEN
+      RETURN v_promo;
+    END IF;
+    p_segments := v_promo->'segments';
+  END IF;
+
+  SELECT academy_id, COALESCE(wallet_balance, 0)
+    INTO v_academy, v_balance
+  FROM public.profiles
+  WHERE id = p_user_id
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('success', false, 'code', 'profile_not_found',
+      'message', 'Student profile not found.');
+  END IF;
+
+  -- Lock the packs paying for lessons (pack_credit_id from quote_lessons) and
+  -- check they still cover them
+  FOR v_pack_id, v_pack_lessons IN
+    SELECT (value->>'pack_credit_id')::uuid, count(*)::integer
+    FROM jsonb_array_elements(p_segments)
+    WHERE NULLIF(value->>'pack_credit_id', '') IS NOT NULL
+    GROUP BY 1
+  LOOP
+    PERFORM 1 FROM public.pack_credits
+    WHERE id = v_pack_id
+      AND user_id = p_user_id
+      AND lessons_remaining >= v_pack_lessons
+      AND expires_at > now()
+    FOR UPDATE;
+    IF NOT FOUND THEN
+      RETURN jsonb_build_object('success', false, 'code', 'pack_unavailable',
+        'message', 'Your lesson pack no longer covers this booking. Please review your booking and try again.');
+    END IF;
+  END LOOP;
+
+  -- Pass 1: validate every segment and lock its availabilities before writing anything
+  FOR v_seg, v_idx IN
+    SELECT value, ordinality - 1 FROM jsonb_array_elements(p_segments) WITH ORDINALITY
+  LOOP
+    v_location := NULLIF(v_seg->>'location_id', '')::uuid;
+    v_start := (v_seg->>'start_time')::timestamptz;
+    v_end := (v_seg->>'end_time')::timestamptz;
+    v_cost := COALESCE((v_seg->>'cost')::numeric, 0);
+    v_ids := ARRAY(SELECT jsonb_array_elements_text(COALESCE(v_seg->'availability_ids', '[]'::jsonb))::uuid);
+
+    IF v_location IS NULL OR v_start IS NULL OR v_end IS NULL OR v_end <= v_start OR v_cost < 0 THEN
+      RETURN jsonb_build_object('success', false, 'code', 'invalid_request',
+        'message', 'Booking details are incomplete.', 'segment', v_idx);
+    END IF;
+
+    -- Admins may record lessons that already happened (Assign lesson)
+    IF v_start < now() AND NOT v_is_admin THEN
+      RETURN jsonb_build_object('success', false, 'code', 'slot_in_past',
+        'message', 'Cannot create a booking for a time that has already passed.', 'segment', v_idx);
+    END IF;
+
+    IF cardinality(v_ids) = 0 THEN
+      IF v_caller IS NOT NULL AND NOT v_is_admin THEN
+        RETURN jsonb_build_object('success', false, 'code', 'invalid_request',
+          'message', 'Please select an available time slot.', 'segment', v_idx);
+      END IF;
+    ELSE
+      -- Row locks serialise concurrent bookings of the same slot until commit
+      PERFORM 1 FROM public.availabilities WHERE id = ANY(v_ids) ORDER BY id FOR UPDATE;
+
+      SELECT count(*), MIN(COALESCE(max_capacity, 10))
+        INTO v_open, v_capacity
+      FROM public.availabilities
+      WHERE id = ANY(v_ids)
+        AND location_id = v_location
+        AND COALESCE(is_booked, false) = false;
+
+      IF v_open < cardinality(v_ids) THEN
+        RETURN jsonb_build_object('success', false, 'code', 'slot_unavailable',
+          'message', 'This time slot is no longer available. Please select a different time.', 'segment', v_idx);
+      END IF;
+
+      SELECT count(*) INTO v_existing
+      FROM public.bookings
+      WHERE location_id = v_location
+        AND start_time = v_start
+        AND end_time = v_end;
+
+      IF v_existing >= v_capacity THEN
+        RETURN jsonb_build_object('success', false, 'code', 'slot_full',
+          'message', format('This time slot is already full (%s/%s members). Please choose another time.', v_existing, v_capacity),
+          'segment', v_idx);
+      END IF;
+
+      IF v_existing + 1 >= v_capacity THEN
+        v_full_ids := v_full_ids || v_ids;
+      END IF;
+    END IF;
+
+    v_total := v_total + v_cost;
+  END LOOP;
+
+  IF v_charge AND v_total > 0 AND v_balance < v_total THEN
+    RETURN jsonb_build_object('success', false, 'code', 'insufficient_balance',
+      'message', 'Insufficient wallet balance.',
+      'balance', v_balance, 'required', v_total);
+  END IF;
+
+  -- Pass 2: insert, debit and mark full. Any error here rolls back the whole block.
+  BEGIN
+    FOR v_seg IN SELECT value FROM jsonb_array_elements(p_segments)
+    LOOP
+      INSERT INTO public.bookings (
+        user_id, location_id, start_time, end_time, credit_cost, service_name, academy_id, pack_credit_id
+      ) VALUES (
+        p_user_id,
+        (v_seg->>'location_id')::uuid,
+        (v_seg->>'start_time')::timestamptz,
+        (v_seg->>'end_time')::timestamptz,
+        COALESCE((v_seg->>'cost')::numeric, 0),
+        NULLIF(v_seg->>'service_name', ''),
+        v_academy,
+        NULLIF(v_seg->>'pack_credit_id', '')::uuid
+      )
+      RETURNING id INTO v_booking_id;
+      v_booking_ids := v_booking_ids || v_booking_id;
+    END LOOP;
+
+    -- Debited after the inserts so the ledger row can point at the booking
+    IF v_charge AND v_total > 0 THEN
+      PERFORM public.set_wallet_context('booking', v_booking_ids[1], NULL,
+        CASE WHEN cardinality(v_booking_ids) = 1
+          THEN COALESCE(NULLIF(p_segments->0->>'service_name', ''), 'Lesson')
+          ELSE format('%s lessons', cardinality(v_booking_ids)) END);
+      UPDATE public.profiles
+      SET wallet_balance = COALESCE(wallet_balance, 0) - v_total
+      WHERE id = p_user_id
+      RETURNING wallet_balance INTO v_balance;
+    END IF;
+
+    IF cardinality(v_full_ids) > 0 THEN
+      UPDATE public.availabilities SET is_booked = true WHERE id = ANY(v_full_ids);
+    END IF;
+
+    UPDATE public.pack_credits pc
+    SET lessons_remaining = pc.lessons_remaining - used.lessons
+    FROM (
+      SELECT (value->>'pack_credit_id')::uuid AS id, count(*)::integer AS lessons
+      FROM jsonb_array_elements(p_segments)
+      WHERE NULLIF(value->>'pack_credit_id', '') IS NOT NULL
+      GROUP BY 1
+    ) used
+    WHERE pc.id = used.id;
+
+    IF v_promo IS NOT NULL THEN
+      INSERT INTO public.promo_redemptions (
+        promo_code_id, user_id, context, status, original_amount, discount_amount, booking_ids, redeemed_at
+      ) VALUES (
+        (v_promo->>'promo_code_id')::uuid,
+        p_user_id,
+        'booking',
+        'redeemed',
+        v_total + (v_promo->>'discount')::numeric,
+        (v_promo->>'discount')::numeric,
+        v_booking_ids,
+        now()
+      );
+    END IF;
+  EXCEPTION
+    WHEN exclusion_violation OR unique_violation THEN
+      RETURN jsonb_build_object('success', false, 'code', 'booking_conflict',
+        'message', 'This time slot is no longer available. Please select a different time.');
+  END;
+
+  RETURN jsonb_build_object(
+    'success', true,
+    'booking_ids', to_jsonb(v_booking_ids),
+    'total_cost', v_total,
+    'new_balance', v_balance
+  ) || CASE WHEN v_promo IS NOT NULL
+    THEN jsonb_build_object('discount', (v_promo->>'discount')::numeric, 'promo_code', v_promo->>'code')
+    ELSE '{}'::jsonb END;
+END;
+$$;
+
+-- =============================================================================
+-- promote_waitlist: as in 016; the booking id is chosen up front so the
+-- 'waitlist_booking' debit links it.
+-- =============================================================================
+CREATE OR REPLACE FUNCTION public.promote_waitlist(
+  p_location_id uuid,
+  p_start_time timestamptz,
+  p_end_time timestamptz
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_capacity integer;
+  v_count integer;
+  v_entry public.waitlist_entries%ROWTYPE;
+  v_booking_id uuid;
+  v_promoted integer := 0;
+  v_skipped integer := 0;
+BEGIN
+  -- Same row locks as book_lessons, so a direct booking cannot race the promotion
+  PERFORM 1 FROM public.availabilities
+  WHERE location_id = p_location_id
+    AND start_time >= p_start_time
+    AND start_time < p_end_time
+  ORDER BY id
+  FOR UPDATE;
+
+  SELECT COALESCE(MIN(COALESCE(max_capacity, 10)), 10) INTO v_capacity
+  FROM public.availabilities
+  WHERE location_id = p_location_id
+    AND start_time >= p_start_time
+    AND start_time < p_end_time;
+
+  SELECT count(*) INTO v_count
+  FROM public.bookings
+  WHERE location_id = p_location_id
+    AND start_time = p_start_time
+    AND end_time = p_end_time;
+
+  FOR v_entry IN
+    SELECT * FROM public.waitlist_entries
+    WHERE location_id = p_location_id
+      AND start_time = p_start_time
+      AND end_time = p_end_time
+      AND status = 'waiting'
+    ORDER BY created_at
+    FOR UPDATE
+  LOOP
+    EXIT WHEN v_count >= v_capacity;
+
+    IF v_entry.start_time < now() THEN
+      UPDATE public.waitlist_entries SET status = 'expired', updated_at = now() WHERE id = v_entry.id;
+      CONTINUE;
+    END IF;
+
+    v_booking_id := gen_random_uuid();
+
+    IF v_entry.cost > 0 THEN
+      PERFORM public.set_wallet_context('waitlist_booking', v_booking_id, NULL, v_entry.service_name);
+      UPDATE public.profiles
+      SET wallet_balance = COALESCE(wallet_balance, 0) - v_entry.cost
+      WHERE id = v_entry.user_id
+        AND COALESCE(wallet_balance, 0) >= v_entry.cost;
+
+      IF NOT FOUND THEN
+        UPDATE public.waitlist_entries
+        SET status = 'skipped', skip_reason = 'insufficient_balance', updated_at = now()
+        WHERE id = v_entry.id;
+        v_skipped := v_skipped + 1;
+        CONTINUE;
+      END IF;
+    END IF;
+
+    INSERT INTO public.bookings (
+      id, user_id, location_id, start_time, end_time, credit_cost, service_name, academy_id
+    ) VALUES (
+      v_booking_id, v_entry.user_id, v_entry.location_id, v_entry.start_time, v_entry.end_time,
+      v_entry.cost, v_entry.service_name, v_entry.academy_id
+    );
+
+    UPDATE public.waitlist_entries
+    SET status = 'promoted', booking_id = v_booking_id, updated_at = now()
+    WHERE id = v_entry.id;
+
+    v_count := v_count + 1;
+    v_promoted := v_promoted + 1;
+  END LOOP;
+
+  UPDATE public.availabilities
+  SET is_booked = (v_count >= v_capacity)
+  WHERE location_id = p_location_id
+    AND start_time >= p_start_time
+    AND start_time < p_end_time;
+
+  RETURN jsonb_build_object('promoted', v_promoted, 'skipped', v_skipped);
+END;
+$$;
+
+-- =============================================================================
+-- apply_booking_cancellation: as in 022; the refund is a 'cancellation_refund'.
+-- =============================================================================
+CREATE OR REPLACE FUNCTION public.apply_booking_cancellation(
+  p_booking_id uuid,
+  p_reason text,
+  p_refund_percent numeric
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_booking record;
+  v_percent numeric := LEAST(GREATEST(COALESCE(p_refund_percent, 0), 0), 100);
+  v_refund numeric;
+  v_balance numeric;
+  v_pack_returned boolean := false;
+BEGIN
+  SELECT b.*, l.name AS location_name INTO v_booking
+  FROM public.bookings b
+  LEFT JOIN public.locations l ON l.id = b.location_id
+  WHERE b.id = p_booking_id
+  FOR UPDATE OF b;
+
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('success', false, 'code', 'not_found', 'message', 'Booking not found.');
+  END IF;
+
+  v_refund := round(COALESCE(v_booking.credit_cost, 0) * v_percent / 100, 2);
+
+  INSERT INTO public.user_cancellation_history (
+    original_booking_id, user_id, coach_id, location_id, location_name,
+    start_time, end_time, service_name, credit_cost, reason, academy_id,
+    refund_percent, refund_amount
+  ) VALUES (
+    v_booking.id, v_booking.user_id, v_booking.coach_id, v_booking.location_id, v_booking.location_name,
+    v_booking.start_time, v_booking.end_time, v_booking.service_name, COALESCE(v_booking.credit_cost, 0),
+    p_reason, v_booking.academy_id, v_percent, v_refund
+  );
+
+  DELETE FROM public.bookings WHERE id = v_booking.id;
+
+  IF v_refund > 0 THEN
+    PERFORM public.set_wallet_context('cancellation_refund', v_booking.id, NULL,
+      format('%s (%s%% refund)', COALESCE(v_booking.service_name, 'Lesson'), v_percent));
+    UPDATE public.profiles
+    SET wallet_balance = COALESCE(wallet_balance, 0) + v_refund
+    WHERE id = v_booking.user_id
+    RETURNING wallet_balance INTO v_balance;
+  ELSE
+    SELECT COALESCE(wallet_balance, 0) INTO v_balance FROM public.profiles WHERE id = v_booking.user_id;
+  END IF;
+
+  IF v_booking.pack_credit_id IS NOT NULL AND v_percent >= 100 THEN
+    UPDATE public.pack_credits
+    SET lessons_remaining = LEAST(lessons_remaining + 1, lessons_total)
+    WHERE id = v_booking.pack_credit_id;
+    v_pack_returned := FOUND;
+  END IF;
+
+  PERFORM public.promote_waitlist(v_booking.location_id, v_booking.start_time, v_booking.end_time);
+
+  RETURN jsonb_build_object(
+    'success', true,
+    'booking_id', v_booking.id,
+    'user_id', v_booking.user_id,
+    'coach_id', v_booking.coach_id,
+    'location_name', v_booking.location_name,
+    'start_time', v_booking.start_time,
+    'refund_percent', v_percent,
+    'refund_amount', v_refund,
+    'new_balance', v_balance,
+    'pack_lesson_returned', v_pack_returned
+  );
+END;
+$$;
+
+-- =============================================================================
+-- purchase_lesson_pack: as in 022; the debit is a 'lesson_pack'.
+-- =============================================================================
+CREATE OR REPLACE FUNCTION public.purchase_lesson_pack(
+  p_pack_id uuid,
+  p_user_id uuid DEFAULT NULL,
+  p_session_id text DEFAULT NULL
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_caller uuid := auth.uid();
+  v_user uuid := COALESCE(p_user_id, auth.uid());
+  v_pack public.lesson_packs%ROWTYPE;
+  v_academy uuid;
+  v_balance numeric;
+  v_credit public.pack_credits%ROWTYPE;
+BEGIN
+  IF v_user IS NULL OR (v_caller IS NOT NULL AND (v_user <> v_caller OR p_session_id IS NOT NULL)) THEN
+    RETURN jsonb_build_object('success', false, 'code', 'unauthorized',
+      'message', 'You can only buy lesson packs for yourself.');
+  END IF;
+
+  -- Profile lock: the success URL and the webhook can arrive at the same time
+  SELECT academy_id, COALESCE(wallet_balance, 0)
+    INTO v_academy, v_balance
+  FROM public.profiles
+  WHERE id = v_user
+  FOR UPDATE;
+
+  IF p_session_id IS NOT NULL THEN
+    SELECT * INTO v_credit FROM public.pack_credits WHERE stripe_session_id = p_session_id;
+    IF FOUND THEN
+      RETURN jsonb_build_object('success', true, 'pack_credit_id', v_credit.id,
+        'new_balance', v_balance, 'expires_at', v_credit.expires_at);
+    END IF;
+  END IF;
+
+  SELECT * INTO v_pack
+  FROM public.lesson_packs
+  WHERE id = p_pack_id
+    AND active
+    AND (academy_id IS NULL OR academy_id = v_academy);
+
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('success', false, 'code', 'pack_not_found',
+      'message', 'This lesson pack is no longer available.');
+  END IF;
+
+  IF v_balance < v_pack.price THEN
+    RETURN jsonb_build_object('success', false, 'code', 'insufficient_balance',
+      'message', 'Insufficient wallet balance.',
+      'balance', v_balance, 'required', v_pack.price);
+  END IF;
+
+  PERFORM public.set_wallet_context('lesson_pack', NULL, p_session_id, v_pack.name);
+  UPDATE public.profiles
+  SET wallet_balance = COALESCE(wallet_balance, 0) - v_pack.price
+  WHERE id = v_user
+  RETURNING wallet_balance INTO v_balance;
+
+  INSERT INTO public.pack_credits (
+    user_id, pack_id, name, service_names, lessons_total, lessons_remaining,
+    price_paid, expires_at, stripe_session_id
+  ) VALUES (
+    v_user, v_pack.id, v_pack.name, v_pack.service_names, v_pack.lesson_count, v_pack.lesson_count,
+    v_pack.price, now() + make_interval(days => v_pack.valid_days), p_session_id
+  )
+  RETURNING * INTO v_credit;
+
+  RETURN jsonb_build_object(
+    'success', true,
+    'pack_credit_id', v_credit.id,
+    'new_balance', v_balance,
+    'expires_at', v_credit.expires_at
+  );
+END;
+$$;
+
+-- =============================================================================
+-- enrol_in_term_program: as in 023; debited after the sessions are booked, as a
+-- 'term_enrolment' linked to the first session.
+-- =============================================================================
+CREATE OR REPLACE FUNCTION public.enrol_in_term_program(
+  p_program_id uuid,
+  p_user_id uuid DEFAULT NULL,
+  p_session_id text DEFAULT NULL
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_caller uuid := auth.uid();
+  v_user uuid := COALESCE(p_user_id, auth.uid());
+  v_program public.term_programs%ROWTYPE;
+  v_quote jsonb;
+  v_price numeric;
+  v_remaining integer;
+  v_share numeric;
+  v_left numeric;
+  v_seen integer := 0;
+  v_academy uuid;
+  v_balance numeric;
+  v_enrolment public.term_enrolments%ROWTYPE;
+  v_session record;
+  v_booking_id uuid;
+  v_booking_ids uuid[] := '{}';
+BEGIN
+  IF v_user IS NULL OR (v_caller IS NOT NULL AND (v_user <> v_caller OR p_session_id IS NOT NULL)) THEN
+    RETURN jsonb_build_object('success', false, 'code', 'unauthorized',
+      'message', 'You can only enrol yourself.');
+  END IF;
+
+  -- Program lock: serialises enrolments so capacity cannot be exceeded
+  SELECT * INTO v_program FROM public.term_programs WHERE id = p_program_id FOR UPDATE;
+
+  SELECT academy_id, COALESCE(wallet_balance, 0)
+    INTO v_academy, v_balance
+  FROM public.profiles
+  WHERE id = v_user
+  FOR UPDATE;
+
+  IF NOT FOUND OR NOT EXISTS (
+    SELECT 1 FROM public.terms t
+    WHERE t.id = v_program.term_id AND (t.academy_id IS NULL OR t.academy_id = v_academy)
+  ) THEN
+    RETURN jsonb_build_object('success', false, 'code', 'not_found',
+      'message', 'This program is not available.');
+  END IF;
+
+  IF p_session_id IS NOT NULL THEN
+    SELECT * INTO v_enrolment FROM public.term_enrolments WHERE stripe_session_id = p_session_id;
+    IF FOUND THEN
+      RETURN jsonb_build_object('success', true, 'enrolment_id', v_enrolment.id,
+        'booking_ids', to_jsonb(ARRAY(SELECT id FROM public.bookings WHERE term_enrolment_id = v_enrolment.id)),
+        'sessions', v_enrolment.sessions_booked, 'amount', v_enrolment.amount_paid,
+        'new_balance', v_balance);
+    END IF;
+  END IF;
+
+  v_quote := public.quote_term_enrolment(p_program_id);
+  IF NOT COALESCE((v_quote->>'success')::boolean, false) THEN
+    RETURN v_quote;
+  END IF;
+
+  IF EXISTS (
+    SELECT 1 FROM public.term_enrolments
+    WHERE program_id = p_program_id AND user_id = v_user AND status = 'active'
+  ) THEN
+    RETURN jsonb_build_object('success', false, 'code', 'already_enrolled',
+      'message', 'You are already enrolled in this program.');
+  END IF;
+
+  IF (v_quote->>'spots_left')::integer <= 0 THEN
+    RETURN jsonb_build_object('success', false, 'code', 'program_full',
+      'message', 'This program is full.');
+  END IF;
+
+  v_price := (v_quote->>'price')::numeric;
+  v_remaining := (v_quote->>'sessions_remaining')::integer;
+
+  IF v_balance < v_price THEN
+    RETURN jsonb_build_object('success', false, 'code', 'insufficient_balance',
+      'message', 'Insufficient wallet balance.',
+      'balance', v_balance, 'required', v_price);
+  END IF;
+
+  BEGIN
+    INSERT INTO public.term_enrolments (
+      program_id, user_id, sessions_total, sessions_booked, amount_paid, stripe_session_id
+    ) VALUES (
+      p_program_id, v_user, (v_quote->>'sessions_total')::integer, v_remaining, v_price, p_session_id
+    )
+    RETURNING * INTO v_enrolment;
+
+    -- Each session carries its share of the price (the last takes the rounding)
+    -- so a cancelled session is refunded what it cost
+    v_left := v_price;
+    FOR v_session IN
+      SELECT s.start_time, s.end_time
+      FROM public.term_program_sessions(p_program_id) s
+      WHERE s.start_time > now()
+    LOOP
+      v_seen := v_seen + 1;
+      v_share := CASE WHEN v_seen = v_remaining THEN v_left ELSE round(v_price / v_remaining, 2) END;
+      v_left := v_left - v_share;
+
+      INSERT INTO public.bookings (
+        user_id, location_id, start_time, end_time, credit_cost, service_name,
+        academy_id, coach_id, term_enrolment_id
+      ) VALUES (
+        v_user, v_program.location_id, v_session.start_time, v_session.end_time, v_share,
+        COALESCE(v_program.service_name, v_program.name), v_academy, v_program.coach_id, v_enrolment.id
+      )
+      RETURNING id INTO v_booking_id;
+      v_booking_ids := v_booking_ids || v_booking_id;
+    END LOOP;
+
+    IF v_price > 0 THEN
+      PERFORM public.set_wallet_context('term_enrolment', v_booking_ids[1], p_session_id, v_program.name);
+      UPDATE public.profiles
+      SET wallet_balance = COALESCE(wallet_balance, 0) - v_price
+      WHERE id = v_user
+      RETURNING wallet_balance INTO v_balance;
+    END IF;
+  EXCEPTION
+    WHEN exclusion_violation OR unique_violation THEN
+      RETURN jsonb_build_object('success', false, 'code', 'booking_conflict',
+        'message', 'One of the sessions clashes with another booking. Please contact the academy.');
+  END;
+
+  RETURN jsonb_build_object(
+    'success', true,
+    'enrolment_id', v_enrolment.id,
+    'booking_ids', to_jsonb(v_booking_ids),
+    'sessions', v_remaining,
+    'amount', v_price,
+    'new_balance', v_balance
+  );
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.set_wallet_context(text, uuid, text, text) FROM PUBLIC;
+REVOKE ALL ON FUNCTION public.set_wallet_context(text, uuid, text, text) FROM anon;
+REVOKE ALL ON FUNCTION public.set_wallet_context(text, uuid, text, text) FROM authenticated;
+GRANT EXECUTE ON FUNCTION public.set_wallet_context(text, uuid, text, text) TO service_role;
+
+REVOKE ALL ON FUNCTION public.record_wallet_transaction() FROM PUBLIC;
+REVOKE ALL ON FUNCTION public.record_wallet_transaction() FROM anon;
+REVOKE ALL ON FUNCTION public.record_wallet_transaction() FROM authenticated;
+
+REVOKE ALL ON FUNCTION public.add_wallet_balance(uuid, numeric, text, uuid, text) FROM PUBLIC;
+REVOKE ALL ON FUNCTION public.add_wallet_balance(uuid, numeric, text, uuid, text) FROM anon;
+GRANT EXECUTE ON FUNCTION public.add_wallet_balance(uuid, numeric, text, uuid, text) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.add_wallet_balance(uuid, numeric, text, uuid, text) TO service_role;
+
+REVOKE ALL ON FUNCTION public.deduct_wallet_balance(uuid, numeric, text, uuid, text) FROM PUBLIC;
+REVOKE ALL ON FUNCTION public.deduct_wallet_balance(uuid, numeric, text, uuid, text) FROM anon;
+REVOKE ALL ON FUNCTION public.deduct_wallet_balance(uuid, numeric, text, uuid, text) FROM authenticated;
+GRANT EXECUTE ON FUNCTION public.deduct_wallet_balance(uuid, numeric, text, uuid, text) TO service_role;
@@ -0,0 +1,637 @@
+-- Family accounts: one guardian books and pays for several junior players. Safe to re-run.
+-- A junior is a family_players row owned by the guardian's profile, not a login
+-- of their own. Their lessons are ordinary bookings on the guardian's account
+-- (user_id is the guardian, so the guardian's wallet pays and is refunded) with
+-- player_id saying who is on court. Coach rosters show the player's name, the
+-- weekly booking cap counts each player separately, and coaches record a
+-- junior's skills in student_performance against player_id instead of user_id.
+-- Players are archived rather than deleted so past rosters keep their names.
+-- Requires 024_wallet_transactions.sql.
+
+CREATE TABLE IF NOT EXISTS public.family_players (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  guardian_id uuid NOT NULL REFERENCES public.profiles(id) ON DELETE CASCADE,
+  first_name text NOT NULL CHECK (btrim(first_name) <> ''),
+  last_name text,
+  date_of_birth date,
+  archived_at timestamptz,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_family_players_guardian ON public.family_players (guardian_id);
+
+COMMENT ON TABLE public.family_players IS 'Junior players managed by a guardian account; they book on the guardian''s account and wallet.';
+
+ALTER TABLE public.bookings
+  ADD COLUMN IF NOT EXISTS player_id uuid REFERENCES public.family_players(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_bookings_player_id ON public.bookings (player_id) WHERE player_id IS NOT NULL;
+
+COMMENT ON COLUMN public.bookings.player_id IS 'Junior the lesson is for; NULL when the account holder plays';
+
+-- student_performance: one row per student (user_id) or per junior (player_id)
+ALTER TABLE public.student_performance
+  ADD COLUMN IF NOT EXISTS player_id uuid REFERENCES public.family_players(id) ON DELETE CASCADE;
+
+ALTER TABLE public.student_performance ALTER COLUMN user_id DROP NOT NULL;
+
+ALTER TABLE public.student_performance DROP CONSTRAINT IF EXISTS student_performance_owner_check;
+ALTER TABLE public.student_performance
+  ADD CONSTRAINT student_performance_owner_check CHECK (num_nonnulls(user_id, player_id) = 1);
+
+CREATE UNIQUE INDEX IF NOT EXISTS uq_student_performance_player ON public.student_performance (player_id);
+
+-- RLS: guardians manage their own players; admins and coaches read them all
+-- (rosters, performance) and admins can correct them.
+ALTER TABLE public.family_players ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "family_players_select" ON public.family_players;
+CREATE POLICY "family_players_select"
+  ON public.family_players FOR SELECT TO authenticated
+  USING (
+    auth.uid() = guardian_id
+    OR EXISTS (SELECT 1 FROM public.profiles p WHERE p.id = auth.uid() AND p.role IN ('admin', 'coach'))
+  );
+
+DROP POLICY IF EXISTS "family_players_insert" ON public.family_players;
+CREATE POLICY "family_players_insert"
+  ON public.family_players FOR INSERT TO authenticated
+  WITH CHECK (auth.uid() = guardian_id);
+
+DROP POLICY IF EXISTS "family_players_update" ON public.family_players;
+CREATE POLICY "family_players_update"
+  ON public.family_players FOR UPDATE TO authenticated
+  USING (
+    auth.uid() = guardian_id
+    OR EXISTS (SELECT 1 FROM public.profiles p WHERE p.id = auth.uid() AND p.role = 'admin')
+  )
+  WITH CHECK (
+    auth.uid() = guardian_id
+    OR EXISTS (SELECT 1 FROM public.profiles p WHERE p.id = auth.uid() AND p.role = 'admin')
+  );
+
+GRANT ALL ON TABLE public.family_players TO service_role;
+
+-- Guardians read their juniors' performance too
+DROP POLICY IF EXISTS "student_performance_select" ON public.student_performance;
+CREATE POLICY "student_performance_select"
+  ON public.student_performance FOR SELECT TO authenticated
+  USING (
+    auth.uid() = user_id
+    OR EXISTS (SELECT 1 FROM public.family_players fp WHERE fp.id = player_id AND fp.guardian_id = auth.uid())
+    OR EXISTS (SELECT 1 FROM public.profiles p WHERE p.id = auth.uid() AND p.role IN ('admin', 'coach'))
+  );
+
+-- =============================================================================
+-- check_booking_policies: as in 018, but the weekly cap counts each player's
+-- lessons separately (player_id NULL is the account holder).
+-- =============================================================================
+CREATE OR REPLACE FUNCTION public.check_booking_policies(p_user_id uuid, p_segments jsonb)
+RETURNS jsonb
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_tz constant text := 'Australia/Sydney';
+  v_academy uuid;
+  v_seg jsonb;
+  v_idx integer;
+  v_start timestamptz;
+  v_service text;
+  v_policy public.booking_policies%ROWTYPE;
+  v_week_start timestamptz;
+  v_week_end timestamptz;
+  v_count integer;
+  v_player uuid;
+BEGIN
+  IF p_segments IS NULL OR jsonb_typeof(p_segments) <> 'array' THEN
+    RETURN NULL;
+  END IF;
+
+  SELECT academy_id INTO v_academy FROM public.profiles WHERE id = p_user_id;
+
+  FOR v_seg, v_idx IN
+    SELECT value, ordinality - 1 FROM jsonb_array_elements(p_segments) WITH ORDINALITY
+  LOOP
+    v_start := (v_seg->>'start_time')::timestamptz;
+    v_service := NULLIF(v_seg->>'service_name', '');
+    v_player := NULLIF(v_seg->>'player_id', '')::uuid;
+    CONTINUE WHEN v_start IS NULL;
+
+    v_policy := public.resolve_booking_policy(v_academy, v_service);
+    CONTINUE WHEN v_policy.id IS NULL;
+
+    IF v_policy.min_lead_hours IS NOT NULL
+       AND v_start < now() + make_interval(hours => v_policy.min_lead_hours) THEN
+      RETURN jsonb_build_object('success', false, 'code', 'policy_lead_time',
+        'message', format('Bookings must be made at least %s in advance.', public.format_lead_time(v_policy.min_lead_hours)),
+        'segment', v_idx);
+    END IF;
+
+    IF v_policy.max_days_ahead IS NOT NULL
+       AND v_start > now() + make_interval(days => v_policy.max_days_ahead) THEN
+      RETURN jsonb_build_object('success', false, 'code', 'policy_too_far_ahead',
+        'message', format('Bookings open %s days in advance.', v_policy.max_days_ahead),
+        'segment', v_idx);
+    END IF;
+
+    IF v_policy.max_bookings_per_week IS NOT NULL THEN
+      v_week_start := date_trunc('week', v_start AT TIME ZONE v_tz) AT TIME ZONE v_tz;
+      v_week_end := (date_trunc('week', v_start AT TIME ZONE v_tz) + interval '7 days') AT TIME ZONE v_tz;
+
+      SELECT count(*) INTO v_count
+      FROM public.bookings
+      WHERE user_id = p_user_id
+        AND player_id IS NOT DISTINCT FROM v_player
+        AND start_time >= v_week_start
+        AND start_time < v_week_end
+        AND (v_policy.service_name IS NULL OR service_name = v_policy.service_name);
+
+      SELECT v_count + count(*) INTO v_count
+      FROM jsonb_array_elements(p_segments) WITH ORDINALITY AS s(value, ord)
+      WHERE s.ord - 1 <= v_idx
+        AND NULLIF(s.value->>'player_id', '')::uuid IS NOT DISTINCT FROM v_player
+        AND (s.value->>'start_time')::timestamptz >= v_week_start
+        AND (s.value->>'start_time')::timestamptz < v_week_end
+        AND (v_policy.service_name IS NULL OR s.value->>'service_name' = v_policy.service_name);
+
+      IF v_count > v_policy.max_bookings_per_week THEN
+        RETURN jsonb_build_object('success', false, 'code', 'policy_weekly_limit',
+          'message', format('You can book up to %s %slesson%s per week.',
+            v_policy.max_bookings_per_week,
+            COALESCE(v_policy.service_name || ' ', ''),
+            CASE WHEN v_policy.max_bookings_per_week = 1 THEN '' ELSE 's' END),
+          'segment', v_idx);
+      END IF;
+    END IF;
+  END LOOP;
+
+  RETURN NULL;
+END;
+$$;
+
+
+-- =============================================================================
+-- book_lessons: as in 024; a segment may carry player_id (one of the account's
+-- players), which is stored on the booking. Extra code: player_not_found.
+-- =============================================================================
+CREATE OR REPLACE FUNCTION public.book_lessons(
+  p_user_id uuid,
+  p_segments jsonb,
+  p_charge_wallet boolean DEFAULT true,
+  p_promo_code text DEFAULT NULL
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_caller uuid := auth.uid();
+  v_is_admin boolean := false;
+  v_charge boolean := COALESCE(p_charge_wallet, true);
+  v_academy uuid;
+  v_balance numeric;
+  v_seg jsonb;
+  v_idx integer;
+  v_ids uuid[];
+  v_location uuid;
+  v_start timestamptz;
+  v_end timestamptz;
+  v_cost numeric;
+  v_capacity integer;
+  v_open integer;
+  v_existing integer;
+  v_total numeric := 0;
+  v_full_ids uuid[] := '{}';
+  v_booking_id uuid;
+  v_booking_ids uuid[] := '{}';
+  v_policy_error jsonb;
+  v_priced jsonb;
+  v_promo jsonb;
+  v_pack_id uuid;
+  v_pack_lessons integer;
+  v_unknown_players integer;
+BEGIN
+  -- auth.uid() is NULL only for service_role (anon has no EXECUTE)
+  IF v_caller IS NOT NULL THEN
+    SELECT role = 'admin' INTO v_is_admin FROM public.profiles WHERE id = v_caller;
+    v_is_admin := COALESCE(v_is_admin, false);
+    IF v_caller <> p_user_id AND NOT v_is_admin THEN
+      RETURN jsonb_build_object('success', false, 'code', 'unauthorized',
+        'message', 'You can only book lessons for yourself.');
+    END IF;
+    -- Students always pay for their own bookings
+    IF NOT v_is_admin THEN
+      v_charge := true;
+    END IF;
+  END IF;
+
+  IF p_segments IS NULL OR jsonb_typeof(p_segments) <> 'array' OR jsonb_array_length(p_segments) = 0 THEN
+    RETURN jsonb_build_object('success', false, 'code', 'invalid_request',
+      'message', 'No lessons to book.');
+  END IF;
+
+  -- Lessons for a junior must name one of the account's own players
+  SELECT count(*) INTO v_unknown_players
+  FROM jsonb_array_elements(p_segments) s
+  WHERE NULLIF(s.value->>'player_id', '') IS NOT NULL
+    AND NOT EXISTS (
+      SELECT 1 FROM public.family_players fp
+      WHERE fp.id = (s.value->>'player_id')::uuid
+        AND fp.guardian_id = p_user_id
+        AND fp.archived_at IS NULL
+    );
+
+  IF v_unknown_players > 0 THEN
+    RETURN jsonb_build_object('success', false, 'code', 'player_not_found',
+      'message', 'This player is not part of your family account.');
+  END IF;
+
+  -- Booking policies apply to students; admins and service_role (paid Stripe
+  -- sessions, checked before checkout) skip them
+  IF v_caller IS NOT NULL AND NOT v_is_admin THEN
+    v_policy_error := public.check_booking_policies(p_user_id, p_segments);
+    IF v_policy_error IS NOT NULL THEN
+      RETURN v_policy_error;
+    END IF;
+
+    v_priced := public.quote_lessons(p_user_id, p_segments);
+    IF NOT COALESCE((v_priced->>'success')::boolean, false) THEN
+      RETURN v_priced;
+    END IF;
+    p_segments := v_priced->'segments';
+  END IF;
+
+  -- Promo codes are applied to the priced lessons. Stripe-paid bookings
+  -- (service_role) were discounted by dynamic-task before checkout.
+  IF v_caller IS NOT NULL AND NULLIF(btrim(COALESCE(p_promo_code, '')), '') IS NOT NULL THEN
+    v_promo := public.evaluate_promo_code(p_user_id, p_promo_code, 'booking', NULL, p_segments);
+    IF NOT COALESCE((v_promo->>'success')::boolean, false) THEN
+      RETURN v_promo;
+    END IF;
+    p_segments := v_promo->'segments';
+  END IF;
+
+  SELECT academy_id, COALESCE(wallet_balance, 0)
+    INTO v_academy, v_balance
+  FROM public.profiles
+  WHERE id = p_user_id
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('success', false, 'code', 'profile_not_found',
+      'message', 'Student profile not found.');
+  END IF;
+
+  -- Lock the packs paying for lessons (pack_credit_id from quote_lessons) and
+  -- check they still cover them
+  FOR v_pack_id, v_pack_lessons IN
+    SELECT (value->>'pack_credit_id')::uuid, count(*)::integer
+    FROM jsonb_array_elements(p_segments)
+    WHERE NULLIF(value->>'pack_credit_id', '') IS NOT NULL
+    GROUP BY 1
+  LOOP
+    PERFORM 1 FROM public.pack_credits
+    WHERE id = v_pack_id
+      AND user_id = p_user_id
+      AND lessons_remaining >= v_pack_lessons
+      AND expires_at > now()
+    FOR UPDATE;
+    IF NOT FOUND THEN
+      RETURN jsonb_build_object('success', false, 'code', 'pack_unavailable',
+        'message', 'Your lesson pack no longer covers this booking. Please review your booking and try again.');
+    END IF;
+  END LOOP;
+
+  -- Pass 1: validate every segment and lock its availabilities before writing anything
+  FOR v_seg, v_idx IN
+    SELECT value, ordinality - 1 FROM jsonb_array_elements(p_segments) WITH ORDINALITY
+  LOOP
+    v_location := NULLIF(v_seg->>'location_id', '')::uuid;
+    v_start := (v_seg->>'start_time')::timestamptz;
+    v_end := (v_seg->>'end_time')::timestamptz;
+    v_cost := COALESCE((v_seg->>'cost')::numeric, 0);
+    v_ids := ARRAY(SELECT jsonb_array_elements_text(COALESCE(v_seg->'availability_ids', '[]'::jsonb))::uuid);
+
+    IF v_location IS NULL OR v_start IS NULL OR v_end IS NULL OR v_end <= v_start OR v_cost < 0 THEN
+      RETURN jsonb_build_object('success', false, 'code', 'invalid_request',
+        'message', 'Booking details are incomplete.', 'segment', v_idx);
+    END IF;
+
+    -- Admins may record lessons that already happened (Assign lesson)
+    IF v_start < now() AND NOT v_is_admin THEN
+      RETURN jsonb_build_object('success', false, 'code', 'slot_in_past',
+        'message', 'Cannot create a booking for a time that has already passed.', 'segment', v_idx);
+    END IF;
+
+    IF cardinality(v_ids) = 0 THEN
+      IF v_caller IS NOT NULL AND NOT v_is_admin THEN
+        RETURN jsonb_build_object('success', false, 'code', 'invalid_request',
+          'message', 'Please select an available time slot.', 'segment', v_idx);
+      END IF;
+    ELSE
+      -- Row locks serialise concurrent bookings of the same slot until commit
+      PERFORM 1 FROM public.availabilities WHERE id = ANY(v_ids) ORDER BY id FOR UPDATE;
+
+      SELECT count(*), MIN(COALESCE(max_capacity, 10))
+        INTO v_open, v_capacity
+      FROM public.availabilities
+      WHERE id = ANY(v_ids)
+        AND location_id = v_location
+        AND COALESCE(is_booked, false) = false;
+
+      IF v_open < cardinality(v_ids) THEN
+        RETURN jsonb_build_object('success', false, 'code', 'slot_unavailable',
+          'message', 'This time slot is no longer available. Please select a different time.', 'segment', v_idx);
+      END IF;
+
+      SELECT count(*) INTO v_existing
+      FROM public.bookings
+      WHERE location_id = v_location
+        AND start_time = v_start
+        AND end_time = v_end;
+
+      IF v_existing >= v_capacity THEN
+        RETURN jsonb_build_object('success', false, 'code', 'slot_full',
+          'message', format('This time slot is already full (%s/%s members). Please choose another time.', v_existing, v_capacity),
+          'segment', v_idx);
+      END IF;
+
+      IF v_existing + 1 >= v_capacity THEN
+        v_full_ids := v_full_ids || v_ids;
+      END IF;
+    END IF;
+
+    v_total := v_total + v_cost;
+  END LOOP;
+
+  IF v_charge AND v_total > 0 AND v_balance < v_total THEN
+    RETURN jsonb_build_object('success', false, 'code', 'insufficient_balance',
+      'message', 'Insufficient wallet balance.',
+      'balance', v_balance, 'required', v_total);
+  END IF;
+
+  -- Pass 2: insert, debit and mark full. Any error here rolls back the whole block.
+  BEGIN
+    FOR v_seg IN SELECT value FROM jsonb_array_elements(p_segments)
+    LOOP
+      INSERT INTO public.bookings (
+        user_id, location_id, start_time, end_time, credit_cost, service_name, academy_id, pack_credit_id,
+        player_id
+      ) VALUES (
+        p_user_id,
+        (v_seg->>'location_id')::uuid,
+        (v_seg->>'start_time')::timestamptz,
+        (v_seg->>'end_time')::timestamptz,
+        COALESCE((v_seg->>'cost')::numeric, 0),
+        NULLIF(v_seg->>'service_name', ''),
+        v_academy,
+        NULLIF(v_seg->>'pack_credit_id', '')::uuid,
+        NULLIF(v_seg->>'player_id', '')::uuid
+      )
+      RETURNING id INTO v_booking_id;
+      v_booking_ids := v_booking_ids || v_booking_id;
+    END LOOP;
+
+    -- Debited after the inserts so the ledger row can point at the booking
+    IF v_charge AND v_total > 0 THEN
+      PERFORM public.set_wallet_context('booking', v_booking_ids[1], NULL,
+        CASE WHEN cardinality(v_booking_ids) = 1
+          THEN COALESCE(NULLIF(p_segments->0->>'service_name', ''), 'Lesson')
+          ELSE format('%s lessons', cardinality(v_booking_ids)) END);
+      UPDATE public.profiles
+      SET wallet_balance = COALESCE(wallet_balance, 0) - v_total
+      WHERE id = p_user_id
+      RETURNING wallet_balance INTO v_balance;
+    END IF;
+
+    IF cardinality(v_full_ids) > 0 THEN
+      UPDATE public.availabilities SET is_booked = true WHERE id = ANY(v_full_ids);
+    END IF;
+
+    UPDATE public.pack_credits pc
+    SET lessons_remaining = pc.lessons_remaining - used.lessons
+    FROM (
+      SELECT (value->>'pack_credit_id')::uuid AS id, count(*)::integer AS lessons
+      FROM jsonb_array_elements(p_segments)
+      WHERE NULLIF(value->>'pack_credit_id', '') IS NOT NULL
+      GROUP BY 1
+    ) used
+    WHERE pc.id = used.id;
+
+    IF v_promo IS NOT NULL THEN
+      INSERT INTO public.promo_redemptions (
+        promo_code_id, user_id, context, status, original_amount, discount_amount, booking_ids, redeemed_at
+      ) VALUES (
+        (v_promo->>'promo_code_id')::uuid,
+        p_user_id,
+        'booking',
+        'redeemed',
+        v_total + (v_promo->>'discount')::numeric,
+        (v_promo->>'discount')::numeric,
+        v_booking_ids,
+        now()
+      );
+    END IF;
+  EXCEPTION
+    WHEN exclusion_violation OR unique_violation THEN
+      RETURN jsonb_build_object('success', false, 'code', 'booking_conflict',
+        'message', 'This time slot is no longer available. Please select a different time.');
+  END;
+
+  RETURN jsonb_build_object(
+    'success', true,
+    'booking_ids', to_jsonb(v_booking_ids),
+    'total_cost', v_total,
+    'new_balance', v_balance
+  ) || CASE WHEN v_promo IS NOT NULL
+    THEN jsonb_build_object('discount', (v_promo->>'discount')::numeric, 'promo_code', v_promo->>'code')
+    ELSE '{}'::jsonb END;
+END;
+$$;
+
+
+-- =============================================================================
+-- book_lesson_series: as in 018; every week keeps the segment's player_id, and
+-- the clash check looks at that player's lessons only.
+-- =============================================================================
+CREATE OR REPLACE FUNCTION public.book_lesson_series(
+  p_user_id uuid,
+  p_segments jsonb,
+  p_until date
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_tz constant text := 'Australia/Sydney';
+  v_max_weeks constant integer := 26;
+  v_first_start timestamptz;
+  v_week integer;
+  v_seg jsonb;
+  v_location uuid;
+  v_start timestamptz;
+  v_end timestamptz;
+  v_expected integer;
+  v_ids uuid[];
+  v_open integer;
+  v_capacity integer;
+  v_existing integer;
+  v_first_ids uuid[];
+  v_player uuid;
+  v_code text;
+  v_message text;
+  v_book jsonb := '[]'::jsonb;
+  v_booked jsonb := '[]'::jsonb;
+  v_failed jsonb := '[]'::jsonb;
+  v_result jsonb;
+  v_series_id uuid;
+  v_academy uuid;
+  v_check_policies boolean := auth.uid() IS NOT NULL
+    AND NOT EXISTS (SELECT 1 FROM public.profiles WHERE id = auth.uid() AND role = 'admin');
+  v_policy_error jsonb;
+BEGIN
+  IF auth.uid() IS NOT NULL AND auth.uid() <> p_user_id
+     AND NOT EXISTS (SELECT 1 FROM public.profiles WHERE id = auth.uid() AND role = 'admin') THEN
+    RETURN jsonb_build_object('success', false, 'code', 'unauthorized',
+      'message', 'You can only book lessons for yourself.', 'failed', '[]'::jsonb);
+  END IF;
+
+  IF p_segments IS NULL OR jsonb_typeof(p_segments) <> 'array' OR jsonb_array_length(p_segments) = 0
+     OR p_until IS NULL THEN
+    RETURN jsonb_build_object('success', false, 'code', 'invalid_request',
+      'message', 'No lessons to book.', 'failed', '[]'::jsonb);
+  END IF;
+
+  SELECT MIN((value->>'start_time')::timestamptz) INTO v_first_start
+  FROM jsonb_array_elements(p_segments);
+
+  FOR v_week IN 0..(v_max_weeks - 1) LOOP
+    EXIT WHEN ((v_first_start AT TIME ZONE v_tz) + make_interval(weeks => v_week))::date > p_until;
+
+    FOR v_seg IN SELECT value FROM jsonb_array_elements(p_segments) LOOP
+      v_location := NULLIF(v_seg->>'location_id', '')::uuid;
+      v_player := NULLIF(v_seg->>'player_id', '')::uuid;
+      -- Shift in Sydney local time so 4pm stays 4pm across daylight saving changes
+      v_start := (((v_seg->>'start_time')::timestamptz AT TIME ZONE v_tz) + make_interval(weeks => v_week)) AT TIME ZONE v_tz;
+      v_end := (((v_seg->>'end_time')::timestamptz AT TIME ZONE v_tz) + make_interval(weeks => v_week)) AT TIME ZONE v_tz;
+      v_first_ids := ARRAY(SELECT jsonb_array_elements_text(COALESCE(v_seg->'availability_ids', '[]'::jsonb))::uuid);
+      v_code := NULL;
+
+      IF v_week = 0 THEN
+        v_ids := v_first_ids;
+      ELSE
+        -- Same number of slots, same service, covering the same local times
+        v_expected := cardinality(v_first_ids);
+        SELECT COALESCE(array_agg(a.id ORDER BY a.start_time), '{}')
+          INTO v_ids
+        FROM public.availabilities a
+        WHERE a.location_id = v_location
+          AND a.start_time >= v_start
+          AND a.start_time < v_end
+          AND a.service_name IS NOT DISTINCT FROM NULLIF(v_seg->>'service_name', '');
+
+        IF cardinality(v_ids) = 0 OR cardinality(v_ids) < v_expected THEN
+          v_code := 'slot_unavailable';
+          v_message := 'No session is scheduled at this time.';
+        END IF;
+      END IF;
+
+      IF v_code IS NULL AND cardinality(v_ids) > 0 THEN
+        PERFORM 1 FROM public.availabilities WHERE id = ANY(v_ids) ORDER BY id FOR UPDATE;
+
+        SELECT count(*), MIN(COALESCE(max_capacity, 10))
+          INTO v_open, v_capacity
+        FROM public.availabilities
+        WHERE id = ANY(v_ids)
+          AND COALESCE(is_booked, false) = false;
+
+        SELECT count(*) INTO v_existing
+        FROM public.bookings
+        WHERE location_id = v_location
+          AND start_time = v_start
+          AND end_time = v_end;
+
+        IF v_open < cardinality(v_ids) OR v_existing >= v_capacity THEN
+          v_code := 'slot_full';
+          v_message := 'This session is full.';
+        ELSIF EXISTS (
+          SELECT 1 FROM public.bookings
+          WHERE user_id = p_user_id
+            AND player_id IS NOT DISTINCT FROM v_player
+            AND start_time < v_end
+            AND end_time > v_start
+        ) THEN
+          v_code := 'booking_conflict';
+          v_message := CASE WHEN v_player IS NULL
+            THEN 'You already have a lesson at this time.'
+            ELSE 'This player already has a lesson at this time.' END;
+        END IF;
+      END IF;
+
+      -- Dates outside the booking policy (e.g. too far ahead) are reported, not fatal
+      IF v_code IS NULL AND v_check_policies THEN
+        v_policy_error := public.check_booking_policies(p_user_id, jsonb_build_array(
+          jsonb_build_object('start_time', v_start, 'service_name', v_seg->'service_name', 'player_id', v_player)
+        ));
+        IF v_policy_error IS NOT NULL THEN
+          v_code := v_policy_error->>'code';
+          v_message := v_policy_error->>'message';
+        END IF;
+      END IF;
+
+      IF v_code IS NULL THEN
+        v_book := v_book || jsonb_build_object(
+          'location_id', v_location,
+          'start_time', v_start,
+          'end_time', v_end,
+          'service_name', v_seg->'service_name',
+          'cost', v_seg->'cost',
+          'availability_ids', to_jsonb(v_ids),
+          'player_id', v_player
+        );
+        v_booked := v_booked || to_jsonb(v_start);
+      ELSIF v_week = 0 THEN
+        -- The week the student picked must be bookable; report it like a normal booking
+        RETURN jsonb_build_object('success', false, 'code', v_code, 'message', v_message, 'failed', '[]'::jsonb);
+      ELSE
+        v_failed := v_failed || jsonb_build_object('start_time', v_start, 'code', v_code, 'message', v_message);
+      END IF;
+    END LOOP;
+  END LOOP;
+
+  IF jsonb_array_length(v_book) = 0 THEN
+    RETURN jsonb_build_object('success', false, 'code', 'no_available_dates',
+      'message', 'None of the dates in this series are available.', 'failed', v_failed);
+  END IF;
+
+  -- One wallet debit for the whole series; book_lessons also enforces who may book for whom
+  v_result := public.book_lessons(p_user_id, v_book, true);
+  IF NOT COALESCE((v_result->>'success')::boolean, false) THEN
+    RETURN v_result || jsonb_build_object('failed', v_failed);
+  END IF;
+
+  SELECT academy_id INTO v_academy FROM public.profiles WHERE id = p_user_id;
+
+  INSERT INTO public.booking_series (user_id, segments, first_start_time, repeat_until, academy_id)
+  VALUES (p_user_id, p_segments, v_first_start, p_until, v_academy)
+  RETURNING id INTO v_series_id;
+
+  UPDATE public.bookings
+  SET series_id = v_series_id
+  WHERE id IN (SELECT jsonb_array_elements_text(v_result->'booking_ids')::uuid);
+
+  RETURN v_result || jsonb_build_object(
+    'series_id', v_series_id,
+    'booked', v_booked,
+    'failed', v_failed
+  );
+END;
+$$;
+
@@ -0,0 +1,308 @@
+-- Refunds to the original card. Safe to re-run.
+-- Card payments are credited to the wallet first, so refunding to the card takes
+-- the amount back out of the wallet and returns it through the Stripe Refunds API
+-- against the Checkout sessions it came from (newest first, never more than a
+-- session was charged). dynamic-task (action "refund-to-card", admins only)
+-- reserves the refund here, calls Stripe, then settles it; a refund Stripe
+-- rejects or fails later is put back in the wallet. Refunds made in the Stripe
+-- dashboard reach stripe-webhook as charge.refunded and are recorded the same
+-- way, so the wallet and the ledger always match what Stripe returned.
+-- Requires 024_wallet_transactions.sql.
+
+ALTER TABLE public.stripe_processed_sessions
+  ADD COLUMN IF NOT EXISTS payment_intent_id text,
+  ADD COLUMN IF NOT EXISTS amount_refunded numeric NOT NULL DEFAULT 0;
+
+CREATE INDEX IF NOT EXISTS idx_stripe_processed_sessions_payment_intent
+  ON public.stripe_processed_sessions (payment_intent_id) WHERE payment_intent_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_stripe_processed_sessions_user
+  ON public.stripe_processed_sessions (user_id, created_at DESC);
+
+COMMENT ON COLUMN public.stripe_processed_sessions.amount_refunded IS 'Refunded to the card so far (pending and succeeded refunds)';
+
+CREATE TABLE IF NOT EXISTS public.stripe_refunds (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL REFERENCES public.profiles(id) ON DELETE CASCADE,
+  session_id text NOT NULL REFERENCES public.stripe_processed_sessions(session_id) ON DELETE CASCADE,
+  stripe_refund_id text,
+  amount numeric NOT NULL CHECK (amount > 0),
+  status text NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'succeeded', 'failed', 'canceled')),
+  reason text,
+  failure_message text,
+  requested_by uuid,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS uq_stripe_refunds_stripe_id
+  ON public.stripe_refunds (stripe_refund_id) WHERE stripe_refund_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_stripe_refunds_user ON public.stripe_refunds (user_id, created_at DESC);
+
+COMMENT ON TABLE public.stripe_refunds IS 'Wallet money returned to the card it was paid with; requested_by NULL means refunded in the Stripe dashboard.';
+
+-- RLS: students see their own refunds, admins see all. Writes go through the
+-- functions below (service_role only).
+ALTER TABLE public.stripe_refunds ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "stripe_refunds_select" ON public.stripe_refunds;
+CREATE POLICY "stripe_refunds_select"
+  ON public.stripe_refunds FOR SELECT TO authenticated
+  USING (
+    auth.uid() = user_id
+    OR EXISTS (SELECT 1 FROM public.profiles p WHERE p.id = auth.uid() AND p.role = 'admin')
+  );
+
+GRANT ALL ON TABLE public.stripe_refunds TO service_role;
+
+-- Admins see card payments so the refund form can show how much can go back
+DROP POLICY IF EXISTS "stripe_processed_sessions_admin_select" ON public.stripe_processed_sessions;
+CREATE POLICY "stripe_processed_sessions_admin_select"
+  ON public.stripe_processed_sessions FOR SELECT TO authenticated
+  USING (EXISTS (SELECT 1 FROM public.profiles p WHERE p.id = auth.uid() AND p.role = 'admin'));
+
+-- =============================================================================
+-- start_card_refund: takes p_amount out of the wallet and splits it over the
+-- user's card payments, newest first. Each share is a pending stripe_refunds row
+-- and a 'card_refund' ledger row linked to its session; dynamic-task then asks
+-- Stripe for each one (the row id goes in the refund's metadata as refundId).
+-- Returns { success: true, refunds: [{ id, session_id, payment_intent_id, amount }],
+--           amount, new_balance }
+-- or { success: false, code, message }. Codes: invalid_amount, profile_not_found,
+-- insufficient_balance (wallet), not_refundable (card payments do not cover it;
+-- refundable is what they do cover).
+-- =============================================================================
+CREATE OR REPLACE FUNCTION public.start_card_refund(
+  p_user_id uuid,
+  p_amount numeric,
+  p_reason text DEFAULT NULL,
+  p_requested_by uuid DEFAULT NULL
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_amount numeric := round(COALESCE(p_amount, 0), 2);
+  v_balance numeric;
+  v_refundable numeric;
+  v_left numeric;
+  v_share numeric;
+  v_session record;
+  v_refund_id uuid;
+  v_refunds jsonb := '[]'::jsonb;
+BEGIN
+  IF v_amount <= 0 THEN
+    RETURN jsonb_build_object('success', false, 'code', 'invalid_amount',
+      'message', 'Enter an amount to refund.');
+  END IF;
+
+  SELECT COALESCE(wallet_balance, 0) INTO v_balance
+  FROM public.profiles
+  WHERE id = p_user_id
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('success', false, 'code', 'profile_not_found',
+      'message', 'Student profile not found.');
+  END IF;
+
+  IF v_balance < v_amount THEN
+    RETURN jsonb_build_object('success', false, 'code', 'insufficient_balance',
+      'message', format('Only $%s is left in this wallet.', to_char(v_balance, 'FM999999990.00')),
+      'balance', v_balance);
+  END IF;
+
+  -- Lock the sessions that can take the refund so two refunds cannot both use them
+  SELECT COALESCE(sum(amount - amount_refunded), 0) INTO v_refundable
+  FROM (
+    SELECT amount, amount_refunded
+    FROM public.stripe_processed_sessions
+    WHERE user_id = p_user_id
+      AND amount > amount_refunded
+    FOR UPDATE
+  ) s;
+
+  IF v_refundable < v_amount THEN
+    RETURN jsonb_build_object('success', false, 'code', 'not_refundable',
+      'message', format('Only $%s of this wallet was paid by card and can go back to it.', to_char(v_refundable, 'FM999999990.00')),
+      'refundable', v_refundable);
+  END IF;
+
+  v_left := v_amount;
+  FOR v_session IN
+    SELECT session_id, payment_intent_id, amount - amount_refunded AS available
+    FROM public.stripe_processed_sessions
+    WHERE user_id = p_user_id
+      AND amount > amount_refunded
+    ORDER BY created_at DESC
+  LOOP
+    EXIT WHEN v_left <= 0;
+    v_share := LEAST(v_left, v_session.available);
+
+    INSERT INTO public.stripe_refunds (user_id, session_id, amount, reason, requested_by)
+    VALUES (p_user_id, v_session.session_id, v_share, NULLIF(btrim(COALESCE(p_reason, '')), ''), p_requested_by)
+    RETURNING id INTO v_refund_id;
+
+    UPDATE public.stripe_processed_sessions
+    SET amount_refunded = amount_refunded + v_share
+    WHERE session_id = v_session.session_id;
+
+    PERFORM public.set_wallet_context('card_refund', NULL, v_session.session_id,
+      COALESCE(NULLIF(btrim(COALESCE(p_reason, '')), ''), 'Refund to card'));
+    UPDATE public.profiles
+    SET wallet_balance = COALESCE(wallet_balance, 0) - v_share
+    WHERE id = p_user_id
+    RETURNING wallet_balance INTO v_balance;
+
+    v_refunds := v_refunds || jsonb_build_object(
+      'id', v_refund_id,
+      'session_id', v_session.session_id,
+      'payment_intent_id', v_session.payment_intent_id,
+      'amount', v_share
+    );
+    v_left := v_left - v_share;
+  END LOOP;
+
+  RETURN jsonb_build_object(
+    'success', true,
+    'refunds', v_refunds,
+    'amount', v_amount,
+    'new_balance', v_balance
+  );
+END;
+$$;
+
+-- =============================================================================
+-- settle_card_refund: records what Stripe said about a refund. succeeded and
+-- pending only update the row; failed or canceled (first time) put the amount
+-- back in the wallet as a 'card_refund_reversal' and free it on the session.
+-- Returns { success: true, status, reversed } or { success: false, code: not_found }.
+-- =============================================================================
+CREATE OR REPLACE FUNCTION public.settle_card_refund(
+  p_refund_id uuid,
+  p_stripe_refund_id text,
+  p_status text,
+  p_failure_message text DEFAULT NULL
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_refund public.stripe_refunds%ROWTYPE;
+  v_status text := CASE WHEN p_status IN ('pending', 'succeeded', 'failed', 'canceled') THEN p_status ELSE 'pending' END;
+  v_reversed boolean := false;
+BEGIN
+  SELECT * INTO v_refund FROM public.stripe_refunds WHERE id = p_refund_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('success', false, 'code', 'not_found', 'message', 'Refund not found.');
+  END IF;
+
+  -- A failed refund stays failed; Stripe does not retry it
+  IF v_refund.status IN ('failed', 'canceled') THEN
+    RETURN jsonb_build_object('success', true, 'status', v_refund.status, 'reversed', false);
+  END IF;
+
+  UPDATE public.stripe_refunds
+  SET stripe_refund_id = COALESCE(NULLIF(p_stripe_refund_id, ''), stripe_refund_id),
+      status = v_status,
+      failure_message = COALESCE(p_failure_message, failure_message),
+      updated_at = now()
+  WHERE id = v_refund.id;
+
+  IF v_status IN ('failed', 'canceled') THEN
+    UPDATE public.stripe_processed_sessions
+    SET amount_refunded = GREATEST(amount_refunded - v_refund.amount, 0)
+    WHERE session_id = v_refund.session_id;
+
+    PERFORM public.set_wallet_context('card_refund_reversal', NULL, v_refund.session_id,
+      'Refund to card did not go through');
+    UPDATE public.profiles
+    SET wallet_balance = COALESCE(wallet_balance, 0) + v_refund.amount
+    WHERE id = v_refund.user_id;
+    v_reversed := true;
+  END IF;
+
+  RETURN jsonb_build_object('success', true, 'status', v_status, 'reversed', v_reversed);
+END;
+$$;
+
+-- =============================================================================
+-- record_stripe_refund: one refund from a charge.refunded event. Refunds started
+-- here (p_refund_id from the refund's metadata, or a known stripe_refund_id) are
+-- settled; refunds made in the Stripe dashboard are added and taken out of the
+-- wallet, even if that leaves it negative, so the ledger matches the card.
+-- Returns settle_card_refund's result, or { success: true, status, recorded: true }.
+-- =============================================================================
+CREATE OR REPLACE FUNCTION public.record_stripe_refund(
+  p_session_id text,
+  p_stripe_refund_id text,
+  p_amount numeric,
+  p_status text,
+  p_refund_id uuid DEFAULT NULL
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_existing uuid;
+  v_session public.stripe_processed_sessions%ROWTYPE;
+BEGIN
+  SELECT id INTO v_existing
+  FROM public.stripe_refunds
+  WHERE id = p_refund_id OR stripe_refund_id = p_stripe_refund_id
+  LIMIT 1;
+
+  IF v_existing IS NOT NULL THEN
+    RETURN public.settle_card_refund(v_existing, p_stripe_refund_id, p_status);
+  END IF;
+
+  SELECT * INTO v_session
+  FROM public.stripe_processed_sessions
+  WHERE session_id = p_session_id
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('success', false, 'code', 'not_found',
+      'message', 'No wallet payment for this Stripe session.');
+  END IF;
+
+  -- Dashboard refunds that never went through change nothing
+  IF p_status NOT IN ('pending', 'succeeded') OR COALESCE(p_amount, 0) <= 0 THEN
+    RETURN jsonb_build_object('success', true, 'status', p_status, 'recorded', false);
+  END IF;
+
+  INSERT INTO public.stripe_refunds (user_id, session_id, stripe_refund_id, amount, status, reason)
+  VALUES (v_session.user_id, v_session.session_id, p_stripe_refund_id, p_amount, p_status, 'Refunded in Stripe');
+
+  UPDATE public.stripe_processed_sessions
+  SET amount_refunded = amount_refunded + p_amount
+  WHERE session_id = v_session.session_id;
+
+  PERFORM public.set_wallet_context('card_refund', NULL, v_session.session_id, 'Refunded in Stripe');
+  UPDATE public.profiles
+  SET wallet_balance = COALESCE(wallet_balance, 0) - p_amount
+  WHERE id = v_session.user_id;
+
+  RETURN jsonb_build_object('success', true, 'status', p_status, 'recorded', true);
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.start_card_refund(uuid, numeric, text, uuid) FROM PUBLIC;
+REVOKE ALL ON FUNCTION public.start_card_refund(uuid, numeric, text, uuid) FROM anon;
+REVOKE ALL ON FUNCTION public.start_card_refund(uuid, numeric, text, uuid) FROM authenticated;
+GRANT EXECUTE ON FUNCTION public.start_card_refund(uuid, numeric, text, uuid) TO service_role;
+
+REVOKE ALL ON FUNCTION public.settle_card_refund(uuid, text, text, text) FROM PUBLIC;
+REVOKE ALL ON FUNCTION public.settle_card_refund(uuid, text, text, text) FROM anon;
+REVOKE ALL ON FUNCTION public.settle_card_refund(uuid, text, text, text) FROM authenticated;
+GRANT EXECUTE ON FUNCTION public.settle_card_refund(uuid, text, text, text) TO service_role;
+
+REVOKE ALL ON FUNCTION public.record_stripe_refund(text, text, numeric, text, uuid) FROM PUBLIC;
+REVOKE ALL ON FUNCTION public.record_stripe_refund(text, text, numeric, text, uuid) FROM anon;
+REVOKE ALL ON FUNCTION public.record_stripe_refund(text, text, numeric, text, uuid) FROM authenticated;
+GRANT EXECUTE ON FUNCTION public.record_stripe_refund(text, text, numeric, text, uuid) TO service_role;
@@ -0,0 +1,40 @@
+-- Stripe Connect per academy. Safe to re-run.
+-- An academy admin onboards an Express account from the admin dashboard
+-- (dynamic-task actions "connect-onboarding" / "connect-status"); its id is kept in
+-- academies.stripe_connect_id. Once Stripe enables charges on it, Checkout sessions
+-- for that academy's students are destination charges on behalf of the account, so
+-- the money settles into the academy's bank account and the platform keeps
+-- application_fee_percent (NULL = the STRIPE_APPLICATION_FEE_PERCENT secret).
+-- Refunds of those payments reverse the transfer and the fee.
+-- Requires 026_stripe_refunds.sql.
+
+ALTER TABLE public.academies
+  ADD COLUMN IF NOT EXISTS stripe_charges_enabled boolean NOT NULL DEFAULT false,
+  ADD COLUMN IF NOT EXISTS stripe_payouts_enabled boolean NOT NULL DEFAULT false,
+  ADD COLUMN IF NOT EXISTS stripe_details_submitted boolean NOT NULL DEFAULT false,
+  ADD COLUMN IF NOT EXISTS application_fee_percent numeric;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint WHERE conname = 'academies_application_fee_percent_check'
+  ) THEN
+    ALTER TABLE public.academies
+      ADD CONSTRAINT academies_application_fee_percent_check
+      CHECK (application_fee_percent IS NULL OR (application_fee_percent >= 0 AND application_fee_percent < 100));
+  END IF;
+END $$;
+
+CREATE UNIQUE INDEX IF NOT EXISTS uq_academies_stripe_connect_id
+  ON public.academies (stripe_connect_id) WHERE stripe_connect_id IS NOT NULL;
+
+COMMENT ON COLUMN public.academies.stripe_connect_id IS 'Stripe Connect (Express) account that card payments for this academy settle into';
+COMMENT ON COLUMN public.academies.stripe_charges_enabled IS 'Copied from the Stripe account; Checkout only routes to it when true';
+COMMENT ON COLUMN public.academies.application_fee_percent IS 'Platform fee on each card payment, in percent; NULL uses STRIPE_APPLICATION_FEE_PERCENT';
+
+-- Which account a payment went to, so its refund can reverse the transfer
+ALTER TABLE public.stripe_processed_sessions
+  ADD COLUMN IF NOT EXISTS stripe_account_id text,
+  ADD COLUMN IF NOT EXISTS academy_id uuid REFERENCES public.academies(id) ON DELETE SET NULL;
+
+COMMENT ON COLUMN public.stripe_processed_sessions.stripe_account_id IS 'Connected account the charge was made on behalf of; NULL = platform account';
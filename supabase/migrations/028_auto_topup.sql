@@ -0,0 +1,248 @@
+-- Automatic wallet top-up with a saved card. Safe to re-run.
+-- A student saves a card through a Checkout session in setup mode (dynamic-task
+-- action "auto-topup-setup") and opts in from their profile with a threshold and
+-- an amount. When a booking would take the wallet below the threshold, the app
+-- asks dynamic-task (action "auto-topup") to charge the card off-session; the
+-- payment is credited like any card payment, as an 'auto_topup' in the ledger.
+-- Every charge is an auto_topup_attempts row (a Database Webhook on INSERT texts
+-- the student, see send-auto-topup-sms); three failures in a row switch it off.
+-- Requires 027_stripe_connect.sql.
+
+CREATE TABLE IF NOT EXISTS public.auto_topup_settings (
+  user_id uuid PRIMARY KEY REFERENCES public.profiles(id) ON DELETE CASCADE,
+  enabled boolean NOT NULL DEFAULT false,
+  threshold numeric NOT NULL DEFAULT 20 CHECK (threshold >= 0),
+  amount numeric NOT NULL DEFAULT 50 CHECK (amount >= 5),
+  stripe_customer_id text,
+  payment_method_id text,
+  card_brand text,
+  card_last4 text,
+  card_exp_month integer,
+  card_exp_year integer,
+  failure_count integer NOT NULL DEFAULT 0,
+  last_failure_message text,
+  last_failure_at timestamptz,
+  last_charged_at timestamptz,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+COMMENT ON TABLE public.auto_topup_settings IS 'Opt-in automatic top-up per student; card fields are written by dynamic-task only.';
+COMMENT ON COLUMN public.auto_topup_settings.threshold IS 'Top up when a booking would leave less than this in the wallet';
+COMMENT ON COLUMN public.auto_topup_settings.amount IS 'Charged to the saved card per top-up (more if a booking needs it)';
+
+CREATE TABLE IF NOT EXISTS public.auto_topup_attempts (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL REFERENCES public.profiles(id) ON DELETE CASCADE,
+  amount numeric NOT NULL,
+  status text NOT NULL CHECK (status IN ('succeeded', 'failed')),
+  payment_intent_id text,
+  failure_message text,
+  disabled boolean NOT NULL DEFAULT false,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_auto_topup_attempts_user ON public.auto_topup_attempts (user_id, created_at DESC);
+
+COMMENT ON COLUMN public.auto_topup_attempts.disabled IS 'This failure switched auto top-up off';
+
+-- RLS: students read their own settings and attempts, admins read all. Students
+-- change their settings through save_auto_topup_settings; the rest is service_role.
+ALTER TABLE public.auto_topup_settings ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.auto_topup_attempts ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "auto_topup_settings_select" ON public.auto_topup_settings;
+CREATE POLICY "auto_topup_settings_select"
+  ON public.auto_topup_settings FOR SELECT TO authenticated
+  USING (
+    auth.uid() = user_id
+    OR EXISTS (SELECT 1 FROM public.profiles p WHERE p.id = auth.uid() AND p.role = 'admin')
+  );
+
+DROP POLICY IF EXISTS "auto_topup_attempts_select" ON public.auto_topup_attempts;
+CREATE POLICY "auto_topup_attempts_select"
+  ON public.auto_topup_attempts FOR SELECT TO authenticated
+  USING (
+    auth.uid() = user_id
+    OR EXISTS (SELECT 1 FROM public.profiles p WHERE p.id = auth.uid() AND p.role = 'admin')
+  );
+
+GRANT SELECT ON TABLE public.auto_topup_settings TO authenticated;
+GRANT SELECT ON TABLE public.auto_topup_attempts TO authenticated;
+GRANT ALL ON TABLE public.auto_topup_settings TO service_role;
+GRANT ALL ON TABLE public.auto_topup_attempts TO service_role;
+
+-- =============================================================================
+-- save_auto_topup_settings: the caller's opt-in, threshold and amount.
+-- Turning it on needs a saved card; saving clears past failures.
+-- Returns { success: true } or { success: false, code, message }. Codes:
+-- no_card, invalid_amount (under $5), invalid_threshold.
+-- =============================================================================
+CREATE OR REPLACE FUNCTION public.save_auto_topup_settings(
+  p_enabled boolean,
+  p_threshold numeric,
+  p_amount numeric
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_user_id uuid := auth.uid();
+  v_card text;
+BEGIN
+  IF v_user_id IS NULL THEN
+    RAISE EXCEPTION 'Not authenticated';
+  END IF;
+
+  IF p_amount IS NULL OR p_amount < 5 THEN
+    RETURN jsonb_build_object('success', false, 'code', 'invalid_amount',
+      'message', 'Top-up amount must be at least $5.');
+  END IF;
+  IF p_threshold IS NULL OR p_threshold < 0 THEN
+    RETURN jsonb_build_object('success', false, 'code', 'invalid_threshold',
+      'message', 'Enter a balance of $0 or more.');
+  END IF;
+
+  SELECT payment_method_id INTO v_card FROM public.auto_topup_settings WHERE user_id = v_user_id;
+  IF COALESCE(p_enabled, false) AND v_card IS NULL THEN
+    RETURN jsonb_build_object('success', false, 'code', 'no_card',
+      'message', 'Save a card before turning on auto top-up.');
+  END IF;
+
+  INSERT INTO public.auto_topup_settings (user_id, enabled, threshold, amount)
+  VALUES (v_user_id, COALESCE(p_enabled, false), round(p_threshold, 2), round(p_amount, 2))
+  ON CONFLICT (user_id) DO UPDATE
+  SET enabled = EXCLUDED.enabled,
+      threshold = EXCLUDED.threshold,
+      amount = EXCLUDED.amount,
+      failure_count = 0,
+      last_failure_message = NULL,
+      updated_at = now();
+
+  RETURN jsonb_build_object('success', true);
+END;
+$$;
+
+-- =============================================================================
+-- record_auto_topup_attempt: logs an off-session charge. A success resets the
+-- failure count; the third failure in a row switches auto top-up off.
+-- Returns { success: true, disabled }.
+-- =============================================================================
+CREATE OR REPLACE FUNCTION public.record_auto_topup_attempt(
+  p_user_id uuid,
+  p_amount numeric,
+  p_status text,
+  p_payment_intent_id text DEFAULT NULL,
+  p_failure_message text DEFAULT NULL
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_failures integer;
+  v_disabled boolean := false;
+BEGIN
+  IF p_status = 'succeeded' THEN
+    UPDATE public.auto_topup_settings
+    SET failure_count = 0,
+        last_failure_message = NULL,
+        last_charged_at = now(),
+        updated_at = now()
+    WHERE user_id = p_user_id;
+  ELSE
+    UPDATE public.auto_topup_settings
+    SET failure_count = failure_count + 1,
+        last_failure_message = p_failure_message,
+        last_failure_at = now(),
+        enabled = CASE WHEN failure_count + 1 >= 3 THEN false ELSE enabled END,
+        updated_at = now()
+    WHERE user_id = p_user_id
+    RETURNING failure_count INTO v_failures;
+    v_disabled := COALESCE(v_failures, 0) >= 3;
+  END IF;
+
+  INSERT INTO public.auto_topup_attempts (user_id, amount, status, payment_intent_id, failure_message, disabled)
+  VALUES (p_user_id, p_amount, CASE WHEN p_status = 'succeeded' THEN 'succeeded' ELSE 'failed' END,
+    p_payment_intent_id, p_failure_message, v_disabled);
+
+  RETURN jsonb_build_object('success', true, 'disabled', v_disabled);
+END;
+$$;
+
+-- =============================================================================
+-- credit_stripe_session: as in 024; off-session auto top-ups (keyed by their
+-- PaymentIntent id) are an 'auto_topup' in the ledger.
+-- =============================================================================
+CREATE OR REPLACE FUNCTION public.credit_stripe_session(
+  p_session_id text,
+  p_user_id uuid,
+  p_amount numeric,
+  p_type text
+)
+RETURNS numeric
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  new_bal numeric;
+  inserted_count integer;
+BEGIN
+  IF p_session_id IS NULL OR btrim(p_session_id) = '' THEN
+    RAISE EXCEPTION 'session required';
+  END IF;
+  IF p_user_id IS NULL THEN
+    RAISE EXCEPTION 'user required';
+  END IF;
+
+  INSERT INTO public.stripe_processed_sessions (session_id, user_id, amount, type)
+  VALUES (p_session_id, p_user_id, COALESCE(p_amount, 0), COALESCE(p_type, 'topup'))
+  ON CONFLICT (session_id) DO NOTHING;
+
+  GET DIAGNOSTICS inserted_count = ROW_COUNT;
+
+  SELECT COALESCE(wallet_balance, 0)
+    INTO new_bal
+  FROM public.profiles
+  WHERE id = p_user_id;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'profile not found';
+  END IF;
+
+  -- Only the first successful insert credits. Later retries return current balance.
+  IF inserted_count > 0 AND COALESCE(p_amount, 0) > 0 THEN
+    PERFORM public.set_wallet_context(
+      CASE COALESCE(p_type, 'topup')
+        WHEN 'topup' THEN 'topup'
+        WHEN 'auto_topup' THEN 'auto_topup'
+        ELSE 'card_payment'
+      END,
+      NULL, p_session_id, p_type
+    );
+    UPDATE public.profiles
+    SET wallet_balance = COALESCE(wallet_balance, 0) + p_amount
+    WHERE id = p_user_id
+    RETURNING wallet_balance INTO new_bal;
+  END IF;
+
+  RETURN COALESCE(new_bal, 0);
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.save_auto_topup_settings(boolean, numeric, numeric) FROM PUBLIC;
+REVOKE ALL ON FUNCTION public.save_auto_topup_settings(boolean, numeric, numeric) FROM anon;
+GRANT EXECUTE ON FUNCTION public.save_auto_topup_settings(boolean, numeric, numeric) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.save_auto_topup_settings(boolean, numeric, numeric) TO service_role;
+
+REVOKE ALL ON FUNCTION public.record_auto_topup_attempt(uuid, numeric, text, text, text) FROM PUBLIC;
+REVOKE ALL ON FUNCTION public.record_auto_topup_attempt(uuid, numeric, text, text, text) FROM anon;
+REVOKE ALL ON FUNCTION public.record_auto_topup_attempt(uuid, numeric, text, text, text) FROM authenticated;
+GRANT EXECUTE ON FUNCTION public.record_auto_topup_attempt(uuid, numeric, text, text, text) TO service_role;
+
+-- Database Webhook (Dashboard → Database → Webhooks): table auto_topup_attempts,
+-- event INSERT, Supabase Edge Function send-auto-topup-sms.
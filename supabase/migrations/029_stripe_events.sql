@@ -0,0 +1,57 @@
+-- Stripe webhook event log. Safe to re-run.
+-- stripe-webhook stores every signed event here before anything else, keyed by
+-- the Stripe event id, so a redelivered event is recognised and not processed
+-- twice. dynamic-task (action "stripe-event") processes the stored event and
+-- records the outcome; admins can list events and replay failed ones from the
+-- Stripe Events screen (action "replay-stripe-event").
+-- Handled: checkout.session.completed / async_payment_succeeded (credit),
+-- checkout.session.expired / async_payment_failed (release the pending booking
+-- and promo code), charge.refunded / charge.refund.updated (refunds) and
+-- charge.dispute.created (flag the payment). Anything else is stored as ignored.
+-- Requires 028_auto_topup.sql.
+
+CREATE TABLE IF NOT EXISTS public.stripe_events (
+  id text PRIMARY KEY,
+  type text NOT NULL,
+  object_id text,
+  livemode boolean NOT NULL DEFAULT false,
+  payload jsonb NOT NULL,
+  status text NOT NULL DEFAULT 'received' CHECK (status IN ('received', 'processed', 'ignored', 'failed')),
+  attempts integer NOT NULL DEFAULT 0,
+  error text,
+  result jsonb,
+  received_at timestamptz NOT NULL DEFAULT now(),
+  processed_at timestamptz
+);
+
+CREATE INDEX IF NOT EXISTS idx_stripe_events_received ON public.stripe_events (received_at DESC);
+CREATE INDEX IF NOT EXISTS idx_stripe_events_status ON public.stripe_events (status, received_at DESC);
+
+COMMENT ON TABLE public.stripe_events IS 'Signed Stripe webhook events, one row per event id, with how processing went.';
+COMMENT ON COLUMN public.stripe_events.object_id IS 'data.object.id: the Checkout session, charge or dispute';
+
+-- RLS: admins read; rows are written by the Stripe functions (service_role)
+ALTER TABLE public.stripe_events ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "stripe_events_admin_select" ON public.stripe_events;
+CREATE POLICY "stripe_events_admin_select"
+  ON public.stripe_events FOR SELECT TO authenticated
+  USING (EXISTS (SELECT 1 FROM public.profiles p WHERE p.id = auth.uid() AND p.role = 'admin'));
+
+GRANT SELECT ON TABLE public.stripe_events TO authenticated;
+GRANT ALL ON TABLE public.stripe_events TO service_role;
+
+-- Lessons whose Checkout session expired or whose payment failed are not booked
+ALTER TABLE public.stripe_pending_bookings DROP CONSTRAINT IF EXISTS stripe_pending_bookings_status_check;
+ALTER TABLE public.stripe_pending_bookings
+  ADD CONSTRAINT stripe_pending_bookings_status_check
+  CHECK (status IN ('pending', 'booked', 'failed', 'expired'));
+
+-- Disputed card payments (charge.dispute.created)
+ALTER TABLE public.stripe_processed_sessions
+  ADD COLUMN IF NOT EXISTS dispute_id text,
+  ADD COLUMN IF NOT EXISTS dispute_status text,
+  ADD COLUMN IF NOT EXISTS dispute_reason text,
+  ADD COLUMN IF NOT EXISTS disputed_at timestamptz;
+
+COMMENT ON COLUMN public.stripe_processed_sessions.dispute_id IS 'Stripe dispute opened on this payment; respond in the Stripe dashboard';
@@ -0,0 +1,74 @@
+-- Rate limits for the payment verification endpoint. Safe to re-run.
+-- Checkout success URLs carry a short-lived token signed by dynamic-task for the
+-- student and the session (a nonce in the session metadata), and verify-payment
+-- and the GET ?action=credit path reject calls without a valid one. Those paths
+-- need no login, so each call first counts against hit_rate_limit: per client IP
+-- and per Checkout session, in fixed windows.
+-- Requires 029_stripe_events.sql.
+
+CREATE TABLE IF NOT EXISTS public.rate_limit_hits (
+  bucket text NOT NULL,
+  window_start timestamptz NOT NULL,
+  hits integer NOT NULL DEFAULT 0,
+  PRIMARY KEY (bucket, window_start)
+);
+
+CREATE INDEX IF NOT EXISTS idx_rate_limit_hits_window ON public.rate_limit_hits (window_start);
+
+COMMENT ON TABLE public.rate_limit_hits IS 'Calls per bucket (e.g. verify-payment:ip:1.2.3.4) per fixed window; written by hit_rate_limit only.';
+
+-- RLS on with no policies: only service_role (through hit_rate_limit) touches it
+ALTER TABLE public.rate_limit_hits ENABLE ROW LEVEL SECURITY;
+GRANT ALL ON TABLE public.rate_limit_hits TO service_role;
+
+-- =============================================================================
+-- hit_rate_limit: counts a call against p_bucket in the current window of
+-- p_window_seconds. Windows older than a day are cleared as it goes.
+-- Returns { success: true, remaining } or
+-- { success: false, code: 'rate_limited', message, retry_after } (seconds).
+-- =============================================================================
+CREATE OR REPLACE FUNCTION public.hit_rate_limit(
+  p_bucket text,
+  p_limit integer,
+  p_window_seconds integer
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_window_start timestamptz;
+  v_hits integer;
+BEGIN
+  IF p_bucket IS NULL OR btrim(p_bucket) = '' THEN
+    RAISE EXCEPTION 'bucket required';
+  END IF;
+  IF COALESCE(p_limit, 0) < 1 OR COALESCE(p_window_seconds, 0) < 1 THEN
+    RAISE EXCEPTION 'limit and window must be positive';
+  END IF;
+
+  v_window_start := to_timestamp(floor(extract(epoch FROM now()) / p_window_seconds) * p_window_seconds);
+
+  INSERT INTO public.rate_limit_hits (bucket, window_start, hits)
+  VALUES (p_bucket, v_window_start, 1)
+  ON CONFLICT (bucket, window_start) DO UPDATE
+  SET hits = public.rate_limit_hits.hits + 1
+  RETURNING hits INTO v_hits;
+
+  DELETE FROM public.rate_limit_hits WHERE window_start < now() - interval '1 day';
+
+  IF v_hits > p_limit THEN
+    RETURN jsonb_build_object('success', false, 'code', 'rate_limited',
+      'message', 'Too many attempts. Please wait a few minutes and try again.',
+      'retry_after', GREATEST(1, ceil(extract(epoch FROM (v_window_start + make_interval(secs => p_window_seconds) - now())))::integer));
+  END IF;
+
+  RETURN jsonb_build_object('success', true, 'remaining', p_limit - v_hits);
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.hit_rate_limit(text, integer, integer) FROM PUBLIC;
+REVOKE ALL ON FUNCTION public.hit_rate_limit(text, integer, integer) FROM anon;
+REVOKE ALL ON FUNCTION public.hit_rate_limit(text, integer, integer) FROM authenticated;
+GRANT EXECUTE ON FUNCTION public.hit_rate_limit(text, integer, integer) TO service_role;
@@ -0,0 +1,142 @@
+-- Stripe reconciliation. Safe to re-run.
+-- The stripe-reconcile Edge Function lists paid Checkout sessions and automatic
+-- top-up payments for a date range from Stripe and compares each with
+-- stripe_processed_sessions, the wallet ledger and stripe_pending_bookings.
+-- It reports missing credits, double credits, amount mismatches and paid
+-- lessons that were never booked, and stores each run in
+-- stripe_reconciliation_runs. Admins fix a discrepancy from the Reconciliation
+-- screen: a missing credit or booking is processed again by dynamic-task, and
+-- any other difference is settled by reconcile_stripe_credit, which credits or
+-- debits the wallet so the ledger matches what Stripe took
+-- ('stripe_reconciliation' in the ledger).
+-- Requires 030_payment_verification.sql.
+
+CREATE TABLE IF NOT EXISTS public.stripe_reconciliation_runs (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  range_from timestamptz NOT NULL,
+  range_to timestamptz NOT NULL,
+  source text NOT NULL DEFAULT 'admin' CHECK (source IN ('admin', 'schedule')),
+  started_by uuid REFERENCES auth.users(id) ON DELETE SET NULL,
+  checked integer NOT NULL DEFAULT 0,
+  discrepancies jsonb NOT NULL DEFAULT '[]'::jsonb,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_stripe_reconciliation_runs_created ON public.stripe_reconciliation_runs (created_at DESC);
+
+COMMENT ON TABLE public.stripe_reconciliation_runs IS 'One row per stripe-reconcile run: what was checked and what did not match.';
+COMMENT ON COLUMN public.stripe_reconciliation_runs.discrepancies IS
+  'Array of { key, source, kind, userId, type, stripeAmount, recordedAmount, ledgerCredited, fixedAt }';
+
+-- RLS: admins read; runs are written by stripe-reconcile (service_role)
+ALTER TABLE public.stripe_reconciliation_runs ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "stripe_reconciliation_runs_admin_select" ON public.stripe_reconciliation_runs;
+CREATE POLICY "stripe_reconciliation_runs_admin_select"
+  ON public.stripe_reconciliation_runs FOR SELECT TO authenticated
+  USING (EXISTS (SELECT 1 FROM public.profiles p WHERE p.id = auth.uid() AND p.role = 'admin'));
+
+GRANT SELECT ON TABLE public.stripe_reconciliation_runs TO authenticated;
+GRANT ALL ON TABLE public.stripe_reconciliation_runs TO service_role;
+
+-- =============================================================================
+-- reconcile_stripe_credit: makes a Stripe payment's wallet credit equal to
+-- p_expected (what Stripe took, in dollars). Records the session as processed
+-- if it is not, then credits or debits the difference between p_expected and
+-- what the ledger credited for it. Payments credited before the wallet ledger
+-- (024) have no ledger rows and are left alone.
+-- Returns { success: true, adjusted, credited, new_balance } or
+-- { success: false, code, message }. Codes: profile_not_found, no_ledger.
+-- =============================================================================
+CREATE OR REPLACE FUNCTION public.reconcile_stripe_credit(
+  p_session_id text,
+  p_user_id uuid,
+  p_expected numeric,
+  p_type text DEFAULT 'topup',
+  p_note text DEFAULT NULL
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_balance numeric;
+  v_processed boolean;
+  v_ledger_rows integer;
+  v_credited numeric;
+  v_diff numeric;
+BEGIN
+  IF p_session_id IS NULL OR btrim(p_session_id) = '' THEN
+    RAISE EXCEPTION 'session required';
+  END IF;
+  IF p_user_id IS NULL THEN
+    RAISE EXCEPTION 'user required';
+  END IF;
+  IF p_expected IS NULL OR p_expected < 0 THEN
+    RAISE EXCEPTION 'expected amount required';
+  END IF;
+
+  SELECT COALESCE(wallet_balance, 0) INTO v_balance
+  FROM public.profiles
+  WHERE id = p_user_id
+  FOR UPDATE;
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('success', false, 'code', 'profile_not_found',
+      'message', 'The student on this payment no longer has a profile.');
+  END IF;
+
+  SELECT EXISTS (SELECT 1 FROM public.stripe_processed_sessions WHERE session_id = p_session_id)
+    INTO v_processed;
+
+  SELECT count(*), COALESCE(sum(amount), 0)
+    INTO v_ledger_rows, v_credited
+  FROM public.wallet_transactions
+  WHERE stripe_session_id = p_session_id
+    AND user_id = p_user_id
+    AND reason IN ('topup', 'card_payment', 'auto_topup', 'stripe_reconciliation');
+
+  IF v_processed AND v_ledger_rows = 0 THEN
+    RETURN jsonb_build_object('success', false, 'code', 'no_ledger',
+      'message', 'This payment was credited before the wallet ledger. Check it by hand.');
+  END IF;
+
+  INSERT INTO public.stripe_processed_sessions (session_id, user_id, amount, type)
+  VALUES (p_session_id, p_user_id, round(p_expected, 2), COALESCE(p_type, 'topup'))
+  ON CONFLICT (session_id) DO UPDATE SET amount = EXCLUDED.amount;
+
+  v_diff := round(p_expected - v_credited, 2);
+  IF v_diff <> 0 THEN
+    PERFORM public.set_wallet_context(
+      'stripe_reconciliation', NULL, p_session_id,
+      COALESCE(NULLIF(btrim(p_note), ''), 'Stripe reconciliation')
+    );
+    UPDATE public.profiles
+    SET wallet_balance = COALESCE(wallet_balance, 0) + v_diff
+    WHERE id = p_user_id
+    RETURNING wallet_balance INTO v_balance;
+  END IF;
+
+  RETURN jsonb_build_object(
+    'success', true,
+    'adjusted', v_diff,
+    'credited', v_credited,
+    'new_balance', v_balance
+  );
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.reconcile_stripe_credit(text, uuid, numeric, text, text) FROM PUBLIC;
+REVOKE ALL ON FUNCTION public.reconcile_stripe_credit(text, uuid, numeric, text, text) FROM anon;
+REVOKE ALL ON FUNCTION public.reconcile_stripe_credit(text, uuid, numeric, text, text) FROM authenticated;
+GRANT EXECUTE ON FUNCTION public.reconcile_stripe_credit(text, uuid, numeric, text, text) TO service_role;
+
+-- Nightly run (optional; needs the pg_cron and pg_net extensions). Replace the
+-- project ref and service role key, then run once:
+-- SELECT cron.schedule('stripe-reconcile-nightly', '30 3 * * *', $cron$
+--   SELECT net.http_post(
+--     url := 'https://<project-ref>.supabase.co/functions/v1/stripe-reconcile',
+--     headers := '{"Content-Type": "application/json", "Authorization": "Bearer <service-role-key>"}'::jsonb,
+--     body := '{"action": "run", "days": 3}'::jsonb
+--   );
+-- $cron$);
@@ -0,0 +1,109 @@
+-- Currency per academy. Safe to re-run.
+-- academies.currency (ISO 4217, lowercase like Stripe) is the currency an
+-- academy's wallet balances, prices and card payments are in. dynamic-task
+-- creates Checkout sessions and automatic top-ups in the student's academy
+-- currency, and the app formats amounts with it (utils/currency.js).
+-- currency_minimum_charge is the smallest top-up or card charge per currency;
+-- keep it in step with MINIMUM_CHARGE in utils/currency.js and dynamic-task.
+-- Amounts are not converted: changing the currency of an academy that already
+-- has balances or prices relabels them, so set it before going live.
+-- Requires 031_stripe_reconciliation.sql.
+
+ALTER TABLE public.academies
+  ADD COLUMN IF NOT EXISTS currency text NOT NULL DEFAULT 'aud';
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint WHERE conname = 'academies_currency_check'
+  ) THEN
+    ALTER TABLE public.academies
+      ADD CONSTRAINT academies_currency_check
+      CHECK (currency IN ('aud', 'nzd', 'usd', 'cad', 'gbp', 'eur', 'sgd', 'hkd', 'jpy'));
+  END IF;
+END $$;
+
+COMMENT ON COLUMN public.academies.currency IS 'Currency of wallet balances, prices and card payments (lowercase ISO 4217)';
+
+-- =============================================================================
+-- currency_minimum_charge: smallest wallet top-up or card charge, in major
+-- units. Unknown currencies get the AUD minimum.
+-- =============================================================================
+CREATE OR REPLACE FUNCTION public.currency_minimum_charge(p_currency text)
+RETURNS numeric
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  SELECT CASE lower(COALESCE(p_currency, 'aud'))
+    WHEN 'hkd' THEN 40
+    WHEN 'jpy' THEN 500
+    ELSE 5
+  END::numeric;
+$$;
+
+-- =============================================================================
+-- save_auto_topup_settings: as in 028_auto_topup.sql, with the minimum amount
+-- taken from the caller's academy currency.
+-- =============================================================================
+CREATE OR REPLACE FUNCTION public.save_auto_topup_settings(
+  p_enabled boolean,
+  p_threshold numeric,
+  p_amount numeric
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_user_id uuid := auth.uid();
+  v_card text;
+  v_currency text;
+  v_minimum numeric;
+BEGIN
+  IF v_user_id IS NULL THEN
+    RAISE EXCEPTION 'Not authenticated';
+  END IF;
+
+  SELECT a.currency INTO v_currency
+  FROM public.profiles p
+  JOIN public.academies a ON a.id = p.academy_id
+  WHERE p.id = v_user_id;
+  v_minimum := public.currency_minimum_charge(v_currency);
+
+  IF p_amount IS NULL OR p_amount < v_minimum THEN
+    RETURN jsonb_build_object('success', false, 'code', 'invalid_amount',
+      'message', format('Top-up amount must be at least %s %s.', v_minimum, upper(COALESCE(v_currency, 'aud'))),
+      'minimum', v_minimum);
+  END IF;
+  IF p_threshold IS NULL OR p_threshold < 0 THEN
+    RETURN jsonb_build_object('success', false, 'code', 'invalid_threshold',
+      'message', 'Enter a balance of 0 or more.');
+  END IF;
+
+  SELECT payment_method_id INTO v_card FROM public.auto_topup_settings WHERE user_id = v_user_id;
+  IF COALESCE(p_enabled, false) AND v_card IS NULL THEN
+    RETURN jsonb_build_object('success', false, 'code', 'no_card',
+      'message', 'Save a card before turning on auto top-up.');
+  END IF;
+
+  INSERT INTO public.auto_topup_settings (user_id, enabled, threshold, amount)
+  VALUES (v_user_id, COALESCE(p_enabled, false), round(p_threshold, 2), round(p_amount, 2))
+  ON CONFLICT (user_id) DO UPDATE
+  SET enabled = EXCLUDED.enabled,
+      threshold = EXCLUDED.threshold,
+      amount = EXCLUDED.amount,
+      failure_count = 0,
+      last_failure_message = NULL,
+      updated_at = now();
+
+  RETURN jsonb_build_object('success', true);
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.currency_minimum_charge(text) TO anon, authenticated, service_role;
+
+REVOKE ALL ON FUNCTION public.save_auto_topup_settings(boolean, numeric, numeric) FROM PUBLIC;
+REVOKE ALL ON FUNCTION public.save_auto_topup_settings(boolean, numeric, numeric) FROM anon;
+GRANT EXECUTE ON FUNCTION public.save_auto_topup_settings(boolean, numeric, numeric) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.save_auto_topup_settings(boolean, numeric, numeric) TO service_role;
@@ -0,0 +1,572 @@
+-- Timezone per academy. Safe to re-run.
+-- academies.timezone is an IANA zone name (e.g. 'Australia/Sydney',
+-- 'Europe/London'). Lesson times are stored in UTC; local dates, weekly
+-- repeats, peak windows, term sessions and texts use the academy's zone.
+-- The app converts with utils/timezone.js and the SMS functions format with it.
+-- Replaces the hardcoded 'Australia/Sydney' in check_booking_policies and
+-- book_lesson_series (025), quote_lesson_price (020), term_program_sessions and
+-- list_term_programs (023); their behaviour is otherwise unchanged.
+-- Requires 032_academy_currency.sql.
+
+-- =============================================================================
+-- is_valid_timezone: true for a zone name PostgreSQL knows.
+-- =============================================================================
+CREATE OR REPLACE FUNCTION public.is_valid_timezone(p_timezone text)
+RETURNS boolean
+LANGUAGE plpgsql
+IMMUTABLE
+AS $$
+BEGIN
+  IF p_timezone IS NULL OR p_timezone !~ '^[A-Za-z_]+(/[A-Za-z0-9_+-]+)*$' THEN
+    RETURN false;
+  END IF;
+  PERFORM timestamptz '2000-01-01 00:00+00' AT TIME ZONE p_timezone;
+  RETURN true;
+EXCEPTION WHEN invalid_parameter_value THEN
+  RETURN false;
+END;
+$$;
+
+ALTER TABLE public.academies
+  ADD COLUMN IF NOT EXISTS timezone text NOT NULL DEFAULT 'Australia/Sydney';
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint WHERE conname = 'academies_timezone_check'
+  ) THEN
+    ALTER TABLE public.academies
+      ADD CONSTRAINT academies_timezone_check CHECK (public.is_valid_timezone(timezone));
+  END IF;
+END $$;
+
+COMMENT ON COLUMN public.academies.timezone IS 'IANA timezone lesson times are shown and scheduled in';
+
+-- =============================================================================
+-- academy_timezone / user_timezone: the zone of an academy, or of the academy
+-- a profile belongs to. 'Australia/Sydney' when there is none.
+-- =============================================================================
+CREATE OR REPLACE FUNCTION public.academy_timezone(p_academy_id uuid)
+RETURNS text
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT COALESCE((SELECT timezone FROM public.academies WHERE id = p_academy_id), 'Australia/Sydney');
+$$;
+
+CREATE OR REPLACE FUNCTION public.user_timezone(p_user_id uuid)
+RETURNS text
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT public.academy_timezone((SELECT academy_id FROM public.profiles WHERE id = p_user_id));
+$$;
+
+-- =============================================================================
+-- check_booking_policies: as in 025_family_accounts.sql; the weekly cap's
+-- week is the student's academy week.
+-- =============================================================================
+CREATE OR REPLACE FUNCTION public.check_booking_policies(p_user_id uuid, p_segments jsonb)
+RETURNS jsonb
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_tz constant text := public.user_timezone(p_user_id);
+  v_academy uuid;
+  v_seg jsonb;
+  v_idx integer;
+  v_start timestamptz;
+  v_service text;
+  v_policy public.booking_policies%ROWTYPE;
+  v_week_start timestamptz;
+  v_week_end timestamptz;
+  v_count integer;
+  v_player uuid;
+BEGIN
+  IF p_segments IS NULL OR jsonb_typeof(p_segments) <> 'array' THEN
+    RETURN NULL;
+  END IF;
+
+  SELECT academy_id INTO v_academy FROM public.profiles WHERE id = p_user_id;
+
+  FOR v_seg, v_idx IN
+    SELECT value, ordinality - 1 FROM jsonb_array_elements(p_segments) WITH ORDINALITY
+  LOOP
+    v_start := (v_seg->>'start_time')::timestamptz;
+    v_service := NULLIF(v_seg->>'service_name', '');
+    v_player := NULLIF(v_seg->>'player_id', '')::uuid;
+    CONTINUE WHEN v_start IS NULL;
+
+    v_policy := public.resolve_booking_policy(v_academy, v_service);
+    CONTINUE WHEN v_policy.id IS NULL;
+
+    IF v_policy.min_lead_hours IS NOT NULL
+       AND v_start < now() + make_interval(hours => v_policy.min_lead_hours) THEN
+      RETURN jsonb_build_object('success', false, 'code', 'policy_lead_time',
+        'message', format('Bookings must be made at least %s in advance.', public.format_lead_time(v_policy.min_lead_hours)),
+        'segment', v_idx);
+    END IF;
+
+    IF v_policy.max_days_ahead IS NOT NULL
+       AND v_start > now() + make_interval(days => v_policy.max_days_ahead) THEN
+      RETURN jsonb_build_object('success', false, 'code', 'policy_too_far_ahead',
+        'message', format('Bookings open %s days in advance.', v_policy.max_days_ahead),
+        'segment', v_idx);
+    END IF;
+
+    IF v_policy.max_bookings_per_week IS NOT NULL THEN
+      v_week_start := date_trunc('week', v_start AT TIME ZONE v_tz) AT TIME ZONE v_tz;
+      v_week_end := (date_trunc('week', v_start AT TIME ZONE v_tz) + interval '7 days') AT TIME ZONE v_tz;
+
+      SELECT count(*) INTO v_count
+      FROM public.bookings
+      WHERE user_id = p_user_id
+        AND player_id IS NOT DISTINCT FROM v_player
+        AND start_time >= v_week_start
+        AND start_time < v_week_end
+        AND (v_policy.service_name IS NULL OR service_name = v_policy.service_name);
+
+      SELECT v_count + count(*) INTO v_count
+      FROM jsonb_array_elements(p_segments) WITH ORDINALITY AS s(value, ord)
+      WHERE s.ord - 1 <= v_idx
+        AND NULLIF(s.value->>'player_id', '')::uuid IS NOT DISTINCT FROM v_player
+        AND (s.value->>'start_time')::timestamptz >= v_week_start
+        AND (s.value->>'start_time')::timestamptz < v_week_end
+        AND (v_policy.service_name IS NULL OR s.value->>'service_name' = v_policy.service_name);
+
+      IF v_count > v_policy.max_bookings_per_week THEN
+        RETURN jsonb_build_object('success', false, 'code', 'policy_weekly_limit',
+          'message', format('You can book up to %s %slesson%s per week.',
+            v_policy.max_bookings_per_week,
+            COALESCE(v_policy.service_name || ' ', ''),
+            CASE WHEN v_policy.max_bookings_per_week = 1 THEN '' ELSE 's' END),
+          'segment', v_idx);
+      END IF;
+    END IF;
+  END LOOP;
+
+  RETURN NULL;
+END;
+$$;
+
+-- =============================================================================
+-- book_lesson_series: as in 025_family_accounts.sql; weekly repeats keep the
+-- same local time in the student's academy zone.
+-- =============================================================================
+CREATE OR REPLACE FUNCTION public.book_lesson_series(
+  p_user_id uuid,
+  p_segments jsonb,
+  p_until date
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_tz constant text := public.user_timezone(p_user_id);
+  v_max_weeks constant integer := 26;
+  v_first_start timestamptz;
+  v_week integer;
+  v_seg jsonb;
+  v_location uuid;
+  v_start timestamptz;
+  v_end timestamptz;
+  v_expected integer;
+  v_ids uuid[];
+  v_open integer;
+  v_capacity integer;
+  v_existing integer;
+  v_first_ids uuid[];
+  v_player uuid;
+  v_code text;
+  v_message text;
+  v_book jsonb := '[]'::jsonb;
+  v_booked jsonb := '[]'::jsonb;
+  v_failed jsonb := '[]'::jsonb;
+  v_result jsonb;
+  v_series_id uuid;
+  v_academy uuid;
+  v_check_policies boolean := auth.uid() IS NOT NULL
+    AND NOT EXISTS (SELECT 1 FROM public.profiles WHERE id = auth.uid() AND role = 'admin');
+  v_policy_error jsonb;
+BEGIN
+  IF auth.uid() IS NOT NULL AND auth.uid() <> p_user_id
+     AND NOT EXISTS (SELECT 1 FROM public.profiles WHERE id = auth.uid() AND role = 'admin') THEN
+    RETURN jsonb_build_object('success', false, 'code', 'unauthorized',
+      'message', 'You can only book lessons for yourself.', 'failed', '[]'::jsonb);
+  END IF;
+
+  IF p_segments IS NULL OR jsonb_typeof(p_segments) <> 'array' OR jsonb_array_length(p_segments) = 0
+     OR p_until IS NULL THEN
+    RETURN jsonb_build_object('success', false, 'code', 'invalid_request',
+      'message', 'No lessons to book.', 'failed', '[]'::jsonb);
+  END IF;
+
+  SELECT MIN((value->>'start_time')::timestamptz) INTO v_first_start
+  FROM jsonb_array_elements(p_segments);
+
+  FOR v_week IN 0..(v_max_weeks - 1) LOOP
+    EXIT WHEN ((v_first_start AT TIME ZONE v_tz) + make_interval(weeks => v_week))::date > p_until;
+
+    FOR v_seg IN SELECT value FROM jsonb_array_elements(p_segments) LOOP
+      v_location := NULLIF(v_seg->>'location_id', '')::uuid;
+      v_player := NULLIF(v_seg->>'player_id', '')::uuid;
+      -- Shift in the academy's local time so 4pm stays 4pm across daylight saving changes
+      v_start := (((v_seg->>'start_time')::timestamptz AT TIME ZONE v_tz) + make_interval(weeks => v_week)) AT TIME ZONE v_tz;
+      v_end := (((v_seg->>'end_time')::timestamptz AT TIME ZONE v_tz) + make_interval(weeks => v_week)) AT TIME ZONE v_tz;
+      v_first_ids := ARRAY(SELECT jsonb_array_elements_text(COALESCE(v_seg->'availability_ids', '[]'::jsonb))::uuid);
+      v_code := NULL;
+
+      IF v_week = 0 THEN
+        v_ids := v_first_ids;
+      ELSE
+        -- Same number of slots, same service, covering the same local times
+        v_expected := cardinality(v_first_ids);
+        SELECT COALESCE(array_agg(a.id ORDER BY a.start_time), '{}')
+          INTO v_ids
+        FROM public.availabilities a
+        WHERE a.location_id = v_location
+          AND a.start_time >= v_start
+          AND a.start_time < v_end
+          AND a.service_name IS NOT DISTINCT FROM NULLIF(v_seg->>'service_name', '');
+
+        IF cardinality(v_ids) = 0 OR cardinality(v_ids) < v_expected THEN
+          v_code := 'slot_unavailable';
+          v_message := 'No session is scheduled at this time.';
+        END IF;
+      END IF;
+
+      IF v_code IS NULL AND cardinality(v_ids) > 0 THEN
+        PERFORM 1 FROM public.availabilities WHERE id = ANY(v_ids) ORDER BY id FOR UPDATE;
+
+        SELECT count(*), MIN(COALESCE(max_capacity, 10))
+          INTO v_open, v_capacity
+        FROM public.availabilities
+        WHERE id = ANY(v_ids)
+          AND COALESCE(is_booked, false) = false;
+
+        SELECT count(*) INTO v_existing
+        FROM public.bookings
+        WHERE location_id = v_location
+          AND start_time = v_start
+          AND end_time = v_end;
+
+        IF v_open < cardinality(v_ids) OR v_existing >= v_capacity THEN
+          v_code := 'slot_full';
+          v_message := 'This session is full.';
+        ELSIF EXISTS (
+          SELECT 1 FROM public.bookings
+          WHERE user_id = p_user_id
+            AND player_id IS NOT DISTINCT FROM v_player
+            AND start_time < v_end
+            AND end_time > v_start
+        ) THEN
+          v_code := 'booking_conflict';
+          v_message := CASE WHEN v_player IS NULL
+            THEN 'You already have a lesson at this time.'
+            ELSE 'This player already has a lesson at this time.' END;
+        END IF;
+      END IF;
+
+      -- Dates outside the booking policy (e.g. too far ahead) are reported, not fatal
+      IF v_code IS NULL AND v_check_policies THEN
+        v_policy_error := public.check_booking_policies(p_user_id, jsonb_build_array(
+          jsonb_build_object('start_time', v_start, 'service_name', v_seg->'service_name', 'player_id', v_player)
+        ));
+        IF v_policy_error IS NOT NULL THEN
+          v_code := v_policy_error->>'code';
+          v_message := v_policy_error->>'message';
+        END IF;
+      END IF;
+
+      IF v_code IS NULL THEN
+        v_book := v_book || jsonb_build_object(
+          'location_id', v_location,
+          'start_time', v_start,
+          'end_time', v_end,
+          'service_name', v_seg->'service_name',
+          'cost', v_seg->'cost',
+          'availability_ids', to_jsonb(v_ids),
+          'player_id', v_player
+        );
+        v_booked := v_booked || to_jsonb(v_start);
+      ELSIF v_week = 0 THEN
+        -- The week the student picked must be bookable; report it like a normal booking
+        RETURN jsonb_build_object('success', false, 'code', v_code, 'message', v_message, 'failed', '[]'::jsonb);
+      ELSE
+        v_failed := v_failed || jsonb_build_object('start_time', v_start, 'code', v_code, 'message', v_message);
+      END IF;
+    END LOOP;
+  END LOOP;
+
+  IF jsonb_array_length(v_book) = 0 THEN
+    RETURN jsonb_build_object('success', false, 'code', 'no_available_dates',
+      'message', 'None of the dates in this series are available.', 'failed', v_failed);
+  END IF;
+
+  -- One wallet debit for the whole series; book_lessons also enforces who may book for whom
+  v_result := public.book_lessons(p_user_id, v_book, true);
+  IF NOT COALESCE((v_result->>'success')::boolean, false) THEN
+    RETURN v_result || jsonb_build_object('failed', v_failed);
+  END IF;
+
+  SELECT academy_id INTO v_academy FROM public.profiles WHERE id = p_user_id;
+
+  INSERT INTO public.booking_series (user_id, segments, first_start_time, repeat_until, academy_id)
+  VALUES (p_user_id, p_segments, v_first_start, p_until, v_academy)
+  RETURNING id INTO v_series_id;
+
+  UPDATE public.bookings
+  SET series_id = v_series_id
+  WHERE id IN (SELECT jsonb_array_elements_text(v_result->'booking_ids')::uuid);
+
+  RETURN v_result || jsonb_build_object(
+    'series_id', v_series_id,
+    'booked', v_booked,
+    'failed', v_failed
+  );
+END;
+$$;
+
+-- =============================================================================
+-- quote_lesson_price: as in 020_pricing_rules.sql; peak windows are local to
+-- the location's academy (or the student's).
+-- =============================================================================
+CREATE OR REPLACE FUNCTION public.quote_lesson_price(
+  p_user_id uuid,
+  p_location_id uuid,
+  p_service_name text,
+  p_start timestamptz,
+  p_end timestamptz
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_tz constant text := public.academy_timezone(COALESCE(
+    (SELECT academy_id FROM public.locations WHERE id = p_location_id),
+    (SELECT academy_id FROM public.profiles WHERE id = p_user_id)
+  ));
+  v_academy uuid;
+  v_profile_academy uuid;
+  v_is_member boolean;
+  v_hours numeric := EXTRACT(EPOCH FROM (p_end - p_start)) / 3600;
+  v_local_start timestamp := p_start AT TIME ZONE v_tz;
+  v_local_end timestamp := p_end AT TIME ZONE v_tz;
+  v_rule public.pricing_rules%ROWTYPE;
+  v_day date;
+  v_window_start timestamp;
+  v_window_end timestamp;
+  v_overlap numeric;
+  v_subtotal numeric := 0;
+  v_amount numeric;
+  v_items jsonb := '[]'::jsonb;
+BEGIN
+  SELECT academy_id INTO v_academy FROM public.locations WHERE id = p_location_id;
+  SELECT academy_id, is_member INTO v_profile_academy, v_is_member
+  FROM public.profiles WHERE id = p_user_id;
+  v_academy := COALESCE(v_academy, v_profile_academy);
+  v_is_member := COALESCE(v_is_member, false);
+
+  -- Base and hourly: the most specific matching rule of each kind
+  FOR v_rule IN
+    SELECT DISTINCT ON (r.kind) r.*
+    FROM public.pricing_rules r
+    WHERE r.active
+      AND r.kind IN ('base', 'hourly')
+      AND (r.location_id IS NULL OR r.location_id = p_location_id)
+      AND (r.academy_id IS NULL OR r.academy_id = v_academy)
+      AND (r.service_name IS NULL OR r.service_name = p_service_name)
+    ORDER BY r.kind, (r.location_id IS NULL), (r.academy_id IS NULL), (r.service_name IS NULL), r.created_at DESC
+  LOOP
+    IF v_rule.kind = 'base' THEN
+      v_amount := COALESCE(v_rule.amount, 0);
+      v_items := v_items || jsonb_build_object('kind', 'base',
+        'label', COALESCE(v_rule.label, p_service_name, 'Lesson'), 'amount', round(v_amount, 2));
+    ELSE
+      v_amount := COALESCE(v_rule.amount, 0) * v_hours;
+      v_items := v_items || jsonb_build_object('kind', 'hourly',
+        'label', format('%s h × $%s/h', round(v_hours, 2), round(COALESCE(v_rule.amount, 0), 2)),
+        'amount', round(v_amount, 2));
+    END IF;
+    v_subtotal := v_subtotal + v_amount;
+  END LOOP;
+
+  -- Peak/off-peak windows, pro-rated by how much of the lesson falls inside them
+  FOR v_rule IN
+    SELECT r.*
+    FROM public.pricing_rules r
+    WHERE r.active
+      AND r.kind = 'window'
+      AND (r.location_id IS NULL OR r.location_id = p_location_id)
+      AND (r.academy_id IS NULL OR r.academy_id = v_academy)
+      AND (r.service_name IS NULL OR r.service_name = p_service_name)
+    ORDER BY r.created_at
+  LOOP
+    v_overlap := 0;
+    -- Start a day early so windows that run past midnight are caught
+    FOR v_day IN SELECT generate_series(v_local_start::date - 1, v_local_end::date, interval '1 day')::date LOOP
+      CONTINUE WHEN v_rule.days_of_week IS NOT NULL
+        AND NOT (EXTRACT(ISODOW FROM v_day)::smallint = ANY(v_rule.days_of_week));
+      v_window_start := v_day + v_rule.start_local;
+      v_window_end := CASE WHEN v_rule.end_local > v_rule.start_local
+        THEN v_day + v_rule.end_local
+        ELSE v_day + 1 + v_rule.end_local END;
+      v_overlap := v_overlap + GREATEST(0,
+        EXTRACT(EPOCH FROM (LEAST(v_local_end, v_window_end) - GREATEST(v_local_start, v_window_start))) / 3600);
+    END LOOP;
+    CONTINUE WHEN v_overlap <= 0 OR v_hours <= 0;
+
+    v_amount := COALESCE(v_rule.amount, 0) * v_overlap
+      + v_subtotal * COALESCE(v_rule.percent, 0) / 100 * (v_overlap / v_hours);
+    v_items := v_items || jsonb_build_object('kind', 'window',
+      'label', COALESCE(v_rule.label, CASE WHEN v_amount < 0 THEN 'Off-peak' ELSE 'Peak' END),
+      'amount', round(v_amount, 2));
+    v_subtotal := v_subtotal + v_amount;
+  END LOOP;
+
+  IF v_is_member THEN
+    FOR v_rule IN
+      SELECT r.*
+      FROM public.pricing_rules r
+      WHERE r.active
+        AND r.kind = 'member'
+        AND (r.location_id IS NULL OR r.location_id = p_location_id)
+        AND (r.academy_id IS NULL OR r.academy_id = v_academy)
+        AND (r.service_name IS NULL OR r.service_name = p_service_name)
+      ORDER BY r.created_at
+    LOOP
+      v_amount := COALESCE(v_rule.amount, 0) + v_subtotal * COALESCE(v_rule.percent, 0) / 100;
+      v_items := v_items || jsonb_build_object('kind', 'member',
+        'label', COALESCE(v_rule.label, 'Member rate'), 'amount', round(v_amount, 2));
+      v_subtotal := v_subtotal + v_amount;
+    END LOOP;
+  END IF;
+
+  RETURN jsonb_build_object(
+    'total', GREATEST(round(v_subtotal, 2), 0),
+    'hours', round(v_hours, 2),
+    'items', v_items
+  );
+END;
+$$;
+
+-- =============================================================================
+-- term_program_sessions / list_term_programs: as in 023_term_enrolment.sql,
+-- in the term's academy zone.
+-- =============================================================================
+CREATE OR REPLACE FUNCTION public.term_program_sessions(p_program_id uuid)
+RETURNS TABLE (start_time timestamptz, end_time timestamptz)
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT
+    (d::date + p.start_local) AT TIME ZONE public.academy_timezone(t.academy_id),
+    (d::date + p.end_local) AT TIME ZONE public.academy_timezone(t.academy_id)
+  FROM public.term_programs p
+  JOIN public.terms t ON t.id = p.term_id
+  CROSS JOIN LATERAL generate_series(t.start_date, t.end_date, interval '1 day') AS d
+  WHERE p.id = p_program_id
+    AND EXTRACT(ISODOW FROM d) = p.day_of_week
+  ORDER BY 1;
+$$;
+
+CREATE OR REPLACE FUNCTION public.list_term_programs()
+RETURNS jsonb
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_academy uuid;
+  v_row record;
+  v_quote jsonb;
+  v_result jsonb := '[]'::jsonb;
+BEGIN
+  SELECT academy_id INTO v_academy FROM public.profiles WHERE id = auth.uid();
+
+  FOR v_row IN
+    SELECT p.*, t.name AS term_name, t.term_number, t.start_date, t.end_date, l.name AS location_name
+    FROM public.term_programs p
+    JOIN public.terms t ON t.id = p.term_id
+    LEFT JOIN public.locations l ON l.id = p.location_id
+    WHERE p.active
+      AND t.active
+      AND t.end_date >= (now() AT TIME ZONE public.academy_timezone(t.academy_id))::date
+      AND (t.academy_id IS NULL OR t.academy_id = v_academy)
+    ORDER BY t.start_date, p.day_of_week, p.start_local
+  LOOP
+    v_quote := public.quote_term_enrolment(v_row.id);
+    CONTINUE WHEN NOT COALESCE((v_quote->>'success')::boolean, false);
+
+    v_result := v_result || (v_quote || jsonb_build_object(
+      'term_id', v_row.term_id,
+      'term_name', v_row.term_name,
+      'term_number', v_row.term_number,
+      'term_start', v_row.start_date,
+      'term_end', v_row.end_date,
+      'name', v_row.name,
+      'description', v_row.description,
+      'service_name', v_row.service_name,
+      'location_name', v_row.location_name,
+      'day_of_week', v_row.day_of_week,
+      'start_local', to_char(v_row.start_local, 'HH24:MI'),
+      'end_local', to_char(v_row.end_local, 'HH24:MI'),
+      'capacity', v_row.capacity,
+      'is_enrolled', EXISTS (
+        SELECT 1 FROM public.term_enrolments e
+        WHERE e.program_id = v_row.id AND e.user_id = auth.uid() AND e.status = 'active'
+      )
+    ));
+  END LOOP;
+
+  RETURN v_result;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.is_valid_timezone(text) TO anon, authenticated, service_role;
+GRANT EXECUTE ON FUNCTION public.academy_timezone(uuid) TO anon, authenticated, service_role;
+
+REVOKE ALL ON FUNCTION public.user_timezone(uuid) FROM PUBLIC;
+REVOKE ALL ON FUNCTION public.user_timezone(uuid) FROM anon;
+GRANT EXECUTE ON FUNCTION public.user_timezone(uuid) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.user_timezone(uuid) TO service_role;
+
+REVOKE ALL ON FUNCTION public.check_booking_policies(uuid, jsonb) FROM PUBLIC;
+REVOKE ALL ON FUNCTION public.check_booking_policies(uuid, jsonb) FROM anon;
+REVOKE ALL ON FUNCTION public.check_booking_policies(uuid, jsonb) FROM authenticated;
+GRANT EXECUTE ON FUNCTION public.check_booking_policies(uuid, jsonb) TO service_role;
+
+REVOKE ALL ON FUNCTION public.book_lesson_series(uuid, jsonb, date) FROM PUBLIC;
+REVOKE ALL ON FUNCTION public.book_lesson_series(uuid, jsonb, date) FROM anon;
+GRANT EXECUTE ON FUNCTION public.book_lesson_series(uuid, jsonb, date) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.book_lesson_series(uuid, jsonb, date) TO service_role;
+
+REVOKE ALL ON FUNCTION public.quote_lesson_price(uuid, uuid, text, timestamptz, timestamptz) FROM PUBLIC;
+REVOKE ALL ON FUNCTION public.quote_lesson_price(uuid, uuid, text, timestamptz, timestamptz) FROM anon;
+REVOKE ALL ON FUNCTION public.quote_lesson_price(uuid, uuid, text, timestamptz, timestamptz) FROM authenticated;
+GRANT EXECUTE ON FUNCTION public.quote_lesson_price(uuid, uuid, text, timestamptz, timestamptz) TO service_role;
+
+REVOKE ALL ON FUNCTION public.term_program_sessions(uuid) FROM PUBLIC;
+REVOKE ALL ON FUNCTION public.term_program_sessions(uuid) FROM anon;
+GRANT EXECUTE ON FUNCTION public.term_program_sessions(uuid) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.term_program_sessions(uuid) TO service_role;
+
+REVOKE ALL ON FUNCTION public.list_term_programs() FROM PUBLIC;
+REVOKE ALL ON FUNCTION public.list_term_programs() FROM anon;
+GRANT EXECUTE ON FUNCTION public.list_term_programs() TO authenticated;
+GRANT EXECUTE ON FUNCTION public.list_term_programs() TO service_role;
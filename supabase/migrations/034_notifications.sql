@@ -0,0 +1,510 @@
+-- Notification outbox. Safe to re-run.
+-- Every text and email is a row in notifications. Database triggers queue them
+-- for new bookings, coach assignments, student cancellations, waitlist
+-- promotions and automatic top-ups; the app queues rain check texts with
+-- queue_rain_check_notifications once the lessons are cancelled. The
+-- dispatch-notifications Edge Function sends them: it picks the channel (SMS
+-- when the recipient has a phone, otherwise email), renders the template,
+-- retries failures with backoff and stores the delivery status Twilio reports.
+-- Admins see what was sent to whom on the Notifications screen.
+-- Replaces the send-booking-sms, send-coach-booking-sms, send-rain-check-sms,
+-- send-user-cancellation-sms, send-waitlist-sms and send-auto-topup-sms
+-- functions; delete their Database Webhooks when this is deployed (see
+-- docs/SMS_SETUP.md).
+-- Requires 033_academy_timezone.sql.
+
+CREATE TABLE IF NOT EXISTS public.notifications (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  academy_id uuid REFERENCES public.academies(id) ON DELETE SET NULL,
+  template text NOT NULL,
+  audience text NOT NULL DEFAULT 'user' CHECK (audience IN ('user', 'admin')),
+  recipient_id uuid REFERENCES public.profiles(id) ON DELETE SET NULL,
+  channel text CHECK (channel IN ('sms', 'email')),
+  to_address text,
+  data jsonb NOT NULL DEFAULT '{}'::jsonb,
+  subject text,
+  body text,
+  status text NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'sending', 'sent', 'failed', 'skipped')),
+  attempts integer NOT NULL DEFAULT 0,
+  max_attempts integer NOT NULL DEFAULT 5,
+  next_attempt_at timestamptz NOT NULL DEFAULT now(),
+  last_error text,
+  provider_id text,
+  delivery_status text,
+  dedupe_key text UNIQUE,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now(),
+  sent_at timestamptz
+);
+
+CREATE INDEX IF NOT EXISTS idx_notifications_due
+  ON public.notifications (next_attempt_at)
+  WHERE status IN ('pending', 'sending');
+CREATE INDEX IF NOT EXISTS idx_notifications_created ON public.notifications (created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_notifications_recipient ON public.notifications (recipient_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_notifications_provider ON public.notifications (provider_id) WHERE provider_id IS NOT NULL;
+
+COMMENT ON TABLE public.notifications IS 'Outbox of texts and emails; sent and retried by dispatch-notifications.';
+COMMENT ON COLUMN public.notifications.audience IS 'user: recipient_id; admin: the ADMIN_PHONE / ADMIN_EMAIL secrets';
+COMMENT ON COLUMN public.notifications.channel IS 'NULL until sent: SMS when the recipient has a phone, otherwise email';
+COMMENT ON COLUMN public.notifications.data IS 'Template fields captured when queued (times, location, names, amounts)';
+COMMENT ON COLUMN public.notifications.delivery_status IS 'Latest Twilio status callback (delivered, undelivered, failed)';
+COMMENT ON COLUMN public.notifications.dedupe_key IS 'Queuing the same key twice is a no-op';
+
+-- RLS: admins read their academy's notifications; everything else is service_role
+ALTER TABLE public.notifications ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "notifications_admin_select" ON public.notifications;
+CREATE POLICY "notifications_admin_select"
+  ON public.notifications FOR SELECT TO authenticated
+  USING (EXISTS (
+    SELECT 1 FROM public.profiles p
+    WHERE p.id = auth.uid()
+      AND p.role = 'admin'
+      AND (notifications.academy_id IS NULL OR notifications.academy_id = p.academy_id)
+  ));
+
+GRANT SELECT ON TABLE public.notifications TO authenticated;
+GRANT ALL ON TABLE public.notifications TO service_role;
+
+-- =============================================================================
+-- profile_display_name: "First Last", else the email, else 'A student'.
+-- =============================================================================
+CREATE OR REPLACE FUNCTION public.profile_display_name(p_user_id uuid)
+RETURNS text
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT COALESCE(
+    (SELECT COALESCE(NULLIF(btrim(concat_ws(' ', first_name, last_name)), ''), email)
+     FROM public.profiles WHERE id = p_user_id),
+    'A student'
+  );
+$$;
+
+-- =============================================================================
+-- enqueue_notification: queue one message. p_audience 'admin' goes to the
+-- academy admin line and needs no recipient. The academy defaults to the
+-- recipient's. Returns the notification id, or NULL when there is no recipient
+-- or p_dedupe_key was already queued.
+-- =============================================================================
+CREATE OR REPLACE FUNCTION public.enqueue_notification(
+  p_template text,
+  p_recipient_id uuid,
+  p_data jsonb DEFAULT '{}'::jsonb,
+  p_academy_id uuid DEFAULT NULL,
+  p_audience text DEFAULT 'user',
+  p_channel text DEFAULT NULL,
+  p_dedupe_key text DEFAULT NULL,
+  p_send_at timestamptz DEFAULT now()
+)
+RETURNS uuid
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_id uuid;
+  v_academy_id uuid := p_academy_id;
+BEGIN
+  IF p_audience = 'user' AND p_recipient_id IS NULL THEN
+    RETURN NULL;
+  END IF;
+
+  IF v_academy_id IS NULL AND p_recipient_id IS NOT NULL THEN
+    SELECT academy_id INTO v_academy_id FROM public.profiles WHERE id = p_recipient_id;
+  END IF;
+
+  INSERT INTO public.notifications (
+    academy_id, template, audience, recipient_id, channel, data, dedupe_key, next_attempt_at
+  ) VALUES (
+    v_academy_id, p_template, p_audience, p_recipient_id, p_channel,
+    COALESCE(p_data, '{}'::jsonb), p_dedupe_key, COALESCE(p_send_at, now())
+  )
+  ON CONFLICT (dedupe_key) DO NOTHING
+  RETURNING id INTO v_id;
+
+  RETURN v_id;
+END;
+$$;
+
+-- =============================================================================
+-- claim_notifications: mark up to p_limit due notifications 'sending' and
+-- return them (all due ones when p_ids is NULL). A notification stuck in
+-- 'sending' for 10 minutes (the dispatcher died) is claimed again.
+-- =============================================================================
+CREATE OR REPLACE FUNCTION public.claim_notifications(p_limit integer DEFAULT 50, p_ids uuid[] DEFAULT NULL)
+RETURNS SETOF public.notifications
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  RETURN QUERY
+  UPDATE public.notifications n
+  SET status = 'sending', attempts = n.attempts + 1, updated_at = now()
+  WHERE n.id IN (
+    SELECT q.id FROM public.notifications q
+    WHERE (
+        (q.status = 'pending' AND q.next_attempt_at <= now())
+        OR (q.status = 'sending' AND q.updated_at < now() - interval '10 minutes')
+      )
+      AND (p_ids IS NULL OR q.id = ANY (p_ids))
+    ORDER BY q.next_attempt_at
+    LIMIT GREATEST(COALESCE(p_limit, 50), 1)
+    FOR UPDATE SKIP LOCKED
+  )
+  RETURNING n.*;
+END;
+$$;
+
+-- =============================================================================
+-- record_notification_result: store how a send went. p_outcome is 'sent',
+-- 'skipped' (no phone or email), 'failed' (will not succeed, e.g. an invalid
+-- number) or 'retry' (provider down or rate limited). Retries wait 1, 4, 16
+-- and 64 minutes (at most 4 hours); the last attempt becomes 'failed'.
+-- =============================================================================
+CREATE OR REPLACE FUNCTION public.record_notification_result(
+  p_id uuid,
+  p_outcome text,
+  p_channel text DEFAULT NULL,
+  p_to_address text DEFAULT NULL,
+  p_subject text DEFAULT NULL,
+  p_body text DEFAULT NULL,
+  p_provider_id text DEFAULT NULL,
+  p_error text DEFAULT NULL
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_row public.notifications%ROWTYPE;
+  v_status text;
+BEGIN
+  SELECT * INTO v_row FROM public.notifications WHERE id = p_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('success', false, 'code', 'not_found', 'message', 'Notification not found.');
+  END IF;
+
+  v_status := CASE
+    WHEN p_outcome IN ('sent', 'skipped', 'failed') THEN p_outcome
+    WHEN v_row.attempts >= v_row.max_attempts THEN 'failed'
+    ELSE 'pending'
+  END;
+
+  UPDATE public.notifications
+  SET status = v_status,
+      channel = COALESCE(p_channel, channel),
+      to_address = COALESCE(p_to_address, to_address),
+      subject = COALESCE(p_subject, subject),
+      body = COALESCE(p_body, body),
+      provider_id = COALESCE(p_provider_id, provider_id),
+      last_error = CASE WHEN p_outcome = 'sent' THEN NULL ELSE p_error END,
+      next_attempt_at = CASE
+        WHEN v_status = 'pending'
+          THEN now() + LEAST(power(4, GREATEST(v_row.attempts - 1, 0)), 240) * interval '1 minute'
+        ELSE next_attempt_at
+      END,
+      sent_at = CASE WHEN v_status = 'sent' THEN now() ELSE sent_at END,
+      updated_at = now()
+  WHERE id = p_id;
+
+  RETURN jsonb_build_object('success', true, 'status', v_status);
+END;
+$$;
+
+-- =============================================================================
+-- retry_notification: an admin sends a failed or skipped notification again
+-- (e.g. after adding the student's phone). The app then calls the dispatcher.
+-- Codes: unauthorized, not_found, not_retryable
+-- =============================================================================
+CREATE OR REPLACE FUNCTION public.retry_notification(p_notification_id uuid)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_row public.notifications%ROWTYPE;
+BEGIN
+  SELECT n.* INTO v_row
+  FROM public.notifications n
+  WHERE n.id = p_notification_id
+    AND EXISTS (
+      SELECT 1 FROM public.profiles p
+      WHERE p.id = auth.uid()
+        AND p.role = 'admin'
+        AND (n.academy_id IS NULL OR n.academy_id = p.academy_id)
+    )
+  FOR UPDATE OF n;
+
+  IF NOT FOUND THEN
+    IF NOT EXISTS (SELECT 1 FROM public.profiles WHERE id = auth.uid() AND role = 'admin') THEN
+      RETURN jsonb_build_object('success', false, 'code', 'unauthorized', 'message', 'Only admins can resend notifications.');
+    END IF;
+    RETURN jsonb_build_object('success', false, 'code', 'not_found', 'message', 'Notification not found.');
+  END IF;
+
+  IF v_row.status NOT IN ('failed', 'skipped') THEN
+    RETURN jsonb_build_object('success', false, 'code', 'not_retryable',
+      'message', 'Only failed or skipped notifications can be resent.');
+  END IF;
+
+  UPDATE public.notifications
+  SET status = 'pending',
+      attempts = 0,
+      channel = NULL,
+      next_attempt_at = now(),
+      updated_at = now()
+  WHERE id = p_notification_id;
+
+  RETURN jsonb_build_object('success', true, 'id', p_notification_id);
+END;
+$$;
+
+-- =============================================================================
+-- Triggers
+-- =============================================================================
+
+-- bookings INSERT: tell the admin; if a coach is already set, the coach and
+-- student too. UPDATE of coach_id: tell the new coach, and confirm the booking
+-- to the student (once per booking).
+CREATE OR REPLACE FUNCTION public.notify_booking_change()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_data jsonb;
+BEGIN
+  v_data := jsonb_build_object(
+    'booking_id', NEW.id,
+    'start_time', NEW.start_time,
+    'end_time', NEW.end_time,
+    'service_name', NEW.service_name,
+    'location_name', COALESCE((SELECT name FROM public.locations WHERE id = NEW.location_id), 'Unknown location'),
+    'student_name', public.profile_display_name(NEW.user_id)
+  );
+
+  IF TG_OP = 'INSERT' THEN
+    PERFORM public.enqueue_notification('booking_created', NULL, v_data, NEW.academy_id, 'admin',
+      p_dedupe_key => 'booking_created:' || NEW.id);
+  END IF;
+
+  IF NEW.coach_id IS NOT NULL AND (TG_OP = 'INSERT' OR NEW.coach_id IS DISTINCT FROM OLD.coach_id) THEN
+    PERFORM public.enqueue_notification('coach_assigned', NEW.coach_id, v_data, NEW.academy_id,
+      p_dedupe_key => 'coach_assigned:' || NEW.id || ':' || NEW.coach_id);
+    PERFORM public.enqueue_notification('booking_confirmed', NEW.user_id, v_data, NEW.academy_id,
+      p_dedupe_key => 'booking_confirmed:' || NEW.id);
+  END IF;
+
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_bookings_notify ON public.bookings;
+CREATE TRIGGER trg_bookings_notify
+  AFTER INSERT OR UPDATE OF coach_id ON public.bookings
+  FOR EACH ROW
+  EXECUTE FUNCTION public.notify_booking_change();
+
+-- user_cancellation_history INSERT (every student cancellation, single or
+-- series, free or approved): tell the admin and the assigned coach.
+CREATE OR REPLACE FUNCTION public.notify_user_cancellation()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_data jsonb;
+BEGIN
+  v_data := jsonb_build_object(
+    'booking_id', NEW.original_booking_id,
+    'start_time', NEW.start_time,
+    'service_name', NEW.service_name,
+    'location_name', COALESCE(NEW.location_name, 'Unknown location'),
+    'student_name', public.profile_display_name(NEW.user_id)
+  );
+
+  PERFORM public.enqueue_notification('booking_cancelled', NULL, v_data, NEW.academy_id, 'admin',
+    p_dedupe_key => 'booking_cancelled:' || NEW.id || ':admin');
+  IF NEW.coach_id IS NOT NULL THEN
+    PERFORM public.enqueue_notification('booking_cancelled', NEW.coach_id, v_data, NEW.academy_id,
+      p_dedupe_key => 'booking_cancelled:' || NEW.id || ':coach');
+  END IF;
+
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_user_cancellation_history_notify ON public.user_cancellation_history;
+CREATE TRIGGER trg_user_cancellation_history_notify
+  AFTER INSERT ON public.user_cancellation_history
+  FOR EACH ROW
+  EXECUTE FUNCTION public.notify_user_cancellation();
+
+-- waitlist_entries status → promoted / skipped: tell the student.
+CREATE OR REPLACE FUNCTION public.notify_waitlist_outcome()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF NEW.status NOT IN ('promoted', 'skipped') OR NEW.status IS NOT DISTINCT FROM OLD.status THEN
+    RETURN NEW;
+  END IF;
+
+  PERFORM public.enqueue_notification(
+    'waitlist_' || NEW.status,
+    NEW.user_id,
+    jsonb_build_object(
+      'booking_id', NEW.booking_id,
+      'start_time', NEW.start_time,
+      'service_name', NEW.service_name,
+      'location_name', COALESCE((SELECT name FROM public.locations WHERE id = NEW.location_id), 'Unknown location'),
+      'cost', NEW.cost
+    ),
+    NEW.academy_id,
+    p_dedupe_key => 'waitlist:' || NEW.id || ':' || NEW.status
+  );
+
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_waitlist_entries_notify ON public.waitlist_entries;
+CREATE TRIGGER trg_waitlist_entries_notify
+  AFTER UPDATE OF status ON public.waitlist_entries
+  FOR EACH ROW
+  EXECUTE FUNCTION public.notify_waitlist_outcome();
+
+-- auto_topup_attempts INSERT: tell the student their card was charged, or why not.
+CREATE OR REPLACE FUNCTION public.notify_auto_topup_attempt()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  PERFORM public.enqueue_notification(
+    'auto_topup_' || NEW.status,
+    NEW.user_id,
+    jsonb_build_object(
+      'amount', NEW.amount,
+      'failure_message', NEW.failure_message,
+      'disabled', NEW.disabled,
+      'card_last4', (SELECT card_last4 FROM public.auto_topup_settings WHERE user_id = NEW.user_id)
+    ),
+    p_dedupe_key => 'auto_topup:' || NEW.id
+  );
+
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_auto_topup_attempts_notify ON public.auto_topup_attempts;
+CREATE TRIGGER trg_auto_topup_attempts_notify
+  AFTER INSERT ON public.auto_topup_attempts
+  FOR EACH ROW
+  EXECUTE FUNCTION public.notify_auto_topup_attempt();
+
+-- =============================================================================
+-- queue_rain_check_notifications: after a coach or admin rain checks lessons
+-- (rain_check_history written, bookings deleted), text each student. Lessons
+-- that still exist are left out, and each lesson is queued once.
+-- Returns { success, queued } or { success: false, code, message }.
+-- Codes: unauthorized
+-- =============================================================================
+CREATE OR REPLACE FUNCTION public.queue_rain_check_notifications(p_booking_ids uuid[])
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_history record;
+  v_queued integer := 0;
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM public.profiles WHERE id = auth.uid() AND role IN ('admin', 'coach')
+  ) THEN
+    RETURN jsonb_build_object('success', false, 'code', 'unauthorized',
+      'message', 'Only coaches and admins can send rain check notices.');
+  END IF;
+
+  FOR v_history IN
+    SELECT DISTINCT ON (h.original_booking_id) h.*
+    FROM public.rain_check_history h
+    WHERE h.original_booking_id = ANY (COALESCE(p_booking_ids, '{}'))
+      AND NOT EXISTS (SELECT 1 FROM public.bookings b WHERE b.id = h.original_booking_id)
+    ORDER BY h.original_booking_id, h.cancelled_at DESC
+  LOOP
+    IF public.enqueue_notification(
+      'rain_check',
+      v_history.user_id,
+      jsonb_build_object(
+        'booking_id', v_history.original_booking_id,
+        'start_time', v_history.start_time,
+        'service_name', v_history.service_name,
+        'location_name', COALESCE(v_history.location_name, 'Unknown location')
+      ),
+      v_history.academy_id,
+      p_dedupe_key => 'rain_check:' || v_history.original_booking_id
+    ) IS NOT NULL THEN
+      v_queued := v_queued + 1;
+    END IF;
+  END LOOP;
+
+  RETURN jsonb_build_object('success', true, 'queued', v_queued);
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.profile_display_name(uuid) FROM PUBLIC;
+REVOKE ALL ON FUNCTION public.profile_display_name(uuid) FROM anon;
+REVOKE ALL ON FUNCTION public.profile_display_name(uuid) FROM authenticated;
+GRANT EXECUTE ON FUNCTION public.profile_display_name(uuid) TO service_role;
+
+REVOKE ALL ON FUNCTION public.enqueue_notification(text, uuid, jsonb, uuid, text, text, text, timestamptz) FROM PUBLIC;
+REVOKE ALL ON FUNCTION public.enqueue_notification(text, uuid, jsonb, uuid, text, text, text, timestamptz) FROM anon;
+REVOKE ALL ON FUNCTION public.enqueue_notification(text, uuid, jsonb, uuid, text, text, text, timestamptz) FROM authenticated;
+GRANT EXECUTE ON FUNCTION public.enqueue_notification(text, uuid, jsonb, uuid, text, text, text, timestamptz) TO service_role;
+
+REVOKE ALL ON FUNCTION public.claim_notifications(integer, uuid[]) FROM PUBLIC;
+REVOKE ALL ON FUNCTION public.claim_notifications(integer, uuid[]) FROM anon;
+REVOKE ALL ON FUNCTION public.claim_notifications(integer, uuid[]) FROM authenticated;
+GRANT EXECUTE ON FUNCTION public.claim_notifications(integer, uuid[]) TO service_role;
+
+REVOKE ALL ON FUNCTION public.record_notification_result(uuid, text, text, text, text, text, text, text) FROM PUBLIC;
+REVOKE ALL ON FUNCTION public.record_notification_result(uuid, text, text, text, text, text, text, text) FROM anon;
+REVOKE ALL ON FUNCTION public.record_notification_result(uuid, text, text, text, text, text, text, text) FROM authenticated;
+GRANT EXECUTE ON FUNCTION public.record_notification_result(uuid, text, text, text, text, text, text, text) TO service_role;
+
+REVOKE ALL ON FUNCTION public.retry_notification(uuid) FROM PUBLIC;
+REVOKE ALL ON FUNCTION public.retry_notification(uuid) FROM anon;
+GRANT EXECUTE ON FUNCTION public.retry_notification(uuid) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.retry_notification(uuid) TO service_role;
+
+REVOKE ALL ON FUNCTION public.queue_rain_check_notifications(uuid[]) FROM PUBLIC;
+REVOKE ALL ON FUNCTION public.queue_rain_check_notifications(uuid[]) FROM anon;
+GRANT EXECUTE ON FUNCTION public.queue_rain_check_notifications(uuid[]) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.queue_rain_check_notifications(uuid[]) TO service_role;
+
+-- Sending: add a Database Webhook on notifications INSERT that POSTs to
+-- dispatch-notifications, so messages go out straight away. Retries and
+-- scheduled messages need a regular run as well (pg_cron and pg_net; replace
+-- the project ref and service role key, then run once):
+-- SELECT cron.schedule('dispatch-notifications', '* * * * *', $cron$
+--   SELECT net.http_post(
+--     url := 'https://<project-ref>.supabase.co/functions/v1/dispatch-notifications',
+--     headers := '{"Content-Type": "application/json", "Authorization": "Bearer <service-role-key>"}'::jsonb,
+--     body := '{}'::jsonb
+--   );
+-- $cron$);
@@ -0,0 +1,504 @@
+-- Notification preferences, quiet hours and admin alert recipients. Safe to re-run.
+-- Students and coaches choose, per event, whether they hear about it by SMS,
+-- email, both or not at all, and can set quiet hours (in their academy's
+-- timezone) during which texts are held until the quiet hours end. Admin
+-- alerts (new bookings, cancellations) go to the recipients each academy adds
+-- on the Notifications screen instead of the single ADMIN_PHONE secret; an
+-- academy without recipients still falls back to ADMIN_PHONE / ADMIN_EMAIL.
+-- enqueue_notification now decides the channel when a message is queued and
+-- writes one row per channel (or per alert recipient).
+-- Requires 034_notifications.sql.
+
+-- channels: { "<event>": { "sms": bool, "email": bool } }; a missing event is
+-- SMS only (email when the profile has no phone), as before preferences.
+CREATE TABLE IF NOT EXISTS public.notification_preferences (
+  user_id uuid PRIMARY KEY REFERENCES public.profiles(id) ON DELETE CASCADE,
+  channels jsonb NOT NULL DEFAULT '{}'::jsonb,
+  quiet_hours_start time,
+  quiet_hours_end time,
+  updated_at timestamptz NOT NULL DEFAULT now(),
+  CONSTRAINT notification_preferences_quiet_hours CHECK (
+    (quiet_hours_start IS NULL) = (quiet_hours_end IS NULL)
+  )
+);
+
+COMMENT ON TABLE public.notification_preferences IS 'Per-event SMS/email choices and quiet hours; saved with save_notification_preferences.';
+COMMENT ON COLUMN public.notification_preferences.channels IS 'Event (see notification_event) → { sms, email }';
+COMMENT ON COLUMN public.notification_preferences.quiet_hours_start IS 'Local time (academy timezone) texts stop; may be after quiet_hours_end (overnight)';
+
+CREATE TABLE IF NOT EXISTS public.notification_recipients (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  academy_id uuid NOT NULL REFERENCES public.academies(id) ON DELETE CASCADE,
+  event text NOT NULL CHECK (event IN ('booking_created', 'booking_cancelled')),
+  channel text NOT NULL CHECK (channel IN ('sms', 'email')),
+  address text NOT NULL,
+  label text,
+  created_by uuid REFERENCES public.profiles(id) ON DELETE SET NULL,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  UNIQUE (academy_id, event, channel, address)
+);
+
+CREATE INDEX IF NOT EXISTS idx_notification_recipients_academy
+  ON public.notification_recipients (academy_id, event);
+
+COMMENT ON TABLE public.notification_recipients IS 'Who gets each admin alert, per academy and event';
+
+ALTER TABLE public.notifications
+  ADD COLUMN IF NOT EXISTS alert_recipient_id uuid REFERENCES public.notification_recipients(id) ON DELETE SET NULL;
+
+COMMENT ON COLUMN public.notifications.audience IS 'user: recipient_id; admin: alert_recipient_id, else the ADMIN_PHONE / ADMIN_EMAIL secrets';
+COMMENT ON COLUMN public.notifications.channel IS 'Chosen when queued from the recipient''s preferences; NULL routes at send time (SMS when there is a phone, otherwise email)';
+
+-- RLS: people read their own preferences; admins read their academy's
+-- recipients. Both are changed through the RPCs below.
+ALTER TABLE public.notification_preferences ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.notification_recipients ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "notification_preferences_select" ON public.notification_preferences;
+CREATE POLICY "notification_preferences_select"
+  ON public.notification_preferences FOR SELECT TO authenticated
+  USING (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "notification_recipients_admin_select" ON public.notification_recipients;
+CREATE POLICY "notification_recipients_admin_select"
+  ON public.notification_recipients FOR SELECT TO authenticated
+  USING (EXISTS (
+    SELECT 1 FROM public.profiles p
+    WHERE p.id = auth.uid()
+      AND p.role = 'admin'
+      AND p.academy_id = notification_recipients.academy_id
+  ));
+
+GRANT SELECT ON TABLE public.notification_preferences TO authenticated;
+GRANT SELECT ON TABLE public.notification_recipients TO authenticated;
+GRANT ALL ON TABLE public.notification_preferences TO service_role;
+GRANT ALL ON TABLE public.notification_recipients TO service_role;
+
+-- =============================================================================
+-- notification_event: the preference a template belongs to (both waitlist
+-- outcomes are 'waitlist', both auto top-up results 'auto_topup').
+-- =============================================================================
+CREATE OR REPLACE FUNCTION public.notification_event(p_template text)
+RETURNS text
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  SELECT CASE
+    WHEN p_template LIKE 'waitlist\_%' THEN 'waitlist'
+    WHEN p_template LIKE 'auto\_topup\_%' THEN 'auto_topup'
+    ELSE p_template
+  END;
+$$;
+
+-- =============================================================================
+-- notification_quiet_until: when a text to p_user_id may go out if it is due
+-- at p_at — p_at itself, or the end of the user's quiet hours when p_at falls
+-- inside them. Quiet hours are in the user's academy timezone and may run
+-- overnight (e.g. 21:00–08:00).
+-- =============================================================================
+CREATE OR REPLACE FUNCTION public.notification_quiet_until(p_user_id uuid, p_at timestamptz)
+RETURNS timestamptz
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_start time;
+  v_end time;
+  v_tz text;
+  v_local timestamp;
+  v_time time;
+BEGIN
+  SELECT quiet_hours_start, quiet_hours_end INTO v_start, v_end
+  FROM public.notification_preferences
+  WHERE user_id = p_user_id;
+
+  IF v_start IS NULL OR v_end IS NULL OR v_start = v_end THEN
+    RETURN p_at;
+  END IF;
+
+  v_tz := public.user_timezone(p_user_id);
+  v_local := p_at AT TIME ZONE v_tz;
+  v_time := v_local::time;
+
+  IF v_start < v_end THEN
+    IF v_time >= v_start AND v_time < v_end THEN
+      RETURN (v_local::date + v_end) AT TIME ZONE v_tz;
+    END IF;
+  ELSIF v_time >= v_start THEN
+    RETURN (v_local::date + 1 + v_end) AT TIME ZONE v_tz;
+  ELSIF v_time < v_end THEN
+    RETURN (v_local::date + v_end) AT TIME ZONE v_tz;
+  END IF;
+
+  RETURN p_at;
+END;
+$$;
+
+-- =============================================================================
+-- enqueue_notification: as in 034_notifications.sql, but the channel is chosen
+-- here.
+--   user:  one row per channel the recipient wants for this event (SMS only by
+--          default; email instead when SMS is on but there is no phone). Texts
+--          due in quiet hours wait until they end. With both turned off the
+--          row is stored 'skipped' so admins can see why nothing was sent.
+--   admin: one row per notification_recipients entry for the academy and
+--          event; with none, one row for the ADMIN_PHONE / ADMIN_EMAIL secrets.
+-- p_channel forces a single channel. Each row's dedupe_key is p_dedupe_key
+-- plus the channel (or recipient). Returns the first notification id, or NULL
+-- when there is no recipient or everything was already queued.
+-- =============================================================================
+CREATE OR REPLACE FUNCTION public.enqueue_notification(
+  p_template text,
+  p_recipient_id uuid,
+  p_data jsonb DEFAULT '{}'::jsonb,
+  p_academy_id uuid DEFAULT NULL,
+  p_audience text DEFAULT 'user',
+  p_channel text DEFAULT NULL,
+  p_dedupe_key text DEFAULT NULL,
+  p_send_at timestamptz DEFAULT now()
+)
+RETURNS uuid
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_id uuid;
+  v_first_id uuid;
+  v_academy_id uuid := p_academy_id;
+  v_send_at timestamptz := COALESCE(p_send_at, now());
+  v_data jsonb := COALESCE(p_data, '{}'::jsonb);
+  v_event text := public.notification_event(p_template);
+  v_phone text;
+  v_choice jsonb;
+  v_sms boolean;
+  v_email boolean;
+  v_channel text;
+  v_recipient record;
+  v_recipients integer := 0;
+BEGIN
+  IF p_audience = 'user' AND p_recipient_id IS NULL THEN
+    RETURN NULL;
+  END IF;
+
+  IF v_academy_id IS NULL AND p_recipient_id IS NOT NULL THEN
+    SELECT academy_id INTO v_academy_id FROM public.profiles WHERE id = p_recipient_id;
+  END IF;
+
+  IF p_audience = 'admin' THEN
+    FOR v_recipient IN
+      SELECT * FROM public.notification_recipients
+      WHERE academy_id = v_academy_id
+        AND event = v_event
+        AND (p_channel IS NULL OR channel = p_channel)
+      ORDER BY created_at
+    LOOP
+      v_recipients := v_recipients + 1;
+      INSERT INTO public.notifications (
+        academy_id, template, audience, recipient_id, alert_recipient_id, channel, to_address,
+        data, dedupe_key, next_attempt_at
+      ) VALUES (
+        v_academy_id, p_template, 'admin', p_recipient_id, v_recipient.id, v_recipient.channel,
+        v_recipient.address, v_data, p_dedupe_key || ':' || v_recipient.id, v_send_at
+      )
+      ON CONFLICT (dedupe_key) DO NOTHING
+      RETURNING id INTO v_id;
+      v_first_id := COALESCE(v_first_id, v_id);
+    END LOOP;
+
+    IF v_recipients = 0 THEN
+      INSERT INTO public.notifications (
+        academy_id, template, audience, recipient_id, channel, data, dedupe_key, next_attempt_at
+      ) VALUES (
+        v_academy_id, p_template, 'admin', p_recipient_id, p_channel, v_data, p_dedupe_key, v_send_at
+      )
+      ON CONFLICT (dedupe_key) DO NOTHING
+      RETURNING id INTO v_first_id;
+    END IF;
+
+    RETURN v_first_id;
+  END IF;
+
+  SELECT NULLIF(btrim(phone), '') INTO v_phone FROM public.profiles WHERE id = p_recipient_id;
+
+  IF p_channel IS NOT NULL THEN
+    v_sms := p_channel = 'sms';
+    v_email := p_channel = 'email';
+  ELSE
+    SELECT channels -> v_event INTO v_choice
+    FROM public.notification_preferences
+    WHERE user_id = p_recipient_id;
+    v_sms := COALESCE((v_choice ->> 'sms')::boolean, true);
+    v_email := COALESCE((v_choice ->> 'email')::boolean, false);
+    IF v_sms AND v_phone IS NULL THEN
+      v_sms := false;
+      v_email := true;
+    END IF;
+  END IF;
+
+  IF NOT v_sms AND NOT v_email THEN
+    INSERT INTO public.notifications (
+      academy_id, template, audience, recipient_id, data, dedupe_key, status, last_error
+    ) VALUES (
+      v_academy_id, p_template, 'user', p_recipient_id, v_data, p_dedupe_key, 'skipped',
+      'Turned off in notification preferences'
+    )
+    ON CONFLICT (dedupe_key) DO NOTHING
+    RETURNING id INTO v_first_id;
+    RETURN v_first_id;
+  END IF;
+
+  FOREACH v_channel IN ARRAY ARRAY['sms', 'email'] LOOP
+    CONTINUE WHEN (v_channel = 'sms' AND NOT v_sms) OR (v_channel = 'email' AND NOT v_email);
+    INSERT INTO public.notifications (
+      academy_id, template, audience, recipient_id, channel, data, dedupe_key, next_attempt_at
+    ) VALUES (
+      v_academy_id, p_template, 'user', p_recipient_id, v_channel, v_data,
+      p_dedupe_key || ':' || v_channel,
+      CASE WHEN v_channel = 'sms' THEN public.notification_quiet_until(p_recipient_id, v_send_at) ELSE v_send_at END
+    )
+    ON CONFLICT (dedupe_key) DO NOTHING
+    RETURNING id INTO v_id;
+    v_first_id := COALESCE(v_first_id, v_id);
+  END LOOP;
+
+  RETURN v_first_id;
+END;
+$$;
+
+-- =============================================================================
+-- retry_notification: as in 034_notifications.sql, but a message keeps the
+-- channel it was queued for; only admin-line messages (no alert recipient)
+-- and messages turned off in preferences are routed again when sent.
+-- Codes: unauthorized, not_found, not_retryable
+-- =============================================================================
+CREATE OR REPLACE FUNCTION public.retry_notification(p_notification_id uuid)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_row public.notifications%ROWTYPE;
+BEGIN
+  SELECT n.* INTO v_row
+  FROM public.notifications n
+  WHERE n.id = p_notification_id
+    AND EXISTS (
+      SELECT 1 FROM public.profiles p
+      WHERE p.id = auth.uid()
+        AND p.role = 'admin'
+        AND (n.academy_id IS NULL OR n.academy_id = p.academy_id)
+    )
+  FOR UPDATE OF n;
+
+  IF NOT FOUND THEN
+    IF NOT EXISTS (SELECT 1 FROM public.profiles WHERE id = auth.uid() AND role = 'admin') THEN
+      RETURN jsonb_build_object('success', false, 'code', 'unauthorized', 'message', 'Only admins can resend notifications.');
+    END IF;
+    RETURN jsonb_build_object('success', false, 'code', 'not_found', 'message', 'Notification not found.');
+  END IF;
+
+  IF v_row.status NOT IN ('failed', 'skipped') THEN
+    RETURN jsonb_build_object('success', false, 'code', 'not_retryable',
+      'message', 'Only failed or skipped notifications can be resent.');
+  END IF;
+
+  UPDATE public.notifications
+  SET status = 'pending',
+      attempts = 0,
+      channel = CASE
+        WHEN audience = 'admin' AND alert_recipient_id IS NULL THEN NULL
+        ELSE channel
+      END,
+      to_address = CASE WHEN alert_recipient_id IS NULL THEN NULL ELSE to_address END,
+      next_attempt_at = now(),
+      updated_at = now()
+  WHERE id = p_notification_id;
+
+  RETURN jsonb_build_object('success', true, 'id', p_notification_id);
+END;
+$$;
+
+-- =============================================================================
+-- save_notification_preferences: the caller's channels per event and quiet
+-- hours (both NULL for none). Events not in p_channels keep the default.
+-- Returns { success: true } or { success: false, code, message }. Codes:
+-- invalid_event, invalid_quiet_hours.
+-- =============================================================================
+CREATE OR REPLACE FUNCTION public.save_notification_preferences(
+  p_channels jsonb,
+  p_quiet_hours_start time DEFAULT NULL,
+  p_quiet_hours_end time DEFAULT NULL
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_user_id uuid := auth.uid();
+  v_event text;
+  v_choice jsonb;
+  v_channels jsonb := '{}'::jsonb;
+BEGIN
+  IF v_user_id IS NULL THEN
+    RAISE EXCEPTION 'Not authenticated';
+  END IF;
+
+  FOR v_event, v_choice IN SELECT * FROM jsonb_each(COALESCE(p_channels, '{}'::jsonb)) LOOP
+    IF v_event NOT IN ('booking_confirmed', 'coach_assigned', 'booking_cancelled', 'rain_check', 'waitlist', 'auto_topup')
+       OR jsonb_typeof(v_choice) <> 'object' THEN
+      RETURN jsonb_build_object('success', false, 'code', 'invalid_event',
+        'message', 'Unknown notification: ' || v_event);
+    END IF;
+    v_channels := v_channels || jsonb_build_object(v_event, jsonb_build_object(
+      'sms', COALESCE((v_choice ->> 'sms')::boolean, false),
+      'email', COALESCE((v_choice ->> 'email')::boolean, false)
+    ));
+  END LOOP;
+
+  IF (p_quiet_hours_start IS NULL) <> (p_quiet_hours_end IS NULL)
+     OR p_quiet_hours_start = p_quiet_hours_end THEN
+    RETURN jsonb_build_object('success', false, 'code', 'invalid_quiet_hours',
+      'message', 'Quiet hours need a different start and end time.');
+  END IF;
+
+  INSERT INTO public.notification_preferences (user_id, channels, quiet_hours_start, quiet_hours_end)
+  VALUES (v_user_id, v_channels, p_quiet_hours_start, p_quiet_hours_end)
+  ON CONFLICT (user_id) DO UPDATE
+  SET channels = EXCLUDED.channels,
+      quiet_hours_start = EXCLUDED.quiet_hours_start,
+      quiet_hours_end = EXCLUDED.quiet_hours_end,
+      updated_at = now();
+
+  RETURN jsonb_build_object('success', true);
+END;
+$$;
+
+-- =============================================================================
+-- add_notification_recipient: an admin adds a phone (E.164) or email that gets
+-- p_event alerts for their academy.
+-- Returns { success, id } or { success: false, code, message }. Codes:
+-- unauthorized, invalid_event, invalid_address, already_added.
+-- =============================================================================
+CREATE OR REPLACE FUNCTION public.add_notification_recipient(
+  p_event text,
+  p_channel text,
+  p_address text,
+  p_label text DEFAULT NULL
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_academy_id uuid;
+  v_address text := btrim(COALESCE(p_address, ''));
+  v_id uuid;
+BEGIN
+  SELECT academy_id INTO v_academy_id
+  FROM public.profiles
+  WHERE id = auth.uid() AND role = 'admin';
+
+  IF NOT FOUND OR v_academy_id IS NULL THEN
+    RETURN jsonb_build_object('success', false, 'code', 'unauthorized',
+      'message', 'Only academy admins can change alert recipients.');
+  END IF;
+
+  IF p_event NOT IN ('booking_created', 'booking_cancelled') THEN
+    RETURN jsonb_build_object('success', false, 'code', 'invalid_event', 'message', 'Unknown alert.');
+  END IF;
+
+  IF p_channel = 'email' THEN
+    v_address := lower(v_address);
+  END IF;
+  IF NOT (
+    (p_channel = 'sms' AND v_address ~ '^\+[1-9][0-9]{6,14}$')
+    OR (p_channel = 'email' AND v_address ~ '^[^@\s]+@[^@\s]+\.[^@\s]+$')
+  ) THEN
+    RETURN jsonb_build_object('success', false, 'code', 'invalid_address',
+      'message', CASE WHEN p_channel = 'sms'
+        THEN 'Enter the phone number in international format, e.g. +61412345678.'
+        ELSE 'Enter a valid email address.' END);
+  END IF;
+
+  INSERT INTO public.notification_recipients (academy_id, event, channel, address, label, created_by)
+  VALUES (v_academy_id, p_event, p_channel, v_address, NULLIF(btrim(p_label), ''), auth.uid())
+  ON CONFLICT (academy_id, event, channel, address) DO NOTHING
+  RETURNING id INTO v_id;
+
+  IF v_id IS NULL THEN
+    RETURN jsonb_build_object('success', false, 'code', 'already_added',
+      'message', 'That recipient already gets this alert.');
+  END IF;
+
+  RETURN jsonb_build_object('success', true, 'id', v_id);
+END;
+$$;
+
+-- =============================================================================
+-- remove_notification_recipient: an admin removes one of their academy's
+-- alert recipients. Codes: unauthorized, not_found
+-- =============================================================================
+CREATE OR REPLACE FUNCTION public.remove_notification_recipient(p_recipient_id uuid)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_academy_id uuid;
+BEGIN
+  SELECT academy_id INTO v_academy_id
+  FROM public.profiles
+  WHERE id = auth.uid() AND role = 'admin';
+
+  IF NOT FOUND OR v_academy_id IS NULL THEN
+    RETURN jsonb_build_object('success', false, 'code', 'unauthorized',
+      'message', 'Only academy admins can change alert recipients.');
+  END IF;
+
+  DELETE FROM public.notification_recipients
+  WHERE id = p_recipient_id AND academy_id = v_academy_id;
+
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('success', false, 'code', 'not_found', 'message', 'Recipient not found.');
+  END IF;
+
+  RETURN jsonb_build_object('success', true);
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.notification_quiet_until(uuid, timestamptz) FROM PUBLIC;
+REVOKE ALL ON FUNCTION public.notification_quiet_until(uuid, timestamptz) FROM anon;
+REVOKE ALL ON FUNCTION public.notification_quiet_until(uuid, timestamptz) FROM authenticated;
+GRANT EXECUTE ON FUNCTION public.notification_quiet_until(uuid, timestamptz) TO service_role;
+
+REVOKE ALL ON FUNCTION public.enqueue_notification(text, uuid, jsonb, uuid, text, text, text, timestamptz) FROM PUBLIC;
+REVOKE ALL ON FUNCTION public.enqueue_notification(text, uuid, jsonb, uuid, text, text, text, timestamptz) FROM anon;
+REVOKE ALL ON FUNCTION public.enqueue_notification(text, uuid, jsonb, uuid, text, text, text, timestamptz) FROM authenticated;
+GRANT EXECUTE ON FUNCTION public.enqueue_notification(text, uuid, jsonb, uuid, text, text, text, timestamptz) TO service_role;
+
+REVOKE ALL ON FUNCTION public.retry_notification(uuid) FROM PUBLIC;
+REVOKE ALL ON FUNCTION public.retry_notification(uuid) FROM anon;
+GRANT EXECUTE ON FUNCTION public.retry_notification(uuid) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.retry_notification(uuid) TO service_role;
+
+REVOKE ALL ON FUNCTION public.save_notification_preferences(jsonb, time, time) FROM PUBLIC;
+REVOKE ALL ON FUNCTION public.save_notification_preferences(jsonb, time, time) FROM anon;
+GRANT EXECUTE ON FUNCTION public.save_notification_preferences(jsonb, time, time) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.save_notification_preferences(jsonb, time, time) TO service_role;
+
+REVOKE ALL ON FUNCTION public.add_notification_recipient(text, text, text, text) FROM PUBLIC;
+REVOKE ALL ON FUNCTION public.add_notification_recipient(text, text, text, text) FROM anon;
+GRANT EXECUTE ON FUNCTION public.add_notification_recipient(text, text, text, text) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.add_notification_recipient(text, text, text, text) TO service_role;
+
+REVOKE ALL ON FUNCTION public.remove_notification_recipient(uuid) FROM PUBLIC;
+REVOKE ALL ON FUNCTION public.remove_notification_recipient(uuid) FROM anon;
+GRANT EXECUTE ON FUNCTION public.remove_notification_recipient(uuid) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.remove_notification_recipient(uuid) TO service_role;
@@ -0,0 +1,207 @@
+-- Lesson reminders. Safe to re-run.
+-- The send-lesson-reminders Edge Function runs every 15 minutes and calls
+-- queue_lesson_reminders, which queues a lesson_reminder notification for each
+-- booking whose reminder time has come. Each academy sets how many hours
+-- before a lesson reminders go out in academies.reminder_hours (24 and 2 hours
+-- by default; empty turns them off). Reminders go through the notifications
+-- outbox, so students get them over the channels they chose for "Lesson
+-- reminders" and quiet hours apply; a reminder held past the start of the
+-- lesson is skipped. Each booking gets each reminder once, and reminders still
+-- queued when a lesson is cancelled or moved are skipped.
+-- Requires 035_notification_preferences.sql.
+
+ALTER TABLE public.academies
+  ADD COLUMN IF NOT EXISTS reminder_hours integer[] NOT NULL DEFAULT '{24,2}';
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint WHERE conname = 'academies_reminder_hours_check'
+  ) THEN
+    ALTER TABLE public.academies
+      ADD CONSTRAINT academies_reminder_hours_check
+      CHECK (1 <= ALL (reminder_hours) AND 168 >= ALL (reminder_hours));
+  END IF;
+END $$;
+
+COMMENT ON COLUMN public.academies.reminder_hours IS 'Hours before each lesson to remind the student (1–168); empty for no reminders';
+
+CREATE INDEX IF NOT EXISTS idx_bookings_start_time ON public.bookings (start_time);
+
+-- =============================================================================
+-- save_notification_preferences: as in 035_notification_preferences.sql, plus
+-- lesson_reminder.
+-- =============================================================================
+CREATE OR REPLACE FUNCTION public.save_notification_preferences(
+  p_channels jsonb,
+  p_quiet_hours_start time DEFAULT NULL,
+  p_quiet_hours_end time DEFAULT NULL
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_user_id uuid := auth.uid();
+  v_event text;
+  v_choice jsonb;
+  v_channels jsonb := '{}'::jsonb;
+BEGIN
+  IF v_user_id IS NULL THEN
+    RAISE EXCEPTION 'Not authenticated';
+  END IF;
+
+  FOR v_event, v_choice IN SELECT * FROM jsonb_each(COALESCE(p_channels, '{}'::jsonb)) LOOP
+    IF v_event NOT IN (
+         'booking_confirmed', 'coach_assigned', 'booking_cancelled', 'rain_check', 'waitlist', 'auto_topup',
+         'lesson_reminder'
+       )
+       OR jsonb_typeof(v_choice) <> 'object' THEN
+      RETURN jsonb_build_object('success', false, 'code', 'invalid_event',
+        'message', 'Unknown notification: ' || v_event);
+    END IF;
+    v_channels := v_channels || jsonb_build_object(v_event, jsonb_build_object(
+      'sms', COALESCE((v_choice ->> 'sms')::boolean, false),
+      'email', COALESCE((v_choice ->> 'email')::boolean, false)
+    ));
+  END LOOP;
+
+  IF (p_quiet_hours_start IS NULL) <> (p_quiet_hours_end IS NULL)
+     OR p_quiet_hours_start = p_quiet_hours_end THEN
+    RETURN jsonb_build_object('success', false, 'code', 'invalid_quiet_hours',
+      'message', 'Quiet hours need a different start and end time.');
+  END IF;
+
+  INSERT INTO public.notification_preferences (user_id, channels, quiet_hours_start, quiet_hours_end)
+  VALUES (v_user_id, v_channels, p_quiet_hours_start, p_quiet_hours_end)
+  ON CONFLICT (user_id) DO UPDATE
+  SET channels = EXCLUDED.channels,
+      quiet_hours_start = EXCLUDED.quiet_hours_start,
+      quiet_hours_end = EXCLUDED.quiet_hours_end,
+      updated_at = now();
+
+  RETURN jsonb_build_object('success', true);
+END;
+$$;
+
+-- =============================================================================
+-- queue_lesson_reminders: queue the reminders due at p_now. A reminder is due
+-- from its time (start minus one of the academy's reminder_hours) for an hour,
+-- which covers a missed run; one further back is dropped, so a lesson booked
+-- 3 hours ahead gets the 2-hour reminder and not a late 24-hour one. The
+-- dedupe key includes the start time, so a moved lesson is reminded again.
+-- Returns { success, queued }.
+-- =============================================================================
+CREATE OR REPLACE FUNCTION public.queue_lesson_reminders(p_now timestamptz DEFAULT now())
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_booking record;
+  v_queued integer := 0;
+BEGIN
+  FOR v_booking IN
+    SELECT *
+    FROM (
+      SELECT
+        b.id, b.user_id, b.academy_id, b.start_time, b.end_time, b.service_name,
+        l.name AS location_name, l.address AS location_address,
+        NULLIF(btrim(concat_ws(' ', fp.first_name, fp.last_name)), '') AS player_name,
+        (
+          SELECT min(h)
+          FROM unnest(COALESCE(a.reminder_hours, '{24,2}'::integer[])) AS h
+          WHERE b.start_time - make_interval(hours => h) <= p_now
+            AND b.start_time - make_interval(hours => h) > p_now - interval '1 hour'
+        ) AS hours
+      FROM public.bookings b
+      LEFT JOIN public.academies a ON a.id = b.academy_id
+      LEFT JOIN public.locations l ON l.id = b.location_id
+      LEFT JOIN public.family_players fp ON fp.id = b.player_id
+      WHERE b.start_time > p_now
+        AND b.start_time <= p_now + interval '168 hours'
+        AND b.user_id IS NOT NULL
+    ) due
+    WHERE due.hours IS NOT NULL
+  LOOP
+    IF public.enqueue_notification(
+      'lesson_reminder',
+      v_booking.user_id,
+      jsonb_build_object(
+        'booking_id', v_booking.id,
+        'start_time', v_booking.start_time,
+        'end_time', v_booking.end_time,
+        'service_name', v_booking.service_name,
+        'location_name', COALESCE(v_booking.location_name, 'Unknown location'),
+        'location_address', v_booking.location_address,
+        'player_name', v_booking.player_name,
+        'hours', v_booking.hours,
+        'expires_at', v_booking.start_time
+      ),
+      v_booking.academy_id,
+      p_dedupe_key => 'lesson_reminder:' || v_booking.id || ':'
+        || extract(epoch FROM v_booking.start_time)::bigint || ':' || v_booking.hours
+    ) IS NOT NULL THEN
+      v_queued := v_queued + 1;
+    END IF;
+  END LOOP;
+
+  RETURN jsonb_build_object('success', true, 'queued', v_queued);
+END;
+$$;
+
+-- bookings DELETE or start_time change: reminders for the old time that are
+-- still waiting (e.g. held for quiet hours) are no longer true.
+CREATE OR REPLACE FUNCTION public.skip_stale_lesson_reminders()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  UPDATE public.notifications
+  SET status = 'skipped',
+      last_error = CASE WHEN TG_OP = 'DELETE' THEN 'Lesson cancelled' ELSE 'Lesson moved' END,
+      updated_at = now()
+  WHERE template = 'lesson_reminder'
+    AND status = 'pending'
+    AND data ->> 'booking_id' = OLD.id::text;
+
+  RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_bookings_skip_reminders ON public.bookings;
+CREATE TRIGGER trg_bookings_skip_reminders
+  AFTER DELETE ON public.bookings
+  FOR EACH ROW
+  EXECUTE FUNCTION public.skip_stale_lesson_reminders();
+
+DROP TRIGGER IF EXISTS trg_bookings_skip_moved_reminders ON public.bookings;
+CREATE TRIGGER trg_bookings_skip_moved_reminders
+  AFTER UPDATE OF start_time ON public.bookings
+  FOR EACH ROW
+  WHEN (OLD.start_time IS DISTINCT FROM NEW.start_time)
+  EXECUTE FUNCTION public.skip_stale_lesson_reminders();
+
+REVOKE ALL ON FUNCTION public.save_notification_preferences(jsonb, time, time) FROM PUBLIC;
+REVOKE ALL ON FUNCTION public.save_notification_preferences(jsonb, time, time) FROM anon;
+GRANT EXECUTE ON FUNCTION public.save_notification_preferences(jsonb, time, time) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.save_notification_preferences(jsonb, time, time) TO service_role;
+
+REVOKE ALL ON FUNCTION public.queue_lesson_reminders(timestamptz) FROM PUBLIC;
+REVOKE ALL ON FUNCTION public.queue_lesson_reminders(timestamptz) FROM anon;
+REVOKE ALL ON FUNCTION public.queue_lesson_reminders(timestamptz) FROM authenticated;
+GRANT EXECUTE ON FUNCTION public.queue_lesson_reminders(timestamptz) TO service_role;
+
+-- Scheduling: run send-lesson-reminders every 15 minutes (pg_cron and pg_net;
+-- replace the project ref and service role key, then run once):
+-- SELECT cron.schedule('send-lesson-reminders', '*/15 * * * *', $cron$
+--   SELECT net.http_post(
+--     url := 'https://<project-ref>.supabase.co/functions/v1/send-lesson-reminders',
+--     headers := '{"Content-Type": "application/json", "Authorization": "Bearer <service-role-key>"}'::jsonb,
+--     body := '{}'::jsonb
+--   );
+-- $cron$);
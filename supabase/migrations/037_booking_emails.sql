@@ -0,0 +1,295 @@
+-- Booking emails with calendar invites. Safe to re-run.
+-- Booking confirmations, coach assignments, cancellations and rain checks are
+-- now emailed as well as texted by default: dispatch-notifications sends them
+-- as branded HTML with an .ics attachment that adds the lesson to the
+-- recipient's calendar, or removes it (METHOD:CANCEL) when the lesson is
+-- cancelled or rain checked. Students also get a cancellation_confirmed
+-- message when they cancel, so their calendar entry goes too. People who
+-- saved notification preferences keep their choices.
+-- Requires 036_lesson_reminders.sql.
+
+-- =============================================================================
+-- notification_event: as in 035_notification_preferences.sql; a student's own
+-- cancellation is a booking_cancelled event.
+-- =============================================================================
+CREATE OR REPLACE FUNCTION public.notification_event(p_template text)
+RETURNS text
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  SELECT CASE
+    WHEN p_template LIKE 'waitlist\_%' THEN 'waitlist'
+    WHEN p_template LIKE 'auto\_topup\_%' THEN 'auto_topup'
+    WHEN p_template = 'cancellation_confirmed' THEN 'booking_cancelled'
+    ELSE p_template
+  END;
+$$;
+
+-- =============================================================================
+-- notification_email_by_default: events emailed (with a calendar invite) to
+-- people who never saved preferences for them.
+-- =============================================================================
+CREATE OR REPLACE FUNCTION public.notification_email_by_default(p_event text)
+RETURNS boolean
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  SELECT p_event IN ('booking_confirmed', 'coach_assigned', 'booking_cancelled', 'rain_check');
+$$;
+
+-- =============================================================================
+-- enqueue_notification: as in 035_notification_preferences.sql, but events
+-- with calendar invites are emailed by default (notification_email_by_default).
+-- =============================================================================
+CREATE OR REPLACE FUNCTION public.enqueue_notification(
+  p_template text,
+  p_recipient_id uuid,
+  p_data jsonb DEFAULT '{}'::jsonb,
+  p_academy_id uuid DEFAULT NULL,
+  p_audience text DEFAULT 'user',
+  p_channel text DEFAULT NULL,
+  p_dedupe_key text DEFAULT NULL,
+  p_send_at timestamptz DEFAULT now()
+)
+RETURNS uuid
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_id uuid;
+  v_first_id uuid;
+  v_academy_id uuid := p_academy_id;
+  v_send_at timestamptz := COALESCE(p_send_at, now());
+  v_data jsonb := COALESCE(p_data, '{}'::jsonb);
+  v_event text := public.notification_event(p_template);
+  v_phone text;
+  v_choice jsonb;
+  v_sms boolean;
+  v_email boolean;
+  v_channel text;
+  v_recipient record;
+  v_recipients integer := 0;
+BEGIN
+  IF p_audience = 'user' AND p_recipient_id IS NULL THEN
+    RETURN NULL;
+  END IF;
+
+  IF v_academy_id IS NULL AND p_recipient_id IS NOT NULL THEN
+    SELECT academy_id INTO v_academy_id FROM public.profiles WHERE id = p_recipient_id;
+  END IF;
+
+  IF p_audience = 'admin' THEN
+    FOR v_recipient IN
+      SELECT * FROM public.notification_recipients
+      WHERE academy_id = v_academy_id
+        AND event = v_event
+        AND (p_channel IS NULL OR channel = p_channel)
+      ORDER BY created_at
+    LOOP
+      v_recipients := v_recipients + 1;
+      INSERT INTO public.notifications (
+        academy_id, template, audience, recipient_id, alert_recipient_id, channel, to_address,
+        data, dedupe_key, next_attempt_at
+      ) VALUES (
+        v_academy_id, p_template, 'admin', p_recipient_id, v_recipient.id, v_recipient.channel,
+        v_recipient.address, v_data, p_dedupe_key || ':' || v_recipient.id, v_send_at
+      )
+      ON CONFLICT (dedupe_key) DO NOTHING
+      RETURNING id INTO v_id;
+      v_first_id := COALESCE(v_first_id, v_id);
+    END LOOP;
+
+    IF v_recipients = 0 THEN
+      INSERT INTO public.notifications (
+        academy_id, template, audience, recipient_id, channel, data, dedupe_key, next_attempt_at
+      ) VALUES (
+        v_academy_id, p_template, 'admin', p_recipient_id, p_channel, v_data, p_dedupe_key, v_send_at
+      )
+      ON CONFLICT (dedupe_key) DO NOTHING
+      RETURNING id INTO v_first_id;
+    END IF;
+
+    RETURN v_first_id;
+  END IF;
+
+  SELECT NULLIF(btrim(phone), '') INTO v_phone FROM public.profiles WHERE id = p_recipient_id;
+
+  IF p_channel IS NOT NULL THEN
+    v_sms := p_channel = 'sms';
+    v_email := p_channel = 'email';
+  ELSE
+    SELECT channels -> v_event INTO v_choice
+    FROM public.notification_preferences
+    WHERE user_id = p_recipient_id;
+    v_sms := COALESCE((v_choice ->> 'sms')::boolean, true);
+    v_email := COALESCE((v_choice ->> 'email')::boolean, public.notification_email_by_default(v_event));
+    IF v_sms AND v_phone IS NULL THEN
+      v_sms := false;
+      v_email := true;
+    END IF;
+  END IF;
+
+  IF NOT v_sms AND NOT v_email THEN
+    INSERT INTO public.notifications (
+      academy_id, template, audience, recipient_id, data, dedupe_key, status, last_error
+    ) VALUES (
+      v_academy_id, p_template, 'user', p_recipient_id, v_data, p_dedupe_key, 'skipped',
+      'Turned off in notification preferences'
+    )
+    ON CONFLICT (dedupe_key) DO NOTHING
+    RETURNING id INTO v_first_id;
+    RETURN v_first_id;
+  END IF;
+
+  FOREACH v_channel IN ARRAY ARRAY['sms', 'email'] LOOP
+    CONTINUE WHEN (v_channel = 'sms' AND NOT v_sms) OR (v_channel = 'email' AND NOT v_email);
+    INSERT INTO public.notifications (
+      academy_id, template, audience, recipient_id, channel, data, dedupe_key, next_attempt_at
+    ) VALUES (
+      v_academy_id, p_template, 'user', p_recipient_id, v_channel, v_data,
+      p_dedupe_key || ':' || v_channel,
+      CASE WHEN v_channel = 'sms' THEN public.notification_quiet_until(p_recipient_id, v_send_at) ELSE v_send_at END
+    )
+    ON CONFLICT (dedupe_key) DO NOTHING
+    RETURNING id INTO v_id;
+    v_first_id := COALESCE(v_first_id, v_id);
+  END LOOP;
+
+  RETURN v_first_id;
+END;
+$$;
+
+-- =============================================================================
+-- notify_booking_change: as in 034_notifications.sql, plus the location's
+-- address for the calendar invite.
+-- =============================================================================
+CREATE OR REPLACE FUNCTION public.notify_booking_change()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_data jsonb;
+BEGIN
+  v_data := jsonb_build_object(
+    'booking_id', NEW.id,
+    'start_time', NEW.start_time,
+    'end_time', NEW.end_time,
+    'service_name', NEW.service_name,
+    'location_name', COALESCE((SELECT name FROM public.locations WHERE id = NEW.location_id), 'Unknown location'),
+    'location_address', (SELECT address FROM public.locations WHERE id = NEW.location_id),
+    'student_name', public.profile_display_name(NEW.user_id)
+  );
+
+  IF TG_OP = 'INSERT' THEN
+    PERFORM public.enqueue_notification('booking_created', NULL, v_data, NEW.academy_id, 'admin',
+      p_dedupe_key => 'booking_created:' || NEW.id);
+  END IF;
+
+  IF NEW.coach_id IS NOT NULL AND (TG_OP = 'INSERT' OR NEW.coach_id IS DISTINCT FROM OLD.coach_id) THEN
+    PERFORM public.enqueue_notification('coach_assigned', NEW.coach_id, v_data, NEW.academy_id,
+      p_dedupe_key => 'coach_assigned:' || NEW.id || ':' || NEW.coach_id);
+    PERFORM public.enqueue_notification('booking_confirmed', NEW.user_id, v_data, NEW.academy_id,
+      p_dedupe_key => 'booking_confirmed:' || NEW.id);
+  END IF;
+
+  RETURN NEW;
+END;
+$$;
+
+-- =============================================================================
+-- notify_user_cancellation: as in 034_notifications.sql, and the student gets
+-- cancellation_confirmed (which removes the lesson from their calendar).
+-- =============================================================================
+CREATE OR REPLACE FUNCTION public.notify_user_cancellation()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_data jsonb;
+BEGIN
+  v_data := jsonb_build_object(
+    'booking_id', NEW.original_booking_id,
+    'start_time', NEW.start_time,
+    'end_time', NEW.end_time,
+    'service_name', NEW.service_name,
+    'location_name', COALESCE(NEW.location_name, 'Unknown location'),
+    'student_name', public.profile_display_name(NEW.user_id)
+  );
+
+  PERFORM public.enqueue_notification('booking_cancelled', NULL, v_data, NEW.academy_id, 'admin',
+    p_dedupe_key => 'booking_cancelled:' || NEW.id || ':admin');
+  IF NEW.coach_id IS NOT NULL THEN
+    PERFORM public.enqueue_notification('booking_cancelled', NEW.coach_id, v_data, NEW.academy_id,
+      p_dedupe_key => 'booking_cancelled:' || NEW.id || ':coach');
+  END IF;
+  PERFORM public.enqueue_notification('cancellation_confirmed', NEW.user_id, v_data, NEW.academy_id,
+    p_dedupe_key => 'cancellation_confirmed:' || NEW.id);
+
+  RETURN NEW;
+END;
+$$;
+
+-- =============================================================================
+-- queue_rain_check_notifications: as in 034_notifications.sql, plus the end
+-- time for the calendar cancellation.
+-- Codes: unauthorized
+-- =============================================================================
+CREATE OR REPLACE FUNCTION public.queue_rain_check_notifications(p_booking_ids uuid[])
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_history record;
+  v_queued integer := 0;
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM public.profiles WHERE id = auth.uid() AND role IN ('admin', 'coach')
+  ) THEN
+    RETURN jsonb_build_object('success', false, 'code', 'unauthorized',
+      'message', 'Only coaches and admins can send rain check notices.');
+  END IF;
+
+  FOR v_history IN
+    SELECT DISTINCT ON (h.original_booking_id) h.*
+    FROM public.rain_check_history h
+    WHERE h.original_booking_id = ANY (COALESCE(p_booking_ids, '{}'))
+      AND NOT EXISTS (SELECT 1 FROM public.bookings b WHERE b.id = h.original_booking_id)
+    ORDER BY h.original_booking_id, h.cancelled_at DESC
+  LOOP
+    IF public.enqueue_notification(
+      'rain_check',
+      v_history.user_id,
+      jsonb_build_object(
+        'booking_id', v_history.original_booking_id,
+        'start_time', v_history.start_time,
+        'end_time', v_history.end_time,
+        'service_name', v_history.service_name,
+        'location_name', COALESCE(v_history.location_name, 'Unknown location')
+      ),
+      v_history.academy_id,
+      p_dedupe_key => 'rain_check:' || v_history.original_booking_id
+    ) IS NOT NULL THEN
+      v_queued := v_queued + 1;
+    END IF;
+  END LOOP;
+
+  RETURN jsonb_build_object('success', true, 'queued', v_queued);
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.enqueue_notification(text, uuid, jsonb, uuid, text, text, text, timestamptz) FROM PUBLIC;
+REVOKE ALL ON FUNCTION public.enqueue_notification(text, uuid, jsonb, uuid, text, text, text, timestamptz) FROM anon;
+REVOKE ALL ON FUNCTION public.enqueue_notification(text, uuid, jsonb, uuid, text, text, text, timestamptz) FROM authenticated;
+GRANT EXECUTE ON FUNCTION public.enqueue_notification(text, uuid, jsonb, uuid, text, text, text, timestamptz) TO service_role;
+
+REVOKE ALL ON FUNCTION public.queue_rain_check_notifications(uuid[]) FROM PUBLIC;
+REVOKE ALL ON FUNCTION public.queue_rain_check_notifications(uuid[]) FROM anon;
+GRANT EXECUTE ON FUNCTION public.queue_rain_check_notifications(uuid[]) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.queue_rain_check_notifications(uuid[]) TO service_role;
@@ -0,0 +1,246 @@
+-- Waitlist promotion runs on the server only. Safe to re-run.
+-- promote_waitlist books and charges other students, so only the cancellation
+-- RPCs (cancel_booking_with_refund, cancel_series_bookings and
+-- approve_rain_check below) and service_role call it. Admins and coaches
+-- approve rain checks through approve_rain_check, which cancels the booking,
+-- refunds it and offers the place to the waitlist in one transaction.
+-- A promoted student pays their own price (pricing rules, member rate and
+-- lesson packs, as book_lessons), not what the rest of the session paid.
+-- Requires 037_booking_emails.sql.
+
+-- =============================================================================
+-- promote_waitlist: as in 024_wallet_transactions.sql; each waiting student is
+-- priced with quote_lesson_price when their turn comes and a lesson pack that
+-- covers the session is used before the wallet. The entry's cost becomes
+-- that price, so the promoted and skipped messages quote it.
+-- =============================================================================
+CREATE OR REPLACE FUNCTION public.promote_waitlist(
+  p_location_id uuid,
+  p_start_time timestamptz,
+  p_end_time timestamptz
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_capacity integer;
+  v_count integer;
+  v_entry public.waitlist_entries%ROWTYPE;
+  v_booking_id uuid;
+  v_price numeric;
+  v_seg jsonb;
+  v_cost numeric;
+  v_pack_id uuid;
+  v_promoted integer := 0;
+  v_skipped integer := 0;
+BEGIN
+  -- Same row locks as book_lessons, so a direct booking cannot race the promotion
+  PERFORM 1 FROM public.availabilities
+  WHERE location_id = p_location_id
+    AND start_time >= p_start_time
+    AND start_time < p_end_time
+  ORDER BY id
+  FOR UPDATE;
+
+  SELECT COALESCE(MIN(COALESCE(max_capacity, 10)), 10) INTO v_capacity
+  FROM public.availabilities
+  WHERE location_id = p_location_id
+    AND start_time >= p_start_time
+    AND start_time < p_end_time;
+
+  SELECT count(*) INTO v_count
+  FROM public.bookings
+  WHERE location_id = p_location_id
+    AND start_time = p_start_time
+    AND end_time = p_end_time;
+
+  FOR v_entry IN
+    SELECT * FROM public.waitlist_entries
+    WHERE location_id = p_location_id
+      AND start_time = p_start_time
+      AND end_time = p_end_time
+      AND status = 'waiting'
+    ORDER BY created_at
+    FOR UPDATE
+  LOOP
+    EXIT WHEN v_count >= v_capacity;
+
+    IF v_entry.start_time < now() THEN
+      UPDATE public.waitlist_entries SET status = 'expired', updated_at = now() WHERE id = v_entry.id;
+      CONTINUE;
+    END IF;
+
+    -- Priced like book_lessons prices a student's own booking
+    v_price := (public.quote_lesson_price(
+      v_entry.user_id, v_entry.location_id, v_entry.service_name, v_entry.start_time, v_entry.end_time
+    )->>'total')::numeric;
+    v_seg := public.apply_lesson_packs(v_entry.user_id, jsonb_build_array(jsonb_build_object(
+      'start_time', v_entry.start_time,
+      'service_name', v_entry.service_name,
+      'cost', v_price
+    )))->0;
+    v_cost := COALESCE((v_seg->>'cost')::numeric, 0);
+    v_pack_id := NULLIF(v_seg->>'pack_credit_id', '')::uuid;
+
+    v_booking_id := gen_random_uuid();
+
+    -- A pack used up since it was picked leaves the wallet to pay
+    IF v_pack_id IS NOT NULL THEN
+      UPDATE public.pack_credits
+      SET lessons_remaining = lessons_remaining - 1
+      WHERE id = v_pack_id
+        AND lessons_remaining > 0;
+      IF NOT FOUND THEN
+        v_pack_id := NULL;
+        v_cost := v_price;
+      END IF;
+    END IF;
+
+    IF v_cost > 0 THEN
+      PERFORM public.set_wallet_context('waitlist_booking', v_booking_id, NULL, v_entry.service_name);
+      UPDATE public.profiles
+      SET wallet_balance = COALESCE(wallet_balance, 0) - v_cost
+      WHERE id = v_entry.user_id
+        AND COALESCE(wallet_balance, 0) >= v_cost;
+
+      IF NOT FOUND THEN
+        UPDATE public.waitlist_entries
+        SET status = 'skipped', skip_reason = 'insufficient_balance', cost = v_cost, updated_at = now()
+        WHERE id = v_entry.id;
+        v_skipped := v_skipped + 1;
+        CONTINUE;
+      END IF;
+    END IF;
+
+    INSERT INTO public.bookings (
+      id, user_id, location_id, start_time, end_time, credit_cost, service_name, academy_id, pack_credit_id
+    ) VALUES (
+      v_booking_id, v_entry.user_id, v_entry.location_id, v_entry.start_time, v_entry.end_time,
+      v_cost, v_entry.service_name, v_entry.academy_id, v_pack_id
+    );
+
+    UPDATE public.waitlist_entries
+    SET status = 'promoted', booking_id = v_booking_id, cost = v_cost, updated_at = now()
+    WHERE id = v_entry.id;
+
+    v_count := v_count + 1;
+    v_promoted := v_promoted + 1;
+  END LOOP;
+
+  UPDATE public.availabilities
+  SET is_booked = (v_count >= v_capacity)
+  WHERE location_id = p_location_id
+    AND start_time >= p_start_time
+    AND start_time < p_end_time;
+
+  RETURN jsonb_build_object('promoted', v_promoted, 'skipped', v_skipped);
+END;
+$$;
+
+-- =============================================================================
+-- approve_rain_check: approve a pending rain check request. The booking is
+-- cancelled, its price goes back to the wallet as a 'rain_check_refund' (and
+-- a lesson paid by a pack goes back to the pack) and the freed place is
+-- offered to the waitlist. Admins may approve any request, coaches only those
+-- for their own lessons.
+-- Returns { success, booking_id, refund_amount, new_balance, pack_lesson_returned }
+-- or { success: false, code, message }.
+-- Codes: not_found, unauthorized, already_reviewed
+-- =============================================================================
+CREATE OR REPLACE FUNCTION public.approve_rain_check(
+  p_request_id uuid,
+  p_notes text DEFAULT NULL
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_caller uuid := auth.uid();
+  v_role text;
+  v_request public.booking_requests%ROWTYPE;
+  v_booking public.bookings%ROWTYPE;
+  v_refund numeric;
+  v_balance numeric;
+  v_pack_returned boolean := false;
+BEGIN
+  SELECT * INTO v_request
+  FROM public.booking_requests
+  WHERE id = p_request_id AND request_type = 'raincheck'
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('success', false, 'code', 'not_found', 'message', 'Rain check request not found.');
+  END IF;
+
+  SELECT * INTO v_booking FROM public.bookings WHERE id = v_request.booking_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('success', false, 'code', 'not_found', 'message', 'Booking not found for this rain check request.');
+  END IF;
+
+  -- auth.uid() is NULL only for service_role (anon has no EXECUTE)
+  IF v_caller IS NOT NULL THEN
+    SELECT role INTO v_role FROM public.profiles WHERE id = v_caller;
+    IF v_role IS DISTINCT FROM 'admin'
+       AND NOT (v_role = 'coach' AND v_booking.coach_id = v_caller) THEN
+      RETURN jsonb_build_object('success', false, 'code', 'unauthorized',
+        'message', 'You can only approve rain checks for your own lessons.');
+    END IF;
+  END IF;
+
+  IF v_request.status <> 'pending' THEN
+    RETURN jsonb_build_object('success', false, 'code', 'already_reviewed',
+      'message', 'This request has already been reviewed.');
+  END IF;
+
+  UPDATE public.booking_requests
+  SET status = 'approved',
+      reviewed_by = v_caller,
+      reviewed_at = now(),
+      admin_notes = NULLIF(btrim(p_notes), '')
+  WHERE id = v_request.id;
+
+  DELETE FROM public.bookings WHERE id = v_booking.id;
+
+  v_refund := COALESCE(v_booking.credit_cost, 0);
+  IF v_refund > 0 THEN
+    PERFORM public.set_wallet_context('rain_check_refund', v_booking.id, NULL, v_booking.service_name);
+    UPDATE public.profiles
+    SET wallet_balance = COALESCE(wallet_balance, 0) + v_refund
+    WHERE id = v_booking.user_id
+    RETURNING wallet_balance INTO v_balance;
+  ELSE
+    SELECT COALESCE(wallet_balance, 0) INTO v_balance FROM public.profiles WHERE id = v_booking.user_id;
+  END IF;
+
+  IF v_booking.pack_credit_id IS NOT NULL THEN
+    UPDATE public.pack_credits
+    SET lessons_remaining = LEAST(lessons_remaining + 1, lessons_total)
+    WHERE id = v_booking.pack_credit_id;
+    v_pack_returned := FOUND;
+  END IF;
+
+  PERFORM public.promote_waitlist(v_booking.location_id, v_booking.start_time, v_booking.end_time);
+
+  RETURN jsonb_build_object(
+    'success', true,
+    'booking_id', v_booking.id,
+    'refund_amount', v_refund,
+    'new_balance', v_balance,
+    'pack_lesson_returned', v_pack_returned
+  );
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.approve_rain_check(uuid, text) FROM PUBLIC;
+REVOKE ALL ON FUNCTION public.approve_rain_check(uuid, text) FROM anon;
+GRANT EXECUTE ON FUNCTION public.approve_rain_check(uuid, text) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.approve_rain_check(uuid, text) TO service_role;
+
+REVOKE ALL ON FUNCTION public.promote_waitlist(uuid, timestamptz, timestamptz) FROM PUBLIC;
+REVOKE ALL ON FUNCTION public.promote_waitlist(uuid, timestamptz, timestamptz) FROM anon;
+REVOKE ALL ON FUNCTION public.promote_waitlist(uuid, timestamptz, timestamptz) FROM authenticated;
+GRANT EXECUTE ON FUNCTION public.promote_waitlist(uuid, timestamptz, timestamptz) TO service_role;
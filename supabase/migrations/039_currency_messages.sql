@@ -0,0 +1,297 @@
+-- Amounts in messages in the academy currency. Safe to re-run.
+-- format_money writes an amount the way the app's formatMoney does
+-- (utils/currency.js): the currency symbol, thousands separators and the
+-- currency's decimals (none for JPY). Card refund errors and the hourly item
+-- of a lesson quote use it instead of a hardcoded "$".
+-- Requires 038_waitlist_promotion.sql.
+
+-- =============================================================================
+-- currency_decimals / format_money: "$12.50", "£1,250.00", "¥1,250". Unknown
+-- currencies get two decimals and their code as the symbol.
+-- =============================================================================
+CREATE OR REPLACE FUNCTION public.currency_decimals(p_currency text)
+RETURNS integer
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  SELECT CASE lower(COALESCE(p_currency, 'aud')) WHEN 'jpy' THEN 0 ELSE 2 END;
+$$;
+
+CREATE OR REPLACE FUNCTION public.format_money(p_amount numeric, p_currency text)
+RETURNS text
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  SELECT CASE WHEN COALESCE(p_amount, 0) < 0 THEN '-' ELSE '' END
+    || CASE lower(COALESCE(p_currency, 'aud'))
+         WHEN 'aud' THEN '$'
+         WHEN 'nzd' THEN '$'
+         WHEN 'usd' THEN '$'
+         WHEN 'cad' THEN '$'
+         WHEN 'sgd' THEN '$'
+         WHEN 'hkd' THEN 'HK$'
+         WHEN 'gbp' THEN '£'
+         WHEN 'eur' THEN '€'
+         WHEN 'jpy' THEN '¥'
+         ELSE upper(p_currency)
+       END
+    || to_char(abs(round(COALESCE(p_amount, 0), public.currency_decimals(p_currency))),
+         CASE public.currency_decimals(p_currency)
+           WHEN 0 THEN 'FM999,999,999,990'
+           ELSE 'FM999,999,999,990.00'
+         END);
+$$;
+
+-- =============================================================================
+-- start_card_refund: as in 026_stripe_refunds.sql; the amounts in the
+-- insufficient_balance and not_refundable messages are in the student's
+-- academy currency.
+-- =============================================================================
+CREATE OR REPLACE FUNCTION public.start_card_refund(
+  p_user_id uuid,
+  p_amount numeric,
+  p_reason text DEFAULT NULL,
+  p_requested_by uuid DEFAULT NULL
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_amount numeric := round(COALESCE(p_amount, 0), 2);
+  v_balance numeric;
+  v_refundable numeric;
+  v_left numeric;
+  v_share numeric;
+  v_session record;
+  v_refund_id uuid;
+  v_refunds jsonb := '[]'::jsonb;
+  v_currency text;
+BEGIN
+  IF v_amount <= 0 THEN
+    RETURN jsonb_build_object('success', false, 'code', 'invalid_amount',
+      'message', 'Enter an amount to refund.');
+  END IF;
+
+  SELECT COALESCE(wallet_balance, 0) INTO v_balance
+  FROM public.profiles
+  WHERE id = p_user_id
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('success', false, 'code', 'profile_not_found',
+      'message', 'Student profile not found.');
+  END IF;
+
+  SELECT a.currency INTO v_currency
+  FROM public.profiles p
+  JOIN public.academies a ON a.id = p.academy_id
+  WHERE p.id = p_user_id;
+
+  IF v_balance < v_amount THEN
+    RETURN jsonb_build_object('success', false, 'code', 'insufficient_balance',
+      'message', format('Only %s is left in this wallet.', public.format_money(v_balance, v_currency)),
+      'balance', v_balance);
+  END IF;
+
+  -- Lock the sessions that can take the refund so two refunds cannot both use them
+  SELECT COALESCE(sum(amount - amount_refunded), 0) INTO v_refundable
+  FROM (
+    SELECT amount, amount_refunded
+    FROM public.stripe_processed_sessions
+    WHERE user_id = p_user_id
+      AND amount > amount_refunded
+    FOR UPDATE
+  ) s;
+
+  IF v_refundable < v_amount THEN
+    RETURN jsonb_build_object('success', false, 'code', 'not_refundable',
+      'message', format('Only %s of this wallet was paid by card and can go back to it.', public.format_money(v_refundable, v_currency)),
+      'refundable', v_refundable);
+  END IF;
+
+  v_left := v_amount;
+  FOR v_session IN
+    SELECT session_id, payment_intent_id, amount - amount_refunded AS available
+    FROM public.stripe_processed_sessions
+    WHERE user_id = p_user_id
+      AND amount > amount_refunded
+    ORDER BY created_at DESC
+  LOOP
+    EXIT WHEN v_left <= 0;
+    v_share := LEAST(v_left, v_session.available);
+
+    INSERT INTO public.stripe_refunds (user_id, session_id, amount, reason, requested_by)
+    VALUES (p_user_id, v_session.session_id, v_share, NULLIF(btrim(COALESCE(p_reason, '')), ''), p_requested_by)
+    RETURNING id INTO v_refund_id;
+
+    UPDATE public.stripe_processed_sessions
+    SET amount_refunded = amount_refunded + v_share
+    WHERE session_id = v_session.session_id;
+
+    PERFORM public.set_wallet_context('card_refund', NULL, v_session.session_id,
+      COALESCE(NULLIF(btrim(COALESCE(p_reason, '')), ''), 'Refund to card'));
+    UPDATE public.profiles
+    SET wallet_balance = COALESCE(wallet_balance, 0) - v_share
+    WHERE id = p_user_id
+    RETURNING wallet_balance INTO v_balance;
+
+    v_refunds := v_refunds || jsonb_build_object(
+      'id', v_refund_id,
+      'session_id', v_session.session_id,
+      'payment_intent_id', v_session.payment_intent_id,
+      'amount', v_share
+    );
+    v_left := v_left - v_share;
+  END LOOP;
+
+  RETURN jsonb_build_object(
+    'success', true,
+    'refunds', v_refunds,
+    'amount', v_amount,
+    'new_balance', v_balance
+  );
+END;
+$$;
+
+-- =============================================================================
+-- quote_lesson_price: as in 033_academy_timezone.sql; the hourly item's label
+-- gives the rate in the academy currency.
+-- =============================================================================
+CREATE OR REPLACE FUNCTION public.quote_lesson_price(
+  p_user_id uuid,
+  p_location_id uuid,
+  p_service_name text,
+  p_start timestamptz,
+  p_end timestamptz
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_tz constant text := public.academy_timezone(COALESCE(
+    (SELECT academy_id FROM public.locations WHERE id = p_location_id),
+    (SELECT academy_id FROM public.profiles WHERE id = p_user_id)
+  ));
+  v_academy uuid;
+  v_profile_academy uuid;
+  v_currency text;
+  v_is_member boolean;
+  v_hours numeric := EXTRACT(EPOCH FROM (p_end - p_start)) / 3600;
+  v_local_start timestamp := p_start AT TIME ZONE v_tz;
+  v_local_end timestamp := p_end AT TIME ZONE v_tz;
+  v_rule public.pricing_rules%ROWTYPE;
+  v_day date;
+  v_window_start timestamp;
+  v_window_end timestamp;
+  v_overlap numeric;
+  v_subtotal numeric := 0;
+  v_amount numeric;
+  v_items jsonb := '[]'::jsonb;
+BEGIN
+  SELECT academy_id INTO v_academy FROM public.locations WHERE id = p_location_id;
+  SELECT academy_id, is_member INTO v_profile_academy, v_is_member
+  FROM public.profiles WHERE id = p_user_id;
+  v_academy := COALESCE(v_academy, v_profile_academy);
+  SELECT currency INTO v_currency FROM public.academies WHERE id = v_academy;
+  v_is_member := COALESCE(v_is_member, false);
+
+  -- Base and hourly: the most specific matching rule of each kind
+  FOR v_rule IN
+    SELECT DISTINCT ON (r.kind) r.*
+    FROM public.pricing_rules r
+    WHERE r.active
+      AND r.kind IN ('base', 'hourly')
+      AND (r.location_id IS NULL OR r.location_id = p_location_id)
+      AND (r.academy_id IS NULL OR r.academy_id = v_academy)
+      AND (r.service_name IS NULL OR r.service_name = p_service_name)
+    ORDER BY r.kind, (r.location_id IS NULL), (r.academy_id IS NULL), (r.service_name IS NULL), r.created_at DESC
+  LOOP
+    IF v_rule.kind = 'base' THEN
+      v_amount := COALESCE(v_rule.amount, 0);
+      v_items := v_items || jsonb_build_object('kind', 'base',
+        'label', COALESCE(v_rule.label, p_service_name, 'Lesson'), 'amount', round(v_amount, 2));
+    ELSE
+      v_amount := COALESCE(v_rule.amount, 0) * v_hours;
+      v_items := v_items || jsonb_build_object('kind', 'hourly',
+        'label', format('%s h × %s/h', round(v_hours, 2), public.format_money(COALESCE(v_rule.amount, 0), v_currency)),
+        'amount', round(v_amount, 2));
+    END IF;
+    v_subtotal := v_subtotal + v_amount;
+  END LOOP;
+
+  -- Peak/off-peak windows, pro-rated by how much of the lesson falls inside them
+  FOR v_rule IN
+    SELECT r.*
+    FROM public.pricing_rules r
+    WHERE r.active
+      AND r.kind = 'window'
+      AND (r.location_id IS NULL OR r.location_id = p_location_id)
+      AND (r.academy_id IS NULL OR r.academy_id = v_academy)
+      AND (r.service_name IS NULL OR r.service_name = p_service_name)
+    ORDER BY r.created_at
+  LOOP
+    v_overlap := 0;
+    -- Start a day early so windows that run past midnight are caught
+    FOR v_day IN SELECT generate_series(v_local_start::date - 1, v_local_end::date, interval '1 day')::date LOOP
+      CONTINUE WHEN v_rule.days_of_week IS NOT NULL
+        AND NOT (EXTRACT(ISODOW FROM v_day)::smallint = ANY(v_rule.days_of_week));
+      v_window_start := v_day + v_rule.start_local;
+      v_window_end := CASE WHEN v_rule.end_local > v_rule.start_local
+        THEN v_day + v_rule.end_local
+        ELSE v_day + 1 + v_rule.end_local END;
+      v_overlap := v_overlap + GREATEST(0,
+        EXTRACT(EPOCH FROM (LEAST(v_local_end, v_window_end) - GREATEST(v_local_start, v_window_start))) / 3600);
+    END LOOP;
+    CONTINUE WHEN v_overlap <= 0 OR v_hours <= 0;
+
+    v_amount := COALESCE(v_rule.amount, 0) * v_overlap
+      + v_subtotal * COALESCE(v_rule.percent, 0) / 100 * (v_overlap / v_hours);
+    v_items := v_items || jsonb_build_object('kind', 'window',
+      'label', COALESCE(v_rule.label, CASE WHEN v_amount < 0 THEN 'Off-peak' ELSE 'Peak' END),
+      'amount', round(v_amount, 2));
+    v_subtotal := v_subtotal + v_amount;
+  END LOOP;
+
+  IF v_is_member THEN
+    FOR v_rule IN
+      SELECT r.*
+      FROM public.pricing_rules r
+      WHERE r.active
+        AND r.kind = 'member'
+        AND (r.location_id IS NULL OR r.location_id = p_location_id)
+        AND (r.academy_id IS NULL OR r.academy_id = v_academy)
+        AND (r.service_name IS NULL OR r.service_name = p_service_name)
+      ORDER BY r.created_at
+    LOOP
+      v_amount := COALESCE(v_rule.amount, 0) + v_subtotal * COALESCE(v_rule.percent, 0) / 100;
+      v_items := v_items || jsonb_build_object('kind', 'member',
+        'label', COALESCE(v_rule.label, 'Member rate'), 'amount', round(v_amount, 2));
+      v_subtotal := v_subtotal + v_amount;
+    END LOOP;
+  END IF;
+
+  RETURN jsonb_build_object(
+    'total', GREATEST(round(v_subtotal, 2), 0),
+    'hours', round(v_hours, 2),
+    'items', v_items
+  );
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.currency_decimals(text) TO anon, authenticated, service_role;
+GRANT EXECUTE ON FUNCTION public.format_money(numeric, text) TO anon, authenticated, service_role;
+
+REVOKE ALL ON FUNCTION public.start_card_refund(uuid, numeric, text, uuid) FROM PUBLIC;
+REVOKE ALL ON FUNCTION public.start_card_refund(uuid, numeric, text, uuid) FROM anon;
+REVOKE ALL ON FUNCTION public.start_card_refund(uuid, numeric, text, uuid) FROM authenticated;
+GRANT EXECUTE ON FUNCTION public.start_card_refund(uuid, numeric, text, uuid) TO service_role;
+
+REVOKE ALL ON FUNCTION public.quote_lesson_price(uuid, uuid, text, timestamptz, timestamptz) FROM PUBLIC;
+REVOKE ALL ON FUNCTION public.quote_lesson_price(uuid, uuid, text, timestamptz, timestamptz) FROM anon;
+REVOKE ALL ON FUNCTION public.quote_lesson_price(uuid, uuid, text, timestamptz, timestamptz) FROM authenticated;
+GRANT EXECUTE ON FUNCTION public.quote_lesson_price(uuid, uuid, text, timestamptz, timestamptz) TO service_role;
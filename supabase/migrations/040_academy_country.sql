@@ -0,0 +1,36 @@
+-- Country per academy. Safe to re-run.
+-- academies.country (ISO 3166-1 alpha-2, e.g. 'AU', 'NZ', 'GB') is where the
+-- academy's Stripe Connect account is created. dynamic-task refuses to start
+-- onboarding until it is set and matches academies.currency (an AUD academy
+-- in AU, a EUR academy in a euro country). Existing academies get the country
+-- of their currency; EUR academies have to set theirs.
+-- Requires 039_currency_messages.sql.
+
+ALTER TABLE public.academies
+  ADD COLUMN IF NOT EXISTS country text;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint WHERE conname = 'academies_country_check'
+  ) THEN
+    ALTER TABLE public.academies
+      ADD CONSTRAINT academies_country_check
+      CHECK (country ~ '^[A-Z]{2}$');
+  END IF;
+END $$;
+
+COMMENT ON COLUMN public.academies.country IS 'Country of the academy''s Stripe Connect account (ISO 3166-1 alpha-2, uppercase)';
+
+UPDATE public.academies
+SET country = CASE currency
+    WHEN 'aud' THEN 'AU'
+    WHEN 'nzd' THEN 'NZ'
+    WHEN 'usd' THEN 'US'
+    WHEN 'cad' THEN 'CA'
+    WHEN 'gbp' THEN 'GB'
+    WHEN 'sgd' THEN 'SG'
+    WHEN 'hkd' THEN 'HK'
+    WHEN 'jpy' THEN 'JP'
+  END
+WHERE country IS NULL;
@@ -0,0 +1,57 @@
+-- Booking policy limits are resolved one by one. Safe to re-run.
+-- Until now the most specific booking_policies row replaced the whole policy,
+-- so an academy row that only set a weekly cap dropped the global 1-week lead
+-- time. Each limit now comes from the most specific row that sets it (academy
+-- + service, then academy, then service, then the global default); a NULL
+-- limit is inherited from the less specific rows. To lift a lead time for an
+-- academy or service, set min_lead_hours to 0 on its row.
+-- check_booking_policies (033) uses this through resolve_booking_policy.
+-- Requires 040_academy_country.sql.
+
+COMMENT ON TABLE public.booking_policies IS 'Per-academy, per-service booking rules; NULL academy_id/service_name rows are defaults, NULL limits are inherited from them.';
+
+-- =============================================================================
+-- resolve_booking_policy: as in 018_booking_policies.sql, but each limit is
+-- taken from the most specific row that sets it. id and academy_id are the most
+-- specific row's; service_name is that of the row the weekly cap came from, so
+-- the cap is still counted per service when a service row sets it.
+-- =============================================================================
+CREATE OR REPLACE FUNCTION public.resolve_booking_policy(p_academy_id uuid, p_service_name text)
+RETURNS public.booking_policies
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_row public.booking_policies%ROWTYPE;
+  v_policy public.booking_policies%ROWTYPE;
+BEGIN
+  FOR v_row IN
+    SELECT *
+    FROM public.booking_policies
+    WHERE (academy_id = p_academy_id OR academy_id IS NULL)
+      AND (service_name = p_service_name OR service_name IS NULL)
+    ORDER BY (academy_id IS NULL), (service_name IS NULL)
+  LOOP
+    IF v_policy.id IS NULL THEN
+      v_policy := v_row;
+      CONTINUE;
+    END IF;
+
+    v_policy.min_lead_hours := COALESCE(v_policy.min_lead_hours, v_row.min_lead_hours);
+    v_policy.max_days_ahead := COALESCE(v_policy.max_days_ahead, v_row.max_days_ahead);
+    IF v_policy.max_bookings_per_week IS NULL AND v_row.max_bookings_per_week IS NOT NULL THEN
+      v_policy.max_bookings_per_week := v_row.max_bookings_per_week;
+      v_policy.service_name := v_row.service_name;
+    END IF;
+  END LOOP;
+
+  RETURN v_policy;
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.resolve_booking_policy(uuid, text) FROM PUBLIC;
+REVOKE ALL ON FUNCTION public.resolve_booking_policy(uuid, text) FROM anon;
+GRANT EXECUTE ON FUNCTION public.resolve_booking_policy(uuid, text) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.resolve_booking_policy(uuid, text) TO service_role;
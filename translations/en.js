@@ -44,6 +44,9 @@ export default {
   navStudents: 'Students',
   navCoaches: 'Coaches',
   navBookingHistory: 'Booking History',
+  navStripeEvents: 'Stripe Events',
+  navReconciliation: 'Reconciliation',
+  navNotifications: 'Notifications',
   navPerformanceManagement: 'Performance Management',
   navAdmin: 'ADMIN',
   assignLesson: 'Assign lesson',
@@ -235,15 +238,147 @@ export default {
   quickTopUp: 'Quick Top-Up',
   customAmountLabel: 'Custom Amount',
   enterAmount: 'Enter amount',
-  minimum5: 'Minimum: $5',
+  minimumAmount: 'Minimum: {{amount}}',
   topUpAmountLabel: 'Top-Up Amount:',
   proceedToPayment: 'Proceed to Payment',
   userNotAuthenticated: 'User not authenticated',
   selectOrEnterValidAmount: 'Please select or enter a valid amount',
-  minTopUp5: 'Minimum top-up amount is $5',
+  minTopUpAmount: 'Minimum top-up amount is {{amount}}',
   paymentError: 'Payment Error',
   failedToProcessPayment: 'Failed to process payment. Please try again.',
 
+  // Promo codes (wallet modal + booking confirmation)
+  promoCode: 'Promo Code',
+  enterPromoCode: 'Enter code',
+  applyPromo: 'Apply',
+  removePromo: 'Remove',
+  promoDiscount: 'Promo Discount:',
+  youPay: 'You Pay:',
+  promoCheckFailed: 'Could not check this code. Please try again.',
+  promoMinCharge: 'The amount after the discount must be at least {{amount}}',
+  confirmBooking: 'Confirm Booking',
+  lesson: 'Lesson',
+  total: 'Total:',
+  confirmAndPay: 'Confirm & Pay',
+
+  // Lesson packs
+  lessonPacks: 'Lesson Packs',
+  lessonPacksIntro: 'Buy lessons up front at a discount. Pack lessons are used before your wallet balance when you book.',
+  noLessonPacks: 'No lesson packs are on sale right now.',
+  lessonPackMeta: '{{count}} lessons · {{each}} each · valid for {{days}} days',
+  lessonPackServices: 'For: {{services}}',
+  lessonsLeft: '{{n}} lessons',
+  packCreditLine: '{{name}}: {{left}} of {{total}} left · expires {{date}}',
+  buyPack: 'Buy Pack',
+  payFromWallet: 'Pay from Wallet',
+  payByCard: 'Pay by Card',
+  purchaseFailed: 'Purchase Failed',
+  lessonPackPurchased: 'Lesson Pack Purchased!',
+  lessonPackPurchasedMessage: '{{name}} is ready to use. Its lessons are used before your wallet balance when you book.',
+  packLessonReturnDesc: 'Cancel instantly and the lesson goes back on your lesson pack.',
+  packLessonNoReturnDesc: 'Cancel instantly. The lesson from your pack is not returned at this point.',
+  packLessonReturnNotice: 'Your booking will be cancelled immediately and the lesson returned to your lesson pack.',
+  bookingCancelledPackLesson: 'Your booking has been cancelled and the lesson is back on your lesson pack.',
+
+  // Season Pass
+  termEnrollingBadge: 'ENROLLING NOW',
+  termEnrolledBadge: 'ENROLLED',
+  termFullBadge: 'FULL',
+  termDateRange: '{{start}} – {{end}}',
+  termWeeklySessions: '{{n}} weekly sessions',
+  termProgramCount: '{{n}} programs',
+  termSpotsLeft: '{{n}} spots left',
+  exploreTermPrograms: 'EXPLORE THE PROGRAMS',
+  termProgramSlot: '{{day}}s {{start}} – {{end}}',
+  termInvestment: 'TERM INVESTMENT',
+  termPriceUnit: 'term',
+  termProRataNote: 'Pro rata: {{n}} of {{total}} sessions left (full term {{full}})',
+  enrolFromWallet: 'ENROL · PAY FROM WALLET',
+  enrolByCard: 'ENROL · PAY BY CARD',
+  termBooksAllSessions: 'Every remaining session is booked for you',
+  enrolmentConfirmed: 'Enrolment Confirmed!',
+  enrolmentConfirmedMessage: 'You are enrolled in {{name}}. {{n}} sessions have been added to your bookings.',
+  enrolmentFailed: 'Enrolment Failed',
+  weekdayMon: 'Monday',
+  weekdayTue: 'Tuesday',
+  weekdayWed: 'Wednesday',
+  weekdayThu: 'Thursday',
+  weekdayFri: 'Friday',
+  weekdaySat: 'Saturday',
+  weekdaySun: 'Sunday',
+
+  // Wallet history
+  walletHistory: 'History',
+  walletHistorySubtitle: 'Every credit and debit on your wallet',
+  loadingWalletHistory: 'Loading wallet history...',
+  noWalletTransactions: 'No wallet activity yet',
+  walletTransactionsHere: 'Top-ups, payments and refunds will appear here.',
+  recentRefunds: 'Recent Refunds',
+  walletReasonOpening: 'Opening balance',
+  walletReasonTopup: 'Wallet top-up',
+  walletReasonCardPayment: 'Card payment',
+  walletReasonPromo: 'Promo credit',
+  walletReasonBooking: 'Lesson booking',
+  walletReasonWaitlist: 'Booked from waitlist',
+  walletReasonPack: 'Lesson pack',
+  walletReasonTerm: 'Season Pass enrolment',
+  walletReasonCancellationRefund: 'Cancellation refund',
+  walletReasonRainCheck: 'Rain check refund',
+  walletReasonAdminAdjustment: 'Adjustment by academy',
+  walletReasonAdjustment: 'Balance adjustment',
+  walletReasonCardRefund: 'Refunded to card',
+  walletReasonAutoTopup: 'Auto top-up',
+  walletReasonCardRefundReversal: 'Card refund returned to wallet',
+  walletReasonStripeReconciliation: 'Card payment correction',
+  // Family accounts
+  myFamily: 'My family',
+  myFamilySubtitle: 'Book lessons for your juniors from your account. They share your wallet.',
+  playerFirstName: 'First name',
+  playerLastName: 'Last name',
+  addPlayer: 'Add player',
+  removePlayer: 'Remove player',
+  removePlayerMessage: 'Their booked lessons stay booked. You can add them again at any time.',
+  failedToAddPlayer: 'Could not add this player. Please try again.',
+  failedToRemovePlayer: 'Could not remove this player. Please try again.',
+  bookingForPlayer: 'For {{name}}',
+  familyFilterEveryone: 'Everyone',
+  familyFilterMe: 'Me',
+  // Auto top-up
+  autoTopUp: 'Auto top-up',
+  autoTopUpSubtitle: 'Charge your saved card when a booking would take your balance below a set amount.',
+  savedCard: 'Saved card',
+  saveCard: 'Save a card',
+  replaceCard: 'Replace card',
+  autoTopUpEnabled: 'Top up automatically',
+  autoTopUpThreshold: 'When balance falls below ({{symbol}})',
+  autoTopUpAmount: 'Top-up amount ({{symbol}})',
+  autoTopUpSaved: 'Auto top-up settings saved.',
+  autoTopUpLastFailure: 'Last top-up failed:',
+  autoTopUpTurnedOff: 'Auto top-up was turned off after repeated failures. Replace your card to turn it back on.',
+  failedToSaveAutoTopUp: 'Failed to save auto top-up settings.',
+  failedToStartCardSetup: 'Could not open the card form. Please try again.',
+
+  // Notification preferences
+  notificationPreferences: 'Notifications',
+  notificationPreferencesSubtitle: 'Choose how we tell you about each of these.',
+  notificationsNoPhone: 'There is no mobile number on your account, so texts come by email instead.',
+  sms: 'SMS',
+  email: 'Email',
+  notifyBookingConfirmed: 'Booking confirmed',
+  notifyLessonReminder: 'Lesson reminders',
+  notifyRainCheck: 'Rain checks',
+  notifyWaitlist: 'Waitlist',
+  notifyAutoTopUp: 'Auto top-ups',
+  notifyCoachAssigned: 'Lesson assigned to me',
+  notifyBookingCancelled: 'Lesson cancelled',
+  quietHours: 'Quiet hours',
+  quietHoursSubtitle: 'Texts due during quiet hours are sent when they end. Times are in your academy\'s timezone.',
+  quietHoursFrom: 'From (HH:MM)',
+  quietHoursTo: 'To (HH:MM)',
+  invalidQuietHours: 'Enter quiet hours as HH:MM, e.g. 21:00 to 08:00.',
+  notificationPreferencesSaved: 'Notification preferences saved.',
+  failedToSaveNotificationPreferences: 'Failed to save notification preferences.',
+
   // Service modal
   about: 'About',
   whatToBring: 'What to Bring',
@@ -254,14 +389,23 @@ export default {
   selectAnOption: 'Select an option:',
   cancelBooking: 'Cancel Booking',
   cancelRequest: 'Cancel Request',
-  freeCancelAvailableDesc: 'Free cancellation available - cancel instantly without approval.',
-  cancelRequestDesc: 'Request to cancel this booking. Requires admin approval.',
+  freeCancelAvailableDesc: 'Full refund - cancel instantly without approval.',
+  cancelRequestDesc: 'Ask an admin to review your cancellation and refund. Your booking stays until they decide.',
   freeCancellation: 'Free cancellation',
+  partialRefundDesc: 'Cancel instantly and get {{amount}} ({{percent}}%) back to your wallet.',
+  noRefundDesc: 'Cancel instantly. No refund at this point.',
+  checkingRefund: 'Checking your refund...',
+  cancellationPolicy: 'Cancellation policy',
+  refundTierAtLeast: '{{hours}}h or more before: {{percent}}% refund',
+  refundTierUnder: 'Under {{hours}}h before: {{percent}}% refund',
+  refundTierAnyTime: 'Any time: {{percent}}% refund',
+  reviewRequestNotice: 'An admin will review your request and decide the refund. Your booking stays in place until then.',
+  bookingCancelledRefundAmount: 'Your booking has been cancelled and {{amount}} has been refunded to your wallet.',
   rainCheck: 'Rain Check',
   rainCheckDesc: 'Request to reschedule due to rain. Requires admin approval.',
   rainCheckRequest: 'Rain Check Request',
-  freeCancelWindowNotice: "You're within the free cancellation window. Your booking will be cancelled immediately.",
-  lateCancelNotice: 'Free cancellation ends at 12pm the day before your booking. This request requires admin approval.',
+  refundNotice: 'Your booking will be cancelled immediately and {{amount}} ({{percent}}%) refunded to your wallet.',
+  noRefundNotice: 'It is too close to the lesson for a refund under the cancellation policy. Your booking will be cancelled immediately.',
   reasonForCancellation: 'Reason for Cancellation *',
   reasonForRainCheck: 'Reason for Rain Check *',
   reasonPlaceholderCancel: 'Please provide a reason for cancelling...',
@@ -280,9 +424,23 @@ export default {
   bookingCancelledRefundSuccess: 'Your booking has been successfully cancelled and the amount has been refunded to your wallet.',
   bookingCancelledSuccess: 'Your booking has been successfully cancelled.',
   requestSubmitted: 'Request Submitted',
-  cancelRequestSubmittedMessage: 'Your cancellation request has been submitted and is pending admin approval. Free cancellation is available until 12pm the day before your booking.',
+  cancelRequestSubmittedMessage: 'Your cancellation request has been submitted and is pending admin approval.',
   rainCheckSubmittedMessage: 'Your rain check request has been submitted and is pending admin or coach approval.',
   failedToProcessCancellation: 'Failed to process cancellation. Please try again.',
   failedToSubmitRainCheck: 'Failed to submit rain check request. Please try again.',
   ok: 'OK',
+
+  // Weekly series
+  weeklySeries: 'Weekly series',
+  seriesUpcoming: '{{count}} upcoming',
+  skipThisWeek: 'Skip this week',
+  cancelRestOfSeries: 'Cancel rest of series',
+  skipWeekTitle: 'Skip This Week',
+  skipWeekMessage: 'Cancel this lesson only? The rest of the series stays booked and the lesson is refunded to your wallet under the cancellation policy.',
+  cancelSeriesTitle: 'Cancel Series',
+  cancelSeriesMessage: 'Cancel all remaining lessons in this series? They will be refunded to your wallet under the cancellation policy.',
+  seriesUpdated: 'Series Updated',
+  seriesCancelledResult: '{{count}} lesson(s) cancelled. {{amount}} refunded to your wallet.',
+  seriesKeptResult: '{{count}} lesson(s) could not be cancelled and were kept. Open a lesson to request a cancellation.',
+  failedToUpdateSeries: 'Failed to update the series. Please try again.',
 };
@@ -44,6 +44,9 @@ export default {
   navStudents: '学生',
   navCoaches: '教练',
   navBookingHistory: '预订历史',
+  navStripeEvents: 'Stripe 事件',
+  navReconciliation: '对账',
+  navNotifications: '通知',
   navPerformanceManagement: '表现管理',
   navAdmin: '管理',
   assignLesson: '分配课程',
@@ -235,15 +238,147 @@ export default {
   quickTopUp: '快捷充值',
   customAmountLabel: '自定义金额',
   enterAmount: '输入金额',
-  minimum5: '最低：$5',
+  minimumAmount: '最低：{{amount}}',
   topUpAmountLabel: '充值金额：',
   proceedToPayment: '去支付',
   userNotAuthenticated: '未登录',
   selectOrEnterValidAmount: '请选择或输入有效金额',
-  minTopUp5: '最低充值金额为 $5',
+  minTopUpAmount: '最低充值金额为 {{amount}}',
   paymentError: '支付错误',
   failedToProcessPayment: '支付处理失败，请重试。',
 
+  // Promo codes (wallet modal + booking confirmation)
+  promoCode: '优惠码',
+  enterPromoCode: '输入优惠码',
+  applyPromo: '使用',
+  removePromo: '移除',
+  promoDiscount: '优惠折扣：',
+  youPay: '实付金额：',
+  promoCheckFailed: '无法验证该优惠码，请重试。',
+  promoMinCharge: '折扣后金额不能低于 {{amount}}',
+  confirmBooking: '确认预约',
+  lesson: '课程',
+  total: '合计：',
+  confirmAndPay: '确认并支付',
+
+  // Lesson packs
+  lessonPacks: '课程套餐',
+  lessonPacksIntro: '提前购买课程享受优惠。预约时优先使用套餐课时，再扣钱包余额。',
+  noLessonPacks: '目前没有在售的课程套餐。',
+  lessonPackMeta: '{{count}} 节课 · 每节 {{each}} · 有效期 {{days}} 天',
+  lessonPackServices: '适用：{{services}}',
+  lessonsLeft: '{{n}} 节课',
+  packCreditLine: '{{name}}：剩余 {{left}}/{{total}} 节 · {{date}} 到期',
+  buyPack: '购买套餐',
+  payFromWallet: '钱包支付',
+  payByCard: '银行卡支付',
+  purchaseFailed: '购买失败',
+  lessonPackPurchased: '套餐购买成功！',
+  lessonPackPurchasedMessage: '{{name}} 已可使用。预约时优先使用套餐课时，再扣钱包余额。',
+  packLessonReturnDesc: '立即取消，课时将退回您的课程套餐。',
+  packLessonNoReturnDesc: '立即取消。此时取消，套餐课时不予退回。',
+  packLessonReturnNotice: '您的预约将立即取消，课时将退回您的课程套餐。',
+  bookingCancelledPackLesson: '预约已取消，课时已退回您的课程套餐。',
+
+  // Season Pass
+  termEnrollingBadge: '报名中',
+  termEnrolledBadge: '已报名',
+  termFullBadge: '已满',
+  termDateRange: '{{start}} – {{end}}',
+  termWeeklySessions: '每周一课，共 {{n}} 节',
+  termProgramCount: '{{n}} 个课程班',
+  termSpotsLeft: '剩余 {{n}} 个名额',
+  exploreTermPrograms: '查看课程班',
+  termProgramSlot: '每{{day}} {{start}} – {{end}}',
+  termInvestment: '学期费用',
+  termPriceUnit: '学期',
+  termProRataNote: '按比例计费：剩余 {{n}}/{{total}} 节课（整学期 {{full}}）',
+  enrolFromWallet: '报名 · 钱包支付',
+  enrolByCard: '报名 · 银行卡支付',
+  termBooksAllSessions: '系统将为您预约所有剩余课程',
+  enrolmentConfirmed: '报名成功！',
+  enrolmentConfirmedMessage: '您已报名 {{name}}，{{n}} 节课已加入您的预约。',
+  enrolmentFailed: '报名失败',
+  weekdayMon: '周一',
+  weekdayTue: '周二',
+  weekdayWed: '周三',
+  weekdayThu: '周四',
+  weekdayFri: '周五',
+  weekdaySat: '周六',
+  weekdaySun: '周日',
+
+  // Wallet history
+  walletHistory: '明细',
+  walletHistorySubtitle: '钱包的每一笔收支',
+  loadingWalletHistory: '正在加载钱包明细...',
+  noWalletTransactions: '暂无钱包记录',
+  walletTransactionsHere: '充值、付款和退款将显示在这里。',
+  recentRefunds: '最近退款',
+  walletReasonOpening: '期初余额',
+  walletReasonTopup: '钱包充值',
+  walletReasonCardPayment: '银行卡付款',
+  walletReasonPromo: '优惠码赠送',
+  walletReasonBooking: '课程预约',
+  walletReasonWaitlist: '候补转正预约',
+  walletReasonPack: '课程套餐',
+  walletReasonTerm: '学期课程报名',
+  walletReasonCancellationRefund: '取消退款',
+  walletReasonRainCheck: '雨天取消退款',
+  walletReasonAdminAdjustment: '学院调整',
+  walletReasonAdjustment: '余额调整',
+  walletReasonCardRefund: '已退款至银行卡',
+  walletReasonAutoTopup: '自动充值',
+  walletReasonCardRefundReversal: '银行卡退款未成功，已退回钱包',
+  walletReasonStripeReconciliation: '银行卡付款更正',
+  // Family accounts
+  myFamily: '我的家庭',
+  myFamilySubtitle: '用您的账户为孩子预订课程，共用您的钱包。',
+  playerFirstName: '名',
+  playerLastName: '姓',
+  addPlayer: '添加球员',
+  removePlayer: '移除球员',
+  removePlayerMessage: '已预订的课程仍然保留。您可以随时重新添加。',
+  failedToAddPlayer: '无法添加该球员，请重试。',
+  failedToRemovePlayer: '无法移除该球员，请重试。',
+  bookingForPlayer: '为 {{name}} 预订',
+  familyFilterEveryone: '全部',
+  familyFilterMe: '我',
+  // Auto top-up
+  autoTopUp: '自动充值',
+  autoTopUpSubtitle: '当预订会使余额低于设定金额时，从已保存的银行卡扣款充值。',
+  savedCard: '已保存的银行卡',
+  saveCard: '保存银行卡',
+  replaceCard: '更换银行卡',
+  autoTopUpEnabled: '自动充值',
+  autoTopUpThreshold: '余额低于（{{symbol}}）时',
+  autoTopUpAmount: '充值金额（{{symbol}}）',
+  autoTopUpSaved: '自动充值设置已保存。',
+  autoTopUpLastFailure: '上次充值失败：',
+  autoTopUpTurnedOff: '多次失败后自动充值已关闭。更换银行卡后可重新开启。',
+  failedToSaveAutoTopUp: '保存自动充值设置失败。',
+  failedToStartCardSetup: '无法打开银行卡页面，请重试。',
+
+  // Notification preferences
+  notificationPreferences: '通知',
+  notificationPreferencesSubtitle: '选择以下各类通知的接收方式。',
+  notificationsNoPhone: '您的账户没有手机号码，短信将改为发送邮件。',
+  sms: '短信',
+  email: '邮件',
+  notifyBookingConfirmed: '预约已确认',
+  notifyLessonReminder: '课程提醒',
+  notifyRainCheck: '雨天取消',
+  notifyWaitlist: '候补名单',
+  notifyAutoTopUp: '自动充值',
+  notifyCoachAssigned: '分配给我的课程',
+  notifyBookingCancelled: '课程已取消',
+  quietHours: '免打扰时段',
+  quietHoursSubtitle: '免打扰时段内的短信将在时段结束后发送。时间按学院所在时区计算。',
+  quietHoursFrom: '开始 (HH:MM)',
+  quietHoursTo: '结束 (HH:MM)',
+  invalidQuietHours: '请按 HH:MM 格式填写免打扰时段，例如 21:00 至 08:00。',
+  notificationPreferencesSaved: '通知设置已保存。',
+  failedToSaveNotificationPreferences: '保存通知设置失败。',
+
   // Service modal
   about: '简介',
   whatToBring: '需携带',
@@ -254,14 +389,23 @@ export default {
   selectAnOption: '请选择：',
   cancelBooking: '取消预约',
   cancelRequest: '申请取消',
-  freeCancelAvailableDesc: '可免费取消，立即生效，无需审核。',
-  cancelRequestDesc: '申请取消此预约，需管理员审核。',
+  freeCancelAvailableDesc: '全额退款，立即取消，无需审核。',
+  cancelRequestDesc: '申请管理员审核取消及退款。审核前预约保持不变。',
   freeCancellation: '免费取消',
+  partialRefundDesc: '立即取消，{{amount}}（{{percent}}%）退回您的钱包。',
+  noRefundDesc: '立即取消。目前已无法退款。',
+  checkingRefund: '正在计算退款...',
+  cancellationPolicy: '取消政策',
+  refundTierAtLeast: '提前 {{hours}} 小时或以上：退款 {{percent}}%',
+  refundTierUnder: '提前不足 {{hours}} 小时：退款 {{percent}}%',
+  refundTierAnyTime: '任何时间：退款 {{percent}}%',
+  reviewRequestNotice: '管理员将审核您的申请并决定退款金额。在此之前预约保持不变。',
+  bookingCancelledRefundAmount: '预约已取消，{{amount}} 已退回您的钱包。',
   rainCheck: '雨改',
   rainCheckDesc: '因天气申请改期，需管理员审核。',
   rainCheckRequest: '雨改申请',
-  freeCancelWindowNotice: '您仍在免费取消期内，取消将立即生效。',
-  lateCancelNotice: '免费取消截止时间为预约前一日中午12点，此后取消需管理员审核。',
+  refundNotice: '预约将立即取消，{{amount}}（{{percent}}%）将退回您的钱包。',
+  noRefundNotice: '根据取消政策，距离上课时间太近，无法退款。预约将立即取消。',
   reasonForCancellation: '取消原因 *',
   reasonForRainCheck: '雨改原因 *',
   reasonPlaceholderCancel: '请说明取消原因...',
@@ -280,9 +424,23 @@ export default {
   bookingCancelledRefundSuccess: '预约已取消，款项已退回您的钱包。',
   bookingCancelledSuccess: '预约已成功取消。',
   requestSubmitted: '已提交',
-  cancelRequestSubmittedMessage: '您的取消申请已提交，等待管理员审核。免费取消截止为预约前一日中午12点。',
+  cancelRequestSubmittedMessage: '您的取消申请已提交，等待管理员审核。',
   rainCheckSubmittedMessage: '您的雨改申请已提交，等待管理员或教练审核。',
   failedToProcessCancellation: '取消处理失败，请重试。',
   failedToSubmitRainCheck: '雨改申请提交失败，请重试。',
   ok: '确定',
+
+  // Weekly series
+  weeklySeries: '每周系列',
+  seriesUpcoming: '{{count}} 节即将上课',
+  skipThisWeek: '跳过本周',
+  cancelRestOfSeries: '取消剩余系列课程',
+  skipWeekTitle: '跳过本周',
+  skipWeekMessage: '仅取消这节课？系列中的其他课程保持预约，本节课费用将按取消政策退回您的钱包。',
+  cancelSeriesTitle: '取消系列',
+  cancelSeriesMessage: '取消该系列中所有剩余课程？费用将按取消政策退回您的钱包。',
+  seriesUpdated: '系列已更新',
+  seriesCancelledResult: '已取消 {{count}} 节课，{{amount}} 已退回您的钱包。',
+  seriesKeptResult: '{{count}} 节课无法取消，已保留。请打开课程提交取消申请。',
+  failedToUpdateSeries: '系列更新失败，请重试。',
 };
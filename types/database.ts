@@ -25,6 +25,7 @@ export interface Booking {
   credit_cost: number;
   service_name: string | null;
   coach_id: string | null; // UUID - optional reference to profiles.id (coach or admin)
+  series_id?: string | null; // UUID - booking_series(id) when booked as a weekly series
   created_at?: string; // ISO timestamp
   updated_at?: string; // ISO timestamp
 }
@@ -0,0 +1,89 @@
+/**
+ * Booking policy rules (supabase/migrations/018_booking_policies.sql and
+ * 041_booking_policy_inheritance.sql), mirrored from the server so
+ * BookingDiscoveryScreen can grey out slots a student cannot book.
+ * lib/bookingPolicies.js loads the rows.
+ */
+
+/**
+ * The policy that applies to an academy + service, resolved like
+ * resolve_booking_policy (041_booking_policy_inheritance.sql): each limit comes
+ * from the most specific row that sets it (academy + service, academy, service,
+ * then the global default), so a row that leaves a limit empty inherits it.
+ * service_name is the scope of the weekly cap: that of the row the cap came from.
+ * Returns null when no row matches.
+ */
+export const resolveBookingPolicy = (policies, academyId, serviceName) => {
+  const candidates = policies.filter(
+    (p) =>
+      (p.academy_id === academyId || p.academy_id == null) &&
+      (p.service_name === serviceName || p.service_name == null)
+  );
+  candidates.sort(
+    (a, b) =>
+      (a.academy_id == null) - (b.academy_id == null) ||
+      (a.service_name == null) - (b.service_name == null)
+  );
+  if (candidates.length === 0) return null;
+
+  const policy = { ...candidates[0] };
+  candidates.slice(1).forEach((row) => {
+    policy.min_lead_hours = policy.min_lead_hours ?? row.min_lead_hours;
+    policy.max_days_ahead = policy.max_days_ahead ?? row.max_days_ahead;
+    if (policy.max_bookings_per_week == null && row.max_bookings_per_week != null) {
+      policy.max_bookings_per_week = row.max_bookings_per_week;
+      policy.service_name = row.service_name;
+    }
+  });
+  return policy;
+};
+
+/**
+ * "1 week", "2 days", "12 hours" (matches format_lead_time in SQL)
+ */
+export const formatLeadTime = (hours) => {
+  if (hours > 0 && hours % 168 === 0) return `${hours / 168} ${hours === 168 ? 'week' : 'weeks'}`;
+  if (hours > 0 && hours % 24 === 0) return `${hours / 24} ${hours === 24 ? 'day' : 'days'}`;
+  return `${hours} ${hours === 1 ? 'hour' : 'hours'}`;
+};
+
+/**
+ * Why a lesson starting at startTime cannot be booked, or null if it can.
+ * weekBookings: the student's bookings in the same Monday–Sunday week ({ service_name }).
+ * Returns { short, message } — short fits on a slot chip, message matches the server error.
+ */
+export const getPolicyBlockReason = (policy, startTime, weekBookings = []) => {
+  if (!policy) return null;
+  const start = new Date(startTime).getTime();
+  const now = Date.now();
+
+  if (policy.min_lead_hours != null && start < now + policy.min_lead_hours * 60 * 60 * 1000) {
+    const lead = formatLeadTime(policy.min_lead_hours);
+    return {
+      short: `Book ${lead} ahead`,
+      message: `Bookings must be made at least ${lead} in advance.`,
+    };
+  }
+
+  if (policy.max_days_ahead != null && start > now + policy.max_days_ahead * 24 * 60 * 60 * 1000) {
+    return {
+      short: `Opens ${policy.max_days_ahead} days before`,
+      message: `Bookings open ${policy.max_days_ahead} days in advance.`,
+    };
+  }
+
+  if (policy.max_bookings_per_week != null) {
+    const count = weekBookings.filter(
+      (b) => policy.service_name == null || b.service_name === policy.service_name
+    ).length;
+    if (count >= policy.max_bookings_per_week) {
+      const max = policy.max_bookings_per_week;
+      return {
+        short: 'Weekly limit reached',
+        message: `You can book up to ${max} ${policy.service_name ? `${policy.service_name} ` : ''}lesson${max === 1 ? '' : 's'} per week.`,
+      };
+    }
+  }
+
+  return null;
+};
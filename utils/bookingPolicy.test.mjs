@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveBookingPolicy, getPolicyBlockReason } from './bookingPolicy.js';
+
+const ACADEMY = 'a1';
+const HOUR = 60 * 60 * 1000;
+
+const globalDefault = { id: 'g', academy_id: null, service_name: null, min_lead_hours: 168 };
+
+test('an academy row that only sets a weekly cap inherits the global lead time', () => {
+  const policies = [
+    globalDefault,
+    { id: 'a', academy_id: ACADEMY, service_name: null, max_bookings_per_week: 2 },
+  ];
+
+  const policy = resolveBookingPolicy(policies, ACADEMY, 'Private');
+  assert.equal(policy.id, 'a');
+  assert.equal(policy.min_lead_hours, 168);
+  assert.equal(policy.max_bookings_per_week, 2);
+  assert.equal(policy.service_name, null);
+
+  const tomorrow = new Date(Date.now() + 24 * HOUR).toISOString();
+  assert.match(getPolicyBlockReason(policy, tomorrow).message, /at least 1 week in advance/);
+});
+
+test('the most specific row that sets a limit wins', () => {
+  const policies = [
+    globalDefault,
+    { id: 'a', academy_id: ACADEMY, service_name: null, min_lead_hours: 24, max_days_ahead: 30 },
+    { id: 'as', academy_id: ACADEMY, service_name: 'Private', min_lead_hours: 0 },
+  ];
+
+  const policy = resolveBookingPolicy(policies, ACADEMY, 'Private');
+  assert.equal(policy.min_lead_hours, 0);
+  assert.equal(policy.max_days_ahead, 30);
+  assert.equal(resolveBookingPolicy(policies, ACADEMY, 'Group').min_lead_hours, 24);
+  assert.equal(resolveBookingPolicy(policies, 'other', 'Private').min_lead_hours, 168);
+});
+
+test('the weekly cap keeps the service of the row it came from', () => {
+  const policies = [
+    globalDefault,
+    { id: 's', academy_id: null, service_name: 'Private', max_bookings_per_week: 1 },
+    { id: 'a', academy_id: ACADEMY, service_name: null, min_lead_hours: 48 },
+  ];
+
+  const policy = resolveBookingPolicy(policies, ACADEMY, 'Private');
+  assert.equal(policy.max_bookings_per_week, 1);
+  assert.equal(policy.service_name, 'Private');
+  assert.equal(policy.min_lead_hours, 48);
+});
+
+test('no matching row resolves to null', () => {
+  assert.equal(resolveBookingPolicy([], ACADEMY, 'Private'), null);
+});
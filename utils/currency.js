@@ -0,0 +1,70 @@
+/**
+ * Money formatting in an academy's currency (academies.currency,
+ * supabase/migrations/032_academy_currency.sql).
+ *
+ * Amounts are kept in major units (dollars, pounds, yen) everywhere in the app;
+ * Stripe takes minor units, which is what toMinorUnits gives the Checkout request.
+ */
+
+export const DEFAULT_CURRENCY = 'aud';
+
+// Currencies Stripe charges in whole units
+const ZERO_DECIMAL_CURRENCIES = ['jpy'];
+
+// Smallest top-up or card charge, in major units (currency_minimum_charge)
+const MINIMUM_CHARGE = { hkd: 40, jpy: 500 };
+const DEFAULT_MINIMUM_CHARGE = 5;
+
+// Used when Intl cannot format currencies (older Hermes builds)
+const FALLBACK_SYMBOLS = {
+  aud: '$',
+  nzd: '$',
+  usd: '$',
+  cad: '$',
+  sgd: '$',
+  hkd: 'HK$',
+  gbp: '£',
+  eur: '€',
+  jpy: '¥',
+};
+
+const normalize = (currency) => String(currency || DEFAULT_CURRENCY).toLowerCase();
+
+export const currencyDecimals = (currency) =>
+  (ZERO_DECIMAL_CURRENCIES.includes(normalize(currency)) ? 0 : 2);
+
+export const minimumCharge = (currency) => MINIMUM_CHARGE[normalize(currency)] ?? DEFAULT_MINIMUM_CHARGE;
+
+/** Major units → the integer amount Stripe expects (cents, or yen for JPY). */
+export const toMinorUnits = (amount, currency) =>
+  Math.round(Number(amount || 0) * 10 ** currencyDecimals(currency));
+
+export const currencySymbol = (currency) => {
+  const code = normalize(currency);
+  return FALLBACK_SYMBOLS[code] || code.toUpperCase();
+};
+
+/**
+ * "$12.50", "£12.50", "¥1,250". signed: true adds "+" to positive amounts
+ * (negative amounts always get "-"); decimals overrides the currency's own,
+ * e.g. 0 for compact badges.
+ */
+export const formatMoney = (amount, currency = DEFAULT_CURRENCY, { signed = false, decimals: digits } = {}) => {
+  const value = Number(amount || 0);
+  const code = normalize(currency);
+  const decimals = digits ?? currencyDecimals(code);
+  const sign = value < 0 ? '-' : signed && value > 0 ? '+' : '';
+  let body;
+  try {
+    body = new Intl.NumberFormat('en-AU', {
+      style: 'currency',
+      currency: code.toUpperCase(),
+      currencyDisplay: 'narrowSymbol',
+      minimumFractionDigits: decimals,
+      maximumFractionDigits: decimals,
+    }).format(Math.abs(value));
+  } catch {
+    body = `${currencySymbol(code)}${Math.abs(value).toFixed(decimals)}`;
+  }
+  return `${sign}${body}`;
+};
@@ -1,210 +1,206 @@
 /**
- * Timezone utilities for Sydney (Australia/Sydney)
- * Handles conversion between Sydney local time and UTC for database storage
- * 
+ * Timezone utilities for the academy's IANA timezone (academies.timezone,
+ * supabase/migrations/033_academy_timezone.sql)
+ * Handles conversion between academy local time and UTC for database storage
+ *
  * Database: Always stores UTC
- * UI: Always displays Sydney local time (AEST/AEDT)
- * 
- * Note: Sydney is UTC+10 (AEST) or UTC+11 (AEDT during DST)
- * DST runs from first Sunday in October to first Sunday in April
+ * UI: Always displays the academy's local time
+ *
+ * Offsets come from Intl, so daylight saving changes are exact. A local time in
+ * the hour that is skipped when clocks go forward moves forward by the gap
+ * (2:30 → 3:30); one in the hour that repeats when clocks go back is the first
+ * of the two.
+ *
+ * Every helper takes an optional timeZone; without one it uses the active zone,
+ * which AcademyProvider sets from the current academy.
  */
 
-const SYDNEY_OFFSET_AEST = 10 * 60; // UTC+10 in minutes
-const SYDNEY_OFFSET_AEDT = 11 * 60; // UTC+11 in minutes
+export const DEFAULT_TIMEZONE = 'Australia/Sydney';
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+let activeTimeZone = DEFAULT_TIMEZONE;
+
+// One formatter per zone; creating them is the slow part
+const formatters = {};
+
+function getFormatter(timeZone) {
+  if (!formatters[timeZone]) {
+    formatters[timeZone] = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+    });
+  }
+  return formatters[timeZone];
+}
 
 /**
- * Check if a date is in DST period (AEDT) in Sydney
- * DST: First Sunday in October to first Sunday in April
- * Note: date should be a UTC date, and we use UTC methods to get the date components
+ * True if Intl knows the zone (e.g. 'Europe/London')
  */
-function isDST(date) {
-  // Use UTC methods to get date components (date is already in UTC)
-  const year = date.getUTCFullYear();
-  const month = date.getUTCMonth(); // 0-11
-  const day = date.getUTCDate();
-  
-  // DST period: October (9) to March (2), or April (3) if before first Sunday
-  if (month >= 9 || month <= 2) {
-    // October to March: likely DST, but check April boundary
-    if (month === 3) {
-      // April: check if before first Sunday
-      const firstSunday = getFirstSundayOfMonth(year, 3);
-      return day < firstSunday;
-    }
-    // October to March: DST
-    if (month === 9) {
-      // October: check if on or after first Sunday
-      const firstSunday = getFirstSundayOfMonth(year, 9);
-      return day >= firstSunday;
-    }
-    return true; // November, December, January, February, March
+export function isValidTimeZone(timeZone) {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch {
+    return false;
   }
-  return false; // April (after first Sunday) to September: AEST
 }
 
 /**
- * Get the first Sunday of a month
+ * Set the zone used when a helper is called without one. Unknown zones are
+ * ignored (the previous zone stays).
  */
-function getFirstSundayOfMonth(year, month) {
-  const firstDay = new Date(year, month, 1);
-  const dayOfWeek = firstDay.getDay();
-  const daysUntilSunday = (7 - dayOfWeek) % 7;
-  return 1 + daysUntilSunday;
+export function setActiveTimeZone(timeZone) {
+  const next = timeZone || DEFAULT_TIMEZONE;
+  if (isValidTimeZone(next)) {
+    activeTimeZone = next;
+  } else {
+    console.warn(`[timezone] Unknown timezone "${timeZone}", keeping ${activeTimeZone}`);
+  }
+}
+
+export function getActiveTimeZone() {
+  return activeTimeZone;
 }
 
 /**
- * Get Sydney timezone offset in minutes for a given date
- * date should be a UTC date (created with Date.UTC or from ISO string)
+ * Wall-clock components of a UTC instant in a zone
  */
-function getSydneyOffset(date) {
-  // date is already in UTC, just check if DST applies
-  if (isDST(date)) {
-    return SYDNEY_OFFSET_AEDT; // UTC+11
-  }
-  return SYDNEY_OFFSET_AEST; // UTC+10
+function getZonedParts(date, timeZone) {
+  const parts = {};
+  getFormatter(timeZone).formatToParts(date).forEach(({ type, value }) => {
+    parts[type] = value;
+  });
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    // Some engines still print midnight as 24 with h23
+    hour: Number(parts.hour) % 24,
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+  };
 }
 
 /**
- * Convert Sydney local date string (YYYY-MM-DD) to UTC start of day
+ * Offset of a zone from UTC in minutes at a given instant (e.g. 660 for AEDT)
  */
-export function sydneyDateToUTCStart(dateStr) {
-  const [year, month, day] = dateStr.split('-').map(Number);
-  
-  // Create a UTC date representing midnight UTC on the given date
-  const utcDate = new Date(Date.UTC(year, month - 1, day, 0, 0, 0, 0));
-  
-  // Get the Sydney offset for this date
-  const tempDate = new Date(Date.UTC(year, month - 1, day, 12, 0, 0, 0));
-  const offset = getSydneyOffset(tempDate);
-  
-  // Convert to actual UTC by subtracting the Sydney offset
-  const actualUTC = new Date(utcDate.getTime() - offset * 60000);
-  
-  return actualUTC;
+export function getTimeZoneOffset(date, timeZone = activeTimeZone) {
+  const instant = new Date(date);
+  const { year, month, day, hour, minute, second } = getZonedParts(instant, timeZone);
+  const wall = Date.UTC(year, month - 1, day, hour, minute, second);
+  const utc = Math.floor(instant.getTime() / 1000) * 1000;
+  return Math.round((wall - utc) / MINUTE_MS);
 }
 
 /**
- * Convert Sydney local date string (YYYY-MM-DD) to UTC end of day
+ * The UTC instant of a local date and time in a zone
  */
-export function sydneyDateToUTCEnd(dateStr) {
+function zonedWallTimeToDate(dateStr, hours, minutes, timeZone) {
   const [year, month, day] = dateStr.split('-').map(Number);
-  
-  // Create a UTC date representing end of day UTC on the given date
-  const utcDate = new Date(Date.UTC(year, month - 1, day, 23, 59, 59, 999));
-  
-  // Get the Sydney offset for this date
-  const tempDate = new Date(Date.UTC(year, month - 1, day, 12, 0, 0, 0));
-  const offset = getSydneyOffset(tempDate);
-  
-  // Convert to actual UTC by subtracting the Sydney offset
-  const actualUTC = new Date(utcDate.getTime() - offset * 60000);
-  
-  return actualUTC;
+  // The local time as if it were UTC; the real instant is this minus the offset
+  const wall = Date.UTC(year, month - 1, day, hours, minutes, 0, 0);
+
+  // A day either side covers the offsets before and after any change that day
+  const offsetBefore = getTimeZoneOffset(new Date(wall - DAY_MS), timeZone);
+  const offsetAfter = getTimeZoneOffset(new Date(wall + DAY_MS), timeZone);
+  const candidates = [...new Set([offsetBefore, offsetAfter])]
+    .map((offset) => wall - offset * MINUTE_MS)
+    .filter((instant) => getTimeZoneOffset(new Date(instant), timeZone) === (wall - instant) / MINUTE_MS);
+
+  if (candidates.length > 0) {
+    // Two candidates = the repeated hour; take the first
+    return new Date(Math.min(...candidates));
+  }
+  // None = the skipped hour; the offset from before the change lands past the gap
+  return new Date(wall - offsetBefore * MINUTE_MS);
 }
 
 /**
- * Convert Sydney local date and time to UTC ISO string
+ * Convert academy local date string (YYYY-MM-DD) to UTC start of day
  */
-export function sydneyDateTimeToUTC(dateStr, hours, minutes) {
-  const [year, month, day] = dateStr.split('-').map(Number);
-  
-  // Create a UTC date from the components (treating them as if they were UTC)
-  // This represents "hours:minutes UTC" on the given date
-  const utcDate = new Date(Date.UTC(year, month - 1, day, hours, minutes, 0, 0));
-  
-  // Get the Sydney offset for this date
-  // We need to check DST for the date we're creating
-  // Create a temporary date to check DST (using UTC methods to avoid timezone issues)
-  const tempDate = new Date(Date.UTC(year, month - 1, day, 12, 0, 0, 0)); // Use noon to avoid DST boundary issues
-  const offset = getSydneyOffset(tempDate);
-  
-  // Convert to actual UTC by subtracting the Sydney offset
-  // If Sydney is UTC+11, then 9am Sydney = 9am UTC - 11 hours = 22:00 previous day UTC
-  const actualUTC = new Date(utcDate.getTime() - offset * 60000);
-  
-  return actualUTC.toISOString();
+export function zonedDateToUTCStart(dateStr, timeZone = activeTimeZone) {
+  return zonedWallTimeToDate(dateStr, 0, 0, timeZone);
+}
+
+/**
+ * Convert academy local date string (YYYY-MM-DD) to UTC end of day
+ * (the last millisecond before the next local midnight)
+ */
+export function zonedDateToUTCEnd(dateStr, timeZone = activeTimeZone) {
+  const nextStart = zonedWallTimeToDate(addDaysToDateString(dateStr, 1), 0, 0, timeZone);
+  return new Date(nextStart.getTime() - 1);
+}
+
+/**
+ * Convert academy local date and time to UTC ISO string
+ */
+export function zonedDateTimeToUTC(dateStr, hours, minutes, timeZone = activeTimeZone) {
+  return zonedWallTimeToDate(dateStr, hours, minutes, timeZone).toISOString();
 }
 
 /**
- * Convert UTC ISO string to Sydney local date string (YYYY-MM-DD)
+ * Convert UTC ISO string to academy local date string (YYYY-MM-DD)
  */
-export function utcToSydneyDate(utcISOString) {
-  const date = new Date(utcISOString);
-  
-  // Get offset for this UTC date (in minutes)
-  const offset = getSydneyOffset(date);
-  
-  // Convert to Sydney local by adding offset (offset is in minutes, convert to ms)
-  const sydneyTime = date.getTime() + offset * 60000;
-  const sydneyDate = new Date(sydneyTime);
-  
-  // Use UTC methods because we've already adjusted the time
-  const year = sydneyDate.getUTCFullYear();
-  const month = String(sydneyDate.getUTCMonth() + 1).padStart(2, '0');
-  const day = String(sydneyDate.getUTCDate()).padStart(2, '0');
-  
-  return `${year}-${month}-${day}`;
+export function utcToZonedDate(utcISOString, timeZone = activeTimeZone) {
+  const { year, month, day } = getZonedParts(new Date(utcISOString), timeZone);
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
 }
 
 /**
- * Convert UTC ISO string to Sydney local time string (HH:mm)
+ * Convert UTC ISO string to academy local time string (HH:mm)
  */
-export function utcToSydneyTime(utcISOString) {
-  const date = new Date(utcISOString);
-  
-  // Get offset for this UTC date (in minutes)
-  const offset = getSydneyOffset(date);
-  
-  // Convert to Sydney local by adding offset
-  const sydneyTime = date.getTime() + offset * 60000;
-  const sydneyDate = new Date(sydneyTime);
-  
-  // Use UTC methods because we've already adjusted the time
-  const hours = String(sydneyDate.getUTCHours()).padStart(2, '0');
-  const minutes = String(sydneyDate.getUTCMinutes()).padStart(2, '0');
-  
-  return `${hours}:${minutes}`;
+export function utcToZonedTime(utcISOString, timeZone = activeTimeZone) {
+  const { hour, minute } = getZonedParts(new Date(utcISOString), timeZone);
+  return `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
 }
 
 /**
- * Get today's date in Sydney local time (YYYY-MM-DD)
+ * Get today's date in academy local time (YYYY-MM-DD)
  */
-export function getSydneyToday() {
-  const now = new Date();
-  return utcToSydneyDate(now.toISOString());
+export function getZonedToday(timeZone = activeTimeZone) {
+  return utcToZonedDate(new Date().toISOString(), timeZone);
 }
 
 /**
  * Get day of week (0=Sunday, 1=Monday, ..., 6=Saturday) from a date string (YYYY-MM-DD)
- * Treats the date string as a Sydney local date
+ * Treats the date string as an academy local date
  * Uses a formula that works regardless of browser timezone
  */
 export function getDayOfWeekFromDateString(dateStr) {
   const [year, month, day] = dateStr.split('-').map(Number);
-  
+
   // Use Zeller's congruence algorithm to calculate day of week
   // This works with date components directly, independent of timezone
   let m = month;
   let y = year;
-  
+
   // Adjust for January and February (they are months 13 and 14 of previous year)
   if (m < 3) {
     m += 12;
     y -= 1;
   }
-  
+
   const k = y % 100; // Year of century
   const j = Math.floor(y / 100); // Century
-  
+
   // Zeller's congruence: day of week (0 = Saturday, 1 = Sunday, ..., 6 = Friday)
   // Note: The result can be negative, so we normalize it to 0-6 range
   let h = (day + Math.floor(13 * (m + 1) / 5) + k + Math.floor(k / 4) + Math.floor(j / 4) - 2 * j) % 7;
-  
+
   // Normalize to positive range (0-6)
   if (h < 0) {
     h = h + 7;
   }
-  
+
   // Convert to JavaScript format (0 = Sunday, 1 = Monday, ..., 6 = Saturday)
   // Zeller: 0=Sat, 1=Sun, 2=Mon, 3=Tue, 4=Wed, 5=Thu, 6=Fri
   // JS:     0=Sun, 1=Mon, 2=Tue, 3=Wed, 4=Thu, 5=Fri, 6=Sat
@@ -218,14 +214,14 @@ export function getDayOfWeekFromDateString(dateStr) {
  */
 export function addDaysToDateString(dateStr, days) {
   const [year, month, day] = dateStr.split('-').map(Number);
-  
+
   // Create a date object using UTC to avoid timezone conversion
   // We'll treat the input as if it were UTC, do the math, then extract the result
   const date = new Date(Date.UTC(year, month - 1, day + days));
-  
+
   const newYear = date.getUTCFullYear();
   const newMonth = String(date.getUTCMonth() + 1).padStart(2, '0');
   const newDay = String(date.getUTCDate()).padStart(2, '0');
-  
+
   return `${newYear}-${newMonth}-${newDay}`;
 }